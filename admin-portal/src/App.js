@@ -6,6 +6,7 @@ import { Toaster } from 'react-hot-toast';
 import AdminLogin from './components/AdminLogin';
 import AdminDashboard from './components/AdminDashboard';
 import AdminManagement from './components/AdminManagement';
+import TwoFactorSettings from './components/TwoFactorSettings';
 import { ProtectedRoute, PublicRoute } from './components/ProtectedRoute';
 
 // Create a custom theme
@@ -65,6 +66,15 @@ function App() {
               }
             />
 
+            <Route
+              path="/two-factor"
+              element={
+                <ProtectedRoute>
+                  <TwoFactorSettings />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Fallback route */}
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
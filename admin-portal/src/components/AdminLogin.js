@@ -16,6 +16,7 @@ import { LoadingButton } from '@mui/lab';
 import { useNavigate } from 'react-router-dom';
 import { adminAuth } from '../utils/adminAuth';
 import ChangeFirstPassword from './ChangeFirstPassword';
+import TwoFactorVerify from './TwoFactorVerify';
 
 export default function AdminLogin() {
   const [email, setEmail] = useState('');
@@ -26,6 +27,7 @@ export default function AdminLogin() {
   const [passwordChangeRequired, setPasswordChangeRequired] = useState(false);
   const [tempToken, setTempToken] = useState('');
   const [adminData, setAdminData] = useState(null);
+  const [twoFactorToken, setTwoFactorToken] = useState('');
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -49,9 +51,12 @@ export default function AdminLogin() {
           setPasswordChangeRequired(true);
           setTempToken(result.tempToken);
           setAdminData(result.admin);
+        } else if (result.requireTwoFactor) {
+          // Two-factor code required before signing in
+          setTwoFactorToken(result.twoFactorToken);
         } else {
-          // Normal login
-          navigate('/dashboard');
+          // Normal login; admins whose role requires two-factor set it up first
+          navigate(result.admin.twoFactorSetupRequired ? '/two-factor' : '/dashboard');
         }
       } else {
         setError(result.message);
@@ -68,6 +73,19 @@ export default function AdminLogin() {
     return <ChangeFirstPassword tempToken={tempToken} adminData={adminData} />;
   }
 
+  // If a two-factor code is required, show the verification component
+  if (twoFactorToken) {
+    return (
+      <TwoFactorVerify
+        twoFactorToken={twoFactorToken}
+        onCancel={() => {
+          setTwoFactorToken('');
+          setPassword('');
+        }}
+      />
+    );
+  }
+
   return (
     <>
       <CssBaseline />
@@ -28,6 +28,8 @@ import {
   IconButton,
   Tooltip,
   FormHelperText,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
 import {
   Add,
@@ -56,6 +58,8 @@ export default function AdminManagement() {
   const [actionLoading, setActionLoading] = useState(false);
   const [generatedPassword, setGeneratedPassword] = useState('');
   const [showPasswordDialog, setShowPasswordDialog] = useState(false);
+  const [twoFactorPolicy, setTwoFactorPolicy] = useState(null);
+  const [requiredRoles, setRequiredRoles] = useState([]);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -93,6 +97,7 @@ export default function AdminManagement() {
 
   useEffect(() => {
     fetchAdmins();
+    fetchTwoFactorPolicy();
   }, []);
 
   const fetchAdmins = async () => {
@@ -111,6 +116,45 @@ export default function AdminManagement() {
     }
   };
 
+  const fetchTwoFactorPolicy = async () => {
+    try {
+      const { data } = await adminAuth.apiRequest('/api/admin/system/two-factor-policy');
+      if (data.success) {
+        setTwoFactorPolicy(data.roles);
+        setRequiredRoles(data.requiredRoles);
+      }
+    } catch (err) {
+      setError('Failed to load two-factor policy');
+    }
+  };
+
+  const handleToggleRequiredRole = (role) => {
+    setRequiredRoles((roles) =>
+      roles.includes(role) ? roles.filter((r) => r !== role) : [...roles, role]
+    );
+  };
+
+  const handleSaveTwoFactorPolicy = async () => {
+    setActionLoading(true);
+    try {
+      const { data } = await adminAuth.apiRequest('/api/admin/system/two-factor-policy', {
+        method: 'PUT',
+        body: JSON.stringify({ requiredRoles }),
+      });
+
+      if (data.success) {
+        setSuccess('Two-factor policy updated successfully!');
+        fetchTwoFactorPolicy();
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to update two-factor policy');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleCreateAdmin = async () => {
     if (!validateForm()) return;
 
@@ -468,6 +512,51 @@ export default function AdminManagement() {
           </CardContent>
         </Card>
 
+        {/* Two-Factor Policy */}
+        {twoFactorPolicy && (
+          <Card sx={{ borderRadius: 3, boxShadow: 3, mt: 4 }}>
+            <CardContent>
+              <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
+                Two-Factor Policy
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Admins of a required role who haven&apos;t set up two-factor authentication must do
+                so before they can use the portal again.
+              </Typography>
+
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mb: 2 }}>
+                {twoFactorPolicy.map(({ role, admins: total, enabled }) => (
+                  <Box key={role} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={requiredRoles.includes(role)}
+                          onChange={() => handleToggleRequiredRole(role)}
+                        />
+                      }
+                      label={`Require for ${getRoleLabel(role)}`}
+                      sx={{ minWidth: 240 }}
+                    />
+                    <Chip
+                      label={`${enabled} of ${total} set up`}
+                      color={enabled === total ? 'success' : 'default'}
+                      size="small"
+                    />
+                  </Box>
+                ))}
+              </Box>
+
+              <LoadingButton
+                variant="contained"
+                onClick={handleSaveTwoFactorPolicy}
+                loading={actionLoading}
+              >
+                Save Policy
+              </LoadingButton>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Create Admin Dialog */}
         <Dialog
           open={createDialogOpen}
@@ -18,6 +18,7 @@ import {
   People,
   Analytics,
   SupervisorAccount,
+  Security,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { adminAuth } from '../utils/adminAuth';
@@ -184,6 +185,15 @@ export default function AdminNavbar() {
                   </Typography>
                 </Box>
               </MenuItem>
+              <MenuItem
+                onClick={() => {
+                  handleMenuClose();
+                  navigate('/two-factor');
+                }}
+              >
+                <Security sx={{ mr: 1 }} />
+                Two-Factor Security
+              </MenuItem>
               <MenuItem onClick={handleLogout}>
                 <ExitToApp sx={{ mr: 1 }} />
                 Logout
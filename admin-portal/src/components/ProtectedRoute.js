@@ -12,6 +12,12 @@ export const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Admins whose role requires two-factor can only set it up until they have
+  const adminUser = adminAuth.getAdminUser();
+  if (adminUser?.twoFactorSetupRequired && location.pathname !== '/two-factor') {
+    return <Navigate to="/two-factor" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,368 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  Paper,
+  Chip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Security, ContentCopy, OpenInNew, Refresh, LockOpen } from '@mui/icons-material';
+import { LoadingButton } from '@mui/lab';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import AdminNavbar from '../components/AdminNavbar';
+import { adminAuth } from '../utils/adminAuth';
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [dialog, setDialog] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [actionLoading, setActionLoading] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const result = await adminAuth.apiRequest('/api/admin/me');
+      if (result?.data.success) {
+        setStatus(result.data.admin);
+        adminAuth.updateAdminUser({
+          twoFactorEnabled: result.data.admin.twoFactorEnabled,
+          twoFactorSetupRequired: result.data.admin.twoFactorSetupRequired,
+        });
+      }
+    } catch (err) {
+      setError('Failed to load two-factor settings');
+    }
+  };
+
+  // Send a two-factor request; returns the response data when it succeeded
+  const send = async (endpoint, body) => {
+    setActionLoading(true);
+    setError('');
+    try {
+      const result = await adminAuth.apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify(body || {}),
+      });
+      if (!result) return null;
+      if (!result.data.success) {
+        setError(result.data.message);
+        return null;
+      }
+      setCode('');
+      setPassword('');
+      return result.data;
+    } catch (err) {
+      setError('Network error. Please try again.');
+      return null;
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    const data = await send('/api/admin/two-factor/setup');
+    if (data) {
+      setSetup(data);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await send('/api/admin/two-factor/enable', { code: code.trim() });
+    if (data) {
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      toast.success(data.message);
+      fetchStatus();
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const data = await send('/api/admin/two-factor/recovery-codes', { code: code.trim() });
+    if (data) {
+      setDialog(null);
+      setRecoveryCodes(data.recoveryCodes);
+      toast.success(data.message);
+      fetchStatus();
+    }
+  };
+
+  const handleDisable = async () => {
+    const data = await send('/api/admin/two-factor/disable', { password, code: code.trim() });
+    if (data) {
+      setDialog(null);
+      toast.success(data.message);
+      fetchStatus();
+    }
+  };
+
+  const closeRecoveryCodes = () => {
+    setRecoveryCodes(null);
+    // Back to the portal once the role's requirement is met
+    if (adminAuth.getAdminUser()?.twoFactorSetupRequired === false) {
+      navigate('/dashboard');
+    }
+  };
+
+  const copyToClipboard = (text, label) => {
+    navigator.clipboard.writeText(text);
+    toast.success(`${label} copied`);
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', backgroundColor: '#f5f5f5' }}>
+      <AdminNavbar />
+
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Typography variant="h4" sx={{ fontWeight: 700, color: '#333', mb: 4 }}>
+          Two-Factor Authentication
+        </Typography>
+
+        {status?.twoFactorSetupRequired && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            Your role requires two-factor authentication. Set it up to continue using the admin
+            portal.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Card sx={{ borderRadius: 3, boxShadow: 3 }}>
+          <CardContent>
+            {!status ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                <CircularProgress />
+              </Box>
+            ) : setup ? (
+              <Box
+                component="form"
+                onSubmit={handleEnable}
+                sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}
+              >
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  Add the portal to your authenticator app
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  On this device, open the link in your authenticator app. Elsewhere, add a
+                  time-based key by hand with the key below.
+                </Typography>
+                <Box>
+                  <Button
+                    href={setup.otpauthUri}
+                    variant="outlined"
+                    startIcon={<OpenInNew />}
+                    sx={{ textTransform: 'none' }}
+                  >
+                    Open in authenticator app
+                  </Button>
+                </Box>
+                <Paper
+                  sx={{
+                    p: 2,
+                    bgcolor: '#f5f5f5',
+                    fontFamily: 'monospace',
+                    fontSize: '1.1rem',
+                    letterSpacing: '0.1em',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: 2,
+                    wordBreak: 'break-all',
+                  }}
+                >
+                  {setup.secret.match(/.{1,4}/g).join(' ')}
+                  <Button
+                    size="small"
+                    startIcon={<ContentCopy />}
+                    onClick={() => copyToClipboard(setup.secret, 'Key')}
+                  >
+                    Copy
+                  </Button>
+                </Paper>
+                <TextField
+                  label="6-digit code from the app"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                  inputProps={{ autoComplete: 'one-time-code' }}
+                />
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <LoadingButton type="submit" variant="contained" loading={actionLoading}>
+                    Turn On
+                  </LoadingButton>
+                  <Button onClick={() => setSetup(null)}>Cancel</Button>
+                </Box>
+              </Box>
+            ) : status.twoFactorEnabled ? (
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Security color="success" />
+                  <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                    Two-factor authentication is on
+                  </Typography>
+                  <Chip label="Enabled" color="success" size="small" />
+                </Box>
+                <Typography variant="body2" color="text.secondary">
+                  Signing in asks for a code from your authenticator app. {status.recoveryCodesLeft}{' '}
+                  recovery codes left.
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <Button
+                    variant="outlined"
+                    startIcon={<Refresh />}
+                    onClick={() => setDialog('regenerate')}
+                  >
+                    New Recovery Codes
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    startIcon={<LockOpen />}
+                    onClick={() => setDialog('disable')}
+                    disabled={status.twoFactorRequired}
+                  >
+                    Turn Off
+                  </Button>
+                </Box>
+                {status.twoFactorRequired && (
+                  <Typography variant="caption" color="text.secondary">
+                    Your role requires two-factor authentication, so it can&apos;t be turned off.
+                  </Typography>
+                )}
+              </Box>
+            ) : (
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  Two-factor authentication is off
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Protect your admin account with a code from an authenticator app on top of your
+                  password.
+                </Typography>
+                <Box>
+                  <LoadingButton
+                    variant="contained"
+                    startIcon={<Security />}
+                    loading={actionLoading}
+                    onClick={handleStartSetup}
+                  >
+                    Set Up
+                  </LoadingButton>
+                </Box>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Regenerate Recovery Codes / Disable Dialog */}
+        <Dialog open={!!dialog} onClose={() => setDialog(null)} maxWidth="sm" fullWidth>
+          <DialogTitle>
+            {dialog === 'disable' ? 'Turn Off Two-Factor Authentication' : 'New Recovery Codes'}
+          </DialogTitle>
+          <DialogContent>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+              {dialog === 'disable' && (
+                <TextField
+                  label="Password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  fullWidth
+                />
+              )}
+              <TextField
+                label="Code from your app or a recovery code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                fullWidth
+                inputProps={{ autoComplete: 'one-time-code' }}
+              />
+              {dialog === 'regenerate' && (
+                <Alert severity="info">Your current recovery codes will stop working.</Alert>
+              )}
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialog(null)}>Cancel</Button>
+            <LoadingButton
+              onClick={dialog === 'disable' ? handleDisable : handleRegenerate}
+              variant="contained"
+              color={dialog === 'disable' ? 'error' : 'primary'}
+              loading={actionLoading}
+            >
+              {dialog === 'disable' ? 'Turn Off' : 'Generate'}
+            </LoadingButton>
+          </DialogActions>
+        </Dialog>
+
+        {/* Recovery Codes Dialog */}
+        <Dialog open={!!recoveryCodes} maxWidth="sm" fullWidth>
+          <DialogTitle>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Security color="success" />
+              Save Your Recovery Codes
+            </Box>
+          </DialogTitle>
+          <DialogContent>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Each code signs you in once if you lose your authenticator app. They won&apos;t be
+              shown again.
+            </Alert>
+            <Paper
+              sx={{
+                p: 2,
+                bgcolor: '#f5f5f5',
+                border: '2px solid #4caf50',
+                fontFamily: 'monospace',
+                fontSize: '1.1rem',
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: 1,
+                textAlign: 'center',
+              }}
+            >
+              {recoveryCodes?.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </Paper>
+          </DialogContent>
+          <DialogActions>
+            <Button
+              onClick={() => copyToClipboard(recoveryCodes.join('\n'), 'Recovery codes')}
+              variant="outlined"
+              startIcon={<ContentCopy />}
+            >
+              Copy Codes
+            </Button>
+            <Button onClick={closeRecoveryCodes} variant="contained" color="primary">
+              I Saved Them
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </Container>
+    </Box>
+  );
+}
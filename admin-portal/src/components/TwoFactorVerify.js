@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import {
+  Box,
+  Container,
+  TextField,
+  Typography,
+  Paper,
+  Avatar,
+  InputAdornment,
+  Alert,
+  Button,
+  CssBaseline,
+} from '@mui/material';
+import { Security, Pin } from '@mui/icons-material';
+import { LoadingButton } from '@mui/lab';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { adminAuth } from '../utils/adminAuth';
+
+// eslint-disable-next-line react/prop-types
+export default function TwoFactorVerify({ twoFactorToken, onCancel }) {
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await adminAuth.verifyTwoFactor(twoFactorToken, code.trim());
+
+      if (result.success) {
+        if (result.recoveryCodesLeft !== undefined) {
+          toast(`Recovery code used. ${result.recoveryCodesLeft} left.`, { icon: '⚠️' });
+        }
+        navigate(result.admin.twoFactorSetupRequired ? '/two-factor' : '/dashboard');
+      } else if (result.expired) {
+        // The sign-in took too long; start over from the password
+        toast.error(result.message);
+        onCancel();
+      } else {
+        setError(result.message);
+        setCode('');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <CssBaseline />
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+          p: 2,
+        }}
+      >
+        <Container maxWidth="sm">
+          <Paper
+            elevation={10}
+            sx={{
+              p: 4,
+              borderRadius: 4,
+              background: 'rgba(255, 255, 255, 0.95)',
+              backdropFilter: 'blur(10px)',
+            }}
+          >
+            <Box
+              sx={{
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                gap: 2,
+                mb: 3,
+              }}
+            >
+              <Avatar
+                sx={{
+                  width: 80,
+                  height: 80,
+                  bgcolor: '#d32f2f',
+                  color: 'white',
+                }}
+              >
+                <Security sx={{ fontSize: 40 }} />
+              </Avatar>
+              <Typography
+                variant="h4"
+                align="center"
+                sx={{
+                  color: '#d32f2f',
+                  fontWeight: 700,
+                  textShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                }}
+              >
+                Two-Factor Authentication
+              </Typography>
+              <Typography
+                variant="body1"
+                align="center"
+                sx={{
+                  color: '#666',
+                  fontWeight: 500,
+                }}
+              >
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </Typography>
+            </Box>
+
+            <Box
+              component="form"
+              onSubmit={handleSubmit}
+              sx={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 3,
+              }}
+            >
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                label="Verification Code"
+                variant="outlined"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                fullWidth
+                autoFocus
+                inputProps={{ autoComplete: 'one-time-code' }}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <Pin sx={{ color: '#d32f2f' }} />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    '&:hover fieldset': {
+                      borderColor: '#d32f2f',
+                    },
+                    '&.Mui-focused fieldset': {
+                      borderColor: '#d32f2f',
+                    },
+                  },
+                  '& .MuiInputLabel-root.Mui-focused': {
+                    color: '#d32f2f',
+                  },
+                }}
+              />
+
+              <LoadingButton
+                type="submit"
+                variant="contained"
+                size="large"
+                loading={loading}
+                sx={{
+                  bgcolor: '#d32f2f',
+                  '&:hover': { bgcolor: '#b71c1c' },
+                  color: 'white',
+                  fontWeight: 700,
+                  py: 1.5,
+                  mt: 2,
+                  borderRadius: 2,
+                  textTransform: 'none',
+                  fontSize: '1.1rem',
+                }}
+              >
+                Verify
+              </LoadingButton>
+
+              <Button onClick={onCancel} sx={{ textTransform: 'none', color: '#666' }}>
+                Back to sign in
+              </Button>
+            </Box>
+          </Paper>
+        </Container>
+      </Box>
+    </>
+  );
+}
@@ -42,6 +42,15 @@ export const adminAuth = {
           };
         }
 
+        // Check if a two-factor code is required
+        if (data.requireTwoFactor) {
+          return {
+            success: true,
+            requireTwoFactor: true,
+            twoFactorToken: data.twoFactorToken,
+          };
+        }
+
         // Normal login
         localStorage.setItem('adminToken', data.token);
         localStorage.setItem('adminUser', JSON.stringify(data.admin));
@@ -54,6 +63,43 @@ export const adminAuth = {
     }
   },
 
+  // Finish login with an authenticator or recovery code
+  verifyTwoFactor: async (twoFactorToken, code) => {
+    try {
+      const response = await fetch(`${API_URL}/api/admin/login/two-factor`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ twoFactorToken, code }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        localStorage.setItem('adminToken', data.token);
+        localStorage.setItem('adminUser', JSON.stringify(data.admin));
+        return { success: true, admin: data.admin, recoveryCodesLeft: data.recoveryCodesLeft };
+      } else {
+        return {
+          success: false,
+          message: data.message || 'Verification failed',
+          expired: !!data.twoFactorExpired,
+        };
+      }
+    } catch (error) {
+      return { success: false, message: 'Network error' };
+    }
+  },
+
+  // Update the stored admin user data, e.g. after two-factor setup
+  updateAdminUser: (changes) => {
+    const admin = adminAuth.getAdminUser();
+    if (admin) {
+      localStorage.setItem('adminUser', JSON.stringify({ ...admin, ...changes }));
+    }
+  },
+
   // Change first login password
   changeFirstPassword: async (tempToken, newPassword, confirmPassword) => {
     try {
@@ -133,6 +179,13 @@ export const adminAuth = {
         return null;
       }
 
+      // Handle a role that started requiring two-factor authentication
+      if (response.status === 403 && data.twoFactorSetupRequired) {
+        adminAuth.updateAdminUser({ twoFactorSetupRequired: true });
+        window.location.href = '/two-factor';
+        return null;
+      }
+
       return { response, data };
     } catch (error) {
       console.error('API request error:', error);
@@ -9,6 +9,9 @@ export default {
   testMatch: ['**/tests/**/*.test.js', '**/tests/**/*.spec.js'],
   collectCoverageFrom: ['src/**/*.js', '!src/**/*.test.js', '!src/**/*.spec.js'],
   setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
-  transformIgnorePatterns: ['node_modules/(?!(supertest|uuid)/)'],
+  // Packages published only as ES modules must be transformed too; pnpm nests them under .pnpm
+  transformIgnorePatterns: [
+    'node_modules/(?!(\\.pnpm/)?(supertest|uuid|htmlparser2|domhandler|domutils|dom-serializer|domelementtype|entities)[@/])',
+  ],
   injectGlobals: true,
 };
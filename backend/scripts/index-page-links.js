@@ -0,0 +1,41 @@
+/**
+ * Migration script to index the [[wiki links]] of pages saved before link tracking existed
+ */
+
+import mongoose from 'mongoose';
+import Page from '../src/models/Page.model.js';
+import { extractWikiLinks } from '../src/utils/link.utils.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function indexPageLinks() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/zetta-note');
+    console.log('Connected to MongoDB');
+
+    // Only pages that were never indexed and could contain links
+    const cursor = Page.find(
+      { links: { $exists: false }, pageData: /\[\[/ },
+      { pageData: 1 }
+    ).cursor();
+
+    let updated = 0;
+    for await (const page of cursor) {
+      await Page.updateOne({ _id: page._id }, { $set: { links: extractWikiLinks(page.pageData) } });
+      updated++;
+    }
+
+    console.log(`Migration completed: ${updated} pages indexed`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+indexPageLinks();
@@ -0,0 +1,44 @@
+/**
+ * Migration script to index the #hashtags of pages saved before tags existed
+ */
+
+import mongoose from 'mongoose';
+import Page from '../src/models/Page.model.js';
+import { extractHashtags } from '../src/utils/tag.utils.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function indexPageTags() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/zetta-note');
+    console.log('Connected to MongoDB');
+
+    // Only pages that were never indexed and could contain hashtags
+    const cursor = Page.find(
+      { hashtags: { $exists: false }, pageData: /#/ },
+      { pageData: 1 }
+    ).cursor();
+
+    let updated = 0;
+    for await (const page of cursor) {
+      await Page.updateOne(
+        { _id: page._id },
+        { $set: { hashtags: extractHashtags(page.pageData) } }
+      );
+      updated++;
+    }
+
+    console.log(`Migration completed: ${updated} pages indexed`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+indexPageTags();
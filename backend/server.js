@@ -14,6 +14,10 @@ import createPageSaveWorker from './src/workers/pageSave.worker.js';
 import createImageUploadWorker from './src/workers/imageUpload.worker.js';
 import createImageCleanupWorker from './src/workers/imageCleanup.worker.js';
 import createTaskReminderWorker from './src/workers/taskReminder.worker.js';
+import createPageImportWorker from './src/workers/pageImport.worker.js';
+import createAccountDeletionWorker from './src/workers/accountDeletion.worker.js';
+import createDataExportWorker from './src/workers/dataExport.worker.js';
+import { attachCollabServer, closeCollabServer } from './src/sockets/collab.socket.js';
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -49,6 +53,9 @@ const startServer = async () => {
         imageUpload: createImageUploadWorker(),
         imageCleanup: createImageCleanupWorker(),
         taskReminder: createTaskReminderWorker(),
+        pageImport: createPageImportWorker(),
+        accountDeletion: createAccountDeletionWorker(),
+        dataExport: createDataExportWorker(),
       };
       logger.info('✅ All BullMQ workers started');
 
@@ -80,6 +87,9 @@ const startServer = async () => {
       logger.info(`💚 Health check: http://localhost:${config.server.port}/api/health`);
     });
 
+    // Attach collaborative editing WebSocket server
+    const collabServer = attachCollabServer(server);
+
     // Graceful shutdown
     const shutdown = async (signal) => {
       logger.info(`\n${signal} received. Starting graceful shutdown...`);
@@ -92,6 +102,9 @@ const startServer = async () => {
             workers.imageUpload.close(),
             workers.imageCleanup.close(),
             workers.taskReminder.close(),
+            workers.pageImport.close(),
+            workers.accountDeletion.close(),
+            workers.dataExport.close(),
           ]);
           logger.info('✅ All BullMQ workers closed');
         } catch (err) {
@@ -106,6 +119,14 @@ const startServer = async () => {
         }
       }
 
+      // Flush pending collaborative edits before closing connections
+      try {
+        await closeCollabServer(collabServer);
+        logger.info('✅ Collaboration server closed');
+      } catch (err) {
+        logger.error('❌ Error closing collaboration server:', err);
+      }
+
       server.close(async () => {
         logger.info('✅ HTTP server closed');
 
@@ -7,6 +7,7 @@ import express from 'express';
 import cookieParser from 'cookie-parser';
 import { configureCors } from './config/cors.js';
 import routes from './routes/index.js';
+import publicRoutes from './routes/public.routes.js';
 import { errorHandler, notFoundHandler } from './middleware/error.middleware.js';
 import { apiLimiter } from './utils/security.utils.js';
 
@@ -31,6 +32,9 @@ app.use(passport.initialize());
 app.use('/api', apiLimiter);
 app.use('/api', routes);
 
+// Server-rendered public share pages
+app.use('/public', apiLimiter, publicRoutes);
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
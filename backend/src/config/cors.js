@@ -28,6 +28,8 @@ export const configureCors = () => {
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
+    // Lets the frontend read the file name of exports
+    exposedHeaders: ['Content-Disposition'],
   });
 };
 
@@ -1,3 +1,5 @@
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -42,11 +44,18 @@ const config = {
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    // Access tokens are short-lived; sessions stay signed in by refreshing them
+    accessTokenMinutes: parseInt(process.env.ACCESS_TOKEN_MINUTES, 10) || 15,
     adminSecret: process.env.ADMIN_JWT_SECRET || 'your-admin-secret-key-change-in-production',
     adminExpiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '24h',
   },
 
+  // Session Configuration
+  session: {
+    // Days a device stays signed in without using the app; each refresh starts the count again
+    ttlDays: parseInt(process.env.SESSION_TTL_DAYS, 10) || 30,
+  },
+
   // CORS Configuration
   cors: {
     allowedOrigins: process.env.CORS_ORIGIN
@@ -84,6 +93,12 @@ const config = {
       callbackURL: process.env.GITHUB_CALLBACK_URL || '/api/auth/github/callback',
     },
   },
+  // Account Configuration
+  auth: {
+    // Only users who verified their email can share pages or publish links
+    requireVerifiedEmailToShare: process.env.REQUIRE_VERIFIED_EMAIL_TO_SHARE === 'true',
+  },
+
   // Frontend URL
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
 
@@ -91,6 +106,36 @@ const config = {
   cron: {
     reminderJobEnabled: process.env.DISABLE_REMINDER_CRON !== 'true',
     imageCleanupJobEnabled: process.env.DISABLE_IMAGE_CLEANUP_CRON !== 'true',
+    trashPurgeJobEnabled: process.env.DISABLE_TRASH_PURGE_CRON !== 'true',
+  },
+
+  // Trash Configuration
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  },
+
+  // Export Configuration
+  export: {
+    // Chrome or Chromium binary used to print PDFs; PDF export is disabled without it
+    chromePath: process.env.EXPORT_CHROME_PATH || '',
+    maxPages: parseInt(process.env.EXPORT_MAX_PAGES, 10) || 500,
+  },
+
+  // Personal Data Export Configuration
+  dataExport: {
+    // Where finished zips are kept until their download link expires
+    dir: process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'zettanote-data-exports'),
+    linkHours: parseInt(process.env.DATA_EXPORT_LINK_HOURS, 10) || 48,
+  },
+
+  // Import Configuration
+  import: {
+    // Size of the uploaded zip, and of its contents once extracted
+    maxUploadBytes:
+      parseInt(process.env.IMPORT_MAX_UPLOAD_MB, 10) * 1024 * 1024 || 50 * 1024 * 1024,
+    maxBytes: parseInt(process.env.IMPORT_MAX_EXTRACTED_MB, 10) * 1024 * 1024 || 200 * 1024 * 1024,
+    maxFiles: parseInt(process.env.IMPORT_MAX_FILES, 10) || 5000,
+    maxPages: parseInt(process.env.IMPORT_MAX_PAGES, 10) || 1000,
   },
 };
 
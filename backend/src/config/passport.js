@@ -4,6 +4,7 @@ import { Strategy as GitHubStrategy } from 'passport-github2';
 import User from '../models/User.model.js';
 import config from './index.js';
 import logger from '../utils/logger.js';
+import { acceptShareInvitations } from '../utils/invitation.utils.js';
 
 // Google OAuth Strategy
 passport.use(
@@ -60,9 +61,19 @@ passport.use(
               emailVerified: true,
             });
             await user.save();
+
+            // Providers verify the email, so pending invitations can be accepted right away
+            await acceptShareInvitations(user).catch((err) =>
+              logger.error('Accept share invitations error', err)
+            );
           }
         }
 
+        // Accounts waiting to be deleted can't sign in again
+        if (user.deletionRequestedAt) {
+          return done(new Error('This account is being deleted.'), null);
+        }
+
         return done(null, user);
       } catch (err) {
         logger.error('Google OAuth error', err);
@@ -140,9 +151,19 @@ passport.use(
               emailVerified: true,
             });
             await user.save();
+
+            // Providers verify the email, so pending invitations can be accepted right away
+            await acceptShareInvitations(user).catch((err) =>
+              logger.error('Accept share invitations error', err)
+            );
           }
         }
 
+        // Accounts waiting to be deleted can't sign in again
+        if (user.deletionRequestedAt) {
+          return done(new Error('This account is being deleted.'), null);
+        }
+
         return done(null, user);
       } catch (err) {
         logger.error('GitHub OAuth error', err);
@@ -71,6 +71,9 @@ export let pageSaveQueue = null;
 export let imageUploadQueue = null;
 export let imageCleanupQueue = null;
 export let taskReminderQueue = null;
+export let pageImportQueue = null;
+export let accountDeletionQueue = null;
+export let dataExportQueue = null;
 
 /**
  * Initialize all queues and log their status
@@ -97,6 +100,17 @@ export const initializeQueues = async () => {
     imageUploadQueue = new Queue('image-upload', queueOptions);
     imageCleanupQueue = new Queue('image-cleanup', queueOptions);
     taskReminderQueue = new Queue('task-reminder', queueOptions);
+    // Imports create pages, retrying a half-finished one would duplicate them
+    pageImportQueue = new Queue('page-import', {
+      ...queueOptions,
+      defaultJobOptions: { ...queueOptions.defaultJobOptions, attempts: 1 },
+    });
+    // Account deletions pick up where a failed attempt stopped, so they get more retries
+    accountDeletionQueue = new Queue('account-deletion', {
+      ...queueOptions,
+      defaultJobOptions: { ...queueOptions.defaultJobOptions, attempts: 5 },
+    });
+    dataExportQueue = new Queue('data-export', queueOptions);
 
     // Test connection by trying to add a test job and removing it
     const testJob = await pageSaveQueue.add(
@@ -115,6 +129,9 @@ export const initializeQueues = async () => {
     logger.info('   - image-upload queue ready');
     logger.info('   - image-cleanup queue ready');
     logger.info('   - task-reminder queue ready');
+    logger.info('   - page-import queue ready');
+    logger.info('   - account-deletion queue ready');
+    logger.info('   - data-export queue ready');
   } catch (error) {
     logger.error('❌ Failed to initialize BullMQ queues:', error.message);
     logger.warn('⚠️ Background jobs will run synchronously');
@@ -123,6 +140,9 @@ export const initializeQueues = async () => {
     imageUploadQueue = null;
     imageCleanupQueue = null;
     taskReminderQueue = null;
+    pageImportQueue = null;
+    accountDeletionQueue = null;
+    dataExportQueue = null;
     throw error;
   }
 };
@@ -142,6 +162,9 @@ export const closeQueues = async () => {
       imageUploadQueue.close(),
       imageCleanupQueue.close(),
       taskReminderQueue.close(),
+      pageImportQueue.close(),
+      accountDeletionQueue.close(),
+      dataExportQueue.close(),
     ]);
     logger.info('✅ All BullMQ queues closed');
   } catch (error) {
@@ -155,6 +178,9 @@ export default {
   imageUploadQueue,
   imageCleanupQueue,
   taskReminderQueue,
+  pageImportQueue,
+  accountDeletionQueue,
+  dataExportQueue,
   initializeQueues,
   closeQueues,
 };
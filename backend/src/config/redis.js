@@ -48,4 +48,28 @@ export const safeRedisCall = async (fn, ...args) => {
   }
 };
 
+/**
+ * Create a dedicated Redis connection for pub/sub
+ * A client in subscriber mode can't run other commands, so it can't share redisClient
+ * @returns {object|null} Connected subscriber client, or null when Redis is unavailable
+ */
+export const createRedisSubscriber = async () => {
+  if (!connected || !redisClient) {
+    return null;
+  }
+
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => {
+    logger.warn(`⚠️ Redis subscriber error: ${err.message}`);
+  });
+
+  try {
+    await subscriber.connect();
+    return subscriber;
+  } catch (err) {
+    logger.warn(`⚠️ Failed to create Redis subscriber: ${err.message}`);
+    return null;
+  }
+};
+
 export { redisClient };
@@ -3,12 +3,14 @@
  * @description Sets up repeatable jobs for scheduled background tasks
  */
 
-import { imageCleanupQueue, taskReminderQueue } from '../config/queue.js';
+import { imageCleanupQueue, taskReminderQueue, dataExportQueue } from '../config/queue.js';
+import config from './index.js';
 import logger from '../utils/logger.js';
 
 /**
  * Initialize scheduled jobs
- * @description Sets up repeatable jobs for image cleanup and task reminders
+ * @description Sets up repeatable jobs for image cleanup, trash purge, task reminders and
+ * expired data export purge
  */
 export const initializeScheduledJobs = async () => {
   // Check if queues are available
@@ -36,6 +38,28 @@ export const initializeScheduledJobs = async () => {
     );
     logger.info('✅ Scheduled image cleanup job (every 6 hours)');
 
+    // Trash purge job - runs every hour, shares the cleanup queue
+    if (config.cron.trashPurgeJobEnabled) {
+      await imageCleanupQueue.add(
+        'scheduled-trash-purge',
+        {
+          cleanupType: 'trash-purge',
+          batchSize: 100,
+        },
+        {
+          repeat: {
+            pattern: '30 * * * *', // Every hour at minute 30
+          },
+          jobId: 'scheduled-trash-purge', // Unique job ID to prevent duplicates
+        }
+      );
+      logger.info(
+        `✅ Scheduled trash purge job (every hour, ${config.trash.retentionDays} day retention)`
+      );
+    } else {
+      logger.info('🗑️ Trash purge scheduled job disabled via configuration');
+    }
+
     // Task reminder job - runs every 5 minutes
     await taskReminderQueue.add(
       'scheduled-reminder-check',
@@ -51,6 +75,21 @@ export const initializeScheduledJobs = async () => {
     );
     logger.info('✅ Scheduled task reminder job (every 5 minutes)');
 
+    // Expired data export purge - runs every hour, removes zips whose link expired
+    if (dataExportQueue) {
+      await dataExportQueue.add(
+        'purge-expired-exports',
+        {},
+        {
+          repeat: {
+            pattern: '45 * * * *', // Every hour at minute 45
+          },
+          jobId: 'scheduled-data-export-purge', // Unique job ID to prevent duplicates
+        }
+      );
+      logger.info('✅ Scheduled data export purge job (every hour)');
+    }
+
     // Run initial cleanup on startup
     await imageCleanupQueue.add('startup-cleanup', {
       cleanupType: 'comprehensive',
@@ -99,6 +138,15 @@ export const removeScheduledJobs = async () => {
       logger.info(`Removed repeatable job: ${job.name} from task-reminder queue`);
     }
 
+    // Get and remove repeatable jobs from data export queue
+    if (dataExportQueue) {
+      const dataExportRepeatableJobs = await dataExportQueue.getRepeatableJobs();
+      for (const job of dataExportRepeatableJobs) {
+        await dataExportQueue.removeRepeatableByKey(job.key);
+        logger.info(`Removed repeatable job: ${job.name} from data-export queue`);
+      }
+    }
+
     logger.info('✅ All scheduled jobs removed');
   } catch (error) {
     logger.error('❌ Error removing scheduled jobs:', error);
@@ -20,6 +20,49 @@ export const MESSAGES = {
     ACCOUNT_FOUND: 'Account found successfully',
     USER_UPDATED: 'User updated successfully',
     AVATAR_ADDED: 'Avatar added successfully',
+    EMAIL_VERIFIED: 'Email verified successfully',
+    EMAIL_ALREADY_VERIFIED: 'Your email is already verified',
+    VERIFICATION_SENT: 'Verification email sent',
+    INVALID_VERIFICATION_LINK: 'This verification link is invalid, expired or already used',
+    PASSWORD_RESET_SENT:
+      'If an account exists for this email, we sent a link to reset its password',
+    PASSWORD_RESET: 'Password reset successfully. You can now log in',
+    INVALID_RESET_LINK: 'This password reset link is invalid, expired or already used',
+    EMAIL_NOT_VERIFIED: 'Verify your email address before sharing pages',
+    SESSION_EXPIRED: 'Your session has expired, please log in again',
+    SESSION_NOT_FOUND: 'Session not found',
+    SESSION_ENDED: 'Signed out of the device',
+    TWO_FACTOR_REQUIRED: 'Enter the code from your authenticator app',
+    TWO_FACTOR_INVALID_CODE: 'Invalid or already used code',
+    TWO_FACTOR_EXPIRED: 'Your sign-in took too long, please log in again',
+    TWO_FACTOR_ENABLED: 'Two-factor authentication enabled',
+    TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+    TWO_FACTOR_NOT_STARTED: 'Start the two-factor setup first',
+    TWO_FACTOR_OAUTH:
+      'Accounts that sign in with Google or GitHub use the two-factor settings of that provider',
+    RECOVERY_CODES_RESET: 'New recovery codes generated. The old ones no longer work',
+    AVATAR_REMOVED: 'Avatar removed successfully',
+    INVALID_AVATAR: 'Avatar must be a PNG, JPEG or WebP image of at most 2 MB',
+    NO_PASSWORD:
+      'Accounts that sign in with Google or GitHub have no password; use the settings of that provider',
+    EMAIL_MANAGED_BY_PROVIDER:
+      'Accounts that sign in with Google or GitHub use the email address of that provider',
+    EMAIL_UNCHANGED: 'This is already your email address',
+    EMAIL_CHANGE_SENT: 'We sent a confirmation link to your new email address',
+    EMAIL_CHANGED: 'Email address changed successfully',
+    INVALID_EMAIL_CHANGE_LINK: 'This confirmation link is invalid, expired or already used',
+    EMAIL_CONFIRMATION_MISMATCH: 'Type your email address to confirm',
+    ACCOUNT_DELETION_SCHEDULED:
+      'Your account is being deleted. Your pages, tasks and images will be removed shortly',
+    ACCOUNT_BEING_DELETED: 'This account is being deleted',
+    DATA_EXPORT_REQUESTED: "We're preparing your data and will email you when it's ready",
+    DATA_EXPORT_READY: 'Your data is ready to download',
+    DATA_EXPORT_IN_PROGRESS: 'Your data is already being prepared',
+    DATA_EXPORT_NOT_FOUND: 'Data export not found',
+    DATA_EXPORT_NOT_READY: 'This data export is not ready yet',
+    DATA_EXPORT_EXPIRED: 'This download has expired. Request a new export',
   },
 
   // Page Messages
@@ -27,12 +70,57 @@ export const MESSAGES = {
     CREATED: 'Page created successfully',
     UPDATED: 'Page updated successfully',
     DELETED: 'Page deleted successfully',
+    TRASHED: 'Page moved to trash',
+    RESTORED: 'Page restored from trash',
+    NOT_IN_TRASH: 'Page is not in the trash',
     RENAMED: 'Page renamed successfully',
     NOT_FOUND: 'Page not found',
     ACCESS_DENIED: 'You do not have access to this page',
     SHARED: 'Page shared successfully',
     UNSHARED: 'Page unshared successfully',
     SHARE_SELF_NOT_ALLOWED: 'You cannot share page with yourself',
+    VERSION_NOT_FOUND: 'Page version not found',
+    VERSION_RESTORED: 'Page version restored successfully',
+    REVISION_CONFLICT: 'Page was changed by someone else since you loaded it',
+    PARENT_NOT_FOUND: 'Parent page not found',
+    MOVED: 'Page moved successfully',
+    MOVE_CYCLE: 'A page cannot be moved into itself or one of its subpages',
+    REORDERED: 'Pages reordered successfully',
+    INVALID_ORDER: 'Pages must all belong to the same parent',
+    TAGS_UPDATED: 'Tags updated successfully',
+    TAG_REMOVED: 'Tag removed successfully',
+    TAG_RENAMED: 'Tag renamed successfully',
+    EXPORTED: 'Export created successfully',
+    EXPORT_TOO_LARGE: 'Too many pages to export at once',
+    EXPORT_PDF_UNAVAILABLE: 'PDF export is not available on this server',
+    INVALID_EXPORT_FORMAT: 'Unsupported export format',
+    DOWNLOAD_NOT_ALLOWED: 'The owner has not allowed downloads of this page',
+    IMPORTED: 'Pages imported successfully',
+    IMPORT_QUEUED: 'Import queued for processing',
+    IMPORT_FILE_REQUIRED: 'A .zip archive is required',
+    IMPORT_NOT_FOUND: 'Import not found',
+    SHARE_ROLE_UPDATED: 'Share role updated successfully',
+    NOT_SHARED_WITH_USER: 'Page not shared with this user',
+    SHARE_OWNER_NOT_ALLOWED: 'This user already owns the page',
+    OWNERSHIP_TRANSFERRED: 'Page ownership transferred successfully',
+    TRANSFER_NESTED_NOT_ALLOWED: 'Move the page to the top level before transferring it',
+    SHARE_PASSWORD_REQUIRED: 'This page is password protected',
+    SHARE_PASSWORD_INCORRECT: 'Incorrect password',
+    SHARE_EXPIRED: 'This link has expired',
+    SHARE_VIEW_LIMIT_REACHED: 'This link has reached its view limit',
+    SHARE_EXPIRY_IN_PAST: 'Expiry date must be in the future',
+    SHARE_UNLOCKED: 'Page unlocked',
+    INVITATION_SENT: 'Invitation sent',
+    INVITATION_CANCELLED: 'Invitation cancelled',
+    INVITATION_NOT_FOUND: 'Invitation not found',
+    COMMENT_ADDED: 'Comment added successfully',
+    COMMENT_UPDATED: 'Comment updated successfully',
+    COMMENT_DELETED: 'Comment deleted successfully',
+    COMMENT_NOT_FOUND: 'Comment not found',
+    COMMENT_RESOLVED: 'Thread resolved',
+    COMMENT_REOPENED: 'Thread reopened',
+    COMMENT_HEADING_NOT_FOUND: 'Heading not found on this page',
+    COMMENT_THREAD_ONLY: 'Only the first comment of a thread can be replied to or resolved',
   },
 
   // Admin Messages
@@ -48,6 +136,11 @@ export const MESSAGES = {
     USER_BANNED: 'User banned successfully',
     USER_UNBANNED: 'User unbanned successfully',
     UNAUTHORIZED: 'Admin authorization required',
+    TWO_FACTOR_SETUP_REQUIRED:
+      'Your role requires two-factor authentication. Set it up to continue',
+    TWO_FACTOR_ROLE_REQUIRED:
+      "Your role requires two-factor authentication, so it can't be turned off",
+    TWO_FACTOR_POLICY_UPDATED: 'Two-factor policy updated',
   },
 
   // General Messages
@@ -59,6 +152,15 @@ export const MESSAGES = {
     SUCCESS: 'Operation successful',
   },
 
+  // Template Messages
+  TEMPLATE: {
+    CREATED: 'Template created successfully',
+    UPDATED: 'Template updated successfully',
+    DELETED: 'Template deleted successfully',
+    NOT_FOUND: 'Template not found',
+    ACCESS_DENIED: 'You do not have access to this template',
+  },
+
   // Task Messages
   TASK: {
     CREATED: 'Task created successfully',
@@ -68,6 +170,12 @@ export const MESSAGES = {
     UNCOMPLETED: 'Task marked as incomplete',
     NOT_FOUND: 'Task not found',
     ACCESS_DENIED: 'You do not have access to this task',
+    RECURRENCE_NEEDS_DEADLINE: 'A repeating task needs a deadline',
+    RECURRENCE_TOP_LEVEL_ONLY: 'Subtasks cannot repeat',
+    NEXT_OCCURRENCE_CREATED: 'Task completed, the next occurrence has been created',
+    CHECKLIST_LINE_REQUIRED: 'Pick the checklist item to link the task to',
+    CHECKLIST_ITEM_NOT_FOUND: 'That line is not a checklist item',
+    CHECKLIST_ITEM_LINKED: 'This checklist item already has a task',
   },
 };
 
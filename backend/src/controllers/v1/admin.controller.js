@@ -7,12 +7,71 @@
 import AdminAccount from '../../models/AdminAccount.model.js';
 import User from '../../models/User.model.js';
 import Page from '../../models/Page.model.js';
-import { generateAdminToken, verifyAdminToken } from '../../utils/token.utils.js';
+import {
+  generateAdminToken,
+  verifyAdminToken,
+  generateTwoFactorToken,
+  readTwoFactorToken,
+} from '../../utils/token.utils.js';
 import { generateMemorablePassword, validatePasswordStrength } from '../../utils/password.utils.js';
 import { STATUS_CODES } from '../../constants/statusCodes.js';
 import { MESSAGES } from '../../constants/messages.js';
 import { triggerManualImageCleanup } from '../../jobs/imageCleanupJob.js';
 import logger from '../../utils/logger.js';
+import { endUserSessions } from '../../utils/session.utils.js';
+import {
+  beginTwoFactorSetup,
+  completeTwoFactorSetup,
+  clearTwoFactor,
+  resetRecoveryCodes,
+  consumeTwoFactorCode,
+  getTwoFactorRequiredRoles,
+  needsTwoFactorSetup,
+} from '../../utils/twoFactor.utils.js';
+import SystemSettings from '../../models/SystemSettings.model.js';
+
+// Name of the service shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = 'ZettaNote Admin';
+
+/**
+ * Sign an admin in once every check passed
+ * @param {object} admin - Admin document
+ * @param {object} req - Express request object
+ * @param {object} details - Extra audit log details
+ * @returns {Promise<object>} Response status and message
+ */
+async function _completeAdminLogin(admin, req, details = {}) {
+  // Generate JWT token
+  const token = generateAdminToken(admin);
+
+  // Update last login and log successful login
+  admin.lastLogin = new Date();
+  admin.addAuditLog('LOGIN_SUCCESS', req.ip, req.get('User-Agent'), {
+    email: admin.email,
+    ...details,
+  });
+  await admin.save();
+
+  return {
+    resStatus: STATUS_CODES.OK,
+    resMessage: {
+      success: true,
+      message: MESSAGES.AUTH.LOGIN_SUCCESS,
+      token,
+      admin: {
+        id: admin._id,
+        email: admin.email,
+        name: admin.name,
+        role: admin.role,
+        permissions: admin.permissions,
+        lastLogin: admin.lastLogin,
+        twoFactorEnabled: admin.twoFactorEnabled,
+        // The portal only lets the admin set up two-factor until this is false
+        twoFactorSetupRequired: await needsTwoFactorSetup(admin),
+      },
+    },
+  };
+}
 
 /**
  * Admin Login
@@ -144,38 +203,114 @@ export async function adminLogin(req) {
       };
     }
 
-    // Generate JWT token
-    const token = generateAdminToken(admin);
+    // Ask for a code before signing in admins with two-factor authentication
+    if (admin.twoFactorEnabled) {
+      admin.addAuditLog('LOGIN_TWO_FACTOR_REQUIRED', req.ip, req.get('User-Agent'), { email });
+      await admin.save();
 
-    // Update last login and log successful login
-    admin.lastLogin = new Date();
-    admin.addAuditLog('LOGIN_SUCCESS', req.ip, req.get('User-Agent'), { email });
-    await admin.save();
+      return {
+        resStatus: STATUS_CODES.OK,
+        resMessage: {
+          success: true,
+          message: MESSAGES.AUTH.TWO_FACTOR_REQUIRED,
+          requireTwoFactor: true,
+          twoFactorToken: generateTwoFactorToken(admin, 'admin'),
+        },
+      };
+    }
 
+    return await _completeAdminLogin(admin, req);
+  } catch (error) {
+    logger.error('Admin login error', error);
     return {
-      resStatus: STATUS_CODES.OK,
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
       resMessage: {
-        success: true,
-        message: MESSAGES.AUTH.LOGIN_SUCCESS,
-        token,
-        admin: {
-          id: admin._id,
-          email: admin.email,
-          name: admin.name,
-          role: admin.role,
-          permissions: admin.permissions,
-          lastLogin: admin.lastLogin,
-          twoFactorEnabled: admin.twoFactorEnabled,
-        },
+        success: false,
+        message: MESSAGES.GENERAL.INTERNAL_ERROR,
       },
     };
+  }
+}
+
+/**
+ * Admin Two-Factor Login
+ * Finishes an admin login with an authenticator or recovery code
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function adminLoginTwoFactor(req) {
+  const { twoFactorToken, code } = req.body;
+
+  // Input validation
+  if (!twoFactorToken || !code) {
+    return {
+      resStatus: STATUS_CODES.BAD_REQUEST,
+      resMessage: {
+        success: false,
+        message: 'Two-factor token and code are required.',
+      },
+    };
+  }
+
+  try {
+    const adminId = readTwoFactorToken(twoFactorToken, 'admin');
+    const admin = adminId && (await AdminAccount.findById(adminId));
+    if (!admin || !admin.active || !admin.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_EXPIRED,
+          twoFactorExpired: true,
+        },
+      };
+    }
+
+    if (admin.isLocked) {
+      return {
+        resStatus: 423, // Locked
+        resMessage: {
+          success: false,
+          message: 'Account is temporarily locked due to failed login attempts.',
+        },
+      };
+    }
+
+    const method = await consumeTwoFactorCode(AdminAccount, admin, String(code));
+    if (!method) {
+      // Wrong codes count towards the same lock as wrong passwords
+      admin.loginAttempts += 1;
+      if (admin.loginAttempts >= 5) {
+        admin.lockUntil = Date.now() + 30 * 60 * 1000; // 30 minutes
+      }
+      admin.addAuditLog('LOGIN_TWO_FACTOR_FAILED', req.ip, req.get('User-Agent'), {
+        email: admin.email,
+        attempts: admin.loginAttempts,
+      });
+      await admin.save();
+
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE,
+        },
+      };
+    }
+
+    admin.loginAttempts = 0;
+    const result = await _completeAdminLogin(admin, req, { twoFactorMethod: method });
+    if (method === 'recovery') {
+      result.resMessage.recoveryCodesLeft = admin.twoFactorRecoveryCodes.length - 1;
+    }
+    return result;
   } catch (error) {
-    logger.error('Admin login error', error);
+    logger.error('Admin two-factor login error', error);
     return {
       resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
       resMessage: {
         success: false,
-        message: MESSAGES.GENERAL.INTERNAL_ERROR,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
       },
     };
   }
@@ -337,6 +472,380 @@ export async function changeFirstPassword(req) {
   }
 }
 
+/**
+ * Setup Admin Two-Factor
+ * Gives the current admin a new secret to add to their authenticator app
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function setupAdminTwoFactor(req) {
+  try {
+    const admin = req.admin;
+    if (admin.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.CONFLICT,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_ALREADY_ENABLED,
+        },
+      };
+    }
+
+    const { secret, otpauthUri } = beginTwoFactorSetup(admin, TWO_FACTOR_ISSUER);
+    admin.addAuditLog('TWO_FACTOR_SETUP_STARTED', req.ip, req.get('User-Agent'), {
+      email: admin.email,
+    });
+    await admin.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        success: true,
+        secret,
+        otpauthUri,
+      },
+    };
+  } catch (error) {
+    logger.error('Setup admin two-factor error', error);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: {
+        success: false,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
+      },
+    };
+  }
+}
+
+/**
+ * Enable Admin Two-Factor
+ * Turns two-factor authentication on with a first code from the authenticator app
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function enableAdminTwoFactor(req) {
+  const { code } = req.body;
+
+  if (!code) {
+    return {
+      resStatus: STATUS_CODES.BAD_REQUEST,
+      resMessage: {
+        success: false,
+        message: 'Code is required.',
+      },
+    };
+  }
+
+  try {
+    const admin = req.admin;
+    if (admin.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.CONFLICT,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_ALREADY_ENABLED,
+        },
+      };
+    }
+
+    if (!admin.twoFactorSecret) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_NOT_STARTED,
+        },
+      };
+    }
+
+    const recoveryCodes = completeTwoFactorSetup(admin, String(code));
+    if (!recoveryCodes) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE,
+        },
+      };
+    }
+
+    admin.addAuditLog('TWO_FACTOR_ENABLED', req.ip, req.get('User-Agent'), {
+      email: admin.email,
+    });
+    await admin.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        success: true,
+        message: MESSAGES.AUTH.TWO_FACTOR_ENABLED,
+        recoveryCodes,
+      },
+    };
+  } catch (error) {
+    logger.error('Enable admin two-factor error', error);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: {
+        success: false,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
+      },
+    };
+  }
+}
+
+/**
+ * Disable Admin Two-Factor
+ * Turns two-factor authentication off after checking the password and a code
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function disableAdminTwoFactor(req) {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return {
+      resStatus: STATUS_CODES.BAD_REQUEST,
+      resMessage: {
+        success: false,
+        message: 'Password and code are required.',
+      },
+    };
+  }
+
+  try {
+    const admin = req.admin;
+    if (!admin.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_NOT_ENABLED,
+        },
+      };
+    }
+
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    if (requiredRoles.includes(admin.role)) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: {
+          success: false,
+          message: MESSAGES.ADMIN.TWO_FACTOR_ROLE_REQUIRED,
+        },
+      };
+    }
+
+    const isPasswordValid = await admin.comparePassword(password);
+    const method = isPasswordValid && (await consumeTwoFactorCode(AdminAccount, admin, code));
+    if (!method) {
+      admin.addAuditLog('TWO_FACTOR_DISABLE_FAILED', req.ip, req.get('User-Agent'), {
+        email: admin.email,
+      });
+      await admin.save();
+
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: {
+          success: false,
+          message: isPasswordValid
+            ? MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE
+            : MESSAGES.AUTH.INCORRECT_PASSWORD,
+        },
+      };
+    }
+
+    clearTwoFactor(admin);
+    admin.addAuditLog('TWO_FACTOR_DISABLED', req.ip, req.get('User-Agent'), {
+      email: admin.email,
+    });
+    await admin.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        success: true,
+        message: MESSAGES.AUTH.TWO_FACTOR_DISABLED,
+      },
+    };
+  } catch (error) {
+    logger.error('Disable admin two-factor error', error);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: {
+        success: false,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
+      },
+    };
+  }
+}
+
+/**
+ * Regenerate Admin Recovery Codes
+ * Replaces the recovery codes of the current admin after checking a code
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function regenerateAdminRecoveryCodes(req) {
+  const { code } = req.body;
+
+  if (!code) {
+    return {
+      resStatus: STATUS_CODES.BAD_REQUEST,
+      resMessage: {
+        success: false,
+        message: 'Code is required.',
+      },
+    };
+  }
+
+  try {
+    const admin = req.admin;
+    if (!admin.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_NOT_ENABLED,
+        },
+      };
+    }
+
+    if (!(await consumeTwoFactorCode(AdminAccount, admin, String(code)))) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: {
+          success: false,
+          message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE,
+        },
+      };
+    }
+
+    const recoveryCodes = resetRecoveryCodes(admin);
+    admin.addAuditLog('TWO_FACTOR_RECOVERY_CODES_RESET', req.ip, req.get('User-Agent'), {
+      email: admin.email,
+    });
+    await admin.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        success: true,
+        message: MESSAGES.AUTH.RECOVERY_CODES_RESET,
+        recoveryCodes,
+      },
+    };
+  } catch (error) {
+    logger.error('Regenerate admin recovery codes error', error);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: {
+        success: false,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
+      },
+    };
+  }
+}
+
+/**
+ * Get Two-Factor Policy
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function getTwoFactorPolicy(req) {
+  try {
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    const admins = await AdminAccount.find().select('role twoFactorEnabled');
+
+    // How many admins of each role have set two-factor up, to see who a policy would lock out
+    const roles = Object.keys(AdminAccount.ROLE_PERMISSIONS).map((role) => {
+      const ofRole = admins.filter((admin) => admin.role === role);
+      return {
+        role,
+        required: requiredRoles.includes(role),
+        admins: ofRole.length,
+        enabled: ofRole.filter((admin) => admin.twoFactorEnabled).length,
+      };
+    });
+
+    req.admin.addAuditLog('VIEW_TWO_FACTOR_POLICY', req.ip, req.get('User-Agent'));
+    await req.admin.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        success: true,
+        requiredRoles,
+        roles,
+      },
+    };
+  } catch (error) {
+    logger.error('Get two-factor policy error', error);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: {
+        success: false,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
+      },
+    };
+  }
+}
+
+/**
+ * Update Two-Factor Policy
+ * Sets the admin roles that must use two-factor authentication
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export async function updateTwoFactorPolicy(req) {
+  const { requiredRoles } = req.body;
+  const validRoles = Object.keys(AdminAccount.ROLE_PERMISSIONS);
+
+  if (!Array.isArray(requiredRoles) || !requiredRoles.every((role) => validRoles.includes(role))) {
+    return {
+      resStatus: STATUS_CODES.BAD_REQUEST,
+      resMessage: {
+        success: false,
+        message: `Required roles must be a list of: ${validRoles.join(', ')}.`,
+      },
+    };
+  }
+
+  try {
+    const settings = await SystemSettings.getSettings();
+    const previousRoles = [...settings.twoFactorRequiredRoles];
+
+    settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+    settings.updatedAt = new Date();
+    settings.updatedBy = req.admin._id;
+    await settings.save();
+
+    req.admin.addAuditLog('TWO_FACTOR_POLICY_UPDATED', req.ip, req.get('User-Agent'), {
+      previousRoles,
+      requiredRoles: settings.twoFactorRequiredRoles,
+    });
+    await req.admin.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        success: true,
+        message: MESSAGES.ADMIN.TWO_FACTOR_POLICY_UPDATED,
+        requiredRoles: settings.twoFactorRequiredRoles,
+      },
+    };
+  } catch (error) {
+    logger.error('Update two-factor policy error', error);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: {
+        success: false,
+        message: MESSAGES.GENERAL.SERVER_ERROR,
+      },
+    };
+  }
+}
+
 /**
  * Create Admin
  * @param {object} req - Express request object
@@ -541,7 +1050,7 @@ export async function getAllAdmins(req) {
   try {
     // Get all admin accounts (excluding passwords)
     const admins = await AdminAccount.find()
-      .select('-password -auditLog -twoFactorSecret')
+      .select('-password -auditLog -twoFactorSecret -twoFactorRecoveryCodes -twoFactorLastStep')
       .sort({ createdAt: -1 });
 
     // Log admin activity
@@ -752,7 +1261,7 @@ export async function getAllUsers(req) {
 
     // Get users with pagination
     const users = await User.find(filter)
-      .select('-password') // Exclude password field
+      .select('-password -twoFactorSecret -twoFactorRecoveryCodes -twoFactorLastStep') // Exclude password and two-factor secrets
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -893,15 +1402,17 @@ export async function banUser(req) {
       };
     }
 
-    // Ban the user
+    // Ban the user and sign them out of every device
     user.banned = true;
     await user.save();
+    const endedSessions = await endUserSessions(user._id);
 
     // Log admin activity
     req.admin.addAuditLog('USER_BANNED', req.ip, req.get('User-Agent'), {
       userId: user._id,
       userEmail: user.email,
       reason,
+      endedSessions,
     });
     await req.admin.save();
 
@@ -1,16 +1,65 @@
 import bcrypt from 'bcryptjs';
 import User from '../../models/User.model.js';
-import { generateToken, verifyToken } from '../../utils/token.utils.js';
+import {
+  verifyToken,
+  getTokenSessionId,
+  generateTwoFactorToken,
+  readTwoFactorToken,
+} from '../../utils/token.utils.js';
+import {
+  REFRESH_COOKIE,
+  describeDevice,
+  startSession,
+  refreshSession,
+  findSessionByRefreshToken,
+  endUserSessions,
+} from '../../utils/session.utils.js';
+import Session from '../../models/Session.model.js';
 import { validatePassword } from '../../utils/password.utils.js';
 import {
   validate,
   signupSchema,
   loginSchema,
   changePasswordSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorLoginSchema,
+  twoFactorConfirmSchema,
+  disableTwoFactorSchema,
 } from '../../utils/validator.utils.js';
 import { STATUS_CODES } from '../../constants/statusCodes.js';
 import { MESSAGES } from '../../constants/messages.js';
 import logger from '../../utils/logger.js';
+import { acceptShareInvitations } from '../../utils/invitation.utils.js';
+import { issueAuthToken, consumeAuthToken, getAuthTokenUrl } from '../../utils/authToken.utils.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from './mailer.controller.js';
+import {
+  beginTwoFactorSetup,
+  completeTwoFactorSetup,
+  clearTwoFactor,
+  resetRecoveryCodes,
+  consumeTwoFactorCode,
+} from '../../utils/twoFactor.utils.js';
+import { scheduleAccountDeletion } from '../../utils/account.utils.js';
+import { closeCollabConnections } from '../../sockets/collab.socket.js';
+
+// Name of the service shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = 'ZettaNote';
+
+/**
+ * Email a user a fresh link that verifies their address
+ * @param {object} user - User document
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const _sendVerificationLink = async (user) => {
+  const token = await issueAuthToken(user, 'verify-email');
+  const { success } = await sendVerificationEmail(user.email, {
+    name: user.name,
+    url: getAuthTokenUrl('verify-email', token),
+  });
+  return success;
+};
 
 /**
  * User Signup Controller
@@ -63,16 +112,40 @@ export const signup = async (req) => {
       throw err;
     }
 
-    // Generate token
-    const token = generateToken(newUser);
+    // Share the pages this email was invited to; a failure here shouldn't fail the signup
+    const inviteToken = typeof req.body.inviteToken === 'string' ? req.body.inviteToken : null;
+    try {
+      await acceptShareInvitations(newUser, inviteToken);
+    } catch (err) {
+      logger.error('Accept share invitations error', err);
+    }
+
+    // Ask the user to confirm their address; they can request another link if this one fails
+    let verificationSent = false;
+    try {
+      verificationSent = await _sendVerificationLink(newUser);
+    } catch (err) {
+      logger.error('Send verification email error', err);
+    }
+
+    // Sign the new user in on this device
+    const session = await startSession(newUser, req);
 
     return {
       resStatus: STATUS_CODES.CREATED,
       resMessage: {
         message: MESSAGES.AUTH.SIGNUP_SUCCESS,
-        user: { name: newUser.name, email: newUser.email, id: newUser._id },
+        user: {
+          name: newUser.name,
+          email: newUser.email,
+          id: newUser._id,
+          emailVerified: newUser.emailVerified,
+          avatar: newUser.avatar,
+          authProvider: newUser.authProvider,
+        },
+        verificationSent,
       },
-      token,
+      session,
     };
   } catch (err) {
     logger.error('Signup error', err);
@@ -126,6 +199,13 @@ export const login = async (req) => {
       };
     }
 
+    if (user.deletionRequestedAt) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.AUTH.ACCOUNT_BEING_DELETED },
+      };
+    }
+
     // Check if user signed up with OAuth
     if (user.authProvider && user.authProvider !== 'local') {
       return {
@@ -156,16 +236,36 @@ export const login = async (req) => {
       };
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // The password alone isn't enough; the session starts once a code is checked too
+    if (user.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.OK,
+        resMessage: {
+          message: MESSAGES.AUTH.TWO_FACTOR_REQUIRED,
+          twoFactorRequired: true,
+          twoFactorToken: generateTwoFactorToken(user, 'user'),
+        },
+      };
+    }
+
+    // Sign the user in on this device
+    const session = await startSession(user, req);
 
     return {
       resStatus: STATUS_CODES.OK,
       resMessage: {
         message: MESSAGES.AUTH.LOGIN_SUCCESS,
-        user: { name: user.name, email: user.email, id: user._id },
+        user: {
+          name: user.name,
+          email: user.email,
+          id: user._id,
+          emailVerified: user.emailVerified,
+          avatar: user.avatar,
+          authProvider: user.authProvider,
+          twoFactorEnabled: user.twoFactorEnabled,
+        },
       },
-      token,
+      session,
     };
   } catch (err) {
     logger.error('Login error', err);
@@ -176,6 +276,257 @@ export const login = async (req) => {
   }
 };
 
+/**
+ * Two-Factor Login Controller
+ * Finishes a login with a code from the authenticator app or a recovery code
+ * @param {object} req - Express request object
+ * @returns {object} Response status, message, and session tokens if successful
+ */
+export const loginTwoFactor = async (req) => {
+  try {
+    const validation = validate(twoFactorLoginSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    const { twoFactorToken, code } = validation.data;
+    const userId = readTwoFactorToken(twoFactorToken, 'user');
+    const user = userId && (await User.findById(userId));
+    if (!user || user.banned || user.deletionRequestedAt || !user.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_EXPIRED, twoFactorExpired: true },
+      };
+    }
+
+    const method = await consumeTwoFactorCode(User, user, code);
+    if (!method) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE },
+      };
+    }
+
+    const session = await startSession(user, req);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.AUTH.LOGIN_SUCCESS,
+        user: {
+          name: user.name,
+          email: user.email,
+          id: user._id,
+          emailVerified: user.emailVerified,
+          avatar: user.avatar,
+          authProvider: user.authProvider,
+          twoFactorEnabled: user.twoFactorEnabled,
+        },
+        // Lets the app warn when the user is running out of recovery codes
+        ...(method === 'recovery' && {
+          recoveryCodesLeft: user.twoFactorRecoveryCodes.length - 1,
+        }),
+      },
+      session,
+    };
+  } catch (err) {
+    logger.error('Two-factor login error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Refresh Session Controller
+ * Exchanges the refresh token cookie for a new access token and a new refresh token
+ * @param {object} req - Express request object
+ * @returns {object} Response status, message, and session tokens if successful
+ */
+export const refresh = async (req) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    if (!refreshToken) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.SESSION_EXPIRED },
+      };
+    }
+
+    const result = await refreshSession(refreshToken, req);
+    if (!result) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.SESSION_EXPIRED },
+        clearSession: true,
+      };
+    }
+
+    const { user, token, refreshToken: nextRefreshToken } = result;
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        user: {
+          name: user.name,
+          email: user.email,
+          id: user._id,
+          emailVerified: user.emailVerified,
+          avatar: user.avatar,
+          authProvider: user.authProvider,
+        },
+      },
+      session: { token, refreshToken: nextRefreshToken },
+    };
+  } catch (err) {
+    logger.error('Refresh session error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Logout Controller
+ * Ends the session of this device, or of every device with allDevices
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export const logout = async (req) => {
+  try {
+    // The refresh token still identifies the session after the access token expired
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    const session = refreshToken ? await findSessionByRefreshToken(refreshToken) : null;
+
+    if (session) {
+      if (req.body?.allDevices === true) {
+        await endUserSessions(session.user);
+      } else {
+        await Session.deleteOne({ _id: session._id });
+        closeCollabConnections(session.user, { sessionId: session._id });
+      }
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { success: true, message: MESSAGES.AUTH.LOGOUT_SUCCESS },
+    };
+  } catch (err) {
+    logger.error('Logout error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Sessions Controller
+ * Lists the devices the current user is signed in on
+ * @param {object} req - Express request object
+ * @returns {object} Response status and sessions if successful
+ */
+export const getSessions = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const currentSessionId = getTokenSessionId(token);
+    const sessions = await Session.find({ user: user._id, expiresAt: { $gt: new Date() } }).sort({
+      lastSeenAt: -1,
+    });
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          device: describeDevice(session.userAgent),
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: String(session._id) === currentSessionId,
+        })),
+      },
+    };
+  } catch (err) {
+    logger.error('Get sessions error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * End Session Controller
+ * Signs the current user out of one of their devices
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const endSession = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { sessionId } = req.params;
+    const { deletedCount } = /^[0-9a-fA-F]{24}$/.test(sessionId)
+      ? await Session.deleteOne({ _id: sessionId, user: user._id })
+      : { deletedCount: 0 };
+    if (!deletedCount) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.AUTH.SESSION_NOT_FOUND },
+      };
+    }
+    closeCollabConnections(user._id, { sessionId });
+
+    const current = sessionId === getTokenSessionId(token);
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.SESSION_ENDED, current },
+      clearSession: current,
+    };
+  } catch (err) {
+    logger.error('End session error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
 /**
  * Get User Controller
  * Returns current user information
@@ -208,6 +559,11 @@ export const getUser = async (req) => {
           name: user.name,
           email: user.email,
           id: user._id,
+          emailVerified: user.emailVerified,
+          avatar: user.avatar,
+          authProvider: user.authProvider,
+          twoFactorEnabled: user.twoFactorEnabled,
+          recoveryCodesLeft: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
         },
       },
     };
@@ -222,12 +578,20 @@ export const getUser = async (req) => {
 
 /**
  * Change Password Controller
- * Updates user password
+ * Updates the current user's password and signs out their other devices
  * @param {object} req - Express request object
- * @returns {object} Response status and message if successful
+ * @returns {object} Response status and message, and a new session if successful
  */
 export const changePassword = async (req) => {
   try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
     // Validate input
     const validation = validate(changePasswordSchema, req.body);
     if (!validation.isValid) {
@@ -237,7 +601,7 @@ export const changePassword = async (req) => {
       };
     }
 
-    const { email, password, newPassword, confirmNewPassword } = req.body;
+    const { currentPassword, newPassword } = validation.data;
 
     // Validate new password
     const passwordValidation = validatePassword(newPassword);
@@ -248,27 +612,26 @@ export const changePassword = async (req) => {
       };
     }
 
-    // Check if passwords match
-    if (newPassword !== confirmNewPassword) {
+    const user = await verifyToken(token);
+    if (!user) {
       return {
-        resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: 'New passwords do not match' },
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
       };
     }
 
-    // Find user and verify current password
-    const user = await User.findOne({ email });
-    if (!user) {
+    if (user.authProvider !== 'local' || !user.password) {
       return {
-        resStatus: STATUS_CODES.UNAUTHORIZED,
-        resMessage: { message: MESSAGES.AUTH.INVALID_CREDENTIALS },
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.NO_PASSWORD },
       };
     }
 
-    const passwordMatch = await bcrypt.compare(password, user.password);
+    // A wrong password is a bad request, not a signed-out session
+    const passwordMatch = await bcrypt.compare(currentPassword, user.password);
     if (!passwordMatch) {
       return {
-        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resStatus: STATUS_CODES.BAD_REQUEST,
         resMessage: { message: MESSAGES.AUTH.INCORRECT_PASSWORD },
       };
     }
@@ -278,15 +641,16 @@ export const changePassword = async (req) => {
     user.password = hashedPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user);
+    // Sign out every device that knew the old password, then sign this one back in
+    await endUserSessions(user._id);
+    const session = await startSession(user, req);
 
     return {
       resStatus: STATUS_CODES.OK,
       resMessage: {
         message: MESSAGES.AUTH.PASSWORD_CHANGED,
       },
-      token,
+      session,
     };
   } catch (err) {
     logger.error('Change password error', err);
@@ -298,46 +662,513 @@ export const changePassword = async (req) => {
 };
 
 /**
- * Delete User Controller
- * Deletes user account
+ * Setup Two-Factor Controller
+ * Gives the current user a new secret to add to their authenticator app
  * @param {object} req - Express request object
- * @returns {object} Response status and message if successful
+ * @returns {object} Response status, secret and otpauth URI if successful
  */
-export const deleteUser = async (req) => {
+export const setupTwoFactor = async (req) => {
   try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
+    const token = req.cookies?.token;
+    if (!token) {
       return {
-        resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: 'Email and password are required' },
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
       };
     }
 
-    // Find user
-    const user = await User.findOne({ email });
+    const user = await verifyToken(token);
     if (!user) {
       return {
-        resStatus: STATUS_CODES.NOT_FOUND,
-        resMessage: { message: MESSAGES.AUTH.USER_NOT_FOUND },
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
       };
     }
 
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password.trim(), user.password);
-    if (!passwordMatch) {
+    // OAuth logins never reach the code check, so a secret would protect nothing
+    if (user.authProvider && user.authProvider !== 'local') {
       return {
-        resStatus: STATUS_CODES.UNAUTHORIZED,
-        resMessage: { message: MESSAGES.AUTH.INCORRECT_PASSWORD },
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_OAUTH },
+      };
+    }
+
+    if (user.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.CONFLICT,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_ALREADY_ENABLED },
+      };
+    }
+
+    const { secret, otpauthUri } = beginTwoFactorSetup(user, TWO_FACTOR_ISSUER);
+    await user.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { secret, otpauthUri },
+    };
+  } catch (err) {
+    logger.error('Setup two-factor error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Enable Two-Factor Controller
+ * Turns two-factor authentication on with a first code from the authenticator app
+ * @param {object} req - Express request object
+ * @returns {object} Response status, message and recovery codes if successful
+ */
+export const enableTwoFactor = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const validation = validate(twoFactorConfirmSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    if (user.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.CONFLICT,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_ALREADY_ENABLED },
+      };
+    }
+
+    if (!user.twoFactorSecret) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_NOT_STARTED },
+      };
+    }
+
+    const recoveryCodes = completeTwoFactorSetup(user, validation.data.code);
+    if (!recoveryCodes) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE },
+      };
+    }
+    await user.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_ENABLED, recoveryCodes },
+    };
+  } catch (err) {
+    logger.error('Enable two-factor error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Disable Two-Factor Controller
+ * Turns two-factor authentication off after checking the password and a code
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const disableTwoFactor = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const validation = validate(disableTwoFactorSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    if (!user.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_NOT_ENABLED },
+      };
+    }
+
+    const { password, code } = validation.data;
+    const passwordMatch = await bcrypt.compare(password, user.password);
+    if (!passwordMatch) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.INCORRECT_PASSWORD },
+      };
+    }
+
+    if (!(await consumeTwoFactorCode(User, user, code))) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE },
+      };
+    }
+
+    clearTwoFactor(user);
+    await user.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_DISABLED },
+    };
+  } catch (err) {
+    logger.error('Disable two-factor error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Regenerate Recovery Codes Controller
+ * Replaces the recovery codes of the current user after checking a code
+ * @param {object} req - Express request object
+ * @returns {object} Response status, message and recovery codes if successful
+ */
+export const regenerateRecoveryCodes = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const validation = validate(twoFactorConfirmSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    if (!user.twoFactorEnabled) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_NOT_ENABLED },
+      };
+    }
+
+    if (!(await consumeTwoFactorCode(User, user, validation.data.code))) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE },
+      };
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.RECOVERY_CODES_RESET, recoveryCodes },
+    };
+  } catch (err) {
+    logger.error('Regenerate recovery codes error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Verify Email Controller
+ * Marks the email of the user a verification link was sent to as verified
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const verifyEmail = async (req) => {
+  try {
+    const validation = validate(verifyEmailSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    const userId = await consumeAuthToken(validation.data.token, 'verify-email');
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.INVALID_VERIFICATION_LINK },
+      };
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    // A verified email can now claim the pages it was invited to without the invitation link
+    try {
+      await acceptShareInvitations(user);
+    } catch (err) {
+      logger.error('Accept share invitations error', err);
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.EMAIL_VERIFIED },
+    };
+  } catch (err) {
+    logger.error('Verify email error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Resend Verification Controller
+ * Emails the current user a new verification link, replacing the previous one
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const resendVerification = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    if (user.emailVerified) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.EMAIL_ALREADY_VERIFIED },
+      };
+    }
+
+    const sent = await _sendVerificationLink(user);
+    if (!sent) {
+      return {
+        resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+        resMessage: { message: 'Failed to send verification email' },
+      };
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.VERIFICATION_SENT },
+    };
+  } catch (err) {
+    logger.error('Resend verification error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Forgot Password Controller
+ * Emails a password reset link. The response is the same whether or not the
+ * email has an account, so it can't be used to find out who is registered.
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message
+ */
+export const forgotPassword = async (req) => {
+  try {
+    const validation = validate(forgotPasswordSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    // OAuth accounts have no password to reset, and banned or deleted users can't log in anyway
+    const user = await User.findOne({ email: validation.data.email.toLowerCase() });
+    if (user && user.authProvider === 'local' && !user.banned && !user.deletionRequestedAt) {
+      const token = await issueAuthToken(user, 'reset-password');
+      await sendPasswordResetEmail(user.email, {
+        name: user.name,
+        url: getAuthTokenUrl('reset-password', token),
+      });
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.PASSWORD_RESET_SENT },
+    };
+  } catch (err) {
+    logger.error('Forgot password error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Reset Password Controller
+ * Sets a new password for the user a reset link was sent to
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const resetPassword = async (req) => {
+  try {
+    const validation = validate(resetPasswordSchema, req.body);
+    if (!validation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: validation.message },
+      };
+    }
+
+    const { token, newPassword } = validation.data;
+
+    // Check the password before redeeming the link, so a rejected password doesn't use it up
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: passwordValidation.error },
+      };
+    }
+
+    const userId = await consumeAuthToken(token, 'reset-password');
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.INVALID_RESET_LINK },
+      };
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    // Following the emailed link proves the user owns the address
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await endUserSessions(user._id);
+
+    try {
+      await acceptShareInvitations(user);
+    } catch (err) {
+      logger.error('Accept share invitations error', err);
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.AUTH.PASSWORD_RESET },
+    };
+  } catch (err) {
+    logger.error('Reset password error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Delete User Controller
+ * Deletes user account
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const deleteUser = async (req) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: 'Email and password are required' },
+      };
+    }
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.AUTH.USER_NOT_FOUND },
+      };
+    }
+
+    // Verify password
+    const passwordMatch = await bcrypt.compare(password.trim(), user.password);
+    if (!passwordMatch) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INCORRECT_PASSWORD },
+      };
+    }
+
+    // Accounts with two-factor authentication also confirm with a code
+    if (user.twoFactorEnabled && !(await consumeTwoFactorCode(User, user, req.body.code))) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE },
       };
     }
 
-    // Delete user
-    await user.deleteOne();
+    // Remove the account with its pages, tasks and images
+    await scheduleAccountDeletion(user);
 
     return {
       resStatus: STATUS_CODES.OK,
-      resMessage: { message: MESSAGES.AUTH.ACCOUNT_DELETED },
+      resMessage: { message: MESSAGES.AUTH.ACCOUNT_DELETION_SCHEDULED },
     };
   } catch (err) {
     logger.error('Delete user error', err);
@@ -411,8 +1242,21 @@ export const getUserById = async (req) => {
 export default {
   signup,
   login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  getSessions,
+  endSession,
   getUser,
   changePassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   deleteUser,
   getUserById,
 };
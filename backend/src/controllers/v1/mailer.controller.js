@@ -7,6 +7,14 @@ import { sendMail } from '../../mailers/resend.client.js';
 import { STATUS_CODES } from '../../constants/statusCodes.js';
 import { MESSAGES } from '../../constants/messages.js';
 import logger from '../../utils/logger.js';
+import { buildShareEmail } from '../../utils/invitation.utils.js';
+import { buildMentionEmail } from '../../utils/comment.utils.js';
+import {
+  buildVerificationEmail,
+  buildPasswordResetEmail,
+  buildEmailChangeEmail,
+  buildDataExportEmail,
+} from '../../utils/authToken.utils.js';
 
 /**
  * Send Test/Generic Email
@@ -442,3 +450,225 @@ This task is now overdue. Please log in to your ZettaNote dashboard to complete
     };
   }
 };
+
+/**
+ * Send page shared email
+ * @description Tells someone a page was shared with them, or invites them to sign up for it
+ * @param {string} to - Recipient email address
+ * @param {object} details - Inviter name, page name, role, link and whether it is an invitation
+ * @returns {object} Response status and message
+ */
+export const sendShareEmail = async (to, details) => {
+  try {
+    const { subject, html, text } = buildShareEmail(details);
+    const result = await sendMail({ to, subject, html, text });
+
+    if (result.success) {
+      logger.info(`Share email sent successfully to ${to}`);
+      return {
+        success: true,
+        message: 'Share email sent successfully',
+        id: result.id,
+      };
+    } else {
+      logger.error(`Failed to send share email to ${to}:`, result.error);
+      return {
+        success: false,
+        message: 'Failed to send share email',
+        error: result.error,
+      };
+    }
+  } catch (error) {
+    logger.error(`Error sending share email to ${to}:`, error);
+    return {
+      success: false,
+      message: 'Error sending share email',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send comment mention email
+ * @description Tells a user they were mentioned in a comment on a page
+ * @param {string} to - Recipient email address
+ * @param {object} details - Author name, page name, comment body and link to the page
+ * @returns {object} Response status and message
+ */
+export const sendMentionEmail = async (to, details) => {
+  try {
+    const { subject, html, text } = buildMentionEmail(details);
+    const result = await sendMail({ to, subject, html, text });
+
+    if (result.success) {
+      logger.info(`Mention email sent successfully to ${to}`);
+      return {
+        success: true,
+        message: 'Mention email sent successfully',
+        id: result.id,
+      };
+    } else {
+      logger.error(`Failed to send mention email to ${to}:`, result.error);
+      return {
+        success: false,
+        message: 'Failed to send mention email',
+        error: result.error,
+      };
+    }
+  } catch (error) {
+    logger.error(`Error sending mention email to ${to}:`, error);
+    return {
+      success: false,
+      message: 'Error sending mention email',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send verification email
+ * @description Sends a new user the link that confirms their email address
+ * @param {string} to - Recipient email address
+ * @param {object} details - User name and verification link
+ * @returns {object} Response status and message
+ */
+export const sendVerificationEmail = async (to, details) => {
+  try {
+    const { subject, html, text } = buildVerificationEmail(details);
+    const result = await sendMail({ to, subject, html, text });
+
+    if (result.success) {
+      logger.info(`Verification email sent successfully to ${to}`);
+      return {
+        success: true,
+        message: 'Verification email sent successfully',
+        id: result.id,
+      };
+    } else {
+      logger.error(`Failed to send verification email to ${to}:`, result.error);
+      return {
+        success: false,
+        message: 'Failed to send verification email',
+        error: result.error,
+      };
+    }
+  } catch (error) {
+    logger.error(`Error sending verification email to ${to}:`, error);
+    return {
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send password reset email
+ * @description Sends the link that lets a user choose a new password
+ * @param {string} to - Recipient email address
+ * @param {object} details - User name and password reset link
+ * @returns {object} Response status and message
+ */
+export const sendPasswordResetEmail = async (to, details) => {
+  try {
+    const { subject, html, text } = buildPasswordResetEmail(details);
+    const result = await sendMail({ to, subject, html, text });
+
+    if (result.success) {
+      logger.info(`Password reset email sent successfully to ${to}`);
+      return {
+        success: true,
+        message: 'Password reset email sent successfully',
+        id: result.id,
+      };
+    } else {
+      logger.error(`Failed to send password reset email to ${to}:`, result.error);
+      return {
+        success: false,
+        message: 'Failed to send password reset email',
+        error: result.error,
+      };
+    }
+  } catch (error) {
+    logger.error(`Error sending password reset email to ${to}:`, error);
+    return {
+      success: false,
+      message: 'Error sending password reset email',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send email change confirmation
+ * @description Sends the link that moves an account to a new email address, to that address
+ * @param {string} to - Recipient email address
+ * @param {object} details - User name, new email address and confirmation link
+ * @returns {object} Response status and message
+ */
+export const sendEmailChangeEmail = async (to, details) => {
+  try {
+    const { subject, html, text } = buildEmailChangeEmail(details);
+    const result = await sendMail({ to, subject, html, text });
+
+    if (result.success) {
+      logger.info(`Email change confirmation sent successfully to ${to}`);
+      return {
+        success: true,
+        message: 'Email change confirmation sent successfully',
+        id: result.id,
+      };
+    } else {
+      logger.error(`Failed to send email change confirmation to ${to}:`, result.error);
+      return {
+        success: false,
+        message: 'Failed to send email change confirmation',
+        error: result.error,
+      };
+    }
+  } catch (error) {
+    logger.error(`Error sending email change confirmation to ${to}:`, error);
+    return {
+      success: false,
+      message: 'Error sending email change confirmation',
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Send data export ready email
+ * @description Tells a user the export of their data can be downloaded, and until when
+ * @param {string} to - Recipient email address
+ * @param {object} details - User name, settings page link and expiry date
+ * @returns {object} Response status and message
+ */
+export const sendDataExportEmail = async (to, details) => {
+  try {
+    const { subject, html, text } = buildDataExportEmail(details);
+    const result = await sendMail({ to, subject, html, text });
+
+    if (result.success) {
+      logger.info(`Data export email sent successfully to ${to}`);
+      return {
+        success: true,
+        message: 'Data export email sent successfully',
+        id: result.id,
+      };
+    } else {
+      logger.error(`Failed to send data export email to ${to}:`, result.error);
+      return {
+        success: false,
+        message: 'Failed to send data export email',
+        error: result.error,
+      };
+    }
+  } catch (error) {
+    logger.error(`Error sending data export email to ${to}:`, error);
+    return {
+      success: false,
+      message: 'Error sending data export email',
+      error: error.message,
+    };
+  }
+};
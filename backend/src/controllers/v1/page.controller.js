@@ -1,14 +1,109 @@
+import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 import Page from '../../models/Page.model.js';
 import User from '../../models/User.model.js';
 import Image from '../../models/Image.model.js';
-import { verifyToken } from '../../utils/token.utils.js';
+import PageVersion from '../../models/PageVersion.model.js';
+import Template from '../../models/Template.model.js';
+import ShareLink from '../../models/ShareLink.model.js';
+import ShareInvitation from '../../models/ShareInvitation.model.js';
+import Comment from '../../models/Comment.model.js';
+import { verifyToken, generateShareToken, verifyShareToken } from '../../utils/token.utils.js';
+import { hashPassword, comparePassword } from '../../utils/password.utils.js';
 import { STATUS_CODES } from '../../constants/statusCodes.js';
 import { MESSAGES } from '../../constants/messages.js';
 import { z } from 'zod';
 import logger from '../../utils/logger.js';
 import { safeRedisCall } from '../../config/redis.js';
-import { updateImageReferences, getContentImageIds } from '../../utils/image.utils.js';
+import {
+  updateImageReferences,
+  getContentImageIds,
+  uploadImageFile,
+  extractImageUrls,
+} from '../../utils/image.utils.js';
+import { snapshotPageVersion, preserveUnversionedContent } from '../../utils/version.utils.js';
+import { diffLines } from '../../utils/diff.utils.js';
+import {
+  isStaleRevision,
+  commitPageData,
+  getRevisionConflict,
+} from '../../utils/revision.utils.js';
+import { getPurgeDate, invalidatePageCaches, purgePage } from '../../utils/trash.utils.js';
+import {
+  getDescendantIds,
+  wouldCreateCycle,
+  getNextPosition,
+  sharePagesWithUsers,
+  unsharePagesWithUser,
+  setShareRole,
+  transferPages,
+} from '../../utils/hierarchy.utils.js';
+import {
+  SHARE_ROLES,
+  DEFAULT_SHARE_ROLE,
+  getShareRoles,
+  getPageRole,
+  hasPageRole,
+} from '../../utils/permission.utils.js';
+import {
+  escapeRegex,
+  parseSearchQuery,
+  findHighlights,
+  buildSnippet,
+} from '../../utils/search.utils.js';
+import {
+  normalizeLinkTarget,
+  extractWikiLinks,
+  extractMarkdownLinks,
+  rewriteWikiLinks,
+  getLinkContext,
+} from '../../utils/link.utils.js';
+import {
+  normalizeTag,
+  TAG_NAME_PATTERN,
+  isTagOrChild,
+  extractHashtags,
+  rewriteHashtags,
+  getPageTags,
+  countTags,
+} from '../../utils/tag.utils.js';
+import {
+  isValidTimeZone,
+  getTemplateVariables,
+  expandTemplateVariables,
+} from '../../utils/template.utils.js';
+import { EXPORT_FORMATS, exportPages } from '../../utils/export.utils.js';
+import { renderMarkdown, getTableOfContents, getExcerpt } from '../../utils/markdown.utils.js';
+import {
+  getShareLinkStatus,
+  getViewDay,
+  getShareLinkAnalytics,
+  buildShareDocument,
+  buildShareNotFoundDocument,
+  buildSharePasswordDocument,
+} from '../../utils/share.utils.js';
+import {
+  IMPORT_SOURCES,
+  IMPORT_STRUCTURES,
+  importArchive,
+  storeImportUpload,
+} from '../../utils/import.utils.js';
+import {
+  createInvitationToken,
+  getInvitationExpiry,
+  getInvitationUrl,
+} from '../../utils/invitation.utils.js';
+import {
+  COMMENT_MAX_LENGTH,
+  QUOTE_MAX_LENGTH,
+  extractMentionIds,
+  locateAnchor,
+  buildCommentThreads,
+} from '../../utils/comment.utils.js';
+import { sendShareEmail, sendMentionEmail } from './mailer.controller.js';
+import { reloadPageForEditors, closePagesForEditors } from '../../sockets/collab.socket.js';
+import { pageImportQueue } from '../../config/queue.js';
+import config from '../../config/index.js';
 import cloudinary from '../../config/cloudinary.js';
 
 /**
@@ -29,7 +124,7 @@ const _getPageNameAndId = async (pageId) => {
 
 /**
  * Create Page Controller
- * Creates a new page for the user
+ * Creates a new page for the user, optionally from a template whose {{variables}} are expanded
  * @param {object} req - Express request object
  * @returns {object} Response status and message if successful
  */
@@ -46,15 +141,25 @@ export const createPage = async (req) => {
     // Validate input
     const createPageSchema = z.object({
       pageName: z.string().min(1, 'Page name is required'),
+      parentId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, 'Invalid parent page ID')
+        .nullable()
+        .optional(),
+      templateId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, 'Invalid template ID')
+        .optional(),
+      timeZone: z.string().refine(isValidTimeZone, 'Invalid time zone').optional(),
     });
     const parseResult = createPageSchema.safeParse(req.body);
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
-    const { pageName } = parseResult.data;
+    const { pageName, parentId = null, templateId, timeZone } = parseResult.data;
 
     // Verify user
     const user = await verifyToken(token);
@@ -65,21 +170,87 @@ export const createPage = async (req) => {
       };
     }
 
+    // Nested pages can only be created inside the user's own pages
+    let parent = null;
+    if (parentId) {
+      parent = await Page.findOne({ _id: parentId, deletedAt: null });
+      if (!parent) {
+        return {
+          resStatus: STATUS_CODES.NOT_FOUND,
+          resMessage: { message: MESSAGES.PAGE.PARENT_NOT_FOUND },
+        };
+      }
+      if (!parent.owner.equals(user._id)) {
+        return {
+          resStatus: STATUS_CODES.FORBIDDEN,
+          resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+        };
+      }
+    }
+
+    // Start from the template's content, if any
+    let pageData = '';
+    if (templateId) {
+      const template = await Template.findById(templateId);
+      if (!template) {
+        return {
+          resStatus: STATUS_CODES.NOT_FOUND,
+          resMessage: { message: MESSAGES.TEMPLATE.NOT_FOUND },
+        };
+      }
+      if (!template.isPublic && !template.templateOwner.equals(user._id)) {
+        return {
+          resStatus: STATUS_CODES.FORBIDDEN,
+          resMessage: { message: MESSAGES.TEMPLATE.ACCESS_DENIED },
+        };
+      }
+      pageData = expandTemplateVariables(
+        template.templateData,
+        getTemplateVariables({ title: pageName, user, timeZone })
+      );
+    }
+
     // Create new page
     const newPage = new Page({
       pageName,
-      pageData: '',
+      pageData,
+      links: extractWikiLinks(pageData),
+      hashtags: extractHashtags(pageData),
       owner: user._id,
+      parent: parent?._id ?? null,
+      position: await getNextPosition(user._id, parent?._id ?? null),
     });
     await newPage.save();
 
+    // Templates can contain uploaded images, which are now also used by this page
+    const templateImageIds = getContentImageIds(pageData);
+    if (templateImageIds.length > 0) {
+      try {
+        await updateImageReferences(newPage._id, templateImageIds, []);
+      } catch (imageError) {
+        logger.error('Error updating image references:', imageError);
+      }
+    }
+
     // Add page to user's pages
     user.pages.push(newPage._id);
     await user.save();
 
+    // Pages created in a shared notebook are shared with the same people
+    if (parent && parent.sharedTo.length > 0) {
+      await sharePagesWithUsers([newPage._id], parent.sharedTo, getShareRoles(parent));
+      newPage.sharedTo = parent.sharedTo;
+    }
+
     // Cache new page in Redis
     const cachedPages = JSON.parse(await safeRedisCall('get', `user:${user._id}:ownedPages`)) || [];
-    cachedPages.push({ name: newPage.pageName, id: newPage._id });
+    cachedPages.push({
+      name: newPage.pageName,
+      id: newPage._id,
+      parent: newPage.parent,
+      position: newPage.position,
+      tags: [],
+    });
     const saved = await safeRedisCall(
       'set',
       `user:${user._id}:ownedPages`,
@@ -131,7 +302,7 @@ export const getPage = async (req) => {
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
     const { pageId } = parseResult.data;
@@ -147,18 +318,11 @@ export const getPage = async (req) => {
       };
     }
 
-    // Check Redis cache first
+    // Check Redis cache first; cached pages still go through the permission check
     const cachedPage = await safeRedisCall('get', key);
-    if (cachedPage) {
-      logger.info('Page fetched from Redis cache');
-      return {
-        resStatus: STATUS_CODES.OK,
-        resMessage: { Page: JSON.parse(cachedPage) },
-      };
-    }
-
-    // Find page
-    const page = await Page.findById(pageId);
+    const page = cachedPage
+      ? JSON.parse(cachedPage)
+      : await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -167,27 +331,29 @@ export const getPage = async (req) => {
     }
 
     // Check permissions
-    const isOwner = page.owner.equals(user._id);
-    const isShared = (page.sharedTo || []).some((id) => id.equals(user._id));
-
-    if (!isOwner && !isShared) {
+    const role = getPageRole(page, user._id);
+    if (!role) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { Error: MESSAGES.PAGE.ACCESS_DENIED },
       };
     }
 
-    // Cache page in Redis for future requests
-    const saved = await safeRedisCall('set', key, JSON.stringify(page), {
-      EX: 3600, // Cache for 1 hour
-    });
-    if (saved) {
-      logger.info('Page cached in Redis');
+    if (cachedPage) {
+      logger.info('Page fetched from Redis cache');
+    } else {
+      // Cache page in Redis for future requests
+      const saved = await safeRedisCall('set', key, JSON.stringify(page), {
+        EX: 3600, // Cache for 1 hour
+      });
+      if (saved) {
+        logger.info('Page cached in Redis');
+      }
     }
 
     return {
       resStatus: STATUS_CODES.OK,
-      resMessage: { Page: page },
+      resMessage: { Page: page, role },
     };
   } catch (err) {
     logger.error('Get page error', err);
@@ -236,14 +402,19 @@ export const getPages = async (req) => {
       // Use single query with $in operator instead of N+1 queries
       if (user.pages && user.pages.length > 0) {
         const ownedPagesData = await Page.find(
-          { _id: { $in: user.pages } },
-          { pageName: 1, _id: 1 }
-        ).lean();
+          { _id: { $in: user.pages }, deletedAt: null },
+          { pageName: 1, _id: 1, parent: 1, position: 1, tags: 1, hashtags: 1 }
+        )
+          .sort({ position: 1 })
+          .lean();
 
         ownedPages.push(
           ...ownedPagesData.map((page) => ({
             name: page.pageName,
             id: page._id,
+            parent: page.parent ?? null,
+            position: page.position ?? 0,
+            tags: getPageTags(page),
           }))
         );
       }
@@ -270,14 +441,30 @@ export const getPages = async (req) => {
       // Use single query with $in operator instead of N+1 queries
       if (user.sharedPages && user.sharedPages.length > 0) {
         const sharedPagesData = await Page.find(
-          { _id: { $in: user.sharedPages } },
-          { pageName: 1, _id: 1 }
-        ).lean();
+          { _id: { $in: user.sharedPages }, deletedAt: null },
+          {
+            pageName: 1,
+            _id: 1,
+            parent: 1,
+            position: 1,
+            tags: 1,
+            hashtags: 1,
+            owner: 1,
+            sharedTo: 1,
+            shareRoles: 1,
+          }
+        )
+          .sort({ position: 1 })
+          .lean();
 
         sharedPages.push(
           ...sharedPagesData.map((page) => ({
             name: page.pageName,
             id: page._id,
+            parent: page.parent ?? null,
+            position: page.position ?? 0,
+            tags: getPageTags(page),
+            role: getPageRole(page, user._id),
           }))
         );
       }
@@ -296,6 +483,7 @@ export const getPages = async (req) => {
       resMessage: {
         OwnedPages: ownedPages,
         SharedPages: sharedPages,
+        Tags: countTags([...ownedPages, ...sharedPages]),
       },
     };
   } catch (err) {
@@ -327,15 +515,16 @@ export const savePage = async (req) => {
     const savePageSchema = z.object({
       pageId: z.string().min(1, 'Page ID is required'),
       newPageData: z.string().min(0, 'Page data is required'),
+      baseRevision: z.number().int().min(0).optional(),
     });
     const parseResult = savePageSchema.safeParse(req.body);
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
-    const { pageId, newPageData } = parseResult.data;
+    const { pageId, newPageData, baseRevision } = parseResult.data;
 
     // Verify user
     const user = await verifyToken(token);
@@ -347,7 +536,7 @@ export const savePage = async (req) => {
     }
 
     // Find page
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -356,19 +545,38 @@ export const savePage = async (req) => {
     }
 
     // Check if user is owner or has write permission
-    if (!page.owner.equals(user._id) && !(page.sharedTo || []).some((id) => id.equals(user._id))) {
+    if (!hasPageRole(page, user._id, 'editor')) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
       };
     }
 
+    // Reject saves based on an outdated revision
+    if (isStaleRevision(page, baseRevision)) {
+      return getRevisionConflict(page);
+    }
+
     // Synchronous save logic
     const previousImageIds = getContentImageIds(page.pageData);
 
-    // Update page
-    page.pageData = newPageData;
-    await page.save();
+    await preserveUnversionedContent(page);
+
+    // Update page, only if no other save landed since it was loaded
+    const committed = await commitPageData(page, newPageData);
+    if (!committed) {
+      return getRevisionConflict(await Page.findById(pageId));
+    }
+    // Anyone editing the page live picks up the saved content
+    await reloadPageForEditors(pageId);
+
+    // Record the new content in the page's version history
+    try {
+      await snapshotPageVersion(page, user._id);
+    } catch (versionError) {
+      logger.error('Error saving page version:', versionError);
+      // Don't fail the save operation if versioning fails
+    }
 
     // Handle image reference updates
     const currentImageIds = getContentImageIds(newPageData);
@@ -424,6 +632,50 @@ export const savePage = async (req) => {
   }
 };
 
+/**
+ * Helper function to rewrite the [[links]] to a renamed page in the pages a user can edit
+ * @param {string} oldName - Previous page name
+ * @param {string} newName - New page name
+ * @param {object} user - Authenticated user document
+ * @returns {object} Number of pages and links rewritten
+ */
+const _rewriteIncomingLinks = async (oldName, newName, user) => {
+  const linkingPages = await Page.find({
+    links: normalizeLinkTarget(oldName),
+    deletedAt: null,
+    $or: [{ owner: user._id }, { sharedTo: user._id }],
+  });
+
+  const rewritten = { pages: 0, links: 0 };
+  for (const linkingPage of linkingPages) {
+    const { content, count } = rewriteWikiLinks(linkingPage.pageData, oldName, newName);
+    if (count === 0 || !hasPageRole(linkingPage, user._id, 'editor')) {
+      continue;
+    }
+
+    await preserveUnversionedContent(linkingPage);
+
+    // Skip pages saved in the meantime rather than overwrite someone's edit
+    const committed = await commitPageData(linkingPage, content);
+    if (!committed) {
+      logger.warn(`Skipped link rewrite for concurrently modified page ${linkingPage._id}`);
+      continue;
+    }
+    rewritten.pages++;
+    rewritten.links += count;
+    await reloadPageForEditors(linkingPage._id);
+
+    try {
+      await snapshotPageVersion(linkingPage, user._id);
+    } catch (versionError) {
+      logger.error('Error saving page version:', versionError);
+    }
+    await safeRedisCall('del', `page:${linkingPage._id}`);
+  }
+
+  return rewritten;
+};
+
 /**
  * Rename Page Controller
  * Updates page name
@@ -444,15 +696,16 @@ export const renamePage = async (req) => {
     const renamePageSchema = z.object({
       pageId: z.string().min(1, 'Page ID is required'),
       newPageName: z.string().min(1, 'New page name is required'),
+      rewriteLinks: z.boolean().optional(),
     });
     const parseResult = renamePageSchema.safeParse(req.body);
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
-    const { pageId, newPageName } = parseResult.data;
+    const { pageId, newPageName, rewriteLinks = false } = parseResult.data;
 
     // Verify user
     const user = await verifyToken(token);
@@ -464,7 +717,7 @@ export const renamePage = async (req) => {
     }
 
     // Find page
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -472,8 +725,8 @@ export const renamePage = async (req) => {
       };
     }
 
-    // Check if user is owner
-    if (!page.owner.equals(user._id)) {
+    // Check if user is owner or has write permission
+    if (!hasPageRole(page, user._id, 'editor')) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
@@ -481,9 +734,16 @@ export const renamePage = async (req) => {
     }
 
     // Update page name
+    const oldPageName = page.pageName;
     page.pageName = newPageName;
     await page.save();
 
+    // Point [[links]] in the user's pages at the new name if asked to
+    let rewrittenLinks = { pages: 0, links: 0 };
+    if (rewriteLinks && normalizeLinkTarget(oldPageName) !== normalizeLinkTarget(newPageName)) {
+      rewrittenLinks = await _rewriteIncomingLinks(oldPageName, newPageName, user);
+    }
+
     // Invalidate related user caches (owner and shared users)
     const ownerCacheKey = `user:${page.owner}:ownedPages`;
     const sharedUserCacheKeys = (page.sharedTo || []).map((userId) => `user:${userId}:sharedPages`);
@@ -500,6 +760,7 @@ export const renamePage = async (req) => {
       resMessage: {
         message: MESSAGES.PAGE.RENAMED,
         'Updated Page': page,
+        rewrittenLinks,
       },
     };
   } catch (err) {
@@ -513,7 +774,7 @@ export const renamePage = async (req) => {
 
 /**
  * Delete Page Controller
- * Deletes a page
+ * Moves a page to the trash
  * @param {object} req - Express request object
  * @returns {object} Response status and message if successful
  */
@@ -535,7 +796,7 @@ export const deletePage = async (req) => {
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
     const { pageId } = parseResult.data;
@@ -550,7 +811,7 @@ export const deletePage = async (req) => {
     }
 
     // Find page
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -566,55 +827,23 @@ export const deletePage = async (req) => {
       };
     }
 
-    // Store shared users before deletion for cache invalidation
-    const sharedUserIds = [...(page.sharedTo || [])];
-
-    // Get image IDs from the page content before deletion
-    const pageImageIds = getContentImageIds(page.pageData);
-
-    // Delete page
-    const pageDeleted = await Page.findByIdAndDelete(pageId);
-    if (!pageDeleted) {
-      return {
-        resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
-        resMessage: { message: 'Failed to delete page' },
-      };
-    }
-
-    // Remove from user's pages
-    user.pages.pull(page._id);
-    await user.save();
-
-    // Handle image cleanup - remove references and mark for deletion if no longer used
-    if (pageImageIds.length > 0) {
-      try {
-        await updateImageReferences(pageId, [], pageImageIds); // Remove all references
-        logger.info(
-          `Marked ${pageImageIds.length} images for cleanup after page deletion: ${pageId}`
-        );
-      } catch (imageError) {
-        logger.error('Error cleaning up images after page deletion:', imageError);
-        // Don't fail the delete operation if image cleanup fails
-      }
+    // Move page and its subpages to the trash - they are purged for good after the retention
+    // period. Sharing one timestamp lets the whole subtree be restored together.
+    const descendantIds = await getDescendantIds(page._id);
+    page.deletedAt = new Date();
+    await page.save();
+    if (descendantIds.length > 0) {
+      await Page.updateMany({ _id: { $in: descendantIds } }, { deletedAt: page.deletedAt });
+      await Promise.all(descendantIds.map((id) => safeRedisCall('del', `page:${id}`)));
     }
+    await closePagesForEditors([page._id, ...descendantIds]);
 
     // Invalidate caches for all affected users (owner and shared users)
-    const cacheInvalidations = [
-      safeRedisCall('del', `page:${pageId}`), // Delete page cache
-      safeRedisCall('del', `user:${page.owner}:ownedPages`), // Owner's cache
-    ];
-
-    // Invalidate shared users' caches
-    sharedUserIds.forEach((userId) => {
-      cacheInvalidations.push(safeRedisCall('del', `user:${userId}:sharedPages`));
-    });
-
-    // Execute all cache invalidations in parallel
-    await Promise.all(cacheInvalidations);
+    await invalidatePageCaches(page);
 
     return {
       resStatus: STATUS_CODES.OK,
-      resMessage: { message: MESSAGES.PAGE.DELETED },
+      resMessage: { message: MESSAGES.PAGE.TRASHED, purgeAt: getPurgeDate(page.deletedAt) },
     };
   } catch (err) {
     logger.error('Delete page error', err);
@@ -625,6 +854,14 @@ export const deletePage = async (req) => {
   }
 };
 
+/**
+ * Check whether a user must verify their email before sharing, when the server requires it
+ * @param {object} user - User document
+ * @returns {boolean} True if sharing is blocked until the email is verified
+ */
+const _needsVerifiedEmail = (user) =>
+  config.auth.requireVerifiedEmailToShare && !user.emailVerified;
+
 /**
  * Share Page Controller
  * Shares page with another user
@@ -645,17 +882,18 @@ export const sharePage = async (req) => {
     const sharePageSchema = z.object({
       pageId: z.string().min(1, 'Page ID is required'),
       email: z.email('Invalid email address'),
+      role: z.enum(SHARE_ROLES).default(DEFAULT_SHARE_ROLE),
     });
     const parseResult = sharePageSchema.safeParse(req.body);
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
         resMessage: {
-          message: parseResult.error?.errors?.map((e) => e.message).join(', ') || 'Invalid input',
+          message: parseResult.error?.issues?.map((e) => e.message).join(', ') || 'Invalid input',
         },
       };
     }
-    const { pageId, email: userEmail } = parseResult.data;
+    const { pageId, email: userEmail, role } = parseResult.data;
 
     // Verify user
     const user = await verifyToken(token);
@@ -667,7 +905,7 @@ export const sharePage = async (req) => {
     }
 
     // Find page
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -675,14 +913,21 @@ export const sharePage = async (req) => {
       };
     }
 
-    // Check if user owns the page
-    if (!page.owner.equals(user._id)) {
+    // Check if user can manage sharing of the page
+    if (!hasPageRole(page, user._id, 'manager')) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
       };
     }
 
+    if (_needsVerifiedEmail(user)) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.AUTH.EMAIL_NOT_VERIFIED },
+      };
+    }
+
     // Check if user shares page to self
     if (user.email === userEmail.toLowerCase()) {
       return {
@@ -691,12 +936,42 @@ export const sharePage = async (req) => {
       };
     }
 
-    // Find user to share with
+    // Invite emails without an account; the invitation turns into a share when they sign up
     const sharedUser = await User.findOne({ email: userEmail });
     if (!sharedUser) {
+      const email = userEmail.toLowerCase();
+      const invitationToken = createInvitationToken();
+      await ShareInvitation.findOneAndUpdate(
+        { page: page._id, email },
+        {
+          $set: {
+            role,
+            invitedBy: user._id,
+            token: invitationToken,
+            createdAt: new Date(),
+            expiresAt: getInvitationExpiry(),
+          },
+        },
+        { upsert: true }
+      );
+
+      const { success } = await sendShareEmail(email, {
+        inviterName: user.name,
+        pageName: page.pageName,
+        role,
+        url: getInvitationUrl(email, invitationToken),
+        isInvitation: true,
+      });
+
       return {
-        resStatus: STATUS_CODES.NOT_FOUND,
-        resMessage: { message: 'User does not exist' },
+        resStatus: STATUS_CODES.OK,
+        resMessage: { message: MESSAGES.PAGE.INVITATION_SENT, invited: true, emailSent: success },
+      };
+    }
+    if (page.owner.equals(sharedUser._id)) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.SHARE_OWNER_NOT_ALLOWED },
       };
     }
 
@@ -709,17 +984,23 @@ export const sharePage = async (req) => {
       };
     }
 
-    // Share page
-    page.sharedTo.push(sharedUser._id);
-    await page.save();
+    // Share page along with everything nested in it
+    const descendantIds = await getDescendantIds(page._id);
+    await sharePagesWithUsers([page._id, ...descendantIds], [sharedUser._id], {
+      [sharedUser._id]: role,
+    });
 
-    // Add to shared user's pages
-    sharedUser.sharedPages.push(page._id);
-    await sharedUser.save();
+    const { success } = await sendShareEmail(sharedUser.email, {
+      inviterName: user.name,
+      pageName: page.pageName,
+      role,
+      url: `${config.frontendUrl}/dashboard/${page._id}`,
+      isInvitation: false,
+    });
 
     return {
       resStatus: STATUS_CODES.OK,
-      resMessage: { message: MESSAGES.PAGE.SHARED },
+      resMessage: { message: MESSAGES.PAGE.SHARED, emailSent: success },
     };
   } catch (err) {
     logger.error('Share page error', err);
@@ -732,7 +1013,7 @@ export const sharePage = async (req) => {
 
 /**
  * Public Share Controller
- * Generates public share link for page
+ * Generates, updates or revokes the public share link of a page
  * @param {object} req - Express request object
  * @returns {object} Response status and message if successful
  */
@@ -746,6 +1027,36 @@ export const publicShare = async (req) => {
       };
     }
 
+    // Validate input; link settings left out keep their current value and null clears them
+    const publicShareSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      allowDownload: z.boolean().default(false),
+      isPublic: z.boolean().default(true),
+      isRegenerate: z.boolean().default(true),
+      password: z
+        .string()
+        .min(4, 'Password must be at least 4 characters')
+        .max(128, 'Password must be at most 128 characters')
+        .nullable()
+        .optional(),
+      expiresAt: z.coerce.date('Invalid expiry date').nullable().optional(),
+      maxViews: z
+        .number()
+        .int('Max views must be a whole number')
+        .positive('Max views must be a positive number')
+        .nullable()
+        .optional(),
+    });
+    const parseResult = publicShareSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, allowDownload, isPublic, isRegenerate, password, expiresAt, maxViews } =
+      parseResult.data;
+
     // Verify user
     const user = await verifyToken(token);
     if (!user) {
@@ -755,9 +1066,7 @@ export const publicShare = async (req) => {
       };
     }
 
-    const { pageId, allowDownload = false, isPublic = true, isRegenerate = true } = req.body;
-
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
 
     if (!page) {
       return {
@@ -766,30 +1075,87 @@ export const publicShare = async (req) => {
       };
     }
 
-    // Check if user owns the page
-    if (!page.owner.equals(user._id)) {
+    // Check if user can manage sharing of the page
+    if (!hasPageRole(page, user._id, 'manager')) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { Error: 'Not authorized to share this page' },
       };
     }
 
+    const now = new Date();
+    if (expiresAt && expiresAt <= now) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.SHARE_EXPIRY_IN_PAST },
+      };
+    }
+
+    // Turning public access off revokes the link; its analytics are kept
     if (!isPublic) {
+      if (page.publicShareId) {
+        await ShareLink.updateOne({ shareId: page.publicShareId }, { revokedAt: now });
+      }
       page.publicShareId = '';
       page.allowDownload = false;
+      await page.save();
+
+      return {
+        resStatus: STATUS_CODES.OK,
+        resMessage: {
+          message: 'Public sharing turned off',
+          publicShareId: page.publicShareId,
+          allowDownload: page.allowDownload,
+          link: null,
+        },
+      };
+    }
+
+    // Turning a link off stays allowed above, so unverified users can still unpublish pages
+    if (_needsVerifiedEmail(user)) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.AUTH.EMAIL_NOT_VERIFIED },
+      };
+    }
+
+    const currentLink = page.publicShareId
+      ? await ShareLink.findOne({ shareId: page.publicShareId })
+      : null;
+    const linkSettings = {
+      passwordHash: currentLink?.passwordHash ?? null,
+      passwordVersion: currentLink?.passwordVersion ?? 0,
+      expiresAt: expiresAt === undefined ? (currentLink?.expiresAt ?? null) : expiresAt,
+      maxViews: maxViews === undefined ? (currentLink?.maxViews ?? null) : maxViews,
+    };
+    if (password !== undefined) {
+      linkSettings.passwordHash = password ? await hashPassword(password) : null;
+      linkSettings.passwordVersion++;
     }
 
-    // Check if already has public share ID - UPDATE THIS PART
-    else if (!isRegenerate) {
-      // Update the existing share settings, including allowDownload
-      page.allowDownload = allowDownload;
+    let link;
+    if (isRegenerate || !page.publicShareId) {
+      // A new link replaces the current one, which stops working
+      if (page.publicShareId) {
+        await ShareLink.updateOne({ shareId: page.publicShareId }, { revokedAt: now });
+      }
+      page.publicShareId = uuidv4();
+      link = await ShareLink.create({
+        shareId: page.publicShareId,
+        page: page._id,
+        owner: page.owner,
+        ...linkSettings,
+      });
     } else {
-      // Generate and save public share ID for new share
-      const uniqueShareId = uuidv4();
-      page.publicShareId = uniqueShareId;
-      page.allowDownload = allowDownload;
+      // Links shared before link settings existed get their record here
+      link = await ShareLink.findOneAndUpdate(
+        { shareId: page.publicShareId },
+        { $set: linkSettings, $setOnInsert: { page: page._id, owner: page.owner } },
+        { upsert: true, new: true }
+      );
     }
 
+    page.allowDownload = allowDownload;
     await page.save();
 
     return {
@@ -798,6 +1164,7 @@ export const publicShare = async (req) => {
         message: 'Successfully shared publicly',
         publicShareId: page.publicShareId,
         allowDownload: page.allowDownload,
+        link: getShareLinkAnalytics(link),
       },
     };
   } catch (err) {
@@ -809,28 +1176,124 @@ export const publicShare = async (req) => {
   }
 };
 
+/**
+ * Helper function to find a public share whose link still works
+ * @param {string} shareId - Public share ID
+ * @returns {object} Object with the page and its link (null for links shared before link
+ * settings existed), or an error response if the link doesn't work
+ */
+const _getPublicShareLink = async (shareId) => {
+  const page = await Page.findOne({ publicShareId: shareId, deletedAt: null });
+  const link = page ? await ShareLink.findOne({ shareId }) : null;
+  const status = page ? getShareLinkStatus(link) : 'revoked';
+
+  if (status === 'revoked') {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+      },
+    };
+  }
+  if (status) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.GONE,
+        resMessage: {
+          message:
+            status === 'expired'
+              ? MESSAGES.PAGE.SHARE_EXPIRED
+              : MESSAGES.PAGE.SHARE_VIEW_LIMIT_REACHED,
+        },
+      },
+    };
+  }
+
+  return { page, link };
+};
+
+/**
+ * Helper function to open a public share, checking its password and counting the view
+ * @param {string} shareId - Public share ID
+ * @param {string} [shareToken] - Token from unlocking a password-protected link
+ * @param {object} [options] - Options
+ * @param {boolean} [options.countView] - Count this as a view of the link
+ * @returns {object} Object with the page and its link, or an error response if not accessible
+ */
+const _openPublicShare = async (shareId, shareToken, { countView = false } = {}) => {
+  const { page, link, error } = await _getPublicShareLink(shareId);
+  if (error) {
+    return { error };
+  }
+
+  if (link?.passwordHash && !(shareToken && verifyShareToken(shareToken, link))) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.PAGE.SHARE_PASSWORD_REQUIRED, passwordRequired: true },
+      },
+    };
+  }
+
+  if (countView) {
+    const now = new Date();
+    const viewUpdate = {
+      $inc: { viewCount: 1, [`dailyViews.${getViewDay(now)}`]: 1 },
+      $set: { lastViewedAt: now },
+    };
+
+    if (link) {
+      // Only count views under the limit so concurrent views can't overshoot it
+      const counted = await ShareLink.findOneAndUpdate(
+        {
+          _id: link._id,
+          $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }],
+        },
+        viewUpdate
+      );
+      if (!counted) {
+        return {
+          error: {
+            resStatus: STATUS_CODES.GONE,
+            resMessage: { message: MESSAGES.PAGE.SHARE_VIEW_LIMIT_REACHED },
+          },
+        };
+      }
+    } else {
+      await ShareLink.updateOne(
+        { shareId },
+        { ...viewUpdate, $setOnInsert: { page: page._id, owner: page.owner } },
+        { upsert: true }
+      );
+    }
+  }
+
+  return { page, link };
+};
+
 /**
  * Get Public Share Controller
  * Returns publicly shared page content
  * @param {string} shareId - Public share ID
+ * @param {string} [shareToken] - Token from unlocking a password-protected link
  * @returns {object} Response status and page content if successful
  */
-export const getPublicShare = async (shareId) => {
+export const getPublicShare = async (shareId, shareToken) => {
   try {
-    const page = await Page.findOne({ publicShareId: shareId });
-
-    if (!page) {
-      return {
-        resStatus: STATUS_CODES.NOT_FOUND,
-        resMessage: { Error: MESSAGES.PAGE.NOT_FOUND },
-      };
+    const { page, error } = await _openPublicShare(shareId, shareToken, { countView: true });
+    if (error) {
+      return error;
     }
+
     return {
       resStatus: STATUS_CODES.OK,
       resMessage: {
         title: page.pageName,
         content: page.pageData,
         allowDownload: page.allowDownload ?? false, // ✅ added
+        createdAt: page.createdAt,
+        excerpt: getExcerpt(page.pageData),
+        toc: getTableOfContents(page.pageData),
       },
     };
   } catch (err) {
@@ -843,92 +1306,2620 @@ export const getPublicShare = async (shareId) => {
 };
 
 /**
- * Post Unshare Page Controller
- * Removes a shared page from user
- * @param {object} req - Express request object
- * @param {string} id - Active page id
- * @param {string} gmail - Email of the user to unshare the page with
- * @returns {object} Response status and message if successful
+ * Unlock Public Share Controller
+ * Checks the password of a protected public share
+ * @param {string} shareId - Public share ID
+ * @param {string} password - Password entered by the visitor
+ * @returns {object} Response status and message, and the share token if the password is correct
  */
-export const removeUserFromSharedPage = async (req, id, gmail) => {
+export const unlockPublicShare = async (shareId, password) => {
   try {
-    const token = req.cookies?.token;
-    if (!token) {
-      return {
-        resStatus: STATUS_CODES.UNAUTHORIZED,
-        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
-      };
-    }
-
-    // Verify user
-    const verifiedUser = await verifyToken(token);
-    if (!verifiedUser) {
-      return {
-        resStatus: STATUS_CODES.UNAUTHORIZED,
-        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
-      };
+    const { link, error } = await _getPublicShareLink(shareId);
+    if (error) {
+      return error;
     }
 
-    // Find page
-    const page = await Page.findById(id);
-    if (!page) {
+    // Links without a password need no unlocking
+    if (!link?.passwordHash) {
       return {
-        resStatus: STATUS_CODES.NOT_FOUND,
-        resMessage: { Error: MESSAGES.PAGE.NOT_FOUND },
+        resStatus: STATUS_CODES.OK,
+        resMessage: { message: MESSAGES.PAGE.SHARE_UNLOCKED },
       };
     }
 
-    //only owner can unshare the page
-    if (!page.owner.equals(verifiedUser._id)) {
+    if (typeof password !== 'string' || !(await comparePassword(password, link.passwordHash))) {
       return {
         resStatus: STATUS_CODES.UNAUTHORIZED,
-        resMessage: { Error: MESSAGES.PAGE.ACCESS_DENIED },
-      };
-    }
-
-    // Find user to unshare with
-    const user = await User.findOne({ email: gmail });
-    if (!user) {
-      return {
-        resStatus: STATUS_CODES.NOT_FOUND,
-        resMessage: { Error: MESSAGES.AUTH.USER_NOT_FOUND },
-      };
-    }
-
-    // Check if page is actually shared with the user
-    const isShared = (page.sharedTo || []).some((uid) => uid.equals(user._id));
-    if (!isShared) {
-      return {
-        resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { Error: 'Page not shared with this user' },
+        resMessage: { message: MESSAGES.PAGE.SHARE_PASSWORD_INCORRECT, passwordRequired: true },
       };
     }
 
-    page.sharedTo.pull(user._id);
-    await page.save();
-    user.sharedPages.pull(page._id);
-    await user.save();
-
     return {
       resStatus: STATUS_CODES.OK,
-      resMessage: { message: 'Successfully unshared the page with the user' },
+      resMessage: { message: MESSAGES.PAGE.SHARE_UNLOCKED },
+      shareToken: generateShareToken(link),
     };
   } catch (err) {
-    logger.error(`Error occured while unsharing page`, err);
+    logger.error('Unlock public share error', err);
     return {
       resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
-      resMessage: { Error: MESSAGES.GENERAL.SERVER_ERROR },
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
     };
   }
 };
 
 /**
- * Upload Image Controller
- * Uploads an image to Cloudinary and returns the URL
+ * Get Public Share Links Controller
+ * Returns the settings and view analytics of a page's current and past public links
  * @param {object} req - Express request object
- * @returns {object} Response status and image URL if successful
+ * @returns {object} Response status and message if successful
+ */
+export const getPublicShareLinks = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const shareLinksSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = shareLinksSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user, 'manager');
+    if (error) {
+      return error;
+    }
+
+    const links = await ShareLink.find({ page: page._id }).sort({ createdAt: -1 }).limit(20);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        publicShareId: page.publicShareId || null,
+        Links: links.map((link) => getShareLinkAnalytics(link)),
+      },
+    };
+  } catch (err) {
+    logger.error('Get public share links error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Post Unshare Page Controller
+ * Removes a shared page from user
+ * @param {object} req - Express request object
+ * @param {string} id - Active page id
+ * @param {string} gmail - Email of the user to unshare the page with
+ * @returns {object} Response status and message if successful
+ */
+export const removeUserFromSharedPage = async (req, id, gmail) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Verify user
+    const verifiedUser = await verifyToken(token);
+    if (!verifiedUser) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    // Find page
+    const page = await Page.findOne({ _id: id, deletedAt: null });
+    if (!page) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { Error: MESSAGES.PAGE.NOT_FOUND },
+      };
+    }
+
+    // Only the owner and managers can unshare the page
+    if (!hasPageRole(page, verifiedUser._id, 'manager')) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { Error: MESSAGES.PAGE.ACCESS_DENIED },
+      };
+    }
+
+    // Find user to unshare with
+    const user = await User.findOne({ email: gmail });
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { Error: MESSAGES.AUTH.USER_NOT_FOUND },
+      };
+    }
+
+    // Check if page is actually shared with the user
+    const isShared = (page.sharedTo || []).some((uid) => uid.equals(user._id));
+    if (!isShared) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { Error: 'Page not shared with this user' },
+      };
+    }
+
+    // Unshare the page along with everything nested in it, trashed subpages included so
+    // restoring them doesn't give the access back
+    const descendantIds = await getDescendantIds(page._id, { includeTrashed: true });
+    await unsharePagesWithUser([page._id, ...descendantIds], user._id);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: 'Successfully unshared the page with the user' },
+    };
+  } catch (err) {
+    logger.error(`Error occured while unsharing page`, err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { Error: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Update Share Role Controller
+ * Changes what a collaborator can do on a page and the pages nested in it
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const updateShareRole = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const updateShareRoleSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      email: z.email('Invalid email address'),
+      role: z.enum(SHARE_ROLES, 'Invalid role'),
+    });
+    const parseResult = updateShareRoleSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, email, role } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user, 'manager');
+    if (error) {
+      return error;
+    }
+
+    const sharedUser = await User.findOne({ email: email.toLowerCase() });
+    if (!sharedUser || !getPageRole(page, sharedUser._id) || page.owner.equals(sharedUser._id)) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_SHARED_WITH_USER },
+      };
+    }
+
+    // Managers can't take away their own ability to manage sharing
+    if (sharedUser._id.equals(user._id)) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      };
+    }
+
+    const descendantIds = await getDescendantIds(page._id, { includeTrashed: true });
+    await setShareRole([page._id, ...descendantIds], sharedUser._id, role);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.SHARE_ROLE_UPDATED, role },
+    };
+  } catch (err) {
+    logger.error('Update share role error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Share Invitations Controller
+ * Lists the pending invitations of a page for emails without an account
+ * @param {object} req - Express request object
+ * @returns {object} Response status and invitations if successful
+ */
+export const getShareInvitations = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const shareInvitationsSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = shareInvitationsSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user, 'manager');
+    if (error) {
+      return error;
+    }
+
+    const invitations = await ShareInvitation.find({
+      page: page._id,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        Invitations: invitations.map((invitation) => ({
+          email: invitation.email,
+          role: invitation.role,
+          createdAt: invitation.createdAt,
+          expiresAt: invitation.expiresAt,
+        })),
+      },
+    };
+  } catch (err) {
+    logger.error('Get share invitations error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Cancel Share Invitation Controller
+ * Withdraws a pending invitation so signing up no longer shares the page
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const cancelShareInvitation = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const cancelInvitationSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      email: z.email('Invalid email address'),
+    });
+    const parseResult = cancelInvitationSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, email } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user, 'manager');
+    if (error) {
+      return error;
+    }
+
+    const { deletedCount } = await ShareInvitation.deleteOne({
+      page: page._id,
+      email: email.toLowerCase(),
+    });
+    if (!deletedCount) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.INVITATION_NOT_FOUND },
+      };
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.INVITATION_CANCELLED },
+    };
+  } catch (err) {
+    logger.error('Cancel share invitation error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Transfer Page Ownership Controller
+ * Hands a top-level page and its subpages over to one of its collaborators
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const transferPageOwnership = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const transferSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      email: z.email('Invalid email address'),
+    });
+    const parseResult = transferSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, email } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getOwnedPage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    // A nested page would end up inside a notebook the new owner doesn't own
+    if (page.parent) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.TRANSFER_NESTED_NOT_ALLOWED },
+      };
+    }
+
+    // Ownership can only go to someone the page is already shared with
+    const newOwner = await User.findOne({ email: email.toLowerCase() });
+    if (!newOwner || !getPageRole(page, newOwner._id) || newOwner._id.equals(user._id)) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_SHARED_WITH_USER },
+      };
+    }
+
+    const descendantIds = await getDescendantIds(page._id, { includeTrashed: true });
+    const position = await getNextPosition(newOwner._id, null);
+    await Page.updateOne({ _id: page._id }, { position });
+    await transferPages([page._id, ...descendantIds], user._id, newOwner._id);
+
+    // Other collaborators see the new owner in their shared pages
+    await Promise.all(
+      (page.sharedTo || []).map((userId) => safeRedisCall('del', `user:${userId}:sharedPages`))
+    );
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.PAGE.OWNERSHIP_TRANSFERRED,
+        owner: { id: newOwner._id, name: newOwner.name, email: newOwner.email },
+      },
+    };
+  } catch (err) {
+    logger.error('Transfer page ownership error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Upload Image Controller
+ * Uploads an image to Cloudinary and returns the URL
+ * @param {object} req - Express request object
+ * @returns {object} Response status and image URL if successful
+ */
+export const uploadImage = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { image, pageId } = req.body;
+
+    if (!image) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: 'Image data is required' },
+      };
+    }
+
+    // Check if page exists and user has access to it
+    if (pageId) {
+      const page = await Page.findOne({ _id: pageId, deletedAt: null });
+      if (!page) {
+        return {
+          resStatus: STATUS_CODES.NOT_FOUND,
+          resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+        };
+      }
+
+      // Only users who can edit the page may add images to it
+      if (!hasPageRole(page, user._id, 'editor')) {
+        return {
+          resStatus: STATUS_CODES.FORBIDDEN,
+          resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+        };
+      }
+    }
+
+    // Upload image to Cloudinary
+    const timestamp = new Date().getTime();
+    const uniqueId = `${user._id}_${timestamp}`;
+    const cloudinaryRes = await cloudinary.uploader.upload(image, {
+      folder: 'notes',
+      public_id: `note_img_${uniqueId}`,
+    });
+
+    // Save image metadata to database
+    const imageDoc = new Image({
+      publicId: cloudinaryRes.public_id,
+      url: cloudinaryRes.secure_url,
+      originalName: req.body.originalName || null,
+      size: cloudinaryRes.bytes || 0,
+      mimeType: cloudinaryRes.format ? `image/${cloudinaryRes.format}` : 'image/jpeg',
+      uploadedBy: user._id,
+      usedInPages: pageId ? [pageId] : [], // Associate with page if provided
+      referenceCount: pageId ? 1 : 0,
+    });
+
+    await imageDoc.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: 'Image uploaded successfully',
+        imageUrl: cloudinaryRes.secure_url,
+        imageId: cloudinaryRes.public_id,
+        dbImageId: imageDoc._id, // Include database ID for tracking
+      },
+    };
+  } catch (err) {
+    logger.error('Image upload error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Helper function to load a page the user can access
+ * @param {string} pageId - ID of the page
+ * @param {object} user - Authenticated user document
+ * @param {string} [minRole] - Least share role required, viewers by default
+ * @returns {object} Object with the page, or an error response if not accessible
+ */
+const _getAccessiblePage = async (pageId, user, minRole = 'viewer') => {
+  const page = await Page.findOne({ _id: pageId, deletedAt: null });
+  if (!page) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+      },
+    };
+  }
+
+  if (!hasPageRole(page, user._id, minRole)) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      },
+    };
+  }
+
+  return { page };
+};
+
+/**
+ * Get Page Versions Controller
+ * Returns the version history of a page, newest first, without content
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const getPageVersions = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const getVersionsSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = getVersionsSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { error } = await _getAccessiblePage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    const versions = await PageVersion.find({ page: pageId }, { pageData: 0 })
+      .sort({ createdAt: -1 })
+      .populate('author', 'name email')
+      .lean();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { versions },
+    };
+  } catch (err) {
+    logger.error('Get page versions error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Page Version Controller
+ * Returns a single version of a page including its content
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const getPageVersion = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const getVersionSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      versionId: z.string().min(1, 'Version ID is required'),
+    });
+    const parseResult = getVersionSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, versionId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { error } = await _getAccessiblePage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    const version = await PageVersion.findOne({ _id: versionId, page: pageId })
+      .populate('author', 'name email')
+      .lean();
+    if (!version) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.VERSION_NOT_FOUND },
+      };
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { version },
+    };
+  } catch (err) {
+    logger.error('Get page version error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Diff Page Versions Controller
+ * Compares two versions of a page line by line
+ * When toVersionId is omitted the version is compared with the current page content
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const diffPageVersions = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const diffVersionsSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      fromVersionId: z.string().min(1, 'From version ID is required'),
+      toVersionId: z.string().min(1).optional(),
+    });
+    const parseResult = diffVersionsSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, fromVersionId, toVersionId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    const versionIds = toVersionId ? [fromVersionId, toVersionId] : [fromVersionId];
+    const versions = await PageVersion.find({ _id: { $in: versionIds }, page: pageId }).lean();
+    const fromVersion = versions.find((v) => v._id.toString() === fromVersionId);
+    const toVersion = toVersionId ? versions.find((v) => v._id.toString() === toVersionId) : null;
+
+    if (!fromVersion || (toVersionId && !toVersion)) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.VERSION_NOT_FOUND },
+      };
+    }
+
+    const { diff, stats } = diffLines(
+      fromVersion.pageData,
+      toVersion ? toVersion.pageData : page.pageData
+    );
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        from: { id: fromVersion._id, createdAt: fromVersion.createdAt },
+        to: toVersion ? { id: toVersion._id, createdAt: toVersion.createdAt } : { id: 'current' },
+        diff,
+        stats,
+      },
+    };
+  } catch (err) {
+    logger.error('Diff page versions error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Restore Page Version Controller
+ * Restores a previous version by saving its content as the new page content
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const restorePageVersion = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const restoreVersionSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      versionId: z.string().min(1, 'Version ID is required'),
+    });
+    const parseResult = restoreVersionSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, versionId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user, 'editor');
+    if (error) {
+      return error;
+    }
+
+    const version = await PageVersion.findOne({ _id: versionId, page: pageId }).lean();
+    if (!version) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.VERSION_NOT_FOUND },
+      };
+    }
+
+    const previousImageIds = getContentImageIds(page.pageData);
+
+    // Save the restored content as a new revision so the restore itself can be undone
+    const committed = await commitPageData(page, version.pageData);
+    if (!committed) {
+      return getRevisionConflict(await Page.findById(pageId));
+    }
+    await reloadPageForEditors(pageId);
+    await snapshotPageVersion(page, user._id, { restoredFrom: version._id });
+
+    // Handle image reference updates
+    const currentImageIds = getContentImageIds(page.pageData);
+    const addedImages = currentImageIds.filter((id) => !previousImageIds.includes(id));
+    const removedImages = previousImageIds.filter((id) => !currentImageIds.includes(id));
+
+    if (addedImages.length > 0 || removedImages.length > 0) {
+      try {
+        await updateImageReferences(pageId, addedImages, removedImages);
+      } catch (imageError) {
+        logger.error('Error updating image references:', imageError);
+        // Don't fail the restore operation if image cleanup fails
+      }
+    }
+
+    // Update cache in Redis
+    await safeRedisCall('set', `page:${pageId}`, JSON.stringify(page), {
+      EX: 3600, // Cache for 1 hour
+    });
+
+    // Invalidate related user caches (owner and shared users)
+    await Promise.all([
+      safeRedisCall('del', `user:${page.owner}:ownedPages`),
+      ...(page.sharedTo || []).map((userId) => safeRedisCall('del', `user:${userId}:sharedPages`)),
+    ]);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.PAGE.VERSION_RESTORED,
+        'Updated Page': page,
+      },
+    };
+  } catch (err) {
+    logger.error('Restore page version error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Helper function to load a trashed page owned by the user
+ * @param {string} pageId - ID of the page
+ * @param {object} user - Authenticated user document
+ * @returns {object} Object with the page, or an error response if not accessible
+ */
+const _getTrashedPage = async (pageId, user) => {
+  const page = await Page.findById(pageId);
+  if (!page) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+      },
+    };
+  }
+
+  // Only the owner can see and manage their trash
+  if (!page.owner.equals(user._id)) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      },
+    };
+  }
+
+  if (!page.deletedAt) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.NOT_IN_TRASH },
+      },
+    };
+  }
+
+  return { page };
+};
+
+/**
+ * Get Trashed Pages Controller
+ * Returns the user's trashed pages, most recently deleted first
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const getTrashedPages = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const trashedPages = await Page.find(
+      { owner: user._id, deletedAt: { $ne: null } },
+      { pageName: 1, deletedAt: 1, parent: 1 }
+    )
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    // Subpages trashed together with their parent are listed under it, not on their own
+    const trashedById = new Map(trashedPages.map((page) => [page._id.toString(), page]));
+    const nestedCounts = new Map();
+    const topLevelPages = trashedPages.filter((page) => {
+      const parent = page.parent && trashedById.get(page.parent.toString());
+      if (parent && parent.deletedAt.getTime() === page.deletedAt.getTime()) {
+        let root = parent;
+        while (
+          root.parent &&
+          trashedById.get(root.parent.toString())?.deletedAt.getTime() === page.deletedAt.getTime()
+        ) {
+          root = trashedById.get(root.parent.toString());
+        }
+        const rootId = root._id.toString();
+        nestedCounts.set(rootId, (nestedCounts.get(rootId) || 0) + 1);
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        TrashedPages: topLevelPages.map((page) => ({
+          name: page.pageName,
+          id: page._id,
+          deletedAt: page.deletedAt,
+          purgeAt: getPurgeDate(page.deletedAt),
+          subpageCount: nestedCounts.get(page._id.toString()) || 0,
+        })),
+        retentionDays: config.trash.retentionDays,
+      },
+    };
+  } catch (err) {
+    logger.error('Get trashed pages error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Restore Trashed Page Controller
+ * Moves a page out of the trash
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const restoreTrashedPage = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const restorePageSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = restorePageSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getTrashedPage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    // Restore the subpages that were trashed together with this page
+    const descendantIds = await getDescendantIds(page._id, { includeTrashed: true });
+    if (descendantIds.length > 0) {
+      await Page.updateMany(
+        { _id: { $in: descendantIds }, deletedAt: page.deletedAt },
+        { deletedAt: null }
+      );
+    }
+
+    // A page whose parent is still in the trash goes back to the top level
+    if (page.parent) {
+      const parent = await Page.findOne({ _id: page.parent, deletedAt: null }, { _id: 1 }).lean();
+      if (!parent) {
+        page.parent = null;
+        page.position = await getNextPosition(user._id, null);
+      }
+    }
+
+    page.deletedAt = null;
+    await page.save();
+
+    // Invalidate caches so the page reappears for the owner and shared users
+    await invalidatePageCaches(page);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.PAGE.RESTORED,
+        Page: { name: page.pageName, id: page._id },
+      },
+    };
+  } catch (err) {
+    logger.error('Restore trashed page error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Delete Trashed Page Controller
+ * Permanently deletes a page from the trash
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const deleteTrashedPage = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const deletePageSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = deletePageSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getTrashedPage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    // Subpages still in the trash go with it; restored ones were already moved out
+    const descendantIds = await getDescendantIds(page._id, { includeTrashed: true });
+    const trashedDescendants = await Page.find({
+      _id: { $in: descendantIds },
+      deletedAt: { $ne: null },
+    });
+    for (const descendant of trashedDescendants) {
+      await purgePage(descendant);
+    }
+
+    const purged = await purgePage(page);
+    if (!purged) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+      };
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.DELETED },
+    };
+  } catch (err) {
+    logger.error('Delete trashed page error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Helper function to load a page the user owns for moving or reordering
+ * @param {string} pageId - ID of the page
+ * @param {object} user - Authenticated user document
+ * @param {string} notFoundMessage - Message returned when the page doesn't exist
+ * @returns {object} Object with the page, or an error response if not accessible
+ */
+const _getOwnedPage = async (pageId, user, notFoundMessage = MESSAGES.PAGE.NOT_FOUND) => {
+  const page = await Page.findOne({ _id: pageId, deletedAt: null });
+  if (!page) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: notFoundMessage },
+      },
+    };
+  }
+
+  // Only the owner can rearrange their pages
+  if (!page.owner.equals(user._id)) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      },
+    };
+  }
+
+  return { page };
+};
+
+/**
+ * Move Page Controller
+ * Moves a page (with its subpages) under a new parent and/or to a new position
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const movePage = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const movePageSchema = z.object({
+      pageId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid page ID'),
+      parentId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, 'Invalid parent page ID')
+        .nullable(),
+      position: z.number().int().min(0, 'Position must not be negative').optional(),
+    });
+    const parseResult = movePageSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, parentId, position } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getOwnedPage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    let parent = null;
+    if (parentId) {
+      const result = await _getOwnedPage(parentId, user, MESSAGES.PAGE.PARENT_NOT_FOUND);
+      if (result.error) {
+        return result.error;
+      }
+      parent = result.page;
+
+      // A page can't be moved into itself or one of its own subpages
+      if (await wouldCreateCycle(page._id, parent._id)) {
+        return {
+          resStatus: STATUS_CODES.BAD_REQUEST,
+          resMessage: { message: MESSAGES.PAGE.MOVE_CYCLE },
+        };
+      }
+    }
+
+    // Insert the page among its new siblings and renumber them
+    const siblings = await Page.find(
+      { owner: user._id, parent: parent?._id ?? null, deletedAt: null, _id: { $ne: page._id } },
+      { _id: 1 }
+    )
+      .sort({ position: 1 })
+      .lean();
+    const siblingIds = siblings.map((sibling) => sibling._id);
+    const index = Math.min(position ?? siblingIds.length, siblingIds.length);
+    siblingIds.splice(index, 0, page._id);
+
+    await Page.bulkWrite(
+      siblingIds.map((id, i) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: id.equals(page._id)
+            ? { parent: parent?._id ?? null, position: i }
+            : { position: i },
+        },
+      }))
+    );
+
+    // Moving into a shared notebook shares the page and its subpages with the same people
+    if (parent && parent.sharedTo.length > 0) {
+      const subtreeIds = [
+        page._id,
+        ...(await getDescendantIds(page._id, { includeTrashed: true })),
+      ];
+      await sharePagesWithUsers(subtreeIds, parent.sharedTo, getShareRoles(parent));
+    }
+
+    page.parent = parent?._id ?? null;
+    await invalidatePageCaches(page);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.PAGE.MOVED,
+        Page: { name: page.pageName, id: page._id, parent: page.parent, position: index },
+      },
+    };
+  } catch (err) {
+    logger.error('Move page error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Reorder Pages Controller
+ * Sets the order of the pages under one parent
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const reorderPages = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const reorderPagesSchema = z.object({
+      parentId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, 'Invalid parent page ID')
+        .nullable(),
+      pageIds: z
+        .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid page ID'))
+        .min(1, 'Page IDs are required'),
+    });
+    const parseResult = reorderPagesSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { parentId, pageIds } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    if (parentId) {
+      const { error } = await _getOwnedPage(parentId, user, MESSAGES.PAGE.PARENT_NOT_FOUND);
+      if (error) {
+        return error;
+      }
+    }
+
+    // Every page must be one of the user's pages under that parent
+    const uniqueIds = [...new Set(pageIds)];
+    const matchingCount = await Page.countDocuments({
+      _id: { $in: uniqueIds },
+      owner: user._id,
+      parent: parentId,
+      deletedAt: null,
+    });
+    if (uniqueIds.length !== pageIds.length || matchingCount !== pageIds.length) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.INVALID_ORDER },
+      };
+    }
+
+    await Page.bulkWrite(
+      pageIds.map((id, i) => ({
+        updateOne: { filter: { _id: id }, update: { position: i } },
+      }))
+    );
+
+    // Positions live in the cached page list
+    await safeRedisCall('del', `user:${user._id}:ownedPages`);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.REORDERED },
+    };
+  } catch (err) {
+    logger.error('Reorder pages error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Search Pages Controller
+ * Full-text search over the names and content of the user's own and shared pages
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const searchPages = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const searchPagesSchema = z.object({
+      query: z
+        .string()
+        .trim()
+        .min(1, 'Search query is required')
+        .max(500, 'Search query is too long'),
+      limit: z.number().int().min(1).max(50).optional(),
+    });
+    const parseResult = searchPagesSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { query, limit = 20 } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const parsed = parseSearchQuery(query);
+    const conditions = [
+      { deletedAt: null },
+      { $or: [{ owner: user._id }, { sharedTo: user._id }] },
+    ];
+
+    // owner:me, owner:<email> or owner:<name>
+    if (parsed.owners.length > 0) {
+      const ownerIds = [];
+      for (const owner of parsed.owners) {
+        if (owner.toLowerCase() === 'me') {
+          ownerIds.push(user._id);
+          continue;
+        }
+        const matches = await User.find(
+          {
+            $or: [
+              { email: owner.toLowerCase() },
+              { name: { $regex: `^${escapeRegex(owner)}`, $options: 'i' } },
+            ],
+          },
+          { _id: 1 }
+        ).lean();
+        ownerIds.push(...matches.map((match) => match._id));
+      }
+      conditions.push({ owner: { $in: ownerIds } });
+    }
+
+    // tag:name matches assigned tags and #hashtags, including nested tags like name/sub
+    for (const tag of parsed.tags) {
+      const normalized = normalizeTag(tag);
+      const matches = { $in: [normalized, new RegExp(`^${escapeRegex(normalized)}/`)] };
+      conditions.push({ $or: [{ tags: matches }, { hashtags: matches }] });
+    }
+
+    // The text index has no prefix matching, so prefixes are matched at word starts
+    for (const prefix of parsed.prefixes) {
+      const pattern = { $regex: `\\b${escapeRegex(prefix)}`, $options: 'i' };
+      conditions.push({ $or: [{ pageName: pattern }, { pageData: pattern }] });
+    }
+
+    // Words and "phrases" go through the text index, which also ranks the results
+    const textSearch = [...parsed.terms, ...parsed.phrases.map((phrase) => `"${phrase}"`)].join(
+      ' '
+    );
+    if (textSearch) {
+      conditions.push({ $text: { $search: textSearch } });
+    }
+
+    const projection = { pageName: 1, pageData: 1, owner: 1, createdAt: 1 };
+    const pages = textSearch
+      ? await Page.find({ $and: conditions }, { ...projection, score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(limit)
+          .lean()
+      : await Page.find({ $and: conditions }, projection)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .lean();
+
+    // Name the owners of shared results
+    const sharedOwnerIds = [
+      ...new Set(
+        pages.filter((page) => !page.owner.equals(user._id)).map((page) => page.owner.toString())
+      ),
+    ];
+    const owners = await User.find({ _id: { $in: sharedOwnerIds } }, { name: 1 }).lean();
+    const ownerNames = new Map(owners.map((owner) => [owner._id.toString(), owner.name]));
+
+    const nameNeedles = [...parsed.phrases, ...parsed.terms];
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        Results: pages.map((page) => {
+          const shared = !page.owner.equals(user._id);
+          return {
+            id: page._id,
+            name: page.pageName,
+            nameHighlights: findHighlights(page.pageName, nameNeedles, parsed.prefixes),
+            snippet: buildSnippet(page.pageData, parsed),
+            score: page.score ?? 0,
+            shared,
+            ownerName: shared ? ownerNames.get(page.owner.toString()) || null : null,
+          };
+        }),
+      },
+    };
+  } catch (err) {
+    logger.error('Search pages error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Backlinks Controller
+ * Returns the pages the user can access that link to a page with [[wiki links]]
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const getBacklinks = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const getBacklinksSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = getBacklinksSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    const linkingPages = await Page.find(
+      {
+        _id: { $ne: page._id },
+        links: normalizeLinkTarget(page.pageName),
+        deletedAt: null,
+        $or: [{ owner: user._id }, { sharedTo: user._id }],
+      },
+      { pageName: 1, pageData: 1, owner: 1 }
+    )
+      .sort({ pageName: 1 })
+      .lean();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        Backlinks: linkingPages.map((linkingPage) => ({
+          id: linkingPage._id,
+          name: linkingPage.pageName,
+          shared: !linkingPage.owner.equals(user._id),
+          context: getLinkContext(linkingPage.pageData, page.pageName),
+        })),
+      },
+    };
+  } catch (err) {
+    logger.error('Get backlinks error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Page Graph Controller
+ * Returns the user's pages as graph nodes, with edges for [[wiki links]] and markdown links
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const getPageGraph = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const pages = await Page.find(
+      { deletedAt: null, $or: [{ owner: user._id }, { sharedTo: user._id }] },
+      { pageName: 1, pageData: 1, owner: 1, publicShareId: 1, tags: 1, hashtags: 1 }
+    ).lean();
+
+    // Lookups for resolving link targets; the user's own pages win name clashes
+    const byId = new Map();
+    const byShareId = new Map();
+    const byName = new Map();
+    for (const page of pages) {
+      const id = page._id.toString();
+      byId.set(id, id);
+      if (page.publicShareId) {
+        byShareId.set(page.publicShareId, id);
+      }
+      const name = normalizeLinkTarget(page.pageName);
+      if (!byName.has(name) || page.owner.equals(user._id)) {
+        byName.set(name, id);
+      }
+    }
+
+    const edges = new Map();
+    const addEdge = (source, target, type) => {
+      const key = `${source}->${target}`;
+      if (target && target !== source && !edges.has(key)) {
+        edges.set(key, { source, target, type });
+      }
+    };
+
+    for (const page of pages) {
+      const source = page._id.toString();
+      for (const name of extractWikiLinks(page.pageData)) {
+        addEdge(source, byName.get(name), 'wikilink');
+      }
+      for (const reference of extractMarkdownLinks(page.pageData)) {
+        const target = reference.pageId
+          ? byId.get(reference.pageId.toLowerCase())
+          : reference.shareId
+            ? byShareId.get(reference.shareId)
+            : byName.get(reference.name);
+        addEdge(source, target, 'markdown');
+      }
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        nodes: pages.map((page) => ({
+          id: page._id,
+          name: page.pageName,
+          shared: !page.owner.equals(user._id),
+          tags: getPageTags(page),
+        })),
+        edges: [...edges.values()],
+      },
+    };
+  } catch (err) {
+    logger.error('Get page graph error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+// Tag names are normalized before validation, so "#Work" and "work" are the same tag
+const tagSchema = z
+  .string()
+  .max(64, 'Tag is too long')
+  .transform(normalizeTag)
+  .refine((tag) => TAG_NAME_PATTERN.test(tag), 'Invalid tag name');
+
+/**
+ * Helper function to rename a tag on a page, or remove it when newTag is null
+ * Updates both the assigned tags and the #hashtags in the content. Renames also apply
+ * to nested tags (ideas/books), removals only to the exact tag.
+ * @param {object} page - Page document
+ * @param {object} user - Authenticated user document
+ * @param {string} oldTag - Normalized tag to change
+ * @param {string|null} newTag - Normalized new tag, or null to remove the tag
+ * @returns {object} Whether the page changed and the number of hashtags rewritten
+ */
+const _retagPage = async (page, user, oldTag, newTag) => {
+  const result = { changed: false, hashtags: 0 };
+
+  const tags =
+    newTag === null
+      ? page.tags.filter((tag) => tag !== oldTag)
+      : page.tags.map((tag) =>
+          isTagOrChild(tag, oldTag) ? `${newTag}${tag.slice(oldTag.length)}` : tag
+        );
+  const uniqueTags = [...new Set(tags)];
+  if (uniqueTags.join('\n') !== page.tags.join('\n')) {
+    await Page.updateOne({ _id: page._id }, { $set: { tags: uniqueTags } });
+    page.tags = uniqueTags;
+    result.changed = true;
+  }
+
+  const { content, count } = rewriteHashtags(page.pageData, oldTag, newTag);
+  if (count > 0) {
+    await preserveUnversionedContent(page);
+
+    // Skip content saved in the meantime rather than overwrite someone's edit
+    const committed = await commitPageData(page, content);
+    if (committed) {
+      result.changed = true;
+      result.hashtags = count;
+      await reloadPageForEditors(page._id);
+      try {
+        await snapshotPageVersion(page, user._id);
+      } catch (versionError) {
+        logger.error('Error saving page version:', versionError);
+      }
+    } else {
+      logger.warn(`Skipped hashtag rewrite for concurrently modified page ${page._id}`);
+    }
+  }
+
+  if (result.changed) {
+    await invalidatePageCaches(page);
+  }
+  return result;
+};
+
+/**
+ * Add Page Tags Controller
+ * Assigns one or more tags to a page
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const addPageTags = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const addPageTagsSchema = z.object({
+      pageId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid page ID'),
+      tags: z.array(tagSchema).min(1, 'At least one tag is required').max(20, 'Too many tags'),
+    });
+    const parseResult = addPageTagsSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, tags } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user, 'editor');
+    if (error) {
+      return error;
+    }
+
+    const updatedPage = await Page.findByIdAndUpdate(
+      page._id,
+      { $addToSet: { tags: { $each: tags } } },
+      { new: true }
+    );
+    await invalidatePageCaches(updatedPage);
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.PAGE.TAGS_UPDATED,
+        tags: getPageTags(updatedPage),
+      },
+    };
+  } catch (err) {
+    logger.error('Add page tags error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Remove Tag Controller
+ * Removes a tag from one page, or from all of the user's own pages when no page is given.
+ * Matching #hashtags in the content are turned into plain words.
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const removeTag = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const removeTagSchema = z.object({
+      tag: tagSchema,
+      pageId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, 'Invalid page ID')
+        .optional(),
+    });
+    const parseResult = removeTagSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { tag, pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    let pages;
+    if (pageId) {
+      const { page, error } = await _getAccessiblePage(pageId, user, 'editor');
+      if (error) {
+        return error;
+      }
+      pages = [page];
+    } else {
+      pages = await Page.find({
+        owner: user._id,
+        deletedAt: null,
+        $or: [{ tags: tag }, { hashtags: tag }],
+      });
+    }
+
+    const updated = { pages: 0, hashtags: 0 };
+    for (const page of pages) {
+      const { changed, hashtags } = await _retagPage(page, user, tag, null);
+      if (changed) {
+        updated.pages++;
+        updated.hashtags += hashtags;
+      }
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.TAG_REMOVED, updated },
+    };
+  } catch (err) {
+    logger.error('Remove tag error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Rename Tag Controller
+ * Renames a tag and its nested tags across all of the user's own pages,
+ * including the #hashtags in their content
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const renameTag = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const renameTagSchema = z
+      .object({
+        oldTag: tagSchema,
+        newTag: tagSchema,
+      })
+      .refine((data) => data.oldTag !== data.newTag, 'New tag must be different');
+    const parseResult = renameTagSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { oldTag, newTag } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const matches = { $in: [oldTag, new RegExp(`^${escapeRegex(oldTag)}/`)] };
+    const pages = await Page.find({
+      owner: user._id,
+      deletedAt: null,
+      $or: [{ tags: matches }, { hashtags: matches }],
+    });
+
+    const updated = { pages: 0, hashtags: 0 };
+    for (const page of pages) {
+      const { changed, hashtags } = await _retagPage(page, user, oldTag, newTag);
+      if (changed) {
+        updated.pages++;
+        updated.hashtags += hashtags;
+      }
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.TAG_RENAMED, updated },
+    };
+  } catch (err) {
+    logger.error('Rename tag error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Convert a page document to the shape the export utilities expect
+ * @param {object} page - Page document
+ * @returns {object} Page as { id, name, content, parent, shareId }
+ */
+const _toExportPage = (page) => ({
+  id: page._id.toString(),
+  name: page.pageName,
+  content: page.pageData || '',
+  parent: page.parent ? page.parent.toString() : null,
+  shareId: page.publicShareId || null,
+});
+
+/**
+ * Check that a PDF can be printed before doing any export work
+ * @param {string} format - Requested export format
+ * @returns {object|null} Error response, or null if the format is available
+ */
+const _checkExportFormat = (format) => {
+  if (format === 'pdf' && !config.export.chromePath) {
+    return {
+      resStatus: STATUS_CODES.SERVICE_UNAVAILABLE,
+      resMessage: { message: MESSAGES.PAGE.EXPORT_PDF_UNAVAILABLE },
+    };
+  }
+  return null;
+};
+
+/**
+ * Export Page Controller
+ * Exports a page as markdown, HTML, PDF or DOCX, a page and its subpages as a static site,
+ * or, without a page ID, all of the user's pages as a zip in any of those formats
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message, and the exported file if successful
+ */
+export const exportPage = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const exportSchema = z.object({
+      pageId: z.string().optional(),
+      format: z.enum(EXPORT_FORMATS),
+    });
+    const parseResult = exportSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, format } = parseResult.data;
+
+    const formatError = _checkExportFormat(format);
+    if (formatError) {
+      return formatError;
+    }
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    let pages;
+    let title;
+    if (pageId) {
+      const { page, error } = await _getAccessiblePage(pageId, user);
+      if (error) {
+        return error;
+      }
+      title = page.pageName;
+      pages = [page];
+
+      // A site includes the subpages the user can see
+      if (format === 'site') {
+        const descendantIds = await getDescendantIds(page._id);
+        const descendants = await Page.find({
+          _id: { $in: descendantIds },
+          deletedAt: null,
+          $or: [{ owner: user._id }, { sharedTo: user._id }],
+        }).sort({ position: 1 });
+        pages.push(...descendants);
+      }
+    } else {
+      title = `${user.name} - ZettaNote`;
+      pages = await Page.find({ owner: user._id, deletedAt: null }).sort({ position: 1 });
+    }
+
+    if (pages.length > config.export.maxPages) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.EXPORT_TOO_LARGE },
+      };
+    }
+
+    const file = await exportPages({ pages: pages.map(_toExportPage), format, title });
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.EXPORTED },
+      file,
+    };
+  } catch (err) {
+    logger.error('Export page error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Helper function to map wiki links in a public page to the owner's other public pages
+ * @param {object} page - Publicly shared page
+ * @returns {Function} Wiki link resolver for renderMarkdown
+ */
+const _getPublicWikiLinkResolver = async (page) => {
+  const shareIds = new Map();
+  if (page.links.length > 0) {
+    const publicPages = await Page.find({
+      owner: page.owner,
+      publicShareId: { $nin: ['', null] },
+      deletedAt: null,
+    }).select('pageName publicShareId');
+
+    for (const publicPage of publicPages) {
+      const name = normalizeLinkTarget(publicPage.pageName);
+      if (!shareIds.has(name)) {
+        shareIds.set(name, publicPage.publicShareId);
+      }
+    }
+  }
+
+  return (target) => {
+    const shareId = shareIds.get(normalizeLinkTarget(target));
+    return shareId ? `/public/${encodeURIComponent(shareId)}` : null;
+  };
+};
+
+/**
+ * Render Public Share Controller
+ * Renders a publicly shared page as a full HTML document for browsers, search engines and
+ * link previews, or a password form for protected links
+ * @param {string} shareId - Public share ID
+ * @param {string} [shareToken] - Token from unlocking a password-protected link
+ * @returns {object} Response status, the HTML document and whether it may be cached
+ */
+export const renderPublicShare = async (shareId, shareToken) => {
+  try {
+    const { page, link, error } = await _openPublicShare(shareId, shareToken, {
+      countView: true,
+    });
+    if (error?.resMessage.passwordRequired) {
+      return {
+        resStatus: error.resStatus,
+        html: buildSharePasswordDocument(config.frontendUrl),
+        cacheable: false,
+      };
+    }
+    if (error) {
+      return {
+        resStatus: error.resStatus,
+        html: buildShareNotFoundDocument(
+          config.frontendUrl,
+          error.resStatus === STATUS_CODES.GONE ? error.resMessage.message : undefined
+        ),
+        cacheable: false,
+      };
+    }
+
+    const headings = [];
+    const html = renderMarkdown(page.pageData, {
+      resolveWikiLink: await _getPublicWikiLinkResolver(page),
+      headings,
+    });
+
+    const formats = ['md', 'html', ...(config.export.chromePath ? ['pdf'] : []), 'docx'];
+    const exportUrl = `/api/pages/share/${encodeURIComponent(shareId)}/export?format=`;
+    const imageUrl =
+      extractImageUrls(page.pageData).find((url) => /^https?:\/\//i.test(url)) ||
+      `${config.frontendUrl}/logo.png`;
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      // Cached copies would skip the password and view limit, or outlive the link's expiry
+      cacheable: !link?.passwordHash && !link?.maxViews && !link?.expiresAt,
+      html: buildShareDocument({
+        title: page.pageName,
+        html,
+        toc: headings,
+        excerpt: getExcerpt(page.pageData),
+        url: `${config.frontendUrl}/public/${encodeURIComponent(shareId)}`,
+        siteUrl: config.frontendUrl,
+        imageUrl,
+        createdAt: page.createdAt,
+        downloads: page.allowDownload
+          ? formats.map((format) => ({
+              label: format.toUpperCase(),
+              href: `${exportUrl}${format}`,
+            }))
+          : [],
+      }),
+    };
+  } catch (err) {
+    logger.error('Render public share error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      html: buildShareNotFoundDocument(config.frontendUrl, MESSAGES.GENERAL.SERVER_ERROR),
+      cacheable: false,
+    };
+  }
+};
+
+/**
+ * Export Public Share Controller
+ * Exports a publicly shared page whose owner allows downloads
+ * @param {string} shareId - Public share ID
+ * @param {string} format - Export format, any of EXPORT_FORMATS except site
+ * @param {string} [shareToken] - Token from unlocking a password-protected link
+ * @returns {object} Response status and message, and the exported file if successful
+ */
+export const exportPublicShare = async (shareId, format, shareToken) => {
+  try {
+    if (!EXPORT_FORMATS.includes(format) || format === 'site') {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.INVALID_EXPORT_FORMAT },
+      };
+    }
+
+    const formatError = _checkExportFormat(format);
+    if (formatError) {
+      return formatError;
+    }
+
+    const { page, error } = await _openPublicShare(shareId, shareToken);
+    if (error) {
+      return error;
+    }
+    if (!page.allowDownload) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.DOWNLOAD_NOT_ALLOWED },
+      };
+    }
+
+    const file = await exportPages({ pages: [_toExportPage(page)], format, title: page.pageName });
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.EXPORTED },
+      file,
+    };
+  } catch (err) {
+    logger.error('Export public share error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Import Pages Controller
+ * Imports a zip of Markdown files, an Obsidian vault or a Notion export as pages
+ * @param {object} req - Express request object with the zip as raw body
+ * @returns {object} Response status and message with the job ID, or the import summary
+ * when no queue is available
+ */
+export const importPages = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const importSchema = z.object({
+      source: z.enum(IMPORT_SOURCES),
+      structure: z.enum(IMPORT_STRUCTURES).default('hierarchy'),
+      parentId: z.string().optional(),
+    });
+    const parseResult = importSchema.safeParse(req.query);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { source, structure, parentId } = parseResult.data;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.IMPORT_FILE_REQUIRED },
+      };
+    }
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    if (parentId) {
+      const { error } = await _getOwnedPage(parentId, user, MESSAGES.PAGE.PARENT_NOT_FOUND);
+      if (error) {
+        return error;
+      }
+    }
+
+    const userId = user._id.toString();
+
+    // Use BullMQ for async processing if available
+    if (pageImportQueue) {
+      let filePath = null;
+      try {
+        filePath = await storeImportUpload(req.body);
+        const job = await pageImportQueue.add('page-import', {
+          filePath,
+          userId,
+          source,
+          structure,
+          parentId: parentId || null,
+        });
+
+        return {
+          resStatus: STATUS_CODES.ACCEPTED,
+          resMessage: { message: MESSAGES.PAGE.IMPORT_QUEUED, jobId: job.id },
+        };
+      } catch (queueError) {
+        logger.warn('Failed to queue page import, falling back to sync', {
+          userId,
+          error: queueError.message,
+        });
+        if (filePath) {
+          await fs.rm(filePath, { force: true });
+        }
+      }
+    }
+
+    const { summary, error } = await importArchive({
+      archive: req.body,
+      userId,
+      source,
+      structure,
+      parentId: parentId || null,
+      limits: config.import,
+      uploadImage: async (image, originalName) =>
+        (await uploadImageFile(image, userId, originalName)).imageUrl,
+    });
+    if (error) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: error },
+      };
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.IMPORTED, result: summary },
+    };
+  } catch (err) {
+    logger.error('Import pages error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Import Status Controller
+ * Reports the progress of a queued import
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message with the job state, progress and result
+ */
+export const getImportStatus = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const statusSchema = z.object({
+      jobId: z.string().min(1, 'Job ID is required'),
+    });
+    const parseResult = statusSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { jobId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    // Users only see their own imports
+    const job = pageImportQueue ? await pageImportQueue.getJob(jobId) : null;
+    if (!job || job.data.userId !== user._id.toString()) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.IMPORT_NOT_FOUND },
+      };
+    }
+
+    const state = await job.getState();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        state,
+        progress: job.progress || null,
+        result: state === 'completed' ? job.returnvalue : null,
+        error: state === 'failed' ? job.failedReason : null,
+      },
+    };
+  } catch (err) {
+    logger.error('Get import status error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Helper function to shape a comment for responses
+ * @param {object} comment - Comment document with its author populated
+ * @returns {object} Comment with its author's name and email
+ */
+const _toCommentResponse = (comment) => ({
+  id: comment._id,
+  parentId: comment.parent || null,
+  author: comment.author
+    ? { id: comment.author._id, name: comment.author.name, email: comment.author.email }
+    : null,
+  body: comment.body,
+  anchor: comment.anchor
+    ? {
+        kind: comment.anchor.kind,
+        quote: comment.anchor.quote,
+        start: comment.anchor.start,
+        end: comment.anchor.end,
+        headingId: comment.anchor.headingId,
+      }
+    : null,
+  resolvedAt: comment.resolvedAt,
+  resolvedBy: comment.resolvedBy,
+  editedAt: comment.editedAt,
+  createdAt: comment.createdAt,
+});
+
+/**
+ * Helper function to find a comment and check the user's role on its page
+ * @param {string} commentId - ID of the comment
+ * @param {object} user - Authenticated user
+ * @param {string} minRole - Least share role required on the page
+ * @returns {object} { comment, page } or { error } with a response to return
+ */
+const _getPageComment = async (commentId, user, minRole) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.COMMENT_NOT_FOUND },
+      },
+    };
+  }
+
+  const { page, error } = await _getAccessiblePage(comment.page, user, minRole);
+  if (error) {
+    return { error };
+  }
+  return { comment, page };
+};
+
+/**
+ * Helper function to get the users a comment mentions who have access to the page
+ * @param {object} page - Page commented on
+ * @param {string} body - Comment text
+ * @returns {string[]} IDs of the mentioned users
+ */
+const _getMentionedUserIds = (page, body) =>
+  extractMentionIds(body).filter((userId) => getPageRole(page, userId));
+
+/**
+ * Helper function to email users newly mentioned in a comment; failures are only logged
+ * @param {object} page - Page commented on
+ * @param {object} author - User who wrote the comment
+ * @param {string} body - Comment text
+ * @param {string[]} mentionIds - IDs of the users to notify
+ * @returns {void}
+ */
+const _notifyMentionedUsers = async (page, author, body, mentionIds) => {
+  const recipientIds = mentionIds.filter((userId) => userId !== author._id.toString());
+  if (recipientIds.length === 0) {
+    return;
+  }
+
+  const recipients = await User.find({ _id: { $in: recipientIds } }, 'email');
+  await Promise.all(
+    recipients.map((recipient) =>
+      sendMentionEmail(recipient.email, {
+        authorName: author.name,
+        pageName: page.pageName,
+        body,
+        url: `${config.frontendUrl}/dashboard/${page._id}`,
+      })
+    )
+  );
+};
+
+/**
+ * Get Comments Controller
+ * Returns the comment threads of a page with their anchors located in the current content
+ * @param {object} req - Express request object
+ * @returns {object} Response status and threads if successful
+ */
+export const getComments = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const getCommentsSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = getCommentsSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    const comments = await Comment.find({ page: page._id })
+      .sort({ createdAt: 1 })
+      .populate('author', 'name email');
+
+    const threads = buildCommentThreads(comments.map(_toCommentResponse)).map((thread) => ({
+      ...thread,
+      ...locateAnchor(page.pageData, thread.anchor),
+    }));
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { Threads: threads },
+    };
+  } catch (err) {
+    logger.error('Get comments error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Add Comment Controller
+ * Starts a thread on a text range, heading or the whole page, or replies to a thread
+ * @param {object} req - Express request object
+ * @returns {object} Response status and the new comment if successful
  */
-export const uploadImage = async (req) => {
+export const addComment = async (req) => {
   try {
     const token = req.cookies?.token;
     if (!token) {
@@ -938,6 +3929,42 @@ export const uploadImage = async (req) => {
       };
     }
 
+    // Validate input
+    const addCommentSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+      body: z
+        .string()
+        .trim()
+        .min(1, 'Comment is required')
+        .max(COMMENT_MAX_LENGTH, `Comment must be at most ${COMMENT_MAX_LENGTH} characters`),
+      parentId: z.string().min(1).nullable().optional(),
+      anchor: z
+        .discriminatedUnion('kind', [
+          z.object({
+            kind: z.literal('text'),
+            quote: z
+              .string()
+              .trim()
+              .min(1, 'Select the text to comment on')
+              .max(QUOTE_MAX_LENGTH, `Select at most ${QUOTE_MAX_LENGTH} characters`),
+          }),
+          z.object({
+            kind: z.literal('heading'),
+            headingId: z.string().min(1, 'Heading is required'),
+          }),
+        ])
+        .nullable()
+        .optional(),
+    });
+    const parseResult = addCommentSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, body, parentId, anchor } = parseResult.data;
+
     // Verify user
     const user = await verifyToken(token);
     if (!user) {
@@ -947,70 +3974,357 @@ export const uploadImage = async (req) => {
       };
     }
 
-    const { image, pageId } = req.body;
-
-    if (!image) {
-      return {
-        resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: 'Image data is required' },
-      };
+    const { page, error } = await _getAccessiblePage(pageId, user, 'commenter');
+    if (error) {
+      return error;
     }
 
-    // Check if page exists and user has access to it
-    if (pageId) {
-      const page = await Page.findById(pageId);
-      if (!page) {
+    // Replies go on the first comment of a thread and share its anchor
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, page: page._id });
+      if (!parent) {
         return {
           resStatus: STATUS_CODES.NOT_FOUND,
-          resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+          resMessage: { message: MESSAGES.PAGE.COMMENT_NOT_FOUND },
         };
       }
+      if (parent.parent) {
+        return {
+          resStatus: STATUS_CODES.BAD_REQUEST,
+          resMessage: { message: MESSAGES.PAGE.COMMENT_THREAD_ONLY },
+        };
+      }
+    }
 
-      // Check permissions
-      const isOwner = page.owner.equals(user._id);
-      const isShared = (page.sharedTo || []).some((id) => id.equals(user._id));
-
-      if (!isOwner && !isShared) {
+    let located = { anchor: null, orphaned: false };
+    if (anchor && !parent) {
+      located = locateAnchor(page.pageData, {
+        quote: '',
+        start: null,
+        end: null,
+        headingId: null,
+        ...anchor,
+      });
+      if (anchor.kind === 'heading' && located.orphaned) {
         return {
-          resStatus: STATUS_CODES.FORBIDDEN,
-          resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+          resStatus: STATUS_CODES.BAD_REQUEST,
+          resMessage: { message: MESSAGES.PAGE.COMMENT_HEADING_NOT_FOUND },
         };
       }
     }
 
-    // Upload image to Cloudinary
-    const timestamp = new Date().getTime();
-    const uniqueId = `${user._id}_${timestamp}`;
-    const cloudinaryRes = await cloudinary.uploader.upload(image, {
-      folder: 'notes',
-      public_id: `note_img_${uniqueId}`,
+    const mentionIds = _getMentionedUserIds(page, body);
+    const comment = await Comment.create({
+      page: page._id,
+      author: user._id,
+      parent: parent?._id || null,
+      body,
+      anchor: located.anchor,
+      mentions: mentionIds,
     });
 
-    // Save image metadata to database
-    const imageDoc = new Image({
-      publicId: cloudinaryRes.public_id,
-      url: cloudinaryRes.secure_url,
-      originalName: req.body.originalName || null,
-      size: cloudinaryRes.bytes || 0,
-      mimeType: cloudinaryRes.format ? `image/${cloudinaryRes.format}` : 'image/jpeg',
-      uploadedBy: user._id,
-      usedInPages: pageId ? [pageId] : [], // Associate with page if provided
-      referenceCount: pageId ? 1 : 0,
+    // Replying to a resolved thread brings the discussion back
+    if (parent?.resolvedAt) {
+      await Comment.updateOne({ _id: parent._id }, { resolvedAt: null, resolvedBy: null });
+    }
+
+    await _notifyMentionedUsers(page, user, body, mentionIds);
+    await comment.populate('author', 'name email');
+
+    return {
+      resStatus: STATUS_CODES.CREATED,
+      resMessage: { message: MESSAGES.PAGE.COMMENT_ADDED, Comment: _toCommentResponse(comment) },
+    };
+  } catch (err) {
+    logger.error('Add comment error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Update Comment Controller
+ * Edits the text of the user's own comment and notifies users it newly mentions
+ * @param {object} req - Express request object
+ * @returns {object} Response status and the updated comment if successful
+ */
+export const updateComment = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const updateCommentSchema = z.object({
+      commentId: z.string().min(1, 'Comment ID is required'),
+      body: z
+        .string()
+        .trim()
+        .min(1, 'Comment is required')
+        .max(COMMENT_MAX_LENGTH, `Comment must be at most ${COMMENT_MAX_LENGTH} characters`),
     });
+    const parseResult = updateCommentSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { commentId, body } = parseResult.data;
 
-    await imageDoc.save();
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { comment, page, error } = await _getPageComment(commentId, user, 'commenter');
+    if (error) {
+      return error;
+    }
+    if (!comment.author.equals(user._id)) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      };
+    }
+
+    const previousMentionIds = comment.mentions.map((id) => id.toString());
+    const mentionIds = _getMentionedUserIds(page, body);
+
+    comment.body = body;
+    comment.mentions = mentionIds;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await _notifyMentionedUsers(
+      page,
+      user,
+      body,
+      mentionIds.filter((userId) => !previousMentionIds.includes(userId))
+    );
+    await comment.populate('author', 'name email');
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.COMMENT_UPDATED, Comment: _toCommentResponse(comment) },
+    };
+  } catch (err) {
+    logger.error('Update comment error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Delete Comment Controller
+ * Deletes a comment, with its replies when it starts a thread. Authors can delete their own
+ * comments and managers anyone's.
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const deleteComment = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const deleteCommentSchema = z.object({
+      commentId: z.string().min(1, 'Comment ID is required'),
+    });
+    const parseResult = deleteCommentSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { commentId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { comment, page, error } = await _getPageComment(commentId, user, 'viewer');
+    if (error) {
+      return error;
+    }
+    if (!comment.author.equals(user._id) && !hasPageRole(page, user._id, 'manager')) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      };
+    }
+
+    await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.PAGE.COMMENT_DELETED },
+    };
+  } catch (err) {
+    logger.error('Delete comment error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Resolve Comment Controller
+ * Resolves or reopens a thread
+ * @param {object} req - Express request object
+ * @returns {object} Response status and message if successful
+ */
+export const resolveComment = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const resolveCommentSchema = z.object({
+      commentId: z.string().min(1, 'Comment ID is required'),
+      resolved: z.boolean().default(true),
+    });
+    const parseResult = resolveCommentSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { commentId, resolved } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { comment, error } = await _getPageComment(commentId, user, 'commenter');
+    if (error) {
+      return error;
+    }
+    if (comment.parent) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.PAGE.COMMENT_THREAD_ONLY },
+      };
+    }
+
+    comment.resolvedAt = resolved ? new Date() : null;
+    comment.resolvedBy = resolved ? user._id : null;
+    await comment.save();
 
     return {
       resStatus: STATUS_CODES.OK,
       resMessage: {
-        message: 'Image uploaded successfully',
-        imageUrl: cloudinaryRes.secure_url,
-        imageId: cloudinaryRes.public_id,
-        dbImageId: imageDoc._id, // Include database ID for tracking
+        message: resolved ? MESSAGES.PAGE.COMMENT_RESOLVED : MESSAGES.PAGE.COMMENT_REOPENED,
+        resolvedAt: comment.resolvedAt,
+        resolvedBy: comment.resolvedBy,
       },
     };
   } catch (err) {
-    logger.error('Image upload error', err);
+    logger.error('Resolve comment error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get Mentionable Users Controller
+ * Lists the owner and collaborators of a page, who can be @mentioned in its comments
+ * @param {object} req - Express request object
+ * @returns {object} Response status and users if successful
+ */
+export const getMentionableUsers = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    // Validate input
+    const mentionableSchema = z.object({
+      pageId: z.string().min(1, 'Page ID is required'),
+    });
+    const parseResult = mentionableSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId } = parseResult.data;
+
+    // Verify user
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { page, error } = await _getAccessiblePage(pageId, user);
+    if (error) {
+      return error;
+    }
+
+    const users = await User.find(
+      { _id: { $in: [page.owner, ...(page.sharedTo || [])] } },
+      'name email'
+    );
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        Users: users.map((entry) => ({
+          id: entry._id,
+          name: entry.name,
+          email: entry.email,
+          role: getPageRole(page, entry._id),
+        })),
+      },
+    };
+  } catch (err) {
+    logger.error('Get mentionable users error', err);
     return {
       resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
       resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
@@ -1028,6 +4342,38 @@ export default {
   sharePage,
   publicShare,
   getPublicShare,
+  unlockPublicShare,
+  getPublicShareLinks,
   removeUserFromSharedPage,
+  updateShareRole,
+  getShareInvitations,
+  cancelShareInvitation,
+  transferPageOwnership,
   uploadImage,
+  getPageVersions,
+  getPageVersion,
+  diffPageVersions,
+  restorePageVersion,
+  getTrashedPages,
+  restoreTrashedPage,
+  deleteTrashedPage,
+  movePage,
+  reorderPages,
+  searchPages,
+  getBacklinks,
+  getPageGraph,
+  addPageTags,
+  removeTag,
+  renameTag,
+  exportPage,
+  exportPublicShare,
+  renderPublicShare,
+  importPages,
+  getImportStatus,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  getMentionableUsers,
 };
@@ -1,14 +1,173 @@
 import { STATUS_CODES } from '../../constants/statusCodes.js';
 import TaskModel from '../../models/Task.model.js';
+import Page from '../../models/Page.model.js';
 import { MESSAGES } from '../../constants/messages.js';
 import { verifyToken } from '../../utils/token.utils.js';
 import logger from '../../utils/logger.js';
+import { safeRedisCall } from '../../config/redis.js';
 import {
   createTaskSchema,
   updateTaskSchema,
   getTaskIdSchema,
   toggleTaskCompletionSchema,
 } from '../../utils/validator.utils.js';
+import { normalizeRecurrence } from '../../utils/recurrence.utils.js';
+import { spawnNextOccurrence } from '../../utils/task.utils.js';
+import { hasPageRole } from '../../utils/permission.utils.js';
+import { commitPageData } from '../../utils/revision.utils.js';
+import {
+  parseChecklistItems,
+  findChecklistItem,
+  setChecklistItemChecked,
+} from '../../utils/checklist.utils.js';
+import { setChecklistItemForEditors } from '../../sockets/collab.socket.js';
+
+/**
+ * Check a task's recurrence rule and reminder offsets and put them in their stored form
+ * @param {object} data - Parsed request body
+ * @param {string|object|null} data.recurrence - Recurrence rule, undefined to leave it unchanged
+ * @param {number[]} data.reminderOffsets - Minutes before the deadline, undefined to leave them unchanged
+ * @returns {object} { recurrence, reminderOffsets } (undefined when not sent) or { error }
+ */
+const _normalizeSchedule = ({ recurrence, reminderOffsets }) => {
+  const normalized = {};
+
+  if (recurrence !== undefined) {
+    const result = normalizeRecurrence(recurrence);
+    if (result.error) {
+      return { error: result.error };
+    }
+    normalized.recurrence = result.recurrence;
+  }
+
+  if (reminderOffsets !== undefined) {
+    normalized.reminderOffsets = [...new Set(reminderOffsets)].sort((a, b) => b - a);
+  }
+
+  return normalized;
+};
+
+/**
+ * Check that a task may repeat: only top-level tasks with a deadline can
+ * @param {object} task - Task with recurrence, taskDeadline and parentTaskId
+ * @returns {string|null} Error message, null when valid
+ */
+const _checkRecurrence = (task) => {
+  if (!task.recurrence) {
+    return null;
+  }
+  if (task.parentTaskId) {
+    return MESSAGES.TASK.RECURRENCE_TOP_LEVEL_ONLY;
+  }
+  if (!task.taskDeadline) {
+    return MESSAGES.TASK.RECURRENCE_NEEDS_DEADLINE;
+  }
+  return null;
+};
+
+/**
+ * Check that a task can be linked to a checklist item: the user must be able to edit the page,
+ * since completing the task ticks the item, and each item gets one task per user
+ * @param {object} user - Authenticated user document
+ * @param {string} pageId - ID of the page
+ * @param {number} pageLine - Line of the checklist item, counted from 0
+ * @param {string|null} taskId - Task being linked, when it already exists
+ * @returns {object} { link } with pageId, pageLine, pageLineText and checked, or { error }
+ */
+const _getChecklistLink = async (user, pageId, pageLine, taskId = null) => {
+  if (pageLine === undefined) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.TASK.CHECKLIST_LINE_REQUIRED },
+      },
+    };
+  }
+
+  const page = await Page.findOne({ _id: pageId, deletedAt: null });
+  if (!page) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+      },
+    };
+  }
+  if (!hasPageRole(page, user._id, 'editor')) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      },
+    };
+  }
+
+  const item = parseChecklistItems(page.pageData).find((entry) => entry.line === pageLine);
+  if (!item) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: MESSAGES.TASK.CHECKLIST_ITEM_NOT_FOUND },
+      },
+    };
+  }
+
+  const linkedTask = await TaskModel.findOne({
+    owner: user._id,
+    pageId: page._id,
+    pageLine,
+    ...(taskId && { _id: { $ne: taskId } }),
+  });
+  if (linkedTask) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.CONFLICT,
+        resMessage: { message: MESSAGES.TASK.CHECKLIST_ITEM_LINKED, Task: linkedTask },
+      },
+    };
+  }
+
+  return {
+    link: { pageId: page._id, pageLine, pageLineText: item.text, checked: item.checked },
+  };
+};
+
+/**
+ * Tick or untick the checklist items linked to tasks to match their completion
+ * Failures are logged, not returned: the tasks are saved and the items catch up on a later toggle
+ * @param {object[]} tasks - Task documents
+ * @returns {Promise<void>}
+ */
+const _tickChecklistItems = async (tasks) => {
+  for (const task of tasks.filter((entry) => entry.pageId)) {
+    try {
+      // One retry if a save of the page lands in between
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const page = await Page.findOne({ _id: task.pageId, deletedAt: null });
+        if (!page || !hasPageRole(page, task.owner, 'editor')) {
+          break;
+        }
+
+        const item = findChecklistItem(parseChecklistItems(page.pageData), {
+          line: task.pageLine,
+          text: task.pageLineText,
+        });
+        if (!item || item.checked === task.isTaskCompleted) {
+          break;
+        }
+
+        const content = setChecklistItemChecked(page.pageData, item.line, task.isTaskCompleted);
+        if (await commitPageData(page, content)) {
+          await safeRedisCall('del', `page:${page._id}`);
+          setChecklistItemForEditors(page._id, item, task.isTaskCompleted, page.revision);
+          break;
+        }
+      }
+    } catch (error) {
+      logger.error(`Error ticking checklist item of task ${task._id}:`, error);
+    }
+  }
+};
 
 /**
  * Create a new task
@@ -31,12 +190,24 @@ export const createTask = async (req) => {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
         resMessage: {
-          message: parseResult.error.errors.map((e) => e.message).join(', '),
+          message: parseResult.error.issues.map((e) => e.message).join(', '),
         },
       };
     }
 
-    const { taskName, taskDescription, taskDeadline, parentTaskId } = parseResult.data;
+    const { taskName, taskDescription, taskDeadline, parentTaskId, pageId, pageLine } =
+      parseResult.data;
+
+    const schedule = _normalizeSchedule(parseResult.data);
+    const recurrenceError =
+      schedule.error ||
+      _checkRecurrence({ recurrence: schedule.recurrence, taskDeadline, parentTaskId });
+    if (recurrenceError) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: recurrenceError },
+      };
+    }
 
     if (taskDeadline) {
       const now = new Date();
@@ -73,14 +244,29 @@ export const createTask = async (req) => {
       }
     }
 
+    let link = null;
+    if (pageId) {
+      const result = await _getChecklistLink(user, pageId, pageLine);
+      if (result.error) {
+        return result.error;
+      }
+      link = result.link;
+    }
+
     const newTask = new TaskModel({
       taskName,
       taskDescription: taskDescription || '',
       owner: user._id,
       taskDeadline: taskDeadline || null,
       parentTaskId: parentTaskId || null,
-      isTaskCompleted: false,
-      completedAt: null,
+      // A task made from a ticked item starts out completed
+      isTaskCompleted: link?.checked ?? false,
+      completedAt: link?.checked ? new Date() : null,
+      pageId: link?.pageId ?? null,
+      pageLine: link?.pageLine ?? null,
+      pageLineText: link?.pageLineText ?? null,
+      recurrence: schedule.recurrence ?? null,
+      ...(schedule.reminderOffsets && { reminderOffsets: schedule.reminderOffsets }),
       createdAt: Date.now(),
     });
 
@@ -124,7 +310,7 @@ export const updateTask = async (req) => {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
         resMessage: {
-          message: parseResult.error.errors.map((e) => e.message).join(', '),
+          message: parseResult.error.issues.map((e) => e.message).join(', '),
         },
       };
     }
@@ -132,6 +318,14 @@ export const updateTask = async (req) => {
     const { taskId, taskName, taskDescription, taskDeadline, isTaskCompleted } = parseResult.data;
     logger.info(JSON.stringify(parseResult.data));
 
+    const schedule = _normalizeSchedule(parseResult.data);
+    if (schedule.error) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: schedule.error },
+      };
+    }
+
     if (taskDeadline) {
       const now = new Date();
       now.setHours(0, 0, 0, 0);
@@ -173,18 +367,67 @@ export const updateTask = async (req) => {
       };
     }
 
+    if (parseResult.data.pageId === null) {
+      task.pageId = null;
+      task.pageLine = null;
+      task.pageLineText = null;
+    } else if (parseResult.data.pageId) {
+      const { link, error } = await _getChecklistLink(
+        user,
+        parseResult.data.pageId,
+        parseResult.data.pageLine,
+        task._id
+      );
+      if (error) {
+        return error;
+      }
+      task.pageId = link.pageId;
+      task.pageLine = link.pageLine;
+      task.pageLineText = link.pageLineText;
+    }
+
+    const previousDeadline = task.taskDeadline?.getTime() ?? null;
+    const wasCompleted = task.isTaskCompleted;
+
     task.taskName = taskName;
     task.taskDescription = taskDescription;
     task.taskDeadline = taskDeadline;
     task.isTaskCompleted = isTaskCompleted;
+    if (schedule.recurrence !== undefined) {
+      task.recurrence = schedule.recurrence;
+    }
+    if (schedule.reminderOffsets) {
+      task.reminderOffsets = schedule.reminderOffsets;
+    }
+
+    const recurrenceError = _checkRecurrence(task);
+    if (recurrenceError) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: recurrenceError },
+      };
+    }
+
+    // A new deadline gets its reminders again
+    if ((task.taskDeadline?.getTime() ?? null) !== previousDeadline) {
+      task.remindersSent = [];
+      task.oneHourReminderSent = false;
+      task.overdueReminderSent = false;
+    }
 
     await task.save();
 
+    if (wasCompleted !== task.isTaskCompleted) {
+      await _tickChecklistItems([task]);
+    }
+    const nextTask = !wasCompleted && task.isTaskCompleted ? await spawnNextOccurrence(task) : null;
+
     return {
       resStatus: STATUS_CODES.OK,
       resMessage: {
-        message: MESSAGES.TASK.UPDATED,
+        message: nextTask ? MESSAGES.TASK.NEXT_OCCURRENCE_CREATED : MESSAGES.TASK.UPDATED,
         Task: task,
+        ...(nextTask && { NextTask: nextTask }),
       },
     };
   } catch (err) {
@@ -216,7 +459,7 @@ export const getTaskById = async (req) => {
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
 
@@ -285,6 +528,22 @@ export const getAllTasks = async (req) => {
     }
 
     const tasks = await TaskModel.find({ owner: user._id });
+
+    // Name the pages checklist tasks link to, so they can be opened from the task
+    const linkedPageIds = [
+      ...new Set(tasks.filter((task) => task.pageId).map((task) => task.pageId.toString())),
+    ];
+    const linkedPages = linkedPageIds.length
+      ? await Page.find({ _id: { $in: linkedPageIds }, deletedAt: null }, { pageName: 1 })
+      : [];
+    const pageNames = Object.fromEntries(
+      linkedPages.map((page) => [page._id.toString(), page.pageName])
+    );
+    const toTaskObject = (task) => ({
+      ...task.toObject(),
+      pageName: task.pageId ? (pageNames[task.pageId.toString()] ?? null) : null,
+    });
+
     const parentTasks = [];
     const subtasksByParent = {};
 
@@ -296,11 +555,11 @@ export const getAllTasks = async (req) => {
         if (!subtasksByParent[parentId]) {
           subtasksByParent[parentId] = [];
         }
-        subtasksByParent[parentId].push(task);
+        subtasksByParent[parentId].push(toTaskObject(task));
       }
     }
     const groupedTasks = parentTasks.map((task) => {
-      const taskObject = task.toObject();
+      const taskObject = toTaskObject(task);
       taskObject.subtasks = subtasksByParent[task._id.toString()] || [];
       return taskObject;
     });
@@ -339,7 +598,7 @@ export const deleteTask = async (req) => {
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
 
@@ -422,7 +681,7 @@ export const toggleTaskCompletion = async (req) => {
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
 
@@ -479,6 +738,24 @@ export const toggleTaskCompletion = async (req) => {
       }
     }
 
+    const linkedSubtasks =
+      task.isTaskCompleted && !task.parentTaskId
+        ? await TaskModel.find({ parentTaskId: task._id, owner: user._id, pageId: { $ne: null } })
+        : [];
+    await _tickChecklistItems([task, ...linkedSubtasks]);
+
+    const nextTask = task.isTaskCompleted ? await spawnNextOccurrence(task) : null;
+    if (nextTask) {
+      return {
+        resStatus: STATUS_CODES.OK,
+        resMessage: {
+          message: MESSAGES.TASK.NEXT_OCCURRENCE_CREATED,
+          Task: task,
+          NextTask: nextTask,
+        },
+      };
+    }
+
     return {
       resStatus: STATUS_CODES.OK,
       resMessage: {
@@ -0,0 +1,496 @@
+import Template from '../../models/Template.model.js';
+import Page from '../../models/Page.model.js';
+import User from '../../models/User.model.js';
+import { STATUS_CODES } from '../../constants/statusCodes.js';
+import { MESSAGES } from '../../constants/messages.js';
+import { verifyToken } from '../../utils/token.utils.js';
+import logger from '../../utils/logger.js';
+import { escapeRegex } from '../../utils/search.utils.js';
+import {
+  createTemplateSchema,
+  createTemplateFromPageSchema,
+  updateTemplateSchema,
+  getTemplateIdSchema,
+  browseTemplatesSchema,
+} from '../../utils/validator.utils.js';
+
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Helper function to build the list entry of a template
+ * @param {object} template - Template document
+ * @param {string|null} ownerName - Name of the template's author, for public templates
+ * @returns {object} Template summary with a short preview of its content
+ */
+const _toTemplateSummary = (template, ownerName = null) => ({
+  id: template._id,
+  name: template.templateName,
+  description: template.description || '',
+  preview: (template.templateData || '').slice(0, PREVIEW_LENGTH),
+  isPublic: template.isPublic,
+  createdAt: template.createdAt,
+  ownerName,
+});
+
+/**
+ * Helper function to load a template owned by the user
+ * @param {string} templateId - ID of the template
+ * @param {object} user - Authenticated user document
+ * @returns {object} The template, or an error response
+ */
+const _getOwnedTemplate = async (templateId, user) => {
+  const template = await Template.findById(templateId);
+  if (!template) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.TEMPLATE.NOT_FOUND },
+      },
+    };
+  }
+
+  if (!template.templateOwner.equals(user._id)) {
+    return {
+      error: {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.TEMPLATE.ACCESS_DENIED },
+      },
+    };
+  }
+
+  return { template };
+};
+
+/**
+ * Create a new template
+ * @description Creates a template owned by the user
+ * @param {object} req - Express request object containing template details
+ * @returns {object} Response with status and created template
+ */
+export const createTemplate = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const parseResult = createTemplateSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const {
+      templateName,
+      templateData = '',
+      description = '',
+      isPublic = false,
+    } = parseResult.data;
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const template = await Template.create({
+      templateName,
+      templateData,
+      description,
+      templateOwner: user._id,
+      isPublic,
+    });
+
+    return {
+      resStatus: STATUS_CODES.CREATED,
+      resMessage: {
+        message: MESSAGES.TEMPLATE.CREATED,
+        Template: template,
+      },
+    };
+  } catch (err) {
+    logger.error('Create template error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Save a page as a template
+ * @description Creates a template from the saved content of a page the user can access
+ * @param {object} req - Express request object containing the page ID and template details
+ * @returns {object} Response with status and created template
+ */
+export const createTemplateFromPage = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const parseResult = createTemplateFromPageSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { pageId, templateName, description = '', isPublic = false } = parseResult.data;
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
+    if (!page) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.PAGE.NOT_FOUND },
+      };
+    }
+
+    const isOwner = page.owner.equals(user._id);
+    const isShared = (page.sharedTo || []).some((id) => id.equals(user._id));
+    if (!isOwner && !isShared) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
+      };
+    }
+
+    const template = await Template.create({
+      templateName: templateName || page.pageName,
+      templateData: page.pageData || '',
+      description,
+      templateOwner: user._id,
+      isPublic,
+    });
+
+    return {
+      resStatus: STATUS_CODES.CREATED,
+      resMessage: {
+        message: MESSAGES.TEMPLATE.CREATED,
+        Template: template,
+      },
+    };
+  } catch (err) {
+    logger.error('Create template from page error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get the user's templates
+ * @description Lists the templates owned by the user, newest first
+ * @param {object} req - Express request object
+ * @returns {object} Response with status and template summaries
+ */
+export const getTemplates = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const templates = await Template.find({ templateOwner: user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        Templates: templates.map((template) => _toTemplateSummary(template)),
+      },
+    };
+  } catch (err) {
+    logger.error('Get templates error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Browse public templates
+ * @description Lists public templates shared by other users, optionally filtered by name
+ * @param {object} req - Express request object containing the search query and pagination
+ * @returns {object} Response with status, template summaries and whether more pages exist
+ */
+export const browseTemplates = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const parseResult = browseTemplatesSchema.safeParse(req.body || {});
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { query = '', page = 1, limit = 20 } = parseResult.data;
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const filter = { isPublic: true, templateOwner: { $ne: user._id } };
+    if (query) {
+      const pattern = { $regex: escapeRegex(query), $options: 'i' };
+      filter.$or = [{ templateName: pattern }, { description: pattern }];
+    }
+
+    // Fetch one extra to know whether there is another page
+    const templates = await Template.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .lean();
+    const hasMore = templates.length > limit;
+    const results = templates.slice(0, limit);
+
+    const ownerIds = [...new Set(results.map((template) => template.templateOwner.toString()))];
+    const owners = await User.find({ _id: { $in: ownerIds } }, { name: 1 }).lean();
+    const ownerNames = new Map(owners.map((owner) => [owner._id.toString(), owner.name]));
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        Templates: results.map((template) =>
+          _toTemplateSummary(template, ownerNames.get(template.templateOwner.toString()) || null)
+        ),
+        hasMore,
+      },
+    };
+  } catch (err) {
+    logger.error('Browse templates error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Get a template by ID
+ * @description Returns a template the user owns, or any public template
+ * @param {object} req - Express request object containing the template ID
+ * @returns {object} Response with status and template
+ */
+export const getTemplate = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const parseResult = getTemplateIdSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { templateId } = parseResult.data;
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const template = await Template.findById(templateId);
+    if (!template) {
+      return {
+        resStatus: STATUS_CODES.NOT_FOUND,
+        resMessage: { message: MESSAGES.TEMPLATE.NOT_FOUND },
+      };
+    }
+    if (!template.isPublic && !template.templateOwner.equals(user._id)) {
+      return {
+        resStatus: STATUS_CODES.FORBIDDEN,
+        resMessage: { message: MESSAGES.TEMPLATE.ACCESS_DENIED },
+      };
+    }
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { Template: template },
+    };
+  } catch (err) {
+    logger.error('Get template error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Update a template
+ * @description Updates the name, content, description or visibility of the user's template
+ * @param {object} req - Express request object containing the template ID and changes
+ * @returns {object} Response with status and updated template
+ */
+export const updateTemplate = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const parseResult = updateTemplateSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { templateId, templateName, templateData, description, isPublic } = parseResult.data;
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { template, error } = await _getOwnedTemplate(templateId, user);
+    if (error) {
+      return error;
+    }
+
+    // Only change the fields that were sent
+    const changes = { templateName, templateData, description, isPublic };
+    Object.entries(changes).forEach(([field, value]) => {
+      if (value !== undefined) {
+        template[field] = value;
+      }
+    });
+    await template.save();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: {
+        message: MESSAGES.TEMPLATE.UPDATED,
+        Template: template,
+      },
+    };
+  } catch (err) {
+    logger.error('Update template error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+/**
+ * Delete a template
+ * @description Deletes one of the user's templates; pages created from it are not affected
+ * @param {object} req - Express request object containing the template ID
+ * @returns {object} Response with status and message
+ */
+export const deleteTemplate = async (req) => {
+  try {
+    const token = req.cookies?.token;
+    if (!token) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.UNAUTHORIZED },
+      };
+    }
+
+    const parseResult = getTemplateIdSchema.safeParse(req.body);
+    if (!parseResult.success) {
+      return {
+        resStatus: STATUS_CODES.BAD_REQUEST,
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
+      };
+    }
+    const { templateId } = parseResult.data;
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return {
+        resStatus: STATUS_CODES.UNAUTHORIZED,
+        resMessage: { message: MESSAGES.AUTH.INVALID_TOKEN },
+      };
+    }
+
+    const { template, error } = await _getOwnedTemplate(templateId, user);
+    if (error) {
+      return error;
+    }
+    await template.deleteOne();
+
+    return {
+      resStatus: STATUS_CODES.OK,
+      resMessage: { message: MESSAGES.TEMPLATE.DELETED },
+    };
+  } catch (err) {
+    logger.error('Delete template error', err);
+    return {
+      resStatus: STATUS_CODES.INTERNAL_SERVER_ERROR,
+      resMessage: { message: MESSAGES.GENERAL.SERVER_ERROR },
+    };
+  }
+};
+
+export default {
+  createTemplate,
+  createTemplateFromPage,
+  getTemplates,
+  browseTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
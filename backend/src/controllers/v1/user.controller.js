@@ -1,13 +1,42 @@
+import bcrypt from 'bcryptjs';
 import cloudinary from '../../config/cloudinary.js';
 import MESSAGES from '../../constants/messages.js';
 import STATUS_CODES from '../../constants/statusCodes.js';
 import User from '../../models/User.model.js';
+import DataExport from '../../models/DataExport.model.js';
 import logger from '../../utils/logger.js';
+import {
+  validate,
+  updateUsernameSchema,
+  avatarSchema,
+  changeEmailSchema,
+  verifyEmailSchema,
+  deleteAccountSchema,
+} from '../../utils/validator.utils.js';
+import { issueAuthToken, redeemAuthToken, getAuthTokenUrl } from '../../utils/authToken.utils.js';
+import { sendEmailChangeEmail } from './mailer.controller.js';
+import { acceptShareInvitations } from '../../utils/invitation.utils.js';
+import { consumeTwoFactorCode } from '../../utils/twoFactor.utils.js';
+import { clearSessionCookies } from '../../utils/session.utils.js';
+import {
+  getAvatarPublicId,
+  matchesAccountEmail,
+  scheduleAccountDeletion,
+} from '../../utils/account.utils.js';
+import {
+  getDataExportFilePath,
+  getDataExportDownloadName,
+  toDataExportResponse,
+  scheduleDataExport,
+} from '../../utils/dataExport.utils.js';
+
+// Fields never sent back with the user
+const PRIVATE_FIELDS = '-password -twoFactorSecret -twoFactorRecoveryCodes -twoFactorLastStep';
 
 export const getUser = async (req, res) => {
   try {
     const userId = req.userId;
-    const user = await User.findById(userId).select('-password');
+    const user = await User.findById(userId).select(PRIVATE_FIELDS);
     res.status(STATUS_CODES.OK).json({ user }, { message: MESSAGES.AUTH.ACCOUNT_FOUND });
   } catch (err) {
     res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
@@ -17,26 +46,178 @@ export const getUser = async (req, res) => {
 
 export const updateUsername = async (req, res) => {
   try {
+    const validation = validate(updateUsernameSchema, req.body || {});
+    if (!validation.isValid) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({ message: validation.message });
+    }
+
     const userId = req.userId;
-    const { name } = req.body;
-    const user = await User.findById(userId);
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { name: validation.data.name },
+      { new: true }
+    ).select(PRIVATE_FIELDS);
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(STATUS_CODES.NOT_FOUND).json({ message: MESSAGES.AUTH.USER_NOT_FOUND });
+    }
+    res.status(STATUS_CODES.OK).json({ user, message: MESSAGES.AUTH.USER_UPDATED });
+  } catch (err) {
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
+    logger.error(err);
+  }
+};
+
+/**
+ * Request Email Change Controller
+ * Emails a confirmation link to the new address; the account keeps its current
+ * address until the link is followed
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
+export const requestEmailChange = async (req, res) => {
+  try {
+    const validation = validate(changeEmailSchema, req.body || {});
+    if (!validation.isValid) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({ message: validation.message });
+    }
+
+    const { password } = validation.data;
+    const newEmail = validation.data.newEmail.toLowerCase();
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(STATUS_CODES.NOT_FOUND).json({ message: MESSAGES.AUTH.USER_NOT_FOUND });
+    }
+
+    if (user.authProvider !== 'local' || !user.password) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json({ message: MESSAGES.AUTH.EMAIL_MANAGED_BY_PROVIDER });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, user.password);
+    if (!passwordMatch) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json({ message: MESSAGES.AUTH.INCORRECT_PASSWORD });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({ message: MESSAGES.AUTH.EMAIL_UNCHANGED });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(STATUS_CODES.CONFLICT).json({ message: MESSAGES.AUTH.USER_EXISTS });
+    }
+
+    const token = await issueAuthToken(user, 'change-email', newEmail);
+    const { success } = await sendEmailChangeEmail(newEmail, {
+      name: user.name,
+      email: newEmail,
+      url: getAuthTokenUrl('change-email', token),
+    });
+    if (!success) {
+      return res
+        .status(STATUS_CODES.INTERNAL_SERVER_ERROR)
+        .json({ message: 'Failed to send confirmation email' });
     }
-    user.name = name;
+
+    res.status(STATUS_CODES.OK).json({ message: MESSAGES.AUTH.EMAIL_CHANGE_SENT });
+  } catch (err) {
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
+    logger.error(err);
+  }
+};
+
+/**
+ * Confirm Email Change Controller
+ * Moves the account of an email change link to its new, now verified, address
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const validation = validate(verifyEmailSchema, req.body || {});
+    if (!validation.isValid) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({ message: validation.message });
+    }
+
+    const record = await redeemAuthToken(validation.data.token, 'change-email');
+    const user = record && (await User.findById(record.userId));
+    if (!user || !record.email || user.deletionRequestedAt) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json({ message: MESSAGES.AUTH.INVALID_EMAIL_CHANGE_LINK });
+    }
+
+    // Someone may have signed up with the address since the link was sent
+    if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+      return res.status(STATUS_CODES.CONFLICT).json({ message: MESSAGES.AUTH.USER_EXISTS });
+    }
+
+    user.email = record.email;
+    user.emailVerified = true;
     await user.save();
-    res.status(STATUS_CODES.OK).json({ user }, { message: MESSAGES.AUTH.USER_UPDATED });
+
+    // Pages shared with the new address before it had an account
+    try {
+      await acceptShareInvitations(user);
+    } catch (err) {
+      logger.error('Accept share invitations error', err);
+    }
+
+    res.status(STATUS_CODES.OK).json({ message: MESSAGES.AUTH.EMAIL_CHANGED, email: user.email });
   } catch (err) {
     res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
     logger.error(err);
   }
 };
 
+/**
+ * Terminate Account Controller
+ * Confirms the request, signs the user out everywhere and deletes the account with
+ * its pages, tasks and images in the background
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
 export const terminateAccount = async (req, res) => {
   try {
-    const userId = req.userId;
-    await User.findByIdAndDelete(userId);
-    res.status(STATUS_CODES.OK).json({ message: MESSAGES.AUTH.ACCOUNT_TERMINATED });
+    const validation = validate(deleteAccountSchema, req.body || {});
+    if (!validation.isValid) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({ message: validation.message });
+    }
+
+    const { password, confirmEmail, code } = validation.data;
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(STATUS_CODES.NOT_FOUND).json({ message: MESSAGES.AUTH.USER_NOT_FOUND });
+    }
+
+    // Accounts with a password confirm with it, OAuth accounts by typing their email
+    if (user.authProvider === 'local' && user.password) {
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return res
+          .status(STATUS_CODES.BAD_REQUEST)
+          .json({ message: MESSAGES.AUTH.INCORRECT_PASSWORD });
+      }
+    } else if (!matchesAccountEmail(user, confirmEmail)) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json({ message: MESSAGES.AUTH.EMAIL_CONFIRMATION_MISMATCH });
+    }
+
+    if (user.twoFactorEnabled && !(await consumeTwoFactorCode(User, user, code))) {
+      return res
+        .status(STATUS_CODES.BAD_REQUEST)
+        .json({ message: MESSAGES.AUTH.TWO_FACTOR_INVALID_CODE });
+    }
+
+    await scheduleAccountDeletion(user);
+
+    clearSessionCookies(res);
+    res.status(STATUS_CODES.OK).json({ message: MESSAGES.AUTH.ACCOUNT_DELETION_SCHEDULED });
   } catch (err) {
     res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
     logger.error(err);
@@ -45,17 +226,139 @@ export const terminateAccount = async (req, res) => {
 
 export const addAvatar = async (req, res) => {
   try {
+    const validation = validate(avatarSchema, req.body || {});
+    if (!validation.isValid) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({ message: validation.message });
+    }
+
     const userId = req.userId;
-    const { base64Avatar } = req.body;
-    const cloudinaryRes = await cloudinary.uploader.upload(base64Avatar, {
-      folder: 'avatars',
-      public_id: `avatar_${userId}`,
+    const cloudinaryRes = await cloudinary.uploader.upload(validation.data.base64Avatar, {
+      public_id: getAvatarPublicId(userId),
+      overwrite: true,
+      invalidate: true,
     });
     const avatarUrl = cloudinaryRes.secure_url;
     const user = await User.findByIdAndUpdate(userId, { avatar: avatarUrl }, { new: true }).select(
-      '-password'
+      PRIVATE_FIELDS
+    );
+    res.status(STATUS_CODES.OK).json({ user, message: MESSAGES.AUTH.AVATAR_ADDED });
+  } catch (err) {
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
+    logger.error(err);
+  }
+};
+
+export const removeAvatar = async (req, res) => {
+  try {
+    const userId = req.userId;
+    await cloudinary.uploader.destroy(getAvatarPublicId(userId), { invalidate: true });
+    const user = await User.findByIdAndUpdate(userId, { avatar: null }, { new: true }).select(
+      PRIVATE_FIELDS
+    );
+    res.status(STATUS_CODES.OK).json({ user, message: MESSAGES.AUTH.AVATAR_REMOVED });
+  } catch (err) {
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
+    logger.error(err);
+  }
+};
+
+/**
+ * Request Data Export Controller
+ * Starts building a zip of everything ZettaNote keeps about the user; they are emailed
+ * when it can be downloaded
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
+export const requestDataExport = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(STATUS_CODES.NOT_FOUND).json({ message: MESSAGES.AUTH.USER_NOT_FOUND });
+    }
+
+    const inProgress = await DataExport.exists({
+      user: user._id,
+      status: { $in: ['pending', 'processing'] },
+      expiresAt: { $gt: new Date() },
+    });
+    if (inProgress) {
+      return res
+        .status(STATUS_CODES.CONFLICT)
+        .json({ message: MESSAGES.AUTH.DATA_EXPORT_IN_PROGRESS });
+    }
+
+    // Without a queue the export is built before answering
+    const dataExport = await scheduleDataExport(user);
+    const ready = dataExport.status === 'ready';
+    res.status(ready ? STATUS_CODES.OK : STATUS_CODES.ACCEPTED).json({
+      message: ready ? MESSAGES.AUTH.DATA_EXPORT_READY : MESSAGES.AUTH.DATA_EXPORT_REQUESTED,
+      dataExport: toDataExportResponse(dataExport),
+    });
+  } catch (err) {
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
+    logger.error(err);
+  }
+};
+
+/**
+ * Get Data Export Controller
+ * Returns the user's latest data export, or null if they never requested one
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
+export const getDataExport = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ user: req.userId }).sort({ createdAt: -1 });
+    res
+      .status(STATUS_CODES.OK)
+      .json({ dataExport: dataExport ? toDataExportResponse(dataExport) : null });
+  } catch (err) {
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
+    logger.error(err);
+  }
+};
+
+/**
+ * Download Data Export Controller
+ * Sends the zip of one of the user's exports until its link expires
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
+export const downloadDataExport = async (req, res) => {
+  try {
+    const { exportId } = req.params;
+    const dataExport = /^[0-9a-fA-F]{24}$/.test(exportId)
+      ? await DataExport.findOne({ _id: exportId, user: req.userId })
+      : null;
+    if (!dataExport) {
+      return res
+        .status(STATUS_CODES.NOT_FOUND)
+        .json({ message: MESSAGES.AUTH.DATA_EXPORT_NOT_FOUND });
+    }
+
+    if (dataExport.expiresAt <= new Date()) {
+      return res.status(STATUS_CODES.GONE).json({ message: MESSAGES.AUTH.DATA_EXPORT_EXPIRED });
+    }
+    if (dataExport.status !== 'ready') {
+      return res
+        .status(STATUS_CODES.CONFLICT)
+        .json({ message: MESSAGES.AUTH.DATA_EXPORT_NOT_READY });
+    }
+
+    res.download(
+      getDataExportFilePath(dataExport),
+      getDataExportDownloadName(dataExport),
+      (err) => {
+        // The zip is gone if the server's export directory was cleared
+        if (err && !res.headersSent) {
+          logger.error('Data export download error', err);
+          res.status(STATUS_CODES.GONE).json({ message: MESSAGES.AUTH.DATA_EXPORT_EXPIRED });
+        }
+      }
     );
-    res.status(STATUS_CODES.OK).json({ user }, { message: MESSAGES.AUTH.AVATAR_ADDED });
   } catch (err) {
     res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({ message: MESSAGES.GENERAL.SERVER_ERROR });
     logger.error(err);
@@ -7,6 +7,14 @@ import logger from '../../utils/logger.js';
 import { safeRedisCall } from '../../config/redis.js';
 import { updateImageReferences, getContentImageIds } from '../../utils/image.utils.js';
 import { pageSaveQueue } from '../../config/queue.js';
+import { snapshotPageVersion, preserveUnversionedContent } from '../../utils/version.utils.js';
+import {
+  commitPageData,
+  getRevisionConflict,
+  isStaleRevision,
+} from '../../utils/revision.utils.js';
+import { hasPageRole } from '../../utils/permission.utils.js';
+import { reloadPageForEditors } from '../../sockets/collab.socket.js';
 
 /**
  * Helper function to get page name and ID
@@ -44,15 +52,16 @@ export const savePage = async (req) => {
     const savePageSchema = z.object({
       pageId: z.string().min(1, 'Page ID is required'),
       newPageData: z.string().min(0, 'Page data is required'),
+      baseRevision: z.number().int().min(0).optional(),
     });
     const parseResult = savePageSchema.safeParse(req.body);
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
-    const { pageId, newPageData } = parseResult.data;
+    const { pageId, newPageData, baseRevision } = parseResult.data;
 
     // Verify user
     const user = await verifyToken(token);
@@ -64,7 +73,7 @@ export const savePage = async (req) => {
     }
 
     // Find page
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -73,15 +82,21 @@ export const savePage = async (req) => {
     }
 
     // Check if user is owner or has write permission
-    if (!page.owner.equals(user._id) && !(page.sharedTo || []).some((id) => id.equals(user._id))) {
+    if (!hasPageRole(page, user._id, 'editor')) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
       };
     }
 
+    // Reject saves based on an outdated revision
+    if (isStaleRevision(page, baseRevision)) {
+      return getRevisionConflict(page);
+    }
+
     // Use BullMQ for async processing if available
-    if (pageSaveQueue) {
+    // Saves carrying a base revision stay synchronous, a queued job can't answer with a 409
+    if (pageSaveQueue && baseRevision === undefined) {
       try {
         logger.info('Queueing page save job', { pageId, userId: user._id });
 
@@ -105,16 +120,29 @@ export const savePage = async (req) => {
         });
         // Fall back to synchronous processing if queue fails
       }
-    } else {
+    } else if (!pageSaveQueue) {
       logger.debug('BullMQ not available, processing page save synchronously');
     }
 
     // Synchronous save logic
     const previousImageIds = getContentImageIds(page.pageData);
 
-    // Update page
-    page.pageData = newPageData;
-    await page.save();
+    await preserveUnversionedContent(page);
+
+    // Update page, only if no other save landed since it was loaded
+    const committed = await commitPageData(page, newPageData);
+    if (!committed) {
+      return getRevisionConflict(await Page.findById(pageId));
+    }
+    await reloadPageForEditors(pageId);
+
+    // Record the new content in the page's version history
+    try {
+      await snapshotPageVersion(page, user._id);
+    } catch (versionError) {
+      logger.error('Error saving page version:', versionError);
+      // Don't fail the save operation if versioning fails
+    }
 
     // Handle image reference updates
     const currentImageIds = getContentImageIds(newPageData);
@@ -193,12 +221,12 @@ export const processAsyncPageSave = async (req) => {
     if (!parseResult.success) {
       return {
         resStatus: STATUS_CODES.BAD_REQUEST,
-        resMessage: { message: parseResult.error.errors.map((e) => e.message).join(', ') },
+        resMessage: { message: parseResult.error.issues.map((e) => e.message).join(', ') },
       };
     }
 
     // Find page
-    const page = await Page.findById(pageId);
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
       return {
         resStatus: STATUS_CODES.NOT_FOUND,
@@ -207,7 +235,7 @@ export const processAsyncPageSave = async (req) => {
     }
 
     // Check if user is owner or has write permission
-    if (!page.owner.equals(userId) && !(page.sharedTo || []).some((id) => id.equals(userId))) {
+    if (!hasPageRole(page, userId, 'editor')) {
       return {
         resStatus: STATUS_CODES.FORBIDDEN,
         resMessage: { message: MESSAGES.PAGE.ACCESS_DENIED },
@@ -217,9 +245,22 @@ export const processAsyncPageSave = async (req) => {
     // Perform synchronous save logic
     const previousImageIds = getContentImageIds(page.pageData);
 
-    // Update page
-    page.pageData = newPageData;
-    await page.save();
+    await preserveUnversionedContent(page);
+
+    // Update page, only if no other save landed since it was loaded
+    const committed = await commitPageData(page, newPageData);
+    if (!committed) {
+      return getRevisionConflict(await Page.findById(pageId));
+    }
+    await reloadPageForEditors(pageId);
+
+    // Record the new content in the page's version history
+    try {
+      await snapshotPageVersion(page, userId);
+    } catch (versionError) {
+      logger.error('Error saving page version:', versionError);
+      // Don't fail the save operation if versioning fails
+    }
 
     // Handle image reference updates
     const currentImageIds = getContentImageIds(newPageData);
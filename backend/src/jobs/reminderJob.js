@@ -4,66 +4,22 @@
  */
 
 import cron from 'node-cron';
-import TaskModel from '../models/Task.model.js';
+import { sendDueTaskReminders, sendOverdueTaskReminders } from '../utils/task.utils.js';
 import logger from '../utils/logger.js';
-import {
-  sendTaskReminderEmail,
-  sendTaskOverdueEmail,
-} from '../controllers/v1/mailer.controller.js';
 
 /**
  * Check for tasks with approaching deadlines
- * @description Checks for tasks due in 1 hour and overdue tasks, sends reminders
+ * @description Sends the reminders due for each task's reminder offsets and for overdue tasks
  */
 const checkDeadlineReminders = async () => {
   try {
     const now = new Date();
+    const dueReminders = await sendDueTaskReminders(now);
+    const overdueReminders = await sendOverdueTaskReminders(now);
 
-    const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
-    const oneHourWindow = 5 * 60 * 1000;
-
-    const tasksNearing1Hour = await TaskModel.find({
-      taskDeadline: {
-        $gte: new Date(oneHourFromNow.getTime() - oneHourWindow),
-        $lte: new Date(oneHourFromNow.getTime() + oneHourWindow),
-      },
-      isTaskCompleted: false,
-      oneHourReminderSent: false,
-    }).populate('owner');
-
-    for (const task of tasksNearing1Hour) {
-      logger.info(
-        `Processing 1 hour reminder for task: ${task.taskName} to user: ${task.owner.email}`
-      );
-
-      const emailResult = await sendTaskReminderEmail(task, '1 hour');
-
-      if (emailResult.success) {
-        await TaskModel.findByIdAndUpdate(task._id, {
-          oneHourReminderSent: true,
-        });
-      }
-    }
-
-    const overdueTasks = await TaskModel.find({
-      taskDeadline: { $lt: now },
-      isTaskCompleted: false,
-      overdueReminderSent: false,
-    }).populate('owner');
-
-    for (const task of overdueTasks) {
-      logger.info(
-        `Processing overdue reminder for task: ${task.taskName} to user: ${task.owner.email}`
-      );
-
-      const emailResult = await sendTaskOverdueEmail(task);
-
-      if (emailResult.success) {
-        await TaskModel.findByIdAndUpdate(task._id, {
-          overdueReminderSent: true,
-        });
-      }
-    }
+    logger.info(
+      `Reminder check completed: ${dueReminders} due reminders, ${overdueReminders} overdue reminders sent`
+    );
   } catch (error) {
     logger.error('Error checking deadline reminders:', error);
   }
@@ -0,0 +1,96 @@
+/**
+ * Trash Purge Cron Job
+ * @description Cron job to permanently delete pages that stayed in the trash past the retention period
+ */
+
+import cron from 'node-cron';
+import config from '../config/index.js';
+import { purgeExpiredTrash } from '../utils/trash.utils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Purge expired pages from the trash
+ * @description Deletes trashed pages older than the retention period and releases their images
+ * @returns {Promise<object>} Purge results with purgedCount, failedCount, totalProcessed
+ */
+const purgeExpiredTrashJob = async () => {
+  try {
+    logger.info(`Starting trash purge job (retention: ${config.trash.retentionDays} days)...`);
+
+    const result = await purgeExpiredTrash(100); // Process up to 100 pages at a time
+
+    logger.info(
+      `Trash purge completed: ${result.purgedCount} purged, ${result.failedCount} failed, ${result.totalProcessed} processed`
+    );
+
+    return result;
+  } catch (error) {
+    logger.error('Error in purgeExpiredTrashJob:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start the trash purge cron job
+ * @description Starts a cron job that purges expired trash every hour
+ * @returns {ScheduledTask} Cron task instance
+ */
+export const startTrashPurgeCronJob = () => {
+  logger.info('Starting trash purge cron job...');
+
+  // Run every hour at minute 30: '30 * * * *'
+  const purgeTask = cron.schedule(
+    '30 * * * *',
+    async () => {
+      logger.info('Running scheduled trash purge...');
+      try {
+        await purgeExpiredTrashJob();
+      } catch (error) {
+        logger.error('Trash purge cron job error:', error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: 'UTC',
+    }
+  );
+
+  logger.info('Trash purge cron job started - runs every hour');
+  return purgeTask;
+};
+
+/**
+ * Stop the trash purge cron job
+ * @description Stops the running trash purge cron job
+ * @param {object} task - The cron task to stop
+ */
+export const stopTrashPurgeCronJob = (task) => {
+  if (task) {
+    task.stop();
+    logger.info('Trash purge cron job stopped');
+  }
+};
+
+/**
+ * Manual trigger for trash purge (for admin use)
+ * @description Manually purge expired trash
+ * @returns {object} Purge results
+ */
+export const triggerManualTrashPurge = async () => {
+  logger.info('Manual trash purge triggered');
+  try {
+    const result = await purgeExpiredTrashJob();
+    logger.info('Manual trash purge completed', result);
+    return result;
+  } catch (error) {
+    logger.error('Manual trash purge failed:', error);
+    throw error;
+  }
+};
+
+export default {
+  startTrashPurgeCronJob,
+  stopTrashPurgeCronJob,
+  triggerManualTrashPurge,
+  purgeExpiredTrashJob,
+};
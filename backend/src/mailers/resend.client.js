@@ -1,3 +1,6 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
 dotenv.config();
@@ -5,10 +8,33 @@ dotenv.config();
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const RESEND_BASE = 'https://api.resend.com';
 
-if (!RESEND_API_KEY) {
+// Where mail goes: 'resend' sends it, while 'console' logs it and 'file' writes it to
+// MAIL_OUTBOX_DIR so emailed links can be followed locally without a Resend account
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'resend';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+
+if (MAIL_TRANSPORT === 'resend' && !RESEND_API_KEY) {
   logger.warn('RESEND_API_KEY not set. Mailer will not be able to send emails.');
 }
 
+/**
+ * Keep an email locally instead of sending it
+ * @param {{from: string, to: string|string[], subject: string, html?: string, text?: string}} email
+ * @returns {Promise<{success: boolean, message: string, id: string}>}
+ */
+const deliverLocally = async (email) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+  if (MAIL_TRANSPORT === 'file') {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    await fs.writeFile(path.join(MAIL_OUTBOX_DIR, `${id}.json`), JSON.stringify(email, null, 2));
+    return { success: true, message: 'Email written to outbox', id };
+  }
+
+  logger.info(`Email to ${[].concat(email.to).join(', ')}: ${email.subject}\n${email.text || ''}`);
+  return { success: true, message: 'Email logged', id };
+};
+
 /**
  * sendMail
  * @param {{from?: string, to: string|string[], subject: string, html?: string, text?: string}} options
@@ -21,6 +47,14 @@ export const sendMail = async ({
   html,
   text,
 }) => {
+  if (MAIL_TRANSPORT === 'console' || MAIL_TRANSPORT === 'file') {
+    try {
+      return await deliverLocally({ from, to, subject, html, text });
+    } catch (err) {
+      return { success: false, message: 'Failed to deliver email locally', error: err.message };
+    }
+  }
+
   if (!RESEND_API_KEY) {
     return { success: false, message: 'Resend API key not configured' };
   }
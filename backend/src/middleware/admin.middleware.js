@@ -3,19 +3,17 @@ import { STATUS_CODES } from '../constants/statusCodes.js';
 import { MESSAGES } from '../constants/messages.js';
 import AdminAccount from '../models/AdminAccount.model.js';
 import logger from '../utils/logger.js';
+import { needsTwoFactorSetup } from '../utils/twoFactor.utils.js';
 
 /**
- * Middleware to verify admin authentication
- * Checks for valid admin JWT token
- * Attaches admin info to req object if valid
- * Logs admin activity
- * Updates last login time periodically
+ * Verify admin authentication, shared by the middlewares below
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {Function} next - Next middleware function
+ * @param {boolean} allowPendingTwoFactor - Let in admins who still have to set up two-factor
  * @returns {void}
  */
-export const authenticateAdmin = async (req, res, next) => {
+const _authenticate = async (req, res, next, allowPendingTwoFactor) => {
   try {
     const token = req.cookies?.adminToken;
 
@@ -56,6 +54,15 @@ export const authenticateAdmin = async (req, res, next) => {
       await admin.save();
     }
 
+    // Until then, admins whose role requires two-factor can only set it up
+    if (!allowPendingTwoFactor && (await needsTwoFactorSetup(admin))) {
+      return res.status(STATUS_CODES.FORBIDDEN).json({
+        success: false,
+        message: MESSAGES.ADMIN.TWO_FACTOR_SETUP_REQUIRED,
+        twoFactorSetupRequired: true,
+      });
+    }
+
     next();
   } catch (error) {
     logger.error('Admin authentication middleware error', error);
@@ -66,6 +73,31 @@ export const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify admin authentication
+ * Checks for valid admin JWT token
+ * Attaches admin info to req object if valid
+ * Logs admin activity
+ * Updates last login time periodically
+ * Turns away admins whose role requires two-factor until they set it up
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+export const authenticateAdmin = (req, res, next) => _authenticate(req, res, next, false);
+
+/**
+ * Middleware to verify admin authentication on the routes an admin needs to set up
+ * two-factor authentication, which stay open while their role requires it
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+export const authenticateAdminForTwoFactorSetup = (req, res, next) =>
+  _authenticate(req, res, next, true);
+
 /**
  * Middleware to check if admin has specific permission
  * @param {string} permission - Required permission
@@ -132,6 +164,7 @@ export const requireSuperAdmin = (req, res, next) => {
 
 export default {
   authenticateAdmin,
+  authenticateAdminForTwoFactorSetup,
   requirePermission,
   requireSuperAdmin,
 };
@@ -76,6 +76,16 @@ const AdminAccountSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+  },
+  // Last time step a code was accepted for, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,52 @@
+/**
+ * Auth Token Model
+ * Single-use tokens emailed for email verification, password reset and email changes
+ */
+
+import mongoose from 'mongoose';
+
+const AuthTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // What the token lets its holder do: 'verify-email', 'reset-password' or 'change-email'
+  purpose: {
+    type: String,
+    required: true,
+  },
+  // New address of 'change-email' tokens, which the link is sent to
+  email: {
+    type: String,
+    default: null,
+  },
+  // ID signed into the emailed token; the token itself is never stored
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes for optimized queries
+// Index for replacing a user's outstanding tokens when a new one is sent
+AuthTokenSchema.index({ user: 1, purpose: 1 });
+
+// TTL index removing expired tokens
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AuthToken', AuthTokenSchema);
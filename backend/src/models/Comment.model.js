@@ -0,0 +1,99 @@
+/**
+ * Comment Model
+ * Discussion threads on pages, anchored to a text range or heading
+ */
+
+import mongoose from 'mongoose';
+
+// Where a thread is attached; threads without an anchor are about the whole page
+const AnchorSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['text', 'heading'],
+      required: true,
+    },
+    // Commented text as it reads in the preview, or the heading's text
+    quote: {
+      type: String,
+      required: true,
+    },
+    // Range of the quote in pageData when it appears there verbatim
+    start: {
+      type: Number,
+      default: null,
+    },
+    end: {
+      type: Number,
+      default: null,
+    },
+    // Anchor ID of the heading, as in the table of contents
+    headingId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const CommentSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Page',
+    required: true,
+  },
+  author: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // First comment of the thread for replies; null for the comment that starts a thread
+  parent: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Text with mentions written as @[Name](userId)
+  body: {
+    type: String,
+    required: true,
+  },
+  anchor: {
+    type: AnchorSchema,
+    default: null,
+  },
+  mentions: [
+    {
+      type: mongoose.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  // Set on the first comment of a thread when the discussion is resolved
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  resolvedBy: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+});
+
+// Indexes for optimized queries
+// Compound index for listing a page's comments in order
+CommentSchema.index({ page: 1, createdAt: 1 });
+
+// Index for finding the replies of a thread
+CommentSchema.index({ parent: 1 });
+
+export default mongoose.model('Comment', CommentSchema);
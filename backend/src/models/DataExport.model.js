@@ -0,0 +1,52 @@
+/**
+ * Data Export Model
+ * Zips of a user's personal data, built in the background and downloadable until they expire
+ */
+
+import mongoose from 'mongoose';
+
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // pending until a worker picks it up, then processing, ready or failed
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending',
+  },
+  // Name of the zip in the export directory, once ready
+  fileName: {
+    type: String,
+    default: null,
+  },
+  size: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // The download link stops working then, and the purge job removes the zip
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes for optimized queries
+// Index for finding a user's latest export
+DataExportSchema.index({ user: 1, createdAt: -1 });
+
+// Index for the purge of expired exports; their files must go too, so no TTL index
+DataExportSchema.index({ expiresAt: 1 });
+
+export default mongoose.model('DataExport', DataExportSchema);
@@ -24,6 +24,12 @@ const PageSchema = new mongoose.Schema({
     required: true,
     default: [],
   },
+  // Role of each user in sharedTo, keyed by user ID; users without an entry are editors
+  shareRoles: {
+    type: Map,
+    of: String,
+    default: {},
+  },
   publicShareId: {
     type: String,
     default: '',
@@ -34,6 +40,42 @@ const PageSchema = new mongoose.Schema({
     default: Date.now,
   },
   allowDownload: { type: Boolean, default: false },
+  // Incremented on every content save, used to detect conflicting edits
+  revision: {
+    type: Number,
+    default: 0,
+  },
+  // Normalized names of the pages this page links to with [[wiki links]], kept in sync on save
+  links: {
+    type: [String],
+    default: [],
+  },
+  // Tags assigned to the page, normalized to lowercase without the #
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // Normalized #hashtags used in the content, kept in sync on save
+  hashtags: {
+    type: [String],
+    default: [],
+  },
+  // Parent page for nested pages; null for top-level pages
+  parent: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Page',
+    default: null,
+  },
+  // Sort order among pages with the same parent
+  position: {
+    type: Number,
+    default: 0,
+  },
+  // Set when the page is moved to the trash; trashed pages are purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 // Indexes for optimized queries
@@ -52,4 +94,24 @@ PageSchema.index({ owner: 1, createdAt: -1 });
 // Compound index for sharedTo + createdAt for sorted shared pages
 PageSchema.index({ sharedTo: 1, createdAt: -1 });
 
+// Compound index for loading the children of a page in order
+PageSchema.index({ parent: 1, position: 1 });
+
+// Multikey index for finding the backlinks of a page by name
+PageSchema.index({ links: 1 });
+
+// Multikey indexes for finding a user's pages by tag
+PageSchema.index({ owner: 1, tags: 1 });
+PageSchema.index({ owner: 1, hashtags: 1 });
+
+// Full-text index for page search; title matches rank above content matches
+PageSchema.index(
+  { pageName: 'text', pageData: 'text' },
+  { weights: { pageName: 10, pageData: 1 }, name: 'page_text_search' }
+);
+
+// Compound index for listing a user's trash and finding expired trash
+PageSchema.index({ owner: 1, deletedAt: -1 });
+PageSchema.index({ deletedAt: 1 }, { sparse: true });
+
 export default mongoose.model('Page', PageSchema);
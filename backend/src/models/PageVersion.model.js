@@ -0,0 +1,45 @@
+/**
+ * PageVersion Model
+ * Defines the schema for page content snapshots taken on every save
+ */
+
+import mongoose from 'mongoose';
+
+const PageVersionSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Page',
+    required: true,
+  },
+  pageData: {
+    type: String,
+    required: false,
+    default: '',
+  },
+  author: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Content size in bytes
+  size: {
+    type: Number,
+    default: 0,
+  },
+  // Version this snapshot was restored from, if any
+  restoredFrom: {
+    type: mongoose.Types.ObjectId,
+    ref: 'PageVersion',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+});
+
+// Compound index for listing a page's history newest first
+PageVersionSchema.index({ page: 1, createdAt: -1 });
+
+export default mongoose.model('PageVersion', PageVersionSchema);
@@ -0,0 +1,65 @@
+/**
+ * Session Model
+ * Signed-in devices of a user, each holding a rotating refresh token
+ */
+
+import mongoose from 'mongoose';
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // SHA-256 of the refresh token in the device's cookie; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Token replaced by the last rotation, to tell a parallel refresh from a stolen token
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes for optimized queries
+// Unique index for looking up the session of a refresh token
+SessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+
+// Sparse index for detecting reuse of rotated tokens
+SessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+
+// Index for listing and ending a user's sessions
+SessionSchema.index({ user: 1, lastSeenAt: -1 });
+
+// TTL index removing sessions that weren't refreshed in time
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', SessionSchema);
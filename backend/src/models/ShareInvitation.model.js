@@ -0,0 +1,56 @@
+/**
+ * Share Invitation Model
+ * Pages shared with email addresses that have no account yet
+ */
+
+import mongoose from 'mongoose';
+
+const ShareInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  page: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Page',
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Share role the invitee gets once they sign up
+  role: {
+    type: String,
+    required: true,
+  },
+  // Secret sent in the invitation link; proves the invitee received the email
+  token: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes for optimized queries
+// Unique index so inviting an email again updates the existing invitation
+ShareInvitationSchema.index({ page: 1, email: 1 }, { unique: true });
+
+// Index for finding an email's invitations when it signs up
+ShareInvitationSchema.index({ email: 1 });
+
+// TTL index removing invitations nobody accepted
+ShareInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ShareInvitation', ShareInvitationSchema);
@@ -0,0 +1,75 @@
+/**
+ * Share Link Model
+ * Settings and view analytics of a page's public share links
+ */
+
+import mongoose from 'mongoose';
+
+const ShareLinkSchema = new mongoose.Schema({
+  // Matches the page's publicShareId while the link is active
+  shareId: {
+    type: String,
+    required: true,
+  },
+  page: {
+    type: mongoose.Types.ObjectId,
+    ref: 'Page',
+    required: true,
+  },
+  owner: {
+    type: mongoose.Types.ObjectId,
+    required: true,
+  },
+  // bcrypt hash of the link password; null for links anyone can open
+  passwordHash: {
+    type: String,
+    default: null,
+  },
+  // Bumped when the password changes so earlier unlocks stop working
+  passwordVersion: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  // Views allowed before the link stops working; null for unlimited
+  maxViews: {
+    type: Number,
+    default: null,
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+  },
+  // Views per day, keyed by UTC date (YYYY-MM-DD)
+  dailyViews: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when the link is turned off or replaced by a new one
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+});
+
+// Indexes for optimized queries
+// Unique index for resolving a share ID to its link
+ShareLinkSchema.index({ shareId: 1 }, { unique: true });
+
+// Compound index for listing a page's links, newest first
+ShareLinkSchema.index({ page: 1, createdAt: -1 });
+
+export default mongoose.model('ShareLink', ShareLinkSchema);
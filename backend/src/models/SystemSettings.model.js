@@ -0,0 +1,43 @@
+/**
+ * SystemSettings Model
+ * Settings super admins change at runtime, kept in a single document
+ */
+
+import mongoose from 'mongoose';
+
+const SETTINGS_KEY = 'global';
+
+const SystemSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: SETTINGS_KEY,
+  },
+  // Admin roles that can't use the portal until they set up two-factor authentication
+  twoFactorRequiredRoles: {
+    type: [String],
+    enum: ['super_admin', 'admin', 'moderator'],
+    default: [],
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminAccount',
+    default: null,
+  },
+});
+
+// Static method to get the settings, creating them with defaults on first use
+SystemSettingsSchema.statics.getSettings = function () {
+  return this.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $setOnInsert: { key: SETTINGS_KEY } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('SystemSettings', SystemSettingsSchema);
@@ -4,6 +4,40 @@
  */
 
 import mongoose from 'mongoose';
+import { RECURRENCE_FREQUENCIES } from '../utils/recurrence.utils.js';
+import { DEFAULT_REMINDER_OFFSETS, getNextReminderAt } from '../utils/reminder.utils.js';
+
+/**
+ * RRULE-style recurrence: every `interval` days, weeks, months or years, on `byWeekday`
+ * (0 = Sunday) for weekly rules, ending after `count` occurrences or at `until`
+ */
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    freq: {
+      type: String,
+      enum: RECURRENCE_FREQUENCIES,
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    byWeekday: {
+      type: [Number],
+      default: [],
+    },
+    until: {
+      type: Date,
+      default: null,
+    },
+    count: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
 
 const TaskSchema = new mongoose.Schema({
   taskName: {
@@ -46,6 +80,36 @@ const TaskSchema = new mongoose.Schema({
     required: true,
     default: Date.now,
   },
+  // Repeating tasks spawn their next occurrence when completed
+  recurrence: {
+    type: RecurrenceSchema,
+    default: null,
+  },
+  // Number of this task in its series, counted against recurrence.count
+  occurrence: {
+    type: Number,
+    default: 1,
+  },
+  nextOccurrenceId: {
+    type: mongoose.Types.ObjectId,
+    default: null,
+    ref: 'Task',
+  },
+  // Minutes before the deadline to send reminders at
+  reminderOffsets: {
+    type: [Number],
+    default: () => [...DEFAULT_REMINDER_OFFSETS],
+  },
+  // Offsets already reminded about for the current deadline
+  remindersSent: {
+    type: [Number],
+    default: [],
+  },
+  nextReminderAt: {
+    type: Date,
+    default: null,
+  },
+  // Set by reminders from before per-task offsets existed
   oneHourReminderSent: {
     type: Boolean,
     default: false,
@@ -54,6 +118,30 @@ const TaskSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Checklist item (- [ ]) the task was made from; its checkbox and the task stay in sync
+  pageId: {
+    type: mongoose.Types.ObjectId,
+    default: null,
+    ref: 'Page',
+  },
+  // Line of the item in the page, counted from 0, and its text to find it again after edits
+  pageLine: {
+    type: Number,
+    default: null,
+  },
+  pageLineText: {
+    type: String,
+    default: null,
+  },
+});
+
+TaskSchema.index({ nextReminderAt: 1 });
+TaskSchema.index({ pageId: 1 });
+
+// Keep the time of the next reminder up to date for the reminder jobs to query
+TaskSchema.pre('save', function (next) {
+  this.nextReminderAt = getNextReminderAt(this);
+  next();
 });
 
 export default mongoose.model('Task', TaskSchema);
@@ -12,7 +12,12 @@ const TemplateSchema = new mongoose.Schema({
   },
   templateData: {
     type: String,
-    required: true,
+    required: false,
+    default: '',
+  },
+  description: {
+    type: String,
+    default: '',
   },
   templateOwner: {
     type: mongoose.Types.ObjectId,
@@ -29,6 +34,11 @@ const TemplateSchema = new mongoose.Schema({
   },
 });
 
-// TODO: indexing (will add later)
+// Indexes for optimized queries
+// Compound index for listing a user's templates, newest first
+TemplateSchema.index({ templateOwner: 1, createdAt: -1 });
+
+// Compound index for browsing public templates, newest first
+TemplateSchema.index({ isPublic: 1, createdAt: -1 });
 
 export default new mongoose.model('Template', TemplateSchema);
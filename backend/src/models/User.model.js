@@ -46,6 +46,25 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Base32 TOTP secret; set during setup and only checked at login once enabled
+  twoFactorSecret: {
+    type: String,
+    default: null,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+  },
+  // Last time step a code was accepted for, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+  },
   pages: {
     type: [mongoose.Types.ObjectId],
     required: true,
@@ -61,6 +80,12 @@ const UserSchema = new mongoose.Schema({
     required: true,
     default: false,
   },
+  // Set when the user asked to delete their account; the account can't sign in while its data
+  // is removed in the background, and the document itself is deleted last
+  deletionRequestedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     required: true,
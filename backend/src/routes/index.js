@@ -35,6 +35,7 @@ import adminRoutes from './v1/admin.routes.js';
 import mailerRoutes from './v1/mailer.routes.js';
 import oauthRoutes from './v1/oauth.routes.js';
 import taskRoutes from './v1/task.routes.js';
+import templateRoutes from './v1/template.routes.js';
 import userRoutes from './v1/user.routes.js';
 
 router.use('/auth', authRoutes);
@@ -43,6 +44,7 @@ router.use('/pages', pageRoutes);
 router.use('/admin', adminRoutes);
 router.use('/mailer', mailerRoutes);
 router.use('/task', taskRoutes);
+router.use('/template', templateRoutes);
 router.use('/user', userRoutes);
 
 export default router;
@@ -0,0 +1,77 @@
+/**
+ * Public Page Routes
+ * Server-rendered pages served outside the API, e.g. public shares
+ */
+
+import express from 'express';
+import { renderPublicShare, unlockPublicShare } from '../controllers/v1/page.controller.js';
+import { asyncHandler } from '../middleware/error.middleware.js';
+import { STATUS_CODES } from '../constants/statusCodes.js';
+import config from '../config/index.js';
+import { sharePasswordLimiter } from '../utils/security.utils.js';
+import {
+  getShareCookieName,
+  SHARE_UNLOCK_MAX_AGE,
+  buildShareNotFoundDocument,
+  buildSharePasswordDocument,
+} from '../utils/share.utils.js';
+
+const router = express.Router();
+
+/**
+ * GET /public/:shareId
+ * @description Publicly shared page rendered as HTML with SEO and link preview metadata
+ * @public
+ */
+router.get(
+  '/:shareId',
+  asyncHandler(async (req, res) => {
+    const { shareId } = req.params;
+    const shareToken = req.cookies?.[getShareCookieName(shareId)];
+    const { resStatus, html, cacheable } = await renderPublicShare(shareId, shareToken);
+    // Short cache so unsharing takes effect quickly
+    res.set(
+      'Cache-Control',
+      resStatus === STATUS_CODES.OK && cacheable ? 'public, max-age=60' : 'no-store'
+    );
+    res.status(resStatus).type('html').send(html);
+  })
+);
+
+/**
+ * POST /public/:shareId
+ * @description Password form of a protected public share; unlocks it and shows the page
+ * @public
+ */
+router.post(
+  '/:shareId',
+  sharePasswordLimiter,
+  asyncHandler(async (req, res) => {
+    const { shareId } = req.params;
+    const { resStatus, resMessage, shareToken } = await unlockPublicShare(
+      shareId,
+      req.body?.password
+    );
+
+    res.set('Cache-Control', 'no-store');
+    if (resStatus === STATUS_CODES.OK) {
+      if (shareToken) {
+        res.cookie(getShareCookieName(shareId), shareToken, {
+          httpOnly: true,
+          sameSite: 'lax',
+          secure: process.env.NODE_ENV === 'production',
+          maxAge: SHARE_UNLOCK_MAX_AGE,
+        });
+      }
+      res.redirect(303, req.originalUrl);
+      return;
+    }
+
+    const html = resMessage.passwordRequired
+      ? buildSharePasswordDocument(config.frontendUrl, resMessage.message)
+      : buildShareNotFoundDocument(config.frontendUrl, resMessage.message);
+    res.status(resStatus).type('html').send(html);
+  })
+);
+
+export default router;
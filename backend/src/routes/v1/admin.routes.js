@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   adminLogin,
+  adminLoginTwoFactor,
   adminLogout,
   banUser,
   changeFirstPassword,
@@ -12,6 +13,12 @@ import {
   unbanUser,
   updateAdmin,
   triggerImageCleanup,
+  setupAdminTwoFactor,
+  enableAdminTwoFactor,
+  disableAdminTwoFactor,
+  regenerateAdminRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
 } from '../../controllers/v1/admin.controller.js';
 import {
   adminLoginLimiter,
@@ -21,8 +28,10 @@ import {
   securityHeaders,
 } from '../../utils/security.utils.js';
 import { asyncHandler } from '../../middleware/error.middleware.js';
+import { getTwoFactorRequiredRoles } from '../../utils/twoFactor.utils.js';
 import {
   authenticateAdmin,
+  authenticateAdminForTwoFactorSetup,
   requirePermission,
   requireSuperAdmin,
 } from '../../middleware/admin.middleware.js';
@@ -48,6 +57,20 @@ router.post(
   })
 );
 
+/**
+ * POST /api/admin/login/two-factor
+ * @description    Finish admin login with an authenticator or recovery code
+ * @access  Public
+ */
+router.post(
+  '/login/two-factor',
+  adminLoginLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await adminLoginTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
 /**
  * POST /api/admin/change-first-password
  * @description    Change first time admin password
@@ -68,7 +91,7 @@ router.post(
  */
 router.post(
   '/logout',
-  authenticateAdmin,
+  authenticateAdminForTwoFactorSetup,
   asyncHandler(async (req, res) => {
     const { resStatus, resMessage } = await adminLogout(req);
     res.status(resStatus).json(resMessage);
@@ -80,24 +103,92 @@ router.post(
  * @description    Get current admin info
  * @access  Private (Admin)
  */
-router.get('/me', authenticateAdmin, (req, res) => {
-  if (!req.admin) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
-  }
-
-  res.status(200).json({
-    success: true,
-    admin: {
-      id: req.admin._id,
-      email: req.admin.email,
-      name: req.admin.name,
-      role: req.admin.role,
-      permissions: req.admin.permissions,
-      lastLogin: req.admin.lastLogin,
-      twoFactorEnabled: req.admin.twoFactorEnabled,
-    },
-  });
-});
+router.get(
+  '/me',
+  authenticateAdminForTwoFactorSetup,
+  asyncHandler(async (req, res) => {
+    if (!req.admin) {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    const twoFactorRequired = (await getTwoFactorRequiredRoles()).includes(req.admin.role);
+
+    res.status(200).json({
+      success: true,
+      admin: {
+        id: req.admin._id,
+        email: req.admin.email,
+        name: req.admin.name,
+        role: req.admin.role,
+        permissions: req.admin.permissions,
+        lastLogin: req.admin.lastLogin,
+        twoFactorEnabled: req.admin.twoFactorEnabled,
+        twoFactorRequired,
+        twoFactorSetupRequired: twoFactorRequired && !req.admin.twoFactorEnabled,
+        recoveryCodesLeft: req.admin.twoFactorEnabled ? req.admin.twoFactorRecoveryCodes.length : 0,
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/admin/two-factor/setup
+ * @description    Get a new secret to add to an authenticator app
+ * @access  Private (Admin, also while their role requires two-factor setup)
+ */
+router.post(
+  '/two-factor/setup',
+  authenticateAdminForTwoFactorSetup,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await setupAdminTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/admin/two-factor/enable
+ * @description    Turn two-factor authentication on with a code from the app
+ * @access  Private (Admin, also while their role requires two-factor setup)
+ */
+router.post(
+  '/two-factor/enable',
+  adminLoginLimiter,
+  authenticateAdminForTwoFactorSetup,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await enableAdminTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/admin/two-factor/disable
+ * @description    Turn two-factor authentication off, unless the admin's role requires it
+ * @access  Private (Admin)
+ */
+router.post(
+  '/two-factor/disable',
+  adminLoginLimiter,
+  authenticateAdmin,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await disableAdminTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/admin/two-factor/recovery-codes
+ * @description    Replace the recovery codes
+ * @access  Private (Admin)
+ */
+router.post(
+  '/two-factor/recovery-codes',
+  adminLoginLimiter,
+  authenticateAdmin,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await regenerateAdminRecoveryCodes(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
 
 /**
  * POST /api/admin/create
@@ -221,6 +312,36 @@ router.put(
   })
 );
 
+/**
+ * GET /api/admin/system/two-factor-policy
+ * @description    Get the admin roles that must use two-factor authentication
+ * @access  Private (Super Admin)
+ */
+router.get(
+  '/system/two-factor-policy',
+  authenticateAdmin,
+  requireSuperAdmin,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getTwoFactorPolicy(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * PUT /api/admin/system/two-factor-policy
+ * @description    Set the admin roles that must use two-factor authentication
+ * @access  Private (Super Admin)
+ */
+router.put(
+  '/system/two-factor-policy',
+  authenticateAdmin,
+  requireSuperAdmin,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await updateTwoFactorPolicy(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
 /**
  * POST /api/admin/system/cleanup-images
  * @description    Trigger manual image cleanup
@@ -2,13 +2,27 @@ import express from 'express';
 import {
   signup,
   login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  getSessions,
+  endSession,
   getUser,
   changePassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   deleteUser,
   getUserById,
 } from '../../controllers/v1/auth.controller.js';
 import { asyncHandler } from '../../middleware/error.middleware.js';
-import { userAuthLimiter } from '../../utils/security.utils.js';
+import { userAuthLimiter, authEmailLimiter } from '../../utils/security.utils.js';
+import { setSessionCookies, clearSessionCookies } from '../../utils/session.utils.js';
 
 const router = express.Router();
 
@@ -21,15 +35,10 @@ router.post(
   '/signup',
   userAuthLimiter,
   asyncHandler(async (req, res) => {
-    const { resStatus, resMessage, token } = await signup(req);
+    const { resStatus, resMessage, session } = await signup(req);
 
-    if (resStatus === 201 && token) {
-      res.cookie('token', token, {
-        httpOnly: true,
-        sameSite: 'strict',
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      });
+    if (resStatus === 201 && session) {
+      setSessionCookies(res, session);
     }
 
     res.status(resStatus).json(resMessage);
@@ -45,15 +54,49 @@ router.post(
   '/login',
   userAuthLimiter,
   asyncHandler(async (req, res) => {
-    const { resStatus, resMessage, token } = await login(req);
+    const { resStatus, resMessage, session } = await login(req);
 
-    if (resStatus === 200 && token) {
-      res.cookie('token', token, {
-        httpOnly: true,
-        sameSite: 'strict',
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      });
+    if (resStatus === 200 && session) {
+      setSessionCookies(res, session);
+    }
+
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/login/twofactor
+ * @description Finish a login with an authenticator or recovery code
+ * @access  Public
+ */
+router.post(
+  '/login/twofactor',
+  userAuthLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage, session } = await loginTwoFactor(req);
+
+    if (resStatus === 200 && session) {
+      setSessionCookies(res, session);
+    }
+
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/refresh
+ * @description Exchange the refresh token cookie for new session cookies
+ * @access  Public
+ */
+router.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage, session, clearSession } = await refresh(req);
+
+    if (resStatus === 200 && session) {
+      setSessionCookies(res, session);
+    } else if (clearSession) {
+      clearSessionCookies(res);
     }
 
     res.status(resStatus).json(resMessage);
@@ -62,22 +105,46 @@ router.post(
 
 /**
  * POST /api/auth/logout
- * @description Logout user and clear cookie
+ * @description End this device's session, or every session with allDevices, and clear cookies
  * @access  Private
  */
-router.post('/logout', (req, res) => {
-  res.cookie('token', '', {
-    httpOnly: true,
-    sameSite: 'strict',
-    secure: process.env.NODE_ENV === 'production',
-    expires: new Date(0),
-  });
+router.post(
+  '/logout',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await logout(req);
+    clearSessionCookies(res);
+    res.status(resStatus).json(resMessage);
+  })
+);
 
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully',
-  });
-});
+/**
+ * GET /api/auth/sessions
+ * @description List the devices the user is signed in on
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getSessions(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * @description Sign the user out of one device
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage, clearSession } = await endSession(req);
+    if (clearSession) {
+      clearSessionCookies(res);
+    }
+    res.status(resStatus).json(resMessage);
+  })
+);
 
 /**
  * POST /api/auth/changepassword
@@ -86,22 +153,129 @@ router.post('/logout', (req, res) => {
  */
 router.post(
   '/changepassword',
+  userAuthLimiter,
   asyncHandler(async (req, res) => {
-    const { resStatus, resMessage, token } = await changePassword(req);
+    const { resStatus, resMessage, session } = await changePassword(req);
 
-    if (resStatus === 200 && token) {
-      res.cookie('token', token, {
-        httpOnly: true,
-        sameSite: 'strict',
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      });
+    if (resStatus === 200 && session) {
+      setSessionCookies(res, session);
     }
 
     res.status(resStatus).json(resMessage);
   })
 );
 
+/**
+ * POST /api/auth/twofactor/setup
+ * @description Get a new secret to add to an authenticator app
+ * @access  Private
+ */
+router.post(
+  '/twofactor/setup',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await setupTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/twofactor/enable
+ * @description Turn two-factor authentication on with a code from the app
+ * @access  Private
+ */
+router.post(
+  '/twofactor/enable',
+  userAuthLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await enableTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/twofactor/disable
+ * @description Turn two-factor authentication off
+ * @access  Private
+ */
+router.post(
+  '/twofactor/disable',
+  userAuthLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await disableTwoFactor(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/twofactor/recoverycodes
+ * @description Replace the recovery codes
+ * @access  Private
+ */
+router.post(
+  '/twofactor/recoverycodes',
+  userAuthLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await regenerateRecoveryCodes(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/verifyemail
+ * @description Verify the user's email with the token from the verification email
+ * @access  Public
+ */
+router.post(
+  '/verifyemail',
+  userAuthLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await verifyEmail(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/resendverification
+ * @description Email the current user a new verification link
+ * @access  Private
+ */
+router.post(
+  '/resendverification',
+  authEmailLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await resendVerification(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/forgotpassword
+ * @description Email a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgotpassword',
+  authEmailLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await forgotPassword(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/auth/resetpassword
+ * @description Set a new password with the token from the password reset email
+ * @access  Public
+ */
+router.post(
+  '/resetpassword',
+  userAuthLimiter,
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await resetPassword(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
 /**
  * GET /api/auth/getuser
  * @description Get current user information
@@ -125,14 +299,9 @@ router.delete(
   asyncHandler(async (req, res) => {
     const { resStatus, resMessage } = await deleteUser(req);
 
-    // Clear cookie on successful deletion
+    // Clear cookies on successful deletion
     if (resStatus === 200) {
-      res.cookie('token', '', {
-        httpOnly: true,
-        sameSite: 'strict',
-        secure: process.env.NODE_ENV === 'production',
-        expires: new Date(0),
-      });
+      clearSessionCookies(res);
     }
 
     res.status(resStatus).json(resMessage);
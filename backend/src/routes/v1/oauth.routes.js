@@ -1,6 +1,6 @@
 import express from 'express';
 import passport from 'passport';
-import { generateToken } from '../../utils/token.utils.js';
+import { startSession, setSessionCookies } from '../../utils/session.utils.js';
 import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
 
@@ -28,17 +28,13 @@ router.get('/google/callback', (req, res, next) => {
       return res.redirect(`${config.frontendUrl}/login?error=oauth_failed&message="No user found"`);
     }
 
-    // Successful authentication, generate token
-    const token = generateToken(user);
-
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: config.server.nodeEnv === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
-
-    res.redirect(`${config.frontendUrl}/dashboard?oauth=success`);
+    // Successful authentication, sign the user in on this device
+    startSession(user, req)
+      .then((session) => {
+        setSessionCookies(res, session, 'lax');
+        res.redirect(`${config.frontendUrl}/dashboard?oauth=success`);
+      })
+      .catch(next);
   })(req, res, next);
 });
 
@@ -64,17 +60,13 @@ router.get('/github/callback', (req, res, next) => {
       return res.redirect(`${config.frontendUrl}/login?error=oauth_failed&message="No user found"`);
     }
 
-    // Successful authentication, generate token
-    const token = generateToken(user);
-
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: config.server.nodeEnv === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
-
-    res.redirect(`${config.frontendUrl}/dashboard?oauth=success`);
+    // Successful authentication, sign the user in on this device
+    startSession(user, req)
+      .then((session) => {
+        setSessionCookies(res, session, 'lax');
+        res.redirect(`${config.frontendUrl}/dashboard?oauth=success`);
+      })
+      .catch(next);
   })(req, res, next);
 });
 
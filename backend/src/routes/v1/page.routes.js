@@ -9,13 +9,62 @@ import {
   sharePage,
   publicShare,
   getPublicShare,
+  unlockPublicShare,
+  getPublicShareLinks,
   removeUserFromSharedPage,
+  updateShareRole,
+  getShareInvitations,
+  cancelShareInvitation,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  getMentionableUsers,
+  transferPageOwnership,
   uploadImage,
+  getPageVersions,
+  getPageVersion,
+  diffPageVersions,
+  restorePageVersion,
+  getTrashedPages,
+  restoreTrashedPage,
+  deleteTrashedPage,
+  movePage,
+  reorderPages,
+  searchPages,
+  getBacklinks,
+  getPageGraph,
+  addPageTags,
+  removeTag,
+  renameTag,
+  exportPage,
+  exportPublicShare,
+  importPages,
+  getImportStatus,
 } from '../../controllers/v1/page.controller.js';
 import { asyncHandler } from '../../middleware/error.middleware.js';
+import config from '../../config/index.js';
+import { sharePasswordLimiter } from '../../utils/security.utils.js';
+import { getShareCookieName, SHARE_UNLOCK_MAX_AGE } from '../../utils/share.utils.js';
 
 const router = express.Router();
 
+/**
+ * Send an exported file as a download, or the error response if the export failed
+ * @param {object} res - Express response object
+ * @param {object} result - Controller result with resStatus, resMessage and file
+ * @returns {void}
+ */
+const sendExport = (res, result) => {
+  const { resStatus, resMessage, file } = result;
+  if (!file) {
+    res.status(resStatus).json(resMessage);
+    return;
+  }
+  res.status(resStatus).attachment(file.fileName).type(file.contentType).send(file.data);
+};
+
 /**
  * POST /api/pages/createpage
  * @description Create a new page
@@ -120,6 +169,19 @@ router.post(
   })
 );
 
+/**
+ * POST /api/pages/publicshare/links
+ * @description Get the settings and view analytics of a page's public links
+ * @private
+ */
+router.post(
+  '/publicshare/links',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getPublicShareLinks(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
 /**
  * GET /api/pages/share/:shareId
  * @description Get publicly shared page
@@ -129,7 +191,92 @@ router.get(
   '/share/:shareId',
   asyncHandler(async (req, res) => {
     const { shareId } = req.params;
-    const { resStatus, resMessage } = await getPublicShare(shareId);
+    const shareToken = req.cookies?.[getShareCookieName(shareId)];
+    const { resStatus, resMessage } = await getPublicShare(shareId, shareToken);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/share/:shareId/unlock
+ * @description Unlock a password-protected public share for this browser
+ * @public
+ */
+router.post(
+  '/share/:shareId/unlock',
+  sharePasswordLimiter,
+  asyncHandler(async (req, res) => {
+    const { shareId } = req.params;
+    const { resStatus, resMessage, shareToken } = await unlockPublicShare(
+      shareId,
+      req.body?.password
+    );
+
+    if (shareToken) {
+      res.cookie(getShareCookieName(shareId), shareToken, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SHARE_UNLOCK_MAX_AGE,
+      });
+    }
+
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * GET /api/pages/share/:shareId/export?format=
+ * @description Download a publicly shared page as markdown, HTML, PDF or DOCX
+ * @public
+ */
+router.get(
+  '/share/:shareId/export',
+  asyncHandler(async (req, res) => {
+    const { shareId } = req.params;
+    const shareToken = req.cookies?.[getShareCookieName(shareId)];
+    sendExport(res, await exportPublicShare(shareId, req.query.format || 'md', shareToken));
+  })
+);
+
+/**
+ * POST /api/pages/export
+ * @description Export a page, a page with its subpages as a site, or the whole workspace
+ * @private
+ */
+router.post(
+  '/export',
+  asyncHandler(async (req, res) => {
+    sendExport(res, await exportPage(req));
+  })
+);
+
+/**
+ * POST /api/pages/import
+ * @description Import a zip of Markdown files, an Obsidian vault or a Notion export
+ * @private
+ */
+router.post(
+  '/import',
+  express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: config.import.maxUploadBytes,
+  }),
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await importPages(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/import/status
+ * @description Get the progress of a queued import
+ * @private
+ */
+router.post(
+  '/import/status',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getImportStatus(req);
     res.status(resStatus).json(resMessage);
   })
 );
@@ -148,6 +295,58 @@ router.post(
   })
 );
 
+/**
+ * POST /api/pages/sharepage/role
+ * @description Change the role of a user a page is shared with
+ * @private
+ */
+router.post(
+  '/sharepage/role',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await updateShareRole(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/sharepage/invitations
+ * @description List pending invitations for emails without an account
+ * @private
+ */
+router.post(
+  '/sharepage/invitations',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getShareInvitations(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/sharepage/invitations/cancel
+ * @description Cancel a pending invitation
+ * @private
+ */
+router.post(
+  '/sharepage/invitations/cancel',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await cancelShareInvitation(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/transfer
+ * @description Transfer ownership of a page to one of its collaborators
+ * @private
+ */
+router.post(
+  '/transfer',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await transferPageOwnership(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
 /**
  * POST /api/pages/upload-image
  * @description Upload an image to Cloudinary
@@ -161,4 +360,277 @@ router.post(
   })
 );
 
+/**
+ * POST /api/pages/versions
+ * @description List the version history of a page
+ * @private
+ */
+router.post(
+  '/versions',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getPageVersions(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/versions/get
+ * @description Get a single page version with its content
+ * @private
+ */
+router.post(
+  '/versions/get',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getPageVersion(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/versions/diff
+ * @description Line-by-line diff between two versions, or a version and the current content
+ * @private
+ */
+router.post(
+  '/versions/diff',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await diffPageVersions(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/versions/restore
+ * @description Restore a page version as a new save
+ * @private
+ */
+router.post(
+  '/versions/restore',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await restorePageVersion(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/trash
+ * @description List the user's trashed pages
+ * @private
+ */
+router.post(
+  '/trash',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getTrashedPages(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/trash/restore
+ * @description Restore a page from the trash
+ * @private
+ */
+router.post(
+  '/trash/restore',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await restoreTrashedPage(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/trash/delete
+ * @description Permanently delete a page from the trash
+ * @private
+ */
+router.post(
+  '/trash/delete',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await deleteTrashedPage(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/move
+ * @description Move a page under another page or to the top level
+ * @private
+ */
+router.post(
+  '/move',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await movePage(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/reorder
+ * @description Set the order of the pages under one parent
+ * @private
+ */
+router.post(
+  '/reorder',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await reorderPages(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/search
+ * @description Full-text search across the user's own and shared pages
+ * @private
+ */
+router.post(
+  '/search',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await searchPages(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/backlinks
+ * @description Get the pages linking to a page with [[wiki links]]
+ * @private
+ */
+router.post(
+  '/backlinks',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getBacklinks(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/graph
+ * @description Get the link graph of the user's pages
+ * @private
+ */
+router.post(
+  '/graph',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getPageGraph(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/tags/add
+ * @description Assign tags to a page
+ * @private
+ */
+router.post(
+  '/tags/add',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await addPageTags(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/tags/remove
+ * @description Remove a tag from a page, or from all of the user's pages
+ * @private
+ */
+router.post(
+  '/tags/remove',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await removeTag(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/tags/rename
+ * @description Rename a tag across all of the user's pages
+ * @private
+ */
+router.post(
+  '/tags/rename',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await renameTag(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/comments
+ * @description List the comment threads of a page
+ * @private
+ */
+router.post(
+  '/comments',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getComments(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/comments/add
+ * @description Comment on a page or reply to a thread
+ * @private
+ */
+router.post(
+  '/comments/add',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await addComment(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/comments/update
+ * @description Edit a comment
+ * @private
+ */
+router.post(
+  '/comments/update',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await updateComment(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/comments/delete
+ * @description Delete a comment and its replies
+ * @private
+ */
+router.post(
+  '/comments/delete',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await deleteComment(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/comments/resolve
+ * @description Resolve or reopen a thread
+ * @private
+ */
+router.post(
+  '/comments/resolve',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await resolveComment(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/pages/comments/mentionable
+ * @description List users who can be mentioned in comments
+ * @private
+ */
+router.post(
+  '/comments/mentionable',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getMentionableUsers(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
 export default router;
@@ -0,0 +1,111 @@
+/**
+ * Template Routes
+ * @description Defines all routes related to page templates
+ */
+
+import express from 'express';
+import { asyncHandler } from '../../middleware/error.middleware.js';
+import {
+  createTemplate,
+  createTemplateFromPage,
+  getTemplates,
+  browseTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+} from '../../controllers/v1/template.controller.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/template/create
+ * @description Create a new template
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/create',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await createTemplate(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/template/frompage
+ * @description Save a page as a template
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/frompage',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await createTemplateFromPage(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/template/list
+ * @description Get the user's templates
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/list',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getTemplates(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/template/public
+ * @description Browse public templates from other users
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/public',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await browseTemplates(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/template/get
+ * @description Get a template by ID
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/get',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await getTemplate(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/template/update
+ * @description Update a template
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/update',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await updateTemplate(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+/**
+ * POST /api/template/delete
+ * @description Delete a template
+ * @access Private - Requires authentication
+ */
+router.post(
+  '/delete',
+  asyncHandler(async (req, res) => {
+    const { resStatus, resMessage } = await deleteTemplate(req);
+    res.status(resStatus).json(resMessage);
+  })
+);
+
+export default router;
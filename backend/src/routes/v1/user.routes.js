@@ -1,17 +1,34 @@
 import express from 'express';
 import {
   addAvatar,
+  confirmEmailChange,
+  downloadDataExport,
+  getDataExport,
   getUser,
+  removeAvatar,
+  requestDataExport,
+  requestEmailChange,
   terminateAccount,
   updateUsername,
 } from '../../controllers/v1/user.controller.js';
 import { authenticate } from '../../middleware/auth.middleware.js';
+import {
+  userAuthLimiter,
+  authEmailLimiter,
+  dataExportLimiter,
+} from '../../utils/security.utils.js';
 
 const router = express.Router();
 
 router.get('/getuser', authenticate, getUser);
 router.post('/update-username', authenticate, updateUsername);
-router.delete('/terminate-account', authenticate, terminateAccount);
+router.post('/change-email', authEmailLimiter, authenticate, requestEmailChange);
+router.post('/confirm-email', userAuthLimiter, confirmEmailChange);
+router.delete('/terminate-account', userAuthLimiter, authenticate, terminateAccount);
 router.post('/add-avatar', authenticate, addAvatar);
+router.delete('/avatar', authenticate, removeAvatar);
+router.post('/data-export', authenticate, dataExportLimiter, requestDataExport);
+router.get('/data-export', authenticate, getDataExport);
+router.get('/data-export/:exportId/download', authenticate, downloadDataExport);
 
 export default router;
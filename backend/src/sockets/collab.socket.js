@@ -0,0 +1,919 @@
+/**
+ * Collaborative Editing Socket
+ * @description WebSocket server that keeps every open editor of a page in sync.
+ * Page content is a Yjs CRDT document per page ("room"); clients send Yjs updates which are
+ * merged, relayed to the other editors and persisted back to the page after a short delay.
+ * With several backend instances, updates and presence are fanned out over Redis pub/sub.
+ */
+
+import { WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+import { v4 as uuidv4 } from 'uuid';
+import Page from '../models/Page.model.js';
+import User from '../models/User.model.js';
+import Session from '../models/Session.model.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { verifyToken, getTokenSessionId } from '../utils/token.utils.js';
+import { safeRedisCall, isConnected, createRedisSubscriber } from '../config/redis.js';
+import { commitPageData } from '../utils/revision.utils.js';
+import { snapshotPageVersion, preserveUnversionedContent } from '../utils/version.utils.js';
+import { updateImageReferences, getContentImageIds } from '../utils/image.utils.js';
+import { getPageRole, hasPageRole } from '../utils/permission.utils.js';
+import {
+  parseChecklistItems,
+  findChecklistItem,
+  getCheckboxOffset,
+} from '../utils/checklist.utils.js';
+
+export const COLLAB_PATH = '/api/collab';
+
+const PERSIST_DELAY_MS = 2000; // Write merged content to MongoDB 2s after the last edit
+const VERSION_INTERVAL_MS = 10 * 60 * 1000; // Keep at most one version per 10 minutes of editing
+const HEARTBEAT_INTERVAL_MS = 30000;
+const STATE_TTL_SECONDS = 3600;
+const MAX_MESSAGE_BYTES = 5 * 1024 * 1024;
+const ACCESS_CHECK_INTERVAL_MS = 5000; // How long an editor's checked access is trusted
+
+// Close codes telling editors why the server hung up: the page was saved outside the editor
+// and should be reopened from the stored content, or their access to it changed
+const RELOAD_CLOSE_CODE = 4001;
+const ACCESS_CLOSE_CODE = 4003;
+
+// Channel for closing a user's connections on every instance, e.g. when they're signed out
+const ACCESS_CHANNEL = 'collab:access';
+
+// Origin used for updates that came from another instance or from seeding
+const REMOTE_ORIGIN = 'remote';
+
+// Origin used for edits the server makes itself, e.g. ticking a task's checklist item
+const SERVER_ORIGIN = 'server';
+
+const CURSOR_COLORS = ['#f97316', '#22c55e', '#3b82f6', '#a855f7', '#ec4899', '#14b8a6', '#eab308'];
+
+const instanceId = uuidv4();
+const rooms = new Map();
+let subscriberPromise = null;
+
+/**
+ * Redis pub/sub channel for a page's room
+ * @param {string} pageId - ID of the page
+ * @returns {string} Channel name
+ */
+const channelFor = (pageId) => `collab:page:${pageId}`;
+
+/**
+ * Redis key holding a page's shared CRDT state
+ * @param {string} pageId - ID of the page
+ * @returns {string} Key name
+ */
+const stateKeyFor = (pageId) => `collab:state:${pageId}`;
+
+/**
+ * Encode binary data for JSON messages
+ * @param {Uint8Array} data - Binary data
+ * @returns {string} Base64 string
+ */
+const toBase64 = (data) => Buffer.from(data).toString('base64');
+
+/**
+ * Parse the Cookie header of an upgrade request
+ * @param {string} header - Raw Cookie header
+ * @returns {object} Map of cookie names to values
+ */
+const parseCookies = (header = '') =>
+  header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > -1) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+
+/**
+ * Build the initial Yjs update for a page's stored content
+ * Seeding uses the revision as client ID so every instance that seeds the same content produces
+ * identical CRDT items, which merge cleanly instead of duplicating the text, while late updates
+ * made against an older revision's seed can't be mistaken for edits of this one.
+ * @param {string} pageData - Stored page content
+ * @param {number} revision - Revision of the stored content
+ * @returns {Uint8Array} Yjs update
+ */
+const seedUpdate = (pageData, revision) => {
+  const doc = new Y.Doc();
+  doc.clientID = revision;
+  doc.getText('content').insert(0, pageData);
+  const update = Y.encodeStateAsUpdate(doc);
+  doc.destroy();
+  return update;
+};
+
+/**
+ * Send a JSON message to a socket if it is still open
+ * @param {WebSocket} ws - Client socket
+ * @param {object} message - Message payload
+ * @returns {void}
+ */
+const send = (ws, message) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Send a message to every local client in a room
+ * @param {object} room - Room state
+ * @param {object} message - Message payload
+ * @param {WebSocket} [except] - Socket to skip, usually the sender
+ * @returns {void}
+ */
+const broadcast = (room, message, except = null) => {
+  for (const ws of room.clients.keys()) {
+    if (ws !== except) {
+      send(ws, message);
+    }
+  }
+};
+
+/**
+ * Publish a room message to the other backend instances
+ * @param {string} pageId - ID of the page
+ * @param {object} message - Message payload
+ * @returns {void}
+ */
+const publish = (pageId, message) => {
+  if (!isConnected()) {
+    return;
+  }
+  safeRedisCall('publish', channelFor(pageId), JSON.stringify({ ...message, instanceId, pageId }));
+};
+
+/**
+ * Handle a room message published by another instance
+ * @param {string} raw - Raw message from Redis
+ * @returns {void}
+ */
+const handleRedisMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  if (message.instanceId === instanceId) {
+    return;
+  }
+
+  const room = rooms.get(message.pageId);
+  if (!room) {
+    return;
+  }
+
+  const { instanceId: _instanceId, pageId: _pageId, ...payload } = message;
+  switch (message.type) {
+    case 'update':
+      Y.applyUpdate(room.doc, Buffer.from(message.update, 'base64'), REMOTE_ORIGIN);
+      broadcast(room, payload);
+      break;
+    case 'sync-request':
+      // A new instance joined the room - send it everything we know
+      publish(room.pageId, { type: 'update', update: toBase64(Y.encodeStateAsUpdate(room.doc)) });
+      break;
+    case 'saved':
+      room.revision = message.revision;
+      broadcast(room, payload);
+      break;
+    case 'reload':
+      discardRoom(room).catch((err) => logger.error('Error reloading collaboration room:', err));
+      break;
+    case 'checklist':
+      adoptRevision(room, message.revision);
+      if (message.applied) {
+        break;
+      }
+      // Every instance with the room hears this, but only one may make the edit
+      safeRedisCall('set', `collab:checklist:${message.requestId}`, instanceId, {
+        NX: true,
+        EX: 60,
+      }).then((claimed) => {
+        if (claimed && rooms.get(message.pageId) === room) {
+          setRoomChecklistItem(room, message.item, message.checked);
+        }
+      });
+      break;
+    case 'join':
+    case 'cursor':
+    case 'leave':
+      broadcast(room, payload);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Close the connections of a user that match a filter
+ * @param {object} filter - Connections to close
+ * @param {string} filter.userId - ID of the user
+ * @param {string[]|null} filter.pageIds - Only on these pages
+ * @param {string|null} filter.sessionId - Only of this sign-in session
+ * @param {string|null} filter.except - Not of this sign-in session
+ * @returns {void}
+ */
+const closeMatchingConnections = ({ userId, pageIds, sessionId, except }) => {
+  for (const room of rooms.values()) {
+    if (pageIds && !pageIds.includes(room.pageId)) {
+      continue;
+    }
+    for (const [ws, session] of room.clients) {
+      if (
+        session.userId === userId &&
+        (!sessionId || session.authSessionId === sessionId) &&
+        (!except || session.authSessionId !== except)
+      ) {
+        ws.close(ACCESS_CLOSE_CODE, 'Access changed');
+      }
+    }
+  }
+};
+
+/**
+ * Handle a request from another instance to close a user's connections
+ * @param {string} raw - Raw message from Redis
+ * @returns {void}
+ */
+const handleAccessMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  if (message.instanceId !== instanceId) {
+    closeMatchingConnections(message);
+  }
+};
+
+/**
+ * Take on the revision of a save made outside the room when the room was up to date with the
+ * revision before it, e.g. a checklist item ticked from its task that the room makes as well
+ * @param {object} room - Room state
+ * @param {number} revision - Revision the page was saved as
+ * @returns {void}
+ */
+const adoptRevision = (room, revision) => {
+  if (room.revision === revision - 1) {
+    room.revision = revision;
+  }
+};
+
+/**
+ * Tick or untick a checklist item in a room's document and send the edit to its editors.
+ * The item is looked up in the room's own text, which may have edits not saved yet.
+ * @param {object} room - Room state
+ * @param {object} item - Item as { line, text } from the page content
+ * @param {boolean} checked - Whether the box should be ticked
+ * @returns {void}
+ */
+const setRoomChecklistItem = (room, item, checked) => {
+  const ytext = room.doc.getText('content');
+  const text = ytext.toString();
+  const found = findChecklistItem(parseChecklistItems(text), item);
+  if (!found || found.checked === checked) {
+    return;
+  }
+
+  const offset = getCheckboxOffset(text, found.line);
+  const stateBefore = Y.encodeStateVector(room.doc);
+  room.doc.transact(() => {
+    ytext.delete(offset, 1);
+    ytext.insert(offset, checked ? 'x' : ' ');
+  }, SERVER_ORIGIN);
+  const update = toBase64(Y.encodeStateAsUpdate(room.doc, stateBefore));
+
+  broadcast(room, { type: 'update', update });
+  publish(room.pageId, { type: 'update', update });
+  room.dirty = true;
+  schedulePersist(room);
+};
+
+/**
+ * Lazily create the shared Redis subscriber connection
+ * @returns {object|null} Subscriber client, or null when Redis is unavailable
+ */
+const getSubscriber = async () => {
+  if (!subscriberPromise && isConnected()) {
+    subscriberPromise = createRedisSubscriber().then(async (subscriber) => {
+      if (!subscriber) {
+        subscriberPromise = null;
+        return subscriber;
+      }
+      await subscriber.subscribe(ACCESS_CHANNEL, handleAccessMessage);
+      return subscriber;
+    });
+  }
+  return subscriberPromise;
+};
+
+/**
+ * Write a room's merged content back to the page
+ * @param {object} room - Room state
+ * @returns {void}
+ */
+const persistRoom = async (room) => {
+  clearTimeout(room.persistTimer);
+  room.persistTimer = null;
+  if (!room.dirty) {
+    return;
+  }
+  room.dirty = false;
+
+  const pageId = room.pageId;
+  const content = room.doc.getText('content').toString();
+
+  try {
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
+    if (!page) {
+      // Trashed or deleted while editors had it open - there is nothing to save to
+      await discardRoom(room);
+      return;
+    }
+    if (room.released) {
+      return;
+    }
+    if (page.pageData === content) {
+      // Already stored, e.g. a version restore that editors picked up as an edit
+      room.revision = page.revision;
+      return;
+    }
+
+    if (page.revision !== room.revision) {
+      // Another instance saved the room first if the shared state has the page's revision;
+      // otherwise the page was saved outside the editor, and editors start over from it
+      const stored = await safeRedisCall('get', stateKeyFor(pageId));
+      if (!stored || JSON.parse(stored).revision !== page.revision) {
+        publish(pageId, { type: 'reload' });
+        await discardRoom(room);
+        return;
+      }
+      room.revision = page.revision;
+    }
+
+    const previousImageIds = getContentImageIds(page.pageData);
+
+    await preserveUnversionedContent(page);
+    const committed = await commitPageData(page, content);
+    if (!committed) {
+      // Another save landed in between - retry against the fresh page
+      room.dirty = true;
+      schedulePersist(room);
+      return;
+    }
+    room.revision = page.revision;
+
+    // Refresh caches and the shared CRDT state right away, so other instances saving the
+    // room can tell this revision came from it
+    await Promise.all([
+      safeRedisCall('set', `page:${pageId}`, JSON.stringify(page), { EX: 3600 }),
+      safeRedisCall('del', `user:${page.owner}:ownedPages`),
+      ...(page.sharedTo || []).map((userId) => safeRedisCall('del', `user:${userId}:sharedPages`)),
+      safeRedisCall(
+        'set',
+        stateKeyFor(pageId),
+        JSON.stringify({
+          revision: page.revision,
+          state: toBase64(Y.encodeStateAsUpdate(room.doc)),
+        }),
+        { EX: STATE_TTL_SECONDS }
+      ),
+    ]);
+
+    // Saves come every pause in typing, far too often to each be a version that pushes older
+    // ones out of the history - only the latest is kept until the interval is up
+    room.unversioned = { page, authorId: room.lastEditorId };
+    if (Date.now() - room.lastVersionAt >= VERSION_INTERVAL_MS) {
+      await versionRoom(room);
+    }
+
+    const currentImageIds = getContentImageIds(content);
+    const addedImages = currentImageIds.filter((id) => !previousImageIds.includes(id));
+    const removedImages = previousImageIds.filter((id) => !currentImageIds.includes(id));
+    if (addedImages.length > 0 || removedImages.length > 0) {
+      try {
+        await updateImageReferences(pageId, addedImages, removedImages);
+      } catch (imageError) {
+        logger.error('Error updating image references:', imageError);
+      }
+    }
+
+    broadcast(room, { type: 'saved', revision: page.revision });
+    publish(pageId, { type: 'saved', revision: page.revision });
+  } catch (err) {
+    logger.error('Collaborative save error', { pageId, error: err.message });
+  }
+};
+
+/**
+ * Record the content a room last saved in the page's version history
+ * @param {object} room - Room state
+ * @returns {void}
+ */
+const versionRoom = async (room) => {
+  const unversioned = room.unversioned;
+  if (!unversioned) {
+    return;
+  }
+  room.unversioned = null;
+  room.lastVersionAt = Date.now();
+
+  try {
+    await snapshotPageVersion(unversioned.page, unversioned.authorId);
+  } catch (versionError) {
+    logger.error('Error saving page version:', versionError);
+  }
+};
+
+/**
+ * Debounce persisting a room after an edit
+ * @param {object} room - Room state
+ * @returns {void}
+ */
+const schedulePersist = (room) => {
+  clearTimeout(room.persistTimer);
+  room.persistTimer = setTimeout(() => persistRoom(room), PERSIST_DELAY_MS);
+};
+
+/**
+ * Load a room's document from the shared Redis state or the stored page
+ * @param {object} room - Room state
+ * @param {object} page - Page document
+ * @returns {void}
+ */
+const initializeRoom = async (room, page) => {
+  room.revision = page.revision || 0;
+
+  // Reuse the CRDT state from other instances when it matches the stored revision,
+  // otherwise the page was saved outside a session and is seeded fresh
+  const stored = await safeRedisCall('get', stateKeyFor(room.pageId));
+  const parsed = stored ? JSON.parse(stored) : null;
+  if (parsed && parsed.revision === room.revision) {
+    Y.applyUpdate(room.doc, Buffer.from(parsed.state, 'base64'), REMOTE_ORIGIN);
+  } else {
+    Y.applyUpdate(room.doc, seedUpdate(page.pageData || '', room.revision), REMOTE_ORIGIN);
+  }
+
+  const subscriber = await getSubscriber();
+  if (subscriber) {
+    await subscriber.subscribe(channelFor(room.pageId), handleRedisMessage);
+    // Catch up on edits other instances haven't persisted yet
+    publish(room.pageId, { type: 'sync-request' });
+  }
+};
+
+/**
+ * Get the room for a page, creating it on first join
+ * @param {object} page - Page document
+ * @returns {object} Room state
+ */
+const getRoom = async (page) => {
+  const pageId = page._id.toString();
+  let room = rooms.get(pageId);
+  if (!room) {
+    room = {
+      pageId,
+      doc: new Y.Doc(),
+      clients: new Map(),
+      revision: 0,
+      dirty: false,
+      persistTimer: null,
+      lastEditorId: null,
+      lastVersionAt: 0,
+      unversioned: null,
+      released: false,
+    };
+    room.ready = initializeRoom(room, page);
+    rooms.set(pageId, room);
+  }
+  await room.ready;
+  return room;
+};
+
+/**
+ * Close a room once its last local editor has left
+ * @param {object} room - Room state
+ * @returns {void}
+ */
+const closeRoom = async (room) => {
+  rooms.delete(room.pageId);
+  await persistRoom(room);
+  await releaseRoom(room);
+};
+
+/**
+ * Drop a room without saving it, closing its editors' connections so they reopen the page
+ * from the stored content
+ * @param {object} room - Room state
+ * @returns {void}
+ */
+const discardRoom = async (room) => {
+  if (rooms.get(room.pageId) === room) {
+    rooms.delete(room.pageId);
+  }
+  clearTimeout(room.persistTimer);
+  room.persistTimer = null;
+  room.dirty = false;
+
+  for (const ws of room.clients.keys()) {
+    ws.close(RELOAD_CLOSE_CODE, 'Page changed outside the editor');
+  }
+  await releaseRoom(room);
+};
+
+/**
+ * Free a room that is no longer in use, keeping the content it saved last as a version
+ * @param {object} room - Room state
+ * @returns {void}
+ */
+const releaseRoom = async (room) => {
+  if (room.released) {
+    return;
+  }
+  room.released = true;
+  await versionRoom(room);
+
+  // A new room for the page may have taken over the channel in the meantime
+  const subscriber = subscriberPromise ? await subscriberPromise : null;
+  if (subscriber && !rooms.has(room.pageId)) {
+    try {
+      await subscriber.unsubscribe(channelFor(room.pageId));
+    } catch (err) {
+      logger.debug(`Redis unsubscribe failed: ${err.message}`);
+    }
+  }
+  room.doc.destroy();
+};
+
+/**
+ * Check that an editor may still change a page: they are still signed in, not banned and
+ * still have an editor role. Access that no longer matches what the connection was opened
+ * with closes it, so the editor reconnects with what they may do now. A check is trusted for
+ * a few seconds so typing doesn't query the database on every keystroke.
+ * @param {object} room - Room state
+ * @param {WebSocket} ws - Client socket
+ * @param {object} session - Session of the connected user
+ * @returns {Promise<boolean>} True if the editor may change the page
+ */
+const checkEditAccess = async (room, ws, session) => {
+  if (Date.now() - session.accessCheckedAt < ACCESS_CHECK_INTERVAL_MS) {
+    return session.canEdit;
+  }
+
+  const [user, signedIn, page] = await Promise.all([
+    User.findById(session.userId, { banned: 1 }).lean(),
+    Session.exists({ _id: session.authSessionId, user: session.userId }),
+    Page.findOne(
+      { _id: room.pageId, deletedAt: null },
+      { owner: 1, sharedTo: 1, shareRoles: 1 }
+    ).lean(),
+  ]);
+  session.accessCheckedAt = Date.now();
+
+  const canEdit = Boolean(
+    user && !user.banned && signedIn && hasPageRole(page, user._id, 'editor')
+  );
+  if (canEdit !== session.canEdit) {
+    session.canEdit = false;
+    ws.close(ACCESS_CLOSE_CODE, 'Access changed');
+  }
+  return session.canEdit;
+};
+
+/**
+ * Handle messages from a connected editor
+ * @param {object} room - Room state
+ * @param {WebSocket} ws - Client socket
+ * @param {object} session - Session of the connected user
+ * @param {string} raw - Raw message
+ * @returns {void}
+ */
+const handleMessage = async (room, ws, session, raw) => {
+  // Late messages for a room that was discarded or closed
+  if (room.released || rooms.get(room.pageId) !== room) {
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    send(ws, { type: 'error', message: 'Invalid message' });
+    return;
+  }
+
+  switch (message.type) {
+    case 'update': {
+      // Viewers and commenters follow along but can't change the content
+      if (!(await checkEditAccess(room, ws, session))) {
+        send(ws, { type: 'error', message: 'Read-only access' });
+        return;
+      }
+      if (room.released) {
+        return;
+      }
+      try {
+        Y.applyUpdate(room.doc, Buffer.from(message.update, 'base64'), session.sessionId);
+      } catch {
+        send(ws, { type: 'error', message: 'Invalid update' });
+        return;
+      }
+      broadcast(room, { type: 'update', update: message.update }, ws);
+      publish(room.pageId, { type: 'update', update: message.update });
+
+      room.dirty = true;
+      room.lastEditorId = session.userId;
+      schedulePersist(room);
+      break;
+    }
+    case 'cursor': {
+      session.cursor = { anchor: message.anchor ?? null, head: message.head ?? null };
+      const cursorMessage = { type: 'cursor', ...session.presence, ...session.cursor };
+      broadcast(room, cursorMessage, ws);
+      publish(room.pageId, cursorMessage);
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+/**
+ * Set up a newly connected editor
+ * @param {WebSocket} ws - Client socket
+ * @param {object} user - Authenticated user
+ * @param {object} page - Page being edited
+ * @param {string} authSessionId - Sign-in session the connection was opened with
+ * @returns {void}
+ */
+const handleConnection = async (ws, user, page, authSessionId) => {
+  const sessionId = uuidv4();
+  const session = {
+    sessionId,
+    userId: user._id.toString(),
+    authSessionId,
+    canEdit: hasPageRole(page, user._id, 'editor'),
+    accessCheckedAt: Date.now(),
+    cursor: null,
+    presence: {
+      sessionId,
+      userId: user._id.toString(),
+      name: user.name,
+      color: CURSOR_COLORS[Math.floor(Math.random() * CURSOR_COLORS.length)],
+    },
+  };
+
+  // Buffer messages that arrive while the room is loading
+  const pending = [];
+  ws.on('message', (data) => pending.push(data.toString()));
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  let room;
+  try {
+    room = await getRoom(page);
+  } catch (err) {
+    logger.error('Collaboration room error', { pageId: page._id, error: err.message });
+    send(ws, { type: 'error', message: 'Failed to open page for collaboration' });
+    ws.close();
+    return;
+  }
+
+  // The page was saved outside the editor while the room was loading
+  if (room.released) {
+    ws.close(RELOAD_CLOSE_CODE, 'Page changed outside the editor');
+    return;
+  }
+
+  // Handle messages one at a time, as checking access before an update may wait on the database
+  let queue = Promise.resolve();
+  const enqueue = (raw) => {
+    queue = queue
+      .then(() => handleMessage(room, ws, session, raw))
+      .catch((err) => logger.error('Collaboration message error', { error: err.message }));
+  };
+
+  room.clients.set(ws, session);
+  ws.removeAllListeners('message');
+  ws.on('message', (data) => enqueue(data.toString()));
+
+  ws.on('close', () => {
+    room.clients.delete(ws);
+    broadcast(room, { type: 'leave', sessionId });
+    publish(room.pageId, { type: 'leave', sessionId });
+    if (room.clients.size === 0 && rooms.get(room.pageId) === room) {
+      closeRoom(room).catch((err) => logger.error('Error closing collaboration room:', err));
+    }
+  });
+
+  send(ws, {
+    type: 'init',
+    sessionId,
+    readOnly: !session.canEdit,
+    revision: room.revision,
+    state: toBase64(Y.encodeStateAsUpdate(room.doc)),
+    peers: [...room.clients.values()]
+      .filter((peer) => peer !== session)
+      .map((peer) => ({ ...peer.presence, ...peer.cursor })),
+  });
+
+  broadcast(room, { type: 'join', ...session.presence }, ws);
+  publish(room.pageId, { type: 'join', ...session.presence });
+
+  pending.forEach(enqueue);
+};
+
+/**
+ * Tick or untick a checklist item for the editors that have its page open, so a change made
+ * outside the editor, like completing the item's task, shows up and isn't saved over
+ * @param {string} pageId - ID of the page
+ * @param {object} item - Item as { line, text } in the stored page content
+ * @param {boolean} checked - Whether the box should be ticked
+ * @param {number} revision - Revision the page was saved as with the item changed
+ * @returns {void}
+ */
+export const setChecklistItemForEditors = (pageId, item, checked, revision) => {
+  const room = rooms.get(pageId.toString());
+  if (room) {
+    adoptRevision(room, revision);
+    setRoomChecklistItem(room, item, checked);
+  }
+  publish(pageId.toString(), {
+    type: 'checklist',
+    requestId: uuidv4(),
+    item,
+    checked,
+    revision,
+    applied: Boolean(room),
+  });
+};
+
+/**
+ * Start the editors of a page over from its stored content after it was saved outside the
+ * editor, e.g. by restoring a version, so the room doesn't save its older content over it
+ * @param {string} pageId - ID of the page
+ * @returns {void}
+ */
+export const reloadPageForEditors = async (pageId) => {
+  const room = rooms.get(pageId.toString());
+  publish(pageId.toString(), { type: 'reload' });
+  if (room) {
+    await discardRoom(room);
+  }
+};
+
+/**
+ * Drop the rooms of pages moved to the trash, throwing away edits not saved yet. Their editors
+ * are disconnected and can't reopen the pages.
+ * @param {string[]} pageIds - IDs of the pages
+ * @returns {void}
+ */
+export const closePagesForEditors = async (pageIds) => {
+  await Promise.all(pageIds.map((pageId) => reloadPageForEditors(pageId)));
+};
+
+/**
+ * Close a user's editor connections after their access changed, e.g. a page was unshared
+ * with them or they were signed out. Editors that may still open the page reconnect with
+ * their current role.
+ * @param {string} userId - ID of the user
+ * @param {object} [options] - Options
+ * @param {string[]} [options.pageIds] - Only close connections to these pages
+ * @param {string} [options.sessionId] - Only close connections of this sign-in session
+ * @param {string} [options.except] - Keep connections of this sign-in session open
+ * @returns {void}
+ */
+export const closeCollabConnections = (
+  userId,
+  { pageIds = null, sessionId = null, except = null } = {}
+) => {
+  const filter = {
+    userId: userId.toString(),
+    pageIds: pageIds ? pageIds.map((pageId) => pageId.toString()) : null,
+    sessionId: sessionId ? sessionId.toString() : null,
+    except: except ? except.toString() : null,
+  };
+  closeMatchingConnections(filter);
+  if (isConnected()) {
+    safeRedisCall('publish', ACCESS_CHANNEL, JSON.stringify({ ...filter, instanceId }));
+  }
+};
+
+/**
+ * Reject a WebSocket upgrade with an HTTP status
+ * @param {object} socket - Raw network socket
+ * @param {number} status - HTTP status code
+ * @param {string} reason - Status text
+ * @returns {void}
+ */
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Attach the collaborative editing WebSocket server to an HTTP server
+ * Editors connect to /api/collab?pageId=<id> with the same JWT cookie used by the REST API
+ * @param {object} server - Node HTTP server
+ * @returns {WebSocketServer} WebSocket server instance
+ */
+export const attachCollabServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, config.server.url);
+    if (url.pathname !== COLLAB_PATH) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    try {
+      // Browsers always send Origin on WebSocket requests; only allow our own frontends
+      const origin = req.headers.origin;
+      if (origin && !config.cors.allowedOrigins.includes(origin)) {
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+      }
+
+      const token = parseCookies(req.headers.cookie).token;
+      const user = token ? await verifyToken(token) : null;
+      if (!user || user.banned) {
+        rejectUpgrade(socket, 401, 'Unauthorized');
+        return;
+      }
+
+      const pageId = url.searchParams.get('pageId');
+      const page =
+        pageId && /^[0-9a-fA-F]{24}$/.test(pageId)
+          ? await Page.findOne({ _id: pageId, deletedAt: null })
+          : null;
+      if (!page) {
+        rejectUpgrade(socket, 404, 'Not Found');
+        return;
+      }
+
+      if (!getPageRole(page, user._id)) {
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) =>
+        handleConnection(ws, user, page, getTokenSessionId(token))
+      );
+    } catch (err) {
+      logger.error('Collaboration upgrade error', err);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  logger.info(`✅ Collaboration WebSocket server listening on ${COLLAB_PATH}`);
+  return wss;
+};
+
+/**
+ * Persist all open rooms and close the WebSocket server
+ * @param {WebSocketServer} wss - WebSocket server instance
+ * @returns {void}
+ */
+export const closeCollabServer = async (wss) => {
+  await Promise.all(
+    [...rooms.values()].map(async (room) => {
+      await persistRoom(room);
+      await versionRoom(room);
+    })
+  );
+  for (const ws of wss.clients) {
+    ws.close(1001, 'Server shutting down');
+  }
+  await new Promise((resolve) => wss.close(resolve));
+
+  const subscriber = subscriberPromise ? await subscriberPromise : null;
+  if (subscriber) {
+    await subscriber.quit();
+  }
+};
+
+export default attachCollabServer;
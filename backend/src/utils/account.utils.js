@@ -0,0 +1,159 @@
+import User from '../models/User.model.js';
+import Page from '../models/Page.model.js';
+import Task from '../models/Task.model.js';
+import Template from '../models/Template.model.js';
+import Comment from '../models/Comment.model.js';
+import Image from '../models/Image.model.js';
+import ShareLink from '../models/ShareLink.model.js';
+import ShareInvitation from '../models/ShareInvitation.model.js';
+import AuthToken from '../models/AuthToken.model.js';
+import DataExport from '../models/DataExport.model.js';
+import cloudinary from '../config/cloudinary.js';
+import { accountDeletionQueue } from '../config/queue.js';
+import { safeRedisCall } from '../config/redis.js';
+import logger from './logger.js';
+import { purgePage, invalidatePageCaches } from './trash.utils.js';
+import { endUserSessions } from './session.utils.js';
+import { removeDataExports } from './dataExport.utils.js';
+
+/**
+ * Get the Cloudinary public ID of a user's uploaded avatar
+ * @param {string} userId - ID of the user
+ * @returns {string} Public ID
+ */
+export const getAvatarPublicId = (userId) => `avatars/avatar_${userId}`;
+
+/**
+ * Check the email a user typed to confirm deleting an account without a password
+ * @param {object} user - User document
+ * @param {string} typedEmail - Email the user typed
+ * @returns {boolean} True if it is the account's email
+ */
+export const matchesAccountEmail = (user, typedEmail) =>
+  typeof typedEmail === 'string' && typedEmail.trim().toLowerCase() === user.email.toLowerCase();
+
+/**
+ * Delete a user's account along with everything it owns. Safe to run again after a failure:
+ * each step skips what an earlier run already removed, and the user document goes last.
+ * Images the user uploaded that other people's pages still show are kept with those pages.
+ * @param {string} userId - ID of the user, whose deletion must have been requested
+ * @returns {Promise<object|null>} Counts of what was removed, or null if no deletion was pending
+ */
+export const deleteAccountData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.deletionRequestedAt) {
+    return null;
+  }
+
+  const summary = { pages: 0, sharedPages: 0, tasks: 0, templates: 0, images: 0 };
+
+  // Owned pages, trashed ones included, with their versions, comments and image references
+  const ownedPages = await Page.find({ owner: userId });
+  const ownedPageIds = ownedPages.map((page) => page._id);
+  for (const page of ownedPages) {
+    if (await purgePage(page)) {
+      summary.pages++;
+    }
+  }
+
+  // Subpages collaborators created under the user's pages move to their owner's top level
+  await Page.updateMany(
+    { parent: { $in: ownedPageIds }, owner: { $ne: userId } },
+    { $set: { parent: null } }
+  );
+  await Promise.all([
+    ShareLink.deleteMany({ owner: userId }),
+    ShareInvitation.deleteMany({
+      $or: [{ invitedBy: userId }, { page: { $in: ownedPageIds } }],
+    }),
+  ]);
+
+  // Pages other people shared with the user
+  const sharedPages = await Page.find({ sharedTo: userId });
+  for (const page of sharedPages) {
+    await Page.updateOne(
+      { _id: page._id },
+      { $pull: { sharedTo: userId }, $unset: { [`shareRoles.${userId}`]: '' } }
+    );
+    await invalidatePageCaches(page);
+  }
+  summary.sharedPages = sharedPages.length;
+
+  // Comments on other people's pages stay, shown without an author
+  await Comment.updateMany({ mentions: userId }, { $pull: { mentions: userId } });
+
+  const [tasks, templates] = await Promise.all([
+    Task.deleteMany({ owner: userId }),
+    Template.deleteMany({ templateOwner: userId }),
+  ]);
+  summary.tasks = tasks.deletedCount;
+  summary.templates = templates.deletedCount;
+
+  // Uploaded images no page uses anymore
+  const images = await Image.find({
+    uploadedBy: userId,
+    status: { $ne: 'deleted' },
+    usedInPages: { $size: 0 },
+  });
+  for (const image of images) {
+    await cloudinary.uploader.destroy(image.publicId);
+    image.status = 'deleted';
+    image.deleteAt = new Date();
+    await image.save();
+    summary.images++;
+  }
+  await cloudinary.uploader.destroy(getAvatarPublicId(userId));
+  await removeDataExports(await DataExport.find({ user: userId }));
+
+  await Promise.all([
+    endUserSessions(userId),
+    AuthToken.deleteMany({ user: userId }),
+    safeRedisCall('del', `user:${userId}:ownedPages`),
+    safeRedisCall('del', `user:${userId}:sharedPages`),
+  ]);
+  await User.deleteOne({ _id: userId, deletionRequestedAt: { $ne: null } });
+
+  logger.info(`Deleted account ${userId}`, summary);
+  return summary;
+};
+
+/**
+ * Lock a user's account and queue the deletion of its data. Without a queue the data
+ * is deleted before returning.
+ * @param {object} user - User document
+ * @returns {Promise<void>}
+ */
+export const scheduleAccountDeletion = async (user) => {
+  user.deletionRequestedAt = new Date();
+  await user.save();
+
+  // Sign the account out everywhere; login refuses it from now on
+  await endUserSessions(user._id);
+
+  const userId = user._id.toString();
+  if (accountDeletionQueue) {
+    try {
+      // One job per account, so asking twice doesn't delete twice
+      await accountDeletionQueue.add(
+        'account-deletion',
+        { userId },
+        { jobId: `account-${userId}` }
+      );
+      return;
+    } catch (queueError) {
+      logger.warn('Failed to queue account deletion, falling back to sync', {
+        userId,
+        error: queueError.message,
+      });
+    }
+  }
+
+  await deleteAccountData(userId);
+};
+
+export default {
+  getAvatarPublicId,
+  matchesAccountEmail,
+  deleteAccountData,
+  scheduleAccountDeletion,
+};
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import jsonwebtoken from 'jsonwebtoken';
+import AuthToken from '../models/AuthToken.model.js';
+import config from '../config/index.js';
+import { escapeHtml } from './export.utils.js';
+
+// Emailed tokens by purpose: how long they work and the frontend page that redeems them
+export const AUTH_TOKEN_PURPOSES = {
+  'verify-email': { ttlMinutes: 24 * 60, path: '/verify-email' },
+  'reset-password': { ttlMinutes: 60, path: '/reset-password' },
+  'change-email': { ttlMinutes: 24 * 60, path: '/confirm-email' },
+};
+
+/**
+ * Sign an emailed token
+ * @param {string} userId - ID of the user the token is for
+ * @param {string} purpose - Key of AUTH_TOKEN_PURPOSES
+ * @param {string} tokenId - ID of the token's record, which makes it single-use
+ * @returns {string} JWT token
+ */
+export const signAuthToken = (userId, purpose, tokenId) =>
+  jsonwebtoken.sign({ id: String(userId), type: purpose }, config.jwt.secret, {
+    expiresIn: `${AUTH_TOKEN_PURPOSES[purpose].ttlMinutes}m`,
+    jwtid: tokenId,
+  });
+
+/**
+ * Check the signature, expiry and purpose of an emailed token
+ * @param {string} token - JWT token
+ * @param {string} purpose - Purpose the token must have been signed for
+ * @returns {object|null} { userId, tokenId }, or null if the token is not valid for the purpose
+ */
+export const readAuthToken = (token, purpose) => {
+  try {
+    const decoded = jsonwebtoken.verify(token, config.jwt.secret);
+    if (decoded.type !== purpose || !decoded.id || !decoded.jti) {
+      return null;
+    }
+    return { userId: decoded.id, tokenId: decoded.jti };
+    // eslint-disable-next-line no-unused-vars
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the link that redeems an emailed token
+ * @param {string} purpose - Key of AUTH_TOKEN_PURPOSES
+ * @param {string} token - Signed token
+ * @returns {string} Frontend URL carrying the token
+ */
+export const getAuthTokenUrl = (purpose, token) => {
+  const params = new URLSearchParams({ token });
+  return `${config.frontendUrl}${AUTH_TOKEN_PURPOSES[purpose].path}?${params}`;
+};
+
+/**
+ * Build an email around a single button link, in the style of the share emails
+ * @param {object} options - Email content
+ * @param {string} options.subject - Email subject
+ * @param {string} options.summary - Paragraph above the button
+ * @param {string} options.callToAction - Button label
+ * @param {string} options.url - Button link
+ * @param {string} options.note - Small print below the button
+ * @returns {object} { subject, html, text }
+ */
+const buildLinkEmail = ({ subject, summary, callToAction, url, note }) => {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${escapeHtml(subject)}</title></head>
+<body style="margin: 0; padding: 32px 16px; background-color: #f7f3ec; font-family: Fira Sans, Lucida Sans Unicode, Lucida Grande, sans-serif; color: #101010;">
+  <div style="max-width: 560px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; padding: 32px;">
+    <h1 style="margin: 0 0 16px 0; font-size: 24px;">${escapeHtml(subject)}</h1>
+    <p style="margin: 0 0 24px 0; font-size: 16px; line-height: 1.5;">${escapeHtml(summary)}</p>
+    <a href="${escapeHtml(url)}" target="_blank" rel="noopener" style="display: inline-block; padding: 12px 24px; border-radius: 8px; background-color: #7747ff; color: #ffffff; text-decoration: none; font-weight: 600;">${callToAction}</a>
+    <p style="margin: 24px 0 0 0; font-size: 14px; color: #6c757d;">${escapeHtml(note)}</p>
+  </div>
+</body>
+</html>`;
+
+  const text = `${summary}
+
+${callToAction}: ${url}
+
+${note}`;
+
+  return { subject, html, text };
+};
+
+/**
+ * Build the email asking a new user to confirm their address
+ * @param {object} options - Email details
+ * @param {string} options.name - Name of the user
+ * @param {string} options.url - Verification link
+ * @returns {object} { subject, html, text }
+ */
+export const buildVerificationEmail = ({ name, url }) =>
+  buildLinkEmail({
+    subject: 'Verify your ZettaNote email',
+    summary: `Hi ${name}, confirm this is your email address to finish setting up your ZettaNote account.`,
+    callToAction: 'Verify email',
+    url,
+    note: `This link works once and expires in ${AUTH_TOKEN_PURPOSES['verify-email'].ttlMinutes / 60} hours. If you didn't create an account, you can ignore this email.`,
+  });
+
+/**
+ * Build the email with a link to choose a new password
+ * @param {object} options - Email details
+ * @param {string} options.name - Name of the user
+ * @param {string} options.url - Password reset link
+ * @returns {object} { subject, html, text }
+ */
+export const buildPasswordResetEmail = ({ name, url }) =>
+  buildLinkEmail({
+    subject: 'Reset your ZettaNote password',
+    summary: `Hi ${name}, someone asked to reset the password of your ZettaNote account. Choose a new password with the link below.`,
+    callToAction: 'Reset password',
+    url,
+    note: `This link works once and expires in ${AUTH_TOKEN_PURPOSES['reset-password'].ttlMinutes} minutes. If you didn't ask for it, you can ignore this email and your password stays the same.`,
+  });
+
+/**
+ * Build the email asking a user to confirm the new address of their account
+ * @param {object} options - Email details
+ * @param {string} options.name - Name of the user
+ * @param {string} options.email - New email address
+ * @param {string} options.url - Confirmation link
+ * @returns {object} { subject, html, text }
+ */
+export const buildEmailChangeEmail = ({ name, email, url }) =>
+  buildLinkEmail({
+    subject: 'Confirm your new ZettaNote email',
+    summary: `Hi ${name}, confirm that you want to sign in to ZettaNote with ${email} from now on.`,
+    callToAction: 'Confirm email',
+    url,
+    note: `This link works once and expires in ${AUTH_TOKEN_PURPOSES['change-email'].ttlMinutes / 60} hours. If you didn't ask for it, you can ignore this email and your account keeps its current address.`,
+  });
+
+/**
+ * Build the email telling a user the export of their data is ready to download
+ * @param {object} options - Email details
+ * @param {string} options.name - Name of the user
+ * @param {string} options.url - Link to the settings page holding the download
+ * @param {Date} options.expiresAt - When the download stops working
+ * @returns {object} { subject, html, text }
+ */
+export const buildDataExportEmail = ({ name, url, expiresAt }) =>
+  buildLinkEmail({
+    subject: 'Your ZettaNote data is ready',
+    summary: `Hi ${name}, the copy of your ZettaNote data you asked for is ready to download.`,
+    callToAction: 'Download your data',
+    url,
+    note: `Log in to download it. The download works for ${config.dataExport.linkHours} hours, until ${expiresAt.toUTCString()}. If you didn't ask for it, change your password.`,
+  });
+
+/**
+ * Create a token for a user, replacing the unused ones sent before for the same purpose
+ * @param {object} user - User document
+ * @param {string} purpose - Key of AUTH_TOKEN_PURPOSES
+ * @param {string} email - New address, for 'change-email' tokens
+ * @returns {Promise<string>} Signed token to email
+ */
+export const issueAuthToken = async (user, purpose, email = null) => {
+  // Only the latest email works, so an older link found in an inbox can't be used
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + AUTH_TOKEN_PURPOSES[purpose].ttlMinutes * 60 * 1000);
+  await AuthToken.create({ user: user._id, purpose, tokenId, email, expiresAt });
+
+  return signAuthToken(user._id, purpose, tokenId);
+};
+
+/**
+ * Redeem a token, marking it used so it can't be redeemed again
+ * @param {string} token - Signed token from the email link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<string|null>} ID of the token's user, or null if it is invalid, expired or used
+ */
+export const consumeAuthToken = async (token, purpose) => {
+  const record = await redeemAuthToken(token, purpose);
+  return record ? record.userId : null;
+};
+
+/**
+ * Redeem a token like consumeAuthToken, also returning the address a 'change-email' token is for
+ * @param {string} token - Signed token from the email link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<object|null>} { userId, email }, or null if it is invalid, expired or used
+ */
+export const redeemAuthToken = async (token, purpose) => {
+  const payload = readAuthToken(token, purpose);
+  if (!payload) {
+    return null;
+  }
+
+  const now = new Date();
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      tokenId: payload.tokenId,
+      user: payload.userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } }
+  );
+
+  return record ? { userId: String(record.user), email: record.email } : null;
+};
+
+export default {
+  AUTH_TOKEN_PURPOSES,
+  signAuthToken,
+  readAuthToken,
+  getAuthTokenUrl,
+  buildVerificationEmail,
+  buildPasswordResetEmail,
+  buildEmailChangeEmail,
+  buildDataExportEmail,
+  issueAuthToken,
+  consumeAuthToken,
+  redeemAuthToken,
+};
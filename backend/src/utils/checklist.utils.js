@@ -0,0 +1,93 @@
+// Checklist items are list items starting with a task-list checkbox, as rendered by markdown-it-task-lists
+const CHECKLIST_ITEM_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s+)(\S.*)$/;
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+
+/**
+ * Get the checklist items of a page, skipping fenced code
+ * @param {string} content - Page content
+ * @returns {object[]} Items as { line, text, checked }, lines counted from 0
+ */
+export const parseChecklistItems = (content = '') => {
+  const items = [];
+  let fence = null;
+
+  content.split('\n').forEach((rawLine, line) => {
+    const text = rawLine.replace(/\r$/, '');
+    const fenceMatch = text.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) {
+      return;
+    }
+
+    const match = text.match(CHECKLIST_ITEM_PATTERN);
+    if (match) {
+      items.push({ line, text: match[4].trim(), checked: match[2] !== ' ' });
+    }
+  });
+  return items;
+};
+
+/**
+ * Find the checklist item a task is linked to. Lines move as a page is edited, so an item
+ * with the same text is looked for nearby; an item still on the same line counts as the
+ * same one after its text was edited.
+ * @param {object[]} items - Items from parseChecklistItems
+ * @param {object} link - Link to the item
+ * @param {number} link.line - Line the item was last seen on
+ * @param {string|null} link.text - Text the item was last seen with
+ * @returns {object|null} The item, null when it was removed
+ */
+export const findChecklistItem = (items, { line, text }) => {
+  const sameText = items.filter((item) => item.text === text);
+  if (sameText.length) {
+    return sameText.reduce((closest, item) =>
+      Math.abs(item.line - line) < Math.abs(closest.line - line) ? item : closest
+    );
+  }
+  return items.find((item) => item.line === line) ?? null;
+};
+
+/**
+ * Get the position of a checklist item's checkbox mark, the character between [ and ]
+ * @param {string} content - Page content
+ * @param {number} line - Line of the item, counted from 0
+ * @returns {number} Offset in the content, -1 when the line isn't a checklist item
+ */
+export const getCheckboxOffset = (content, line) => {
+  if (!parseChecklistItems(content).some((item) => item.line === line)) {
+    return -1;
+  }
+  const lines = content.split('\n');
+  const lineStart = lines.slice(0, line).reduce((offset, text) => offset + text.length + 1, 0);
+  return lineStart + lines[line].indexOf('[') + 1;
+};
+
+/**
+ * Tick or untick the checkbox of a checklist item
+ * @param {string} content - Page content
+ * @param {number} line - Line of the item, counted from 0
+ * @param {boolean} checked - Whether the box should be ticked
+ * @returns {string|null} Updated content, null when the line isn't a checklist item
+ */
+export const setChecklistItemChecked = (content, line, checked) => {
+  const offset = getCheckboxOffset(content, line);
+  if (offset === -1) {
+    return null;
+  }
+  return `${content.slice(0, offset)}${checked ? 'x' : ' '}${content.slice(offset + 1)}`;
+};
+
+export default {
+  parseChecklistItems,
+  findChecklistItem,
+  getCheckboxOffset,
+  setChecklistItemChecked,
+};
@@ -0,0 +1,148 @@
+import { escapeHtml } from './export.utils.js';
+import { getTableOfContents, getPlainText } from './markdown.utils.js';
+
+export const COMMENT_MAX_LENGTH = 5000;
+export const QUOTE_MAX_LENGTH = 1000;
+
+// Mentions are written into comment bodies as @[Name](userId)
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\(([a-f\d]{24})\)/gi;
+
+/**
+ * Get the IDs of the users mentioned in a comment
+ * @param {string} body - Comment text
+ * @returns {string[]} Unique user IDs in order of first mention
+ */
+export const extractMentionIds = (body = '') => [
+  ...new Set([...body.matchAll(MENTION_PATTERN)].map((match) => match[2].toLowerCase())),
+];
+
+/**
+ * Get a comment as readers see it, with mentions shown as @Name
+ * @param {string} body - Comment text
+ * @returns {string} Readable text
+ */
+export const getCommentText = (body = '') => body.replace(MENTION_PATTERN, '@$1');
+
+/**
+ * Collapse runs of whitespace so text from the preview matches text from the source
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Find the occurrence of a quote closest to where it used to be
+ * @param {string} content - Page content
+ * @param {string} quote - Text to find
+ * @param {number} hint - Previous start of the quote
+ * @returns {number} Start of the closest occurrence, or -1
+ */
+const findNearest = (content, quote, hint) => {
+  let best = -1;
+  for (let idx = content.indexOf(quote); idx !== -1; idx = content.indexOf(quote, idx + 1)) {
+    if (best === -1 || Math.abs(idx - hint) < Math.abs(best - hint)) {
+      best = idx;
+    }
+  }
+  return best;
+};
+
+/**
+ * Follow a comment anchor to where its text or heading is in the current content
+ * @param {string} content - Current page content
+ * @param {object|null} anchor - Anchor as stored on the comment
+ * @returns {object} { anchor, orphaned }, orphaned when the text or heading is gone
+ */
+export const locateAnchor = (content = '', anchor) => {
+  if (!anchor) {
+    return { anchor: null, orphaned: false };
+  }
+
+  if (anchor.kind === 'heading') {
+    const heading = getTableOfContents(content).find((entry) => entry.id === anchor.headingId);
+    return heading
+      ? { anchor: { ...anchor, quote: heading.text }, orphaned: false }
+      : { anchor, orphaned: true };
+  }
+
+  const { quote } = anchor;
+  if (anchor.start !== null && content.slice(anchor.start, anchor.end) === quote) {
+    return { anchor, orphaned: false };
+  }
+
+  const start = findNearest(content, quote, anchor.start ?? 0);
+  if (start !== -1) {
+    return { anchor: { ...anchor, start, end: start + quote.length }, orphaned: false };
+  }
+
+  // Quotes that span formatting, like part of a bold phrase, only appear in the rendered text
+  const orphaned = !normalizeWhitespace(getPlainText(content)).includes(normalizeWhitespace(quote));
+  return { anchor: { ...anchor, start: null, end: null }, orphaned };
+};
+
+/**
+ * Group comments into threads of a first comment and its replies, oldest first
+ * @param {object[]} comments - Comments with id, parentId and createdAt
+ * @returns {object[]} Threads as first comments with a replies array
+ */
+export const buildCommentThreads = (comments) => {
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  const threads = new Map(
+    comments
+      .filter((comment) => !comment.parentId)
+      .map((comment) => [comment.id.toString(), { ...comment, replies: [] }])
+  );
+
+  comments
+    .filter((comment) => comment.parentId)
+    .forEach((comment) => threads.get(comment.parentId.toString())?.replies.push(comment));
+
+  return [...threads.values()]
+    .sort(byDate)
+    .map((thread) => ({ ...thread, replies: thread.replies.sort(byDate) }));
+};
+
+/**
+ * Build the email telling a user they were mentioned in a comment
+ * @param {object} options - Email details
+ * @param {string} options.authorName - Name of the comment's author
+ * @param {string} options.pageName - Name of the page commented on
+ * @param {string} options.body - Comment text
+ * @param {string} options.url - Link to the page
+ * @returns {object} { subject, html, text }
+ */
+export const buildMentionEmail = ({ authorName, pageName, body, url }) => {
+  const subject = `${authorName} mentioned you in "${pageName}"`;
+  const comment = getCommentText(body);
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${escapeHtml(subject)}</title></head>
+<body style="margin: 0; padding: 32px 16px; background-color: #f7f3ec; font-family: Fira Sans, Lucida Sans Unicode, Lucida Grande, sans-serif; color: #101010;">
+  <div style="max-width: 560px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; padding: 32px;">
+    <h1 style="margin: 0 0 16px 0; font-size: 24px;">💬 ${escapeHtml(pageName)}</h1>
+    <p style="margin: 0 0 16px 0; font-size: 16px; line-height: 1.5;">${escapeHtml(authorName)} mentioned you in a comment:</p>
+    <blockquote style="margin: 0 0 24px 0; padding: 12px 16px; border-left: 4px solid #7747ff; background-color: #f4f1ff; white-space: pre-wrap;">${escapeHtml(comment)}</blockquote>
+    <a href="${escapeHtml(url)}" target="_blank" rel="noopener" style="display: inline-block; padding: 12px 24px; border-radius: 8px; background-color: #7747ff; color: #ffffff; text-decoration: none; font-weight: 600;">Open the page</a>
+  </div>
+</body>
+</html>`;
+
+  const text = `${authorName} mentioned you in a comment on "${pageName}":
+
+${comment}
+
+Open the page: ${url}`;
+
+  return { subject, html, text };
+};
+
+export default {
+  COMMENT_MAX_LENGTH,
+  QUOTE_MAX_LENGTH,
+  extractMentionIds,
+  getCommentText,
+  locateAnchor,
+  buildCommentThreads,
+  buildMentionEmail,
+};
@@ -0,0 +1,351 @@
+import fs from 'fs/promises';
+import path from 'path';
+import User from '../models/User.model.js';
+import Page from '../models/Page.model.js';
+import Task from '../models/Task.model.js';
+import Template from '../models/Template.model.js';
+import Comment from '../models/Comment.model.js';
+import Image from '../models/Image.model.js';
+import Session from '../models/Session.model.js';
+import AuthToken from '../models/AuthToken.model.js';
+import DataExport from '../models/DataExport.model.js';
+import config from '../config/index.js';
+import { dataExportQueue } from '../config/queue.js';
+import logger from './logger.js';
+import { assignFileNames, createZip } from './export.utils.js';
+import { getPageRole } from './permission.utils.js';
+import { describeDevice } from './session.utils.js';
+import { sendDataExportEmail } from '../controllers/v1/mailer.controller.js';
+
+const README = `This archive holds the personal data ZettaNote keeps about your account.
+
+profile.json          Your account details
+pages.json            Your pages, with who they are shared with; trashed pages have deletedAt set
+pages/                The content of each page as Markdown
+shared-with-me.json   Pages other people shared with you, without their content
+tasks.json            Your tasks and reminders
+templates.json        Your templates
+comments.json         Comments you wrote
+images.json           Details of the images you uploaded; the images stay at their URLs
+activity.json         Signed-in devices and emails sent to you for your account
+
+Dates are in UTC.
+`;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Get when an export requested or finished now stops being downloadable
+ * @param {Date} [from] - When the export was requested or finished
+ * @returns {Date} Expiry date
+ */
+export const getDataExportExpiry = (from = new Date()) =>
+  new Date(from.getTime() + config.dataExport.linkHours * 60 * 60 * 1000);
+
+/**
+ * Get the settings page link sent when an export is ready; downloading needs a login
+ * @returns {string} Frontend URL
+ */
+export const getDataExportUrl = () => `${config.frontendUrl}/settings#your-data`;
+
+/**
+ * Get where the zip of a finished export is stored
+ * @param {object} dataExport - DataExport document
+ * @returns {string} File path
+ */
+export const getDataExportFilePath = (dataExport) =>
+  path.join(config.dataExport.dir, dataExport.fileName);
+
+/**
+ * Get the name an export is downloaded as
+ * @param {object} dataExport - DataExport document
+ * @returns {string} File name
+ */
+export const getDataExportDownloadName = (dataExport) =>
+  `zettanote-data-${(dataExport.completedAt || dataExport.createdAt).toISOString().slice(0, 10)}.zip`;
+
+/**
+ * Describe an export for API responses
+ * @param {object} dataExport - DataExport document
+ * @param {Date} [now] - Current time
+ * @returns {object} { id, status, size, createdAt, completedAt, expiresAt }, status 'expired' once
+ * the download link stopped working
+ */
+export const toDataExportResponse = (dataExport, now = new Date()) => ({
+  id: dataExport._id.toString(),
+  status: dataExport.expiresAt <= now ? 'expired' : dataExport.status,
+  size: dataExport.size,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+});
+
+/**
+ * Lay out a user's collected data as the files of the export zip
+ * @param {object} data - Data from collectUserData
+ * @returns {object[]} Zip entries as { name, data }
+ */
+export const buildDataExportEntries = (data) => {
+  const fileNames = assignFileNames(data.pages, 'md');
+  const pages = data.pages.map(({ content: _content, ...page }) => ({
+    ...page,
+    file: `pages/${fileNames.get(page.id)}`,
+  }));
+
+  return [
+    { name: 'README.txt', data: README },
+    { name: 'profile.json', data: toJson({ ...data.profile, exportedAt: data.exportedAt }) },
+    { name: 'pages.json', data: toJson(pages) },
+    ...data.pages.map((page) => ({
+      name: `pages/${fileNames.get(page.id)}`,
+      data: page.content || '',
+    })),
+    { name: 'shared-with-me.json', data: toJson(data.sharedPages) },
+    { name: 'tasks.json', data: toJson(data.tasks) },
+    { name: 'templates.json', data: toJson(data.templates) },
+    { name: 'comments.json', data: toJson(data.comments) },
+    { name: 'images.json', data: toJson(data.images) },
+    { name: 'activity.json', data: toJson(data.activity) },
+  ];
+};
+
+/**
+ * Collect everything ZettaNote keeps about a user, leaving out secrets such as password
+ * hashes, two-factor secrets and token hashes
+ * @param {object} user - User document
+ * @returns {Promise<object>} Data for buildDataExportEntries
+ */
+export const collectUserData = async (user) => {
+  const userId = user._id;
+  const [pages, sharedPages, tasks, templates, comments, images, sessions, authTokens] =
+    await Promise.all([
+      Page.find({ owner: userId }).sort({ parent: 1, position: 1 }).lean(),
+      Page.find({ sharedTo: userId, deletedAt: null }).populate('owner', 'name').lean(),
+      Task.find({ owner: userId }).sort({ createdAt: 1 }).lean(),
+      Template.find({ templateOwner: userId }).sort({ createdAt: 1 }).lean(),
+      Comment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+      Image.find({ uploadedBy: userId }).sort({ uploadedAt: 1 }).lean(),
+      Session.find({ user: userId }).sort({ lastSeenAt: -1 }).lean(),
+      AuthToken.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+  // Emails of the people the user's pages are shared with
+  const collaboratorIds = [...new Set(pages.flatMap((page) => page.sharedTo.map(String)))];
+  const collaborators = new Map(
+    (
+      await User.find({ _id: { $in: collaboratorIds } })
+        .select('email')
+        .lean()
+    ).map((collaborator) => [collaborator._id.toString(), collaborator.email])
+  );
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: userId.toString(),
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      authProvider: user.authProvider,
+      avatar: user.avatar || null,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt,
+    },
+    pages: pages.map((page) => ({
+      id: page._id.toString(),
+      name: page.pageName,
+      content: page.pageData,
+      parent: page.parent ? page.parent.toString() : null,
+      tags: page.tags,
+      sharedWith: page.sharedTo.map((sharedId) => ({
+        email: collaborators.get(sharedId.toString()) || null,
+        role: getPageRole(page, sharedId),
+      })),
+      publicShareId: page.publicShareId || null,
+      createdAt: page.createdAt,
+      deletedAt: page.deletedAt,
+    })),
+    sharedPages: sharedPages.map((page) => ({
+      id: page._id.toString(),
+      name: page.pageName,
+      owner: page.owner?.name || null,
+      role: getPageRole({ ...page, owner: page.owner?._id }, userId),
+      createdAt: page.createdAt,
+    })),
+    tasks: tasks.map((task) => ({
+      id: task._id.toString(),
+      name: task.taskName,
+      description: task.taskDescription,
+      deadline: task.taskDeadline,
+      completed: task.isTaskCompleted,
+      completedAt: task.completedAt,
+      parentTaskId: task.parentTaskId ? task.parentTaskId.toString() : null,
+      recurrence: task.recurrence,
+      reminderOffsets: task.reminderOffsets,
+      pageId: task.pageId ? task.pageId.toString() : null,
+      createdAt: task.createdAt,
+    })),
+    templates: templates.map((template) => ({
+      id: template._id.toString(),
+      name: template.templateName,
+      description: template.description,
+      content: template.templateData,
+      isPublic: template.isPublic,
+      createdAt: template.createdAt,
+    })),
+    comments: comments.map((comment) => ({
+      id: comment._id.toString(),
+      pageId: comment.page.toString(),
+      parentId: comment.parent ? comment.parent.toString() : null,
+      body: comment.body,
+      anchor: comment.anchor,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt,
+      resolvedAt: comment.resolvedAt,
+    })),
+    images: images.map((image) => ({
+      url: image.url,
+      originalName: image.originalName,
+      size: image.size,
+      mimeType: image.mimeType,
+      status: image.status,
+      usedInPages: image.usedInPages.map(String),
+      uploadedAt: image.uploadedAt,
+      lastUsedAt: image.lastUsedAt,
+    })),
+    activity: {
+      sessions: sessions.map((session) => ({
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        signedInAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+      })),
+      emails: authTokens.map((authToken) => ({
+        purpose: authToken.purpose,
+        sentTo: authToken.email || undefined,
+        sentAt: authToken.createdAt,
+        usedAt: authToken.usedAt,
+      })),
+    },
+  };
+};
+
+/**
+ * Delete exports along with their zips
+ * @param {object[]} dataExports - DataExport documents
+ * @returns {Promise<number>} Number of exports deleted
+ */
+export const removeDataExports = async (dataExports) => {
+  for (const dataExport of dataExports) {
+    if (dataExport.fileName) {
+      await fs.rm(getDataExportFilePath(dataExport), { force: true });
+    }
+  }
+  await DataExport.deleteMany({ _id: { $in: dataExports.map((dataExport) => dataExport._id) } });
+  return dataExports.length;
+};
+
+/**
+ * Delete exports whose download link expired, and requests that never finished
+ * @returns {Promise<number>} Number of exports deleted
+ */
+export const purgeExpiredDataExports = async () =>
+  removeDataExports(await DataExport.find({ expiresAt: { $lte: new Date() } }));
+
+/**
+ * Build the zip of a requested export and email its owner. Older exports of the user are
+ * deleted once the new one is ready.
+ * @param {string} exportId - ID of the DataExport
+ * @returns {Promise<object|null>} { size }, or null if there was nothing to build
+ */
+export const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport || dataExport.status === 'ready') {
+    return null;
+  }
+
+  const user = await User.findById(dataExport.user);
+  if (!user || user.deletionRequestedAt) {
+    await removeDataExports([dataExport]);
+    return null;
+  }
+
+  dataExport.status = 'processing';
+  await dataExport.save();
+
+  try {
+    const zip = await createZip(buildDataExportEntries(await collectUserData(user)));
+    dataExport.fileName = `${dataExport._id}.zip`;
+    await fs.mkdir(config.dataExport.dir, { recursive: true });
+    await fs.writeFile(getDataExportFilePath(dataExport), zip);
+
+    dataExport.status = 'ready';
+    dataExport.size = zip.length;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = getDataExportExpiry(dataExport.completedAt);
+    await dataExport.save();
+  } catch (error) {
+    dataExport.status = 'failed';
+    await dataExport.save();
+    throw error;
+  }
+
+  await removeDataExports(await DataExport.find({ user: user._id, _id: { $ne: dataExport._id } }));
+
+  // The export stays downloadable from the settings page if the email can't be sent
+  const { success } = await sendDataExportEmail(user.email, {
+    name: user.name,
+    url: getDataExportUrl(),
+    expiresAt: dataExport.expiresAt,
+  });
+  if (!success) {
+    logger.warn(`Data export ${exportId} is ready but its email was not sent`);
+  }
+
+  return { size: dataExport.size };
+};
+
+/**
+ * Request an export of a user's data, built in the background. Without a queue the zip is
+ * built before returning.
+ * @param {object} user - User document
+ * @returns {Promise<object>} DataExport document
+ */
+export const scheduleDataExport = async (user) => {
+  const dataExport = await DataExport.create({ user: user._id, expiresAt: getDataExportExpiry() });
+  const exportId = dataExport._id.toString();
+
+  if (dataExportQueue) {
+    try {
+      await dataExportQueue.add(
+        'data-export',
+        { exportId, userId: user._id.toString() },
+        { jobId: `data-export-${exportId}` }
+      );
+      return dataExport;
+    } catch (queueError) {
+      logger.warn('Failed to queue data export, falling back to sync', {
+        exportId,
+        error: queueError.message,
+      });
+    }
+  }
+
+  await buildDataExport(exportId);
+  return DataExport.findById(exportId);
+};
+
+export default {
+  getDataExportExpiry,
+  getDataExportUrl,
+  getDataExportFilePath,
+  getDataExportDownloadName,
+  toDataExportResponse,
+  buildDataExportEntries,
+  collectUserData,
+  removeDataExports,
+  purgeExpiredDataExports,
+  buildDataExport,
+  scheduleDataExport,
+};
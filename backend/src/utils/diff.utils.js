@@ -0,0 +1,127 @@
+/**
+ * Maximum LCS table size before falling back to a plain replace diff.
+ * Keeps memory bounded for very large, heavily rewritten pages.
+ */
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Split text into lines, normalising Windows line endings
+ * @param {string} text - Text to split
+ * @returns {string[]} Array of lines
+ */
+const splitLines = (text) => {
+  if (!text) {
+    return [];
+  }
+  return text.replace(/\r\n/g, '\n').split('\n');
+};
+
+/**
+ * Diff the middle section of two line arrays using a longest common subsequence table
+ * @param {string[]} oldLines - Lines from the old text
+ * @param {string[]} newLines - Lines from the new text
+ * @returns {object[]} Array of { type, line } entries
+ */
+const lcsDiff = (oldLines, newLines) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map((line) => ({ type: 'removed', line })),
+      ...newLines.map((line) => ({ type: 'added', line })),
+    ];
+  }
+
+  // table[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] =
+        oldLines[i] === newLines[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'unchanged', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      result.push({ type: 'removed', line: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', line: newLines[j] });
+      j++;
+    }
+  }
+  while (i < n) {
+    result.push({ type: 'removed', line: oldLines[i++] });
+  }
+  while (j < m) {
+    result.push({ type: 'added', line: newLines[j++] });
+  }
+
+  return result;
+};
+
+/**
+ * Compute a line-by-line diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @returns {object} Object with diff entries and added/removed/unchanged counts
+ */
+export const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Trim the common prefix and suffix so the LCS table only covers the changed region
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const entries = [
+    ...oldLines.slice(0, start).map((line) => ({ type: 'unchanged', line })),
+    ...lcsDiff(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)),
+    ...oldLines.slice(oldEnd).map((line) => ({ type: 'unchanged', line })),
+  ];
+
+  // Attach 1-based line numbers from each side
+  let oldLineNumber = 0;
+  let newLineNumber = 0;
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const diff = entries.map((entry) => {
+    stats[entry.type]++;
+    if (entry.type === 'added') {
+      return { ...entry, oldLine: null, newLine: ++newLineNumber };
+    }
+    if (entry.type === 'removed') {
+      return { ...entry, oldLine: ++oldLineNumber, newLine: null };
+    }
+    return { ...entry, oldLine: ++oldLineNumber, newLine: ++newLineNumber };
+  });
+
+  return { diff, stats };
+};
+
+export default {
+  diffLines,
+};
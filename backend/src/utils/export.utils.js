@@ -0,0 +1,588 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import katex from 'katex';
+import puppeteer from 'puppeteer-core';
+import HTMLtoDOCX from 'html-to-docx';
+import archiver from 'archiver';
+import config from '../config/index.js';
+import logger from './logger.js';
+import { renderMarkdown } from './markdown.utils.js';
+import { extractImageUrls } from './image.utils.js';
+import { normalizeLinkTarget, parseLinkTarget } from './link.utils.js';
+
+export const EXPORT_FORMATS = ['md', 'html', 'pdf', 'docx', 'site'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  zip: 'application/zip',
+};
+
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const PDF_RENDER_TIMEOUT_MS = 30000;
+
+// KaTeX fonts are loaded from the CDN in single-file exports and bundled in static sites
+const KATEX_CDN_URL = `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/`;
+
+const BASE_STYLES = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #1f2937; background: #fff; }
+.page { max-width: 800px; margin: 0 auto; padding: 2.5rem 1.5rem; }
+.page-title { font-size: 2.25rem; margin: 0 0 1.5rem; }
+.site-nav { font-size: 0.875rem; margin-bottom: 1.5rem; }
+.site-nav ul { list-style: none; padding-left: 1rem; margin: 0.25rem 0; }
+h1, h2, h3, h4, h5, h6 { font-weight: 700; line-height: 1.3; margin: 1.75rem 0 0.75rem; }
+p { margin: 0 0 1rem; }
+a { color: #4f46e5; text-decoration: none; }
+a:hover { text-decoration: underline; }
+a.wikilink { border-bottom: 1px dashed currentColor; }
+.wikilink-missing { color: #9ca3af; border-bottom: 1px dashed currentColor; }
+strong { font-weight: 700; }
+blockquote { border-left: 4px solid #4f46e5; margin: 1rem 0; padding-left: 1rem; font-style: italic; color: #4b5563; }
+code { font-family: 'JetBrains Mono', Menlo, Consolas, monospace; font-size: 0.875em; background: #f3f4f6; padding: 0.15em 0.4em; border-radius: 4px; }
+pre { background: #282c34; color: #abb2bf; border-radius: 8px; padding: 1rem; overflow-x: auto; margin: 1rem 0; }
+pre code { background: none; padding: 0; color: inherit; }
+ul, ol { margin: 1rem 0; padding-left: 1.5rem; }
+li { margin: 0.25rem 0; }
+ul.contains-task-list { list-style: none; padding-left: 0.5rem; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+th, td { border: 1px solid #d1d5db; padding: 0.5rem 0.75rem; text-align: left; }
+th { background: #f9fafb; font-weight: 600; }
+img { max-width: 100%; height: auto; border-radius: 8px; margin: 1rem 0; }
+hr { border: 0; border-top: 1px solid #e5e7eb; margin: 2rem 0; }
+mark { background: #fef08a; padding: 0 0.25rem; border-radius: 3px; }
+del, s { opacity: 0.75; }
+dl { margin: 1rem 0; }
+dt { font-weight: 700; color: #4f46e5; }
+dd { margin: 0.25rem 0 0.75rem 1rem; }
+@media print { .site-nav { display: none; } .page { padding: 0; } pre { white-space: pre-wrap; } }
+`;
+
+let vendorStyles = null;
+
+/**
+ * Read the highlight.js theme and KaTeX stylesheets shipped with the packages
+ * Loaded once; exports still work, unstyled, if they cannot be read
+ * @returns {object} Theme CSS as { highlight, katex }
+ */
+const getVendorStyles = () => {
+  if (!vendorStyles) {
+    const read = (file) => {
+      try {
+        return fs.readFileSync(path.join(process.cwd(), 'node_modules', file), 'utf8');
+      } catch (err) {
+        logger.warn(`Export stylesheet ${file} not found`, err);
+        return '';
+      }
+    };
+    vendorStyles = {
+      highlight: read('highlight.js/styles/atom-one-dark.min.css'),
+      katex: read('katex/dist/katex.min.css'),
+    };
+  }
+  return vendorStyles;
+};
+
+/**
+ * Get the stylesheet used by exported documents
+ * @param {string} [katexBaseUrl] - URL the KaTeX font paths are relative to
+ * @returns {string} CSS
+ */
+export const getExportStylesheet = (katexBaseUrl = KATEX_CDN_URL) => {
+  const { highlight, katex: katexStyles } = getVendorStyles();
+  return [
+    katexStyles.replace(/url\(fonts\//g, `url(${katexBaseUrl}fonts/`),
+    highlight,
+    BASE_STYLES,
+  ].join('\n');
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text = '') =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Turn a page name into a safe file name, without extension
+ * @param {string} name - Page name
+ * @returns {string} File name
+ */
+export const toFileName = (name = '') => {
+  const fileName = name
+    .replace(/[\\/:*?"<>|#%\p{Cc}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 100)
+    .trim();
+  return fileName || 'Untitled';
+};
+
+/**
+ * Give every page a unique file name; names differing only by case clash on some systems
+ * @param {object[]} pages - Pages as { id, name }
+ * @param {string} extension - File extension
+ * @returns {Map<string, string>} File name by page ID
+ */
+export const assignFileNames = (pages, extension) => {
+  const fileNames = new Map();
+  const used = new Set();
+
+  for (const page of pages) {
+    const base = toFileName(page.name);
+    let fileName = `${base}.${extension}`;
+    for (let n = 2; used.has(fileName.toLowerCase()); n++) {
+      fileName = `${base} (${n}).${extension}`;
+    }
+    used.add(fileName.toLowerCase());
+    fileNames.set(page.id, fileName);
+  }
+
+  return fileNames;
+};
+
+/**
+ * Build resolvers pointing links between exported pages at their exported files
+ * Links to pages outside the export are left as they are; wiki links to them become text
+ * @param {object[]} pages - Exported pages as { id, name, shareId }
+ * @param {Map<string, string>} fileNames - File name by page ID
+ * @returns {object} { resolveWikiLink, resolveLink } for renderMarkdown
+ */
+export const createPageLinkResolver = (pages, fileNames) => {
+  const byName = new Map();
+  const byShareId = new Map();
+  for (const page of pages) {
+    const name = normalizeLinkTarget(page.name);
+    if (!byName.has(name)) {
+      byName.set(name, page.id);
+    }
+    if (page.shareId) {
+      byShareId.set(page.shareId, page.id);
+    }
+  }
+
+  const hrefFor = (pageId) => (pageId ? encodeURI(fileNames.get(pageId)) : null);
+
+  return {
+    resolveWikiLink: (target) => hrefFor(byName.get(normalizeLinkTarget(target))),
+    resolveLink: (href) => {
+      const reference = parseLinkTarget(href);
+      if (!reference) {
+        return null;
+      }
+      if (reference.pageId) {
+        const pageId = reference.pageId.toLowerCase();
+        return fileNames.has(pageId) ? hrefFor(pageId) : null;
+      }
+      return hrefFor(
+        reference.shareId ? byShareId.get(reference.shareId) : byName.get(reference.name)
+      );
+    },
+  };
+};
+
+/**
+ * Check whether an image URL is an upload that exports should include
+ * @param {string} url - Image URL
+ * @returns {boolean} True for Cloudinary image URLs
+ */
+export const isBundledImageUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && hostname === 'res.cloudinary.com';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Download the uploaded images used by pages so they can be inlined or bundled
+ * Images that fail to download keep pointing at their original URL
+ * @param {object[]} pages - Pages as { content }
+ * @returns {Promise<Map<string, object>>} Images as { data, contentType, fileName } by URL
+ */
+export const fetchPageImages = async (pages) => {
+  const urls = new Set(
+    pages.flatMap((page) => extractImageUrls(page.content)).filter(isBundledImageUrl)
+  );
+  const images = new Map();
+
+  // One at a time to keep memory use flat on large workspaces
+  for (const url of urls) {
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: IMAGE_FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_IMAGE_BYTES,
+      });
+      const contentType = response.headers['content-type'] || 'application/octet-stream';
+      if (!contentType.startsWith('image/')) {
+        continue;
+      }
+      const baseName = toFileName(decodeURIComponent(new URL(url).pathname.split('/').pop()));
+      images.set(url, {
+        data: Buffer.from(response.data),
+        contentType,
+        fileName: `${images.size + 1}-${baseName}`,
+      });
+    } catch (err) {
+      logger.warn(`Export could not download image ${url}`, err);
+    }
+  }
+
+  return images;
+};
+
+/**
+ * Convert a downloaded image to a data URI
+ * @param {object} image - Image as { data, contentType }
+ * @returns {string} Data URI
+ */
+const toDataUri = (image) => `data:${image.contentType};base64,${image.data.toString('base64')}`;
+
+/**
+ * Wrap rendered page HTML in a standalone document
+ * @param {object} options - Document options
+ * @param {string} options.title - Document title
+ * @param {string} options.body - Rendered page HTML
+ * @param {string} [options.stylesheet] - Inline CSS; ignored if stylesheetHref is set
+ * @param {string} [options.stylesheetHref] - URL of an external stylesheet
+ * @param {string} [options.nav] - Navigation HTML shown above the page
+ * @returns {string} HTML document
+ */
+export const buildHtmlDocument = ({ title, body, stylesheet = '', stylesheetHref, nav = '' }) => {
+  const styles = stylesheetHref
+    ? `<link rel="stylesheet" href="${escapeHtml(stylesheetHref)}">`
+    : `<style>${stylesheet}</style>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="ZettaNote">
+<title>${escapeHtml(title)}</title>
+${styles}
+</head>
+<body>
+<main class="page">
+${nav}
+<h1 class="page-title">${escapeHtml(title)}</h1>
+<article>
+${body}
+</article>
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a page as a standalone HTML document with its images inlined
+ * @param {object} page - Page as { name, content }
+ * @param {Map<string, object>} images - Downloaded images by URL
+ * @param {object} [resolvers] - Link resolvers, see createPageLinkResolver
+ * @returns {string} HTML document
+ */
+export const renderStandaloneHtml = (page, images, resolvers = {}) =>
+  buildHtmlDocument({
+    title: page.name,
+    body: renderMarkdown(page.content, {
+      ...resolvers,
+      resolveImage: (src) => (images.has(src) ? toDataUri(images.get(src)) : null),
+    }),
+    stylesheet: getExportStylesheet(),
+  });
+
+/**
+ * Print HTML documents to PDF with headless Chrome
+ * One browser is started for the whole batch. Pages can only load data URIs and the KaTeX
+ * fonts, so exported content cannot make the server fetch other URLs.
+ * @param {string[]} documents - HTML documents
+ * @returns {Promise<Buffer[]>} PDF files, in the same order
+ */
+export const renderPdfs = async (documents) => {
+  const browser = await puppeteer.launch({
+    executablePath: config.export.chromePath,
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      const url = request.url();
+      if (url.startsWith('data:') || url.startsWith(KATEX_CDN_URL)) {
+        request.continue();
+      } else {
+        request.abort();
+      }
+    });
+
+    const pdfs = [];
+    for (const html of documents) {
+      await page.setContent(html, { waitUntil: 'networkidle0', timeout: PDF_RENDER_TIMEOUT_MS });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '20mm', bottom: '20mm', left: '15mm', right: '15mm' },
+      });
+      pdfs.push(Buffer.from(pdf));
+    }
+    return pdfs;
+  } finally {
+    await browser.close();
+  }
+};
+
+/**
+ * Convert an HTML document to a Word document
+ * @param {string} html - HTML document
+ * @param {string} title - Document title
+ * @returns {Promise<Buffer>} DOCX file
+ */
+export const renderDocx = async (html, title) =>
+  HTMLtoDOCX(html, null, { title, creator: 'ZettaNote', table: { row: { cantSplit: true } } });
+
+/**
+ * Pack files into a zip archive
+ * @param {object[]} entries - Files as { name, data }
+ * @returns {Promise<Buffer>} Zip file
+ */
+export const createZip = async (entries) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+  archive.on('data', (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  for (const entry of entries) {
+    archive.append(entry.data, { name: entry.name });
+  }
+  await archive.finalize();
+  await finished;
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Arrange pages into a tree following their parents
+ * Pages whose parent is not part of the export become roots
+ * @param {object[]} pages - Pages as { id, parent }, in display order
+ * @returns {object[]} Root nodes as { page, children }
+ */
+export const buildPageTree = (pages) => {
+  const nodes = new Map(pages.map((page) => [page.id, { page, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.page.parent && nodes.get(node.page.parent);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+/**
+ * Render the page tree as nested lists of links
+ * @param {object[]} nodes - Tree nodes, see buildPageTree
+ * @param {Function} hrefFor - Maps a page ID to its link
+ * @returns {string} HTML
+ */
+const renderTreeNav = (nodes, hrefFor) => {
+  if (nodes.length === 0) {
+    return '';
+  }
+  const items = nodes.map(
+    ({ page, children }) =>
+      `<li><a href="${escapeHtml(hrefFor(page.id))}">${escapeHtml(page.name)}</a>${renderTreeNav(children, hrefFor)}</li>`
+  );
+  return `<ul>${items.join('')}</ul>`;
+};
+
+/**
+ * Build a static HTML site of linked pages
+ * Layout: index.html with the page tree, pages/*.html and assets/ for the stylesheet,
+ * KaTeX fonts and images. Links between the exported pages are rewritten to relative links.
+ * @param {object[]} pages - Pages as { id, name, content, parent, shareId }, in display order
+ * @param {Map<string, object>} images - Downloaded images by URL
+ * @param {string} title - Site title
+ * @returns {object[]} Zip entries as { name, data }
+ */
+export const buildStaticSite = (pages, images, title) => {
+  const fileNames = assignFileNames(pages, 'html');
+  const resolvers = createPageLinkResolver(pages, fileNames);
+  const tree = buildPageTree(pages);
+  const entries = [];
+
+  for (const page of pages) {
+    const nav = `<nav class="site-nav"><a href="../index.html">&larr; ${escapeHtml(title)}</a></nav>`;
+    const body = renderMarkdown(page.content, {
+      ...resolvers,
+      resolveImage: (src) =>
+        images.has(src) ? `../assets/images/${encodeURIComponent(images.get(src).fileName)}` : null,
+    });
+    entries.push({
+      name: `pages/${fileNames.get(page.id)}`,
+      data: buildHtmlDocument({
+        title: page.name,
+        body,
+        stylesheetHref: '../assets/style.css',
+        nav,
+      }),
+    });
+  }
+
+  entries.push({
+    name: 'index.html',
+    data: buildHtmlDocument({
+      title,
+      body: `<nav class="site-index">${renderTreeNav(tree, (id) => `pages/${encodeURI(fileNames.get(id))}`)}</nav>`,
+      stylesheetHref: 'assets/style.css',
+    }),
+  });
+  entries.push({ name: 'assets/style.css', data: getExportStylesheet('katex/') });
+
+  const fontsDir = path.join(process.cwd(), 'node_modules', 'katex', 'dist', 'fonts');
+  try {
+    for (const font of fs.readdirSync(fontsDir).filter((file) => file.endsWith('.woff2'))) {
+      entries.push({
+        name: `assets/katex/fonts/${font}`,
+        data: fs.readFileSync(path.join(fontsDir, font)),
+      });
+    }
+  } catch (err) {
+    logger.warn('Export could not bundle KaTeX fonts', err);
+  }
+
+  for (const image of images.values()) {
+    entries.push({ name: `assets/images/${image.fileName}`, data: image.data });
+  }
+
+  return entries;
+};
+
+/**
+ * Build an archive of markdown files with their images bundled next to them
+ * @param {object[]} pages - Pages as { id, name, content }
+ * @param {Map<string, object>} images - Downloaded images by URL
+ * @returns {object[]} Zip entries as { name, data }
+ */
+export const buildMarkdownArchive = (pages, images) => {
+  const fileNames = assignFileNames(pages, 'md');
+  const entries = pages.map((page) => {
+    let content = page.content || '';
+    for (const [url, image] of images) {
+      content = content.split(url).join(`assets/${encodeURIComponent(image.fileName)}`);
+    }
+    return { name: fileNames.get(page.id), data: content };
+  });
+
+  for (const image of images.values()) {
+    entries.push({ name: `assets/${image.fileName}`, data: image.data });
+  }
+
+  return entries;
+};
+
+/**
+ * Export pages in the requested format
+ * A single page is exported as one file, unless the format is a site. Several pages are
+ * exported as a zip holding one file per page, or as a static site.
+ * @param {object} options - Export options
+ * @param {object[]} options.pages - Pages as { id, name, content, parent, shareId }, in display order
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.title - Name of the export, used for the file name
+ * @returns {Promise<object>} File as { data, fileName, contentType }
+ */
+export const exportPages = async ({ pages, format, title }) => {
+  const single = pages.length === 1 && format !== 'site';
+  const baseName = toFileName(title);
+
+  // A single markdown file is exported as written, like the public share download
+  if (single && format === 'md') {
+    return {
+      data: Buffer.from(pages[0].content || ''),
+      fileName: `${baseName}.md`,
+      contentType: CONTENT_TYPES.md,
+    };
+  }
+
+  const images = await fetchPageImages(pages);
+  let entries;
+
+  if (format === 'site') {
+    entries = buildStaticSite(pages, images, title);
+  } else if (format === 'md') {
+    entries = buildMarkdownArchive(pages, images);
+  } else {
+    const fileNames = assignFileNames(pages, format);
+    const resolvers = createPageLinkResolver(pages, fileNames);
+    const documents = pages.map((page) => renderStandaloneHtml(page, images, resolvers));
+
+    let files = documents;
+    if (format === 'pdf') {
+      files = await renderPdfs(documents);
+    } else if (format === 'docx') {
+      files = [];
+      for (const [index, html] of documents.entries()) {
+        files.push(await renderDocx(html, pages[index].name));
+      }
+    }
+
+    if (single) {
+      return {
+        data: Buffer.from(files[0]),
+        fileName: `${baseName}.${format}`,
+        contentType: CONTENT_TYPES[format],
+      };
+    }
+    entries = pages.map((page, index) => ({ name: fileNames.get(page.id), data: files[index] }));
+  }
+
+  return {
+    data: await createZip(entries),
+    fileName: `${baseName}.zip`,
+    contentType: CONTENT_TYPES.zip,
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  getExportStylesheet,
+  escapeHtml,
+  toFileName,
+  assignFileNames,
+  createPageLinkResolver,
+  isBundledImageUrl,
+  fetchPageImages,
+  buildHtmlDocument,
+  renderStandaloneHtml,
+  renderPdfs,
+  renderDocx,
+  createZip,
+  buildPageTree,
+  buildStaticSite,
+  buildMarkdownArchive,
+  exportPages,
+};
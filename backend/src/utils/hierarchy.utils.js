@@ -0,0 +1,196 @@
+import Page from '../models/Page.model.js';
+import User from '../models/User.model.js';
+import { safeRedisCall } from '../config/redis.js';
+import { DEFAULT_SHARE_ROLE } from './permission.utils.js';
+import { closeCollabConnections } from '../sockets/collab.socket.js';
+
+// Guards ancestor walks against corrupted data; real trees are far shallower
+const MAX_PAGE_DEPTH = 100;
+
+/**
+ * Get the IDs of all pages nested below a page
+ * @param {string} pageId - ID of the page
+ * @param {object} [options] - Options
+ * @param {boolean} [options.includeTrashed] - Also include trashed descendants
+ * @returns {object[]} Descendant page IDs, parents before children
+ */
+export const getDescendantIds = async (pageId, { includeTrashed = false } = {}) => {
+  const descendants = [];
+  let frontier = [pageId];
+
+  while (frontier.length > 0) {
+    const filter = { parent: { $in: frontier } };
+    if (!includeTrashed) {
+      filter.deletedAt = null;
+    }
+    const children = await Page.find(filter, { _id: 1 }).lean();
+    frontier = children.map((child) => child._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+/**
+ * Check whether moving a page under a new parent would create a cycle
+ * @param {string} pageId - ID of the page being moved
+ * @param {string} newParentId - ID of the prospective parent
+ * @returns {boolean} True if the new parent is the page itself or one of its descendants
+ */
+export const wouldCreateCycle = async (pageId, newParentId) => {
+  let currentId = newParentId;
+
+  for (let depth = 0; currentId && depth < MAX_PAGE_DEPTH; depth++) {
+    if (currentId.toString() === pageId.toString()) {
+      return true;
+    }
+    const current = await Page.findById(currentId, { parent: 1 }).lean();
+    currentId = current?.parent;
+  }
+
+  // Refuse moves under chains too deep to verify
+  return Boolean(currentId);
+};
+
+/**
+ * Get the position after the last child of a parent
+ * @param {string} ownerId - ID of the page owner
+ * @param {string|null} parentId - ID of the parent page, or null for top-level pages
+ * @returns {number} Next free position
+ */
+export const getNextPosition = async (ownerId, parentId) => {
+  const last = await Page.findOne(
+    { owner: ownerId, parent: parentId, deletedAt: null },
+    { position: 1 }
+  )
+    .sort({ position: -1 })
+    .lean();
+  return last ? last.position + 1 : 0;
+};
+
+/**
+ * Share pages with users, e.g. a notebook and everything nested in it
+ * @param {object[]} pageIds - IDs of the pages to share
+ * @param {object[]} userIds - IDs of the users to share with
+ * @param {object} [roles] - Share roles keyed by user ID; users without one get the default role
+ * @returns {void}
+ */
+export const sharePagesWithUsers = async (pageIds, userIds, roles = {}) => {
+  if (pageIds.length === 0 || userIds.length === 0) {
+    return;
+  }
+
+  const roleUpdates = Object.fromEntries(
+    userIds.map((userId) => [
+      `shareRoles.${userId}`,
+      roles[userId.toString()] || DEFAULT_SHARE_ROLE,
+    ])
+  );
+
+  await Promise.all([
+    Page.updateMany(
+      { _id: { $in: pageIds } },
+      { $addToSet: { sharedTo: { $each: userIds } }, $set: roleUpdates }
+    ),
+    User.updateMany({ _id: { $in: userIds } }, { $addToSet: { sharedPages: { $each: pageIds } } }),
+    ...pageIds.map((pageId) => safeRedisCall('del', `page:${pageId}`)),
+    ...userIds.map((userId) => safeRedisCall('del', `user:${userId}:sharedPages`)),
+  ]);
+};
+
+/**
+ * Stop sharing pages with a user
+ * @param {object[]} pageIds - IDs of the pages to unshare
+ * @param {object} userId - ID of the user to unshare with
+ * @returns {void}
+ */
+export const unsharePagesWithUser = async (pageIds, userId) => {
+  if (pageIds.length === 0) {
+    return;
+  }
+
+  await Promise.all([
+    Page.updateMany(
+      { _id: { $in: pageIds } },
+      { $pull: { sharedTo: userId }, $unset: { [`shareRoles.${userId}`]: '' } }
+    ),
+    User.updateOne({ _id: userId }, { $pull: { sharedPages: { $in: pageIds } } }),
+    ...pageIds.map((pageId) => safeRedisCall('del', `page:${pageId}`)),
+    safeRedisCall('del', `user:${userId}:sharedPages`),
+  ]);
+  closeCollabConnections(userId, { pageIds });
+};
+
+/**
+ * Change a collaborator's role on pages shared with them
+ * @param {object[]} pageIds - IDs of the pages
+ * @param {object} userId - ID of the collaborator
+ * @param {string} role - New share role
+ * @returns {void}
+ */
+export const setShareRole = async (pageIds, userId, role) => {
+  if (pageIds.length === 0) {
+    return;
+  }
+
+  await Promise.all([
+    Page.updateMany(
+      { _id: { $in: pageIds }, sharedTo: userId },
+      { $set: { [`shareRoles.${userId}`]: role } }
+    ),
+    ...pageIds.map((pageId) => safeRedisCall('del', `page:${pageId}`)),
+    safeRedisCall('del', `user:${userId}:sharedPages`),
+  ]);
+  // Open editors reconnect with the new role
+  closeCollabConnections(userId, { pageIds });
+};
+
+/**
+ * Hand pages over to one of their collaborators; the previous owner stays on as a manager
+ * @param {object[]} pageIds - IDs of the pages
+ * @param {object} fromUserId - ID of the current owner
+ * @param {object} toUserId - ID of the new owner
+ * @returns {void}
+ */
+export const transferPages = async (pageIds, fromUserId, toUserId) => {
+  if (pageIds.length === 0) {
+    return;
+  }
+
+  const filter = { _id: { $in: pageIds }, owner: fromUserId };
+  // sharedTo can't be pulled from and added to in a single update
+  await Page.updateMany(filter, {
+    $pull: { sharedTo: toUserId },
+    $unset: { [`shareRoles.${toUserId}`]: '' },
+  });
+  await Page.updateMany(filter, {
+    $set: { owner: toUserId, [`shareRoles.${fromUserId}`]: 'manager' },
+    $addToSet: { sharedTo: fromUserId },
+  });
+
+  await Promise.all([
+    User.updateOne(
+      { _id: fromUserId },
+      { $pull: { pages: { $in: pageIds } }, $addToSet: { sharedPages: { $each: pageIds } } }
+    ),
+    User.updateOne(
+      { _id: toUserId },
+      { $addToSet: { pages: { $each: pageIds } }, $pull: { sharedPages: { $in: pageIds } } }
+    ),
+    ...pageIds.map((pageId) => safeRedisCall('del', `page:${pageId}`)),
+    ...[fromUserId, toUserId].flatMap((userId) => [
+      safeRedisCall('del', `user:${userId}:ownedPages`),
+      safeRedisCall('del', `user:${userId}:sharedPages`),
+    ]),
+  ]);
+};
+
+export default {
+  getDescendantIds,
+  wouldCreateCycle,
+  getNextPosition,
+  sharePagesWithUsers,
+  unsharePagesWithUser,
+  setShareRole,
+  transferPages,
+};
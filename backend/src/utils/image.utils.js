@@ -124,6 +124,41 @@ export const getContentImageIds = (content) => {
   return extractPublicIds(urls);
 };
 
+/**
+ * Upload an image to Cloudinary and record it
+ * @param {string} image - Image as a data URI or URL
+ * @param {string} userId - ID of the uploading user
+ * @param {string|null} originalName - Original file name
+ * @param {string|null} pageId - Page the image is used in, if known
+ * @returns {object} Uploaded image as { imageUrl, imageId, dbImageId }
+ */
+export const uploadImageFile = async (image, userId, originalName = null, pageId = null) => {
+  const timestamp = new Date().getTime();
+  const uniqueId = `${userId}_${timestamp}`;
+  const cloudinaryRes = await cloudinary.uploader.upload(image, {
+    folder: 'notes',
+    public_id: `note_img_${uniqueId}`,
+  });
+
+  const imageDoc = new Image({
+    publicId: cloudinaryRes.public_id,
+    url: cloudinaryRes.secure_url,
+    originalName,
+    size: cloudinaryRes.bytes || 0,
+    mimeType: cloudinaryRes.format ? `image/${cloudinaryRes.format}` : 'image/jpeg',
+    uploadedBy: userId,
+    usedInPages: pageId ? [pageId] : [],
+    referenceCount: pageId ? 1 : 0,
+  });
+  await imageDoc.save();
+
+  return {
+    imageUrl: cloudinaryRes.secure_url,
+    imageId: cloudinaryRes.public_id,
+    dbImageId: imageDoc._id.toString(),
+  };
+};
+
 /**
  * Clean up images marked for deletion
  * @param {number} batchSize - Number of images to process at once
@@ -0,0 +1,652 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import JSZip from 'jszip';
+import Page from '../models/Page.model.js';
+import User from '../models/User.model.js';
+import logger from './logger.js';
+import { safeRedisCall } from '../config/redis.js';
+import { extractWikiLinks } from './link.utils.js';
+import { extractHashtags, normalizeTag, TAG_NAME_PATTERN } from './tag.utils.js';
+import { getContentImageIds, updateImageReferences } from './image.utils.js';
+import { getNextPosition, sharePagesWithUsers } from './hierarchy.utils.js';
+import { getShareRoles } from './permission.utils.js';
+
+export const IMPORT_SOURCES = ['markdown', 'obsidian', 'notion'];
+export const IMPORT_STRUCTURES = ['hierarchy', 'tags'];
+
+const NOTE_EXTENSIONS = new Set(['.md', '.markdown']);
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.avif': 'image/avif',
+};
+
+// OS metadata, app settings and hidden files are not notes
+const IGNORED_PATH = /(^|\/)(__MACOSX|\.obsidian|\.trash|\.git)(\/|$)|(^|\/)\.[^/]*$/;
+
+// Notion appends a 32 character ID to every exported file and folder name
+const NOTION_ID = /\s+[0-9a-f]{32}$/i;
+
+// Images are referenced through placeholders until they have been uploaded
+const IMAGE_PLACEHOLDER = /zettanote-import-image:(\d+)/g;
+
+const MARKDOWN_IMAGE = /!\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+const MARKDOWN_LINK = /(?<!!)\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+const OBSIDIAN_EMBED = /!\[\[([^[\]|\n]+?)(?:\|([^[\]\n]*))?\]\]/g;
+const WIKI_LINK = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]*))?\]\]/g;
+
+/**
+ * Unpack one archive entry, counting the bytes actually inflated rather than trusting the size
+ * the archive declares, so a zip bomb is stopped before it fills memory
+ * @param {object} entry - JSZip entry
+ * @param {number} maxBytes - Most bytes the entry may unpack to
+ * @returns {Promise<Buffer|null>} Entry content, or null once it passed maxBytes
+ */
+const readArchiveEntry = (entry, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let settled = false;
+    const stream = entry.internalStream('nodebuffer');
+
+    stream
+      .on('data', (chunk) => {
+        if (settled) {
+          return;
+        }
+        size += chunk.length;
+        if (size > maxBytes) {
+          settled = true;
+          stream.pause();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', (error) => {
+        if (!settled) {
+          settled = true;
+          reject(error);
+        }
+      })
+      .on('end', () => {
+        if (!settled) {
+          settled = true;
+          resolve(Buffer.concat(chunks));
+        }
+      })
+      .resume();
+  });
+
+/**
+ * Read the files of an uploaded zip archive
+ * A single folder wrapping the whole archive, as when zipping a vault folder, is removed
+ * @param {Buffer} buffer - Zip file
+ * @param {object} limits - Import limits
+ * @param {number} limits.maxFiles - Maximum number of files
+ * @param {number} limits.maxBytes - Maximum total size of the unpacked files
+ * @returns {Promise<object>} { files } as [{ path, data }], or { error } with a message
+ */
+export const readImportArchive = async (buffer, { maxFiles, maxBytes }) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return { error: 'The file is not a valid zip archive' };
+  }
+
+  const entries = Object.values(zip.files).filter(
+    (entry) => !entry.dir && !IGNORED_PATH.test(entry.name)
+  );
+  if (entries.length > maxFiles) {
+    return { error: `The archive contains more than ${maxFiles} files` };
+  }
+
+  const files = [];
+  let totalBytes = 0;
+  for (const entry of entries) {
+    let data;
+    try {
+      data = await readArchiveEntry(entry, maxBytes - totalBytes);
+    } catch {
+      return { error: 'The file is not a valid zip archive' };
+    }
+    if (!data) {
+      return { error: 'The archive is too large to import' };
+    }
+    totalBytes += data.length;
+    files.push({ path: entry.name.replace(/\\/g, '/'), data });
+  }
+
+  const roots = new Set(files.map((file) => file.path.split('/')[0]));
+  if (roots.size === 1 && files.every((file) => file.path.includes('/'))) {
+    const prefix = `${[...roots][0]}/`;
+    files.forEach((file) => {
+      file.path = file.path.slice(prefix.length);
+    });
+  }
+
+  return { files };
+};
+
+/**
+ * Turn an exported file or folder name into a page name
+ * @param {string} fileName - File or folder name, with or without extension
+ * @param {string} source - Import source, see IMPORT_SOURCES
+ * @returns {string} Page name
+ */
+export const toPageName = (fileName, source) => {
+  let name = fileName.replace(/\.(md|markdown|csv)$/i, '');
+  if (source === 'notion') {
+    name = name.replace(/_all$/, '').replace(NOTION_ID, '');
+  }
+  return name.trim() || 'Untitled';
+};
+
+/**
+ * Turn a folder name or frontmatter tag into a tag, e.g. "Side Project" into "side-project"
+ * @param {string} text - Tag text
+ * @returns {string|null} Tag, or null if nothing usable is left
+ */
+const toTag = (text) => {
+  const tag = normalizeTag(text.replace(/^["']|["']$/g, ''))
+    .replace(/[^\p{L}\p{N}_/-]+/gu, '-')
+    .replace(/^[-/]+|[-/]+$/g, '');
+  return TAG_NAME_PATTERN.test(tag) ? tag : null;
+};
+
+/**
+ * Split YAML frontmatter from a note and read its tags
+ * Only the tags key is understood: inline (tags: a, b), flow ([a, b]) or block lists
+ * @param {string} content - Note content
+ * @returns {object} { content, tags } with the frontmatter removed
+ */
+export const parseFrontmatter = (content) => {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { content, tags: [] };
+  }
+
+  const tags = [];
+  const lines = match[1].split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const tagLine = lines[i].match(/^tags?:\s*(.*)$/i);
+    if (!tagLine) {
+      continue;
+    }
+    if (tagLine[1].trim()) {
+      tags.push(...tagLine[1].replace(/^\[|\]$/g, '').split(','));
+    } else {
+      for (i++; i < lines.length && /^\s*-\s+/.test(lines[i]); i++) {
+        tags.push(lines[i].replace(/^\s*-\s+/, ''));
+      }
+      i--;
+    }
+  }
+
+  return {
+    content: content.slice(match[0].length),
+    tags: tags.map(toTag).filter(Boolean),
+  };
+};
+
+/**
+ * Parse CSV text, as written by Notion database exports
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+/**
+ * Render CSV rows as a markdown table, the first row being the header
+ * @param {string[][]} rows - Rows of cells
+ * @returns {string} Markdown table
+ */
+export const csvToMarkdownTable = (rows) => {
+  if (rows.length === 0) {
+    return '';
+  }
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const formatRow = (cells) =>
+    `| ${Array.from({ length: width }, (_, i) =>
+      (cells[i] ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>')
+    ).join(' | ')} |`;
+
+  return [formatRow(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(formatRow)].join(
+    '\n'
+  );
+};
+
+/**
+ * Resolve a link in a note to a path in the archive
+ * @param {string} target - Link target as written
+ * @param {string} noteDir - Folder of the linking note
+ * @returns {string|null} Archive path, or null for external links
+ */
+const resolveArchivePath = (target, noteDir) => {
+  if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(target)) {
+    return null;
+  }
+  let decoded = target.replace(/[?#].*$/, '');
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  return path.posix.normalize(path.posix.join(noteDir, decoded)).replace(/^(\.\.\/)+/, '');
+};
+
+/**
+ * Plan the pages of an import from the files of an archive
+ * Notes become pages and folders become parent pages or tags. A folder's page is the note of
+ * the same name next to it (Notion, folder notes) or inside it (Obsidian folder notes), else
+ * an empty page. Links between notes become [[wiki links]] to the imported pages, and images
+ * are referenced by placeholders, see resolveImportImages.
+ * @param {object[]} files - Archive files as { path, data }
+ * @param {object} options - Import options
+ * @param {string} options.source - One of IMPORT_SOURCES
+ * @param {string} options.structure - One of IMPORT_STRUCTURES
+ * @returns {object} { pages, images } with pages as { key, name, content, parentKey, tags }
+ * ordered parents first, and images as { path, data, contentType } indexed by placeholder
+ */
+export const parseImportArchive = (files, { source, structure }) => {
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  const byBaseName = new Map();
+  for (const file of files) {
+    const baseName = path.posix.basename(file.path).toLowerCase();
+    if (!byBaseName.has(baseName)) {
+      byBaseName.set(baseName, file.path);
+    }
+  }
+
+  // Notion writes databases both as "Name.csv" and "Name_all.csv"; keep one
+  const csvPaths = new Set(files.filter((f) => f.path.endsWith('.csv')).map((f) => f.path));
+  const isNote = (filePath) => {
+    const extension = path.posix.extname(filePath).toLowerCase();
+    if (NOTE_EXTENSIONS.has(extension)) {
+      return true;
+    }
+    return (
+      source === 'notion' &&
+      extension === '.csv' &&
+      !(filePath.endsWith('_all.csv') && csvPaths.has(filePath.replace(/_all\.csv$/, '.csv')))
+    );
+  };
+
+  const notePaths = files.map((file) => file.path).filter(isNote);
+  const notes = new Map(
+    notePaths.map((notePath) => [
+      notePath,
+      { key: notePath, name: toPageName(path.posix.basename(notePath), source) },
+    ])
+  );
+
+  // Find the note or folder page representing each folder
+  const folderPages = new Map();
+  const getFolderKey = (dir) => {
+    if (!dir || dir === '.') {
+      return null;
+    }
+    if (folderPages.has(dir)) {
+      return folderPages.get(dir);
+    }
+
+    const folderName = path.posix.basename(dir);
+    const candidates = [
+      ...[...NOTE_EXTENSIONS, '.csv'].map((extension) => `${dir}${extension}`),
+      `${dir}_all.csv`,
+      ...[...NOTE_EXTENSIONS].map((extension) => `${dir}/${folderName}${extension}`),
+    ];
+    let key = candidates.find((candidate) => notes.has(candidate));
+    if (!key) {
+      key = `${dir}/`;
+      notes.set(key, {
+        key,
+        name: toPageName(folderName, source),
+        folder: true,
+        tags: [],
+        parentKey: getFolderKey(path.posix.dirname(dir)),
+      });
+    }
+    folderPages.set(dir, key);
+    return key;
+  };
+
+  const getFolderTag = (dir) =>
+    dir === '.'
+      ? null
+      : toTag(
+          dir
+            .split('/')
+            .map((part) => toPageName(part, source).replace(/\//g, '-'))
+            .join('/')
+        );
+
+  for (const notePath of notePaths) {
+    const note = notes.get(notePath);
+    const dir = path.posix.dirname(notePath);
+    const ownFolder = `${dir}/${path.posix.basename(dir)}`;
+    note.dir = dir;
+    note.tags = [];
+
+    if (structure === 'tags') {
+      const tag = getFolderTag(dir);
+      if (tag) {
+        note.tags.push(tag);
+      }
+      continue;
+    }
+
+    // A folder note belongs to the folder's parent
+    const isFolderNote = notePath.replace(/\.[^.]+$/, '') === ownFolder;
+    note.parentKey = getFolderKey(isFolderNote ? path.posix.dirname(dir) : dir);
+  }
+
+  const nameForPath = (archivePath) => notes.get(archivePath)?.name;
+  const images = [];
+  const imageIndexes = new Map();
+  const imagePlaceholder = (archivePath) => {
+    const file = byPath.get(archivePath);
+    const contentType = IMAGE_TYPES[path.posix.extname(archivePath).toLowerCase()];
+    if (!file || !contentType) {
+      return null;
+    }
+    if (!imageIndexes.has(archivePath)) {
+      imageIndexes.set(archivePath, images.length);
+      images.push({ path: archivePath, data: file.data, contentType });
+    }
+    return `zettanote-import-image:${imageIndexes.get(archivePath)}`;
+  };
+  const wikiLink = (name, label) =>
+    !label || label.trim() === name ? `[[${name}]]` : `[[${name}|${label.trim()}]]`;
+
+  for (const note of notes.values()) {
+    if (note.folder) {
+      note.content = '';
+      continue;
+    }
+
+    let content = byPath
+      .get(note.key)
+      .data.toString('utf8')
+      .replace(/^\uFEFF/, '');
+    if (note.key.endsWith('.csv')) {
+      content = csvToMarkdownTable(parseCsv(content));
+    } else {
+      const frontmatter = parseFrontmatter(content);
+      content = frontmatter.content;
+      note.tags.push(...frontmatter.tags);
+    }
+
+    // The title is the page name already
+    const title = content.match(/^\s*#\s+(.+?)\s*(?:\r?\n|$)/);
+    if (title && toPageName(title[1], source) === note.name) {
+      content = content.slice(title[0].length).replace(/^\s*\n/, '');
+    }
+
+    content = content
+      // Obsidian embeds: ![[image.png|300]] and ![[Other Note]]
+      .replace(OBSIDIAN_EMBED, (embed, target, size) => {
+        const archivePath = byBaseName.get(path.posix.basename(target).toLowerCase());
+        const placeholder = archivePath && imagePlaceholder(archivePath);
+        if (placeholder) {
+          const alt = size && !/^\d+(x\d+)?$/.test(size) ? size : path.posix.basename(target);
+          return `![${alt}](${placeholder})`;
+        }
+        return `[[${path.posix.basename(target).replace(/#.*$/, '')}]]`;
+      })
+      // Wiki links may carry a folder path or a heading, [[folder/Note#Heading|alias]]
+      .replace(WIKI_LINK, (link, target, alias) => {
+        const name = toPageName(path.posix.basename(target.replace(/#.*$/, '')), source);
+        return alias === undefined ? `[[${name}]]` : `[[${name}|${alias}]]`;
+      })
+      .replace(MARKDOWN_IMAGE, (image, alt, target) => {
+        const archivePath = resolveArchivePath(target, note.dir);
+        const placeholder =
+          archivePath &&
+          (imagePlaceholder(archivePath) ||
+            imagePlaceholder(byBaseName.get(path.posix.basename(archivePath).toLowerCase())));
+        return placeholder ? `![${alt}](${placeholder})` : image;
+      })
+      // Relative links to other notes, as written by Notion and markdown editors
+      .replace(MARKDOWN_LINK, (link, label, target) => {
+        const archivePath = resolveArchivePath(target, note.dir);
+        const name = archivePath && nameForPath(archivePath);
+        return name ? wikiLink(name, label) : link;
+      });
+
+    note.content = content;
+  }
+
+  // Parents before children, siblings in name order
+  const depth = (note) => {
+    let level = 0;
+    for (let key = note.parentKey; key; key = notes.get(key)?.parentKey) {
+      level++;
+    }
+    return level;
+  };
+  const pages = [...notes.values()]
+    .map((note) => ({
+      key: note.key,
+      name: note.name,
+      content: note.content,
+      parentKey: note.parentKey ?? null,
+      tags: [...new Set(note.tags)],
+      depth: depth(note),
+    }))
+    .sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name))
+    .map(({ depth: _depth, ...page }) => page);
+
+  return { pages, images };
+};
+
+/**
+ * Replace image placeholders with the uploaded image URLs
+ * Images that failed to upload keep their original file name so the link is not lost
+ * @param {string} content - Page content with placeholders
+ * @param {object[]} images - Images from parseImportArchive with an url once uploaded
+ * @returns {string} Content with image URLs
+ */
+export const resolveImportImages = (content, images) =>
+  content.replace(IMAGE_PLACEHOLDER, (placeholder, index) => {
+    const image = images[Number(index)];
+    return image?.url || encodeURI(image?.path || '');
+  });
+
+/**
+ * Keep an uploaded archive on disk until its import job runs
+ * @param {Buffer} archive - Zip file
+ * @returns {Promise<string>} Path of the stored archive
+ */
+export const storeImportUpload = async (archive) => {
+  const dir = path.join(os.tmpdir(), 'zettanote-imports');
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${uuidv4()}.zip`);
+  await fs.writeFile(filePath, archive);
+  return filePath;
+};
+
+/**
+ * Import the pages of an archive for a user
+ * Images are uploaded first so the pages can be saved with their final content
+ * @param {object} options - Import options
+ * @param {Buffer} options.archive - Zip file
+ * @param {string} options.userId - ID of the importing user
+ * @param {string} options.source - One of IMPORT_SOURCES
+ * @param {string} options.structure - One of IMPORT_STRUCTURES
+ * @param {string} [options.parentId] - Page to import into, top level if not set
+ * @param {object} options.limits - Limits as { maxFiles, maxBytes, maxPages }
+ * @param {Function} options.uploadImage - Uploads a data URI image, resolving to its URL
+ * @param {Function} [options.onProgress] - Called with { stage, processed, total }
+ * @returns {Promise<object>} Object with a summary as { pages, images, failedImages, rootPageIds },
+ * or an error message if the archive can't be imported
+ */
+export const importArchive = async ({
+  archive,
+  userId,
+  source,
+  structure,
+  parentId = null,
+  limits,
+  uploadImage,
+  onProgress = () => {},
+}) => {
+  const { files, error } = await readImportArchive(archive, limits);
+  if (error) {
+    return { error };
+  }
+
+  const { pages, images } = parseImportArchive(files, { source, structure });
+  if (pages.length === 0) {
+    return { error: 'No markdown notes were found in the archive' };
+  }
+  if (pages.length > limits.maxPages) {
+    return { error: `The archive contains more than ${limits.maxPages} notes` };
+  }
+
+  const user = await User.findById(userId);
+  const parent = parentId ? await Page.findOne({ _id: parentId, deletedAt: null }) : null;
+  if (!user || (parentId && (!parent || !parent.owner.equals(user._id)))) {
+    return { error: 'The page to import into is no longer available' };
+  }
+
+  const failedImages = [];
+  for (const [index, image] of images.entries()) {
+    await onProgress({ stage: 'images', processed: index, total: images.length });
+    try {
+      image.url = await uploadImage(
+        `data:${image.contentType};base64,${image.data.toString('base64')}`,
+        path.posix.basename(image.path)
+      );
+    } catch (err) {
+      logger.warn(`Import could not upload image ${image.path}`, err);
+      failedImages.push(image.path);
+    }
+  }
+
+  const pageIds = new Map();
+  const rootPageIds = [];
+  let rootPosition = await getNextPosition(user._id, parent?._id ?? null);
+  const childPositions = new Map();
+
+  for (const [index, page] of pages.entries()) {
+    await onProgress({ stage: 'pages', processed: index, total: pages.length });
+
+    const parentPageId = page.parentKey ? pageIds.get(page.parentKey) : (parent?._id ?? null);
+    let position;
+    if (page.parentKey) {
+      position = childPositions.get(page.parentKey) ?? 0;
+      childPositions.set(page.parentKey, position + 1);
+    } else {
+      position = rootPosition++;
+    }
+
+    const pageData = resolveImportImages(page.content, images);
+    const newPage = await Page.create({
+      pageName: page.name,
+      pageData,
+      links: extractWikiLinks(pageData),
+      hashtags: extractHashtags(pageData),
+      tags: page.tags,
+      owner: user._id,
+      parent: parentPageId,
+      position,
+    });
+    pageIds.set(page.key, newPage._id);
+    if (!page.parentKey) {
+      rootPageIds.push(newPage._id);
+    }
+
+    const imageIds = getContentImageIds(pageData);
+    if (imageIds.length > 0) {
+      try {
+        await updateImageReferences(newPage._id, imageIds, []);
+      } catch (imageError) {
+        logger.error('Error updating image references:', imageError);
+      }
+    }
+  }
+
+  const createdIds = [...pageIds.values()];
+  await User.updateOne({ _id: user._id }, { $push: { pages: { $each: createdIds } } });
+
+  // Pages imported into a shared notebook are shared with the same people
+  if (parent && parent.sharedTo.length > 0) {
+    await sharePagesWithUsers(createdIds, parent.sharedTo, getShareRoles(parent));
+  }
+
+  await safeRedisCall('del', `user:${user._id}:ownedPages`);
+  await onProgress({ stage: 'done', processed: pages.length, total: pages.length });
+
+  return {
+    summary: {
+      pages: createdIds.length,
+      images: images.length - failedImages.length,
+      failedImages,
+      rootPageIds: rootPageIds.map((id) => id.toString()),
+    },
+  };
+};
+
+export default {
+  IMPORT_SOURCES,
+  IMPORT_STRUCTURES,
+  readImportArchive,
+  toPageName,
+  parseFrontmatter,
+  parseCsv,
+  csvToMarkdownTable,
+  parseImportArchive,
+  resolveImportImages,
+  storeImportUpload,
+  importArchive,
+};
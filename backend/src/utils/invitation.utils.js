@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import Page from '../models/Page.model.js';
+import ShareInvitation from '../models/ShareInvitation.model.js';
+import config from '../config/index.js';
+import { escapeHtml } from './export.utils.js';
+import { getDescendantIds, sharePagesWithUsers } from './hierarchy.utils.js';
+
+export const INVITATION_TTL_DAYS = 30;
+
+// What each share role lets the recipient do, as worded in share emails
+const ROLE_ACTIONS = {
+  viewer: 'view',
+  commenter: 'comment on',
+  editor: 'edit',
+  manager: 'edit and manage sharing of',
+};
+
+/**
+ * Create the secret token of an invitation link
+ * @returns {string} Random hex token
+ */
+export const createInvitationToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Get when an invitation created now stops working
+ * @param {Date} now - Creation time
+ * @returns {Date} Expiry date
+ */
+export const getInvitationExpiry = (now = new Date()) =>
+  new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Get the link an invitee follows to sign up and accept an invitation
+ * @param {string} email - Invited email address
+ * @param {string} token - Invitation token
+ * @returns {string} Signup URL carrying the email and token
+ */
+export const getInvitationUrl = (email, token) => {
+  const params = new URLSearchParams({ email, invite: token });
+  return `${config.frontendUrl}/signup?${params}`;
+};
+
+/**
+ * Build the email telling someone a page was shared with them
+ * @param {object} options - Email details
+ * @param {string} options.inviterName - Name of the user who shared the page
+ * @param {string} options.pageName - Name of the shared page
+ * @param {string} options.role - Share role the recipient got
+ * @param {string} options.url - Link to the page, or to signup for invitations
+ * @param {boolean} options.isInvitation - Whether the recipient still needs an account
+ * @returns {object} { subject, html, text }
+ */
+export const buildShareEmail = ({ inviterName, pageName, role, url, isInvitation }) => {
+  const action = ROLE_ACTIONS[role] || ROLE_ACTIONS.viewer;
+  const subject = `${inviterName} shared "${pageName}" with you`;
+  const summary = `${inviterName} invited you to ${action} "${pageName}" on ZettaNote.`;
+  const callToAction = isInvitation ? 'Create your account to open it' : 'Open the page';
+  const note = isInvitation
+    ? `This invitation expires in ${INVITATION_TTL_DAYS} days. Sign up with this email address to accept it.`
+    : 'You can also find it under Shared with me in your dashboard.';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${escapeHtml(subject)}</title></head>
+<body style="margin: 0; padding: 32px 16px; background-color: #f7f3ec; font-family: Fira Sans, Lucida Sans Unicode, Lucida Grande, sans-serif; color: #101010;">
+  <div style="max-width: 560px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; padding: 32px;">
+    <h1 style="margin: 0 0 16px 0; font-size: 24px;">📄 ${escapeHtml(pageName)}</h1>
+    <p style="margin: 0 0 24px 0; font-size: 16px; line-height: 1.5;">${escapeHtml(summary)}</p>
+    <a href="${escapeHtml(url)}" target="_blank" rel="noopener" style="display: inline-block; padding: 12px 24px; border-radius: 8px; background-color: #7747ff; color: #ffffff; text-decoration: none; font-weight: 600;">${callToAction}</a>
+    <p style="margin: 24px 0 0 0; font-size: 14px; color: #6c757d;">${escapeHtml(note)}</p>
+  </div>
+</body>
+</html>`;
+
+  const text = `${summary}
+
+${callToAction}: ${url}
+
+${note}`;
+
+  return { subject, html, text };
+};
+
+/**
+ * Turn the pending share invitations of a user's email into shares.
+ * Unverified emails must present the token of one of their invitations, so nobody can claim
+ * pages by signing up with someone else's address.
+ * @param {object} user - User document that signed up
+ * @param {string|null} token - Token from the invitation link, if any
+ * @returns {number} Number of pages shared with the user
+ */
+export const acceptShareInvitations = async (user, token = null) => {
+  const email = user.email.toLowerCase();
+  if (!user.emailVerified && !(token && (await ShareInvitation.exists({ email, token })))) {
+    return 0;
+  }
+
+  const invitations = await ShareInvitation.find({ email, expiresAt: { $gt: new Date() } });
+  let accepted = 0;
+
+  for (const invitation of invitations) {
+    const page = await Page.findOne({ _id: invitation.page, deletedAt: null });
+    if (!page || page.owner.equals(user._id)) {
+      continue;
+    }
+
+    // Invitations share the page along with everything nested in it, like sharePage
+    const descendantIds = await getDescendantIds(page._id);
+    await sharePagesWithUsers([page._id, ...descendantIds], [user._id], {
+      [user._id]: invitation.role,
+    });
+    accepted += 1;
+  }
+
+  await ShareInvitation.deleteMany({ email });
+  return accepted;
+};
+
+export default {
+  INVITATION_TTL_DAYS,
+  createInvitationToken,
+  getInvitationExpiry,
+  getInvitationUrl,
+  buildShareEmail,
+  acceptShareInvitations,
+};
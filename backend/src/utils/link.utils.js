@@ -0,0 +1,135 @@
+// Matches [[Page Name]] and [[Page Name|alias]]
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]*))?\]\]/g;
+
+// Matches [text](target "title") but not images
+const MARKDOWN_LINK_PATTERN = /(?<!!)\[[^\]\n]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+
+// In-app page URLs: /dashboard/<pageId> and public shares at /public/<shareId>
+const PAGE_URL_PATTERN = /\/dashboard\/([0-9a-fA-F]{24})(?:[/?#]|$)/;
+const SHARE_URL_PATTERN = /\/public\/([\w-]+)(?:[/?#]|$)/;
+
+/**
+ * Normalize a page name for link matching
+ * Links match page names case-insensitively and ignore extra whitespace
+ * @param {string} name - Page name or link target
+ * @returns {string} Normalized name
+ */
+export const normalizeLinkTarget = (name = '') => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Extract the pages a note links to with [[wiki links]]
+ * @param {string} content - Page content
+ * @returns {string[]} Unique normalized link targets
+ */
+export const extractWikiLinks = (content = '') => {
+  const targets = new Set();
+  for (const match of content.matchAll(WIKI_LINK_PATTERN)) {
+    const target = normalizeLinkTarget(match[1]);
+    if (target) {
+      targets.add(target);
+    }
+  }
+  return [...targets];
+};
+
+/**
+ * Work out which page a markdown link target points to
+ * Links to the dashboard or a public share identify a page by ID or share ID; relative
+ * links such as Other%20Note.md identify it by name
+ * @param {string} target - Link target (href)
+ * @returns {object|null} Page reference as { pageId }, { shareId } or { name }, or null
+ */
+export const parseLinkTarget = (target = '') => {
+  const pageMatch = target.match(PAGE_URL_PATTERN);
+  if (pageMatch) {
+    return { pageId: pageMatch[1] };
+  }
+
+  const shareMatch = target.match(SHARE_URL_PATTERN);
+  if (shareMatch) {
+    return { shareId: shareMatch[1] };
+  }
+
+  if (/^([a-z][a-z0-9+.-]*:|#|\/)/i.test(target)) {
+    return null;
+  }
+
+  // Relative link to another note, possibly exported as a markdown file
+  let name = target.replace(/[?#].*$/, '');
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep malformed escapes as typed
+  }
+  name = normalizeLinkTarget(name.replace(/^\.\//, '').replace(/\.md$/i, ''));
+  return name ? { name } : null;
+};
+
+/**
+ * Extract the pages a note points to with regular markdown links
+ * @param {string} content - Page content
+ * @returns {object[]} Link references as { pageId }, { shareId } or { name }
+ */
+export const extractMarkdownLinks = (content = '') => {
+  const references = [];
+
+  for (const match of content.matchAll(MARKDOWN_LINK_PATTERN)) {
+    const reference = parseLinkTarget(match[1]);
+    if (reference) {
+      references.push(reference);
+    }
+  }
+
+  return references;
+};
+
+/**
+ * Get the lines of a note that link to a page, for showing backlink context
+ * @param {string} content - Content of the linking page
+ * @param {string} pageName - Name of the linked page
+ * @param {number} maxLines - Maximum number of lines to return
+ * @returns {string[]} Trimmed lines containing a link to the page
+ */
+export const getLinkContext = (content = '', pageName, maxLines = 3) => {
+  const target = normalizeLinkTarget(pageName);
+  return content
+    .split('\n')
+    .filter((line) =>
+      [...line.matchAll(WIKI_LINK_PATTERN)].some(
+        (match) => normalizeLinkTarget(match[1]) === target
+      )
+    )
+    .slice(0, maxLines)
+    .map((line) => line.trim());
+};
+
+/**
+ * Point the [[wiki links]] to a renamed page at its new name, keeping any aliases
+ * @param {string} content - Page content
+ * @param {string} oldName - Previous page name
+ * @param {string} newName - New page name
+ * @returns {object} Rewritten content and the number of links changed
+ */
+export const rewriteWikiLinks = (content = '', oldName, newName) => {
+  const target = normalizeLinkTarget(oldName);
+  let count = 0;
+
+  const rewritten = content.replace(WIKI_LINK_PATTERN, (link, linkTarget, alias) => {
+    if (normalizeLinkTarget(linkTarget) !== target) {
+      return link;
+    }
+    count++;
+    return alias === undefined ? `[[${newName}]]` : `[[${newName}|${alias}]]`;
+  });
+
+  return { content: rewritten, count };
+};
+
+export default {
+  normalizeLinkTarget,
+  extractWikiLinks,
+  parseLinkTarget,
+  extractMarkdownLinks,
+  getLinkContext,
+  rewriteWikiLinks,
+};
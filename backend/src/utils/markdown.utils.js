@@ -0,0 +1,174 @@
+import MarkdownIt from 'markdown-it';
+import markdownItTaskLists from 'markdown-it-task-lists';
+import markdownItDeflist from 'markdown-it-deflist';
+import hljs from 'highlight.js';
+import katex from 'katex';
+import sanitizeHtml from 'sanitize-html';
+import {
+  ALLOWED_STYLES,
+  createMarkdownIt,
+  getInlineText,
+  slugifyHeading,
+  toContentId,
+} from '../../../shared/markdown.js';
+
+// Server side of the shared renderer (shared/markdown.js) so exported pages and public shares
+// look like the preview. Output uses plain elements instead of Tailwind classes and is styled
+// by the export stylesheet.
+
+const md = createMarkdownIt({
+  MarkdownIt,
+  taskLists: markdownItTaskLists,
+  deflist: markdownItDeflist,
+  hljs,
+  katex,
+});
+
+md.renderer.rules.wikilink = (tokens, idx, options, env) => {
+  const { target, label } = tokens[idx].meta;
+  const href = env.resolveWikiLink?.(target);
+  const text = md.utils.escapeHtml(label);
+  return href
+    ? `<a href="${md.utils.escapeHtml(href)}" class="wikilink">${text}</a>`
+    : `<span class="wikilink wikilink-missing">${text}</span>`;
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img',
+    'input',
+    'del',
+    'ins',
+    'mark',
+    'span',
+    'sub',
+    'sup',
+    'details',
+    'summary',
+  ],
+  allowedAttributes: {
+    '*': ['class', 'id', 'title'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    // KaTeX positions glyphs with inline styles
+    span: ['style', 'aria-hidden'],
+    th: ['style', 'align'],
+    td: ['style', 'align'],
+    ol: ['start'],
+  },
+  allowedStyles: { '*': ALLOWED_STYLES },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  // Ids, and the in-page links to them, are prefixed so pages can't clobber the app's own
+  transformTags: {
+    '*': (tagName, attribs) => {
+      const prefixed = { ...attribs };
+      if (prefixed.id) {
+        prefixed.id = toContentId(prefixed.id);
+      }
+      if (/^#./.test(prefixed.href || '')) {
+        prefixed.href = `#${toContentId(prefixed.href.slice(1))}`;
+      }
+      return { tagName, attribs: prefixed };
+    },
+  },
+};
+
+/**
+ * Render page markdown to sanitized HTML
+ * Supports the same extensions as the editor preview: syntax highlighting, KaTeX inline
+ * math, task lists, definition lists, ==highlights==, ~~strikethrough~~ and [[wiki links]]
+ * @param {string} text - Markdown content
+ * @param {object} [options] - Rendering options
+ * @param {Function} [options.resolveWikiLink] - Maps a wiki link target to an href; links
+ * it returns nothing for are rendered as plain text
+ * @param {Function} [options.resolveLink] - Maps a link href to a replacement href
+ * @param {Function} [options.resolveImage] - Maps an image URL to a replacement URL
+ * @param {object[]} [options.headings] - Filled with the page's headings as { level, text, id };
+ * the rendered headings carry these IDs with the content ID prefix
+ * @returns {string} Sanitized HTML
+ */
+export const renderMarkdown = (text, options = {}) => {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  const html = md.render(text, { ...options });
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Get the headings of a page for a table of contents
+ * @param {string} text - Markdown content
+ * @returns {object[]} Headings as [{ level, text, id }], IDs match the rendered headings
+ */
+export const getTableOfContents = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const headings = [];
+  md.parse(text, { headings });
+  return headings;
+};
+
+/**
+ * Get a plain text summary of a page from its first paragraphs
+ * @param {string} text - Markdown content
+ * @param {number} [maxLength] - Maximum length, longer text is cut at a word
+ * @returns {string} Excerpt
+ */
+export const getExcerpt = (text, maxLength = 200) => {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  const tokens = md.parse(text, {});
+  const excerpt = tokens
+    .filter((token, idx) => token.type === 'inline' && tokens[idx - 1].type === 'paragraph_open')
+    .map((token) => getInlineText(token.children))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (excerpt.length <= maxLength) {
+    return excerpt;
+  }
+  const lastSpace = excerpt.lastIndexOf(' ', maxLength - 1);
+  const cut = excerpt.slice(0, lastSpace > maxLength / 2 ? lastSpace : maxLength - 1);
+  return `${cut.replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+/**
+ * Get the text of a page as it reads once rendered, without markup
+ * @param {string} text - Markdown content
+ * @returns {string} Plain text with blocks separated by spaces
+ */
+export const getPlainText = (text) => {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return md
+    .parse(text, {})
+    .map((token) => {
+      if (token.type === 'inline') {
+        return getInlineText(token.children);
+      }
+      return token.type === 'fence' || token.type === 'code_block' ? token.content : '';
+    })
+    .filter(Boolean)
+    .join(' ');
+};
+
+export { slugifyHeading };
+
+export default {
+  renderMarkdown,
+  getTableOfContents,
+  getExcerpt,
+  getPlainText,
+  slugifyHeading,
+};
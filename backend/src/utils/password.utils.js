@@ -1,6 +1,24 @@
 import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import { z } from 'zod';
 
+const SALT_ROUNDS = 10;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} hash - bcrypt hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const comparePassword = (password, hash) => bcrypt.compare(password, hash);
+
 /**
  * Generate a secure random password
  * @param {number} length - Password length (default: 12)
@@ -117,6 +135,8 @@ export const validatePassword = (password) => {
 };
 
 export default {
+  hashPassword,
+  comparePassword,
   generateSecurePassword,
   generateMemorablePassword,
   validatePasswordStrength,
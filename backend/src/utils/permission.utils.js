@@ -0,0 +1,65 @@
+// Roles a page can be shared with, from least to most access. Each role includes the ones before it:
+// viewers read, commenters also comment, editors also write and managers also manage sharing.
+export const SHARE_ROLES = ['viewer', 'commenter', 'editor', 'manager'];
+
+// Pages shared before roles existed gave everyone in sharedTo write access
+export const DEFAULT_SHARE_ROLE = 'editor';
+
+/**
+ * Get the roles of a page's collaborators as a plain object
+ * @param {object} page - Page document or its cached JSON
+ * @returns {object} Roles keyed by user ID
+ */
+export const getShareRoles = (page) => {
+  const roles = page?.shareRoles;
+  if (!roles) {
+    return {};
+  }
+  return roles instanceof Map ? Object.fromEntries(roles) : { ...roles };
+};
+
+/**
+ * Get a user's role on a page
+ * @param {object} page - Page document or its cached JSON
+ * @param {string} userId - ID of the user
+ * @returns {string|null} 'owner', a share role, or null without access
+ */
+export const getPageRole = (page, userId) => {
+  if (!page || !userId) {
+    return null;
+  }
+
+  const id = userId.toString();
+  if (page.owner?.toString() === id) {
+    return 'owner';
+  }
+  if (!(page.sharedTo || []).some((sharedId) => sharedId.toString() === id)) {
+    return null;
+  }
+
+  const role = getShareRoles(page)[id];
+  return SHARE_ROLES.includes(role) ? role : DEFAULT_SHARE_ROLE;
+};
+
+/**
+ * Check whether a user has at least the given role on a page; owners pass every check
+ * @param {object} page - Page document or its cached JSON
+ * @param {string} userId - ID of the user
+ * @param {string} minRole - Least role required
+ * @returns {boolean} True if the user's role is the required one or above
+ */
+export const hasPageRole = (page, userId, minRole) => {
+  const role = getPageRole(page, userId);
+  if (!role) {
+    return false;
+  }
+  return role === 'owner' || SHARE_ROLES.indexOf(role) >= SHARE_ROLES.indexOf(minRole);
+};
+
+export default {
+  SHARE_ROLES,
+  DEFAULT_SHARE_ROLE,
+  getShareRoles,
+  getPageRole,
+  hasPageRole,
+};
@@ -0,0 +1,241 @@
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// RRULE weekday codes, indexed like Date#getUTCDay
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences skipped to catch up with the present are capped so a bad rule can't loop forever
+const MAX_CATCH_UP_OCCURRENCES = 10000;
+
+/**
+ * Position of a weekday in an RRULE week, which starts on Monday
+ * @param {number} weekday - Day as returned by getUTCDay (0 = Sunday)
+ * @returns {number} 0 for Monday to 6 for Sunday
+ */
+const weekPosition = (weekday) => (weekday + 6) % 7;
+
+/**
+ * Parse an RRULE UNTIL value
+ * @param {string} value - Date as YYYYMMDD or YYYYMMDDTHHMMSSZ
+ * @returns {Date|null} Parsed date, null when invalid
+ */
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse an RRULE-style recurrence rule, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE
+ * Supports FREQ, INTERVAL, BYDAY (weekly rules), COUNT and UNTIL.
+ * @param {string} rule - Rule, optionally prefixed with RRULE:
+ * @returns {object} { recurrence } or { error }
+ */
+export const parseRRule = (rule) => {
+  const parts = rule
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean);
+
+  const recurrence = { freq: null, interval: 1, byWeekday: [], until: null, count: null };
+  for (const part of parts) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        recurrence.freq = value.trim().toLowerCase();
+        if (!RECURRENCE_FREQUENCIES.includes(recurrence.freq)) {
+          return { error: `Unsupported recurrence frequency: ${value}` };
+        }
+        break;
+      case 'INTERVAL':
+        recurrence.interval = Number(value);
+        if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+          return { error: 'Recurrence interval must be a positive whole number' };
+        }
+        break;
+      case 'BYDAY':
+        recurrence.byWeekday = value
+          .toUpperCase()
+          .split(',')
+          .map((code) => WEEKDAY_CODES.indexOf(code.trim()));
+        if (recurrence.byWeekday.includes(-1)) {
+          return { error: 'Recurrence days must be MO, TU, WE, TH, FR, SA or SU' };
+        }
+        break;
+      case 'COUNT':
+        recurrence.count = Number(value);
+        if (!Number.isInteger(recurrence.count) || recurrence.count < 1) {
+          return { error: 'Recurrence count must be a positive whole number' };
+        }
+        break;
+      case 'UNTIL':
+        recurrence.until = parseUntil(value.trim());
+        if (!recurrence.until) {
+          return { error: 'Recurrence end date must look like 20251231 or 20251231T120000Z' };
+        }
+        break;
+      default:
+        return { error: `Unsupported recurrence rule part: ${key}` };
+    }
+  }
+
+  if (!recurrence.freq) {
+    return { error: 'Recurrence rule needs a FREQ' };
+  }
+  if (recurrence.byWeekday.length && recurrence.freq !== 'weekly') {
+    return { error: 'Recurrence days are only supported for weekly rules' };
+  }
+  if (recurrence.count && recurrence.until) {
+    return { error: 'Recurrence rule can have a COUNT or an UNTIL, not both' };
+  }
+
+  recurrence.byWeekday = [...new Set(recurrence.byWeekday)];
+  return { recurrence };
+};
+
+/**
+ * Write a recurrence as an RRULE
+ * @param {object} recurrence - Recurrence with freq, interval, byWeekday, until and count
+ * @returns {string} Rule, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE
+ */
+export const formatRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+  if (recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday?.length) {
+    const days = [...recurrence.byWeekday].sort((a, b) => weekPosition(a) - weekPosition(b));
+    parts.push(`BYDAY=${days.map((day) => WEEKDAY_CODES[day]).join(',')}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Add months to a date, skipping months without its day of the month like RRULE does
+ * (a monthly rule on the 31st skips 30-day months)
+ * @param {Date} date - Date to start from
+ * @param {number} months - Months between occurrences
+ * @returns {Date} Next date on the same day of the month
+ */
+const addMonths = (date, months) => {
+  const day = date.getUTCDate();
+  for (let step = 1; ; step++) {
+    const next = new Date(date);
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + months * step);
+    next.setUTCDate(day);
+    if (next.getUTCDate() === day) {
+      return next;
+    }
+  }
+};
+
+/**
+ * Get the occurrence following a date
+ * @param {object} recurrence - Recurrence rule
+ * @param {Date} date - Current occurrence
+ * @returns {Date} Next occurrence, at the same time of day
+ */
+const advance = (recurrence, date) => {
+  const interval = recurrence.interval || 1;
+
+  switch (recurrence.freq) {
+    case 'daily':
+      return new Date(date.getTime() + interval * DAY_MS);
+    case 'weekly': {
+      if (!recurrence.byWeekday?.length) {
+        return new Date(date.getTime() + 7 * interval * DAY_MS);
+      }
+      const positions = recurrence.byWeekday.map(weekPosition).sort((a, b) => a - b);
+      const current = weekPosition(date.getUTCDay());
+      const later = positions.find((position) => position > current);
+      const days = later !== undefined ? later - current : 7 * interval - current + positions[0];
+      return new Date(date.getTime() + days * DAY_MS);
+    }
+    case 'monthly':
+      return addMonths(date, interval);
+    case 'yearly':
+      return addMonths(date, 12 * interval);
+    default:
+      throw new Error(`Unknown recurrence frequency: ${recurrence.freq}`);
+  }
+};
+
+/**
+ * Get the next occurrence of a recurring task. Occurrences that are already past are skipped,
+ * so a task completed late is scheduled in the future, but still count towards COUNT.
+ * @param {object} recurrence - Recurrence rule
+ * @param {Date} deadline - Deadline of the current occurrence
+ * @param {object} options - Options
+ * @param {number} options.occurrence - Number of the current occurrence in the series, from 1
+ * @param {Date|null} options.after - Skip occurrences up to this date
+ * @returns {object|null} { deadline, occurrence }, null when the series has ended
+ */
+export const getNextOccurrence = (recurrence, deadline, { occurrence = 1, after = null } = {}) => {
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  let next = new Date(deadline);
+  let index = occurrence;
+
+  for (let step = 0; step < MAX_CATCH_UP_OCCURRENCES; step++) {
+    next = advance(recurrence, next);
+    index++;
+    if ((recurrence.count && index > recurrence.count) || (until && next > until)) {
+      return null;
+    }
+    if (!after || next > after) {
+      return { deadline: next, occurrence: index };
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn the recurrence sent to the API into the stored form
+ * @param {string|object|null} input - RRULE string, recurrence object or null for none
+ * @returns {object} { recurrence } (null for none) or { error }
+ */
+export const normalizeRecurrence = (input) => {
+  if (!input) {
+    return { recurrence: null };
+  }
+  if (typeof input === 'string') {
+    return parseRRule(input);
+  }
+
+  const recurrence = {
+    freq: input.freq,
+    interval: input.interval ?? 1,
+    byWeekday: [...new Set(input.byWeekday ?? [])],
+    until: input.until ? new Date(input.until) : null,
+    count: input.count ?? null,
+  };
+  if (recurrence.byWeekday.length && recurrence.freq !== 'weekly') {
+    return { error: 'Recurrence days are only supported for weekly rules' };
+  }
+  if (recurrence.count && recurrence.until) {
+    return { error: 'Recurrence rule can have a count or an end date, not both' };
+  }
+  return { recurrence };
+};
+
+export default {
+  RECURRENCE_FREQUENCIES,
+  parseRRule,
+  formatRRule,
+  getNextOccurrence,
+  normalizeRecurrence,
+};
@@ -0,0 +1,101 @@
+// Offsets are minutes before the deadline; tasks remind an hour ahead unless set otherwise
+export const DEFAULT_REMINDER_OFFSETS = [60];
+export const MAX_REMINDER_OFFSET = 30 * 24 * 60;
+export const MAX_REMINDER_OFFSETS = 5;
+
+// Reminders are checked every 5 minutes, so one can go out up to that late
+export const REMINDER_CHECK_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Describe a number of minutes, e.g. 90 as "1 hour 30 minutes"
+ * @param {number} minutes - Minutes
+ * @returns {string} Readable duration
+ */
+export const formatReminderOffset = (minutes) => {
+  if (minutes < 1) {
+    return 'less than a minute';
+  }
+
+  const units = [
+    ['day', Math.floor(minutes / (24 * 60))],
+    ['hour', Math.floor((minutes % (24 * 60)) / 60)],
+    ['minute', minutes % 60],
+  ];
+  return units
+    .filter(([, count]) => count > 0)
+    .map(([unit, count]) => `${count} ${unit}${count === 1 ? '' : 's'}`)
+    .join(' ');
+};
+
+/**
+ * Get the reminder offsets of a task that haven't been sent for its current deadline
+ * @param {object} task - Task with reminderOffsets and remindersSent
+ * @returns {number[]} Unsent offsets in minutes
+ */
+const getUnsentOffsets = (task) => {
+  const sent = task.remindersSent ?? [];
+  return (task.reminderOffsets ?? DEFAULT_REMINDER_OFFSETS).filter(
+    // Tasks from before per-task offsets only tracked the 1 hour reminder with a flag
+    (offset) => !sent.includes(offset) && !(offset === 60 && task.oneHourReminderSent)
+  );
+};
+
+/**
+ * Get when a task's next reminder is due
+ * @param {object} task - Task
+ * @returns {Date|null} Time of the earliest unsent reminder, null when none is left
+ */
+export const getNextReminderAt = (task) => {
+  if (!task.taskDeadline || task.isTaskCompleted) {
+    return null;
+  }
+  const offsets = getUnsentOffsets(task);
+  if (!offsets.length) {
+    return null;
+  }
+  return new Date(new Date(task.taskDeadline).getTime() - Math.max(...offsets) * MINUTE_MS);
+};
+
+/**
+ * Get the reminder a task is due for. When several offsets have passed, e.g. for a task
+ * created close to its deadline, they are sent as one reminder about the time that is left.
+ * @param {object} task - Task
+ * @param {Date} now - Current time
+ * @returns {object|null} { offsets, timeUntil } to send, null when nothing is due
+ */
+export const getDueReminder = (task, now = new Date()) => {
+  if (!task.taskDeadline || task.isTaskCompleted) {
+    return null;
+  }
+
+  const deadline = new Date(task.taskDeadline).getTime();
+  if (deadline <= now.getTime()) {
+    return null;
+  }
+
+  const offsets = getUnsentOffsets(task).filter(
+    (offset) => deadline - offset * MINUTE_MS <= now.getTime()
+  );
+  if (!offsets.length) {
+    return null;
+  }
+
+  const closest = Math.min(...offsets);
+  const minutesLeft = Math.round((deadline - now.getTime()) / MINUTE_MS);
+  const timeUntil = formatReminderOffset(
+    minutesLeft > closest - REMINDER_CHECK_MINUTES ? closest : minutesLeft
+  );
+  return { offsets, timeUntil };
+};
+
+export default {
+  DEFAULT_REMINDER_OFFSETS,
+  MAX_REMINDER_OFFSET,
+  MAX_REMINDER_OFFSETS,
+  REMINDER_CHECK_MINUTES,
+  formatReminderOffset,
+  getNextReminderAt,
+  getDueReminder,
+};
@@ -0,0 +1,89 @@
+import Page from '../models/Page.model.js';
+import { STATUS_CODES } from '../constants/statusCodes.js';
+import { MESSAGES } from '../constants/messages.js';
+import { extractWikiLinks } from './link.utils.js';
+import { extractHashtags } from './tag.utils.js';
+import { syncChecklistTasks } from './task.utils.js';
+import logger from './logger.js';
+
+/**
+ * Build a query filter matching a specific page revision
+ * Pages created before revisions existed have no field stored, which counts as revision 0
+ * @param {number} revision - Revision to match
+ * @returns {number|object} Mongo filter value for the revision field
+ */
+const revisionFilter = (revision) => (revision > 0 ? revision : { $in: [0, null] });
+
+/**
+ * Check whether a save was based on an outdated revision of a page
+ * Saves that don't send a base revision are never considered stale
+ * @param {object} page - Page document
+ * @param {number} [baseRevision] - Revision the client's content was based on
+ * @returns {boolean} True if the page has moved on since baseRevision
+ */
+export const isStaleRevision = (page, baseRevision) => {
+  if (baseRevision === undefined || baseRevision === null) {
+    return false;
+  }
+  return baseRevision !== (page.revision || 0);
+};
+
+/**
+ * Atomically write new content to a page and bump its revision
+ * The write only succeeds if the stored revision still matches the loaded document,
+ * so two concurrent saves can't both succeed, and never lands in a page moved to the trash.
+ * On success the page document is updated in place.
+ * The page's outgoing [[wiki links]] and #hashtags are re-indexed in the same write, and
+ * tasks linked to its checklist items are updated afterwards.
+ * @param {object} page - Page document as loaded before the save
+ * @param {string} newPageData - New page content
+ * @returns {boolean} True if the content was committed, false if another save won the race
+ * or the page was trashed
+ */
+export const commitPageData = async (page, newPageData) => {
+  const currentRevision = page.revision || 0;
+  const links = extractWikiLinks(newPageData);
+  const hashtags = extractHashtags(newPageData);
+
+  const { matchedCount } = await Page.updateOne(
+    { _id: page._id, revision: revisionFilter(currentRevision), deletedAt: null },
+    { $set: { pageData: newPageData, revision: currentRevision + 1, links, hashtags } }
+  );
+  if (matchedCount === 0) {
+    return false;
+  }
+
+  page.pageData = newPageData;
+  page.revision = currentRevision + 1;
+  page.links = links;
+  page.hashtags = hashtags;
+
+  try {
+    await syncChecklistTasks(page);
+  } catch (error) {
+    // The content is saved either way; tasks catch up on the next save
+    logger.error('Error syncing checklist tasks:', error);
+  }
+  return true;
+};
+
+/**
+ * Build the 409 response returned when a save is based on an outdated revision
+ * Includes the current server content so the client can merge
+ * @param {object} page - Current page document
+ * @returns {object} Response status and message
+ */
+export const getRevisionConflict = (page) => ({
+  resStatus: STATUS_CODES.CONFLICT,
+  resMessage: {
+    message: MESSAGES.PAGE.REVISION_CONFLICT,
+    revision: page.revision || 0,
+    pageData: page.pageData || '',
+  },
+});
+
+export default {
+  isStaleRevision,
+  commitPageData,
+  getRevisionConflict,
+};
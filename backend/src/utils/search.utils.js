@@ -0,0 +1,127 @@
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+const QUERY_TOKEN_PATTERN = /(tag|owner):(?:"([^"]+)"|(\S+))|"([^"]+)"|(\S+)/gi;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a search query into free-text terms, phrases, prefixes and filters
+ * Supports plain words, "exact phrases", prefix* words, tag:name and owner:me|email|name
+ * @param {string} query - Raw search query
+ * @returns {object} Parsed query with terms, phrases, prefixes, tags and owners
+ */
+export const parseSearchQuery = (query) => {
+  const parsed = { terms: [], phrases: [], prefixes: [], tags: [], owners: [] };
+
+  for (const match of query.matchAll(QUERY_TOKEN_PATTERN)) {
+    const [, filter, quotedValue, value, phrase, word] = match;
+
+    if (filter) {
+      const filterValue = (quotedValue ?? value).trim();
+      if (filter.toLowerCase() === 'tag') {
+        parsed.tags.push(filterValue.replace(/^#/, '').toLowerCase());
+      } else {
+        parsed.owners.push(filterValue);
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) {
+        parsed.phrases.push(phrase.trim());
+      }
+    } else if (word.length > 1 && word.endsWith('*')) {
+      parsed.prefixes.push(word.slice(0, -1));
+    } else if (word !== '*') {
+      parsed.terms.push(word);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Find the ranges of a text matching search terms, merged and in order
+ * @param {string} text - Text to search
+ * @param {string[]} needles - Terms and phrases to highlight
+ * @param {string[]} prefixes - Prefixes to highlight; the rest of the word is highlighted too
+ * @returns {number[][]} Highlight ranges as [start, end] pairs
+ */
+export const findHighlights = (text, needles = [], prefixes = []) => {
+  const ranges = [];
+  const lowerText = text.toLowerCase();
+
+  for (const needle of needles) {
+    const lowerNeedle = needle.toLowerCase();
+    let index = lowerText.indexOf(lowerNeedle);
+    while (lowerNeedle && index !== -1) {
+      ranges.push([index, index + lowerNeedle.length]);
+      index = lowerText.indexOf(lowerNeedle, index + lowerNeedle.length);
+    }
+  }
+
+  for (const prefix of prefixes) {
+    const pattern = new RegExp(`\\b${escapeRegex(prefix)}\\w*`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Build a short excerpt around the first match in a text
+ * @param {string} text - Full text, e.g. page content
+ * @param {object} parsed - Parsed query from parseSearchQuery
+ * @param {number} radius - Characters of context on each side of the match
+ * @returns {object} Snippet text and its highlight ranges
+ */
+export const buildSnippet = (text = '', parsed, radius = SNIPPET_RADIUS) => {
+  const needles = [...parsed.phrases, ...parsed.terms, ...parsed.tags.map((tag) => `#${tag}`)];
+  const allHighlights = findHighlights(text, needles, parsed.prefixes);
+
+  const matchStart = allHighlights.length > 0 ? allHighlights[0][0] : 0;
+  let start = Math.max(0, matchStart - radius);
+  let end = Math.min(text.length, matchStart + radius * 2);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const wordBreak = text.slice(start, matchStart).search(/\s/);
+    start = wordBreak === -1 ? start : start + wordBreak + 1;
+  }
+  if (end < text.length) {
+    const lastBreak = text.slice(end).search(/\s/);
+    end = lastBreak === -1 ? text.length : end + lastBreak;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end).replace(/\s/g, ' ')}${suffix}`,
+    highlights: allHighlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift]),
+  };
+};
+
+export default {
+  escapeRegex,
+  parseSearchQuery,
+  findHighlights,
+  buildSnippet,
+};
@@ -32,6 +32,51 @@ export const userAuthLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+/**
+ * Rate limiting for share link passwords, only failed attempts count
+ */
+export const sharePasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 wrong passwords per windowMs
+  message: {
+    success: false,
+    message: 'Too many password attempts, please try again in 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Rate limiting for requests that email the user a link, every request counts
+ */
+export const authEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 emails per windowMs
+  message: {
+    success: false,
+    message: 'Too many emails requested, please try again in an hour.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Rate limiting for personal data exports, every request counts
+ * Counted per account rather than per IP; must run after authenticate
+ */
+export const dataExportLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  max: 3, // Limit each user to 3 exports per windowMs
+  keyGenerator: (req) => req.userId.toString(),
+  message: {
+    success: false,
+    message: 'Too many data exports requested, please try again tomorrow.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Speed limiting for admin operations
  */
@@ -185,6 +230,9 @@ export default {
   adminApiLimiter,
   adminCreationLimiter,
   userAuthLimiter,
+  sharePasswordLimiter,
+  authEmailLimiter,
+  dataExportLimiter,
   apiLimiter,
   logSuspiciousActivity,
   enforceHTTPS,
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import Session from '../models/Session.model.js';
+import User from '../models/User.model.js';
+import config from '../config/index.js';
+import logger from './logger.js';
+import { generateToken } from './token.utils.js';
+import { closeCollabConnections } from '../sockets/collab.socket.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+// A rotated-out token still refreshes this long, so parallel requests from one device
+// don't look like a stolen token
+export const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+// Browsers and systems named in session lists, most specific first
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS/, 'Firefox'],
+  [/Chrome\/|CriOS/, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+/**
+ * Name the device of a session from its user agent, like "Firefox on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device description
+ */
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+  return browser || system || 'Unknown device';
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {string} Hex SHA-256 hash
+ */
+export const hashRefreshToken = (refreshToken) =>
+  crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+/**
+ * Get when a session refreshed now expires
+ * @param {Date} now - Time of the refresh
+ * @returns {Date} Expiry date
+ */
+export const getSessionExpiry = (now = new Date()) =>
+  new Date(now.getTime() + config.session.ttlDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Get the cookies that keep a device signed in
+ * @param {object} tokens - Tokens of the session
+ * @param {string} tokens.token - Access token
+ * @param {string|null} tokens.refreshToken - Refresh token, or null to keep the current one
+ * @param {string} sameSite - SameSite policy of the cookies
+ * @returns {Array<object>} [{ name, value, options }] to set on the response
+ */
+export const getSessionCookies = ({ token, refreshToken }, sameSite = 'strict') => {
+  const options = {
+    httpOnly: true,
+    sameSite,
+    secure: process.env.NODE_ENV === 'production',
+  };
+
+  const cookies = [
+    {
+      name: 'token',
+      value: token,
+      options: { ...options, maxAge: config.jwt.accessTokenMinutes * 60 * 1000 },
+    },
+  ];
+  if (refreshToken) {
+    // Scoped to the API, where /auth/refresh and /auth/logout read it under any version prefix
+    cookies.push({
+      name: REFRESH_COOKIE,
+      value: refreshToken,
+      options: { ...options, path: '/api', maxAge: config.session.ttlDays * 24 * 60 * 60 * 1000 },
+    });
+  }
+  return cookies;
+};
+
+/**
+ * Set the access and refresh token cookies of a session
+ * @param {object} res - Express response object
+ * @param {object} tokens - { token, refreshToken } from startSession or refreshSession
+ * @param {string} sameSite - SameSite policy of the cookies
+ * @returns {void}
+ */
+export const setSessionCookies = (res, tokens, sameSite = 'strict') => {
+  for (const { name, value, options } of getSessionCookies(tokens, sameSite)) {
+    res.cookie(name, value, options);
+  }
+};
+
+/**
+ * Clear the session cookies of a device
+ * @param {object} res - Express response object
+ * @returns {void}
+ */
+export const clearSessionCookies = (res) => {
+  const options = {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    expires: new Date(0),
+  };
+  res.cookie('token', '', options);
+  res.cookie(REFRESH_COOKIE, '', { ...options, path: '/api' });
+};
+
+/**
+ * Sign a user in on the device making the request
+ * @param {object} user - User document
+ * @param {object} req - Express request object, for the device's user agent and IP
+ * @returns {Promise<object>} { token, refreshToken, sessionId }
+ */
+export const startSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: req.get?.('User-Agent') || '',
+    ip: req.ip || '',
+    expiresAt: getSessionExpiry(),
+  });
+
+  return {
+    token: generateToken(user, { sessionId: session._id }),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @param {object} req - Express request object, for the device's user agent and IP
+ * @returns {Promise<object|null>} { user, token, refreshToken }, or null if the session ended.
+ * refreshToken is null when a parallel request already rotated it.
+ */
+export const refreshSession = async (refreshToken, req) => {
+  const hash = hashRefreshToken(refreshToken);
+  const now = new Date();
+  const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+
+  let session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshToken(nextRefreshToken),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        userAgent: req.get?.('User-Agent') || '',
+        ip: req.ip || '',
+        expiresAt: getSessionExpiry(now),
+      },
+    },
+    { new: true }
+  );
+  let rotatedToken = nextRefreshToken;
+
+  if (!session) {
+    session = await Session.findOne({ previousTokenHash: hash });
+    if (!session) {
+      return null;
+    }
+
+    // A token rotated out a while ago came back: someone copied it, so end the session for both
+    if (now - session.rotatedAt > REFRESH_REUSE_GRACE_MS) {
+      logger.warn(`Refresh token reused for user ${session.user}; ending session ${session._id}`);
+      await Session.deleteOne({ _id: session._id });
+      closeCollabConnections(session.user, { sessionId: session._id });
+      return null;
+    }
+    rotatedToken = null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.banned) {
+    await Session.deleteOne({ _id: session._id });
+    return null;
+  }
+
+  return {
+    user,
+    token: generateToken(user, { sessionId: session._id }),
+    refreshToken: rotatedToken,
+  };
+};
+
+/**
+ * Find the session of a refresh token
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Promise<object|null>} Session document or null
+ */
+export const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne({ refreshTokenHash: hashRefreshToken(refreshToken) });
+
+/**
+ * Sign a user out of every device, revoking their access tokens right away
+ * @param {string} userId - ID of the user
+ * @param {object} options - Options
+ * @param {string|null} options.except - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions ended
+ */
+export const endUserSessions = async (userId, { except = null } = {}) => {
+  const filter = { user: userId };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  const { deletedCount } = await Session.deleteMany(filter);
+  closeCollabConnections(userId, { except });
+  return deletedCount;
+};
+
+export default {
+  REFRESH_COOKIE,
+  REFRESH_REUSE_GRACE_MS,
+  describeDevice,
+  hashRefreshToken,
+  getSessionExpiry,
+  getSessionCookies,
+  setSessionCookies,
+  clearSessionCookies,
+  startSession,
+  refreshSession,
+  findSessionByRefreshToken,
+  endUserSessions,
+};
@@ -0,0 +1,294 @@
+import { escapeHtml, getExportStylesheet } from './export.utils.js';
+import { toContentId } from '../../../shared/markdown.js';
+
+// Public shares are served as rendered pages so search engines and link previews see the
+// content. They reuse the export stylesheet with a header, table of contents and footer.
+
+const SHARE_STYLES = `
+.share-header { border-bottom: 1px solid #e5e7eb; background: #fff; position: sticky; top: 0; z-index: 10; }
+.share-header-inner { max-width: 1100px; margin: 0 auto; padding: 0.75rem 1.5rem; display: flex; align-items: center; justify-content: space-between; gap: 1rem; flex-wrap: wrap; }
+.share-brand { font-weight: 700; font-size: 1.125rem; color: #4f46e5; }
+.share-actions { display: flex; gap: 0.5rem; flex-wrap: wrap; font-size: 0.875rem; }
+.share-actions a { border: 1px solid #d1d5db; border-radius: 8px; padding: 0.25rem 0.75rem; color: #374151; }
+.share-actions a:hover { border-color: #4f46e5; color: #4f46e5; text-decoration: none; }
+.share-layout { max-width: 1100px; margin: 0 auto; display: flex; gap: 2rem; align-items: flex-start; }
+.share-layout .page { flex: 1; min-width: 0; }
+.share-meta { color: #6b7280; font-size: 0.875rem; margin: -1rem 0 2rem; }
+.toc { position: sticky; top: 4.5rem; width: 240px; flex-shrink: 0; padding: 2.5rem 0 2.5rem 1.5rem; font-size: 0.875rem; }
+.toc-title { font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; font-size: 0.75rem; color: #6b7280; margin: 0 0 0.5rem; }
+.toc ul { list-style: none; padding: 0; margin: 0; }
+.toc li { margin: 0.35rem 0; }
+.toc a { color: #4b5563; }
+.toc .toc-level-2 { padding-left: 0.75rem; }
+.toc .toc-level-3 { padding-left: 1.5rem; }
+.share-footer { border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 0.875rem; padding: 1.5rem; }
+@media (max-width: 900px) { .share-layout { display: block; } .toc { position: static; width: auto; padding: 1.5rem 1.5rem 0; } }
+`;
+
+const NOT_FOUND_STYLES = `
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1f2937; text-align: center; padding: 4rem 1.5rem; }
+a { color: #4f46e5; }
+form { display: inline-flex; flex-direction: column; gap: 0.75rem; width: 100%; max-width: 320px; }
+input { border: 1px solid #d1d5db; border-radius: 8px; padding: 0.6rem 0.75rem; font-size: 1rem; }
+button { border: 0; border-radius: 8px; padding: 0.6rem 0.75rem; font-size: 1rem; background: #4f46e5; color: #fff; cursor: pointer; }
+.error { color: #dc2626; }
+`;
+
+// Days of daily view counts returned with a link's analytics
+const ANALYTICS_DAYS = 30;
+
+// How long an unlocked password-protected link stays unlocked, matching the share token
+export const SHARE_UNLOCK_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the name of the cookie holding the unlock token of a password-protected share
+ * @param {string} shareId - Public share ID
+ * @returns {string} Cookie name
+ */
+export const getShareCookieName = (shareId) => `share_${shareId}`;
+
+/**
+ * Get the reason a share link can no longer be opened
+ * @param {object|null} link - Share link, or null for links shared before link settings existed
+ * @param {Date} [now] - Current time
+ * @returns {string|null} 'revoked', 'expired' or 'view-limit', or null while the link works
+ */
+export const getShareLinkStatus = (link, now = new Date()) => {
+  if (!link) {
+    return null;
+  }
+  if (link.revokedAt) {
+    return 'revoked';
+  }
+  if (link.expiresAt && new Date(link.expiresAt) <= now) {
+    return 'expired';
+  }
+  if (link.maxViews && link.viewCount >= link.maxViews) {
+    return 'view-limit';
+  }
+  return null;
+};
+
+/**
+ * Get the key a view is counted under in a link's daily views
+ * @param {Date} [date] - Time of the view
+ * @returns {string} UTC date as YYYY-MM-DD
+ */
+export const getViewDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Summarize a share link for its owner, without the password hash
+ * @param {object} link - Share link document
+ * @param {Date} [now] - Current time
+ * @returns {object} Link settings, status and views per day for the last 30 days
+ */
+export const getShareLinkAnalytics = (link, now = new Date()) => {
+  const dailyViews =
+    link.dailyViews instanceof Map
+      ? link.dailyViews
+      : new Map(Object.entries(link.dailyViews || {}));
+  const days = [];
+  for (let i = ANALYTICS_DAYS - 1; i >= 0; i--) {
+    const day = getViewDay(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+    days.push({ day, views: dailyViews.get(day) || 0 });
+  }
+
+  return {
+    shareId: link.shareId,
+    hasPassword: Boolean(link.passwordHash),
+    expiresAt: link.expiresAt,
+    maxViews: link.maxViews,
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt,
+    revokedAt: link.revokedAt,
+    status: getShareLinkStatus(link, now) || 'active',
+    dailyViews: days,
+  };
+};
+
+/**
+ * Render a table of contents, indenting headings relative to the top level used
+ * @param {object[]} toc - Headings as { level, text, id }
+ * @returns {string} HTML, empty for pages with fewer than two headings
+ */
+const renderToc = (toc) => {
+  if (toc.length < 2) {
+    return '';
+  }
+
+  const topLevel = Math.min(...toc.map((heading) => heading.level));
+  const items = toc
+    .map((heading) => {
+      const depth = Math.min(heading.level - topLevel + 1, 3);
+      return `<li class="toc-level-${depth}"><a href="#${escapeHtml(toContentId(heading.id))}">${escapeHtml(heading.text)}</a></li>`;
+    })
+    .join('\n');
+  return `<nav class="toc" aria-label="Table of contents">\n<p class="toc-title">Contents</p>\n<ul>\n${items}\n</ul>\n</nav>`;
+};
+
+/**
+ * Render the meta tags describing a page to search engines and link previews
+ * @param {object} meta - Page metadata
+ * @param {string} meta.title - Page title
+ * @param {string} meta.description - Page summary
+ * @param {string} meta.url - Canonical URL
+ * @param {string} [meta.imageUrl] - Preview image
+ * @param {Date} [meta.createdAt] - Creation date
+ * @returns {string} HTML
+ */
+const renderMetaTags = (meta) => {
+  const { title, description, url, imageUrl, createdAt } = meta;
+  const tags = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', 'ZettaNote'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', imageUrl],
+    ['property', 'article:published_time', createdAt?.toISOString()],
+    ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+  ];
+
+  return [
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    ...tags
+      .filter(([, , content]) => content)
+      .map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeHtml(content)}">`),
+  ].join('\n');
+};
+
+/**
+ * Build the HTML document for a public share
+ * @param {object} options - Share page options
+ * @param {string} options.title - Page title
+ * @param {string} options.html - Rendered page content
+ * @param {object[]} options.toc - Headings as { level, text, id }
+ * @param {string} options.excerpt - Plain text summary
+ * @param {string} options.url - Canonical URL of the share
+ * @param {string} options.siteUrl - URL of the app
+ * @param {string} [options.imageUrl] - Preview image
+ * @param {Date} [options.createdAt] - Creation date
+ * @param {object[]} [options.downloads] - Download links as { label, href }
+ * @returns {string} HTML document
+ */
+export const buildShareDocument = (options) => {
+  const { title, html, toc, excerpt, url, siteUrl, imageUrl, createdAt, downloads = [] } = options;
+  const description = excerpt || `${title}, shared with ZettaNote`;
+  const actions = downloads
+    .map((download) => `<a href="${escapeHtml(download.href)}">${escapeHtml(download.label)}</a>`)
+    .join('\n');
+  const created = createdAt
+    ? `<p class="share-meta">Created ${escapeHtml(createdAt.toISOString().slice(0, 10))}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="ZettaNote">
+<title>${escapeHtml(title)} · ZettaNote</title>
+${renderMetaTags({ title, description, url, imageUrl, createdAt })}
+<style>${getExportStylesheet()}\n${SHARE_STYLES}</style>
+</head>
+<body>
+<header class="share-header">
+<div class="share-header-inner">
+<a class="share-brand" href="${escapeHtml(siteUrl)}">ZettaNote</a>
+<div class="share-actions">
+${actions}
+<a href="${escapeHtml(siteUrl)}">Try ZettaNote</a>
+</div>
+</div>
+</header>
+<div class="share-layout">
+<main class="page">
+<h1 class="page-title">${escapeHtml(title)}</h1>
+${created}
+<article>
+${html}
+</article>
+</main>
+${renderToc(toc)}
+</div>
+<footer class="share-footer">
+Shared with <a href="${escapeHtml(siteUrl)}">ZettaNote</a> · Create your own notes for free
+</footer>
+</body>
+</html>
+`;
+};
+
+/**
+ * Build the HTML document shown for missing or unshared pages
+ * @param {string} siteUrl - URL of the app
+ * @param {string} [message] - Explanation shown below the heading
+ * @returns {string} HTML document
+ */
+export const buildShareNotFoundDocument = (
+  siteUrl,
+  message = 'This page does not exist or is no longer shared.'
+) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Page not found · ZettaNote</title>
+<style>${NOT_FOUND_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>Page not found</h1>
+<p>${escapeHtml(message)}</p>
+<p><a href="${escapeHtml(siteUrl)}">Go to ZettaNote</a></p>
+</main>
+</body>
+</html>
+`;
+
+/**
+ * Build the HTML document asking for the password of a protected share
+ * @param {string} siteUrl - URL of the app
+ * @param {string} [error] - Message shown after a wrong password
+ * @returns {string} HTML document
+ */
+export const buildSharePasswordDocument = (siteUrl, error = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Password required · ZettaNote</title>
+<style>${NOT_FOUND_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>Password required</h1>
+<p>This page is password protected. Enter the password to view it.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+<input type="password" name="password" placeholder="Password" aria-label="Password" required autofocus>
+<button type="submit">View page</button>
+</form>
+<p><a href="${escapeHtml(siteUrl)}">Go to ZettaNote</a></p>
+</main>
+</body>
+</html>
+`;
+
+export default {
+  SHARE_UNLOCK_MAX_AGE,
+  getShareCookieName,
+  getShareLinkStatus,
+  getViewDay,
+  getShareLinkAnalytics,
+  buildShareDocument,
+  buildShareNotFoundDocument,
+  buildSharePasswordDocument,
+};
@@ -0,0 +1,124 @@
+// Matches #tags that start with a letter and aren't part of a word or a heading marker
+const HASHTAG_PATTERN = /(^|[^\w&#/])#([\p{L}][\p{L}\p{N}_/-]*)/gu;
+
+// Fenced and inline code can contain # characters that aren't tags
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+
+// Code or a hashtag, so hashtags can be rewritten without touching code
+const CODE_OR_HASHTAG_PATTERN = new RegExp(
+  `${CODE_PATTERN.source}|${HASHTAG_PATTERN.source}`,
+  'gu'
+);
+
+// Valid tag names, without the #; "/" separates nested tags such as projects/zetta
+export const TAG_NAME_PATTERN = /^[\p{L}][\p{L}\p{N}_/-]*$/u;
+
+/**
+ * Normalize a tag name
+ * @param {string} tag - Tag with or without the leading #
+ * @returns {string} Lowercase tag without the #
+ */
+export const normalizeTag = (tag = '') => tag.trim().replace(/^#/, '').toLowerCase();
+
+/**
+ * Strip separators a hashtag can't end with, e.g. the "-" in "#todo-"
+ * @param {string} tag - Raw tag text from the content
+ * @returns {string} Tag text without trailing separators
+ */
+const _trimHashtag = (tag) => tag.replace(/[/-]+$/, '');
+
+/**
+ * Check whether a tag is the given tag or nested below it
+ * @param {string} tag - Normalized tag
+ * @param {string} parentTag - Normalized parent tag
+ * @returns {boolean} True for the tag itself and its nested tags
+ */
+export const isTagOrChild = (tag, parentTag) =>
+  tag === parentTag || tag.startsWith(`${parentTag}/`);
+
+/**
+ * Extract the #hashtags used in a page's content
+ * @param {string} content - Page content
+ * @returns {string[]} Unique normalized tags
+ */
+export const extractHashtags = (content = '') => {
+  const tags = new Set();
+  const text = content.replace(CODE_PATTERN, ' ');
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    tags.add(normalizeTag(_trimHashtag(match[2])));
+  }
+  return [...tags];
+};
+
+/**
+ * Rename a #hashtag and its nested tags in a page's content, or turn it into plain text
+ * Renaming #ideas to #notes also turns #ideas/books into #notes/books. Code is left untouched.
+ * @param {string} content - Page content
+ * @param {string} oldTag - Normalized tag to rewrite
+ * @param {string|null} newTag - New tag name, or null to remove the # and keep the word
+ * @returns {object} Rewritten content and the number of hashtags changed
+ */
+export const rewriteHashtags = (content = '', oldTag, newTag) => {
+  let count = 0;
+
+  const rewritten = content.replace(CODE_OR_HASHTAG_PATTERN, (match, prefix, rawTag) => {
+    // Code spans and blocks don't capture the tag groups
+    if (rawTag === undefined) {
+      return match;
+    }
+    const tagText = _trimHashtag(rawTag);
+    const tag = normalizeTag(tagText);
+    const rest = rawTag.slice(tagText.length);
+
+    if (newTag === null) {
+      if (tag !== oldTag) {
+        return match;
+      }
+      count++;
+      return `${prefix}${tagText}${rest}`;
+    }
+
+    if (!isTagOrChild(tag, oldTag)) {
+      return match;
+    }
+    count++;
+    return `${prefix}#${newTag}${tag.slice(oldTag.length)}${rest}`;
+  });
+
+  return { content: rewritten, count };
+};
+
+/**
+ * Get all tags of a page, both assigned and #hashtags from its content
+ * @param {object} page - Page document
+ * @returns {string[]} Sorted unique tags
+ */
+export const getPageTags = (page) =>
+  [...new Set([...(page.tags || []), ...(page.hashtags || [])])].sort();
+
+/**
+ * Count how many pages use each tag
+ * @param {object[]} pages - Page list entries with a tags array
+ * @returns {object[]} Tags as { tag, count }, most used first
+ */
+export const countTags = (pages) => {
+  const counts = new Map();
+  for (const page of pages) {
+    for (const tag of page.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+export default {
+  TAG_NAME_PATTERN,
+  normalizeTag,
+  isTagOrChild,
+  extractHashtags,
+  rewriteHashtags,
+  getPageTags,
+  countTags,
+};
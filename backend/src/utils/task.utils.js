@@ -0,0 +1,190 @@
+import TaskModel from '../models/Task.model.js';
+import logger from './logger.js';
+import { getDueReminder } from './reminder.utils.js';
+import { getNextOccurrence } from './recurrence.utils.js';
+import { parseChecklistItems, findChecklistItem } from './checklist.utils.js';
+import {
+  sendTaskReminderEmail,
+  sendTaskOverdueEmail,
+} from '../controllers/v1/mailer.controller.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Send the reminders that are due for open tasks
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendDueTaskReminders = async (now = new Date()) => {
+  const tasks = await TaskModel.find({
+    isTaskCompleted: false,
+    taskDeadline: { $gt: now },
+    $or: [
+      { nextReminderAt: { $lte: now } },
+      // Tasks saved before reminder times were stored
+      {
+        nextReminderAt: { $exists: false },
+        taskDeadline: { $lte: new Date(now.getTime() + 60 * MINUTE_MS) },
+      },
+    ],
+  }).populate('owner');
+
+  let sent = 0;
+  for (const task of tasks) {
+    const reminder = getDueReminder(task, now);
+    if (!reminder || !task.owner) {
+      continue;
+    }
+
+    logger.info(
+      `Sending ${reminder.timeUntil} reminder for task: ${task.taskName} to user: ${task.owner.email}`
+    );
+    const emailResult = await sendTaskReminderEmail(task, reminder.timeUntil);
+    if (emailResult.success) {
+      task.remindersSent = [...(task.remindersSent ?? []), ...reminder.offsets];
+      await task.save();
+      sent++;
+    }
+  }
+  return sent;
+};
+
+/**
+ * Send a reminder for each open task that passed its deadline
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendOverdueTaskReminders = async (now = new Date()) => {
+  const tasks = await TaskModel.find({
+    taskDeadline: { $lt: now },
+    isTaskCompleted: false,
+    overdueReminderSent: false,
+  }).populate('owner');
+
+  let sent = 0;
+  for (const task of tasks) {
+    if (!task.owner) {
+      continue;
+    }
+
+    logger.info(`Sending overdue reminder for task: ${task.taskName} to user: ${task.owner.email}`);
+    const emailResult = await sendTaskOverdueEmail(task);
+    if (emailResult.success) {
+      await TaskModel.findByIdAndUpdate(task._id, { overdueReminderSent: true });
+      sent++;
+    }
+  }
+  return sent;
+};
+
+/**
+ * Create the next occurrence of a completed recurring task, with fresh copies of its subtasks
+ * moved by the same amount of time. Does nothing if the series has ended or the next
+ * occurrence was already created, e.g. when a task is completed again after being reopened.
+ * @param {object} task - Completed task document
+ * @returns {Promise<object|null>} The new task, null when none was created
+ */
+export const spawnNextOccurrence = async (task) => {
+  if (!task.recurrence || !task.taskDeadline || task.nextOccurrenceId) {
+    return null;
+  }
+
+  const next = getNextOccurrence(task.recurrence, task.taskDeadline, {
+    occurrence: task.occurrence ?? 1,
+    after: new Date(),
+  });
+  if (!next) {
+    return null;
+  }
+
+  const nextTask = new TaskModel({
+    taskName: task.taskName,
+    taskDescription: task.taskDescription,
+    owner: task.owner,
+    taskDeadline: next.deadline,
+    parentTaskId: task.parentTaskId,
+    recurrence: task.recurrence,
+    occurrence: next.occurrence,
+    reminderOffsets: task.reminderOffsets,
+    createdAt: Date.now(),
+  });
+  await nextTask.save();
+
+  const shift = next.deadline.getTime() - new Date(task.taskDeadline).getTime();
+  const subtasks = await TaskModel.find({ parentTaskId: task._id, owner: task.owner });
+  await Promise.all(
+    subtasks.map((subtask) =>
+      new TaskModel({
+        taskName: subtask.taskName,
+        taskDescription: subtask.taskDescription,
+        owner: subtask.owner,
+        taskDeadline: subtask.taskDeadline
+          ? new Date(new Date(subtask.taskDeadline).getTime() + shift)
+          : null,
+        parentTaskId: nextTask._id,
+        reminderOffsets: subtask.reminderOffsets,
+        createdAt: Date.now(),
+      }).save()
+    )
+  );
+
+  task.nextOccurrenceId = nextTask._id;
+  await task.save();
+
+  logger.info(`Created occurrence ${next.occurrence} of recurring task ${task._id}`);
+  return nextTask;
+};
+
+/**
+ * Bring the tasks linked to a page's checklist items in line with its saved content: ticking
+ * an item completes its task, unticking reopens it, and moved or edited items are followed
+ * @param {object} page - Page document with its new content
+ * @returns {Promise<number>} Number of tasks updated
+ */
+export const syncChecklistTasks = async (page) => {
+  const tasks = await TaskModel.find({ pageId: page._id });
+  if (!tasks.length) {
+    return 0;
+  }
+
+  const items = parseChecklistItems(page.pageData);
+  let updated = 0;
+  for (const task of tasks) {
+    const item = findChecklistItem(items, { line: task.pageLine, text: task.pageLineText });
+    if (
+      !item ||
+      (item.line === task.pageLine &&
+        item.text === task.pageLineText &&
+        item.checked === task.isTaskCompleted)
+    ) {
+      continue;
+    }
+
+    // Tasks still named after their item follow edits to its text
+    if (task.taskName === task.pageLineText) {
+      task.taskName = item.text.slice(0, 200);
+    }
+    task.pageLine = item.line;
+    task.pageLineText = item.text;
+
+    const completed = item.checked && !task.isTaskCompleted;
+    if (item.checked !== task.isTaskCompleted) {
+      task.isTaskCompleted = item.checked;
+      task.completedAt = item.checked ? new Date() : null;
+    }
+    await task.save();
+    updated++;
+
+    if (completed) {
+      await spawnNextOccurrence(task);
+    }
+  }
+  return updated;
+};
+
+export default {
+  sendDueTaskReminders,
+  sendOverdueTaskReminders,
+  spawnNextOccurrence,
+  syncChecklistTasks,
+};
@@ -0,0 +1,65 @@
+// Matches {{variable}} placeholders, allowing spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Check whether a time zone name is supported, e.g. "Europe/Berlin"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if dates can be formatted in the time zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the values of the template variables available when creating a page
+ * @param {object} context - Creation context
+ * @param {string} context.title - Name of the page being created
+ * @param {object} context.user - User creating the page
+ * @param {Date} [context.now] - Creation time
+ * @param {string} [context.timeZone] - Time zone for dates and times, defaults to UTC
+ * @returns {object} Values by variable name
+ */
+export const getTemplateVariables = ({ title, user, now = new Date(), timeZone = 'UTC' }) => {
+  const part = (options) => new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(now);
+  // en-CA formats dates as YYYY-MM-DD
+  const date = new Intl.DateTimeFormat('en-CA', { timeZone }).format(now);
+  const time = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(now);
+
+  return {
+    title,
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: part({ weekday: 'long' }),
+    month: part({ month: 'long' }),
+    year: part({ year: 'numeric' }),
+    'user.name': user?.name || '',
+    'user.email': user?.email || '',
+  };
+};
+
+/**
+ * Replace the {{variables}} in a template; unknown variables are left as written
+ * @param {string} content - Template content
+ * @param {object} variables - Values by variable name, see getTemplateVariables
+ * @returns {string} Expanded content
+ */
+export const expandTemplateVariables = (content = '', variables) =>
+  content.replace(VARIABLE_PATTERN, (placeholder, name) =>
+    Object.hasOwn(variables, name) ? variables[name] : placeholder
+  );
+
+export default {
+  isValidTimeZone,
+  getTemplateVariables,
+  expandTemplateVariables,
+};
@@ -2,21 +2,25 @@ import jsonwebtoken from 'jsonwebtoken';
 import config from '../config/index.js';
 import User from '../models/User.model.js';
 import AdminAccount from '../models/AdminAccount.model.js';
+import Session from '../models/Session.model.js';
 
 /**
- * Generate JWT token for regular users
+ * Generate JWT access token for regular users
  * @param {object} user - User object
  * @param {object} options - Token options
+ * @param {string} options.sessionId - Session the token belongs to; ending it revokes the token
+ * @param {string} options.expiresIn - Lifetime, defaults to the configured access token minutes
  * @returns {string} JWT token
  */
 export const generateToken = (user, options = {}) => {
   return jsonwebtoken.sign(
     {
       id: user._id,
+      sid: String(options.sessionId),
       type: 'user',
     },
     config.jwt.secret,
-    { expiresIn: options.expiresIn || config.jwt.expiresIn }
+    { expiresIn: options.expiresIn || `${config.jwt.accessTokenMinutes}m` }
   );
 };
 
@@ -38,6 +42,79 @@ export const generateAdminToken = (admin, options = {}) => {
   );
 };
 
+/**
+ * Generate a token proving that a password-protected share link was unlocked
+ * @param {object} link - Share link document
+ * @param {object} options - Token options
+ * @returns {string} JWT token
+ */
+export const generateShareToken = (link, options = {}) => {
+  return jsonwebtoken.sign(
+    {
+      shareId: link.shareId,
+      version: link.passwordVersion,
+      type: 'share',
+    },
+    config.jwt.secret,
+    { expiresIn: options.expiresIn || '1d' }
+  );
+};
+
+/**
+ * Verify a share token against the link's current password
+ * @param {string} token - JWT token
+ * @param {object} link - Share link document
+ * @returns {boolean} True if the token unlocks the link
+ */
+export const verifyShareToken = (token, link) => {
+  try {
+    const decoded = jsonwebtoken.verify(token, config.jwt.secret);
+    return (
+      decoded.type === 'share' &&
+      decoded.shareId === link.shareId &&
+      decoded.version === link.passwordVersion
+    );
+    // eslint-disable-next-line no-unused-vars
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Generate a token proving that the password of an account with two-factor authentication
+ * was checked, to be exchanged for a session along with a code
+ * @param {object} account - User or admin document
+ * @param {string} accountType - 'user' or 'admin'
+ * @returns {string} JWT token, valid for 5 minutes
+ */
+export const generateTwoFactorToken = (account, accountType) => {
+  return jsonwebtoken.sign(
+    {
+      id: account._id,
+      accountType,
+      type: 'two-factor',
+    },
+    config.jwt.secret,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Read the account a two-factor token was issued for
+ * @param {string} token - JWT token
+ * @param {string} accountType - 'user' or 'admin'
+ * @returns {string|null} Account ID, or null if the token is invalid or expired
+ */
+export const readTwoFactorToken = (token, accountType) => {
+  try {
+    const decoded = jsonwebtoken.verify(token, config.jwt.secret);
+    return decoded.type === 'two-factor' && decoded.accountType === accountType ? decoded.id : null;
+    // eslint-disable-next-line no-unused-vars
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Verify user token and return user object
  * @param {string} token - JWT token
@@ -47,12 +124,31 @@ export const verifyToken = async (token) => {
   try {
     const decoded = jsonwebtoken.verify(token, config.jwt.secret);
 
-    if (decoded.type !== 'user') {
+    // Tokens from before sessions existed carry no session and can't be revoked
+    if (decoded.type !== 'user' || !decoded.sid) {
       return null;
     }
 
-    const user = await User.findById(decoded.id);
-    return user || null;
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id),
+      Session.exists({ _id: decoded.sid, user: decoded.id }),
+    ]);
+    return user && session ? user : null;
+    // eslint-disable-next-line no-unused-vars
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the session a user token belongs to, without checking that the session still exists
+ * @param {string} token - JWT token
+ * @returns {string|null} Session ID or null
+ */
+export const getTokenSessionId = (token) => {
+  try {
+    const decoded = jsonwebtoken.verify(token, config.jwt.secret);
+    return decoded.type === 'user' ? decoded.sid || null : null;
     // eslint-disable-next-line no-unused-vars
   } catch (error) {
     return null;
@@ -110,7 +206,12 @@ export const extractTokenFromHeader = (req) => {
 export default {
   generateToken,
   generateAdminToken,
+  generateShareToken,
+  verifyShareToken,
+  generateTwoFactorToken,
+  readTwoFactorToken,
   verifyToken,
+  getTokenSessionId,
   verifyAdminToken,
   extractTokenFromCookie,
   extractTokenFromHeader,
@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults, the only settings most authenticator apps support
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// Steps either side of the current one still accepted, for clock drift between devices
+export const TOTP_WINDOW = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect secrets in
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const encodeBase32 = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const decodeBase32 = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} 160-bit secret as base32
+ */
+export const generateTotpSecret = () => encodeBase32(crypto.randomBytes(20));
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Time step
+ */
+export const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Get the code of a time step (RFC 4226 HOTP over the step counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+export const getTotpCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the code an authenticator app shows at a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} Zero-padded code
+ */
+export const getTotpCode = (secret, time = Date.now()) =>
+  getTotpCodeForStep(secret, getTotpStep(time));
+
+/**
+ * Find the time step a code belongs to, within the accepted window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number|null} Matching time step, or null if the code is wrong or expired
+ */
+export const matchTotpStep = (secret, code, time = Date.now()) => {
+  if (!secret || !/^\d+$/.test(code) || code.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const current = getTotpStep(time);
+  const expected = Buffer.from(code);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(getTotpCodeForStep(secret, step)), expected)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps import secrets from, usually through a QR code
+ * @param {object} options - URI options
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {string} options.account - Account name shown in the app, like the email
+ * @param {string} options.secret - Base32 secret
+ * @returns {string} otpauth URI
+ */
+export const getOtpauthUri = ({ issuer, account, secret }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Normalize a code typed by the user, dropping spaces and dashes
+ * @param {string} code - Code as typed
+ * @returns {string} Normalized code
+ */
+export const normalizeTwoFactorCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[\s-]/g, '');
+
+/**
+ * Tell an authenticator code from a recovery code
+ * @param {string} code - Normalized code
+ * @returns {boolean} True for an authenticator code
+ */
+export const isTotpCode = (code) => /^\d+$/.test(code) && code.length === TOTP_DIGITS;
+
+/**
+ * Hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code, as typed or as generated
+ * @returns {string} Hex SHA-256 hash
+ */
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeTwoFactorCode(code)).digest('hex');
+
+/**
+ * Generate one-time recovery codes, shown to the user once and stored hashed
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Codes like "3f9a2-c41b7"
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+export default {
+  TOTP_PERIOD_SECONDS,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  RECOVERY_CODE_COUNT,
+  encodeBase32,
+  decodeBase32,
+  generateTotpSecret,
+  getTotpStep,
+  getTotpCodeForStep,
+  getTotpCode,
+  matchTotpStep,
+  getOtpauthUri,
+  normalizeTwoFactorCode,
+  isTotpCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
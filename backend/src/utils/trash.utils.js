@@ -0,0 +1,114 @@
+import Page from '../models/Page.model.js';
+import User from '../models/User.model.js';
+import Comment from '../models/Comment.model.js';
+import config from '../config/index.js';
+import logger from './logger.js';
+import { safeRedisCall } from '../config/redis.js';
+import { updateImageReferences, getContentImageIds } from './image.utils.js';
+import { deletePageVersions } from './version.utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the date a trashed page will be purged
+ * @param {Date} deletedAt - When the page was moved to the trash
+ * @returns {Date} Purge date
+ */
+export const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + config.trash.retentionDays * DAY_MS);
+
+/**
+ * Invalidate the cached page and page lists of everyone with access to a page
+ * @param {object} page - Page document
+ * @returns {void}
+ */
+export const invalidatePageCaches = async (page) => {
+  await Promise.all([
+    safeRedisCall('del', `page:${page._id}`),
+    safeRedisCall('del', `user:${page.owner}:ownedPages`),
+    ...(page.sharedTo || []).map((userId) => safeRedisCall('del', `user:${userId}:sharedPages`)),
+  ]);
+};
+
+/**
+ * Permanently delete a page along with its versions and image references
+ * @param {object} page - Page document
+ * @returns {boolean} True if the page was deleted
+ */
+export const purgePage = async (page) => {
+  const pageId = page._id;
+  const pageImageIds = getContentImageIds(page.pageData);
+
+  const { deletedCount } = await Page.deleteOne({ _id: pageId });
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  // Remove the page from its owner and everyone it was shared with
+  await Promise.all([
+    User.updateOne({ _id: page.owner }, { $pull: { pages: pageId } }),
+    User.updateMany({ sharedPages: pageId }, { $pull: { sharedPages: pageId } }),
+  ]);
+
+  // Drop the page's version history
+  try {
+    await deletePageVersions(pageId);
+  } catch (versionError) {
+    logger.error('Error deleting page versions:', versionError);
+  }
+
+  // Drop the page's comment threads
+  try {
+    await Comment.deleteMany({ page: pageId });
+  } catch (commentError) {
+    logger.error('Error deleting page comments:', commentError);
+  }
+
+  // Handle image cleanup - remove references and mark for deletion if no longer used
+  if (pageImageIds.length > 0) {
+    try {
+      await updateImageReferences(pageId, [], pageImageIds);
+      logger.info(`Marked ${pageImageIds.length} images for cleanup after page purge: ${pageId}`);
+    } catch (imageError) {
+      logger.error('Error cleaning up images after page purge:', imageError);
+    }
+  }
+
+  await invalidatePageCaches(page);
+  return true;
+};
+
+/**
+ * Permanently delete pages that have been in the trash longer than the retention period
+ * @param {number} batchSize - Maximum number of pages to purge in one run
+ * @returns {object} Purge results with purgedCount, failedCount, totalProcessed
+ */
+export const purgeExpiredTrash = async (batchSize = 100) => {
+  const cutoff = new Date(Date.now() - config.trash.retentionDays * DAY_MS);
+  const expiredPages = await Page.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .sort({ deletedAt: 1 })
+    .limit(batchSize);
+
+  let purgedCount = 0;
+  let failedCount = 0;
+
+  for (const page of expiredPages) {
+    try {
+      if (await purgePage(page)) {
+        purgedCount++;
+      }
+    } catch (error) {
+      failedCount++;
+      logger.error(`Failed to purge trashed page ${page._id}:`, error);
+    }
+  }
+
+  return { purgedCount, failedCount, totalProcessed: expiredPages.length };
+};
+
+export default {
+  getPurgeDate,
+  invalidatePageCaches,
+  purgePage,
+  purgeExpiredTrash,
+};
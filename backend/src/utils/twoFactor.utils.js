@@ -0,0 +1,133 @@
+import SystemSettings from '../models/SystemSettings.model.js';
+import {
+  generateTotpSecret,
+  matchTotpStep,
+  getOtpauthUri,
+  normalizeTwoFactorCode,
+  isTotpCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} from './totp.utils.js';
+
+/**
+ * Give an account a new secret to add to an authenticator app. Two-factor authentication
+ * stays off until a code from the app is confirmed with completeTwoFactorSetup.
+ * @param {object} account - User or admin document, saved by the caller
+ * @param {string} issuer - Service name shown in the app
+ * @returns {object} { secret, otpauthUri }
+ */
+export const beginTwoFactorSetup = (account, issuer) => {
+  const secret = generateTotpSecret();
+  account.twoFactorSecret = secret;
+  account.twoFactorLastStep = null;
+  return { secret, otpauthUri: getOtpauthUri({ issuer, account: account.email, secret }) };
+};
+
+/**
+ * Replace the recovery codes of an account
+ * @param {object} account - User or admin document, saved by the caller
+ * @returns {Array<string>} New codes, to show the user once
+ */
+export const resetRecoveryCodes = (account) => {
+  const codes = generateRecoveryCodes();
+  account.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Turn two-factor authentication on once the user proves their app shows the right codes
+ * @param {object} account - User or admin document, saved by the caller
+ * @param {string} code - Code from the authenticator app
+ * @returns {Array<string>|null} Recovery codes, or null if the code is wrong
+ */
+export const completeTwoFactorSetup = (account, code) => {
+  const step = matchTotpStep(account.twoFactorSecret, normalizeTwoFactorCode(code));
+  if (step === null) {
+    return null;
+  }
+
+  account.twoFactorEnabled = true;
+  account.twoFactorLastStep = step;
+  return resetRecoveryCodes(account);
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret
+ * @param {object} account - User or admin document, saved by the caller
+ * @returns {void}
+ */
+export const clearTwoFactor = (account) => {
+  account.twoFactorEnabled = false;
+  account.twoFactorSecret = null;
+  account.twoFactorRecoveryCodes = [];
+  account.twoFactorLastStep = null;
+};
+
+/**
+ * Check a code from the authenticator app or a recovery code, using it up.
+ * Both are claimed with a conditional update, so two requests can't use the same code.
+ * @param {object} Model - User or AdminAccount model
+ * @param {object} account - Document of the account signing in
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null if the code was rejected
+ */
+export const consumeTwoFactorCode = async (Model, account, code) => {
+  const normalized = normalizeTwoFactorCode(code);
+  if (!account.twoFactorEnabled || !normalized) {
+    return null;
+  }
+
+  if (isTotpCode(normalized)) {
+    const step = matchTotpStep(account.twoFactorSecret, normalized);
+    if (step === null) {
+      return null;
+    }
+    const { modifiedCount } = await Model.updateOne(
+      {
+        _id: account._id,
+        $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+      },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return modifiedCount ? 'totp' : null;
+  }
+
+  const hash = hashRecoveryCode(normalized);
+  const { modifiedCount } = await Model.updateOne(
+    { _id: account._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return modifiedCount ? 'recovery' : null;
+};
+
+/**
+ * Get the admin roles that must use two-factor authentication
+ * @returns {Promise<Array<string>>} Roles
+ */
+export const getTwoFactorRequiredRoles = async () => {
+  const settings = await SystemSettings.getSettings();
+  return settings.twoFactorRequiredRoles;
+};
+
+/**
+ * Check whether an admin still has to set up two-factor authentication for their role
+ * @param {object} admin - Admin document
+ * @returns {Promise<boolean>} True if the admin must set it up before using the portal
+ */
+export const needsTwoFactorSetup = async (admin) => {
+  if (admin.twoFactorEnabled) {
+    return false;
+  }
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(admin.role);
+};
+
+export default {
+  beginTwoFactorSetup,
+  resetRecoveryCodes,
+  completeTwoFactorSetup,
+  clearTwoFactor,
+  consumeTwoFactorCode,
+  getTwoFactorRequiredRoles,
+  needsTwoFactorSetup,
+};
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { RECURRENCE_FREQUENCIES } from './recurrence.utils.js';
+import { MAX_REMINDER_OFFSET, MAX_REMINDER_OFFSETS } from './reminder.utils.js';
 
 /**
  * Email validator schema
@@ -60,6 +62,114 @@ export const changePasswordSchema = z.object({
   newPassword: passwordSchema,
 });
 
+/**
+ * Email verification validation schema
+ */
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1, { message: 'Token is required' }),
+});
+
+/**
+ * Forgot password validation schema
+ */
+export const forgotPasswordSchema = z.object({
+  email: emailSchema,
+});
+
+/**
+ * Reset password validation schema
+ */
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1, { message: 'Token is required' }),
+  newPassword: passwordSchema,
+});
+
+/**
+ * Two-factor code validator schema, for authenticator and recovery codes
+ */
+export const twoFactorCodeSchema = z
+  .string()
+  .trim()
+  .min(1, { message: 'Code is required' })
+  .max(32, { message: 'Invalid code' });
+
+/**
+ * Two-factor login validation schema
+ */
+export const twoFactorLoginSchema = z.object({
+  twoFactorToken: z.string().min(1, { message: 'Two-factor token is required' }),
+  code: twoFactorCodeSchema,
+});
+
+/**
+ * Two-factor code confirmation validation schema
+ */
+export const twoFactorConfirmSchema = z.object({
+  code: twoFactorCodeSchema,
+});
+
+/**
+ * Disable two-factor validation schema
+ */
+export const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, { message: 'Password is required' }),
+  code: twoFactorCodeSchema,
+});
+
+// Largest avatar accepted, in bytes of the decoded image
+export const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+/**
+ * User display name validator schema
+ */
+export const userNameSchema = z
+  .string()
+  .trim()
+  .min(1, { message: 'Name is required' })
+  .max(50, { message: 'Name must be less than 50 characters' });
+
+/**
+ * Update username validation schema
+ */
+export const updateUsernameSchema = z.object({
+  name: userNameSchema,
+});
+
+/**
+ * Avatar validation schema, for a base64 data URL of a PNG, JPEG or WebP image
+ */
+export const avatarSchema = z.object({
+  base64Avatar: z
+    .string()
+    .regex(/^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+={0,2}$/, {
+      message: 'Avatar must be a PNG, JPEG or WebP image',
+    })
+    .refine(
+      (val) => Math.floor(((val.length - val.indexOf(',') - 1) * 3) / 4) <= MAX_AVATAR_BYTES,
+      {
+        message: 'Avatar must be at most 2 MB',
+      }
+    ),
+});
+
+/**
+ * Email change validation schema
+ */
+export const changeEmailSchema = z.object({
+  newEmail: emailSchema,
+  password: z.string().min(1, { message: 'Password is required' }),
+});
+
+/**
+ * Account deletion validation schema. Accounts with a password confirm with it, the others
+ * by typing their email; accounts with two-factor authentication also give a code.
+ */
+export const deleteAccountSchema = z.object({
+  password: z.string().optional(),
+  confirmEmail: z.string().trim().optional(),
+  code: twoFactorCodeSchema.optional(),
+});
+
 /**
  * Create page validation schema
  */
@@ -91,11 +201,69 @@ export const taskDeadlineSchema = z
   .or(z.null())
   .optional();
 
+// Either an RRULE string like FREQ=WEEKLY;BYDAY=MO,WE or the same rule as an object
+export const taskRecurrenceSchema = z
+  .string()
+  .max(200, { message: 'Recurrence rule must be less than 200 characters' })
+  .or(
+    z.object({
+      freq: z.enum(RECURRENCE_FREQUENCIES, { message: 'Invalid recurrence frequency' }),
+      interval: z
+        .number()
+        .int()
+        .min(1, { message: 'Recurrence interval must be at least 1' })
+        .optional(),
+      byWeekday: z
+        .array(z.number().int().min(0).max(6, { message: 'Invalid recurrence day' }))
+        .optional(),
+      until: z
+        .string()
+        .datetime({ message: 'Invalid recurrence end date' })
+        .or(z.null())
+        .optional(),
+      count: z
+        .number()
+        .int()
+        .min(1, { message: 'Recurrence count must be at least 1' })
+        .or(z.null())
+        .optional(),
+    })
+  )
+  .or(z.null())
+  .optional();
+
+// Minutes before the deadline to send reminders at
+export const taskReminderOffsetsSchema = z
+  .array(
+    z
+      .number()
+      .int()
+      .min(1, { message: 'Reminders must be at least 1 minute before the deadline' })
+      .max(MAX_REMINDER_OFFSET, {
+        message: 'Reminders can be at most 30 days before the deadline',
+      })
+  )
+  .max(MAX_REMINDER_OFFSETS, {
+    message: `A task can have at most ${MAX_REMINDER_OFFSETS} reminders`,
+  })
+  .optional();
+
+// Line of the checklist item a task is linked to, counted from 0
+export const taskPageLineSchema = z
+  .number()
+  .int()
+  .min(0, { message: 'Invalid checklist line' })
+  .optional();
+
 export const createTaskSchema = z.object({
   taskName: taskNameSchema,
   taskDescription: taskDescriptionSchema,
   taskDeadline: taskDeadlineSchema,
   parentTaskId: objectIdSchema.optional(),
+  recurrence: taskRecurrenceSchema,
+  reminderOffsets: taskReminderOffsetsSchema,
+  pageId: objectIdSchema.optional(),
+  pageLine: taskPageLineSchema,
 });
 
 export const updateTaskSchema = z.object({
@@ -104,6 +272,10 @@ export const updateTaskSchema = z.object({
   taskDescription: taskDescriptionSchema,
   taskDeadline: taskDeadlineSchema,
   isTaskCompleted: z.boolean().optional(),
+  recurrence: taskRecurrenceSchema,
+  reminderOffsets: taskReminderOffsetsSchema,
+  pageId: objectIdSchema.or(z.null()).optional(),
+  pageLine: taskPageLineSchema,
 });
 
 export const getTaskIdSchema = z.object({
@@ -114,6 +286,53 @@ export const toggleTaskCompletionSchema = z.object({
   taskId: objectIdSchema,
 });
 
+/**
+ * Template validation schemas
+ */
+export const templateNameSchema = z
+  .string()
+  .trim()
+  .min(1, { message: 'Template name is required' })
+  .max(100, { message: 'Template name must be less than 100 characters' });
+
+export const templateDescriptionSchema = z
+  .string()
+  .trim()
+  .max(300, { message: 'Template description must be less than 300 characters' })
+  .optional();
+
+export const createTemplateSchema = z.object({
+  templateName: templateNameSchema,
+  templateData: z.string().optional(),
+  description: templateDescriptionSchema,
+  isPublic: z.boolean().optional(),
+});
+
+export const createTemplateFromPageSchema = z.object({
+  pageId: objectIdSchema,
+  templateName: templateNameSchema.optional(),
+  description: templateDescriptionSchema,
+  isPublic: z.boolean().optional(),
+});
+
+export const updateTemplateSchema = z.object({
+  templateId: objectIdSchema,
+  templateName: templateNameSchema.optional(),
+  templateData: z.string().optional(),
+  description: templateDescriptionSchema,
+  isPublic: z.boolean().optional(),
+});
+
+export const getTemplateIdSchema = z.object({
+  templateId: objectIdSchema,
+});
+
+export const browseTemplatesSchema = z.object({
+  query: z.string().trim().max(100, { message: 'Search query is too long' }).optional(),
+  page: z.number().int().min(1).optional(),
+  limit: z.number().int().min(1).max(50).optional(),
+});
+
 /**
  * Validate input against schema
  * @param {z.ZodSchema} schema - Zod schema to validate against
@@ -124,7 +343,7 @@ export const validate = (schema, data) => {
   const result = schema.safeParse(data);
 
   if (!result.success) {
-    const errors = result.error.errors.map((err) => ({
+    const errors = result.error.issues.map((err) => ({
       field: err.path.join('.'),
       message: err.message,
     }));
@@ -150,6 +369,18 @@ export default {
   signupSchema,
   loginSchema,
   changePasswordSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorConfirmSchema,
+  disableTwoFactorSchema,
+  userNameSchema,
+  updateUsernameSchema,
+  avatarSchema,
+  changeEmailSchema,
+  deleteAccountSchema,
   createPageSchema,
   updatePageSchema,
   validate,
@@ -0,0 +1,104 @@
+import PageVersion from '../models/PageVersion.model.js';
+import logger from './logger.js';
+
+/**
+ * Number of snapshots kept per page before the oldest are pruned
+ */
+export const MAX_VERSIONS_PER_PAGE = 100;
+
+/**
+ * Store a snapshot of a page's current content in its version history
+ * Consecutive saves with identical content are collapsed into one version
+ * @param {object} page - Page document after the new content has been applied
+ * @param {string} authorId - ID of the user who made the change
+ * @param {object} [options] - Extra snapshot options
+ * @param {string} [options.restoredFrom] - ID of the version being restored, if any
+ * @returns {object|null} Created version document or null if nothing changed
+ */
+export const snapshotPageVersion = async (page, authorId, { restoredFrom = null } = {}) => {
+  const pageData = page.pageData || '';
+
+  const latest = await PageVersion.findOne({ page: page._id }, { pageData: 1 })
+    .sort({ createdAt: -1 })
+    .lean();
+  if (latest && latest.pageData === pageData && !restoredFrom) {
+    return null;
+  }
+
+  const version = await PageVersion.create({
+    page: page._id,
+    pageData,
+    author: authorId,
+    size: Buffer.byteLength(pageData, 'utf8'),
+    restoredFrom,
+  });
+
+  await pruneOldVersions(page._id);
+
+  return version;
+};
+
+/**
+ * Keep a page's current content as its first version before a save overwrites it. Pages
+ * written before version history existed have none, and the first save to them couldn't be
+ * undone otherwise. Failures are logged rather than failing the save.
+ * @param {object} page - Page document before the new content is applied
+ * @returns {object|null} Created version document or null if the page already has versions
+ */
+export const preserveUnversionedContent = async (page) => {
+  const pageData = page.pageData || '';
+  try {
+    if (!pageData || (await PageVersion.exists({ page: page._id }))) {
+      return null;
+    }
+
+    return await PageVersion.create({
+      page: page._id,
+      pageData,
+      author: page.owner,
+      size: Buffer.byteLength(pageData, 'utf8'),
+    });
+  } catch (error) {
+    logger.error('Error preserving unversioned page content:', error);
+    return null;
+  }
+};
+
+/**
+ * Delete versions beyond MAX_VERSIONS_PER_PAGE for a page, oldest first
+ * @param {string} pageId - ID of the page
+ * @returns {number} Number of versions deleted
+ */
+export const pruneOldVersions = async (pageId) => {
+  const stale = await PageVersion.find({ page: pageId }, { _id: 1 })
+    .sort({ createdAt: -1 })
+    .skip(MAX_VERSIONS_PER_PAGE)
+    .lean();
+  if (stale.length === 0) {
+    return 0;
+  }
+
+  const { deletedCount } = await PageVersion.deleteMany({
+    _id: { $in: stale.map((version) => version._id) },
+  });
+  logger.info(`Pruned ${deletedCount} old versions for page ${pageId}`);
+  return deletedCount;
+};
+
+/**
+ * Delete the entire version history of a page
+ * @param {string} pageId - ID of the page
+ * @returns {number} Number of versions deleted
+ */
+export const deletePageVersions = async (pageId) => {
+  const { deletedCount } = await PageVersion.deleteMany({ page: pageId });
+  return deletedCount;
+};
+
+export default {
+  MAX_VERSIONS_PER_PAGE,
+  snapshotPageVersion,
+  preserveUnversionedContent,
+  pruneOldVersions,
+  deletePageVersions,
+};
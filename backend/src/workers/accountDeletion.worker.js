@@ -0,0 +1,88 @@
+/**
+ * Account Deletion Worker
+ * @description BullMQ worker for deleting accounts along with their pages, tasks and images
+ */
+
+import { Worker } from 'bullmq';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { deleteAccountData } from '../utils/account.utils.js';
+
+/**
+ * Redis connection configuration
+ */
+const redisConnection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  maxRetriesPerRequest: null,
+};
+
+/**
+ * Process account deletion job
+ * @param {object} job - BullMQ job
+ * @returns {object} Counts of what was removed, or null if the deletion was no longer pending
+ */
+const processAccountDeletion = async (job) => {
+  const { userId } = job.data;
+
+  logger.info('Processing account deletion', {
+    jobId: job.id,
+    userId,
+    attemptsMade: job.attemptsMade,
+  });
+
+  try {
+    const summary = await deleteAccountData(userId);
+    if (!summary) {
+      logger.info('Account deletion skipped, no deletion pending', { jobId: job.id, userId });
+    }
+    return summary;
+  } catch (error) {
+    logger.error('Account deletion failed', {
+      jobId: job.id,
+      userId,
+      error: error.message,
+      attemptsMade: job.attemptsMade,
+    });
+    throw error; // Will trigger retry if attempts remain
+  }
+};
+
+/**
+ * Create and start the account deletion worker
+ * @returns {Worker} BullMQ worker instance
+ */
+export const createAccountDeletionWorker = () => {
+  const worker = new Worker('account-deletion', processAccountDeletion, {
+    connection: redisConnection,
+    concurrency: 1, // Deletions touch many documents, run them one at a time
+  });
+
+  // Event handlers
+  worker.on('completed', (job, result) => {
+    logger.info('Account deletion job completed', {
+      jobId: job.id,
+      userId: job.data.userId,
+      ...result,
+      duration: job.processedOn ? Date.now() - job.processedOn : 'N/A',
+    });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Account deletion job failed', {
+      jobId: job?.id,
+      userId: job?.data?.userId,
+      error: err.message,
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Account deletion worker error:', err);
+  });
+
+  logger.info('✅ Account deletion worker started');
+  return worker;
+};
+
+export default createAccountDeletionWorker;
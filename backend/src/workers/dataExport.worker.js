@@ -0,0 +1,95 @@
+/**
+ * Data Export Worker
+ * @description BullMQ worker for building personal data exports and purging expired ones
+ */
+
+import { Worker } from 'bullmq';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { buildDataExport, purgeExpiredDataExports } from '../utils/dataExport.utils.js';
+
+/**
+ * Redis connection configuration
+ */
+const redisConnection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  maxRetriesPerRequest: null,
+};
+
+/**
+ * Process data export job
+ * @param {object} job - BullMQ job
+ * @returns {object} Export or purge result
+ */
+const processDataExport = async (job) => {
+  if (job.name === 'purge-expired-exports') {
+    const purgedCount = await purgeExpiredDataExports();
+    logger.info(`Purged ${purgedCount} expired data exports`, { jobId: job.id });
+    return { purgedCount };
+  }
+
+  const { exportId, userId } = job.data;
+
+  logger.info('Processing data export', {
+    jobId: job.id,
+    exportId,
+    userId,
+    attemptsMade: job.attemptsMade,
+  });
+
+  try {
+    const result = await buildDataExport(exportId);
+    if (!result) {
+      logger.info('Data export skipped, no export pending', { jobId: job.id, exportId });
+    }
+    return result;
+  } catch (error) {
+    logger.error('Data export failed', {
+      jobId: job.id,
+      exportId,
+      error: error.message,
+      attemptsMade: job.attemptsMade,
+    });
+    throw error; // Will trigger retry if attempts remain
+  }
+};
+
+/**
+ * Create and start the data export worker
+ * @returns {Worker} BullMQ worker instance
+ */
+export const createDataExportWorker = () => {
+  const worker = new Worker('data-export', processDataExport, {
+    connection: redisConnection,
+    concurrency: 1, // Zips are built in memory, one at a time
+  });
+
+  // Event handlers
+  worker.on('completed', (job, result) => {
+    logger.info('Data export job completed', {
+      jobId: job.id,
+      exportId: job.data.exportId,
+      ...result,
+      duration: job.processedOn ? Date.now() - job.processedOn : 'N/A',
+    });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Data export job failed', {
+      jobId: job?.id,
+      exportId: job?.data?.exportId,
+      error: err.message,
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Data export worker error:', err);
+  });
+
+  logger.info('✅ Data export worker started');
+  return worker;
+};
+
+export default createDataExportWorker;
@@ -7,6 +7,7 @@ import { Worker } from 'bullmq';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { cleanupMarkedImages, markOrphanedImages } from '../utils/image.utils.js';
+import { purgeExpiredTrash } from '../utils/trash.utils.js';
 
 /**
  * Redis connection configuration
@@ -60,6 +61,18 @@ const processImageCleanup = async (job) => {
       );
     }
 
+    if (cleanupType === 'trash-purge') {
+      // Purge expired trash - released images are picked up by the next cleanup run
+      const purgeResult = await purgeExpiredTrash(batchSize);
+      result.purgedCount = purgeResult.purgedCount;
+      result.failedCount = purgeResult.failedCount;
+      result.totalProcessed = purgeResult.totalProcessed;
+      logger.info(
+        `Purged ${purgeResult.purgedCount} expired pages from trash (${purgeResult.failedCount} failed)`,
+        { jobId: job.id }
+      );
+    }
+
     logger.info('Image cleanup completed successfully', {
       jobId: job.id,
       cleanupType,
@@ -6,8 +6,7 @@
 import { Worker } from 'bullmq';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import cloudinary from '../config/cloudinary.js';
-import Image from '../models/Image.model.js';
+import { uploadImageFile } from '../utils/image.utils.js';
 
 /**
  * Redis connection configuration
@@ -34,40 +33,15 @@ const processImageUpload = async (job) => {
   });
 
   try {
-    // Upload image to Cloudinary
-    const timestamp = new Date().getTime();
-    const uniqueId = `${userId}_${timestamp}`;
-    const cloudinaryRes = await cloudinary.uploader.upload(image, {
-      folder: 'notes',
-      public_id: `note_img_${uniqueId}`,
-    });
-
-    // Save image metadata to database
-    const imageDoc = new Image({
-      publicId: cloudinaryRes.public_id,
-      url: cloudinaryRes.secure_url,
-      originalName: originalName || null,
-      size: cloudinaryRes.bytes || 0,
-      mimeType: cloudinaryRes.format ? `image/${cloudinaryRes.format}` : 'image/jpeg',
-      uploadedBy: userId,
-      usedInPages: pageId ? [pageId] : [],
-      referenceCount: pageId ? 1 : 0,
-    });
-
-    await imageDoc.save();
+    const uploaded = await uploadImageFile(image, userId, originalName || null, pageId || null);
 
     logger.info('Image upload completed successfully', {
       jobId: job.id,
-      imageId: cloudinaryRes.public_id,
-      dbImageId: imageDoc._id.toString(),
+      imageId: uploaded.imageId,
+      dbImageId: uploaded.dbImageId,
     });
 
-    return {
-      success: true,
-      imageUrl: cloudinaryRes.secure_url,
-      imageId: cloudinaryRes.public_id,
-      dbImageId: imageDoc._id.toString(),
-    };
+    return { success: true, ...uploaded };
   } catch (error) {
     logger.error('Image upload failed', {
       jobId: job.id,
@@ -0,0 +1,124 @@
+/**
+ * Page Import Worker
+ * @description BullMQ worker for importing Markdown, Obsidian and Notion archives
+ */
+
+import fs from 'fs/promises';
+import { Worker, QueueEvents } from 'bullmq';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { imageUploadQueue } from '../config/queue.js';
+import { importArchive } from '../utils/import.utils.js';
+
+/**
+ * Redis connection configuration
+ */
+const redisConnection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  maxRetriesPerRequest: null,
+};
+
+// Longest wait for a single image upload job
+const IMAGE_UPLOAD_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Create the page import job processor
+ * @param {QueueEvents} imageUploadEvents - Events of the image upload queue
+ * @returns {Function} Job processor
+ */
+const createPageImportProcessor = (imageUploadEvents) => async (job) => {
+  const { filePath, userId, source, structure, parentId } = job.data;
+
+  logger.info('Processing page import', {
+    jobId: job.id,
+    userId,
+    source,
+    structure,
+  });
+
+  // Images go through the image upload queue so they share its retries
+  const uploadImage = async (image, originalName) => {
+    const uploadJob = await imageUploadQueue.add('image-upload', { image, originalName, userId });
+    const result = await uploadJob.waitUntilFinished(imageUploadEvents, IMAGE_UPLOAD_TIMEOUT);
+    return result.imageUrl;
+  };
+
+  try {
+    const archive = await fs.readFile(filePath);
+    const { summary, error } = await importArchive({
+      archive,
+      userId,
+      source,
+      structure,
+      parentId,
+      limits: config.import,
+      uploadImage,
+      onProgress: (progress) => job.updateProgress(progress),
+    });
+    if (error) {
+      throw new Error(error);
+    }
+
+    logger.info('Page import completed successfully', {
+      jobId: job.id,
+      pages: summary.pages,
+      images: summary.images,
+    });
+
+    return summary;
+  } catch (error) {
+    logger.error('Page import failed', {
+      jobId: job.id,
+      userId,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+};
+
+/**
+ * Create and start the page import worker
+ * @returns {Worker} BullMQ worker instance
+ */
+export const createPageImportWorker = () => {
+  const imageUploadEvents = new QueueEvents('image-upload', { connection: redisConnection });
+  const worker = new Worker('page-import', createPageImportProcessor(imageUploadEvents), {
+    connection: redisConnection,
+    concurrency: 1, // Imports are large, run them one at a time
+  });
+
+  // Event handlers
+  worker.on('completed', (job, result) => {
+    logger.info('Page import job completed', {
+      jobId: job.id,
+      pages: result.pages,
+      duration: job.processedOn ? Date.now() - job.processedOn : 'N/A',
+    });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Page import job failed', {
+      jobId: job?.id,
+      userId: job?.data?.userId,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Page import worker error:', err);
+  });
+
+  worker.on('closed', () => {
+    imageUploadEvents.close().catch((err) => {
+      logger.error('Error closing image upload events:', err);
+    });
+  });
+
+  logger.info('✅ Page import worker started');
+  return worker;
+};
+
+export default createPageImportWorker;
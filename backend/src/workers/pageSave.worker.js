@@ -9,6 +9,9 @@ import logger from '../utils/logger.js';
 import Page from '../models/Page.model.js';
 import { updateImageReferences, getContentImageIds } from '../utils/image.utils.js';
 import { safeRedisCall } from '../config/redis.js';
+import { snapshotPageVersion, preserveUnversionedContent } from '../utils/version.utils.js';
+import { commitPageData } from '../utils/revision.utils.js';
+import { reloadPageForEditors } from '../sockets/collab.socket.js';
 
 /**
  * Redis connection configuration
@@ -35,18 +38,32 @@ const processPageSave = async (job) => {
   });
 
   try {
-    // Find page
-    const page = await Page.findById(pageId);
+    // Find page; a save queued before the page was trashed or deleted is dropped
+    const page = await Page.findOne({ _id: pageId, deletedAt: null });
     if (!page) {
-      throw new Error(`Page not found: ${pageId}`);
+      logger.info('Page save skipped, page is trashed or deleted', { jobId: job.id, pageId });
+      return { success: false, pageId, skipped: true };
     }
 
     // Get current image IDs from the page content before updating
     const previousImageIds = getContentImageIds(page.pageData);
 
-    // Update page
-    page.pageData = newPageData;
-    await page.save();
+    await preserveUnversionedContent(page);
+
+    // Update page, retrying the job if another save landed since it was loaded
+    const committed = await commitPageData(page, newPageData);
+    if (!committed) {
+      throw new Error(`Page was modified concurrently: ${pageId}`);
+    }
+    await reloadPageForEditors(pageId);
+
+    // Record the new content in the page's version history
+    try {
+      await snapshotPageVersion(page, userId);
+    } catch (versionError) {
+      logger.error('Error saving page version:', versionError);
+      // Don't fail the job if versioning fails
+    }
 
     // Handle image reference updates
     const currentImageIds = getContentImageIds(newPageData);
@@ -6,11 +6,7 @@
 import { Worker } from 'bullmq';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import TaskModel from '../models/Task.model.js';
-import {
-  sendTaskReminderEmail,
-  sendTaskOverdueEmail,
-} from '../controllers/v1/mailer.controller.js';
+import { sendDueTaskReminders, sendOverdueTaskReminders } from '../utils/task.utils.js';
 
 /**
  * Redis connection configuration
@@ -37,64 +33,29 @@ const processTaskReminder = async (job) => {
 
   try {
     const now = new Date();
-    const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
-    const oneHourWindow = 5 * 60 * 1000;
 
-    let oneHourReminders = 0;
+    let dueReminders = 0;
     let overdueReminders = 0;
 
-    // Check 1-hour reminders
-    if (checkType === 'all' || checkType === 'one-hour') {
-      const tasksNearing1Hour = await TaskModel.find({
-        taskDeadline: {
-          $gte: new Date(oneHourFromNow.getTime() - oneHourWindow),
-          $lte: new Date(oneHourFromNow.getTime() + oneHourWindow),
-        },
-        isTaskCompleted: false,
-        oneHourReminderSent: false,
-      }).populate('owner');
-
-      for (const task of tasksNearing1Hour) {
-        logger.info(
-          `Sending 1-hour reminder for task: ${task.taskName} to user: ${task.owner.email}`
-        );
-        const emailResult = await sendTaskReminderEmail(task, '1 hour');
-        if (emailResult.success) {
-          await TaskModel.findByIdAndUpdate(task._id, { oneHourReminderSent: true });
-          oneHourReminders++;
-        }
-      }
+    // Check reminders due for each task's offsets ('one-hour' is the type used before offsets)
+    if (checkType === 'all' || checkType === 'due' || checkType === 'one-hour') {
+      dueReminders = await sendDueTaskReminders(now);
     }
 
     // Check overdue reminders
     if (checkType === 'all' || checkType === 'overdue') {
-      const overdueTasks = await TaskModel.find({
-        taskDeadline: { $lt: now },
-        isTaskCompleted: false,
-        overdueReminderSent: false,
-      }).populate('owner');
-
-      for (const task of overdueTasks) {
-        logger.info(
-          `Sending overdue reminder for task: ${task.taskName} to user: ${task.owner.email}`
-        );
-        const emailResult = await sendTaskOverdueEmail(task);
-        if (emailResult.success) {
-          await TaskModel.findByIdAndUpdate(task._id, { overdueReminderSent: true });
-          overdueReminders++;
-        }
-      }
+      overdueReminders = await sendOverdueTaskReminders(now);
     }
 
     logger.info('Task reminders completed successfully', {
       jobId: job.id,
-      oneHourReminders,
+      dueReminders,
       overdueReminders,
     });
 
     return {
       success: true,
-      oneHourReminders,
+      dueReminders,
       overdueReminders,
     };
   } catch (error) {
@@ -121,7 +82,7 @@ export const createTaskReminderWorker = () => {
   worker.on('completed', (job, result) => {
     logger.info('Task reminder job completed', {
       jobId: job.id,
-      oneHourReminders: result.oneHourReminders,
+      dueReminders: result.dueReminders,
       overdueReminders: result.overdueReminders,
       duration: job.processedOn ? Date.now() - job.processedOn : 'N/A',
     });
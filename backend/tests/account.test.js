@@ -0,0 +1,20 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { getAvatarPublicId, matchesAccountEmail } from '../src/utils/account.utils.js';
+
+describe('ZettaNote Backend - Account Utility', () => {
+  it('should keep one avatar per user in the avatars folder', () => {
+    expect(getAvatarPublicId('64b000000000000000000001')).toBe(
+      'avatars/avatar_64b000000000000000000001'
+    );
+  });
+
+  it('should confirm deletions with the account email however it is typed', () => {
+    const user = { email: 'ada@example.com' };
+    expect(matchesAccountEmail(user, 'ada@example.com')).toBe(true);
+    expect(matchesAccountEmail(user, '  Ada@Example.com ')).toBe(true);
+    expect(matchesAccountEmail(user, 'ada@example.org')).toBe(false);
+    expect(matchesAccountEmail(user, '')).toBe(false);
+    expect(matchesAccountEmail(user, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from '@jest/globals';
+import jsonwebtoken from 'jsonwebtoken';
+
+import config from '../src/config/index.js';
+import {
+  signAuthToken,
+  readAuthToken,
+  getAuthTokenUrl,
+  buildVerificationEmail,
+  buildPasswordResetEmail,
+  buildEmailChangeEmail,
+  buildDataExportEmail,
+} from '../src/utils/authToken.utils.js';
+
+describe('ZettaNote Backend - Auth Token Utility', () => {
+  it('should read back the user and token ID of a signed token', () => {
+    const token = signAuthToken('64b000000000000000000001', 'verify-email', 'abc123');
+    expect(readAuthToken(token, 'verify-email')).toEqual({
+      userId: '64b000000000000000000001',
+      tokenId: 'abc123',
+    });
+  });
+
+  it('should reject tokens signed for another purpose', () => {
+    const token = signAuthToken('64b000000000000000000001', 'verify-email', 'abc123');
+    expect(readAuthToken(token, 'reset-password')).toBeNull();
+  });
+
+  it('should reject expired, tampered and session tokens', () => {
+    const expired = jsonwebtoken.sign(
+      { id: '64b000000000000000000001', type: 'reset-password' },
+      config.jwt.secret,
+      { expiresIn: -10, jwtid: 'abc123' }
+    );
+    expect(readAuthToken(expired, 'reset-password')).toBeNull();
+
+    const forged = jsonwebtoken.sign(
+      { id: '64b000000000000000000001', type: 'reset-password' },
+      'another-secret',
+      { jwtid: 'abc123' }
+    );
+    expect(readAuthToken(forged, 'reset-password')).toBeNull();
+
+    // Login tokens carry no token ID and can't stand in for an emailed link
+    const session = jsonwebtoken.sign(
+      { id: '64b000000000000000000001', type: 'reset-password' },
+      config.jwt.secret
+    );
+    expect(readAuthToken(session, 'reset-password')).toBeNull();
+    expect(readAuthToken('not-a-token', 'reset-password')).toBeNull();
+  });
+
+  it('should link to the frontend page of each purpose', () => {
+    const verifyUrl = new URL(getAuthTokenUrl('verify-email', 'a.b+c'));
+    expect(verifyUrl.pathname).toBe('/verify-email');
+    expect(verifyUrl.searchParams.get('token')).toBe('a.b+c');
+
+    const resetUrl = new URL(getAuthTokenUrl('reset-password', 'xyz'));
+    expect(resetUrl.pathname).toBe('/reset-password');
+    expect(resetUrl.searchParams.get('token')).toBe('xyz');
+
+    expect(new URL(getAuthTokenUrl('change-email', 'xyz')).pathname).toBe('/confirm-email');
+  });
+
+  it('should build escaped verification, reset and email change emails', () => {
+    const verification = buildVerificationEmail({
+      name: 'Ada <Admin>',
+      url: 'https://zettanote.tech/verify-email?token=a&b',
+    });
+    expect(verification.subject).toBe('Verify your ZettaNote email');
+    expect(verification.html).toContain('Ada &lt;Admin&gt;');
+    expect(verification.html).toContain('href="https://zettanote.tech/verify-email?token=a&amp;b"');
+    expect(verification.text).toContain('expires in 24 hours');
+
+    const reset = buildPasswordResetEmail({ name: 'Ada', url: 'https://zettanote.tech/r' });
+    expect(reset.subject).toBe('Reset your ZettaNote password');
+    expect(reset.text).toContain('Reset password: https://zettanote.tech/r');
+    expect(reset.text).toContain('expires in 60 minutes');
+
+    const change = buildEmailChangeEmail({
+      name: 'Ada',
+      email: 'ada@new.example',
+      url: 'https://zettanote.tech/c',
+    });
+    expect(change.subject).toBe('Confirm your new ZettaNote email');
+    expect(change.text).toContain('with ada@new.example from now on');
+    expect(change.text).toContain('Confirm email: https://zettanote.tech/c');
+  });
+
+  it('should build the data export email with when the download expires', () => {
+    const email = buildDataExportEmail({
+      name: 'Ada',
+      url: 'https://zettanote.tech/settings#your-data',
+      expiresAt: new Date('2026-03-03T10:00:00Z'),
+    });
+    expect(email.subject).toBe('Your ZettaNote data is ready');
+    expect(email.text).toContain('Download your data: https://zettanote.tech/settings#your-data');
+    expect(email.text).toContain('works for 48 hours, until Tue, 03 Mar 2026 10:00:00 GMT');
+  });
+});
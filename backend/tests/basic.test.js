@@ -37,3 +37,15 @@ describe('ZettaNote Backend - Authentication API', () => {
     expect(res.body).toHaveProperty('message');
   });
 });
+
+describe('ZettaNote Backend - Page Versions API', () => {
+  it('should return 400 with the validation message for invalid input', async () => {
+    const res = await request(app)
+      .post('/api/pages/versions')
+      .set('Cookie', 'token=mock-jwt-token')
+      .send({ pageId: '' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Page ID is required');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  parseChecklistItems,
+  findChecklistItem,
+  getCheckboxOffset,
+  setChecklistItemChecked,
+} from '../src/utils/checklist.utils.js';
+
+const content = [
+  '# Plan',
+  '- [ ] Write the draft',
+  '  * [x] Book a room',
+  '```',
+  '- [ ] Not a task',
+  '```',
+  '1. [X] Send invites',
+  '- [ ]',
+].join('\n');
+
+describe('ZettaNote Backend - Checklist Utility', () => {
+  it('should find checklist items outside code blocks', () => {
+    expect(parseChecklistItems(content)).toEqual([
+      { line: 1, text: 'Write the draft', checked: false },
+      { line: 2, text: 'Book a room', checked: true },
+      { line: 6, text: 'Send invites', checked: true },
+    ]);
+  });
+
+  it('should follow items that moved or were edited', () => {
+    const items = parseChecklistItems(`intro\n\n${content}`);
+    expect(findChecklistItem(items, { line: 1, text: 'Write the draft' }).line).toBe(3);
+
+    const edited = parseChecklistItems(content.replace('Book a room', 'Book the big room'));
+    expect(findChecklistItem(edited, { line: 2, text: 'Book a room' }).text).toBe(
+      'Book the big room'
+    );
+    expect(findChecklistItem(edited, { line: 0, text: 'Gone' })).toBeNull();
+  });
+
+  it('should tick and untick items without touching other lines', () => {
+    const ticked = setChecklistItemChecked(content, 1, true);
+    expect(ticked.split('\n')[1]).toBe('- [x] Write the draft');
+    expect(setChecklistItemChecked(ticked, 2, false).split('\n')[2]).toBe('  * [ ] Book a room');
+    expect(setChecklistItemChecked('- [ ] Item\r\nnext', 0, true)).toBe('- [x] Item\r\nnext');
+    expect(setChecklistItemChecked(content, 4, true)).toBeNull();
+    expect(getCheckboxOffset(content, 2)).toBe(content.indexOf('[x] Book') + 1);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  extractMentionIds,
+  getCommentText,
+  locateAnchor,
+  buildCommentThreads,
+} from '../src/utils/comment.utils.js';
+
+describe('ZettaNote Backend - Comment Utility', () => {
+  const adaId = '64b7f0c2a1b2c3d4e5f60718';
+  const bobId = '64b7f0c2a1b2c3d4e5f60719';
+
+  it('should read mentions written as @[Name](id)', () => {
+    const body = `Thoughts @[Ada](${adaId}) and @[Bob](${bobId})? cc @[Ada](${adaId}) @someone`;
+    expect(extractMentionIds(body)).toEqual([adaId, bobId]);
+    expect(getCommentText(body)).toBe('Thoughts @Ada and @Bob? cc @Ada @someone');
+  });
+
+  it('should follow text anchors as the page changes', () => {
+    const anchor = { kind: 'text', quote: 'rocket', start: 12, end: 18, headingId: null };
+
+    expect(locateAnchor('We build a rocket.', anchor).anchor.start).toBe(11);
+    expect(locateAnchor('rocket one, then a rocket two', anchor).anchor.start).toBe(19);
+    expect(locateAnchor('We build a plane.', anchor).orphaned).toBe(true);
+
+    // Quotes spanning formatting are kept if the rendered text still has them
+    const formatted = locateAnchor('We build **a rocket** today', { ...anchor, quote: 'build a' });
+    expect(formatted.orphaned).toBe(false);
+    expect(formatted.anchor.start).toBeNull();
+  });
+
+  it('should follow heading anchors by their ID', () => {
+    const anchor = { kind: 'heading', quote: 'Setup', headingId: 'setup' };
+    expect(locateAnchor('# Intro\n\n## Setup\n', anchor)).toEqual({ anchor, orphaned: false });
+    expect(locateAnchor('# Intro\n\n## Install\n', anchor).orphaned).toBe(true);
+    expect(locateAnchor('# Intro', null)).toEqual({ anchor: null, orphaned: false });
+  });
+
+  it('should group replies under their thread in order', () => {
+    const threads = buildCommentThreads([
+      { id: 'b', parentId: null, createdAt: '2025-06-02' },
+      { id: 'r2', parentId: 'a', createdAt: '2025-06-04' },
+      { id: 'a', parentId: null, createdAt: '2025-06-01' },
+      { id: 'r1', parentId: 'a', createdAt: '2025-06-03' },
+      { id: 'lost', parentId: 'gone', createdAt: '2025-06-05' },
+    ]);
+
+    expect(threads.map((thread) => thread.id)).toEqual(['a', 'b']);
+    expect(threads[0].replies.map((reply) => reply.id)).toEqual(['r1', 'r2']);
+    expect(threads[1].replies).toEqual([]);
+  });
+});
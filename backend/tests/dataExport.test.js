@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  getDataExportExpiry,
+  getDataExportDownloadName,
+  toDataExportResponse,
+  buildDataExportEntries,
+} from '../src/utils/dataExport.utils.js';
+
+const data = {
+  exportedAt: new Date('2026-03-01T10:00:00Z'),
+  profile: { id: 'u1', name: 'Ada', email: 'ada@example.com' },
+  pages: [
+    { id: 'p1', name: 'Ideas', content: '# Ideas', parent: null, sharedWith: [] },
+    { id: 'p2', name: 'ideas', content: 'More', parent: 'p1', sharedWith: [] },
+  ],
+  sharedPages: [{ id: 'p3', name: 'Roadmap', owner: 'Grace', role: 'viewer' }],
+  tasks: [{ id: 't1', name: 'Write' }],
+  templates: [],
+  comments: [],
+  images: [],
+  activity: { sessions: [], emails: [] },
+};
+
+describe('ZettaNote Backend - Data Export Utility', () => {
+  it('should keep downloads for the configured number of hours', () => {
+    const expiry = getDataExportExpiry(new Date('2026-03-01T10:00:00Z'));
+    expect(expiry.toISOString()).toBe('2026-03-03T10:00:00.000Z');
+  });
+
+  it('should name downloads after the day the export finished', () => {
+    expect(
+      getDataExportDownloadName({
+        createdAt: new Date('2026-03-01T23:00:00Z'),
+        completedAt: new Date('2026-03-02T01:00:00Z'),
+      })
+    ).toBe('zettanote-data-2026-03-02.zip');
+  });
+
+  it('should report exports past their expiry as expired', () => {
+    const dataExport = {
+      _id: 'e1',
+      status: 'ready',
+      size: 1024,
+      createdAt: new Date('2026-03-01T10:00:00Z'),
+      completedAt: new Date('2026-03-01T10:01:00Z'),
+      expiresAt: new Date('2026-03-03T10:01:00Z'),
+    };
+    expect(toDataExportResponse(dataExport, new Date('2026-03-02T00:00:00Z'))).toMatchObject({
+      id: 'e1',
+      status: 'ready',
+      size: 1024,
+    });
+    expect(toDataExportResponse(dataExport, new Date('2026-03-04T00:00:00Z')).status).toBe(
+      'expired'
+    );
+  });
+
+  it('should write page contents as Markdown files listed in pages.json', () => {
+    const entries = buildDataExportEntries(data);
+    const files = Object.fromEntries(entries.map((entry) => [entry.name, entry.data]));
+
+    expect(Object.keys(files)).toEqual([
+      'README.txt',
+      'profile.json',
+      'pages.json',
+      'pages/Ideas.md',
+      'pages/ideas (2).md',
+      'shared-with-me.json',
+      'tasks.json',
+      'templates.json',
+      'comments.json',
+      'images.json',
+      'activity.json',
+    ]);
+    expect(files['pages/Ideas.md']).toBe('# Ideas');
+
+    const pages = JSON.parse(files['pages.json']);
+    expect(pages[1]).toEqual({
+      id: 'p2',
+      name: 'ideas',
+      parent: 'p1',
+      sharedWith: [],
+      file: 'pages/ideas (2).md',
+    });
+    expect(JSON.parse(files['profile.json'])).toMatchObject({
+      email: 'ada@example.com',
+      exportedAt: '2026-03-01T10:00:00.000Z',
+    });
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { diffLines } from '../src/utils/diff.utils.js';
+
+describe('ZettaNote Backend - Line Diff Utility', () => {
+  it('should mark identical texts as unchanged', () => {
+    const { diff, stats } = diffLines('a\nb', 'a\nb');
+    expect(stats).toEqual({ added: 0, removed: 0, unchanged: 2 });
+    expect(diff.every((entry) => entry.type === 'unchanged')).toBe(true);
+  });
+
+  it('should detect added, removed and changed lines with line numbers', () => {
+    const { diff, stats } = diffLines('one\ntwo\nthree', 'one\n2\nthree\nfour');
+    expect(stats).toEqual({ added: 2, removed: 1, unchanged: 2 });
+    expect(diff).toEqual([
+      { type: 'unchanged', line: 'one', oldLine: 1, newLine: 1 },
+      { type: 'removed', line: 'two', oldLine: 2, newLine: null },
+      { type: 'added', line: '2', oldLine: null, newLine: 2 },
+      { type: 'unchanged', line: 'three', oldLine: 3, newLine: 3 },
+      { type: 'added', line: 'four', oldLine: null, newLine: 4 },
+    ]);
+  });
+
+  it('should treat empty content as having no lines', () => {
+    const { stats } = diffLines('', 'hello');
+    expect(stats).toEqual({ added: 1, removed: 0, unchanged: 0 });
+  });
+});
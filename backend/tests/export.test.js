@@ -0,0 +1,68 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { renderMarkdown } from '../src/utils/markdown.utils.js';
+import {
+  toFileName,
+  assignFileNames,
+  createPageLinkResolver,
+  isBundledImageUrl,
+  buildPageTree,
+} from '../src/utils/export.utils.js';
+
+describe('ZettaNote Backend - Export Utility', () => {
+  const pages = [
+    { id: 'a'.repeat(24), name: 'Home', parent: null, shareId: 'share-home' },
+    { id: 'b'.repeat(24), name: 'Project Plan', parent: 'a'.repeat(24) },
+    { id: 'c'.repeat(24), name: 'project plan', parent: 'x'.repeat(24) },
+  ];
+
+  it('should render the editor markdown extensions', () => {
+    const html = renderMarkdown('==marked== ~~gone~~ $x^2$\n\n- [x] done\n\nTerm\n: Meaning');
+    expect(html).toContain('<mark>marked</mark>');
+    expect(html).toMatch(/<(del|s)>gone<\/(del|s)>/);
+    expect(html).toContain('class="katex"');
+    expect(html).toContain('type="checkbox"');
+    expect(html).toContain('<dt>Term</dt>');
+  });
+
+  it('should strip scripts and event handlers', () => {
+    const html = renderMarkdown('<script>alert(1)</script><img src="x.png" onerror="alert(1)">');
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('onerror');
+  });
+
+  it('should make page names safe and unique file names', () => {
+    expect(toFileName('a/b: c?')).toBe('a b c');
+    expect(toFileName('...')).toBe('Untitled');
+
+    const fileNames = assignFileNames(pages, 'html');
+    expect(fileNames.get('b'.repeat(24))).toBe('Project Plan.html');
+    expect(fileNames.get('c'.repeat(24))).toBe('project plan (2).html');
+  });
+
+  it('should point links between exported pages at their files', () => {
+    const resolvers = createPageLinkResolver(pages, assignFileNames(pages, 'html'));
+    const html = renderMarkdown(
+      `[[project plan|Plan]] [[Elsewhere]] [home](/public/share-home) [b](/dashboard/${'B'.repeat(24)}) [web](https://example.com)`,
+      resolvers
+    );
+
+    expect(html).toContain('<a href="Project%20Plan.html" class="wikilink">Plan</a>');
+    expect(html).toContain('<span class="wikilink wikilink-missing">Elsewhere</span>');
+    expect(html).toContain('<a href="Home.html">home</a>');
+    expect(html).toContain('<a href="Project%20Plan.html">b</a>');
+    expect(html).toContain('<a href="https://example.com">web</a>');
+  });
+
+  it('should only bundle uploaded images', () => {
+    expect(isBundledImageUrl('https://res.cloudinary.com/demo/image/upload/v1/a.png')).toBe(true);
+    expect(isBundledImageUrl('http://169.254.169.254/latest')).toBe(false);
+    expect(isBundledImageUrl('not a url')).toBe(false);
+  });
+
+  it('should nest pages under their exported parents', () => {
+    const tree = buildPageTree(pages);
+    expect(tree.map((node) => node.page.name)).toEqual(['Home', 'project plan']);
+    expect(tree[0].children[0].page.name).toBe('Project Plan');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from '@jest/globals';
+import JSZip from 'jszip';
+
+import {
+  readImportArchive,
+  toPageName,
+  parseFrontmatter,
+  parseCsv,
+  parseImportArchive,
+  resolveImportImages,
+} from '../src/utils/import.utils.js';
+
+const limits = { maxFiles: 100, maxBytes: 1024 * 1024 };
+
+/**
+ * Build an import file list from path and text pairs
+ * @param {object} entries - File contents keyed by path
+ * @returns {object[]} Files as [{ path, data }]
+ */
+const toFiles = (entries) =>
+  Object.entries(entries).map(([path, text]) => ({ path, data: Buffer.from(text) }));
+
+describe('ZettaNote Backend - Import Utility', () => {
+  it('should read archives without a wrapping folder or vault settings', async () => {
+    const zip = new JSZip();
+    zip.file('Vault/Note.md', '# Note');
+    zip.file('Vault/.obsidian/app.json', '{}');
+    zip.file('__MACOSX/Vault/._Note.md', '');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+    const { files } = await readImportArchive(buffer, limits);
+    expect(files.map((file) => file.path)).toEqual(['Note.md']);
+
+    const { error } = await readImportArchive(Buffer.from('not a zip'), limits);
+    expect(error).toBeDefined();
+  });
+
+  it('should stop unpacking once more than the limit was inflated, whatever the archive says', async () => {
+    const zip = new JSZip();
+    zip.file('Bomb.md', Buffer.alloc(2 * 1024 * 1024));
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    // Declare the entry as 1 byte in both the local and central directory headers
+    for (const [signature, offset] of [
+      [0x04034b50, 22],
+      [0x02014b50, 24],
+    ]) {
+      for (let i = 0; i <= buffer.length - 4; i++) {
+        if (buffer.readUInt32LE(i) === signature) {
+          buffer.writeUInt32LE(1, i + offset);
+        }
+      }
+    }
+
+    const { error } = await readImportArchive(buffer, limits);
+    expect(error).toBe('The archive is too large to import');
+  });
+
+  it('should name pages without extensions or Notion ids', () => {
+    expect(toPageName('Ideas.md', 'obsidian')).toBe('Ideas');
+    expect(toPageName('Ideas 0123456789abcdef0123456789abcdef.md', 'notion')).toBe('Ideas');
+    expect(toPageName('Tasks 0123456789abcdef0123456789abcdef_all.csv', 'notion')).toBe('Tasks');
+  });
+
+  it('should read tags from frontmatter', () => {
+    const { content, tags } = parseFrontmatter('---\ntags: [work, "Side Project"]\n---\nBody');
+    expect(content).toBe('Body');
+    expect(tags).toEqual(['work', 'side-project']);
+  });
+
+  it('should parse quoted CSV cells', () => {
+    expect(parseCsv('\uFEFFName,Notes\n"Buy, milk","Say ""hi"""\n')).toEqual([
+      ['Name', 'Notes'],
+      ['Buy, milk', 'Say "hi"'],
+    ]);
+  });
+
+  it('should nest notes under their folders and rewrite links', () => {
+    const files = toFiles({
+      'Projects.md': 'Overview',
+      'Projects/Plan.md':
+        '# Plan\nSee [[Notes#Goals|goals]] and [ideas](../Ideas.md)\n![](img/a.png)',
+      'Projects/img/a.png': 'png',
+      'Ideas.md': 'Ideas',
+      'Notes.md': 'Notes',
+    });
+
+    const { pages, images } = parseImportArchive(files, {
+      source: 'obsidian',
+      structure: 'hierarchy',
+    });
+    const projects = pages.find((page) => page.name === 'Projects');
+    const plan = pages.find((page) => page.name === 'Plan');
+
+    expect(projects.parentKey).toBeNull();
+    expect(plan.parentKey).toBe(projects.key);
+    expect(plan.content).toContain('[[Notes|goals]]');
+    expect(plan.content).toContain('[[Ideas|ideas]]');
+    expect(plan.content).not.toContain('# Plan');
+    expect(images.map((image) => image.path)).toEqual(['Projects/img/a.png']);
+
+    images[0].url = 'https://res.cloudinary.com/demo/image/upload/a.png';
+    expect(resolveImportImages(plan.content, images)).toContain(images[0].url);
+  });
+
+  it('should tag notes with their folder instead of nesting them', () => {
+    const files = toFiles({ 'Work/Meetings/Standup.md': 'Notes' });
+    const { pages } = parseImportArchive(files, { source: 'markdown', structure: 'tags' });
+
+    expect(pages).toHaveLength(1);
+    expect(pages[0].parentKey).toBeNull();
+    expect(pages[0].tags).toContain('work/meetings');
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, jest } from '@jest/globals';
+
+import { buildShareEmail, getInvitationUrl } from '../src/utils/invitation.utils.js';
+import { sharePage } from '../src/controllers/v1/page.controller.js';
+import { verifyToken } from '../src/utils/token.utils.js';
+import { sendMail } from '../src/mailers/resend.client.js';
+import Page from '../src/models/Page.model.js';
+import User from '../src/models/User.model.js';
+
+jest.mock('../src/models/Page.model.js', () => ({ findOne: jest.fn() }));
+jest.mock('../src/models/ShareInvitation.model.js', () => ({
+  findOneAndUpdate: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../src/utils/hierarchy.utils.js', () => ({
+  getDescendantIds: jest.fn().mockResolvedValue([]),
+  sharePagesWithUsers: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../src/mailers/resend.client.js', () => ({
+  sendMail: jest.fn().mockResolvedValue({ success: true, id: 'mail-1' }),
+}));
+
+// Just enough of a page document for sharePage
+const mockPage = () => {
+  const owner = { toString: () => 'owner-id', equals: (id) => id === 'owner-id' };
+  return { _id: 'page-id', pageName: 'Roadmap', owner, sharedTo: [], shareRoles: {} };
+};
+
+describe('ZettaNote Backend - Invitation Utility', () => {
+  it('should link invitees to signup with their email and token', () => {
+    const url = new URL(getInvitationUrl('new.user+notes@example.com', 'abc123'));
+    expect(url.pathname).toBe('/signup');
+    expect(url.searchParams.get('email')).toBe('new.user+notes@example.com');
+    expect(url.searchParams.get('invite')).toBe('abc123');
+  });
+
+  it('should describe the role and escape page names', () => {
+    const { subject, html, text } = buildShareEmail({
+      inviterName: 'Ada',
+      pageName: 'Plans <2025>',
+      role: 'commenter',
+      url: 'https://zettanote.tech/signup?email=a%40b.c&invite=abc',
+      isInvitation: true,
+    });
+
+    expect(subject).toBe('Ada shared "Plans <2025>" with you');
+    expect(html).toContain('Plans &lt;2025&gt;');
+    expect(html).not.toContain('<2025>');
+    expect(html).toContain('href="https://zettanote.tech/signup?email=a%40b.c&amp;invite=abc"');
+    expect(text).toContain('Ada invited you to comment on "Plans <2025>" on ZettaNote.');
+    expect(text).toContain('Create your account to open it');
+  });
+
+  it('should link existing users straight to the page', () => {
+    const { text } = buildShareEmail({
+      inviterName: 'Ada',
+      pageName: 'Plans',
+      role: 'editor',
+      url: 'https://zettanote.tech/dashboard/1',
+      isInvitation: false,
+    });
+
+    expect(text).toContain('invited you to edit "Plans"');
+    expect(text).toContain('Open the page: https://zettanote.tech/dashboard/1');
+  });
+});
+
+describe('ZettaNote Backend - Share Page Controller', () => {
+  const shareRequest = (email) => ({
+    cookies: { token: 'mock-jwt-token' },
+    body: { pageId: 'page-id', email, role: 'viewer' },
+  });
+
+  it('should name the page in invitation emails', async () => {
+    verifyToken.mockResolvedValueOnce({ _id: 'owner-id', name: 'Ada', email: 'ada@example.com' });
+    Page.findOne.mockResolvedValueOnce(mockPage());
+
+    const { resStatus } = await sharePage(shareRequest('grace@example.com'));
+
+    expect(resStatus).toBe(200);
+    expect(sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: 'grace@example.com',
+        subject: 'Ada shared "Roadmap" with you',
+      })
+    );
+  });
+
+  it('should name the page in emails to existing users', async () => {
+    verifyToken.mockResolvedValueOnce({ _id: 'owner-id', name: 'Ada', email: 'ada@example.com' });
+    Page.findOne.mockResolvedValueOnce(mockPage());
+    User.findOne.mockResolvedValueOnce({ _id: 'grace-id', email: 'grace@example.com' });
+
+    const { resStatus } = await sharePage(shareRequest('grace@example.com'));
+
+    expect(resStatus).toBe(200);
+    expect(sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: 'Ada shared "Roadmap" with you' })
+    );
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  extractWikiLinks,
+  extractMarkdownLinks,
+  getLinkContext,
+  rewriteWikiLinks,
+} from '../src/utils/link.utils.js';
+
+describe('ZettaNote Backend - Wiki Link Utility', () => {
+  it('should extract unique normalized link targets, ignoring aliases', () => {
+    const content =
+      'See [[Project  Plan]] and [[project plan|the plan]].\nAlso [[Ideas]] and [[]].';
+    expect(extractWikiLinks(content)).toEqual(['project plan', 'ideas']);
+  });
+
+  it('should return the lines linking to a page', () => {
+    const content = 'intro\n  - see [[Ideas|my ideas]]\nother [[Plan]]';
+    expect(getLinkContext(content, 'ideas')).toEqual(['- see [[Ideas|my ideas]]']);
+  });
+
+  it('should rewrite links to a renamed page and keep aliases', () => {
+    const { content, count } = rewriteWikiLinks(
+      '[[Old Name]], [[old name|alias]] and [[Other]]',
+      'Old Name',
+      'New Name'
+    );
+    expect(count).toBe(2);
+    expect(content).toBe('[[New Name]], [[New Name|alias]] and [[Other]]');
+  });
+
+  it('should resolve markdown links to page IDs, share IDs and note names', () => {
+    const content =
+      '[a](https://app.example/dashboard/0123456789abcdef01234567) [b](/public/abc-123) ' +
+      '[c](Other%20Note.md) [d](https://example.com) ![img](photo.png) [e](#heading)';
+    expect(extractMarkdownLinks(content)).toEqual([
+      { pageId: '0123456789abcdef01234567' },
+      { shareId: 'abc-123' },
+      { name: 'other note' },
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { getPageRole, hasPageRole } from '../src/utils/permission.utils.js';
+
+describe('ZettaNote Backend - Permission Utility', () => {
+  const page = {
+    owner: 'owner-id',
+    sharedTo: ['viewer-id', 'manager-id', 'legacy-id'],
+    shareRoles: new Map([
+      ['viewer-id', 'viewer'],
+      ['manager-id', 'manager'],
+    ]),
+  };
+
+  it('should resolve roles, defaulting shares without one to editor', () => {
+    expect(getPageRole(page, 'owner-id')).toBe('owner');
+    expect(getPageRole(page, 'viewer-id')).toBe('viewer');
+    expect(getPageRole(page, 'legacy-id')).toBe('editor');
+    expect(getPageRole(page, 'stranger-id')).toBeNull();
+  });
+
+  it('should read roles from cached pages', () => {
+    const cached = JSON.parse(JSON.stringify({ ...page, shareRoles: { 'viewer-id': 'viewer' } }));
+    expect(getPageRole(cached, 'viewer-id')).toBe('viewer');
+  });
+
+  it('should rank roles so higher roles include lower ones', () => {
+    expect(hasPageRole(page, 'viewer-id', 'viewer')).toBe(true);
+    expect(hasPageRole(page, 'viewer-id', 'editor')).toBe(false);
+    expect(hasPageRole(page, 'manager-id', 'editor')).toBe(true);
+    expect(hasPageRole(page, 'legacy-id', 'manager')).toBe(false);
+    expect(hasPageRole(page, 'owner-id', 'manager')).toBe(true);
+    expect(hasPageRole(page, 'stranger-id', 'viewer')).toBe(false);
+  });
+});
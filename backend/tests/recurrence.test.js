@@ -0,0 +1,61 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  parseRRule,
+  formatRRule,
+  getNextOccurrence,
+  normalizeRecurrence,
+} from '../src/utils/recurrence.utils.js';
+
+describe('ZettaNote Backend - Recurrence Utility', () => {
+  it('should parse an RRULE and write it back', () => {
+    const { recurrence } = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE,MO;COUNT=4');
+    expect(recurrence).toEqual({
+      freq: 'weekly',
+      interval: 2,
+      byWeekday: [3, 1],
+      until: null,
+      count: 4,
+    });
+    expect(formatRRule(recurrence)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4');
+  });
+
+  it('should reject unsupported or contradictory rules', () => {
+    expect(parseRRule('FREQ=HOURLY').error).toBeDefined();
+    expect(parseRRule('FREQ=DAILY;BYDAY=MO').error).toBeDefined();
+    expect(parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250101').error).toBeDefined();
+    expect(normalizeRecurrence({ freq: 'monthly', byWeekday: [1] }).error).toBeDefined();
+    expect(normalizeRecurrence(null)).toEqual({ recurrence: null });
+  });
+
+  it('should step through weekdays and skip to the next interval week', () => {
+    const recurrence = { freq: 'weekly', interval: 2, byWeekday: [1, 3] };
+    const monday = new Date('2025-01-06T09:00:00Z');
+
+    const wednesday = getNextOccurrence(recurrence, monday);
+    expect(wednesday).toEqual({ deadline: new Date('2025-01-08T09:00:00Z'), occurrence: 2 });
+    expect(getNextOccurrence(recurrence, wednesday.deadline, { occurrence: 2 }).deadline).toEqual(
+      new Date('2025-01-20T09:00:00Z')
+    );
+  });
+
+  it('should skip months without the day of the month', () => {
+    const recurrence = { freq: 'monthly', interval: 1 };
+    expect(getNextOccurrence(recurrence, new Date('2025-01-31T12:00:00Z')).deadline).toEqual(
+      new Date('2025-03-31T12:00:00Z')
+    );
+  });
+
+  it('should skip past occurrences and end the series at its count', () => {
+    const recurrence = { freq: 'daily', interval: 1, count: 10 };
+    const deadline = new Date('2025-01-01T09:00:00Z');
+
+    expect(
+      getNextOccurrence(recurrence, deadline, { after: new Date('2025-01-05T10:00:00Z') })
+    ).toEqual({ deadline: new Date('2025-01-06T09:00:00Z'), occurrence: 6 });
+    expect(getNextOccurrence(recurrence, deadline, { occurrence: 10 })).toBeNull();
+    expect(
+      getNextOccurrence({ freq: 'daily', until: '2025-01-01T12:00:00Z' }, deadline)
+    ).toBeNull();
+  });
+});
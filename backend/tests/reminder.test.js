@@ -0,0 +1,44 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  formatReminderOffset,
+  getNextReminderAt,
+  getDueReminder,
+} from '../src/utils/reminder.utils.js';
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2025-01-10T12:00:00Z');
+const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * MINUTE_MS);
+
+describe('ZettaNote Backend - Reminder Utility', () => {
+  it('should describe reminder offsets', () => {
+    expect(formatReminderOffset(15)).toBe('15 minutes');
+    expect(formatReminderOffset(90)).toBe('1 hour 30 minutes');
+    expect(formatReminderOffset(1440)).toBe('1 day');
+  });
+
+  it('should send each offset once and schedule the next one', () => {
+    const task = {
+      taskDeadline: minutesFromNow(1440),
+      reminderOffsets: [1440, 15],
+      remindersSent: [],
+    };
+    expect(getNextReminderAt(task)).toEqual(now);
+    expect(getDueReminder(task, now)).toEqual({ offsets: [1440], timeUntil: '1 day' });
+
+    task.remindersSent = [1440];
+    expect(getDueReminder(task, now)).toBeNull();
+    expect(getNextReminderAt(task)).toEqual(minutesFromNow(1425));
+  });
+
+  it('should combine offsets that passed before the task was created', () => {
+    const task = { taskDeadline: minutesFromNow(10), reminderOffsets: [60, 15] };
+    expect(getDueReminder(task, now)).toEqual({ offsets: [60, 15], timeUntil: '10 minutes' });
+  });
+
+  it('should honour the 1 hour reminder flag of older tasks', () => {
+    const task = { taskDeadline: minutesFromNow(30), oneHourReminderSent: true };
+    expect(getDueReminder(task, now)).toBeNull();
+    expect(getNextReminderAt(task)).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { parseSearchQuery, findHighlights, buildSnippet } from '../src/utils/search.utils.js';
+
+describe('ZettaNote Backend - Search Utility', () => {
+  it('should split a query into terms, phrases, prefixes and filters', () => {
+    expect(parseSearchQuery('meeting "action items" proj* tag:#Work owner:me')).toEqual({
+      terms: ['meeting'],
+      phrases: ['action items'],
+      prefixes: ['proj'],
+      tags: ['work'],
+      owners: ['me'],
+    });
+  });
+
+  it('should keep quoted filter values together', () => {
+    expect(parseSearchQuery('owner:"Jane Doe"').owners).toEqual(['Jane Doe']);
+  });
+
+  it('should merge overlapping highlights and extend prefixes to whole words', () => {
+    expect(findHighlights('Project plan for the project', ['plan', 'an f'], ['proj'])).toEqual([
+      [0, 7],
+      [8, 14],
+      [21, 28],
+    ]);
+  });
+
+  it('should cut a snippet around the first match with adjusted highlights', () => {
+    const text = `${'intro '.repeat(30)}the quarterly budget review\n${'outro '.repeat(30)}`;
+    const snippet = buildSnippet(text, parseSearchQuery('budget'), 20);
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.text).not.toContain('\n');
+    const [[from, to]] = snippet.highlights;
+    expect(snippet.text.slice(from, to)).toBe('budget');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, jest } from '@jest/globals';
+
+import config from '../src/config/index.js';
+import { generateToken, getTokenSessionId } from '../src/utils/token.utils.js';
+import {
+  REFRESH_COOKIE,
+  describeDevice,
+  hashRefreshToken,
+  getSessionExpiry,
+  getSessionCookies,
+} from '../src/utils/session.utils.js';
+
+// The shared setup mocks token generation for the API tests; these check the real tokens
+jest.unmock('../src/utils/token.utils.js');
+
+describe('ZettaNote Backend - Session Utility', () => {
+  it('should name devices from their user agent', () => {
+    expect(
+      describeDevice(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0'
+      )
+    ).toBe('Edge on Windows');
+    expect(
+      describeDevice(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+      )
+    ).toBe('Safari on iOS');
+    expect(
+      describeDevice('Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0')
+    ).toBe('Firefox on Linux');
+    expect(describeDevice('curl/8.5.0')).toBe('Unknown device');
+    expect(describeDevice()).toBe('Unknown device');
+  });
+
+  it('should hash refresh tokens the same way every time', () => {
+    const hash = hashRefreshToken('abc');
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashRefreshToken('abc')).toBe(hash);
+    expect(hashRefreshToken('abd')).not.toBe(hash);
+  });
+
+  it('should expire sessions after the configured days', () => {
+    const now = new Date('2025-01-01T00:00:00Z');
+    expect(getSessionExpiry(now).getTime() - now.getTime()).toBe(
+      config.session.ttlDays * 24 * 60 * 60 * 1000
+    );
+  });
+
+  it('should scope the refresh cookie to the API and keep it when not rotated', () => {
+    const cookies = getSessionCookies({ token: 'access', refreshToken: 'refresh' });
+    expect(cookies.map((cookie) => cookie.name)).toEqual(['token', REFRESH_COOKIE]);
+    expect(cookies[0].options).toMatchObject({
+      httpOnly: true,
+      sameSite: 'strict',
+      maxAge: config.jwt.accessTokenMinutes * 60 * 1000,
+    });
+    expect(cookies[1].options).toMatchObject({ httpOnly: true, path: '/api' });
+
+    const accessOnly = getSessionCookies({ token: 'access', refreshToken: null }, 'lax');
+    expect(accessOnly).toHaveLength(1);
+    expect(accessOnly[0].options.sameSite).toBe('lax');
+  });
+
+  it('should sign the session into access tokens', () => {
+    const token = generateToken({ _id: '64b000000000000000000001' }, { sessionId: 'session-1' });
+    expect(getTokenSessionId(token)).toBe('session-1');
+    expect(getTokenSessionId('not-a-token')).toBeNull();
+  });
+});
@@ -119,3 +119,13 @@ jest.mock('../src/models/User.model.js', () => {
 
   return MockUser;
 });
+
+// Mock Session model
+jest.mock('../src/models/Session.model.js', () => ({
+  create: jest.fn().mockResolvedValue({ _id: 'mock-session-id' }),
+  exists: jest.fn().mockResolvedValue({ _id: 'mock-session-id' }),
+  findOne: jest.fn().mockResolvedValue(null),
+  findOneAndUpdate: jest.fn().mockResolvedValue(null),
+  deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+}));
@@ -0,0 +1,101 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { renderMarkdown, getTableOfContents, getExcerpt } from '../src/utils/markdown.utils.js';
+import {
+  buildShareDocument,
+  getShareLinkStatus,
+  getShareLinkAnalytics,
+} from '../src/utils/share.utils.js';
+
+describe('ZettaNote Backend - Public Share Utility', () => {
+  const content = '# Intro\nHello **world**, see [[Other|the other page]].\n\n## Setup\n\n## Setup';
+
+  it('should give headings unique anchor IDs', () => {
+    expect(getTableOfContents(content)).toEqual([
+      { level: 1, text: 'Intro', id: 'intro' },
+      { level: 2, text: 'Setup', id: 'setup' },
+      { level: 2, text: 'Setup', id: 'setup-1' },
+    ]);
+    expect(renderMarkdown(content)).toContain('<h2 id="user-content-setup-1">Setup</h2>');
+  });
+
+  it('should keep KaTeX styles but not styles or ids that reach outside the page', () => {
+    const html = renderMarkdown(
+      '$x^2$ [Setup](#setup)\n\n<div id="root">a</div>' +
+        '<span style="position:fixed;inset:0;z-index:9999;color:red">b</span>'
+    );
+
+    expect(html).toContain('style="height:');
+    expect(html).toContain('href="#user-content-setup"');
+    expect(html).toContain('<div id="user-content-root">a</div>');
+    expect(html).toContain('<span style="color:red">b</span>');
+    expect(html).not.toContain('fixed');
+  });
+
+  it('should summarize the first paragraphs as plain text', () => {
+    expect(getExcerpt(content)).toBe('Hello world, see the other page.');
+    expect(getExcerpt('word '.repeat(100), 20)).toBe('word word word word…');
+    expect(getExcerpt('```\ncode only\n```')).toBe('');
+  });
+
+  it('should describe the page to link previews', () => {
+    const html = buildShareDocument({
+      title: 'Plans <2025>',
+      html: renderMarkdown(content),
+      toc: getTableOfContents(content),
+      excerpt: getExcerpt(content),
+      url: 'https://zettanote.tech/public/abc',
+      siteUrl: 'https://zettanote.tech',
+      imageUrl: 'https://res.cloudinary.com/demo/image/upload/a.png',
+      downloads: [{ label: 'MD', href: '/api/pages/share/abc/export?format=md' }],
+    });
+
+    expect(html).toContain('<title>Plans &lt;2025&gt; · ZettaNote</title>');
+    expect(html).toContain('<meta property="og:title" content="Plans &lt;2025&gt;">');
+    expect(html).toContain('<meta name="description" content="Hello world, see the other page.">');
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image">');
+    expect(html).toContain('<link rel="canonical" href="https://zettanote.tech/public/abc">');
+    expect(html).toContain('<a href="#user-content-setup-1">Setup</a>');
+    expect(html).toContain('href="/api/pages/share/abc/export?format=md"');
+  });
+
+  it('should stop links that are revoked, expired or out of views', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const link = { viewCount: 3, maxViews: null, expiresAt: null, revokedAt: null };
+
+    expect(getShareLinkStatus(null, now)).toBeNull();
+    expect(getShareLinkStatus(link, now)).toBeNull();
+    expect(getShareLinkStatus({ ...link, maxViews: 3 }, now)).toBe('view-limit');
+    expect(getShareLinkStatus({ ...link, expiresAt: new Date('2025-06-01T11:00:00Z') }, now)).toBe(
+      'expired'
+    );
+    expect(getShareLinkStatus({ ...link, revokedAt: now }, now)).toBe('revoked');
+  });
+
+  it('should report views per day without the password hash', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const analytics = getShareLinkAnalytics(
+      {
+        shareId: 'abc',
+        passwordHash: '$2b$10$hash',
+        viewCount: 5,
+        maxViews: 10,
+        dailyViews: new Map([
+          ['2025-06-01', 2],
+          ['2025-05-31', 3],
+          ['2025-01-01', 9],
+        ]),
+      },
+      now
+    );
+
+    expect(analytics.passwordHash).toBeUndefined();
+    expect(analytics.hasPassword).toBe(true);
+    expect(analytics.status).toBe('active');
+    expect(analytics.dailyViews).toHaveLength(30);
+    expect(analytics.dailyViews.slice(-2)).toEqual([
+      { day: '2025-05-31', views: 3 },
+      { day: '2025-06-01', views: 2 },
+    ]);
+  });
+});
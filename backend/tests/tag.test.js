@@ -0,0 +1,41 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  extractHashtags,
+  rewriteHashtags,
+  getPageTags,
+  countTags,
+} from '../src/utils/tag.utils.js';
+
+describe('ZettaNote Backend - Tag Utility', () => {
+  it('should extract hashtags but not headings, code or mid-word hashes', () => {
+    const content = '# Heading\n#Work and #ideas/sub, issue#12, `#code`\n```\n#block\n```';
+    expect(extractHashtags(content)).toEqual(['work', 'ideas/sub']);
+  });
+
+  it('should rename a hashtag and its nested tags outside code', () => {
+    const { content, count } = rewriteHashtags(
+      '#Ideas, #ideas/books and #ideasx. `#ideas`',
+      'ideas',
+      'notes'
+    );
+    expect(count).toBe(2);
+    expect(content).toBe('#notes, #notes/books and #ideasx. `#ideas`');
+  });
+
+  it('should turn a removed hashtag into a plain word', () => {
+    const { content, count } = rewriteHashtags('Done #todo- and #todo/later', 'todo', null);
+    expect(count).toBe(1);
+    expect(content).toBe('Done todo- and #todo/later');
+  });
+
+  it('should merge page tags and count them across pages', () => {
+    const tags = getPageTags({ tags: ['work', 'ideas'], hashtags: ['work', 'books'] });
+    expect(tags).toEqual(['books', 'ideas', 'work']);
+    expect(countTags([{ tags }, { tags: ['work'] }, {}])).toEqual([
+      { tag: 'work', count: 2 },
+      { tag: 'books', count: 1 },
+      { tag: 'ideas', count: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  isValidTimeZone,
+  getTemplateVariables,
+  expandTemplateVariables,
+} from '../src/utils/template.utils.js';
+
+describe('ZettaNote Backend - Template Utility', () => {
+  const variables = getTemplateVariables({
+    title: 'Weekly Review',
+    user: { name: 'Sam', email: 'sam@example.com' },
+    now: new Date('2026-03-05T23:30:00Z'),
+    timeZone: 'Asia/Tokyo',
+  });
+
+  it('should format dates and times in the given time zone', () => {
+    expect(variables.date).toBe('2026-03-06');
+    expect(variables.time).toBe('08:30');
+    expect(variables.weekday).toBe('Friday');
+  });
+
+  it('should expand known variables and keep unknown ones', () => {
+    const content = '# {{title}}\n{{ date }} by {{user.name}} {{unknown}}';
+    expect(expandTemplateVariables(content, variables)).toBe(
+      '# Weekly Review\n2026-03-06 by Sam {{unknown}}'
+    );
+  });
+
+  it('should validate time zone names', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});
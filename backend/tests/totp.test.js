@@ -0,0 +1,97 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  encodeBase32,
+  decodeBase32,
+  generateTotpSecret,
+  getTotpCode,
+  matchTotpStep,
+  getTotpStep,
+  getOtpauthUri,
+  normalizeTwoFactorCode,
+  isTotpCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} from '../src/utils/totp.utils.js';
+
+// Secret of the RFC 6238 test vectors, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('ZettaNote Backend - TOTP Utility', () => {
+  it('should encode and decode base32 both ways', () => {
+    expect(encodeBase32(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(decodeBase32(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(decodeBase32('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe(
+      '12345678901234567890'
+    );
+    expect(() => decodeBase32('GEZ1')).toThrow();
+  });
+
+  it('should generate 160-bit secrets', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(decodeBase32(secret)).toHaveLength(20);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(getTotpCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(getTotpCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(getTotpCode(RFC_SECRET, 1111111111 * 1000)).toBe('050471');
+    expect(getTotpCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(getTotpCode(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+    expect(getTotpCode(RFC_SECRET, 20000000000 * 1000)).toBe('353130');
+  });
+
+  it('should accept codes from the steps next to the current one only', () => {
+    const now = 1111111111 * 1000;
+    const step = getTotpStep(now);
+
+    expect(matchTotpStep(RFC_SECRET, getTotpCode(RFC_SECRET, now), now)).toBe(step);
+    expect(matchTotpStep(RFC_SECRET, getTotpCode(RFC_SECRET, now - 30000), now)).toBe(step - 1);
+    expect(matchTotpStep(RFC_SECRET, getTotpCode(RFC_SECRET, now + 30000), now)).toBe(step + 1);
+    expect(matchTotpStep(RFC_SECRET, getTotpCode(RFC_SECRET, now - 90000), now)).toBeNull();
+  });
+
+  it('should reject malformed codes and missing secrets', () => {
+    const now = 59 * 1000;
+    expect(matchTotpStep(RFC_SECRET, '28708', now)).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, '2870822', now)).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, 'abcdef', now)).toBeNull();
+    expect(matchTotpStep(null, '287082', now)).toBeNull();
+  });
+
+  it('should build otpauth URIs authenticator apps can import', () => {
+    const uri = new URL(
+      getOtpauthUri({ issuer: 'ZettaNote', account: 'ada@example.com', secret: RFC_SECRET })
+    );
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/ZettaNote:ada@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('ZettaNote');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+
+  it('should tell authenticator codes from recovery codes', () => {
+    expect(normalizeTwoFactorCode(' 287 082 ')).toBe('287082');
+    expect(normalizeTwoFactorCode('3F9A2-C41B7')).toBe('3f9a2c41b7');
+    expect(normalizeTwoFactorCode(undefined)).toBe('');
+    expect(isTotpCode('287082')).toBe(true);
+    expect(isTotpCode('3f9a2c41b7')).toBe(false);
+    expect(isTotpCode('1234567890')).toBe(false);
+  });
+
+  it('should generate distinct recovery codes that hash the same however they are typed', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    const hash = hashRecoveryCode(codes[0]);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(hash);
+    expect(hashRecoveryCode(codes[1])).not.toBe(hash);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect, jest } from '@jest/globals';
+
+import PageVersion from '../src/models/PageVersion.model.js';
+import { preserveUnversionedContent } from '../src/utils/version.utils.js';
+
+jest.mock('../src/models/PageVersion.model.js', () => ({
+  exists: jest.fn(),
+  create: jest.fn((version) => Promise.resolve(version)),
+}));
+
+describe('ZettaNote Backend - Version Utility', () => {
+  it('should keep the content of a page without versions before it is overwritten', async () => {
+    PageVersion.exists.mockResolvedValueOnce(null);
+
+    const version = await preserveUnversionedContent({
+      _id: 'p1',
+      owner: 'u1',
+      pageData: '# Plans',
+    });
+
+    expect(version).toEqual({ page: 'p1', pageData: '# Plans', author: 'u1', size: 7 });
+  });
+
+  it('should leave pages that already have versions alone', async () => {
+    PageVersion.exists.mockResolvedValueOnce({ _id: 'v1' });
+
+    expect(
+      await preserveUnversionedContent({ _id: 'p1', owner: 'u1', pageData: '# Plans' })
+    ).toBeNull();
+    expect(PageVersion.create).not.toHaveBeenCalled();
+  });
+
+  it('should not keep empty pages', async () => {
+    expect(await preserveUnversionedContent({ _id: 'p1', owner: 'u1', pageData: '' })).toBeNull();
+    expect(PageVersion.exists).not.toHaveBeenCalled();
+  });
+});
@@ -10,6 +10,10 @@ import Signup from './pages/Signup';
 import { Toaster } from 'react-hot-toast';
 import Dashboard from './pages/Dashboard';
 import PublicShare from './pages/PublicShare';
+import VerifyEmail from './pages/VerifyEmail';
+import ResetPassword from './pages/ResetPassword';
+import Settings from './pages/Settings';
+import ConfirmEmail from './pages/ConfirmEmail';
 import authContext from './context/AuthProvider';
 
 // =============================================================================
@@ -55,6 +59,10 @@ const App = () => {
         />
         <Route path="/dashboard/:pageId" element={user ? <Dashboard /> : <Navigate to="/" />} />
         <Route path="/public/:shareId" element={<PublicShare />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/confirm-email" element={<ConfirmEmail />} />
+        <Route path="/settings" element={user ? <Settings /> : <Navigate to="/login" />} />
       </Routes>
       {location.pathname !== '/login' &&
         location.pathname !== '/signup' &&
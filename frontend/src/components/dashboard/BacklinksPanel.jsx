@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiLink2, FiChevronDown, FiChevronRight, FiFile, FiShare2 } from 'react-icons/fi';
+import { pagesAPI } from '../../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Lists the pages that link to the open page with [[wiki links]], with the
+// lines containing the link for context. Reloads when the page changes or a
+// new revision is saved (links are indexed by the server on save).
+
+const BacklinksPanel = ({ pageId, refreshKey = null, onOpenPage }) => {
+  const [backlinks, setBacklinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(true);
+
+  useEffect(() => {
+    if (!pageId) return undefined;
+
+    let cancelled = false;
+    const fetchBacklinks = async () => {
+      try {
+        setLoading(true);
+        const response = await pagesAPI.getBacklinks(pageId);
+        if (!cancelled) setBacklinks(response.data.Backlinks || []);
+      } catch (error) {
+        console.error('Error fetching backlinks:', error);
+        if (!cancelled) setBacklinks([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchBacklinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [pageId, refreshKey]);
+
+  return (
+    <div className="mt-6 bg-base-100 rounded-2xl border border-base-300 shadow-sm">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 w-full text-left px-5 py-3 font-semibold text-sm text-base-content/80 hover:text-base-content"
+      >
+        {isOpen ? <FiChevronDown className="w-4 h-4" /> : <FiChevronRight className="w-4 h-4" />}
+        <FiLink2 className="w-4 h-4 text-secondary" />
+        Linked from {backlinks.length} page{backlinks.length === 1 ? '' : 's'}
+        {loading && <span className="loading loading-spinner loading-xs ml-auto"></span>}
+      </button>
+
+      {isOpen && (
+        <div className="px-5 pb-4">
+          {backlinks.length > 0 ? (
+            <ul className="space-y-2">
+              {backlinks.map((backlink) => (
+                <li key={backlink.id}>
+                  <button
+                    onClick={() => onOpenPage({ id: backlink.id, name: backlink.name })}
+                    className="w-full text-left p-3 rounded-xl hover:bg-base-200 transition-colors"
+                  >
+                    <div className="flex items-center gap-2 text-sm font-medium">
+                      {backlink.shared ? (
+                        <FiShare2 className="w-4 h-4 text-secondary" />
+                      ) : (
+                        <FiFile className="w-4 h-4 text-primary" />
+                      )}
+                      <span className="truncate">{backlink.name}</span>
+                    </div>
+                    {backlink.context.map((line, index) => (
+                      <p key={index} className="text-xs text-base-content/60 mt-1 truncate">
+                        {line}
+                      </p>
+                    ))}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            !loading && (
+              <p className="text-xs text-base-content/50">
+                No pages link here yet. Link to this page from another note with [[Page Name]].
+              </p>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+BacklinksPanel.propTypes = {
+  pageId: PropTypes.string,
+  refreshKey: PropTypes.number,
+  onOpenPage: PropTypes.func.isRequired,
+};
+
+export default BacklinksPanel;
@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { FiCheckSquare, FiX } from 'react-icons/fi';
+import { tasksAPI } from '../../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Turns a checklist item of the open page into a task with a deadline. The task
+// stays linked to the item on the server: completing the task ticks the item,
+// and ticking the item completes the task.
+
+const ChecklistTaskModal = ({ item, pageId, onClose }) => {
+  const [title, setTitle] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [dueTime, setDueTime] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!item) return;
+    setTitle(item.text.slice(0, 200));
+    setDueDate('');
+    setDueTime('');
+  }, [item]);
+
+  if (!item) return null;
+
+  const createTask = async () => {
+    const deadline = new Date(dueDate);
+    if (dueTime) {
+      const [hours, minutes] = dueTime.split(':');
+      deadline.setHours(parseInt(hours), parseInt(minutes));
+    } else {
+      deadline.setHours(23, 59, 59);
+    }
+
+    try {
+      setSaving(true);
+      await tasksAPI.createTask({
+        taskName: title.trim(),
+        taskDeadline: deadline,
+        pageId,
+        pageLine: item.line,
+      });
+      toast.success('Task created - find it in Reminders');
+      onClose();
+    } catch (error) {
+      console.error('Error creating task from checklist item:', error);
+      toast.error(error.response?.data?.message || 'Failed to create task');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-60 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-300">
+        <div className="p-6 border-b border-base-300 flex items-center justify-between">
+          <h3 className="text-lg font-bold text-base-content flex items-center gap-2">
+            <FiCheckSquare className="w-5 h-5 text-primary" />
+            Convert to task
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle hover:btn-error">
+            <FiX className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="label">
+              <span className="label-text font-medium">Title</span>
+            </label>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              value={title}
+              maxLength={200}
+              onChange={(e) => setTitle(e.target.value)}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">
+                <span className="label-text font-medium">Due Date *</span>
+              </label>
+              <input
+                type="date"
+                className="input input-bordered w-full"
+                value={dueDate}
+                min={new Date().toISOString().split('T')[0]}
+                onChange={(e) => setDueDate(e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="label">
+                <span className="label-text font-medium">Due Time</span>
+              </label>
+              <input
+                type="time"
+                className="input input-bordered w-full"
+                value={dueTime}
+                onChange={(e) => setDueTime(e.target.value)}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-base-content/60">
+            Completing the task ticks this item in the note, and ticking the item completes the
+            task.
+          </p>
+        </div>
+        <div className="p-6 border-t border-base-300 flex gap-3 justify-end">
+          <button onClick={onClose} className="btn btn-ghost">
+            Cancel
+          </button>
+          <button
+            onClick={createTask}
+            className="btn btn-primary"
+            disabled={!title.trim() || !dueDate || saving}
+          >
+            {saving ? <span className="loading loading-spinner loading-sm"></span> : 'Create Task'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ChecklistTaskModal.propTypes = {
+  item: PropTypes.shape({
+    line: PropTypes.number.isRequired,
+    text: PropTypes.string.isRequired,
+  }),
+  pageId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ChecklistTaskModal;
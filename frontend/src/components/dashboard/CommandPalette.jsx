@@ -0,0 +1,219 @@
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { FiSearch, FiFile, FiShare2 } from 'react-icons/fi';
+import { pagesAPI } from '../../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Ctrl+K / Cmd+K command palette for jumping to any accessible page.
+// - Searches page names and content on the server (debounced 250ms)
+// - Query syntax: words, "exact phrases", prefix*, tag:name, owner:me|email|name
+// - Arrow keys move the selection, Enter opens it, Escape closes the palette
+// - Stale responses are ignored so fast typing never shows old results
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Render text with highlighted ranges
+ * @param {string} text - Text to render
+ * @param {number[][]} highlights - [start, end] ranges to highlight
+ * @returns {Array} Text and <mark> elements
+ */
+const renderHighlighted = (text, highlights = []) => {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="bg-warning/40 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return parts;
+};
+
+const CommandPalette = ({ isOpen, onClose, onPageSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const requestIdRef = useRef(0);
+  const listRef = useRef(null);
+
+  // Start fresh every time the palette opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setResults([]);
+      setError(null);
+      setActiveIndex(0);
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const trimmed = query.trim();
+    if (!trimmed) {
+      requestIdRef.current++;
+      setResults([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    const timeoutId = setTimeout(async () => {
+      const requestId = ++requestIdRef.current;
+      try {
+        const response = await pagesAPI.searchPages(trimmed);
+        if (requestId !== requestIdRef.current) return;
+        setResults(response.data.Results || []);
+        setError(null);
+        setActiveIndex(0);
+      } catch (err) {
+        if (requestId !== requestIdRef.current) return;
+        console.error('Error searching pages:', err);
+        setError(err.response?.data?.message || 'Search failed');
+        setResults([]);
+      } finally {
+        if (requestId === requestIdRef.current) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [query, isOpen]);
+
+  // Keep the highlighted result in view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const openResult = (result) => {
+    if (!result) return;
+    onPageSelect({ id: result.id, name: result.name, title: result.name, pageName: result.name });
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      openResult(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 flex items-start justify-center z-[60] p-4 pt-[15vh]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-2xl border border-base-300 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Search pages"
+      >
+        {/* Search Input */}
+        <div className="flex items-center gap-3 px-5 py-4 border-b border-base-300">
+          <FiSearch className="w-5 h-5 text-base-content/50 flex-shrink-0" />
+          <input
+            type="text"
+            className="flex-1 bg-transparent outline-none text-base placeholder:text-base-content/40"
+            placeholder='Search pages... try "exact phrase", plan*, tag:work, owner:me'
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            autoFocus
+          />
+          {loading && <span className="loading loading-spinner loading-sm text-primary"></span>}
+          <kbd className="kbd kbd-sm">Esc</kbd>
+        </div>
+
+        {/* Results */}
+        <div className="max-h-[50vh] overflow-y-auto">
+          {error ? (
+            <p className="px-5 py-8 text-center text-sm text-error">{error}</p>
+          ) : results.length > 0 ? (
+            <ul ref={listRef} className="p-2">
+              {results.map((result, index) => (
+                <li key={result.id}>
+                  <button
+                    className={`w-full text-left flex items-start gap-3 p-3 rounded-xl transition-colors ${
+                      index === activeIndex ? 'bg-primary/10' : 'hover:bg-base-200'
+                    }`}
+                    onClick={() => openResult(result)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                  >
+                    {result.shared ? (
+                      <FiShare2 className="w-4 h-4 mt-0.5 flex-shrink-0 text-secondary" />
+                    ) : (
+                      <FiFile className="w-4 h-4 mt-0.5 flex-shrink-0 text-primary" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2">
+                        <p className="text-sm font-semibold truncate">
+                          {renderHighlighted(result.name, result.nameHighlights)}
+                        </p>
+                        {result.shared && (
+                          <span className="text-xs text-base-content/50 truncate">
+                            by {result.ownerName || 'Unknown'}
+                          </span>
+                        )}
+                      </div>
+                      {result.snippet?.text && (
+                        <p className="text-xs text-base-content/60 mt-1 line-clamp-2 break-words">
+                          {renderHighlighted(result.snippet.text, result.snippet.highlights)}
+                        </p>
+                      )}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : query.trim() && !loading ? (
+            <p className="px-5 py-8 text-center text-sm text-base-content/60">No matching pages</p>
+          ) : (
+            <p className="px-5 py-8 text-center text-sm text-base-content/50">
+              Search the names and content of your pages and pages shared with you
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center gap-4 px-5 py-2 border-t border-base-300 text-xs text-base-content/50">
+          <span>
+            <kbd className="kbd kbd-xs">↑</kbd> <kbd className="kbd kbd-xs">↓</kbd> to navigate
+          </span>
+          <span>
+            <kbd className="kbd kbd-xs">Enter</kbd> to open
+          </span>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+CommandPalette.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onPageSelect: PropTypes.func.isRequired,
+};
+
+export default CommandPalette;
@@ -0,0 +1,446 @@
+import { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FiMessageSquare,
+  FiX,
+  FiCheck,
+  FiRotateCcw,
+  FiEdit2,
+  FiTrash2,
+  FiCornerDownRight,
+  FiAlertTriangle,
+} from 'react-icons/fi';
+import { splitMentions, formatMention } from '../../utils/comments';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Comment threads of the open page, shown next to the preview. Threads are
+// anchored to selected text or a heading (highlighted in the preview) or to
+// the whole page. Typing @ in a comment suggests the page's owner and
+// collaborators; mentioned users are emailed by the server.
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Comment text with mentions shown as badges
+ */
+const CommentBody = ({ body }) => (
+  <p className="text-sm text-base-content whitespace-pre-wrap break-words">
+    {splitMentions(body).map((part, index) =>
+      part.type === 'mention' ? (
+        <span key={index} className="text-primary font-medium">
+          @{part.name}
+        </span>
+      ) : (
+        <span key={index}>{part.text}</span>
+      )
+    )}
+  </p>
+);
+
+CommentBody.propTypes = {
+  body: PropTypes.string.isRequired,
+};
+
+/**
+ * Textarea for writing a comment, suggesting people to mention after @
+ */
+const CommentComposer = ({
+  mentionableUsers,
+  onSubmit,
+  onCancel,
+  initialValue = '',
+  placeholder = 'Add a comment...',
+  submitLabel = 'Comment',
+  autoFocus = false,
+}) => {
+  const [value, setValue] = useState(initialValue);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const textareaRef = useRef(null);
+
+  const suggestions =
+    mentionQuery === null
+      ? []
+      : mentionableUsers
+          .filter((user) =>
+            `${user.name} ${user.email}`.toLowerCase().includes(mentionQuery.toLowerCase())
+          )
+          .slice(0, MAX_SUGGESTIONS);
+
+  const handleChange = (e) => {
+    setValue(e.target.value);
+    const beforeCaret = e.target.value.slice(0, e.target.selectionStart);
+    const match = beforeCaret.match(/(?:^|\s)@([^\s@[\]]*)$/);
+    setMentionQuery(match ? match[1] : null);
+  };
+
+  const insertMention = (user) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const start = value.slice(0, caret).lastIndexOf('@');
+    const mention = `${formatMention(user)} `;
+    const newValue = value.slice(0, start) + mention + value.slice(caret);
+
+    setValue(newValue);
+    setMentionQuery(null);
+    setTimeout(() => {
+      textarea.focus();
+      textarea.setSelectionRange(start + mention.length, start + mention.length);
+    }, 0);
+  };
+
+  const submit = async () => {
+    if (!value.trim() || isSubmitting) return;
+    setIsSubmitting(true);
+    const saved = await onSubmit(value.trim());
+    setIsSubmitting(false);
+    if (saved) {
+      setValue('');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0 && (e.key === 'Enter' || e.key === 'Tab')) {
+      e.preventDefault();
+      insertMention(suggestions[0]);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
+  return (
+    <div className="relative space-y-2">
+      <textarea
+        ref={textareaRef}
+        className="textarea textarea-bordered w-full text-sm rounded-xl min-h-[4.5rem]"
+        placeholder={placeholder}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        autoFocus={autoFocus}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-20 left-0 right-0 top-full -mt-1 menu bg-base-100 rounded-xl border border-base-300 shadow-lg p-1">
+          {suggestions.map((user) => (
+            <li key={user.id}>
+              <button
+                type="button"
+                onClick={() => insertMention(user)}
+                className="flex-col items-start gap-0"
+              >
+                <span className="text-sm font-medium">{user.name}</span>
+                <span className="text-xs text-base-content/60">{user.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn btn-ghost btn-xs rounded-lg">
+            Cancel
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={submit}
+          className="btn btn-primary btn-xs rounded-lg"
+          disabled={!value.trim() || isSubmitting}
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+CommentComposer.propTypes = {
+  mentionableUsers: PropTypes.array.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+  initialValue: PropTypes.string,
+  placeholder: PropTypes.string,
+  submitLabel: PropTypes.string,
+  autoFocus: PropTypes.bool,
+};
+
+/**
+ * One comment of a thread with its edit and delete actions
+ */
+const CommentItem = ({ comment, canEdit, canDelete, mentionableUsers, onUpdate, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+
+  return (
+    <div className="group space-y-1">
+      <div className="flex items-center gap-2 text-xs text-base-content/60">
+        <span className="font-semibold text-base-content/80">
+          {comment.author?.name || 'Deleted user'}
+        </span>
+        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+        {comment.editedAt && <span>(edited)</span>}
+        <div className="ml-auto flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+          {canEdit && !isEditing && (
+            <button
+              onClick={() => setIsEditing(true)}
+              className="btn btn-ghost btn-xs btn-circle"
+              title="Edit"
+            >
+              <FiEdit2 className="w-3 h-3" />
+            </button>
+          )}
+          {canDelete && (
+            <button
+              onClick={() => onDelete(comment)}
+              className="btn btn-ghost btn-xs btn-circle hover:text-error"
+              title="Delete"
+            >
+              <FiTrash2 className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      </div>
+      {isEditing ? (
+        <CommentComposer
+          mentionableUsers={mentionableUsers}
+          initialValue={comment.body}
+          submitLabel="Save"
+          autoFocus
+          onCancel={() => setIsEditing(false)}
+          onSubmit={async (body) => {
+            const saved = await onUpdate(comment.id, body);
+            if (saved) setIsEditing(false);
+            return saved;
+          }}
+        />
+      ) : (
+        <CommentBody body={comment.body} />
+      )}
+    </div>
+  );
+};
+
+CommentItem.propTypes = {
+  comment: PropTypes.object.isRequired,
+  canEdit: PropTypes.bool,
+  canDelete: PropTypes.bool,
+  mentionableUsers: PropTypes.array.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+const CommentsSidebar = ({
+  threads,
+  loading = false,
+  mentionableUsers,
+  currentUserEmail,
+  canComment = false,
+  canModerate = false,
+  pendingAnchor = null,
+  onCancelPending,
+  activeThreadId = null,
+  onSelectThread,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onResolve,
+  onClose,
+}) => {
+  const [showResolved, setShowResolved] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  const openThreads = threads.filter((thread) => !thread.resolvedAt);
+  const visibleThreads = showResolved ? threads : openThreads;
+
+  const isAuthor = (comment) => !!comment.author && comment.author.email === currentUserEmail;
+
+  const confirmDelete = (comment) => {
+    const message = comment.parentId
+      ? 'Delete this reply?'
+      : 'Delete this comment and all of its replies?';
+    if (window.confirm(message)) {
+      onDelete(comment.id);
+    }
+  };
+
+  return (
+    <aside className="w-full lg:w-80 shrink-0 bg-base-100 rounded-2xl border border-base-300 shadow-lg lg:sticky lg:top-4 max-h-[80vh] flex flex-col">
+      <div className="flex items-center gap-2 px-4 py-3 border-b border-base-300">
+        <FiMessageSquare className="w-4 h-4 text-primary" />
+        <h3 className="font-semibold text-sm">Comments ({openThreads.length})</h3>
+        {loading && <span className="loading loading-spinner loading-xs"></span>}
+        <label className="ml-auto flex items-center gap-1 text-xs text-base-content/60 cursor-pointer">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-xs"
+            checked={showResolved}
+            onChange={(e) => setShowResolved(e.target.checked)}
+          />
+          Resolved
+        </label>
+        <button onClick={onClose} className="btn btn-ghost btn-xs btn-circle" title="Close">
+          <FiX className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {pendingAnchor && (
+          <div className="rounded-xl border border-primary/40 bg-primary/5 p-3 space-y-2">
+            <p className="text-xs text-base-content/70 border-l-2 border-warning pl-2 line-clamp-3">
+              {pendingAnchor.quote}
+            </p>
+            <CommentComposer
+              mentionableUsers={mentionableUsers}
+              autoFocus
+              onCancel={onCancelPending}
+              onSubmit={async (body) => {
+                const { kind, quote, headingId } = pendingAnchor;
+                const anchor = kind === 'heading' ? { kind, headingId } : { kind, quote };
+                const saved = await onAdd(body, { anchor });
+                if (saved) onCancelPending();
+                return saved;
+              }}
+            />
+          </div>
+        )}
+
+        {visibleThreads.map((thread) => (
+          <div
+            key={thread.id}
+            onClick={() => onSelectThread(thread.id)}
+            className={`rounded-xl border p-3 space-y-3 cursor-pointer transition-colors ${
+              thread.id === activeThreadId
+                ? 'border-warning bg-warning/5'
+                : 'border-base-300 hover:bg-base-200/40'
+            } ${thread.resolvedAt ? 'opacity-60' : ''}`}
+          >
+            {thread.anchor && (
+              <div className="flex items-start gap-1 text-xs text-base-content/60">
+                {thread.orphaned && (
+                  <FiAlertTriangle
+                    className="w-3 h-3 mt-0.5 text-warning shrink-0"
+                    title="The commented text was changed or removed"
+                  />
+                )}
+                <p className="border-l-2 border-warning pl-2 italic line-clamp-2">
+                  {thread.anchor.quote}
+                </p>
+              </div>
+            )}
+
+            <CommentItem
+              comment={thread}
+              canEdit={canComment && isAuthor(thread)}
+              canDelete={isAuthor(thread) || canModerate}
+              mentionableUsers={mentionableUsers}
+              onUpdate={onUpdate}
+              onDelete={confirmDelete}
+            />
+
+            {thread.replies.map((reply) => (
+              <div key={reply.id} className="flex gap-2 pl-2">
+                <FiCornerDownRight className="w-3 h-3 mt-1 text-base-content/40 shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <CommentItem
+                    comment={reply}
+                    canEdit={canComment && isAuthor(reply)}
+                    canDelete={isAuthor(reply) || canModerate}
+                    mentionableUsers={mentionableUsers}
+                    onUpdate={onUpdate}
+                    onDelete={confirmDelete}
+                  />
+                </div>
+              </div>
+            ))}
+
+            {canComment && (
+              <div className="flex gap-2" onClick={(e) => e.stopPropagation()}>
+                {replyingTo === thread.id ? (
+                  <div className="flex-1">
+                    <CommentComposer
+                      mentionableUsers={mentionableUsers}
+                      placeholder="Reply..."
+                      submitLabel="Reply"
+                      autoFocus
+                      onCancel={() => setReplyingTo(null)}
+                      onSubmit={async (body) => {
+                        const saved = await onAdd(body, { parentId: thread.id });
+                        if (saved) setReplyingTo(null);
+                        return saved;
+                      }}
+                    />
+                  </div>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => setReplyingTo(thread.id)}
+                      className="btn btn-ghost btn-xs rounded-lg"
+                    >
+                      Reply
+                    </button>
+                    <button
+                      onClick={() => onResolve(thread.id, !thread.resolvedAt)}
+                      className="btn btn-ghost btn-xs rounded-lg gap-1 ml-auto"
+                    >
+                      {thread.resolvedAt ? (
+                        <>
+                          <FiRotateCcw className="w-3 h-3" /> Reopen
+                        </>
+                      ) : (
+                        <>
+                          <FiCheck className="w-3 h-3" /> Resolve
+                        </>
+                      )}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {visibleThreads.length === 0 && !pendingAnchor && !loading && (
+          <p className="text-xs text-base-content/50 text-center py-6">
+            {canComment
+              ? 'No comments yet. Select text or a heading in the preview to start a discussion.'
+              : 'No comments yet.'}
+          </p>
+        )}
+      </div>
+
+      {canComment && !pendingAnchor && (
+        <div className="p-4 border-t border-base-300">
+          <CommentComposer
+            mentionableUsers={mentionableUsers}
+            placeholder="Comment on the whole page..."
+            onSubmit={(body) => onAdd(body)}
+          />
+        </div>
+      )}
+    </aside>
+  );
+};
+
+CommentsSidebar.propTypes = {
+  threads: PropTypes.array.isRequired,
+  loading: PropTypes.bool,
+  mentionableUsers: PropTypes.array.isRequired,
+  currentUserEmail: PropTypes.string,
+  canComment: PropTypes.bool,
+  canModerate: PropTypes.bool,
+  pendingAnchor: PropTypes.object,
+  onCancelPending: PropTypes.func.isRequired,
+  activeThreadId: PropTypes.string,
+  onSelectThread: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onResolve: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default CommentsSidebar;
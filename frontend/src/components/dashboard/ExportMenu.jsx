@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiDownload, FiFileText, FiCode, FiFile, FiGlobe } from 'react-icons/fi';
+import { BiLogoMarkdown } from 'react-icons/bi';
+import toast from 'react-hot-toast';
+import { saveDownload, getBlobErrorMessage } from '../../utils/download';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Dropdown for downloading pages in another format. The caller does the request
+// (onExport returns the blob response) so the same menu serves a single page, the
+// whole workspace and public shares. PDFs and sites are rendered on the server and
+// can take a few seconds, so the button shows a spinner until the file arrives.
+
+const EXPORT_FORMATS = {
+  md: { label: 'Markdown', description: '.md file', icon: BiLogoMarkdown },
+  html: { label: 'HTML', description: 'Standalone web page', icon: FiCode },
+  pdf: { label: 'PDF', description: 'Print-ready document', icon: FiFileText },
+  docx: { label: 'Word', description: '.docx document', icon: FiFile },
+  site: { label: 'Static site', description: 'Linked HTML pages (.zip)', icon: FiGlobe },
+};
+
+const ExportMenu = ({
+  onExport,
+  formats = Object.keys(EXPORT_FORMATS),
+  label = 'Export',
+  fileName = 'export',
+  buttonClassName = 'btn btn-ghost btn-sm gap-1 lg:gap-2 rounded-xl',
+  iconOnly = false,
+  alignEnd = true,
+  hint,
+}) => {
+  const [exporting, setExporting] = useState(null);
+
+  const runExport = async (format) => {
+    // Close the daisyUI dropdown
+    document.activeElement?.blur();
+    try {
+      setExporting(format);
+      const response = await onExport(format);
+      const saved = saveDownload(response, `${fileName}.${format === 'site' ? 'zip' : format}`);
+      toast.success(`Downloaded ${saved}`);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      toast.error(await getBlobErrorMessage(error, 'Export failed'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className={`dropdown ${alignEnd ? 'dropdown-end' : ''}`}>
+      <div
+        tabIndex={0}
+        role="button"
+        className={`${buttonClassName} ${exporting ? 'pointer-events-none' : ''}`}
+        title={label}
+      >
+        {exporting ? (
+          <span className="loading loading-spinner loading-sm"></span>
+        ) : (
+          <FiDownload className="w-4 h-4" />
+        )}
+        {!iconOnly && <span className="hidden sm:inline">{label}</span>}
+      </div>
+      <ul
+        tabIndex={0}
+        className="dropdown-content menu bg-base-100 rounded-box z-[60] w-60 p-2 shadow-xl border border-base-300"
+      >
+        {formats.map((format) => {
+          const { label: formatLabel, description, icon: Icon } = EXPORT_FORMATS[format];
+          return (
+            <li key={format}>
+              <button
+                onClick={() => runExport(format)}
+                className="flex items-center gap-3 text-sm"
+                disabled={Boolean(exporting)}
+              >
+                <Icon className="w-4 h-4 text-primary" />
+                <span className="flex-1 text-left">{formatLabel}</span>
+                <span className="text-xs text-base-content/50">{description}</span>
+              </button>
+            </li>
+          );
+        })}
+        {hint && <li className="menu-title text-xs font-normal pt-2">{hint}</li>}
+      </ul>
+    </div>
+  );
+};
+
+ExportMenu.propTypes = {
+  onExport: PropTypes.func.isRequired,
+  formats: PropTypes.arrayOf(PropTypes.oneOf(Object.keys(EXPORT_FORMATS))),
+  label: PropTypes.string,
+  fileName: PropTypes.string,
+  buttonClassName: PropTypes.string,
+  iconOnly: PropTypes.bool,
+  alignEnd: PropTypes.bool,
+  hint: PropTypes.string,
+};
+
+export default ExportMenu;
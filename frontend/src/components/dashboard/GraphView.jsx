@@ -0,0 +1,370 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { FiX, FiRefreshCw } from 'react-icons/fi';
+import { BiNetworkChart } from 'react-icons/bi';
+import toast from 'react-hot-toast';
+import { pagesAPI } from '../../utils/api';
+import { seedPositions, stepLayout, getNeighbourhood } from '../../utils/forceLayout';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Full-screen knowledge graph of the user's pages.
+// - Nodes are pages (own and shared), edges come from [[wiki links]] (solid)
+//   and markdown links (dashed), both parsed by the server
+// - Laid out with a small force simulation (utils/forceLayout) that cools down
+//   and stops; dragging a node reheats it
+// - Filters: #tag, and depth (number of links) around the active page
+// - Scroll to zoom, drag the background to pan, click a node to open the page
+
+// =============================================================================
+// TODO
+// =============================================================================
+// - [ ] Switch to a canvas renderer for very large workspaces
+
+const COOLING = 0.985;
+const MIN_ALPHA = 0.02;
+const CLICK_TOLERANCE = 4;
+
+const GraphView = ({ isOpen, onClose, activePageId = null, onPageSelect }) => {
+  const [graph, setGraph] = useState({ nodes: [], edges: [] });
+  const [loading, setLoading] = useState(false);
+  const [tagFilter, setTagFilter] = useState('');
+  const [depth, setDepth] = useState('all');
+  const [hoveredId, setHoveredId] = useState(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const [size, setSize] = useState({ width: 800, height: 600 });
+  const [, setFrame] = useState(0);
+
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const positionsRef = useRef(new Map());
+  const alphaRef = useRef(0);
+  const animationRef = useRef(null);
+  const pointerRef = useRef(null);
+
+  const fetchGraph = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await pagesAPI.getGraph();
+      setGraph({ nodes: response.data.nodes || [], edges: response.data.edges || [] });
+    } catch (error) {
+      console.error('Error loading graph:', error);
+      toast.error('Failed to load graph');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchGraph();
+    }
+  }, [isOpen, fetchGraph]);
+
+  useEffect(() => {
+    if (!isOpen || !containerRef.current) return;
+    const { clientWidth, clientHeight } = containerRef.current;
+    setSize({ width: clientWidth, height: clientHeight });
+    setView({ x: 0, y: 0, scale: 1 });
+  }, [isOpen]);
+
+  const allTags = useMemo(
+    () => [...new Set(graph.nodes.flatMap((node) => node.tags))].sort(),
+    [graph.nodes]
+  );
+
+  const { nodes, edges } = useMemo(() => {
+    let visible = graph.nodes;
+
+    if (depth !== 'all' && activePageId) {
+      const nearby = getNeighbourhood(activePageId, graph.edges, Number(depth));
+      visible = visible.filter((node) => nearby.has(node.id));
+    }
+    if (tagFilter) {
+      visible = visible.filter((node) => node.tags.includes(tagFilter) || node.id === activePageId);
+    }
+
+    const ids = new Set(visible.map((node) => node.id));
+    const degree = new Map();
+    const visibleEdges = graph.edges.filter((edge) => {
+      if (!ids.has(edge.source) || !ids.has(edge.target)) return false;
+      degree.set(edge.source, (degree.get(edge.source) || 0) + 1);
+      degree.set(edge.target, (degree.get(edge.target) || 0) + 1);
+      return true;
+    });
+
+    return {
+      nodes: visible.map((node) => ({ ...node, degree: degree.get(node.id) || 0 })),
+      edges: visibleEdges,
+    };
+  }, [graph, depth, tagFilter, activePageId]);
+
+  const reheat = useCallback(
+    (alpha = 1) => {
+      alphaRef.current = Math.max(alphaRef.current, alpha);
+      if (animationRef.current) return;
+
+      const tick = () => {
+        stepLayout(positionsRef.current, edges, { ...size, alpha: alphaRef.current });
+        alphaRef.current *= COOLING;
+        setFrame((frame) => frame + 1);
+        animationRef.current = alphaRef.current > MIN_ALPHA ? requestAnimationFrame(tick) : null;
+      };
+      animationRef.current = requestAnimationFrame(tick);
+    },
+    [edges, size]
+  );
+
+  // Lay out again whenever the visible graph changes
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    positionsRef.current = seedPositions(positionsRef.current, nodes, size.width, size.height);
+    reheat(1);
+    return () => {
+      cancelAnimationFrame(animationRef.current);
+      animationRef.current = null;
+    };
+  }, [isOpen, nodes, size, reheat]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  const toGraphPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - view.x) / view.scale,
+      y: (e.clientY - rect.top - view.y) / view.scale,
+    };
+  };
+
+  const handleNodePointerDown = (e, node) => {
+    e.stopPropagation();
+    svgRef.current.setPointerCapture(e.pointerId);
+    const position = positionsRef.current.get(node.id);
+    position.fixed = true;
+    pointerRef.current = { type: 'node', node, startX: e.clientX, startY: e.clientY, moved: false };
+  };
+
+  const handleBackgroundPointerDown = (e) => {
+    svgRef.current.setPointerCapture(e.pointerId);
+    pointerRef.current = { type: 'pan', lastX: e.clientX, lastY: e.clientY };
+  };
+
+  const handlePointerMove = (e) => {
+    const pointer = pointerRef.current;
+    if (!pointer) return;
+
+    if (pointer.type === 'pan') {
+      const dx = e.clientX - pointer.lastX;
+      const dy = e.clientY - pointer.lastY;
+      pointer.lastX = e.clientX;
+      pointer.lastY = e.clientY;
+      setView((prev) => ({ ...prev, x: prev.x + dx, y: prev.y + dy }));
+      return;
+    }
+
+    if (
+      Math.abs(e.clientX - pointer.startX) > CLICK_TOLERANCE ||
+      Math.abs(e.clientY - pointer.startY) > CLICK_TOLERANCE
+    ) {
+      pointer.moved = true;
+    }
+    if (pointer.moved) {
+      const position = positionsRef.current.get(pointer.node.id);
+      Object.assign(position, toGraphPoint(e));
+      reheat(0.3);
+    }
+  };
+
+  const handlePointerUp = () => {
+    const pointer = pointerRef.current;
+    pointerRef.current = null;
+    if (pointer?.type !== 'node') return;
+
+    const position = positionsRef.current.get(pointer.node.id);
+    if (position) position.fixed = false;
+
+    if (!pointer.moved) {
+      onPageSelect({ id: pointer.node.id, name: pointer.node.name });
+      onClose();
+    }
+  };
+
+  const handleWheel = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const pointerX = e.clientX - rect.left;
+    const pointerY = e.clientY - rect.top;
+    setView((prev) => {
+      const scale = Math.min(4, Math.max(0.2, prev.scale * (e.deltaY < 0 ? 1.1 : 0.9)));
+      // Zoom around the pointer
+      return {
+        scale,
+        x: pointerX - ((pointerX - prev.x) * scale) / prev.scale,
+        y: pointerY - ((pointerY - prev.y) * scale) / prev.scale,
+      };
+    });
+  };
+
+  if (!isOpen) return null;
+
+  const positions = positionsRef.current;
+  const highlighted = hoveredId
+    ? getNeighbourhood(hoveredId, edges, 1)
+    : activePageId
+      ? new Set([activePageId])
+      : null;
+
+  return createPortal(
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4">
+      <div className="bg-base-100 rounded-2xl shadow-2xl w-full h-full max-w-6xl max-h-[90vh] border border-base-300 flex flex-col overflow-hidden">
+        {/* Header */}
+        <div className="flex flex-wrap items-center gap-3 px-5 py-3 border-b border-base-300">
+          <div className="flex items-center gap-2 font-semibold">
+            <BiNetworkChart className="w-5 h-5 text-primary" />
+            Knowledge Graph
+          </div>
+          <span className="text-xs text-base-content/60">
+            {nodes.length} pages · {edges.length} links
+          </span>
+
+          <div className="flex items-center gap-2 ml-auto">
+            <select
+              className="select select-bordered select-sm"
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
+              title="Filter by tag"
+            >
+              <option value="">All tags</option>
+              {allTags.map((tag) => (
+                <option key={tag} value={tag}>
+                  #{tag}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={depth}
+              onChange={(e) => setDepth(e.target.value)}
+              disabled={!activePageId}
+              title={activePageId ? 'Links around the open page' : 'Open a page to filter by depth'}
+            >
+              <option value="all">Whole workspace</option>
+              <option value="1">1 link away</option>
+              <option value="2">2 links away</option>
+              <option value="3">3 links away</option>
+            </select>
+            <button
+              onClick={fetchGraph}
+              className="btn btn-ghost btn-sm btn-circle"
+              title="Reload graph"
+              disabled={loading}
+            >
+              <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle" title="Close">
+              <FiX className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {/* Graph */}
+        <div ref={containerRef} className="flex-1 relative bg-base-200/30">
+          {!loading && nodes.length === 0 && (
+            <div className="absolute inset-0 flex items-center justify-center text-sm text-base-content/60">
+              No pages match these filters
+            </div>
+          )}
+          <svg
+            ref={svgRef}
+            width="100%"
+            height="100%"
+            className="touch-none select-none cursor-grab active:cursor-grabbing"
+            onPointerDown={handleBackgroundPointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onWheel={handleWheel}
+          >
+            <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+              {edges.map((edge) => {
+                const source = positions.get(edge.source);
+                const target = positions.get(edge.target);
+                if (!source || !target) return null;
+                const active =
+                  highlighted && highlighted.has(edge.source) && highlighted.has(edge.target);
+                return (
+                  <line
+                    key={`${edge.source}-${edge.target}`}
+                    x1={source.x}
+                    y1={source.y}
+                    x2={target.x}
+                    y2={target.y}
+                    className={active ? 'stroke-primary' : 'stroke-base-content/20'}
+                    strokeWidth={active ? 1.5 : 1}
+                    strokeDasharray={edge.type === 'markdown' ? '4 3' : undefined}
+                  />
+                );
+              })}
+              {nodes.map((node) => {
+                const position = positions.get(node.id);
+                if (!position) return null;
+                const isActive = node.id === activePageId;
+                const dimmed = hoveredId && !highlighted.has(node.id);
+                const radius = 5 + Math.min(node.degree, 10) * 1.2;
+                return (
+                  <g
+                    key={node.id}
+                    transform={`translate(${position.x} ${position.y})`}
+                    className={`cursor-pointer transition-opacity ${dimmed ? 'opacity-30' : ''}`}
+                    onPointerDown={(e) => handleNodePointerDown(e, node)}
+                    onPointerEnter={() => setHoveredId(node.id)}
+                    onPointerLeave={() => setHoveredId(null)}
+                  >
+                    <circle
+                      r={radius}
+                      className={
+                        isActive
+                          ? 'fill-primary stroke-primary/30'
+                          : node.shared
+                            ? 'fill-secondary stroke-base-100'
+                            : 'fill-base-content/60 stroke-base-100'
+                      }
+                      strokeWidth={isActive ? 6 : 1.5}
+                    />
+                    <text
+                      y={radius + 12}
+                      textAnchor="middle"
+                      className={`text-[10px] fill-base-content ${
+                        isActive || hoveredId === node.id ? 'font-semibold' : 'opacity-70'
+                      }`}
+                    >
+                      {node.name.length > 28 ? `${node.name.slice(0, 27)}…` : node.name}
+                    </text>
+                  </g>
+                );
+              })}
+            </g>
+          </svg>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+GraphView.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  activePageId: PropTypes.string,
+  onPageSelect: PropTypes.func.isRequired,
+};
+
+export default GraphView;
@@ -1,9 +1,13 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useContext } from 'react';
 import FloatingToolbar from './FloatingToolbar';
 import NoteToolbar from './NoteToolbar';
 import NoteEditor from './NoteEditor';
 import NotePreview from './NotePreview';
 import TableModal from './TableModal';
+import SaveConflictModal from '../modals/SaveConflictModal';
+import BacklinksPanel from './BacklinksPanel';
+import CommentsSidebar from './CommentsSidebar';
+import ChecklistTaskModal from './ChecklistTaskModal';
 import {
   FiEdit,
   FiBold,
@@ -25,9 +29,14 @@ import { FaQuoteRight, FaListOl, FaStrikethrough, FaHighlighter } from 'react-ic
 import { BiCodeBlock, BiMath } from 'react-icons/bi';
 import toast from 'react-hot-toast';
 import propTypes from 'prop-types';
+import { getChecklistItem, setChecklistItemChecked } from '../../utils/checklist';
 import { useHistory } from '../../hooks/useHistory';
 import { useImageUpload } from '../../hooks/useImageUpload';
 import { useTableModal } from '../../hooks/useTableModal';
+import { useCollaboration } from '../../hooks/useCollaboration';
+import { useComments } from '../../hooks/useComments';
+import { findLinkedPage } from '../../utils/wikiLinks';
+import authContext from '../../context/AuthProvider';
 
 // =============================================================================
 // DEVELOPER NOTES
@@ -40,6 +49,12 @@ import { useTableModal } from '../../hooks/useTableModal';
 // - Auto-resizing textarea with line numbers
 // - Rich toolbar with formatting options
 // - Syntax highlighting in preview mode
+// - Save conflict dialog when another collaborator saved first
+// - Real-time collaborative editing with remote cursors (useCollaboration)
+// - [[Wiki links]] open the linked page from the preview; backlinks are listed
+//   below the editor
+// - Comment threads (useComments) in a sidebar next to the preview; selecting
+//   text or a heading in the preview starts a thread anchored to it
 //
 // Performance considerations:
 // - Debounced content updates to parent
@@ -49,7 +64,6 @@ import { useTableModal } from '../../hooks/useTableModal';
 // =============================================================================
 // TODO
 // =============================================================================
-// - [ ] Add collaborative editing with real-time cursors
 // - [ ] Implement image upload and embedding
 // - [ ] Add table editing capabilities
 // - [ ] Implement spell checking
@@ -59,9 +73,28 @@ import { useTableModal } from '../../hooks/useTableModal';
 // - [ ] Implement dark mode syntax highlighting themes
 // - [ ] Add voice-to-text input support
 
-const Note = ({ activePage, onContentChange, content = '', onSave }) => {
+const Note = ({
+  activePage,
+  onContentChange,
+  content = '',
+  onSave,
+  contentKey = 0,
+  conflict = null,
+  onResolveConflict,
+  baseRevision = null,
+  onCollabChange,
+  onRemoteSaved,
+  onOpenPage,
+  readOnly = false,
+  role = 'owner',
+}) => {
   const [editorContent, setEditorContent] = useState(content);
   const [isPreview, setIsPreview] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const [pendingAnchor, setPendingAnchor] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [checklistTaskItem, setChecklistTaskItem] = useState(null);
+  const { user } = useContext(authContext);
   // Floating toolbar state
   const [floatingToolbarEnabled] = useState(true);
   const [toolbarVisible, setToolbarVisible] = useState(false);
@@ -82,6 +115,26 @@ const Note = ({ activePage, onContentChange, content = '', onSave }) => {
     },
     addToHistory
   );
+  const { connected, peers, remoteCursors } = useCollaboration({
+    pageId: activePage?.id ?? null,
+    content: editorContent,
+    textareaRef: editorRef,
+    baseRevision,
+    onRemoteChange: (newContent, selection) => {
+      setEditorContent(newContent);
+      onContentChange?.(newContent);
+
+      // Updating a controlled textarea moves the caret to the end - put it back
+      if (selection) {
+        setTimeout(() => {
+          editorRef.current?.setSelectionRange(selection.start, selection.end);
+        }, 0);
+      }
+    },
+    onSaved: onRemoteSaved,
+  });
+  const comments = useComments(activePage?.id ?? null);
+  const canComment = ['owner', 'manager', 'editor', 'commenter'].includes(role);
   const {
     showTableModal,
     tableRowsInput,
@@ -118,6 +171,67 @@ const Note = ({ activePage, onContentChange, content = '', onSave }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [activePage?.id]); // Only depend on page ID, not content or editorContent
 
+  useEffect(() => {
+    onCollabChange?.({ connected, peers: peers.length });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [connected, peers.length]);
+
+  useEffect(() => {
+    // The parent replaced the content of the current page (version restore, conflict
+    // resolution), so the editor has to pick it up even though the page didn't change
+    if (!contentKey) return;
+    setEditorContent(content);
+    addToHistory(content);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [contentKey]);
+
+  const openWikiLink = async (target) => {
+    try {
+      const page = await findLinkedPage(target);
+      if (page) {
+        onOpenPage?.(page);
+      } else {
+        toast.error(`No page named "${target}"`);
+      }
+    } catch (error) {
+      console.error('Error opening linked page:', error);
+      toast.error('Failed to open linked page');
+    }
+  };
+
+  // Comments belong to a page - drop the open thread and draft when switching pages
+  useEffect(() => {
+    setPendingAnchor(null);
+    setActiveThreadId(null);
+  }, [activePage?.id]);
+
+  const selectThread = (threadId) => {
+    setActiveThreadId(threadId);
+    setShowComments(true);
+  };
+
+  const startCommentThread = (anchor) => {
+    setPendingAnchor(anchor);
+    setActiveThreadId(null);
+    setShowComments(true);
+  };
+
+  // Ticking a box in the preview edits its line; linked tasks follow when the page is saved
+  const toggleChecklistItem = (line, checked) => {
+    const newContent = setChecklistItemChecked(editorContent, line, checked);
+    if (newContent === null) return;
+    setEditorContent(newContent);
+    addToHistory(newContent);
+    onContentChange?.(newContent);
+  };
+
+  const startChecklistTask = (line) => {
+    const item = getChecklistItem(editorContent, line);
+    if (item) {
+      setChecklistTaskItem({ line, text: item.text });
+    }
+  };
+
   const handleContentChange = (e) => {
     const newContent = e.target.value;
     setEditorContent(newContent);
@@ -523,26 +637,62 @@ const Note = ({ activePage, onContentChange, content = '', onSave }) => {
         })()}
       </FloatingToolbar>
 
-      <NoteToolbar
-        isPreview={isPreview}
-        setIsPreview={setIsPreview}
-        canUndo={canUndo}
-        canRedo={canRedo}
-        handleUndo={handleUndo}
-        handleRedo={handleRedo}
-        wrapSelectedText={wrapSelectedText}
-        insertAtCursor={insertAtCursor}
-        handleImageUpload={handleImageUpload}
-        openTableModal={openTableModal}
-        editorContent={editorContent}
-        onSave={onSave}
-      />
+      {!readOnly && (
+        <NoteToolbar
+          isPreview={isPreview}
+          setIsPreview={setIsPreview}
+          canUndo={canUndo}
+          canRedo={canRedo}
+          handleUndo={handleUndo}
+          handleRedo={handleRedo}
+          wrapSelectedText={wrapSelectedText}
+          insertAtCursor={insertAtCursor}
+          handleImageUpload={handleImageUpload}
+          openTableModal={openTableModal}
+          editorContent={editorContent}
+          onSave={onSave}
+        />
+      )}
 
       {/* Enhanced Editor/Preview Area */}
       <div className="flex-1 p-2 lg:p-6">
         <div className="max-w-5xl mx-auto">
-          {isPreview ? (
-            <NotePreview editorContent={editorContent} />
+          {/* Pages the user can't edit are shown rendered */}
+          {isPreview || readOnly ? (
+            <div className="flex flex-col lg:flex-row gap-4 items-start">
+              <div className="flex-1 min-w-0 w-full">
+                <NotePreview
+                  editorContent={editorContent}
+                  onWikiLinkClick={openWikiLink}
+                  threads={comments.threads}
+                  activeThreadId={activeThreadId}
+                  onSelectThread={selectThread}
+                  onCommentSelection={canComment ? startCommentThread : undefined}
+                  onToggleComments={() => setShowComments((show) => !show)}
+                  onToggleChecklistItem={readOnly ? undefined : toggleChecklistItem}
+                  onMakeTask={readOnly ? undefined : startChecklistTask}
+                />
+              </div>
+              {showComments && (
+                <CommentsSidebar
+                  threads={comments.threads}
+                  loading={comments.loading}
+                  mentionableUsers={comments.mentionableUsers}
+                  currentUserEmail={user?.email}
+                  canComment={canComment}
+                  canModerate={['owner', 'manager'].includes(role)}
+                  pendingAnchor={pendingAnchor}
+                  onCancelPending={() => setPendingAnchor(null)}
+                  activeThreadId={activeThreadId}
+                  onSelectThread={setActiveThreadId}
+                  onAdd={comments.addComment}
+                  onUpdate={comments.updateComment}
+                  onDelete={comments.deleteComment}
+                  onResolve={comments.resolveComment}
+                  onClose={() => setShowComments(false)}
+                />
+              )}
+            </div>
           ) : (
             <NoteEditor
               editorContent={editorContent}
@@ -552,6 +702,15 @@ const Note = ({ activePage, onContentChange, content = '', onSave }) => {
               floatingToolbarEnabled={floatingToolbarEnabled}
               setToolbarVisible={setToolbarVisible}
               setToolbarPos={setToolbarPos}
+              editorRef={editorRef}
+              remoteCursors={remoteCursors}
+            />
+          )}
+          {onOpenPage && (
+            <BacklinksPanel
+              pageId={activePage.id}
+              refreshKey={baseRevision}
+              onOpenPage={onOpenPage}
             />
           )}
         </div>
@@ -574,6 +733,14 @@ const Note = ({ activePage, onContentChange, content = '', onSave }) => {
         closeTableModal={closeTableModal}
         confirmInsertTable={confirmInsertTable}
       />
+
+      <SaveConflictModal conflict={conflict} onResolve={onResolveConflict} />
+
+      <ChecklistTaskModal
+        item={checklistTaskItem}
+        pageId={activePage?.id}
+        onClose={() => setChecklistTaskItem(null)}
+      />
     </div>
   );
 };
@@ -583,6 +750,15 @@ Note.propTypes = {
   onContentChange: propTypes.func,
   content: propTypes.string,
   onSave: propTypes.func,
+  contentKey: propTypes.number,
+  conflict: propTypes.object,
+  onResolveConflict: propTypes.func,
+  baseRevision: propTypes.number,
+  onCollabChange: propTypes.func,
+  onRemoteSaved: propTypes.func,
+  onOpenPage: propTypes.func,
+  readOnly: propTypes.bool,
+  role: propTypes.string,
 };
 
 export default Note;
@@ -1,5 +1,6 @@
 import { useRef, useEffect, useState } from 'react';
 import propTypes from 'prop-types';
+import RemoteCursors from './RemoteCursors';
 
 const NoteEditor = ({
   editorContent,
@@ -9,8 +10,12 @@ const NoteEditor = ({
   floatingToolbarEnabled,
   setToolbarVisible,
   setToolbarPos,
+  editorRef: externalEditorRef,
+  remoteCursors = [],
 }) => {
-  const editorRef = useRef(null);
+  const internalEditorRef = useRef(null);
+  // Share the textarea with the parent when it needs selection access (toolbar, collaboration)
+  const editorRef = externalEditorRef || internalEditorRef;
   const lineNumbersRef = useRef(null);
   const [lineCount, setLineCount] = useState(20);
 
@@ -31,7 +36,7 @@ const NoteEditor = ({
     const approxLineHeight = 24; // px - matches the visual line height (h-6 ~ 24px)
     const requiredLines = Math.max(1, Math.floor(ta.scrollHeight / approxLineHeight));
     setLineCount(requiredLines);
-  }, [editorContent]);
+  }, [editorContent, editorRef]);
 
   return (
     <div className="relative">
@@ -115,6 +120,9 @@ Happy writing! 🚀"
             lineHeight: '1.6',
           }}
         />
+
+        {/* Carets of other people editing this page */}
+        <RemoteCursors textareaRef={editorRef} content={editorContent} cursors={remoteCursors} />
       </div>
     </div>
   );
@@ -128,6 +136,8 @@ NoteEditor.propTypes = {
   floatingToolbarEnabled: propTypes.bool.isRequired,
   setToolbarVisible: propTypes.func.isRequired,
   setToolbarPos: propTypes.func.isRequired,
+  editorRef: propTypes.object,
+  remoteCursors: propTypes.array,
 };
 
 export default NoteEditor;
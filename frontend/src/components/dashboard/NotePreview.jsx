@@ -1,26 +1,177 @@
-import { FiEye } from 'react-icons/fi';
+import { useEffect, useRef, useState } from 'react';
+import { FiEye, FiMessageSquare, FiCalendar } from 'react-icons/fi';
+import toast from 'react-hot-toast';
 import { renderMarkdown } from '../../utils/markdownRenderer.js';
+import {
+  getSelectionAnchor,
+  clearCommentHighlights,
+  highlightCommentAnchors,
+} from '../../utils/comments';
 import propTypes from 'prop-types';
 
-const NotePreview = ({ editorContent }) => {
+const NotePreview = ({
+  editorContent,
+  onWikiLinkClick,
+  threads = [],
+  activeThreadId = null,
+  onSelectThread,
+  onCommentSelection,
+  onToggleComments,
+  onToggleChecklistItem,
+  onMakeTask,
+}) => {
+  const wrapperRef = useRef(null);
+  const contentRef = useRef(null);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [hoveredItem, setHoveredItem] = useState(null);
+
+  // Mark the text and headings of open comment threads after each render of the content
+  useEffect(() => {
+    const container = contentRef.current;
+    if (!container) return;
+    clearCommentHighlights(container);
+    highlightCommentAnchors(container, threads, activeThreadId);
+  }, [editorContent, threads, activeThreadId]);
+
+  useEffect(() => {
+    if (!activeThreadId) return;
+    contentRef.current
+      ?.querySelector(`[data-comment-id="${activeThreadId}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [activeThreadId]);
+
+  // Wiki links are rendered as plain anchors - open the linked page in the app instead
+  const handleClick = (e) => {
+    // Checkboxes follow the markdown, so ticking one edits its line instead of the rendered box
+    const checkbox = e.target.closest('input[type="checkbox"]');
+    const checklistItem = checkbox?.closest('li[data-line]');
+    if (checkbox && checklistItem) {
+      e.preventDefault();
+      onToggleChecklistItem?.(Number(checklistItem.dataset.line), checkbox.checked);
+      return;
+    }
+
+    const commented = e.target.closest('[data-comment-id]');
+    if (commented) {
+      onSelectThread?.(commented.dataset.commentId);
+    }
+
+    const link = e.target.closest('a[data-wikilink]');
+    if (!link) return;
+    e.preventDefault();
+    onWikiLinkClick?.(link.dataset.wikilink);
+  };
+
+  // Offer to comment on the selected text, next to the selection
+  const handleMouseUp = () => {
+    if (!onCommentSelection) return;
+    const result = getSelectionAnchor(contentRef.current);
+    if (!result) {
+      setSelectionAnchor(null);
+      return;
+    }
+
+    const wrapperRect = wrapperRef.current.getBoundingClientRect();
+    setSelectionAnchor({
+      ...result,
+      top: result.rect.top - wrapperRect.top - 40,
+      left: result.rect.left - wrapperRect.left + result.rect.width / 2,
+    });
+  };
+
+  // Offer to turn the checklist item under the pointer into a task
+  const handleMouseOver = (e) => {
+    if (!onMakeTask) return;
+    const item = e.target.closest('li[data-line]');
+    if (!item) {
+      setHoveredItem(null);
+      return;
+    }
+    const line = Number(item.dataset.line);
+    if (hoveredItem?.line === line) return;
+
+    const wrapperRect = wrapperRef.current.getBoundingClientRect();
+    const itemRect = item.getBoundingClientRect();
+    setHoveredItem({
+      line,
+      top: itemRect.top - wrapperRect.top,
+      left: itemRect.right - wrapperRect.left,
+    });
+  };
+
+  const makeTask = () => {
+    onMakeTask(hoveredItem.line);
+    setHoveredItem(null);
+  };
+
+  const startComment = () => {
+    if (selectionAnchor.error) {
+      toast.error(selectionAnchor.error);
+    } else {
+      onCommentSelection(selectionAnchor.anchor);
+      window.getSelection()?.removeAllRanges();
+    }
+    setSelectionAnchor(null);
+  };
+
   return (
-    <div className="relative">
+    <div className="relative" ref={wrapperRef} onMouseLeave={() => setHoveredItem(null)}>
       {/* Preview Header */}
       <div className="flex items-center justify-between mb-6">
         <div className="flex items-center gap-3">
           <div className="w-3 h-3 bg-success rounded-full animate-pulse"></div>
           <span className="text-sm text-base-content/60 font-medium">Preview Mode</span>
         </div>
-        <div className="flex items-center gap-2 text-xs text-base-content/60">
-          <FiEye className="w-4 h-4" />
-          <span>Live Preview</span>
+        <div className="flex items-center gap-4 text-xs text-base-content/60">
+          {onToggleComments && (
+            <button
+              onClick={onToggleComments}
+              className="btn btn-ghost btn-xs gap-1 rounded-lg"
+              title="Show comments"
+            >
+              <FiMessageSquare className="w-4 h-4" />
+              <span>{threads.filter((thread) => !thread.resolvedAt).length}</span>
+            </button>
+          )}
+          <div className="flex items-center gap-2">
+            <FiEye className="w-4 h-4" />
+            <span>Live Preview</span>
+          </div>
         </div>
       </div>
 
+      {selectionAnchor && (
+        <button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={startComment}
+          className="absolute z-10 btn btn-primary btn-xs gap-1 rounded-lg shadow-lg -translate-x-1/2"
+          style={{ top: selectionAnchor.top, left: selectionAnchor.left }}
+        >
+          <FiMessageSquare className="w-3 h-3" />
+          Comment
+        </button>
+      )}
+
+      {hoveredItem && (
+        <button
+          onClick={makeTask}
+          className="absolute z-10 btn btn-ghost btn-xs gap-1 rounded-lg -translate-x-full"
+          style={{ top: hoveredItem.top, left: hoveredItem.left }}
+          title="Convert to task with a deadline"
+        >
+          <FiCalendar className="w-3 h-3" />
+          Make task
+        </button>
+      )}
+
       {/* Enhanced Preview Content */}
       <div className="bg-base-100 rounded-2xl border border-base-300 shadow-lg overflow-hidden">
         <div
+          ref={contentRef}
           className="max-w-none p-4 lg:p-8 xl:p-12 min-h-[24rem] lg:min-h-[32rem] leading-relaxed text-sm lg:text-base"
+          onClick={handleClick}
+          onMouseUp={handleMouseUp}
+          onMouseOver={handleMouseOver}
           dangerouslySetInnerHTML={{
             __html: `${renderMarkdown(editorContent)}`,
           }}
@@ -32,6 +183,14 @@ const NotePreview = ({ editorContent }) => {
 
 NotePreview.propTypes = {
   editorContent: propTypes.string.isRequired,
+  onWikiLinkClick: propTypes.func,
+  threads: propTypes.array,
+  activeThreadId: propTypes.string,
+  onSelectThread: propTypes.func,
+  onCommentSelection: propTypes.func,
+  onToggleComments: propTypes.func,
+  onToggleChecklistItem: propTypes.func,
+  onMakeTask: propTypes.func,
 };
 
 export default NotePreview;
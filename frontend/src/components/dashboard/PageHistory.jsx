@@ -0,0 +1,237 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FiClock, FiX, FiRotateCcw, FiUser, FiRefreshCw } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { pagesAPI } from '../../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Slide-over panel listing the version history of the active page.
+// - Versions are snapshotted server-side on every save
+// - Selecting a version shows a line diff against the current content
+// - Restoring saves the version as a new revision, so restores can be undone
+
+// =============================================================================
+// TODO
+// =============================================================================
+// - [ ] Allow comparing two arbitrary versions
+// - [ ] Paginate long histories
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+const PageHistory = ({ isOpen, onClose, activePage, onRestore }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loadingDiff, setLoadingDiff] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const fetchVersions = useCallback(async () => {
+    if (!activePage?.id) return;
+
+    setLoading(true);
+    try {
+      const response = await pagesAPI.getVersions(activePage.id);
+      setVersions(response.data.versions || []);
+    } catch (error) {
+      console.error('Error fetching page history:', error);
+      toast.error('Failed to load page history');
+    } finally {
+      setLoading(false);
+    }
+  }, [activePage?.id]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedVersion(null);
+      setDiff(null);
+      fetchVersions();
+    }
+  }, [isOpen, fetchVersions]);
+
+  const selectVersion = async (version) => {
+    setSelectedVersion(version);
+    setDiff(null);
+    setLoadingDiff(true);
+
+    try {
+      const response = await pagesAPI.diffVersions(activePage.id, version._id);
+      setDiff(response.data);
+    } catch (error) {
+      console.error('Error loading diff:', error);
+      toast.error('Failed to compare versions');
+    } finally {
+      setLoadingDiff(false);
+    }
+  };
+
+  const restoreVersion = async () => {
+    if (!selectedVersion) return;
+
+    setIsRestoring(true);
+    try {
+      const response = await pagesAPI.restoreVersion(activePage.id, selectedVersion._id);
+      const restoredPage = response.data['Updated Page'];
+      onRestore(restoredPage?.pageData || '', restoredPage?.revision);
+      toast.success('Version restored');
+      onClose();
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      toast.error('Failed to restore version');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div
+      className={`fixed inset-y-0 right-0 w-full sm:w-[32rem] bg-base-100 border-l border-base-300 shadow-2xl z-50 flex flex-col transition-all duration-500 ease-out ${
+        isOpen ? 'translate-x-0 opacity-100' : 'translate-x-full opacity-0 pointer-events-none'
+      }`}
+    >
+      {/* Header */}
+      <div className="p-6 border-b border-base-300 bg-base-100">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-primary/20 rounded-2xl flex items-center justify-center border border-primary/10">
+              <FiClock className="w-5 h-5 text-primary" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-base-content">Page History</h2>
+              <p className="text-xs text-base-content/60 truncate max-w-64">{activePage?.name}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={fetchVersions}
+              className="btn btn-ghost btn-sm btn-circle"
+              disabled={loading}
+              title="Refresh history"
+            >
+              <FiRefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button
+              onClick={onClose}
+              className="btn btn-ghost btn-sm btn-circle hover:btn-error transition-colors"
+              title="Close History"
+            >
+              <FiX className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Version List */}
+      <div className="max-h-64 overflow-y-auto border-b border-base-300">
+        {loading && versions.length === 0 && (
+          <div className="text-center py-6">
+            <div className="loading loading-spinner loading-md"></div>
+          </div>
+        )}
+        {!loading && versions.length === 0 && (
+          <p className="text-center py-6 text-sm text-base-content/60">No saved versions yet</p>
+        )}
+        {versions.map((version) => (
+          <button
+            key={version._id}
+            onClick={() => selectVersion(version)}
+            className={`w-full text-left px-6 py-3 border-b border-base-300/50 hover:bg-base-200/50 transition-colors ${
+              selectedVersion?._id === version._id ? 'bg-primary/10' : ''
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-base-content">
+                {new Date(version.createdAt).toLocaleString()}
+              </span>
+              <span className="text-xs text-base-content/60">{formatSize(version.size)}</span>
+            </div>
+            <div className="flex items-center gap-2 text-xs text-base-content/60 mt-1">
+              <FiUser className="w-3 h-3" />
+              <span>{version.author?.name || version.author?.email || 'Unknown'}</span>
+              {version.restoredFrom && <span className="badge badge-ghost badge-xs">restore</span>}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Diff View */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {!selectedVersion && (
+          <p className="text-center py-6 text-sm text-base-content/60">
+            Select a version to compare it with the current content
+          </p>
+        )}
+        {loadingDiff && (
+          <div className="text-center py-6">
+            <div className="loading loading-spinner loading-md"></div>
+          </div>
+        )}
+        {diff && (
+          <>
+            <div className="flex items-center gap-3 text-xs mb-3">
+              <span className="text-success">+{diff.stats.added}</span>
+              <span className="text-error">-{diff.stats.removed}</span>
+              <span className="text-base-content/60">compared with current content</span>
+            </div>
+            <pre className="text-xs font-mono bg-base-200 rounded-lg border border-base-300 overflow-x-auto">
+              {diff.diff.map((entry, index) => (
+                <div
+                  key={index}
+                  className={`px-3 whitespace-pre-wrap ${
+                    entry.type === 'added'
+                      ? 'bg-success/15 text-success'
+                      : entry.type === 'removed'
+                        ? 'bg-error/15 text-error'
+                        : 'text-base-content/70'
+                  }`}
+                >
+                  {entry.type === 'added' ? '+ ' : entry.type === 'removed' ? '- ' : '  '}
+                  {entry.line}
+                </div>
+              ))}
+            </pre>
+          </>
+        )}
+      </div>
+
+      {/* Footer */}
+      <div className="p-4 border-t border-base-300 flex justify-end gap-3">
+        <button onClick={onClose} className="btn btn-ghost rounded-xl">
+          Close
+        </button>
+        {/* Only people who can edit the page can restore versions */}
+        {onRestore && (
+          <button
+            onClick={restoreVersion}
+            className="btn btn-primary gap-2 rounded-xl"
+            disabled={!selectedVersion || isRestoring}
+          >
+            {isRestoring ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              <FiRotateCcw className="w-4 h-4" />
+            )}
+            Restore this version
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+PageHistory.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  activePage: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+  }),
+  onRestore: PropTypes.func,
+};
+
+export default PageHistory;
@@ -0,0 +1,382 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FiFile,
+  FiShare2,
+  FiMoreHorizontal,
+  FiEdit3,
+  FiTrash2,
+  FiPlus,
+  FiChevronDown,
+  FiChevronRight,
+  FiTag,
+} from 'react-icons/fi';
+import { matchesTags } from '../../utils/tags';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Collapsible tree of nested pages used by the sidebar.
+// - Built from the flat page list using each page's `parent` and `position`;
+//   pages whose parent isn't in the list (e.g. a shared subpage) become roots
+// - Expanded rows are remembered in localStorage
+// - Searching or filtering by tags shows matching pages together with their ancestors
+// - Drag and drop (only when `onMove` is given): dropping on the top or bottom
+//   edge of a row places the page before/after it, dropping on the middle
+//   nests it inside. Drops into the dragged page's own subtree are ignored.
+
+const EXPANDED_STORAGE_KEY = 'zetta_expanded_pages';
+
+const loadExpanded = () => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(EXPANDED_STORAGE_KEY)) || []);
+  } catch {
+    return new Set();
+  }
+};
+
+/**
+ * Group pages by parent, with children in position order
+ * @param {object[]} pages - Flat page list
+ * @returns {{byId: Map, childrenOf: Map}} Page lookup and children per parent ID ('root' for top level)
+ */
+const buildTree = (pages) => {
+  const byId = new Map(pages.map((page) => [page._id, page]));
+  const childrenOf = new Map();
+
+  pages.forEach((page) => {
+    const key = page.parent && byId.has(page.parent) ? page.parent : 'root';
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(page);
+  });
+  childrenOf.forEach((children) => children.sort((a, b) => (a.position ?? 0) - (b.position ?? 0)));
+
+  return { byId, childrenOf };
+};
+
+/**
+ * Get the visible parent ID of a page, or null for top-level pages
+ * @param {Map} byId - Page lookup
+ * @param {object} page - Page
+ * @returns {string|null} Parent ID
+ */
+const parentIdOf = (byId, page) => (page.parent && byId.has(page.parent) ? page.parent : null);
+
+/**
+ * Check whether a page is another page or nested anywhere below it
+ * @param {Map} byId - Page lookup
+ * @param {string} pageId - Page to check
+ * @param {string} ancestorId - Possible ancestor
+ * @returns {boolean} True if pageId is ancestorId or one of its descendants
+ */
+const isWithin = (byId, pageId, ancestorId) => {
+  let current = byId.get(pageId);
+  while (current) {
+    if (current._id === ancestorId) return true;
+    current = byId.get(parentIdOf(byId, current));
+  }
+  return false;
+};
+
+const getDropZone = (event) => {
+  const rect = event.currentTarget.getBoundingClientRect();
+  const offset = (event.clientY - rect.top) / rect.height;
+  if (offset < 0.25) return 'before';
+  if (offset > 0.75) return 'after';
+  return 'inside';
+};
+
+const PageTree = ({
+  pages,
+  selectedPageId,
+  searchTerm = '',
+  selectedTags = [],
+  shared = false,
+  onSelect,
+  onHover,
+  onLeave,
+  isPreloading,
+  onCreateSubpage,
+  onRename,
+  onDelete,
+  onMove,
+  onAddTags,
+}) => {
+  const [expanded, setExpanded] = useState(loadExpanded);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const { byId, childrenOf } = useMemo(() => buildTree(pages), [pages]);
+
+  // Pages matching the search and tags plus their ancestors, so matches keep their context
+  const visibleIds = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term && selectedTags.length === 0) return null;
+
+    const visible = new Set();
+    pages.forEach((page) => {
+      if (!page.pageName.toLowerCase().includes(term)) return;
+      if (!matchesTags(page.tags, selectedTags)) return;
+      let current = page;
+      while (current && !visible.has(current._id)) {
+        visible.add(current._id);
+        current = byId.get(parentIdOf(byId, current));
+      }
+    });
+    return visible;
+  }, [pages, byId, searchTerm, selectedTags]);
+
+  useEffect(() => {
+    localStorage.setItem(EXPANDED_STORAGE_KEY, JSON.stringify([...expanded]));
+  }, [expanded]);
+
+  // Reveal the selected page, e.g. a subpage that was just created
+  useEffect(() => {
+    const selected = byId.get(selectedPageId);
+    if (!selected) return;
+
+    const ancestors = [];
+    let parentId = parentIdOf(byId, selected);
+    while (parentId) {
+      ancestors.push(parentId);
+      parentId = parentIdOf(byId, byId.get(parentId));
+    }
+    setExpanded((prev) =>
+      ancestors.every((id) => prev.has(id)) ? prev : new Set([...prev, ...ancestors])
+    );
+  }, [selectedPageId, byId]);
+
+  const toggleExpanded = (pageId) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(pageId)) {
+        next.delete(pageId);
+      } else {
+        next.add(pageId);
+      }
+      return next;
+    });
+  };
+
+  const resetDrag = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (event, page) => {
+    if (!draggedId || isWithin(byId, page._id, draggedId)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const zone = getDropZone(event);
+    if (dropTarget?.id !== page._id || dropTarget?.zone !== zone) {
+      setDropTarget({ id: page._id, zone });
+    }
+  };
+
+  const handleDrop = (event, page) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const pageId = draggedId;
+    const zone = getDropZone(event);
+    resetDrag();
+    if (!pageId || isWithin(byId, page._id, pageId)) return;
+
+    if (zone === 'inside') {
+      setExpanded((prev) => new Set(prev).add(page._id));
+      onMove(pageId, page._id);
+      return;
+    }
+
+    const parentId = parentIdOf(byId, page);
+    const siblings = (childrenOf.get(parentId || 'root') || []).filter((p) => p._id !== pageId);
+    const index = siblings.findIndex((p) => p._id === page._id);
+    onMove(pageId, parentId, zone === 'after' ? index + 1 : index);
+  };
+
+  // Dropping on empty space below the tree moves the page to the end of the top level
+  const handleRootDrop = (event) => {
+    event.preventDefault();
+    const pageId = draggedId;
+    resetDrag();
+    if (pageId) {
+      onMove(pageId, null);
+    }
+  };
+
+  const renderPage = (page, depth) => {
+    if (visibleIds && !visibleIds.has(page._id)) return null;
+
+    const children = childrenOf.get(page._id) || [];
+    const hasChildren = children.some((child) => !visibleIds || visibleIds.has(child._id));
+    const isExpanded = hasChildren && (Boolean(visibleIds) || expanded.has(page._id));
+    const isSelected = selectedPageId === page._id;
+    const dropZone = dropTarget?.id === page._id ? dropTarget.zone : null;
+    const selectedClasses = shared
+      ? 'bg-secondary/10 border border-secondary/20'
+      : 'bg-primary/10 border border-primary/20';
+    const selectedText = shared ? 'text-secondary' : 'text-primary';
+
+    return (
+      <div key={page._id}>
+        <div
+          className={`group relative flex items-center gap-1 py-2 pr-2 rounded-lg transition-colors cursor-pointer ${
+            isSelected ? selectedClasses : 'hover:bg-base-200 border border-transparent'
+          } ${isPreloading(page._id) ? 'opacity-75' : ''} ${draggedId === page._id ? 'opacity-40' : ''} ${
+            dropZone === 'inside' ? 'ring-2 ring-primary/40' : ''
+          }`}
+          style={{ paddingLeft: `${depth * 16 + 4}px` }}
+          draggable={Boolean(onMove)}
+          onDragStart={(event) => {
+            event.dataTransfer.effectAllowed = 'move';
+            setDraggedId(page._id);
+          }}
+          onDragEnd={resetDrag}
+          onDragOver={onMove ? (event) => handleDragOver(event, page) : undefined}
+          onDrop={onMove ? (event) => handleDrop(event, page) : undefined}
+          onClick={() => onSelect({ id: page._id, name: page.title, ...page })}
+          onMouseEnter={() => onHover(page._id)}
+          onMouseLeave={() => onLeave(page._id)}
+        >
+          {dropZone === 'before' && (
+            <span className="absolute left-0 right-0 -top-px h-0.5 bg-primary rounded-full" />
+          )}
+          {dropZone === 'after' && (
+            <span className="absolute left-0 right-0 -bottom-px h-0.5 bg-primary rounded-full" />
+          )}
+
+          <button
+            className={`btn btn-ghost btn-xs btn-square ${hasChildren ? '' : 'invisible'}`}
+            onClick={(event) => {
+              event.stopPropagation();
+              toggleExpanded(page._id);
+            }}
+            title={isExpanded ? 'Collapse' : 'Expand'}
+            tabIndex={hasChildren ? 0 : -1}
+          >
+            {isExpanded ? (
+              <FiChevronDown className="w-3 h-3" />
+            ) : (
+              <FiChevronRight className="w-3 h-3" />
+            )}
+          </button>
+
+          {shared ? (
+            <FiShare2 className="w-4 h-4 flex-shrink-0 text-secondary" />
+          ) : (
+            <FiFile
+              className={`w-4 h-4 flex-shrink-0 ${
+                isSelected ? 'text-primary' : 'text-base-content/60 group-hover:text-primary'
+              }`}
+            />
+          )}
+          <p
+            className={`flex-1 min-w-0 ml-2 text-sm font-medium truncate ${
+              isSelected ? selectedText : 'text-base-content'
+            }`}
+          >
+            {page.title || 'Untitled'}
+          </p>
+
+          {!shared && (
+            <div className="flex-shrink-0">
+              <div className="dropdown dropdown-end">
+                <div
+                  tabIndex={0}
+                  role="button"
+                  className="btn btn-ghost btn-xs btn-circle opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <FiMoreHorizontal className="w-4 h-4" />
+                </div>
+                <ul
+                  tabIndex={0}
+                  className="dropdown-content menu bg-base-100 rounded-box z-[1] w-44 p-2 shadow-xl border border-base-300"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <li>
+                    <button
+                      onClick={() => onCreateSubpage(page)}
+                      className="flex items-center gap-3 text-sm"
+                    >
+                      <FiPlus className="w-4 h-4 text-primary" />
+                      New subpage
+                    </button>
+                  </li>
+                  <li>
+                    <button
+                      onClick={() => onRename(page._id, page.title)}
+                      className="flex items-center gap-3 text-sm"
+                    >
+                      <FiEdit3 className="w-4 h-4 text-blue-500" />
+                      Rename
+                    </button>
+                  </li>
+                  {onAddTags && (
+                    <li>
+                      <button
+                        onClick={() => onAddTags(page)}
+                        className="flex items-center gap-3 text-sm"
+                      >
+                        <FiTag className="w-4 h-4 text-accent" />
+                        Add tags
+                      </button>
+                    </li>
+                  )}
+                  <li>
+                    <button
+                      onClick={() => onDelete(page)}
+                      className="flex items-center gap-3 text-sm text-error hover:bg-error/10"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                      Delete
+                    </button>
+                  </li>
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {isExpanded && children.map((child) => renderPage(child, depth + 1))}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="space-y-0.5 pb-4"
+      onDragOver={onMove && draggedId ? (event) => event.preventDefault() : undefined}
+      onDrop={onMove ? handleRootDrop : undefined}
+    >
+      {(childrenOf.get('root') || []).map((page) => renderPage(page, 0))}
+    </div>
+  );
+};
+
+PageTree.propTypes = {
+  pages: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      pageName: PropTypes.string.isRequired,
+      parent: PropTypes.string,
+      position: PropTypes.number,
+      tags: PropTypes.arrayOf(PropTypes.string),
+    })
+  ).isRequired,
+  selectedPageId: PropTypes.string,
+  searchTerm: PropTypes.string,
+  selectedTags: PropTypes.arrayOf(PropTypes.string),
+  shared: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired,
+  onHover: PropTypes.func.isRequired,
+  onLeave: PropTypes.func.isRequired,
+  isPreloading: PropTypes.func.isRequired,
+  onCreateSubpage: PropTypes.func,
+  onRename: PropTypes.func,
+  onDelete: PropTypes.func,
+  onMove: PropTypes.func,
+  onAddTags: PropTypes.func,
+};
+
+export default PageTree;
@@ -1,22 +1,77 @@
 import { useState, useEffect, useContext, useCallback } from 'react';
-import { FiBell, FiX, FiPlus, FiClock, FiCheck } from 'react-icons/fi';
+import { FiBell, FiX, FiPlus, FiClock, FiCheck, FiRepeat, FiFileText } from 'react-icons/fi';
 import PropTypes from 'prop-types';
 import toast from 'react-hot-toast';
 import { tasksAPI, apiUtils } from '../../utils/api';
 import authContext from '../../context/AuthProvider';
 
-const Reminder = ({ isOpen, onClose }) => {
+const REPEAT_OPTIONS = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'DAILY', label: 'Daily' },
+  { value: 'WEEKLY', label: 'Weekly' },
+  { value: 'MONTHLY', label: 'Monthly' },
+  { value: 'YEARLY', label: 'Yearly' },
+  { value: 'custom', label: 'Custom rule' },
+];
+
+// RRULE day codes in display order, with the getDay index the server stores
+const WEEKDAYS = [
+  { code: 'MO', label: 'M', day: 1 },
+  { code: 'TU', label: 'T', day: 2 },
+  { code: 'WE', label: 'W', day: 3 },
+  { code: 'TH', label: 'T', day: 4 },
+  { code: 'FR', label: 'F', day: 5 },
+  { code: 'SA', label: 'S', day: 6 },
+  { code: 'SU', label: 'S', day: 0 },
+];
+
+const FREQUENCY_LABELS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+// Minutes before the deadline
+const REMINDER_OFFSET_OPTIONS = [
+  { value: 15, label: '15 min' },
+  { value: 60, label: '1 hour' },
+  { value: 24 * 60, label: '1 day' },
+];
+const OFFSET_UNITS = { minutes: 1, hours: 60, days: 24 * 60 };
+const MAX_REMINDER_OFFSETS = 5;
+
+const EMPTY_REMINDER = {
+  title: '',
+  description: '',
+  dueDate: '',
+  dueTime: '',
+  repeat: 'none',
+  weekdays: [],
+  rule: '',
+  offsets: [60],
+};
+
+const formatOffset = (minutes) => {
+  const preset = REMINDER_OFFSET_OPTIONS.find((option) => option.value === minutes);
+  if (preset) return preset.label;
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} days`;
+  if (minutes % 60 === 0) return `${minutes / 60} hours`;
+  return `${minutes} min`;
+};
+
+const describeRecurrence = (recurrence) => {
+  const unit = FREQUENCY_LABELS[recurrence.freq] ?? recurrence.freq;
+  const every = recurrence.interval > 1 ? `Every ${recurrence.interval} ${unit}s` : `Every ${unit}`;
+  const days = WEEKDAYS.filter(({ day }) => recurrence.byWeekday?.includes(day)).map(
+    ({ code }) => code
+  );
+  return days.length ? `${every} on ${days.join(', ')}` : every;
+};
+
+const Reminder = ({ isOpen, onClose, onOpenPage }) => {
   const { user, setuser } = useContext(authContext);
   const [reminders, setReminders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [addingReminder, setAddingReminder] = useState(false);
   const [showAddModal, setShowAddModal] = useState(false);
-  const [newReminder, setNewReminder] = useState({
-    title: '',
-    description: '',
-    dueDate: '',
-    dueTime: '',
-  });
+  const [newReminder, setNewReminder] = useState(EMPTY_REMINDER);
+  const [customOffset, setCustomOffset] = useState({ amount: '', unit: 'minutes' });
 
   const fetchTasks = useCallback(async () => {
     if (!user) {
@@ -37,6 +92,9 @@ const Reminder = ({ isOpen, onClose }) => {
           description: task.taskDescription || '',
           dueDate: task.taskDeadline ? new Date(task.taskDeadline) : new Date(),
           completed: task.isTaskCompleted,
+          recurrence: task.recurrence || null,
+          // Tasks made from a checklist item in a note
+          page: task.pageId && task.pageName ? { id: task.pageId, name: task.pageName } : null,
           createdAt: new Date(task.createdAt),
         }));
 
@@ -148,12 +206,62 @@ const Reminder = ({ isOpen, onClose }) => {
     return 'text-base-content/60';
   };
 
+  const buildRecurrence = () => {
+    if (newReminder.repeat === 'none') return null;
+    if (newReminder.repeat === 'custom') return newReminder.rule.trim() || null;
+    if (newReminder.repeat === 'WEEKLY' && newReminder.weekdays.length > 0) {
+      const days = WEEKDAYS.filter(({ code }) => newReminder.weekdays.includes(code));
+      return `FREQ=WEEKLY;BYDAY=${days.map(({ code }) => code).join(',')}`;
+    }
+    return `FREQ=${newReminder.repeat}`;
+  };
+
+  const toggleWeekday = (code) => {
+    setNewReminder((prev) => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(code)
+        ? prev.weekdays.filter((day) => day !== code)
+        : [...prev.weekdays, code],
+    }));
+  };
+
+  const toggleOffset = (minutes) => {
+    setNewReminder((prev) => {
+      if (prev.offsets.includes(minutes)) {
+        return { ...prev, offsets: prev.offsets.filter((offset) => offset !== minutes) };
+      }
+      if (prev.offsets.length >= MAX_REMINDER_OFFSETS) {
+        toast.error(`You can set up to ${MAX_REMINDER_OFFSETS} reminders`);
+        return prev;
+      }
+      return { ...prev, offsets: [...prev.offsets, minutes].sort((a, b) => b - a) };
+    });
+  };
+
+  const addCustomOffset = () => {
+    const minutes = Math.round(Number(customOffset.amount) * OFFSET_UNITS[customOffset.unit]);
+    if (!minutes || minutes < 1 || minutes > 30 * 24 * 60) {
+      toast.error('Reminders can be between 1 minute and 30 days before the deadline');
+      return;
+    }
+    if (!newReminder.offsets.includes(minutes)) {
+      toggleOffset(minutes);
+    }
+    setCustomOffset((prev) => ({ ...prev, amount: '' }));
+  };
+
   const handleAddReminder = async () => {
     if (!newReminder.title.trim()) {
       toast.error('Please enter a reminder title');
       return;
     }
 
+    const recurrence = buildRecurrence();
+    if (recurrence && !newReminder.dueDate) {
+      toast.error('Pick a due date for a repeating reminder');
+      return;
+    }
+
     try {
       setAddingReminder(true);
       let dueDateTime = null;
@@ -171,13 +279,15 @@ const Reminder = ({ isOpen, onClose }) => {
         taskName: newReminder.title.trim(),
         taskDescription: newReminder.description.trim(),
         taskDeadline: dueDateTime,
+        recurrence,
+        reminderOffsets: newReminder.offsets,
       };
 
       const response = await tasksAPI.createTask(taskData);
 
       if (response.data && (response.data.Task || response.data.message)) {
         toast.success('Reminder added successfully!');
-        setNewReminder({ title: '', description: '', dueDate: '', dueTime: '' });
+        setNewReminder(EMPTY_REMINDER);
         setShowAddModal(false);
         await fetchTasks();
       } else {
@@ -219,7 +329,11 @@ const Reminder = ({ isOpen, onClose }) => {
 
       const response = await tasksAPI.toggleCompletion(id);
 
-      if (response.data && response.data.Task) {
+      if (response.data?.NextTask) {
+        const nextDue = new Date(response.data.NextTask.taskDeadline);
+        toast.success(`Done! Next one is due ${nextDue.toLocaleString()}`);
+        await fetchTasks();
+      } else if (response.data && response.data.Task) {
         toast.success('Reminder updated successfully!');
         await fetchTasks();
       }
@@ -325,8 +439,16 @@ const Reminder = ({ isOpen, onClose }) => {
                 >
                   <div className="flex items-start justify-between">
                     <div className="flex-1">
-                      <h3 className={`font-semibold ${getTextColor(reminder)}`}>
+                      <h3
+                        className={`font-semibold flex items-center gap-1 ${getTextColor(reminder)}`}
+                      >
                         {reminder.title}
+                        {reminder.recurrence && (
+                          <FiRepeat
+                            className="w-3 h-3 shrink-0 text-primary"
+                            title={describeRecurrence(reminder.recurrence)}
+                          />
+                        )}
                       </h3>
                       {reminder.description && (
                         <p className={`text-sm mt-1 ${getDescriptionColor(reminder)}`}>
@@ -339,6 +461,19 @@ const Reminder = ({ isOpen, onClose }) => {
                         <FiClock className="w-3 h-3" />
                         {formatDeadline(reminder.dueDate)}
                       </p>
+                      {reminder.page && onOpenPage && (
+                        <button
+                          onClick={() => {
+                            onOpenPage(reminder.page);
+                            onClose();
+                          }}
+                          className="text-xs mt-1 flex items-center gap-1 text-primary hover:underline"
+                          title="Open the note this task's checklist item is in"
+                        >
+                          <FiFileText className="w-3 h-3" />
+                          {reminder.page.name}
+                        </button>
+                      )}
                     </div>
                     <div className="flex gap-1 ml-2">
                       <button
@@ -385,7 +520,7 @@ const Reminder = ({ isOpen, onClose }) => {
             }
           }}
         >
-          <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-300 animate-in zoom-in-95 duration-300">
+          <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md max-h-[90vh] overflow-y-auto border border-base-300 animate-in zoom-in-95 duration-300">
             <div className="p-6 border-b border-base-300">
               <div className="flex items-center justify-between">
                 <h3 className="text-lg font-bold text-base-content">Add New Reminder</h3>
@@ -452,6 +587,103 @@ const Reminder = ({ isOpen, onClose }) => {
                   />
                 </div>
               </div>
+              <div>
+                <label className="label">
+                  <span className="label-text font-medium">Repeat</span>
+                </label>
+                <select
+                  className="select select-bordered w-full"
+                  value={newReminder.repeat}
+                  onChange={(e) => setNewReminder((prev) => ({ ...prev, repeat: e.target.value }))}
+                >
+                  {REPEAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {newReminder.repeat === 'WEEKLY' && (
+                  <div className="flex gap-1 mt-2">
+                    {WEEKDAYS.map(({ code, label }) => (
+                      <button
+                        key={code}
+                        type="button"
+                        onClick={() => toggleWeekday(code)}
+                        className={`btn btn-xs btn-circle ${
+                          newReminder.weekdays.includes(code) ? 'btn-primary' : 'btn-ghost'
+                        }`}
+                        title={code}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {newReminder.repeat === 'custom' && (
+                  <input
+                    type="text"
+                    placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+                    className="input input-bordered input-sm w-full mt-2 font-mono"
+                    value={newReminder.rule}
+                    onChange={(e) => setNewReminder((prev) => ({ ...prev, rule: e.target.value }))}
+                  />
+                )}
+              </div>
+              <div>
+                <label className="label">
+                  <span className="label-text font-medium">Remind me before</span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {[
+                    ...REMINDER_OFFSET_OPTIONS.map((option) => option.value),
+                    ...newReminder.offsets.filter(
+                      (offset) => !REMINDER_OFFSET_OPTIONS.some((option) => option.value === offset)
+                    ),
+                  ].map((offset) => (
+                    <button
+                      key={offset}
+                      type="button"
+                      onClick={() => toggleOffset(offset)}
+                      className={`badge badge-lg cursor-pointer ${
+                        newReminder.offsets.includes(offset) ? 'badge-primary' : 'badge-ghost'
+                      }`}
+                    >
+                      {formatOffset(offset)}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-2 mt-2">
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Custom"
+                    className="input input-bordered input-sm w-24"
+                    value={customOffset.amount}
+                    onChange={(e) =>
+                      setCustomOffset((prev) => ({ ...prev, amount: e.target.value }))
+                    }
+                  />
+                  <select
+                    className="select select-bordered select-sm"
+                    value={customOffset.unit}
+                    onChange={(e) => setCustomOffset((prev) => ({ ...prev, unit: e.target.value }))}
+                  >
+                    {Object.keys(OFFSET_UNITS).map((unit) => (
+                      <option key={unit} value={unit}>
+                        {unit}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={addCustomOffset}
+                    className="btn btn-ghost btn-sm"
+                    disabled={!customOffset.amount}
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
             </div>
             <div className="p-6 border-t border-base-300 flex gap-3 justify-end">
               <button onClick={() => setShowAddModal(false)} className="btn btn-ghost">
@@ -490,6 +722,7 @@ const Reminder = ({ isOpen, onClose }) => {
 Reminder.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
+  onOpenPage: PropTypes.func,
 };
 
 export default Reminder;
@@ -0,0 +1,127 @@
+import { useLayoutEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Overlay drawing the carets of other people editing the same page.
+// Textareas don't expose caret coordinates, so positions are measured with a
+// hidden mirror element that copies the textarea's text styles.
+
+const MIRRORED_STYLES = [
+  'boxSizing',
+  'width',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+  'letterSpacing',
+  'lineHeight',
+  'tabSize',
+  'textTransform',
+  'wordSpacing',
+];
+
+/**
+ * Measure the position of a text index inside a textarea
+ * @param {HTMLTextAreaElement} textarea - Editor textarea
+ * @param {string} text - Textarea content
+ * @param {number[]} indexes - Text indexes to measure
+ * @returns {{top: number, left: number, height: number}[]} Coordinates relative to the textarea
+ */
+const measureCarets = (textarea, text, indexes) => {
+  const computed = window.getComputedStyle(textarea);
+  const mirror = document.createElement('div');
+  MIRRORED_STYLES.forEach((property) => {
+    mirror.style[property] = computed[property];
+  });
+  mirror.style.position = 'absolute';
+  mirror.style.visibility = 'hidden';
+  mirror.style.whiteSpace = 'pre-wrap';
+  mirror.style.overflowWrap = 'break-word';
+  mirror.style.top = '0';
+  mirror.style.left = '-9999px';
+  document.body.appendChild(mirror);
+
+  const lineHeight = parseFloat(computed.lineHeight) || parseFloat(computed.fontSize) * 1.6;
+  const positions = indexes.map((index) => {
+    mirror.textContent = text.slice(0, index);
+    const marker = document.createElement('span');
+    // Keep the marker measurable even at the end of a line
+    marker.textContent = text.slice(index, index + 1) || '.';
+    mirror.appendChild(marker);
+    return { top: marker.offsetTop, left: marker.offsetLeft, height: lineHeight };
+  });
+
+  document.body.removeChild(mirror);
+  return positions;
+};
+
+const RemoteCursors = ({ textareaRef, content, cursors }) => {
+  const [positions, setPositions] = useState([]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea || cursors.length === 0) {
+      setPositions([]);
+      return;
+    }
+
+    const coordinates = measureCarets(
+      textarea,
+      content,
+      cursors.map((cursor) => Math.min(cursor.index, content.length))
+    );
+    setPositions(
+      cursors.map((cursor, i) => ({
+        ...cursor,
+        ...coordinates[i],
+        top: coordinates[i].top + textarea.offsetTop,
+        left: coordinates[i].left + textarea.offsetLeft,
+      }))
+    );
+  }, [textareaRef, content, cursors]);
+
+  return (
+    <div className="absolute top-0 left-0 pointer-events-none" aria-hidden="true">
+      {positions.map((cursor) => (
+        <div
+          key={cursor.sessionId}
+          className="absolute transition-all duration-100"
+          style={{ top: cursor.top, left: cursor.left, height: cursor.height }}
+        >
+          <div className="w-0.5 h-full" style={{ backgroundColor: cursor.color }} />
+          <span
+            className="absolute -top-4 left-0 px-1 rounded text-[10px] leading-4 text-white whitespace-nowrap"
+            style={{ backgroundColor: cursor.color }}
+          >
+            {cursor.name}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+RemoteCursors.propTypes = {
+  textareaRef: PropTypes.object.isRequired,
+  content: PropTypes.string.isRequired,
+  cursors: PropTypes.arrayOf(
+    PropTypes.shape({
+      sessionId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      color: PropTypes.string,
+      index: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+};
+
+export default RemoteCursors;
@@ -11,19 +11,49 @@ import {
   FiCopy,
   FiExternalLink,
   FiDownload,
+  FiStar,
+  FiLock,
+  FiClock,
+  FiEye,
 } from 'react-icons/fi';
 import toast from 'react-hot-toast';
 import { pagesAPI, authAPI, apiUtils } from '../../utils/api';
 import authContext from '../../context/AuthProvider';
 
-const ShareModal = ({ isOpen, onClose, activePage }) => {
+// What each collaborator can do; each role includes the ones above it
+const SHARE_ROLES = [
+  { value: 'viewer', label: 'Can view' },
+  { value: 'commenter', label: 'Can comment' },
+  { value: 'editor', label: 'Can edit' },
+  { value: 'manager', label: 'Can manage sharing' },
+];
+
+const LINK_STATUS_LABELS = {
+  active: 'Active',
+  revoked: 'Revoked',
+  expired: 'Expired',
+  'view-limit': 'View limit reached',
+};
+
+// datetime-local inputs take local time without a timezone
+const toLocalInputValue = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : 'Never');
+
+const ShareModal = ({ isOpen, onClose, activePage, role = 'owner', onOwnershipTransferred }) => {
   const [shareableLink, setShareableLink] = useState('');
   const [isGeneratingLink, setIsGeneratingLink] = useState(false);
   const [sharedUsers, setSharedUsers] = useState([]);
   const [newUserEmail, setNewUserEmail] = useState('');
+  const [newUserRole, setNewUserRole] = useState('editor');
   const [isInviting, setIsInviting] = useState(false);
   const [lastFailedEmail, setLastFailedEmail] = useState('');
   const [isFetchingSharedUsers, setIsFetchingSharedUsers] = useState(false);
+  const [invitations, setInvitations] = useState([]);
   const [currentShareSetting, setCurrentShareSetting] = useState({
     isPublic: null,
     allowComments: false,
@@ -36,6 +66,13 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
     allowDownload: null,
     expiresAt: null,
   });
+  const [linkSettings, setLinkSettings] = useState({
+    password: '',
+    removePassword: false,
+    expiresAt: '',
+    maxViews: '',
+  });
+  const [shareLinks, setShareLinks] = useState({ current: null, past: [] });
 
   const { user } = useContext(authContext);
 
@@ -52,16 +89,16 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
       const response = await pagesAPI.getPage(activePage.id);
       const data = response.data.Page;
 
-      setPreviousShareSettings({
-        ...currentShareSetting,
+      setPreviousShareSettings((prev) => ({
+        ...prev,
         isPublic: !!data.publicShareId,
         allowDownload: data.allowDownload,
-      });
-      setCurrentShareSetting({
-        ...currentShareSetting,
+      }));
+      setCurrentShareSetting((prev) => ({
+        ...prev,
         isPublic: !!data.publicShareId,
         allowDownload: data.allowDownload,
-      });
+      }));
 
       if (data.publicShareId) {
         setShareableLink(`${window.location.origin}/public/${data.publicShareId}`);
@@ -72,7 +109,48 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
       if (handleUnauthorized(error)) return;
       console.error('Error getting page status:', error);
     }
-  }, [activePage?.id, currentShareSetting]);
+  }, [activePage?.id]);
+
+  const fetchShareLinks = useCallback(async () => {
+    if (!activePage?.id) return;
+
+    try {
+      const response = await pagesAPI.getShareLinks(activePage.id);
+      const { publicShareId, Links = [] } = response.data;
+      const current = Links.find((link) => link.shareId === publicShareId) || null;
+
+      setShareLinks({ current, past: Links.filter((link) => link !== current) });
+      setLinkSettings({
+        password: '',
+        removePassword: false,
+        expiresAt: toLocalInputValue(current?.expiresAt),
+        maxViews: current?.maxViews ? String(current.maxViews) : '',
+      });
+    } catch (error) {
+      if (handleUnauthorized(error)) return;
+      console.error('Error fetching share links:', error);
+    }
+  }, [activePage?.id]);
+
+  // Password, expiry and view limit to send with the public share request
+  const getLinkSettings = () => {
+    const settings = {
+      maxViews: linkSettings.maxViews ? Number(linkSettings.maxViews) : null,
+    };
+    // Only send the expiry when it changed, so links that already expired can still be saved
+    if (linkSettings.expiresAt !== toLocalInputValue(shareLinks.current?.expiresAt)) {
+      settings.expiresAt = linkSettings.expiresAt
+        ? new Date(linkSettings.expiresAt).toISOString()
+        : null;
+    }
+    // A blank password keeps the current one
+    if (linkSettings.password) {
+      settings.password = linkSettings.password;
+    } else if (linkSettings.removePassword) {
+      settings.password = null;
+    }
+    return settings;
+  };
 
   const handleSave = async () => {
     if (
@@ -89,11 +167,13 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
         allowDownload: currentShareSetting.allowDownload,
         isPublic: currentShareSetting.isPublic,
         isRegenerate: currentShareSetting.isPublic ? false : true,
+        ...(currentShareSetting.isPublic ? getLinkSettings() : {}),
       });
       toast.success('Saved Successfully');
+      fetchShareLinks();
     } catch (error) {
       if (handleUnauthorized(error)) return;
-      toast.error('Error Saving');
+      toast.error(error.response?.data?.message || 'Error Saving');
     }
   };
 
@@ -106,8 +186,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
         pageId: activePage.id,
         allowDownload: false,
         isPublic: true,
-        allowComments: currentShareSetting?.allowComments ?? false,
-        expiresAt: currentShareSetting?.expiresAt ?? null,
+        ...getLinkSettings(),
       });
 
       if (response.status === 200 && response.data) {
@@ -117,6 +196,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
         setCurrentShareSetting({ ...currentShareSetting, isPublic: true, allowDownload: false });
         setShareableLink(publicLink);
         copyToClipboard(publicLink);
+        fetchShareLinks();
 
         if (response.data.message === 'Already Shared') {
           toast.success('🔗 Public link retrieved successfully!');
@@ -184,6 +264,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
         return;
       }
 
+      const shareRoles = page.shareRoles || {};
       const userPromises = sharedToIds.map(async (userId) => {
         try {
           const userResponse = await authAPI.getUserById(userId);
@@ -193,6 +274,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
               id: userData.id,
               name: userData.name,
               email: userData.email,
+              role: shareRoles[userId] || 'editor',
             };
           }
           throw new Error('Invalid user response');
@@ -202,7 +284,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
       });
 
       const sharedUsers = await Promise.all(userPromises);
-      setSharedUsers(sharedUsers);
+      setSharedUsers(sharedUsers.filter(Boolean));
     } catch (error) {
       if (handleUnauthorized(error)) return;
     } finally {
@@ -210,6 +292,30 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
     }
   }, [activePage?.id]);
 
+  const fetchInvitations = useCallback(async () => {
+    if (!activePage?.id) return;
+
+    try {
+      const response = await pagesAPI.getShareInvitations(activePage.id);
+      setInvitations(response.data.Invitations || []);
+    } catch (error) {
+      if (handleUnauthorized(error)) return;
+      console.error('Error fetching invitations:', error);
+    }
+  }, [activePage?.id]);
+
+  const cancelInvitation = async (email) => {
+    try {
+      await pagesAPI.cancelShareInvitation(activePage.id, email);
+      setInvitations((prev) => prev.filter((invitation) => invitation.email !== email));
+      toast.success(`Cancelled the invitation for ${email}`);
+    } catch (error) {
+      if (handleUnauthorized(error)) return;
+      console.error('Error cancelling invitation:', error);
+      toast.error('Failed to cancel invitation');
+    }
+  };
+
   const inviteUser = async () => {
     if (!newUserEmail.trim() || !activePage?.id) {
       toast.error('Please select a page and enter an email address');
@@ -231,11 +337,20 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
     const loadingToast = toast.loading('Sharing page...');
 
     try {
-      const response = await pagesAPI.sharePage(activePage.id, newUserEmail.trim());
+      const response = await pagesAPI.sharePage(activePage.id, newUserEmail.trim(), newUserRole);
 
       toast.dismiss(loadingToast);
 
-      if (response.status === 200 || response.status === 201) {
+      if (response.data?.emailSent === false) {
+        toast(`The email to ${newUserEmail} could not be sent`, { icon: '⚠️' });
+      }
+
+      if (response.data?.invited) {
+        // No account yet: they get access once they sign up from the invitation
+        toast.success(`Invitation sent to ${newUserEmail}!`);
+        setNewUserEmail('');
+        fetchInvitations();
+      } else if (response.status === 200 || response.status === 201) {
         toast.success(`Page shared with ${newUserEmail}!`);
         setNewUserEmail('');
         setSharedUsers((prev) => [
@@ -243,6 +358,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
           {
             email: newUserEmail.trim(),
             id: `temp_${Date.now()}`,
+            role: newUserRole,
           },
         ]);
       } else {
@@ -289,12 +405,57 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
     }
   };
 
+  const changeRole = async (sharedUser, newRole) => {
+    try {
+      await pagesAPI.updateShareRole(activePage.id, sharedUser.email, newRole);
+      setSharedUsers((prev) =>
+        prev.map((entry) =>
+          entry.email === sharedUser.email ? { ...entry, role: newRole } : entry
+        )
+      );
+      toast.success(`Updated access for ${sharedUser.email}`);
+    } catch (error) {
+      if (handleUnauthorized(error)) return;
+      console.error('Error updating share role:', error);
+      toast.error(error.response?.data?.message || 'Failed to update access');
+    }
+  };
+
+  const transferOwnership = async (sharedUser) => {
+    if (
+      !window.confirm(
+        `Make ${sharedUser.name || sharedUser.email} the owner of "${activePage.name}"? ` +
+          'You will keep access as a manager.'
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await pagesAPI.transferOwnership(activePage.id, sharedUser.email);
+      toast.success(`${sharedUser.name || sharedUser.email} now owns this page`);
+      onOwnershipTransferred?.();
+      onClose();
+    } catch (error) {
+      if (handleUnauthorized(error)) return;
+      console.error('Error transferring ownership:', error);
+      toast.error(error.response?.data?.message || 'Failed to transfer ownership');
+    }
+  };
+
   React.useEffect(() => {
     if (isOpen && activePage) {
       getStatus();
+      fetchShareLinks();
       fetchSharedUsers();
+      fetchInvitations();
     }
-  }, [isOpen, activePage, getStatus, fetchSharedUsers]);
+  }, [isOpen, activePage, getStatus, fetchShareLinks, fetchSharedUsers, fetchInvitations]);
+
+  const peakViews = Math.max(
+    1,
+    ...(shareLinks.current?.dailyViews || []).map((entry) => entry.views)
+  );
 
   if (!isOpen) return null;
 
@@ -435,6 +596,138 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
                   </p>
                 </div>
               </div>
+              {/* Link Protection */}
+              {currentShareSetting.isPublic && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-2">
+                  <div className="form-control">
+                    <label className="label gap-2 justify-start" htmlFor="share-link-password">
+                      <FiLock className="w-4 h-4" />
+                      <span className="label-text font-medium">Password</span>
+                    </label>
+                    <input
+                      id="share-link-password"
+                      type="password"
+                      className="input input-bordered input-sm rounded-xl bg-base-100"
+                      placeholder={
+                        shareLinks.current?.hasPassword ? 'Leave blank to keep' : 'No password'
+                      }
+                      value={linkSettings.password}
+                      onChange={(e) =>
+                        setLinkSettings({
+                          ...linkSettings,
+                          password: e.target.value,
+                          removePassword: false,
+                        })
+                      }
+                      autoComplete="new-password"
+                    />
+                    {shareLinks.current?.hasPassword && (
+                      <label className="label cursor-pointer justify-start gap-2">
+                        <input
+                          type="checkbox"
+                          className="checkbox checkbox-xs"
+                          checked={linkSettings.removePassword}
+                          onChange={(e) =>
+                            setLinkSettings({
+                              ...linkSettings,
+                              password: '',
+                              removePassword: e.target.checked,
+                            })
+                          }
+                        />
+                        <span className="label-text text-xs">Remove password</span>
+                      </label>
+                    )}
+                  </div>
+
+                  <div className="form-control">
+                    <label className="label gap-2 justify-start" htmlFor="share-link-expiry">
+                      <FiClock className="w-4 h-4" />
+                      <span className="label-text font-medium">Expires</span>
+                    </label>
+                    <input
+                      id="share-link-expiry"
+                      type="datetime-local"
+                      className="input input-bordered input-sm rounded-xl bg-base-100"
+                      value={linkSettings.expiresAt}
+                      onChange={(e) =>
+                        setLinkSettings({ ...linkSettings, expiresAt: e.target.value })
+                      }
+                    />
+                    <p className="text-xs text-base-content/60 mt-1">Leave empty to never expire</p>
+                  </div>
+
+                  <div className="form-control">
+                    <label className="label gap-2 justify-start" htmlFor="share-link-max-views">
+                      <FiEye className="w-4 h-4" />
+                      <span className="label-text font-medium">Max Views</span>
+                    </label>
+                    <input
+                      id="share-link-max-views"
+                      type="number"
+                      min="1"
+                      className="input input-bordered input-sm rounded-xl bg-base-100"
+                      placeholder="Unlimited"
+                      value={linkSettings.maxViews}
+                      onChange={(e) =>
+                        setLinkSettings({ ...linkSettings, maxViews: e.target.value })
+                      }
+                    />
+                  </div>
+                </div>
+              )}
+
+              {/* Link Analytics */}
+              {shareLinks.current && (
+                <div className="bg-base-100 rounded-xl p-4 border border-base-300/60 space-y-3">
+                  <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm">
+                    <span>
+                      <span className="font-semibold">{shareLinks.current.viewCount}</span>
+                      {shareLinks.current.maxViews ? ` / ${shareLinks.current.maxViews}` : ''} views
+                    </span>
+                    <span className="text-base-content/70">
+                      Last viewed: {formatDate(shareLinks.current.lastViewedAt)}
+                    </span>
+                    <span
+                      className={`badge badge-sm ${
+                        shareLinks.current.status === 'active' ? 'badge-success' : 'badge-warning'
+                      }`}
+                    >
+                      {LINK_STATUS_LABELS[shareLinks.current.status]}
+                    </span>
+                  </div>
+                  <div
+                    className="flex items-end gap-px h-12"
+                    aria-label="Views over the last 30 days"
+                  >
+                    {shareLinks.current.dailyViews.map(({ day, views }) => (
+                      <div
+                        key={day}
+                        className="flex-1 bg-primary/60 rounded-t"
+                        style={{ height: `${Math.max(4, (views / peakViews) * 100)}%` }}
+                        title={`${day}: ${views} views`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {shareLinks.past.length > 0 && (
+                <div className="space-y-1">
+                  <p className="text-xs font-medium text-base-content/60">Previous links</p>
+                  {shareLinks.past.slice(0, 5).map((link) => (
+                    <div
+                      key={link.shareId}
+                      className="flex items-center justify-between text-xs text-base-content/70"
+                    >
+                      <span className="font-mono">/public/{link.shareId.slice(0, 8)}…</span>
+                      <span>
+                        {link.viewCount} views · {LINK_STATUS_LABELS[link.status]}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
 
@@ -461,7 +754,7 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
                 </button>
               </div>
               <p className="text-sm text-base-content/70">
-                Share with specific people who can view and edit
+                Share with specific people and choose what they can do
               </p>
 
               <div className="space-y-2">
@@ -481,6 +774,18 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
                       }}
                     />
                   </div>
+                  <select
+                    className="select select-bordered h-12 rounded-xl text-sm"
+                    value={newUserRole}
+                    onChange={(e) => setNewUserRole(e.target.value)}
+                    aria-label="Access for the invited user"
+                  >
+                    {SHARE_ROLES.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
                   <button
                     onClick={inviteUser}
                     className="btn btn-secondary gap-2 rounded-xl hover:scale-105 transition-all"
@@ -540,13 +845,41 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
                             <span className="text-xs text-base-content/60">{sharedUser.email}</span>
                           </div>
                         </div>
-                        <button
-                          onClick={() => removeSharedUser(sharedUser.email)}
-                          className="btn btn-ghost btn-sm btn-circle hover:btn-error hover:scale-110 transition-all text-base-content/60 hover:text-black"
-                          title="Remove access"
-                        >
-                          <FiX className="w-4 h-4 " />
-                        </button>
+                        <div className="flex items-center gap-1">
+                          <select
+                            className="select select-bordered select-sm rounded-lg text-xs"
+                            value={sharedUser.role || 'editor'}
+                            onChange={(e) => changeRole(sharedUser, e.target.value)}
+                            disabled={
+                              String(sharedUser.id).startsWith('temp_') ||
+                              sharedUser.email === user?.email
+                            }
+                            aria-label={`Access for ${sharedUser.email}`}
+                          >
+                            {SHARE_ROLES.map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                          {role === 'owner' && !activePage?.parent && (
+                            <button
+                              onClick={() => transferOwnership(sharedUser)}
+                              className="btn btn-ghost btn-sm btn-circle hover:btn-warning hover:scale-110 transition-all text-base-content/60"
+                              title="Make owner"
+                              disabled={String(sharedUser.id).startsWith('temp_')}
+                            >
+                              <FiStar className="w-4 h-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => removeSharedUser(sharedUser.email)}
+                            className="btn btn-ghost btn-sm btn-circle hover:btn-error hover:scale-110 transition-all text-base-content/60 hover:text-black"
+                            title="Remove access"
+                          >
+                            <FiX className="w-4 h-4 " />
+                          </button>
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -560,7 +893,39 @@ const ShareModal = ({ isOpen, onClose, activePage }) => {
                 </div>
               )}
 
+              {invitations.length > 0 && (
+                <div className="space-y-3">
+                  <p className="text-sm font-medium text-base-content/80">
+                    Pending invitations ({invitations.length}):
+                  </p>
+                  <div className="space-y-2 max-h-40 overflow-y-auto">
+                    {invitations.map((invitation) => (
+                      <div
+                        key={invitation.email}
+                        className="flex items-center justify-between bg-base-100 rounded-xl p-3 border border-dashed border-base-300"
+                      >
+                        <div className="flex flex-col">
+                          <span className="text-sm text-base-content">{invitation.email}</span>
+                          <span className="text-xs text-base-content/60">
+                            {SHARE_ROLES.find((option) => option.value === invitation.role)?.label}{' '}
+                            · waiting for them to sign up
+                          </span>
+                        </div>
+                        <button
+                          onClick={() => cancelInvitation(invitation.email)}
+                          className="btn btn-ghost btn-sm btn-circle hover:btn-error hover:scale-110 transition-all text-base-content/60 hover:text-black"
+                          title="Cancel invitation"
+                        >
+                          <FiX className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {!isFetchingSharedUsers &&
+                invitations.length === 0 &&
                 (!Array.isArray(sharedUsers) || sharedUsers.length === 0) && (
                   <div className="text-center py-4 text-base-content/50 text-sm">
                     <FiUsers className="w-8 h-8 mx-auto mb-2 opacity-30" />
@@ -612,7 +977,10 @@ ShareModal.propTypes = {
   activePage: PropTypes.shape({
     id: PropTypes.string,
     name: PropTypes.string,
+    parent: PropTypes.string,
   }),
+  role: PropTypes.string,
+  onOwnershipTransferred: PropTypes.func,
 };
 
 export default ShareModal;
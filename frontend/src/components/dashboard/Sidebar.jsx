@@ -3,32 +3,58 @@ import PropTypes from 'prop-types';
 import {
   FiPlus,
   FiFile,
-  FiShare2,
   FiSearch,
-  FiMoreHorizontal,
   FiEdit3,
   FiTrash2,
   FiUsers,
   FiFolder,
   FiChevronDown,
   FiChevronRight,
+  FiRotateCcw,
+  FiX,
+  FiUpload,
+  FiMonitor,
+  FiShield,
+  FiSettings,
 } from 'react-icons/fi';
+import { BiNetworkChart } from 'react-icons/bi';
 import toast from 'react-hot-toast';
 import authContext from '../../context/AuthProvider';
 import { usePageCache } from '../../hooks/usePageCache.js';
 import { useNavigate } from 'react-router-dom';
-import { pagesAPI, apiUtils } from '../../utils/api';
+import { pagesAPI, authAPI, apiUtils } from '../../utils/api';
 import CreateNewNoteModal from '../modals/CreateNewNoteModal.jsx';
 import DeleteNoteModal from '../modals/DeleteNoteModal.jsx';
+import ImportModal from '../modals/ImportModal.jsx';
+import SessionsModal from '../modals/SessionsModal.jsx';
+import TwoFactorModal from '../modals/TwoFactorModal.jsx';
+import PageTree from './PageTree.jsx';
+import TagFilter from './TagFilter.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import { confirmLinkRewrite } from '../../utils/wikiLinks';
+import { parseTagInput, matchesTags } from '../../utils/tags';
 
 // =============================================================================
 // DEVELOPER NOTES
 // =============================================================================
 // Sidebar component for page navigation and management.
 // Features:
-// - Page listing with search functionality
-// - Create, rename, delete page operations
+// - Nested page tree with name filtering (see PageTree); the search button
+//   opens the dashboard's full-text search palette (Ctrl+K)
+// - Create, create subpage, rename, delete page operations; pages can be
+//   created from a template (see TemplatePicker)
+// - Drag and drop to reorder pages or move them into other pages
+// - Tags: the tag cloud filters both trees by one or more tags (pages need
+//   all of them); pages can be tagged from the row menu, and tags renamed or
+//   removed everywhere from the tag cloud's edit mode
+// - Export every page, or import a Markdown folder, Obsidian vault or Notion
+//   export as pages (see ImportModal)
 // - Shared pages section
+// - Signed-in devices can be listed and signed out from the footer (see SessionsModal),
+//   and two-factor authentication set up there too (see TwoFactorModal); the
+//   settings button opens the account settings page (see pages/Settings)
+// - Trash section: deleted pages can be restored or deleted forever until
+//   the server purges them after the retention period
 // - Responsive design with mobile overlay
 // - Page preloading on hover for better UX
 //
@@ -40,16 +66,13 @@ import DeleteNoteModal from '../modals/DeleteNoteModal.jsx';
 // =============================================================================
 // TODO
 // =============================================================================
-// - [ ] Add drag-and-drop for page reordering
-// - [ ] Implement page folders/categories
 // - [ ] Add page favorites/starred functionality
 // - [ ] Improve search with fuzzy matching and highlighting
 // - [ ] Add bulk operations (select multiple pages)
-// - [ ] Implement page tags/labels system
 // - [ ] Add recent pages section
 // - [ ] Consider implementing page thumbnails/previews
 
-const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
+const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose, onOpenSearch, onOpenGraph }) => {
   const { user, setuser } = useContext(authContext);
   const { preloadPage, isPreloading } = usePageCache();
   const navigate = useNavigate();
@@ -58,12 +81,18 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
   const [sharedPages, setSharedPages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [tagCounts, setTagCounts] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
   const [showMyPages, setShowMyPages] = useState(true);
   const [showSharedPages, setShowSharedPages] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showRenameModal, setShowRenameModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showSessionsModal, setShowSessionsModal] = useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = useState(false);
   const [newPageName, setNewPageName] = useState('');
+  const [createParent, setCreateParent] = useState(null);
   const [renamePageName, setRenamePageName] = useState('');
   const [renamePageId, setRenamePageId] = useState('');
   const [pageToDelete, setPageToDelete] = useState(null);
@@ -71,6 +100,10 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
   const [isRenaming, setIsRenaming] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [hoverTimeouts, setHoverTimeouts] = useState(new Map());
+  const [trashedPages, setTrashedPages] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [loadingTrash, setLoadingTrash] = useState(false);
+  const [trashActionId, setTrashActionId] = useState(null);
 
   const fetchPages = useCallback(async () => {
     try {
@@ -82,6 +115,9 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
           _id: page.id,
           title: page.name,
           pageName: page.name,
+          parent: page.parent || null,
+          position: page.position ?? 0,
+          tags: page.tags || [],
           updatedAt: new Date().toISOString(),
           createdAt: new Date().toISOString(),
         }));
@@ -93,12 +129,21 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
           _id: page.id,
           title: page.name,
           pageName: page.name,
+          parent: page.parent || null,
+          position: page.position ?? 0,
+          tags: page.tags || [],
           updatedAt: new Date().toISOString(),
           createdAt: new Date().toISOString(),
           owner: { name: 'Shared User' },
+          role: page.role,
         }));
         setSharedPages(transformedSharedPages);
       }
+
+      const tags = response.data.Tags || [];
+      setTagCounts(tags);
+      // Drop selected tags that no page uses anymore
+      setSelectedTags((prev) => prev.filter((tag) => tags.some((entry) => entry.tag === tag)));
     } catch (error) {
       if (
         apiUtils.handleUnauthorized(error, () => {
@@ -118,15 +163,76 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
     }
   }, [setuser, navigate]);
 
-  const openCreateModal = () => {
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoadingTrash(true);
+      const response = await pagesAPI.getTrash();
+      setTrashedPages(response.data.TrashedPages || []);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setLoadingTrash(false);
+    }
+  }, []);
+
+  const toggleTrash = () => {
+    // Refresh on open - pages can also be trashed from the top bar
+    if (!showTrash) {
+      fetchTrash();
+    }
+    setShowTrash(!showTrash);
+  };
+
+  const restoreFromTrash = async (page) => {
+    try {
+      setTrashActionId(page.id);
+      await pagesAPI.restoreFromTrash(page.id);
+      toast.success(`"${page.name}" restored`);
+      setTrashedPages((prev) => prev.filter((p) => p.id !== page.id));
+      fetchPages();
+    } catch (error) {
+      const errorMsg = error.response?.data?.message || 'Failed to restore page';
+      toast.error(errorMsg);
+      console.error('Error restoring page:', error);
+    } finally {
+      setTrashActionId(null);
+    }
+  };
+
+  const deleteForever = async (page) => {
+    if (!confirm(`Permanently delete "${page.name}"? This cannot be undone.`)) return;
+
+    try {
+      setTrashActionId(page.id);
+      await pagesAPI.deleteForever(page.id);
+      toast.success(`"${page.name}" deleted forever`);
+      setTrashedPages((prev) => prev.filter((p) => p.id !== page.id));
+    } catch (error) {
+      const errorMsg = error.response?.data?.message || 'Failed to delete page';
+      toast.error(errorMsg);
+      console.error('Error deleting page:', error);
+    } finally {
+      setTrashActionId(null);
+    }
+  };
+
+  const openCreateModal = (parentPage = null) => {
     setNewPageName('');
+    setCreateParent(parentPage);
     setShowCreateModal(true);
   };
 
-  const handleCreatePage = async (pageName) => {
+  const handleCreatePage = async (pageName, templateId) => {
     try {
       const response = await pagesAPI.createPage({
         pageName: pageName,
+        parentId: createParent?._id ?? null,
+        // Template dates and times are filled in for the user's time zone
+        ...(templateId && {
+          templateId,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
       });
 
       if (response.data.Page) {
@@ -168,9 +274,12 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
 
       const response = await pagesAPI.deletePage(pageId);
 
-      if (response.data.success || response.data.message?.includes('deleted')) {
-        toast.success('Page deleted successfully!');
+      if (response.status === 200) {
+        toast.success('Page moved to trash');
         fetchPages();
+        if (showTrash) {
+          fetchTrash();
+        }
         if (selectedPageId === pageId && onPageSelect) {
           onPageSelect(null);
         }
@@ -195,6 +304,91 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
     }
   };
 
+  const movePage = async (pageId, parentId, position) => {
+    try {
+      await pagesAPI.movePage(pageId, parentId, position);
+    } catch (error) {
+      if (
+        apiUtils.handleUnauthorized(error, () => {
+          setuser(null);
+          localStorage.removeItem('zetta_user');
+          toast.error('Session expired. Please login again.');
+          setTimeout(() => {
+            navigate('/login');
+          }, 1500);
+        })
+      )
+        return;
+      const errorMsg = error.response?.data?.message || 'Failed to move page';
+      toast.error(errorMsg);
+      console.error('Error moving page:', error);
+    } finally {
+      fetchPages();
+    }
+  };
+
+  const runTagAction = async (action, failureMessage) => {
+    try {
+      await action();
+      fetchPages();
+    } catch (error) {
+      if (
+        apiUtils.handleUnauthorized(error, () => {
+          setuser(null);
+          localStorage.removeItem('zetta_user');
+          toast.error('Session expired. Please login again.');
+          setTimeout(() => {
+            navigate('/login');
+          }, 1500);
+        })
+      )
+        return;
+      toast.error(error.response?.data?.message || failureMessage);
+      console.error(failureMessage, error);
+    }
+  };
+
+  const addTagsToPage = (page) => {
+    const tags = parseTagInput(
+      window.prompt(`Add tags to "${page.title}" (comma separated):`) || ''
+    );
+    if (tags.length === 0) return;
+
+    runTagAction(async () => {
+      await pagesAPI.addPageTags(page._id, tags);
+      toast.success(`Tagged "${page.title}" with ${tags.map((tag) => `#${tag}`).join(', ')}`);
+    }, 'Failed to add tags');
+  };
+
+  const renameTag = (tag) => {
+    const [newTag] = parseTagInput(window.prompt(`Rename #${tag} to:`, tag) || '');
+    if (!newTag || newTag === tag) return;
+
+    runTagAction(async () => {
+      const response = await pagesAPI.renameTag(tag, newTag);
+      const { pages: updatedPages = 0 } = response.data.updated || {};
+      setSelectedTags((prev) => prev.map((selected) => (selected === tag ? newTag : selected)));
+      toast.success(
+        `Renamed #${tag} to #${newTag} on ${updatedPages} page${updatedPages === 1 ? '' : 's'}`
+      );
+    }, 'Failed to rename tag');
+  };
+
+  const removeTag = (tag) => {
+    if (
+      !window.confirm(
+        `Remove #${tag} from all your pages? Hashtags in the content become plain words.`
+      )
+    )
+      return;
+
+    runTagAction(async () => {
+      const response = await pagesAPI.removeTag(tag);
+      const { pages: updatedPages = 0 } = response.data.updated || {};
+      toast.success(`Removed #${tag} from ${updatedPages} page${updatedPages === 1 ? '' : 's'}`);
+    }, 'Failed to remove tag');
+  };
+
   const openDeleteModal = (page) => {
     setPageToDelete(page);
     setShowDeleteModal(true);
@@ -232,14 +426,20 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
     try {
       setIsRenaming(true);
 
-      const response = await pagesAPI.renamePage(renamePageId, renamePageName.trim());
+      const rewriteLinks = await confirmLinkRewrite(renamePageId, renamePageName.trim());
+      const response = await pagesAPI.renamePage(renamePageId, renamePageName.trim(), rewriteLinks);
 
       if (
         response.data['Updated Page'] ||
         response.data.message?.includes('renamed') ||
         response.data.message?.includes('updated')
       ) {
-        toast.success(`Page renamed to "${renamePageName}" successfully!`);
+        const { links = 0 } = response.data.rewrittenLinks || {};
+        toast.success(
+          links > 0
+            ? `Page renamed to "${renamePageName}" and ${links} link${links === 1 ? '' : 's'} updated!`
+            : `Page renamed to "${renamePageName}" successfully!`
+        );
         fetchPages();
         closeRenameModal();
 
@@ -329,14 +529,36 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
     }
   }, [fetchPages, user]);
 
-  const filteredPages = pages.filter((page) =>
-    page.pageName.toLowerCase().includes(searchTerm.toLowerCase())
+  const resendVerification = async () => {
+    try {
+      await authAPI.resendVerification();
+      toast.success(`Verification link sent to ${user.email}`);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      // Verified in another tab or device since this session started
+      if (error.response?.status === 400) {
+        setuser({ ...user, emailVerified: true });
+      }
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
+  // Counts only - the trees do their own filtering so matches keep their parents
+  const filteredPages = pages.filter(
+    (page) =>
+      page.pageName.toLowerCase().includes(searchTerm.toLowerCase()) &&
+      matchesTags(page.tags, selectedTags)
   );
 
-  const filteredSharedPages = sharedPages.filter((page) =>
-    page.pageName.toLowerCase().includes(searchTerm.toLowerCase())
+  const filteredSharedPages = sharedPages.filter(
+    (page) =>
+      page.pageName.toLowerCase().includes(searchTerm.toLowerCase()) &&
+      matchesTags(page.tags, selectedTags)
   );
 
+  const daysUntilPurge = (purgeAt) =>
+    Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+
   return (
     <>
       {/* Sidebar Container */}
@@ -355,8 +577,33 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
               <h2 className="font-bold text-xl text-base-content">Pages</h2>
             </div>
             <div className="flex items-center gap-2">
+              {onOpenGraph && (
+                <button
+                  onClick={onOpenGraph}
+                  className="btn btn-ghost btn-sm btn-circle hover:scale-110 transition-all duration-200"
+                  title="Open Knowledge Graph"
+                >
+                  <BiNetworkChart className="w-4 h-4" />
+                </button>
+              )}
+              <ExportMenu
+                onExport={(format) => pagesAPI.exportPages(undefined, format)}
+                label="Export all pages"
+                fileName="ZettaNote"
+                buttonClassName="btn btn-ghost btn-sm btn-circle hover:scale-110 transition-all duration-200"
+                iconOnly
+                alignEnd={false}
+                hint="Exports every page you own as a .zip"
+              />
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="btn btn-ghost btn-sm btn-circle hover:scale-110 transition-all duration-200"
+                title="Import Pages"
+              >
+                <FiUpload className="w-4 h-4" />
+              </button>
               <button
-                onClick={openCreateModal}
+                onClick={() => openCreateModal()}
                 className="btn btn-primary btn-sm gap-2 hover:scale-110 transition-all duration-200 rounded-xl shadow-lg shadow-primary/25"
                 title="Create New Page"
               >
@@ -384,13 +631,23 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
             />
-            {searchTerm && (
+            {searchTerm ? (
               <button
                 onClick={() => setSearchTerm('')}
                 className="absolute right-3 top-1/2 transform -translate-y-1/2 btn btn-ghost btn-xs btn-circle hover:bg-base-300"
               >
                 ×
               </button>
+            ) : (
+              onOpenSearch && (
+                <button
+                  onClick={onOpenSearch}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 hover:opacity-100 opacity-60 transition-opacity"
+                  title="Search page content (Ctrl+K)"
+                >
+                  <kbd className="kbd kbd-xs">Ctrl K</kbd>
+                </button>
+              )
             )}
           </div>
         </div>
@@ -407,12 +664,15 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
             </div>
           ) : (
             <>
-              <div className="relative">
-                {/* Timeline wrapper */}
-                {showMyPages && filteredPages.length > 0 && (
-                  <div className="absolute left-4 top-8 bottom-0 w-[2px] bg-base-300/80"></div>
-                )}
+              <TagFilter
+                tags={tagCounts}
+                selectedTags={selectedTags}
+                onChange={setSelectedTags}
+                onRename={renameTag}
+                onRemove={removeTag}
+              />
 
+              <div className="relative">
                 <button
                   onClick={() => setShowMyPages(!showMyPages)}
                   className="flex items-center gap-3 font-bold text-base-content/90 hover:text-base-content transition-all duration-200 w-full text-left p-3 rounded-2xl hover:bg-base-200/50 group"
@@ -427,123 +687,29 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
                 </button>
 
                 {showMyPages && (
-                  <div className="space-y-2 ml-8 relative">
+                  <div className="ml-2 relative">
                     {filteredPages.length > 0 ? (
-                      filteredPages.map((page) => (
-                        <div key={page._id} className="group relative">
-                          {/* connector dot on the timeline */}
-                          <span
-                            className={`absolute -left-0 top-1/2 transform -translate-y-1/2 w-3 h-3 rounded-full z-10 ${
-                              selectedPageId === page._id
-                                ? 'bg-primary/80 ring-2 ring-primary/20'
-                                : 'bg-base-200 border border-base-300/80'
-                            }`}
-                            aria-hidden
-                          />
-                          {/* small horizontal connector from the dot to the card */}
-                          <span className="absolute -left-4 top-1/2 transform -translate-y-1/2 w-4 h-[2px] bg-base-300/80 z-0" />
-
-                          <div
-                            className={`flex items-center justify-between p-4 rounded-2xl transition-all duration-200 cursor-pointer ${
-                              selectedPageId === page._id
-                                ? 'bg-primary/10 border border-primary/30 shadow-lg'
-                                : 'hover:bg-base-200/60 hover:shadow-md hover:scale-[1.01]'
-                            } ${isPreloading(page._id) ? 'opacity-75' : ''}`}
-                            onClick={() =>
-                              onPageSelect &&
-                              onPageSelect({ id: page._id, name: page.title, ...page })
-                            }
-                            onMouseEnter={() => handlePageHover(page._id)}
-                            onMouseLeave={() => handlePageLeave(page._id)}
-                          >
-                            <div className="flex items-center gap-4 flex-1 min-w-0">
-                              <div
-                                className={`w-10 h-10 rounded-xl flex items-center justify-center ${
-                                  selectedPageId === page._id
-                                    ? 'bg-primary/20 border border-primary/20'
-                                    : 'bg-base-200/60 group-hover:bg-primary/10'
-                                }`}
-                              >
-                                <FiFile
-                                  className={`w-5 h-5 ${
-                                    selectedPageId === page._id
-                                      ? 'text-primary'
-                                      : 'text-base-content/60 group-hover:text-primary'
-                                  }`}
-                                />
-                              </div>
-                              <div className="flex-1 min-w-0">
-                                <p
-                                  className={`text-sm font-semibold truncate ${
-                                    selectedPageId === page._id
-                                      ? 'text-primary'
-                                      : 'text-base-content group-hover:text-primary'
-                                  }`}
-                                >
-                                  {page.title || 'Untitled'}
-                                </p>
-                                <p className="text-xs text-base-content/60 mt-1">
-                                  {new Date(page.updatedAt).toLocaleDateString('en-US', {
-                                    month: 'short',
-                                    day: 'numeric',
-                                    year: 'numeric',
-                                  })}
-                                </p>
-                              </div>
-                            </div>
-
-                            {/* Page Actions Dropdown */}
-                            <div className="flex-shrink-0">
-                              <div className="dropdown dropdown-end">
-                                <div
-                                  tabIndex={0}
-                                  role="button"
-                                  className="btn btn-ghost btn-xs btn-circle opacity-0 group-hover:opacity-100 transition-opacity duration-200"
-                                  onClick={(e) => e.stopPropagation()}
-                                >
-                                  <FiMoreHorizontal className="w-4 h-4" />
-                                </div>
-                                <ul
-                                  tabIndex={0}
-                                  className="dropdown-content menu bg-base-100 rounded-box z-[1] w-44 p-2 shadow-xl border border-base-300"
-                                  onClick={(e) => e.stopPropagation()}
-                                >
-                                  <li>
-                                    <button
-                                      onClick={(e) => {
-                                        e.stopPropagation();
-                                        openRenameModal(page._id, page.title);
-                                      }}
-                                      className="flex items-center gap-3 text-sm"
-                                    >
-                                      <FiEdit3 className="w-4 h-4 text-blue-500" />
-                                      Rename
-                                    </button>
-                                  </li>
-                                  <li>
-                                    <button
-                                      onClick={(e) => {
-                                        e.stopPropagation();
-                                        openDeleteModal(page);
-                                      }}
-                                      className="flex items-center gap-3 text-sm text-error hover:bg-error/10"
-                                    >
-                                      <FiTrash2 className="w-4 h-4" />
-                                      Delete
-                                    </button>
-                                  </li>
-                                </ul>
-                              </div>
-                            </div>
-                          </div>
-                        </div>
-                      ))
+                      <PageTree
+                        pages={pages}
+                        selectedPageId={selectedPageId}
+                        searchTerm={searchTerm}
+                        selectedTags={selectedTags}
+                        onSelect={(page) => onPageSelect && onPageSelect(page)}
+                        onHover={handlePageHover}
+                        onLeave={handlePageLeave}
+                        isPreloading={isPreloading}
+                        onCreateSubpage={openCreateModal}
+                        onRename={openRenameModal}
+                        onDelete={openDeleteModal}
+                        onMove={movePage}
+                        onAddTags={addTagsToPage}
+                      />
                     ) : (
                       <div className="text-center py-6 text-base-content/60">
                         <FiFile className="w-8 h-8 mx-auto mb-2 opacity-50" />
                         <p className="text-sm">No pages found</p>
                         <button
-                          onClick={openCreateModal}
+                          onClick={() => openCreateModal()}
                           className="text-primary hover:text-primary-focus text-sm mt-1 cursor-pointer"
                         >
                           Create your first page
@@ -556,10 +722,6 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
 
               {/* Shared Pages Section */}
               <div className="relative">
-                {showSharedPages && filteredSharedPages.length > 0 && (
-                  <div className="absolute left-4 top-8 bottom-0 w-[2px] bg-base-300/80" />
-                )}
-
                 <button
                   onClick={() => setShowSharedPages(!showSharedPages)}
                   className="flex items-center gap-2 font-semibold text-base-content/80 mb-3 hover:text-base-content transition-colors w-full text-left"
@@ -574,64 +736,93 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
                 </button>
 
                 {showSharedPages && (
-                  <div className="space-y-1 ml-8 relative">
+                  <div className="ml-2 relative">
                     {filteredSharedPages.length > 0 ? (
-                      filteredSharedPages.map((page) => (
-                        <div key={page._id} className="group relative">
-                          {/* timeline dot */}
-                          <span
-                            className={`absolute -left-0 top-1/2 transform -translate-y-1/2 w-2 h-2 rounded-full z-10 ${
-                              selectedPageId === page._id
-                                ? 'bg-secondary/80 ring-2 ring-secondary/20'
-                                : 'bg-base-200 border border-base-300/80'
-                            }`}
-                            aria-hidden
-                          />
-                          {/* horizontal connector */}
-                          <span className="absolute -left-4 top-1/2 transform -translate-y-1/2 w-4 h-[2px] bg-base-300/80 z-0" />
-
-                          <div
-                            className={`flex items-center gap-3 p-3 rounded-lg hover:bg-base-200 transition-colors cursor-pointer ${
-                              selectedPageId === page._id
-                                ? 'bg-secondary/10 border border-secondary/20'
-                                : ''
-                            } ${isPreloading(page._id) ? 'opacity-75' : ''}`}
-                            onClick={() =>
-                              onPageSelect &&
-                              onPageSelect({ id: page._id, name: page.title, ...page })
-                            }
-                            onMouseEnter={() => handlePageHover(page._id)}
-                            onMouseLeave={() => handlePageLeave(page._id)}
-                          >
-                            <FiShare2
-                              className={`w-4 h-4 flex-shrink-0 ${
-                                selectedPageId === page._id ? 'text-secondary' : 'text-secondary'
-                              }`}
-                            />
-                            <div className="flex-1 min-w-0">
-                              <p
-                                className={`text-sm font-medium truncate ${
-                                  selectedPageId === page._id
-                                    ? 'text-secondary'
-                                    : 'text-base-content'
-                                }`}
+                      <PageTree
+                        pages={sharedPages}
+                        selectedPageId={selectedPageId}
+                        searchTerm={searchTerm}
+                        selectedTags={selectedTags}
+                        shared
+                        onSelect={(page) => onPageSelect && onPageSelect(page)}
+                        onHover={handlePageHover}
+                        onLeave={handlePageLeave}
+                        isPreloading={isPreloading}
+                      />
+                    ) : (
+                      <div className="text-center py-6 text-base-content/60">
+                        <FiUsers className="w-8 h-8 mx-auto mb-2 opacity-50" />
+                        <p className="text-sm">No shared pages</p>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Trash Section */}
+              <div className="relative">
+                <button
+                  onClick={toggleTrash}
+                  className="flex items-center gap-2 font-semibold text-base-content/80 mb-3 hover:text-base-content transition-colors w-full text-left"
+                >
+                  {showTrash ? (
+                    <FiChevronDown className="w-4 h-4" />
+                  ) : (
+                    <FiChevronRight className="w-4 h-4" />
+                  )}
+                  <FiTrash2 className="w-4 h-4 text-error" />
+                  Trash{showTrash && !loadingTrash ? ` (${trashedPages.length})` : ''}
+                </button>
+
+                {showTrash && (
+                  <div className="space-y-1 ml-8">
+                    {loadingTrash && trashedPages.length === 0 ? (
+                      <div className="text-center py-4">
+                        <span className="loading loading-spinner loading-sm text-base-content/60"></span>
+                      </div>
+                    ) : trashedPages.length > 0 ? (
+                      trashedPages.map((page) => (
+                        <div
+                          key={page.id}
+                          className="group flex items-center gap-3 p-3 rounded-lg hover:bg-base-200 transition-colors"
+                        >
+                          <FiFile className="w-4 h-4 flex-shrink-0 text-base-content/40" />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium truncate text-base-content/70">
+                              {page.name || 'Untitled'}
+                            </p>
+                            <p className="text-xs text-base-content/50">
+                              {page.subpageCount > 0 &&
+                                `With ${page.subpageCount} subpage${page.subpageCount === 1 ? '' : 's'} · `}
+                              Deleted forever in {daysUntilPurge(page.purgeAt)} days
+                            </p>
+                          </div>
+                          {trashActionId === page.id ? (
+                            <span className="loading loading-spinner loading-xs"></span>
+                          ) : (
+                            <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                              <button
+                                onClick={() => restoreFromTrash(page)}
+                                className="btn btn-ghost btn-xs btn-circle"
+                                title="Restore"
+                              >
+                                <FiRotateCcw className="w-3 h-3" />
+                              </button>
+                              <button
+                                onClick={() => deleteForever(page)}
+                                className="btn btn-ghost btn-xs btn-circle hover:text-error"
+                                title="Delete forever"
                               >
-                                {page.title || 'Untitled'}
-                              </p>
-                              <p className="text-xs text-base-content/60">
-                                by {page.owner?.name || 'Unknown'}
-                              </p>
+                                <FiX className="w-3 h-3" />
+                              </button>
                             </div>
-                            <span className="text-xs px-2 py-1 bg-secondary/20 text-secondary rounded-full">
-                              Shared
-                            </span>
-                          </div>
+                          )}
                         </div>
                       ))
                     ) : (
                       <div className="text-center py-6 text-base-content/60">
-                        <FiUsers className="w-8 h-8 mx-auto mb-2 opacity-50" />
-                        <p className="text-sm">No shared pages</p>
+                        <FiTrash2 className="w-8 h-8 mx-auto mb-2 opacity-50" />
+                        <p className="text-sm">Trash is empty</p>
                       </div>
                     )}
                   </div>
@@ -644,15 +835,55 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
         {/* Footer */}
         <div className="p-4 border-t border-base-300 bg-base-100 sticky bottom-0">
           <div className="flex items-center gap-3">
-            <div className="w-8 h-8 bg-primary text-primary-content rounded-full flex items-center justify-center text-sm font-bold">
-              {user?.name?.charAt(0)?.toUpperCase() || user?.email?.charAt(0)?.toUpperCase() || 'U'}
-            </div>
+            {user?.avatar ? (
+              <img
+                src={user.avatar}
+                alt=""
+                className="w-8 h-8 rounded-full object-cover border border-base-300"
+              />
+            ) : (
+              <div className="w-8 h-8 bg-primary text-primary-content rounded-full flex items-center justify-center text-sm font-bold">
+                {user?.name?.charAt(0)?.toUpperCase() ||
+                  user?.email?.charAt(0)?.toUpperCase() ||
+                  'U'}
+              </div>
+            )}
             <div className="flex-1 min-w-0">
               <p className="text-sm font-medium text-base-content truncate">
                 {user?.name || user?.email || 'User'}
               </p>
               <p className="text-xs text-base-content/60">{pages.length} pages</p>
+              {user?.emailVerified === false && (
+                <button
+                  onClick={resendVerification}
+                  className="text-xs text-warning hover:underline"
+                  title="Email me a new verification link"
+                >
+                  Email not verified - resend link
+                </button>
+              )}
             </div>
+            <button
+              onClick={() => setShowTwoFactorModal(true)}
+              className="btn btn-ghost btn-sm btn-circle"
+              title="Two-factor authentication"
+            >
+              <FiShield className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setShowSessionsModal(true)}
+              className="btn btn-ghost btn-sm btn-circle"
+              title="Signed-in devices"
+            >
+              <FiMonitor className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => navigate('/settings')}
+              className="btn btn-ghost btn-sm btn-circle"
+              title="Account settings"
+            >
+              <FiSettings className="w-4 h-4" />
+            </button>
           </div>
         </div>
 
@@ -748,6 +979,7 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
           isCreating={isCreating}
           setIsCreating={setIsCreating}
           onCreatePage={handleCreatePage}
+          parentName={createParent?.title}
         />
 
         {/* Delete Page Modal */}
@@ -758,6 +990,17 @@ const Sidebar = ({ onPageSelect, selectedPageId, isOpen, onClose }) => {
           isDeleting={isDeleting}
           onDeletePage={deletePage}
         />
+
+        {/* Account Modals */}
+        <SessionsModal isOpen={showSessionsModal} onClose={() => setShowSessionsModal(false)} />
+        <TwoFactorModal isOpen={showTwoFactorModal} onClose={() => setShowTwoFactorModal(false)} />
+
+        {/* Import Pages Modal */}
+        <ImportModal
+          isOpen={showImportModal}
+          onClose={() => setShowImportModal(false)}
+          onImported={fetchPages}
+        />
       </div>
 
       {/* Floating Tab Button for Mobile - Only visible on mobile when sidebar is closed */}
@@ -790,6 +1033,8 @@ Sidebar.propTypes = {
   selectedPageId: PropTypes.string,
   isOpen: PropTypes.bool,
   onClose: PropTypes.func,
+  onOpenSearch: PropTypes.func,
+  onOpenGraph: PropTypes.func,
 };
 
 export default Sidebar;
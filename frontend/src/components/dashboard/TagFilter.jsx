@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiTag, FiChevronDown, FiChevronRight, FiEdit3, FiX, FiCheck } from 'react-icons/fi';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Tag cloud for the sidebar. Clicking tags selects them; pages must have all
+// selected tags to stay visible (nested tags such as ideas/books count for
+// their parent). Edit mode offers renaming and removing a tag everywhere.
+
+const TagFilter = ({ tags, selectedTags, onChange, onRename, onRemove }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
+
+  if (tags.length === 0) return null;
+
+  const toggleTag = (tag) => {
+    onChange(
+      selectedTags.includes(tag)
+        ? selectedTags.filter((selected) => selected !== tag)
+        : [...selectedTags, tag]
+    );
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-center gap-2 mb-3">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-2 font-semibold text-base-content/80 hover:text-base-content transition-colors flex-1 text-left"
+        >
+          {isOpen ? <FiChevronDown className="w-4 h-4" /> : <FiChevronRight className="w-4 h-4" />}
+          <FiTag className="w-4 h-4 text-accent" />
+          Tags ({tags.length})
+        </button>
+        {isOpen && selectedTags.length > 0 && (
+          <button
+            onClick={() => onChange([])}
+            className="btn btn-ghost btn-xs"
+            title="Show all pages"
+          >
+            Clear
+          </button>
+        )}
+        {isOpen && (
+          <button
+            onClick={() => setIsEditing(!isEditing)}
+            className={`btn btn-ghost btn-xs btn-circle ${isEditing ? 'text-primary' : ''}`}
+            title={isEditing ? 'Done editing tags' : 'Rename or remove tags'}
+          >
+            {isEditing ? <FiCheck className="w-3 h-3" /> : <FiEdit3 className="w-3 h-3" />}
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="flex flex-wrap gap-1.5 ml-2">
+          {tags.map(({ tag, count }) => {
+            const isSelected = selectedTags.includes(tag);
+            return (
+              <div
+                key={tag}
+                className={`badge gap-1 py-3 cursor-pointer transition-colors ${
+                  isSelected ? 'badge-primary' : 'badge-ghost hover:badge-outline'
+                }`}
+                onClick={() => !isEditing && toggleTag(tag)}
+                title={isEditing ? tag : `${count} page${count === 1 ? '' : 's'}`}
+              >
+                <span className="text-xs">#{tag}</span>
+                {isEditing ? (
+                  <>
+                    <button
+                      onClick={() => onRename(tag)}
+                      className="hover:text-primary"
+                      title={`Rename #${tag}`}
+                    >
+                      <FiEdit3 className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => onRemove(tag)}
+                      className="hover:text-error"
+                      title={`Remove #${tag} from all pages`}
+                    >
+                      <FiX className="w-3 h-3" />
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-[10px] opacity-60">{count}</span>
+                )}
+              </div>
+            );
+          })}
+          {selectedTags.length > 1 && (
+            <p className="w-full text-xs text-base-content/50 mt-1">
+              Showing pages with all selected tags
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+TagFilter.propTypes = {
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      tag: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  selectedTags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+export default TagFilter;
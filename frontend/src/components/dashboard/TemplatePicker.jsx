@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiFile, FiLayout, FiGlobe, FiLock, FiTrash2, FiSearch } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { templatesAPI } from '../../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Template gallery used when creating a page. "Mine" lists the user's own
+// templates (which can be published or deleted here), "Public" browses the
+// templates other users have published. Selecting nothing creates a blank page.
+
+const TemplatePicker = ({ selectedTemplateId = null, onSelect, disabled = false }) => {
+  const [tab, setTab] = useState('mine');
+  const [myTemplates, setMyTemplates] = useState([]);
+  const [publicTemplates, setPublicTemplates] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchMyTemplates = async () => {
+      try {
+        setLoading(true);
+        const response = await templatesAPI.getTemplates();
+        setMyTemplates(response.data.Templates || []);
+      } catch (error) {
+        console.error('Error loading templates:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchMyTemplates();
+  }, []);
+
+  // Search public templates as the user types
+  useEffect(() => {
+    if (tab !== 'public') return undefined;
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await templatesAPI.browseTemplates(query.trim() || undefined);
+        if (!cancelled) setPublicTemplates(response.data.Templates || []);
+      } catch (error) {
+        console.error('Error browsing templates:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [tab, query]);
+
+  const togglePublic = async (template) => {
+    try {
+      await templatesAPI.updateTemplate(template.id, { isPublic: !template.isPublic });
+      setMyTemplates((prev) =>
+        prev.map((item) => (item.id === template.id ? { ...item, isPublic: !item.isPublic } : item))
+      );
+      toast.success(template.isPublic ? 'Template is now private' : 'Template published');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update template');
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Pages created from it are kept.`))
+      return;
+    try {
+      await templatesAPI.deleteTemplate(template.id);
+      setMyTemplates((prev) => prev.filter((item) => item.id !== template.id));
+      if (selectedTemplateId === template.id) onSelect(null);
+      toast.success('Template deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    }
+  };
+
+  const templates = tab === 'mine' ? myTemplates : publicTemplates;
+
+  const renderOption = (template) => {
+    const isSelected = template ? selectedTemplateId === template.id : !selectedTemplateId;
+    return (
+      <div
+        key={template?.id || 'blank'}
+        className={`group flex items-start gap-3 p-3 rounded-xl border cursor-pointer transition-colors ${
+          isSelected
+            ? 'border-primary bg-primary/10'
+            : 'border-base-300 hover:border-primary/40 hover:bg-base-200/50'
+        } ${disabled ? 'pointer-events-none opacity-60' : ''}`}
+        onClick={() => onSelect(template)}
+      >
+        {template ? (
+          <FiLayout className="w-4 h-4 mt-0.5 flex-shrink-0 text-primary" />
+        ) : (
+          <FiFile className="w-4 h-4 mt-0.5 flex-shrink-0 text-base-content/60" />
+        )}
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium truncate">{template ? template.name : 'Blank page'}</p>
+          <p className="text-xs text-base-content/60 truncate">
+            {template
+              ? template.description || template.preview || 'Empty template'
+              : 'Start from scratch'}
+          </p>
+          {template?.ownerName && (
+            <p className="text-xs text-base-content/40 mt-0.5">by {template.ownerName}</p>
+          )}
+        </div>
+        {template && tab === 'mine' && (
+          <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                togglePublic(template);
+              }}
+              className="btn btn-ghost btn-xs btn-square"
+              title={
+                template.isPublic ? 'Public - click to make private' : 'Private - click to publish'
+              }
+            >
+              {template.isPublic ? <FiGlobe className="w-3 h-3" /> : <FiLock className="w-3 h-3" />}
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                deleteTemplate(template);
+              }}
+              className="btn btn-ghost btn-xs btn-square text-error"
+              title="Delete template"
+            >
+              <FiTrash2 className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-base-content">Template</p>
+        <div role="tablist" className="tabs tabs-boxed tabs-xs">
+          <button
+            role="tab"
+            className={`tab ${tab === 'mine' ? 'tab-active' : ''}`}
+            onClick={() => setTab('mine')}
+          >
+            Mine
+          </button>
+          <button
+            role="tab"
+            className={`tab ${tab === 'public' ? 'tab-active' : ''}`}
+            onClick={() => setTab('public')}
+          >
+            Public
+          </button>
+        </div>
+      </div>
+
+      {tab === 'public' && (
+        <div className="relative mb-2">
+          <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-base-content/50" />
+          <input
+            type="text"
+            placeholder="Search public templates..."
+            className="input input-bordered input-sm w-full pl-9"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-56 overflow-y-auto pr-1">
+        {tab === 'mine' && renderOption(null)}
+        {templates.map((template) => renderOption(template))}
+        {loading && (
+          <div className="text-center py-2">
+            <span className="loading loading-spinner loading-sm text-base-content/60"></span>
+          </div>
+        )}
+        {!loading && templates.length === 0 && (
+          <p className="text-xs text-base-content/50 text-center py-2">
+            {tab === 'mine'
+              ? 'No templates yet. Save a page as a template from the top bar.'
+              : 'No public templates found'}
+          </p>
+        )}
+      </div>
+
+      <p className="text-xs text-base-content/50 mt-2">
+        Variables such as {'{{title}}'}, {'{{date}}'}, {'{{time}}'} and {'{{user.name}}'} are filled
+        in when the page is created.
+      </p>
+    </div>
+  );
+};
+
+TemplatePicker.propTypes = {
+  selectedTemplateId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default TemplatePicker;
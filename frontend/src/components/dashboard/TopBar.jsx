@@ -1,10 +1,36 @@
 import { useState } from 'react';
-import { FiShare2, FiSave, FiClock, FiFile, FiAlertTriangle, FiCheck } from 'react-icons/fi';
+import {
+  FiShare2,
+  FiSave,
+  FiClock,
+  FiFile,
+  FiAlertTriangle,
+  FiCheck,
+  FiRotateCcw,
+  FiLayout,
+} from 'react-icons/fi';
 import ShareModal from './ShareModal';
+import PageHistory from './PageHistory';
+import SaveTemplateModal from '../modals/SaveTemplateModal';
+import ExportMenu from './ExportMenu';
+import { pagesAPI } from '../../utils/api';
 import propTypes from 'prop-types';
 
-const TopBar = ({ activePage, onSave, lastSaved, saveStatus }) => {
+const TopBar = ({
+  activePage,
+  onSave,
+  onRestoreVersion,
+  lastSaved,
+  saveStatus,
+  collaborators = 0,
+  role = 'owner',
+  onRoleChange,
+}) => {
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const canEdit = ['owner', 'manager', 'editor'].includes(role);
+  const canManageSharing = ['owner', 'manager'].includes(role);
 
   const handleShare = () => {
     setShowShareModal(true);
@@ -40,6 +66,11 @@ const TopBar = ({ activePage, onSave, lastSaved, saveStatus }) => {
                   <FiClock className="w-3 h-3 lg:w-4 lg:h-4" />
                   <span className="font-medium hidden sm:inline">{formatLastSaved(lastSaved)}</span>
                 </div>
+                {!canEdit && (
+                  <span className="badge badge-ghost badge-sm">
+                    {role === 'commenter' ? 'Can comment' : 'View only'}
+                  </span>
+                )}
                 {saveStatus === 'saving' && (
                   <div className="flex items-center space-x-2 text-warning">
                     <div className="w-2 h-2 bg-warning rounded-full animate-pulse"></div>
@@ -58,6 +89,20 @@ const TopBar = ({ activePage, onSave, lastSaved, saveStatus }) => {
                     <span className="text-sm font-medium">Saved locally</span>
                   </div>
                 )}
+                {saveStatus === 'live' && (
+                  <div className="flex items-center space-x-2 text-success">
+                    <div className="w-2 h-2 bg-success rounded-full animate-pulse"></div>
+                    <span className="text-sm font-medium">
+                      Live{collaborators > 0 ? ` · ${collaborators + 1} editing` : ''}
+                    </span>
+                  </div>
+                )}
+                {saveStatus === 'conflict' && (
+                  <div className="flex items-center space-x-2 text-warning">
+                    <div className="w-2 h-2 bg-warning rounded-full"></div>
+                    <span className="text-sm font-medium">Save conflict</span>
+                  </div>
+                )}
                 {saveStatus === 'error' && (
                   <div className="flex items-center space-x-2 text-error">
                     <div className="w-2 h-2 bg-error rounded-full"></div>
@@ -74,65 +119,101 @@ const TopBar = ({ activePage, onSave, lastSaved, saveStatus }) => {
           <div className="flex items-center space-x-2 lg:space-x-4">
             {/* Action Buttons Group */}
             <div className="flex items-center gap-5 bg-base-200/50 rounded-2xl p-1 lg:p-1.5 border border-base-300/30 shadow-sm">
+              {canEdit && (
+                <button
+                  onClick={onSave}
+                  className={`btn btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl ${
+                    saveStatus === 'saving'
+                      ? 'btn-warning loading'
+                      : saveStatus === 'error'
+                        ? 'btn-error'
+                        : saveStatus === 'synced'
+                          ? 'btn-success'
+                          : saveStatus === 'cached'
+                            ? 'btn-info'
+                            : 'btn-ghost hover:btn-success'
+                  }`}
+                  disabled={saveStatus === 'saving'}
+                  title={
+                    saveStatus === 'saving'
+                      ? 'Saving to server...'
+                      : saveStatus === 'error'
+                        ? 'Save failed - click to retry'
+                        : saveStatus === 'synced'
+                          ? 'Synced with server'
+                          : saveStatus === 'cached'
+                            ? 'Saved locally'
+                            : 'Save page (Ctrl+S)'
+                  }
+                >
+                  {saveStatus === 'saving' ? (
+                    <div className="loading loading-spinner loading-sm"></div>
+                  ) : saveStatus === 'error' ? (
+                    <FiAlertTriangle className="w-4 h-4" />
+                  ) : saveStatus === 'synced' ? (
+                    <FiCheck className="w-4 h-4" />
+                  ) : saveStatus === 'cached' ? (
+                    <FiSave className="w-4 h-4" />
+                  ) : (
+                    <FiSave className="w-4 h-4" />
+                  )}
+                  <span className="hidden sm:inline lg:inline">
+                    {saveStatus === 'saving'
+                      ? 'Saving...'
+                      : saveStatus === 'error'
+                        ? 'Retry'
+                        : saveStatus === 'synced'
+                          ? 'Synced'
+                          : saveStatus === 'cached'
+                            ? 'Saved'
+                            : 'Save'}
+                  </span>
+                </button>
+              )}
+
+              {/* History Button */}
               <button
-                onClick={onSave}
-                className={`btn btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl ${
-                  saveStatus === 'saving'
-                    ? 'btn-warning loading'
-                    : saveStatus === 'error'
-                      ? 'btn-error'
-                      : saveStatus === 'synced'
-                        ? 'btn-success'
-                        : saveStatus === 'cached'
-                          ? 'btn-info'
-                          : 'btn-ghost hover:btn-success'
-                }`}
-                disabled={saveStatus === 'saving'}
-                title={
-                  saveStatus === 'saving'
-                    ? 'Saving to server...'
-                    : saveStatus === 'error'
-                      ? 'Save failed - click to retry'
-                      : saveStatus === 'synced'
-                        ? 'Synced with server'
-                        : saveStatus === 'cached'
-                          ? 'Saved locally'
-                          : 'Save page (Ctrl+S)'
-                }
+                onClick={() => setShowHistory(true)}
+                className="btn btn-ghost btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl"
+                title="View page history"
               >
-                {saveStatus === 'saving' ? (
-                  <div className="loading loading-spinner loading-sm"></div>
-                ) : saveStatus === 'error' ? (
-                  <FiAlertTriangle className="w-4 h-4" />
-                ) : saveStatus === 'synced' ? (
-                  <FiCheck className="w-4 h-4" />
-                ) : saveStatus === 'cached' ? (
-                  <FiSave className="w-4 h-4" />
-                ) : (
-                  <FiSave className="w-4 h-4" />
-                )}
-                <span className="hidden sm:inline lg:inline">
-                  {saveStatus === 'saving'
-                    ? 'Saving...'
-                    : saveStatus === 'error'
-                      ? 'Retry'
-                      : saveStatus === 'synced'
-                        ? 'Synced'
-                        : saveStatus === 'cached'
-                          ? 'Saved'
-                          : 'Save'}
-                </span>
+                <FiRotateCcw className="w-4 h-4" />
+                <span className="hidden sm:inline">History</span>
               </button>
 
-              {/* Share Button */}
+              {/* Save as Template Button */}
               <button
-                onClick={handleShare}
-                className="btn btn-primary btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl shadow-lg shadow-primary/25"
-                title="Share page publicly"
+                onClick={() => setShowSaveTemplate(true)}
+                className="btn btn-ghost btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl"
+                title="Save page as template"
               >
-                <FiShare2 className="w-4 h-4" />
-                <span className="hidden sm:inline">Share</span>
+                <FiLayout className="w-4 h-4" />
+                <span className="hidden sm:inline">Template</span>
               </button>
+
+              {/* Export Menu */}
+              <ExportMenu
+                onExport={(format) => pagesAPI.exportPages(activePage.id, format)}
+                fileName={activePage.name}
+                buttonClassName="btn btn-ghost btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl"
+                hint={
+                  saveStatus === 'cached' || saveStatus === 'unsaved'
+                    ? 'Exports use the last saved version of the page'
+                    : 'Static site includes subpages'
+                }
+              />
+
+              {/* Share Button */}
+              {canManageSharing && (
+                <button
+                  onClick={handleShare}
+                  className="btn btn-primary btn-sm gap-1 lg:gap-2 hover:scale-105 transition-all duration-200 rounded-xl shadow-lg shadow-primary/25"
+                  title="Share page publicly"
+                >
+                  <FiShare2 className="w-4 h-4" />
+                  <span className="hidden sm:inline">Share</span>
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -143,6 +224,24 @@ const TopBar = ({ activePage, onSave, lastSaved, saveStatus }) => {
         isOpen={showShareModal}
         onClose={() => setShowShareModal(false)}
         activePage={activePage}
+        role={role}
+        onOwnershipTransferred={() => onRoleChange?.('manager')}
+      />
+
+      {/* Save as Template Modal */}
+      <SaveTemplateModal
+        isOpen={showSaveTemplate}
+        onClose={() => setShowSaveTemplate(false)}
+        activePage={activePage}
+        hasUnsavedChanges={saveStatus === 'cached' || saveStatus === 'unsaved'}
+      />
+
+      {/* Version History Panel */}
+      <PageHistory
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        activePage={activePage}
+        onRestore={canEdit ? onRestoreVersion : undefined}
       />
     </>
   );
@@ -151,10 +250,14 @@ const TopBar = ({ activePage, onSave, lastSaved, saveStatus }) => {
 TopBar.propTypes = {
   activePage: propTypes.object,
   onSave: propTypes.func.isRequired,
+  onRestoreVersion: propTypes.func.isRequired,
   onDelete: propTypes.func,
   onRename: propTypes.func,
   lastSaved: propTypes.string,
   saveStatus: propTypes.string,
+  collaborators: propTypes.number,
+  role: propTypes.string,
+  onRoleChange: propTypes.func,
 };
 
 export default TopBar;
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FiCloudOff,
+  FiRefreshCw,
+  FiTrash2,
+  FiAlertTriangle,
+  FiGitMerge,
+  FiClock,
+  FiX,
+} from 'react-icons/fi';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Floating list of the changes still waiting in the background sync queue
+// (useUnsyncedChanges). Saves, renames and deletes that keep failing, and saves
+// whose merge with the server version conflicts, stay here until the user
+// retries, resolves or discards them, so offline work is never dropped silently.
+
+const CHANGE_LABELS = {
+  save: 'Edits',
+  rename: 'Rename',
+  delete: 'Deletion',
+};
+
+const STATUS_BADGES = {
+  pending: { label: 'Waiting', className: 'badge-ghost', icon: FiClock },
+  failed: { label: 'Failed', className: 'badge-error', icon: FiAlertTriangle },
+  conflict: { label: 'Conflict', className: 'badge-warning', icon: FiGitMerge },
+};
+
+const UnsyncedChanges = ({ changes, isOnline, onRetry, onDiscard, onOpenPage }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (changes.length === 0) return null;
+
+  const needsAttention = changes.some((change) => change.status !== 'pending');
+
+  const confirmDiscard = (change) => {
+    const message =
+      change.type === 'save'
+        ? 'Discard these edits? They have not been saved to the server.'
+        : 'Discard this change?';
+    if (window.confirm(message)) {
+      onDiscard(change.id);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-24 right-6 z-50 flex flex-col items-end gap-2">
+      {isOpen && (
+        <div className="w-80 max-h-96 bg-base-100 border border-base-300 rounded-2xl shadow-2xl flex flex-col">
+          <div className="flex items-center gap-2 px-4 py-3 border-b border-base-300">
+            <FiCloudOff className="w-4 h-4 text-warning" />
+            <h3 className="font-semibold text-sm">Unsynced changes</h3>
+            <button
+              onClick={() => setIsOpen(false)}
+              className="ml-auto btn btn-ghost btn-xs btn-circle"
+              title="Close"
+            >
+              <FiX className="w-4 h-4" />
+            </button>
+          </div>
+          {!isOnline && (
+            <p className="px-4 pt-3 text-xs text-base-content/60">
+              You are offline - changes will sync when you reconnect.
+            </p>
+          )}
+          <ul className="flex-1 overflow-y-auto p-2 space-y-1">
+            {changes.map((change) => {
+              const badge = STATUS_BADGES[change.status] ?? STATUS_BADGES.pending;
+              return (
+                <li key={change.id} className="rounded-xl p-2 hover:bg-base-200">
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => onOpenPage(change)}
+                      className="flex-1 min-w-0 text-left text-sm font-medium truncate hover:text-primary"
+                      title="Open page"
+                    >
+                      {change.pageName || 'Untitled page'}
+                    </button>
+                    <span className={`badge badge-sm gap-1 ${badge.className}`}>
+                      <badge.icon className="w-3 h-3" />
+                      {badge.label}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-1 mt-1 text-xs text-base-content/60">
+                    <span>
+                      {CHANGE_LABELS[change.type] ?? change.type} ·{' '}
+                      {new Date(change.timestamp).toLocaleString()}
+                    </span>
+                    {change.status === 'conflict' ? (
+                      <button
+                        onClick={() => onOpenPage(change)}
+                        className="ml-auto btn btn-ghost btn-xs"
+                        title="Open the page to resolve the conflict"
+                      >
+                        Resolve
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => onRetry(change.id)}
+                        className="ml-auto btn btn-ghost btn-xs btn-square"
+                        title="Retry now"
+                      >
+                        <FiRefreshCw className="w-3 h-3" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => confirmDiscard(change)}
+                      className="btn btn-ghost btn-xs btn-square text-error"
+                      title="Discard"
+                    >
+                      <FiTrash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className={`btn btn-sm gap-2 rounded-full shadow-lg ${needsAttention ? 'btn-warning' : 'btn-neutral'}`}
+        title="Unsynced changes"
+      >
+        <FiCloudOff className="w-4 h-4" />
+        {changes.length} unsynced
+      </button>
+    </div>
+  );
+};
+
+UnsyncedChanges.propTypes = {
+  changes: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      type: PropTypes.string.isRequired,
+      pageId: PropTypes.string,
+      pageName: PropTypes.string,
+      status: PropTypes.string,
+      timestamp: PropTypes.number,
+    })
+  ).isRequired,
+  isOnline: PropTypes.bool,
+  onRetry: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  onOpenPage: PropTypes.func.isRequired,
+};
+
+export default UnsyncedChanges;
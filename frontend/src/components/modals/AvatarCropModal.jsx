@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { FiImage, FiX, FiZoomIn } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Crops a picked image to the square avatar. The image always covers the crop:
+// dragging moves it and the slider zooms it, within bounds. The canvas shown is
+// the avatar itself, so saving uploads exactly what the user sees, as a small
+// JPEG far below the server's 2 MB limit.
+
+// Side of the avatar in pixels, on screen and uploaded
+const CROP_SIZE = 256;
+const MAX_ZOOM = 3;
+
+// Size of the image drawn at a zoom, and how far it can move off centre
+const getBounds = (image, zoom) => {
+  const scale = (CROP_SIZE / Math.min(image.width, image.height)) * zoom;
+  const width = image.width * scale;
+  const height = image.height * scale;
+  return { width, height, maxX: (width - CROP_SIZE) / 2, maxY: (height - CROP_SIZE) / 2 };
+};
+
+const clamp = (value, max) => Math.min(max, Math.max(-max, value));
+
+const AvatarCropModal = ({ file, onClose, onSave }) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setImage(null);
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      setImage(img);
+      setZoom(1);
+      setOffset({ x: 0, y: 0 });
+    };
+    img.onerror = () => {
+      toast.error('That file could not be opened as an image');
+      onClose();
+    };
+    img.src = url;
+    return () => URL.revokeObjectURL(url);
+  }, [file, onClose]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!image || !canvas) return;
+
+    const { width, height } = getBounds(image, zoom);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    // JPEG has no transparency, so transparent images get a white background
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, CROP_SIZE, CROP_SIZE);
+    ctx.drawImage(
+      image,
+      (CROP_SIZE - width) / 2 + offset.x,
+      (CROP_SIZE - height) / 2 + offset.y,
+      width,
+      height
+    );
+  }, [image, zoom, offset]);
+
+  if (!file) return null;
+
+  const changeZoom = (value) => {
+    const bounds = getBounds(image, value);
+    setZoom(value);
+    setOffset((current) => ({
+      x: clamp(current.x, bounds.maxX),
+      y: clamp(current.y, bounds.maxY),
+    }));
+  };
+
+  const startDrag = (e) => {
+    if (!image) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, offset };
+  };
+
+  const drag = (e) => {
+    const start = dragRef.current;
+    if (!start) return;
+    const bounds = getBounds(image, zoom);
+    setOffset({
+      x: clamp(start.offset.x + e.clientX - start.x, bounds.maxX),
+      y: clamp(start.offset.y + e.clientY - start.y, bounds.maxY),
+    });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const save = async () => {
+    try {
+      setSaving(true);
+      await onSave(canvasRef.current.toDataURL('image/jpeg', 0.9));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget && !saving) onClose();
+      }}
+    >
+      <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-300">
+        <div className="p-6 border-b border-base-300 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-base-content flex items-center gap-2">
+            <FiImage className="w-5 h-5 text-primary" />
+            Crop your avatar
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle" disabled={saving}>
+            <FiX className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-6 flex flex-col items-center gap-4">
+          <div className="relative w-64 h-64 rounded-xl overflow-hidden bg-base-200">
+            {!image && (
+              <div className="absolute inset-0 flex items-center justify-center">
+                <span className="loading loading-spinner loading-md text-primary"></span>
+              </div>
+            )}
+            <canvas
+              ref={canvasRef}
+              width={CROP_SIZE}
+              height={CROP_SIZE}
+              onPointerDown={startDrag}
+              onPointerMove={drag}
+              onPointerUp={endDrag}
+              onPointerCancel={endDrag}
+              className="w-64 h-64 cursor-move touch-none"
+            />
+            {/* Avatars are shown round */}
+            <div className="absolute inset-0 pointer-events-none rounded-full ring-[999px] ring-black/40"></div>
+          </div>
+
+          <label className="flex items-center gap-3 w-64 text-base-content/70">
+            <FiZoomIn className="w-4 h-4 shrink-0" />
+            <input
+              type="range"
+              min="1"
+              max={MAX_ZOOM}
+              step="0.01"
+              value={zoom}
+              onChange={(e) => changeZoom(Number(e.target.value))}
+              className="range range-primary range-xs"
+              disabled={!image}
+              aria-label="Zoom"
+            />
+          </label>
+          <p className="text-xs text-base-content/60">Drag the image to choose what shows.</p>
+        </div>
+
+        <div className="p-6 border-t border-base-300 flex justify-end gap-3">
+          <button onClick={onClose} className="btn btn-ghost btn-sm" disabled={saving}>
+            Cancel
+          </button>
+          <button onClick={save} className="btn btn-primary btn-sm" disabled={!image || saving}>
+            {saving ? <span className="loading loading-spinner loading-sm"></span> : 'Save avatar'}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+AvatarCropModal.propTypes = {
+  file: PropTypes.instanceOf(Blob),
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+};
+
+export default AvatarCropModal;
@@ -1,6 +1,8 @@
+import { useState } from 'react';
 import { FiPlus } from 'react-icons/fi';
 import { createPortal } from 'react-dom';
 import toast from 'react-hot-toast';
+import TemplatePicker from '../dashboard/TemplatePicker.jsx';
 
 const CreateNewNoteModal = ({
   showCreateModal,
@@ -10,11 +12,22 @@ const CreateNewNoteModal = ({
   isCreating,
   setIsCreating,
   onCreatePage,
+  parentName = null,
 }) => {
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+
   const closeCreateModal = () => {
     setShowCreateModal(false);
     setNewPageName('');
     setIsCreating(false);
+    setSelectedTemplate(null);
+  };
+
+  const selectTemplate = (template) => {
+    setSelectedTemplate(template);
+    if (template && !newPageName.trim()) {
+      setNewPageName(template.name);
+    }
   };
 
   const createNewPage = async () => {
@@ -25,7 +38,7 @@ const CreateNewNoteModal = ({
 
     try {
       setIsCreating(true);
-      await onCreatePage(newPageName.trim());
+      await onCreatePage(newPageName.trim(), selectedTemplate?.id);
       closeCreateModal();
     } catch (error) {
       // Error handling is done in the parent
@@ -43,7 +56,7 @@ const CreateNewNoteModal = ({
         onClick={closeCreateModal}
       >
         <div
-          className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-300"
+          className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-lg border border-base-300"
           onClick={(event) => event.stopPropagation()}
         >
           {/* Modal Header */}
@@ -53,8 +66,12 @@ const CreateNewNoteModal = ({
                 <FiPlus className="w-5 h-5 text-primary" />
               </div>
               <div>
-                <h3 className="text-lg font-semibold text-base-content">Create New Page</h3>
-                <p className="text-sm text-base-content/60">Give your page a memorable name</p>
+                <h3 className="text-lg font-semibold text-base-content">
+                  {parentName ? 'Create New Subpage' : 'Create New Page'}
+                </h3>
+                <p className="text-sm text-base-content/60">
+                  {parentName ? `Inside "${parentName}"` : 'Give your page a memorable name'}
+                </p>
               </div>
             </div>
           </div>
@@ -90,6 +107,12 @@ const CreateNewNoteModal = ({
                 </div>
               </div>
 
+              <TemplatePicker
+                selectedTemplateId={selectedTemplate?.id}
+                onSelect={selectTemplate}
+                disabled={isCreating}
+              />
+
               {/* Suggestions */}
               <div>
                 <p className="text-xs text-base-content/60 mb-2">Quick suggestions:</p>
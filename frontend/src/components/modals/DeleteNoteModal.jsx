@@ -40,8 +40,8 @@ const DeleteNoteModal = ({
                 <FiTrash2 className="w-5 h-5 text-error" />
               </div>
               <div>
-                <h3 className="text-lg font-semibold text-base-content">Delete Page</h3>
-                <p className="text-sm text-base-content/60">This action cannot be undone</p>
+                <h3 className="text-lg font-semibold text-base-content">Move to Trash</h3>
+                <p className="text-sm text-base-content/60">You can restore it from the trash</p>
               </div>
             </div>
           </div>
@@ -51,15 +51,14 @@ const DeleteNoteModal = ({
             <div className="space-y-4">
               <div className="bg-error/5 border border-error/20 rounded-lg p-4">
                 <p className="text-sm text-base-content">
-                  Are you sure you want to delete{' '}
+                  Are you sure you want to move{' '}
                   <span className="font-semibold text-error">
                     &quot;{pageToDelete?.title}&quot;
-                  </span>
-                  ?
+                  </span>{' '}
+                  to the trash?
                 </p>
                 <p className="text-xs text-base-content/60 mt-2">
-                  This will permanently remove the page and all its content. This action cannot be
-                  undone.
+                  Pages in the trash are permanently deleted after the retention period.
                 </p>
               </div>
 
@@ -98,12 +97,12 @@ const DeleteNoteModal = ({
               {isDeleting ? (
                 <>
                   <span className="loading loading-spinner loading-sm"></span>
-                  Deleting...
+                  Moving...
                 </>
               ) : (
                 <>
                   <FiTrash2 className="w-4 h-4" />
-                  Delete Page
+                  Move to Trash
                 </>
               )}
             </button>
@@ -0,0 +1,225 @@
+import { useState, useEffect, useRef } from 'react';
+import { FiUpload, FiFolder, FiTag } from 'react-icons/fi';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { pagesAPI } from '../../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Uploads a .zip of notes to be imported as pages. With Redis the server runs the
+// import as a background job and answers with a jobId, which is polled here for
+// progress; without it the import finishes within the upload request.
+
+const IMPORT_SOURCES = [
+  { value: 'markdown', label: 'Markdown folder', hint: 'A zip of .md files and their images' },
+  { value: 'obsidian', label: 'Obsidian vault', hint: 'Zip the vault folder' },
+  { value: 'notion', label: 'Notion export', hint: 'Export as "Markdown & CSV"' },
+];
+
+const STAGE_LABELS = {
+  images: 'Uploading images',
+  pages: 'Creating pages',
+  done: 'Finishing up',
+};
+
+const POLL_INTERVAL = 1500;
+
+const ImportModal = ({ isOpen, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [source, setSource] = useState('markdown');
+  const [structure, setStructure] = useState('hierarchy');
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const closedRef = useRef(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      closedRef.current = false;
+      setFile(null);
+      setProgress(null);
+    }
+    return () => {
+      // Stop polling once the modal goes away
+      closedRef.current = true;
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const waitForJob = async (jobId) => {
+    while (!closedRef.current) {
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+      const { data } = await pagesAPI.getImportStatus(jobId);
+      if (data.state === 'completed') {
+        return data.result;
+      }
+      if (data.state === 'failed') {
+        throw new Error(data.error || 'Import failed');
+      }
+      setProgress(data.progress);
+    }
+    return null;
+  };
+
+  const runImport = async () => {
+    if (!file) {
+      toast.error('Choose a .zip file to import');
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      setProgress(null);
+      const { data } = await pagesAPI.importPages(file, { source, structure });
+      const result = data.jobId ? await waitForJob(data.jobId) : data.result;
+      if (!result) {
+        // Closed while the job was still running, it carries on in the background
+        onImported();
+        return;
+      }
+
+      const skipped = result.failedImages.length;
+      toast.success(
+        `Imported ${result.pages} page${result.pages === 1 ? '' : 's'}` +
+          (skipped ? `, ${skipped} image${skipped === 1 ? '' : 's'} could not be uploaded` : '')
+      );
+      onImported(result);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message || 'Import failed');
+      console.error('Error importing pages:', error);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const progressPercent =
+    progress?.total > 0 ? Math.round((progress.processed / progress.total) * 100) : null;
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={isImporting ? undefined : onClose}
+    >
+      <div
+        className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-300"
+        onClick={(event) => event.stopPropagation()}
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-base-300">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-primary/10 rounded-lg">
+              <FiUpload className="w-5 h-5 text-primary" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-base-content">Import Pages</h3>
+              <p className="text-sm text-base-content/60">
+                Bring in notes from Markdown, Obsidian or Notion
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Modal Content */}
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-base-content mb-2">Source</label>
+            <div className="space-y-2">
+              {IMPORT_SOURCES.map((option) => (
+                <label key={option.value} className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="import-source"
+                    className="radio radio-primary radio-sm"
+                    checked={source === option.value}
+                    onChange={() => setSource(option.value)}
+                    disabled={isImporting}
+                  />
+                  <span className="text-sm flex-1">{option.label}</span>
+                  <span className="text-xs text-base-content/50">{option.hint}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-base-content mb-2">Folders</label>
+            <div className="join w-full">
+              <button
+                className={`btn btn-sm join-item flex-1 gap-2 ${structure === 'hierarchy' ? 'btn-primary' : 'btn-ghost btn-outline'}`}
+                onClick={() => setStructure('hierarchy')}
+                disabled={isImporting}
+              >
+                <FiFolder className="w-4 h-4" />
+                As subpages
+              </button>
+              <button
+                className={`btn btn-sm join-item flex-1 gap-2 ${structure === 'tags' ? 'btn-primary' : 'btn-ghost btn-outline'}`}
+                onClick={() => setStructure('tags')}
+                disabled={isImporting}
+              >
+                <FiTag className="w-4 h-4" />
+                As tags
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-base-content mb-2">Archive</label>
+            <input
+              type="file"
+              accept=".zip,application/zip"
+              className="file-input file-input-bordered file-input-sm w-full"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              disabled={isImporting}
+            />
+          </div>
+
+          {isImporting && (
+            <div className="space-y-1">
+              <div className="flex justify-between text-xs text-base-content/60">
+                <span>{STAGE_LABELS[progress?.stage] || 'Uploading archive'}</span>
+                {progressPercent !== null && <span>{progressPercent}%</span>}
+              </div>
+              <progress
+                className="progress progress-primary w-full"
+                value={progressPercent ?? undefined}
+                max="100"
+              ></progress>
+            </div>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-6 pt-0 flex justify-end gap-3">
+          <button onClick={onClose} className="btn btn-ghost" disabled={isImporting}>
+            Cancel
+          </button>
+          <button
+            onClick={runImport}
+            className="btn btn-primary gap-2"
+            disabled={!file || isImporting}
+          >
+            {isImporting ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              <FiUpload className="w-4 h-4" />
+            )}
+            Import
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+ImportModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired,
+};
+
+export default ImportModal;
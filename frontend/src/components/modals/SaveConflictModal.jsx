@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { FiAlertTriangle, FiServer, FiEdit3, FiGitMerge, FiCheck } from 'react-icons/fi';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { applyMergeChoices } from '../../utils/merge';
+
+const HUNK_CHOICES = [
+  { value: 'local', label: 'Yours' },
+  { value: 'server', label: 'Server' },
+  { value: 'both', label: 'Both' },
+];
+
+/**
+ * Build a merge draft wrapping the differing region in git-style conflict markers
+ * Lines shared at the start and end of both versions are kept as-is
+ * @param {string} localContent - Content from this editor
+ * @param {string} serverContent - Content currently saved on the server
+ * @returns {string} Merged content with conflict markers
+ */
+const buildMergeDraft = (localContent, serverContent) => {
+  const localLines = localContent.split('\n');
+  const serverLines = serverContent.split('\n');
+
+  let start = 0;
+  while (
+    start < localLines.length &&
+    start < serverLines.length &&
+    localLines[start] === serverLines[start]
+  ) {
+    start++;
+  }
+
+  let localEnd = localLines.length;
+  let serverEnd = serverLines.length;
+  while (
+    localEnd > start &&
+    serverEnd > start &&
+    localLines[localEnd - 1] === serverLines[serverEnd - 1]
+  ) {
+    localEnd--;
+    serverEnd--;
+  }
+
+  return [
+    ...localLines.slice(0, start),
+    '<<<<<<< Your changes',
+    ...localLines.slice(start, localEnd),
+    '=======',
+    ...serverLines.slice(start, serverEnd),
+    '>>>>>>> Server version',
+    ...localLines.slice(localEnd),
+  ].join('\n');
+};
+
+/**
+ * Conflicting sections of a three-way merge, each with a choice of version
+ */
+const ConflictHunks = ({ chunks, choices, onChoose }) => {
+  let conflictIndex = -1;
+
+  return (
+    <div className="space-y-3">
+      {chunks.map((chunk, index) => {
+        if (chunk.type === 'stable') {
+          return (
+            <p key={index} className="text-xs text-base-content/50 text-center">
+              {chunk.lines.length} unchanged or merged line{chunk.lines.length === 1 ? '' : 's'}
+            </p>
+          );
+        }
+
+        conflictIndex++;
+        const hunk = conflictIndex;
+        const choice = choices[hunk] ?? 'local';
+        return (
+          <div key={index} className="border border-warning/40 rounded-xl p-3 space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-sm font-medium text-base-content">Conflict {hunk + 1}</span>
+              <div className="join">
+                {HUNK_CHOICES.map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => onChoose(hunk, option.value)}
+                    className={`join-item btn btn-xs ${
+                      choice === option.value ? 'btn-primary' : 'btn-ghost'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {[
+                { side: 'local', lines: chunk.local, selected: choice !== 'server' },
+                { side: 'server', lines: chunk.server, selected: choice !== 'local' },
+              ].map(({ side, lines, selected }) => (
+                <pre
+                  key={side}
+                  className={`overflow-auto bg-base-200 border rounded-lg p-2 text-xs font-mono whitespace-pre-wrap max-h-60 ${
+                    selected ? 'border-primary' : 'border-base-300 opacity-60'
+                  }`}
+                >
+                  {lines.length ? lines.join('\n') : '(removed)'}
+                </pre>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+ConflictHunks.propTypes = {
+  chunks: PropTypes.array.isRequired,
+  choices: PropTypes.array.isRequired,
+  onChoose: PropTypes.func.isRequired,
+};
+
+const SaveConflictModal = ({ conflict, onResolve }) => {
+  const [choices, setChoices] = useState([]);
+
+  // Every conflicting section starts out with this editor's version
+  useEffect(() => {
+    setChoices([]);
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const { localContent, serverContent, chunks } = conflict;
+  const conflictCount = chunks?.filter((chunk) => chunk.type === 'conflict').length ?? 0;
+
+  const chooseHunk = (hunk, choice) => {
+    setChoices((prev) => {
+      const next = [...prev];
+      next[hunk] = choice;
+      return next;
+    });
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col border border-base-300">
+        {/* Modal Header */}
+        <div className="p-6 border-b border-base-300">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-warning/10 rounded-lg">
+              <FiAlertTriangle className="w-5 h-5 text-warning" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-base-content">Save Conflict</h3>
+              <p className="text-sm text-base-content/60">
+                {chunks
+                  ? `This page was changed by someone else while you were editing. Their other changes were merged - pick a version for the ${conflictCount} conflicting section${conflictCount === 1 ? '' : 's'}.`
+                  : 'This page was changed by someone else while you were editing'}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Modal Content */}
+        {chunks ? (
+          <div className="p-6 overflow-y-auto flex-1 min-h-0">
+            <ConflictHunks chunks={chunks} choices={choices} onChoose={chooseHunk} />
+          </div>
+        ) : (
+          <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-4 overflow-hidden flex-1 min-h-0">
+            <div className="flex flex-col min-h-0">
+              <div className="flex items-center gap-2 mb-2 text-sm font-medium text-base-content">
+                <FiEdit3 className="w-4 h-4 text-primary" />
+                Your version
+              </div>
+              <pre className="flex-1 overflow-auto bg-base-200 border border-base-300 rounded-lg p-3 text-xs font-mono whitespace-pre-wrap min-h-48">
+                {localContent}
+              </pre>
+            </div>
+            <div className="flex flex-col min-h-0">
+              <div className="flex items-center gap-2 mb-2 text-sm font-medium text-base-content">
+                <FiServer className="w-4 h-4 text-secondary" />
+                Server version
+              </div>
+              <pre className="flex-1 overflow-auto bg-base-200 border border-base-300 rounded-lg p-3 text-xs font-mono whitespace-pre-wrap min-h-48">
+                {serverContent}
+              </pre>
+            </div>
+          </div>
+        )}
+
+        {/* Modal Footer */}
+        <div className="p-6 pt-0 flex flex-wrap justify-end gap-3">
+          <button
+            onClick={() => onResolve(serverContent, { save: false })}
+            className="btn btn-ghost gap-2"
+          >
+            <FiServer className="w-4 h-4" />
+            Use server version
+          </button>
+          <button
+            onClick={() =>
+              onResolve(
+                chunks
+                  ? applyMergeChoices(chunks, Array(conflictCount).fill('markers'))
+                  : buildMergeDraft(localContent, serverContent),
+                {
+                  save: false,
+                  edited: true,
+                }
+              )
+            }
+            className="btn btn-secondary gap-2"
+          >
+            <FiGitMerge className="w-4 h-4" />
+            Merge manually
+          </button>
+          <button
+            onClick={() => onResolve(localContent, { save: true })}
+            className="btn btn-primary gap-2"
+          >
+            <FiEdit3 className="w-4 h-4" />
+            Keep my version
+          </button>
+          {chunks && (
+            <button
+              onClick={() => onResolve(applyMergeChoices(chunks, choices), { save: true })}
+              className="btn btn-success gap-2"
+            >
+              <FiCheck className="w-4 h-4" />
+              Save merged
+            </button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+SaveConflictModal.propTypes = {
+  conflict: PropTypes.shape({
+    localContent: PropTypes.string,
+    serverContent: PropTypes.string,
+    serverRevision: PropTypes.number,
+    chunks: PropTypes.array,
+  }),
+  onResolve: PropTypes.func.isRequired,
+};
+
+export default SaveConflictModal;
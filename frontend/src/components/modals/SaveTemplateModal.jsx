@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { FiLayout, FiAlertTriangle } from 'react-icons/fi';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { templatesAPI } from '../../utils/api';
+
+const SaveTemplateModal = ({ isOpen, onClose, activePage, hasUnsavedChanges = false }) => {
+  const [templateName, setTemplateName] = useState('');
+  const [description, setDescription] = useState('');
+  const [isPublic, setIsPublic] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTemplateName(activePage?.name || '');
+      setDescription('');
+      setIsPublic(false);
+    }
+  }, [isOpen, activePage?.name]);
+
+  if (!isOpen || !activePage) return null;
+
+  const saveTemplate = async () => {
+    if (!templateName.trim()) {
+      toast.error('Template name cannot be empty');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await templatesAPI.createFromPage(activePage.id, {
+        templateName: templateName.trim(),
+        description: description.trim(),
+        isPublic,
+      });
+      toast.success(`Template "${templateName.trim()}" saved`);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+      console.error('Error saving template:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-300"
+        onClick={(event) => event.stopPropagation()}
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-base-300">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-primary/10 rounded-lg">
+              <FiLayout className="w-5 h-5 text-primary" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-base-content">Save as Template</h3>
+              <p className="text-sm text-base-content/60">
+                Reuse &quot;{activePage.name}&quot; for new pages
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Modal Content */}
+        <div className="p-6 space-y-4">
+          {hasUnsavedChanges && (
+            <div className="flex items-start gap-2 text-sm text-warning">
+              <FiAlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              Save the page first to include your latest changes.
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-base-content mb-2">
+              Template Name
+            </label>
+            <input
+              type="text"
+              className="input input-bordered w-full focus:input-primary focus:outline-none"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              maxLength={100}
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-base-content mb-2">
+              Description <span className="text-base-content/50 font-normal">(optional)</span>
+            </label>
+            <textarea
+              className="textarea textarea-bordered w-full focus:textarea-primary focus:outline-none"
+              rows={2}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              maxLength={300}
+            />
+          </div>
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-primary checkbox-sm"
+              checked={isPublic}
+              onChange={(e) => setIsPublic(e.target.checked)}
+            />
+            <span className="text-sm">Publish to the public template gallery</span>
+          </label>
+          <p className="text-xs text-base-content/50">
+            Use {'{{title}}'}, {'{{date}}'}, {'{{time}}'}, {'{{weekday}}'} or {'{{user.name}}'} in
+            the page to have them filled in when a page is created from the template.
+          </p>
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-6 pt-0 flex justify-end gap-3">
+          <button onClick={onClose} className="btn btn-ghost" disabled={isSaving}>
+            Cancel
+          </button>
+          <button
+            onClick={saveTemplate}
+            className="btn btn-primary gap-2"
+            disabled={!templateName.trim() || isSaving}
+          >
+            {isSaving ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              <FiLayout className="w-4 h-4" />
+            )}
+            Save Template
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+SaveTemplateModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  activePage: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+  }),
+  hasUnsavedChanges: PropTypes.bool,
+};
+
+export default SaveTemplateModal;
@@ -0,0 +1,148 @@
+import { useState, useEffect, useContext, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
+import { FiMonitor, FiLogOut, FiX } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../utils/api';
+import authContext from '../../context/AuthProvider';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Lists the devices the user is signed in on. Signing a device out ends its
+// session on the server, which revokes its access token right away. Last seen
+// times move when a device refreshes its access token, every few minutes of use.
+
+const SessionsModal = ({ isOpen, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const { setuser } = useContext(authContext);
+  const navigate = useNavigate();
+
+  const signedOut = useCallback(() => {
+    setuser(null);
+    localStorage.removeItem('zetta_user');
+    navigate('/login');
+  }, [setuser, navigate]);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await authAPI.getSessions();
+      setSessions(res.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load your devices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) fetchSessions();
+  }, [isOpen, fetchSessions]);
+
+  if (!isOpen) return null;
+
+  const endSession = async (session) => {
+    try {
+      await authAPI.endSession(session.id);
+      if (session.current) {
+        signedOut();
+        return;
+      }
+      setSessions((current) => current.filter((item) => item.id !== session.id));
+      toast.success(`Signed out of ${session.device}`);
+    } catch (error) {
+      console.error('Error ending session:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign out the device');
+    }
+  };
+
+  const endAllSessions = async () => {
+    if (!window.confirm('Sign out of ZettaNote on all devices, including this one?')) return;
+    try {
+      await authAPI.logout(true);
+      toast.success('Signed out of all devices');
+      signedOut();
+    } catch (error) {
+      console.error('Error signing out of all devices:', error);
+      toast.error('Failed to sign out of all devices');
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-lg border border-base-300">
+        <div className="p-6 border-b border-base-300 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-base-content flex items-center gap-2">
+            <FiMonitor className="w-5 h-5 text-primary" />
+            Signed-in devices
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <FiX className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-3 max-h-[60vh] overflow-y-auto">
+          {loading && sessions.length === 0 ? (
+            <div className="flex justify-center py-6">
+              <span className="loading loading-spinner loading-md text-primary"></span>
+            </div>
+          ) : (
+            sessions.map((session) => (
+              <div
+                key={session.id}
+                className="flex items-center gap-3 p-3 rounded-xl border border-base-300"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-base-content flex items-center gap-2">
+                    {session.device}
+                    {session.current && (
+                      <span className="badge badge-primary badge-sm">This device</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-base-content/60 truncate" title={session.userAgent}>
+                    {session.ip || 'Unknown IP'} - last seen{' '}
+                    {new Date(session.lastSeenAt).toLocaleString()}
+                  </p>
+                </div>
+                <button
+                  onClick={() => endSession(session)}
+                  className="btn btn-ghost btn-xs gap-1 hover:btn-error"
+                  title={session.current ? 'Log out' : 'Sign out this device'}
+                >
+                  <FiLogOut className="w-3 h-3" />
+                  {session.current ? 'Log out' : 'Sign out'}
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="p-6 border-t border-base-300 flex justify-between gap-3">
+          <button onClick={endAllSessions} className="btn btn-error btn-outline btn-sm">
+            Sign out everywhere
+          </button>
+          <button onClick={onClose} className="btn btn-ghost btn-sm">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+SessionsModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default SessionsModal;
@@ -0,0 +1,321 @@
+import { useState, useEffect, useContext, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { FiShield, FiX, FiCopy, FiDownload } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../utils/api';
+import authContext from '../../context/AuthProvider';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Two-factor authentication settings. Setup shows the secret and its otpauth://
+// link for the authenticator app, and 2FA only turns on once a code from the
+// app is confirmed. Recovery codes are shown once, right after enabling or
+// regenerating them; the server only keeps their hashes.
+
+const TwoFactorModal = ({ isOpen, onClose }) => {
+  const { user, setuser } = useContext(authContext);
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [action, setAction] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await authAPI.getUser();
+      setStatus({
+        enabled: res.data.user.twoFactorEnabled,
+        recoveryCodesLeft: res.data.user.recoveryCodesLeft,
+      });
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      toast.error('Failed to load two-factor settings');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchStatus();
+    } else {
+      // Forget the secret and codes when closed, so they aren't shown again later
+      setSetup(null);
+      setRecoveryCodes(null);
+      setAction(null);
+      setCode('');
+      setPassword('');
+    }
+  }, [isOpen, fetchStatus]);
+
+  if (!isOpen) return null;
+
+  const setEnabled = (enabled) => {
+    setuser({ ...user, twoFactorEnabled: enabled });
+    fetchStatus();
+  };
+
+  const run = async (request, onSuccess) => {
+    try {
+      setLoading(true);
+      const res = await request();
+      onSuccess(res.data);
+      setCode('');
+      setPassword('');
+    } catch (error) {
+      console.error('Two-factor settings error:', error);
+      toast.error(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startSetup = () => run(authAPI.setupTwoFactor, (data) => setSetup(data));
+
+  const enable = (e) => {
+    e.preventDefault();
+    run(
+      () => authAPI.enableTwoFactor(code.trim()),
+      (data) => {
+        setSetup(null);
+        setRecoveryCodes(data.recoveryCodes);
+        setEnabled(true);
+        toast.success(data.message);
+      }
+    );
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(
+      () => authAPI.disableTwoFactor(password, code.trim()),
+      (data) => {
+        setAction(null);
+        setEnabled(false);
+        toast.success(data.message);
+      }
+    );
+  };
+
+  const regenerate = (e) => {
+    e.preventDefault();
+    run(
+      () => authAPI.regenerateRecoveryCodes(code.trim()),
+      (data) => {
+        setAction(null);
+        setRecoveryCodes(data.recoveryCodes);
+        fetchStatus();
+        toast.success(data.message);
+      }
+    );
+  };
+
+  const copyToClipboard = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success(`${label} copied`);
+    } catch {
+      toast.error('Failed to copy');
+    }
+  };
+
+  const downloadRecoveryCodes = () => {
+    const text = `ZettaNote recovery codes for ${user?.email}\n\n${recoveryCodes.join('\n')}\n`;
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'zettanote-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="Code from your app or a recovery code"
+      className="input input-bordered input-sm w-full"
+      autoComplete="one-time-code"
+      required
+    />
+  );
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-lg border border-base-300">
+        <div className="p-6 border-b border-base-300 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-base-content flex items-center gap-2">
+            <FiShield className="w-5 h-5 text-primary" />
+            Two-factor authentication
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <FiX className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 max-h-[70vh] overflow-y-auto text-sm">
+          {!status ? (
+            <div className="flex justify-center py-6">
+              <span className="loading loading-spinner loading-md text-primary"></span>
+            </div>
+          ) : recoveryCodes ? (
+            <div className="space-y-3">
+              <p className="text-base-content/80">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose
+                your authenticator app. They won&apos;t be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 p-3 bg-base-200 rounded-xl font-mono">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => copyToClipboard(recoveryCodes.join('\n'), 'Recovery codes')}
+                  className="btn btn-ghost btn-sm gap-1"
+                >
+                  <FiCopy className="w-3 h-3" />
+                  Copy
+                </button>
+                <button onClick={downloadRecoveryCodes} className="btn btn-ghost btn-sm gap-1">
+                  <FiDownload className="w-3 h-3" />
+                  Download
+                </button>
+              </div>
+              <button onClick={() => setRecoveryCodes(null)} className="btn btn-primary btn-sm">
+                I saved them
+              </button>
+            </div>
+          ) : setup ? (
+            <form onSubmit={enable} className="space-y-3">
+              <p className="text-base-content/80">
+                Add ZettaNote to your authenticator app (Google Authenticator, 1Password, Authy,
+                ...). On this device, open the link below; elsewhere, enter the key by hand as a
+                time-based key.
+              </p>
+              <a href={setup.otpauthUri} className="btn btn-outline btn-sm">
+                Open in authenticator app
+              </a>
+              <div className="flex items-center gap-2 p-3 bg-base-200 rounded-xl">
+                <code className="flex-1 break-all">{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+                <button
+                  type="button"
+                  onClick={() => copyToClipboard(setup.secret, 'Key')}
+                  className="btn btn-ghost btn-xs"
+                  title="Copy key"
+                >
+                  <FiCopy className="w-3 h-3" />
+                </button>
+              </div>
+              <p className="text-base-content/80">Then enter the 6-digit code the app shows.</p>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                className="input input-bordered input-sm w-full"
+                autoComplete="one-time-code"
+                required
+              />
+              <div className="flex gap-2">
+                <button type="submit" disabled={loading} className="btn btn-primary btn-sm">
+                  Turn on
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSetup(null)}
+                  className="btn btn-ghost btn-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : status.enabled ? (
+            <div className="space-y-3">
+              <p className="text-base-content/80">
+                <span className="badge badge-success badge-sm mr-2">On</span>
+                Signing in asks for a code from your authenticator app. {
+                  status.recoveryCodesLeft
+                }{' '}
+                recovery codes left.
+              </p>
+
+              {action === 'regenerate' && (
+                <form onSubmit={regenerate} className="space-y-2">
+                  {codeInput}
+                  <button type="submit" disabled={loading} className="btn btn-primary btn-sm">
+                    Generate new codes
+                  </button>
+                </form>
+              )}
+
+              {action === 'disable' && (
+                <form onSubmit={disable} className="space-y-2">
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    className="input input-bordered input-sm w-full"
+                    autoComplete="current-password"
+                    required
+                  />
+                  {codeInput}
+                  <button type="submit" disabled={loading} className="btn btn-error btn-sm">
+                    Turn off
+                  </button>
+                </form>
+              )}
+
+              {!action && (
+                <div className="flex gap-2">
+                  <button onClick={() => setAction('regenerate')} className="btn btn-ghost btn-sm">
+                    New recovery codes
+                  </button>
+                  <button
+                    onClick={() => setAction('disable')}
+                    className="btn btn-error btn-outline btn-sm"
+                  >
+                    Turn off
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-base-content/80">
+                Protect your account with a code from an authenticator app on top of your password.
+              </p>
+              <button onClick={startSetup} disabled={loading} className="btn btn-primary btn-sm">
+                Set up
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-base-300 flex justify-end">
+          <button onClick={onClose} className="btn btn-ghost btn-sm">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+TwoFactorModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default TwoFactorModal;
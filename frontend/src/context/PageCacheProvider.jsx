@@ -11,7 +11,8 @@ import backgroundSyncManager from '../utils/backgroundSyncManager';
 // Architecture:
 // - In-memory cache for immediate access
 // - IndexedDB for persistent storage across sessions
-// - Background sync for offline/online transitions
+// - Background sync for offline/online transitions; queued saves are merged
+//   three-way into newer server versions (utils/merge.js)
 // - Optimistic updates for better UX
 //
 // Cache hierarchy:
@@ -19,14 +20,13 @@ import backgroundSyncManager from '../utils/backgroundSyncManager';
 // 2. IndexedDB (persistent, cross-session)
 // 3. Server (authoritative source)
 //
-// Sync states: 'synced', 'syncing', 'error', 'cached', 'deleted'
+// Sync states: 'synced', 'syncing', 'error', 'cached', 'deleted', 'conflict'
 
 // =============================================================================
 // TODO
 // =============================================================================
 // - [ ] Implement cache invalidation strategies
 // - [ ] Add cache size limits and LRU eviction
-// - [ ] Improve conflict resolution for concurrent edits
 // - [ ] Add cache compression for large content
 // - [ ] Implement cache warming for frequently accessed pages
 // - [ ] Add cache analytics and performance monitoring
@@ -52,6 +52,7 @@ export const PageCacheProvider = ({ children }) => {
             lastSaved: page.lastModified,
             timestamp: page.timestamp,
             syncStatus: page.syncStatus,
+            revision: page.revision ?? null,
           });
         });
 
@@ -93,6 +94,7 @@ export const PageCacheProvider = ({ children }) => {
             lastSaved: dbPage.lastModified,
             timestamp: dbPage.timestamp,
             syncStatus: dbPage.syncStatus,
+            revision: dbPage.revision ?? null,
           };
 
           // Update in-memory cache
@@ -110,38 +112,46 @@ export const PageCacheProvider = ({ children }) => {
   );
 
   // Cache page content (instant local save)
-  const setCachedPage = useCallback(async (pageId, content, lastSaved, syncStatus = 'cached') => {
-    const pageData = {
-      content,
-      lastSaved: lastSaved || Date.now(),
-      timestamp: Date.now(),
-      syncStatus,
-    };
+  const setCachedPage = useCallback(
+    async (pageId, content, lastSaved, syncStatus = 'cached', revision = null) => {
+      const pageData = {
+        content,
+        lastSaved: lastSaved || Date.now(),
+        timestamp: Date.now(),
+        syncStatus,
+        revision,
+      };
 
-    // Update in-memory cache immediately
-    setPageCache((prev) => new Map(prev).set(pageId, pageData));
+      // Update in-memory cache immediately
+      setPageCache((prev) => new Map(prev).set(pageId, pageData));
 
-    // Save to IndexedDB for persistence
-    try {
-      await indexedDBCache.setPage(pageId, content, pageData.lastSaved, syncStatus);
-    } catch (error) {
-      console.warn('Failed to save page to IndexedDB:', error);
-    }
-  }, []);
+      // Save to IndexedDB for persistence
+      try {
+        await indexedDBCache.setPage(pageId, content, pageData.lastSaved, syncStatus, revision);
+      } catch (error) {
+        console.warn('Failed to save page to IndexedDB:', error);
+      }
+    },
+    []
+  );
 
-  // Save page with background sync
+  // Save page with background sync; baseContent is the server content the edits started from,
+  // which lets the sync merge them into newer server versions
   const savePage = useCallback(
-    async (pageId, content) => {
+    async (pageId, content, baseRevision = null, { baseContent = null, pageName = null } = {}) => {
       // Save to cache immediately (instant UI update)
-      await setCachedPage(pageId, content, Date.now(), 'cached');
+      await setCachedPage(pageId, content, Date.now(), 'cached', baseRevision);
 
       // Queue for background sync to server
       try {
-        await backgroundSyncManager.savePage(pageId, content);
+        await backgroundSyncManager.savePage(pageId, content, baseRevision, {
+          baseContent,
+          pageName,
+        });
       } catch (error) {
         console.warn('Failed to queue page for sync:', error);
         // Mark as error state
-        await setCachedPage(pageId, content, Date.now(), 'error');
+        await setCachedPage(pageId, content, Date.now(), 'error', baseRevision);
       }
 
       // Return immediately - UI is already updated
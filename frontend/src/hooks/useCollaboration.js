@@ -0,0 +1,336 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as Y from 'yjs';
+import { VITE_API_URL } from '../env';
+import { refreshSession } from '../utils/api';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Real-time collaborative editing for the markdown editor.
+// - Each connection owns a fresh Y.Doc mirrored from the server's room
+// - Local textarea changes are turned into a single Yjs insert/delete by
+//   diffing the common prefix/suffix, so the editor stays a plain textarea
+// - Remote changes keep the local selection in place via relative positions
+// - Cursors are exchanged as Yjs relative positions so they follow edits
+// - Reconnects with exponential backoff; edits made while offline are pushed
+//   on reconnect as long as nobody saved the page in the meantime
+// - The server hangs up when the page is saved outside the editor (e.g. a
+//   version restore) or the user's access changes; reconnecting loads the
+//   stored content and the current role
+
+const LOCAL_ORIGIN = 'local';
+const MAX_RECONNECT_DELAY = 30000;
+
+// Close code for "the page was saved outside the editor, reopen it now"
+const RELOAD_CLOSE_CODE = 4001;
+
+const COLLAB_URL = `${VITE_API_URL.replace(/^http/, 'ws')}/api/collab`;
+
+const toBytes = (base64) => Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+/**
+ * Apply the difference between the shared text and the editor content as one edit
+ * @param {Y.Text} ytext - Shared text
+ * @param {string} newText - Current editor content
+ */
+const applyTextDiff = (ytext, newText) => {
+  const oldText = ytext.toString();
+  if (oldText === newText) return;
+
+  let start = 0;
+  const minLength = Math.min(oldText.length, newText.length);
+  while (start < minLength && oldText[start] === newText[start]) {
+    start++;
+  }
+
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  if (oldEnd > start) ytext.delete(start, oldEnd - start);
+  if (newEnd > start) ytext.insert(start, newText.slice(start, newEnd));
+};
+
+const toRelative = (ytext, index) =>
+  Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, index));
+
+const toAbsolute = (doc, json) => {
+  if (!json) return null;
+  const position = Y.createAbsolutePositionFromRelativePosition(
+    Y.createRelativePositionFromJSON(json),
+    doc
+  );
+  return position ? position.index : null;
+};
+
+/**
+ * Keep a textarea in sync with everyone else editing the same page
+ * @param {object} options
+ * @param {string} options.pageId - Page being edited, or null to stay disconnected
+ * @param {string} options.content - Current editor content
+ * @param {object} options.textareaRef - Ref to the editor textarea
+ * @param {number} options.baseRevision - Revision the editor content was loaded from
+ * @param {function} options.onRemoteChange - Called with (content, selection) for remote edits
+ * @param {function} options.onSaved - Called with the new revision when the server persists
+ */
+export const useCollaboration = ({
+  pageId,
+  content,
+  textareaRef,
+  baseRevision = null,
+  onRemoteChange,
+  onSaved,
+}) => {
+  const [connected, setConnected] = useState(false);
+  const [peers, setPeers] = useState([]);
+  const [remoteCursors, setRemoteCursors] = useState([]);
+
+  const socketRef = useRef(null);
+  const docRef = useRef(null);
+  const readyRef = useRef(false);
+  const peersRef = useRef(new Map());
+  const contentRef = useRef(content);
+  const revisionRef = useRef(baseRevision);
+  const lastCursorRef = useRef(null);
+  const callbacksRef = useRef({ onRemoteChange, onSaved });
+
+  contentRef.current = content;
+  callbacksRef.current = { onRemoteChange, onSaved };
+
+  useEffect(() => {
+    revisionRef.current = baseRevision;
+  }, [pageId, baseRevision]);
+
+  const refreshCursors = useCallback(() => {
+    const doc = docRef.current;
+    if (!doc) return;
+
+    const cursors = [];
+    peersRef.current.forEach((peer) => {
+      const index = toAbsolute(doc, peer.head);
+      if (index !== null) {
+        cursors.push({ sessionId: peer.sessionId, name: peer.name, color: peer.color, index });
+      }
+    });
+    setRemoteCursors(cursors);
+    setPeers([...peersRef.current.values()]);
+  }, []);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }, []);
+
+  const sendCursor = useCallback(() => {
+    const textarea = textareaRef.current;
+    const doc = docRef.current;
+    if (!textarea || !doc || !readyRef.current || document.activeElement !== textarea) return;
+
+    const key = `${textarea.selectionStart}:${textarea.selectionEnd}`;
+    if (lastCursorRef.current === key) return;
+    lastCursorRef.current = key;
+
+    const ytext = doc.getText('content');
+    send({
+      type: 'cursor',
+      anchor: toRelative(ytext, textarea.selectionStart),
+      head: toRelative(ytext, textarea.selectionEnd),
+    });
+  }, [send, textareaRef]);
+
+  useEffect(() => {
+    if (!pageId) return undefined;
+
+    let reconnectTimer = null;
+    let attempts = 0;
+    let stopped = false;
+
+    const resetSession = () => {
+      readyRef.current = false;
+      peersRef.current = new Map();
+      setConnected(false);
+      setPeers([]);
+      setRemoteCursors([]);
+    };
+
+    const applyRemote = (update) => {
+      const doc = docRef.current;
+      const ytext = doc.getText('content');
+      const textarea = textareaRef.current;
+
+      // Remember the selection relative to the text so it survives the edit
+      const selection =
+        textarea && document.activeElement === textarea
+          ? {
+              start: toRelative(ytext, textarea.selectionStart),
+              end: toRelative(ytext, textarea.selectionEnd),
+            }
+          : null;
+
+      Y.applyUpdate(doc, update, 'remote');
+
+      const newContent = ytext.toString();
+      if (newContent !== contentRef.current) {
+        contentRef.current = newContent;
+        callbacksRef.current.onRemoteChange?.(
+          newContent,
+          selection && {
+            start: toAbsolute(doc, selection.start) ?? 0,
+            end: toAbsolute(doc, selection.end) ?? 0,
+          }
+        );
+      }
+      refreshCursors();
+    };
+
+    const handleMessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+
+      switch (message.type) {
+        case 'init': {
+          const doc = docRef.current;
+          Y.applyUpdate(doc, toBytes(message.state), 'remote');
+          const ytext = doc.getText('content');
+          const serverContent = ytext.toString();
+
+          peersRef.current = new Map(message.peers.map((peer) => [peer.sessionId, peer]));
+          readyRef.current = true;
+          attempts = 0;
+
+          if (contentRef.current !== serverContent) {
+            if (revisionRef.current === message.revision) {
+              // Our unsaved edits are based on what the server has - share them
+              doc.transact(() => applyTextDiff(ytext, contentRef.current), LOCAL_ORIGIN);
+            } else {
+              // The page moved on since we loaded it - take the server's content
+              contentRef.current = serverContent;
+              callbacksRef.current.onRemoteChange?.(serverContent, null);
+            }
+          }
+          revisionRef.current = message.revision;
+          setConnected(true);
+          refreshCursors();
+          break;
+        }
+        case 'update':
+          applyRemote(toBytes(message.update));
+          break;
+        case 'join':
+        case 'cursor':
+          peersRef.current.set(message.sessionId, {
+            ...peersRef.current.get(message.sessionId),
+            ...message,
+          });
+          refreshCursors();
+          break;
+        case 'leave':
+          peersRef.current.delete(message.sessionId);
+          refreshCursors();
+          break;
+        case 'saved':
+          revisionRef.current = message.revision;
+          callbacksRef.current.onSaved?.(message.revision);
+          break;
+        case 'error':
+          console.error('Collaboration error:', message.message);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const connect = () => {
+      const doc = new Y.Doc();
+      doc.on('update', (update, origin) => {
+        if (origin === LOCAL_ORIGIN) {
+          send({ type: 'update', update: toBase64(update) });
+        }
+      });
+      docRef.current = doc;
+      readyRef.current = false;
+      lastCursorRef.current = null;
+
+      const socket = new WebSocket(`${COLLAB_URL}?pageId=${encodeURIComponent(pageId)}`);
+      socketRef.current = socket;
+      socket.onmessage = handleMessage;
+      socket.onclose = (event) => {
+        socketRef.current = null;
+        resetSession();
+        doc.destroy();
+
+        const delay =
+          event.code === RELOAD_CLOSE_CODE
+            ? 0
+            : Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY);
+        attempts++;
+        // The access token may have expired while connected; refresh it before reconnecting
+        reconnectTimer = setTimeout(() => {
+          refreshSession()
+            .catch(() => {})
+            .finally(() => {
+              if (!stopped) connect();
+            });
+        }, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      const socket = socketRef.current;
+      if (socket) {
+        // Closing on purpose - don't let the handler schedule a reconnect
+        socket.onclose = null;
+        socket.close();
+        socketRef.current = null;
+      }
+      resetSession();
+      docRef.current?.destroy();
+      docRef.current = null;
+    };
+  }, [pageId, send, refreshCursors, textareaRef]);
+
+  // Push local edits into the shared document
+  useEffect(() => {
+    const doc = docRef.current;
+    if (!doc || !readyRef.current) return;
+
+    const ytext = doc.getText('content');
+    if (ytext.toString() !== content) {
+      doc.transact(() => applyTextDiff(ytext, content), LOCAL_ORIGIN);
+      refreshCursors();
+    }
+    sendCursor();
+  }, [content, refreshCursors, sendCursor]);
+
+  // Share cursor movements
+  useEffect(() => {
+    if (!connected) return undefined;
+    document.addEventListener('selectionchange', sendCursor);
+    return () => document.removeEventListener('selectionchange', sendCursor);
+  }, [connected, sendCursor]);
+
+  return { connected, peers, remoteCursors };
+};
+
+export default useCollaboration;
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { pagesAPI } from '../utils/api';
+
+/**
+ * Load the comment threads of a page and the people who can be mentioned in them.
+ * Actions reload the threads and return true when they succeed.
+ * @param {string|null} pageId - Open page
+ * @returns {object} Threads, mentionable users and comment actions
+ */
+export const useComments = (pageId) => {
+  const [threads, setThreads] = useState([]);
+  const [mentionableUsers, setMentionableUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!pageId) return;
+    try {
+      setLoading(true);
+      const response = await pagesAPI.getComments(pageId);
+      setThreads(response.data.Threads || []);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [pageId]);
+
+  useEffect(() => {
+    setThreads([]);
+    setMentionableUsers([]);
+    if (!pageId) return undefined;
+
+    let cancelled = false;
+    refresh();
+    pagesAPI
+      .getMentionableUsers(pageId)
+      .then((response) => {
+        if (!cancelled) setMentionableUsers(response.data.Users || []);
+      })
+      .catch((error) => console.error('Error fetching mentionable users:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pageId, refresh]);
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      await action();
+      await refresh();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      toast.error(error.response?.data?.message || failureMessage);
+      return false;
+    }
+  };
+
+  const addComment = (body, options) =>
+    runAction(() => pagesAPI.addComment(pageId, body, options), 'Failed to add comment');
+
+  const updateComment = (commentId, body) =>
+    runAction(() => pagesAPI.updateComment(commentId, body), 'Failed to update comment');
+
+  const deleteComment = (commentId) =>
+    runAction(() => pagesAPI.deleteComment(commentId), 'Failed to delete comment');
+
+  const resolveComment = (commentId, resolved) =>
+    runAction(() => pagesAPI.resolveComment(commentId, resolved), 'Failed to update thread');
+
+  return {
+    threads,
+    mentionableUsers,
+    loading,
+    refresh,
+    addComment,
+    updateComment,
+    deleteComment,
+    resolveComment,
+  };
+};
@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import backgroundSyncManager from '../utils/backgroundSyncManager';
+
+/**
+ * Follow the changes waiting in the background sync queue, including the ones that failed
+ * or hit a conflict and need the user to retry, resolve or discard them
+ * @returns {object} Unsynced changes and actions on them
+ */
+export const useUnsyncedChanges = () => {
+  const [changes, setChanges] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  const refresh = useCallback(async () => {
+    try {
+      setChanges(await backgroundSyncManager.getUnsyncedChanges());
+    } catch (error) {
+      console.warn('Failed to load unsynced changes:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    refresh();
+    window.addEventListener('syncQueueChange', refresh);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('syncQueueChange', refresh);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [refresh]);
+
+  const retryChange = async (id) => {
+    if (!navigator.onLine) {
+      toast.error('You are offline - changes will sync when you reconnect');
+      return;
+    }
+    try {
+      await backgroundSyncManager.retryChange(id);
+    } catch (error) {
+      console.error('Failed to retry change:', error);
+      toast.error('Failed to retry change');
+    }
+  };
+
+  const discardChange = async (id) => {
+    try {
+      await backgroundSyncManager.discardChange(id);
+    } catch (error) {
+      console.error('Failed to discard change:', error);
+      toast.error('Failed to discard change');
+    }
+  };
+
+  return { changes, isOnline, retryChange, discardChange };
+};
@@ -0,0 +1,78 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiCheckCircle, FiMail, FiXCircle } from 'react-icons/fi';
+import { userAPI } from '../utils/api';
+import authContext from '../context/AuthProvider';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Landing page of the link emailed to a new address from the settings page.
+// Like VerifyEmail, it redeems the single-use token only once; following the
+// link moves the account to the new, already verified, address.
+
+const ConfirmEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, setuser } = useContext(authContext);
+  const [status, setStatus] = useState(token ? 'confirming' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is incomplete.');
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    userAPI
+      .confirmEmailChange(token)
+      .then((res) => {
+        setStatus('confirmed');
+        setMessage(res.data.message);
+        setuser((current) =>
+          current ? { ...current, email: res.data.email, emailVerified: true } : current
+        );
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to change your email. Please try again.');
+      });
+  }, [token, setuser]);
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center px-4 py-16">
+      <div className="bg-base-100 rounded-2xl shadow-xl border border-base-300 w-full max-w-md p-8 text-center">
+        {status === 'confirming' && (
+          <>
+            <FiMail className="w-12 h-12 mx-auto mb-4 text-primary" />
+            <h1 className="text-2xl font-bold text-base-content mb-2">Confirming your new email</h1>
+            <span className="loading loading-spinner loading-md text-primary"></span>
+          </>
+        )}
+
+        {status === 'confirmed' && (
+          <>
+            <FiCheckCircle className="w-12 h-12 mx-auto mb-4 text-success" />
+            <h1 className="text-2xl font-bold text-base-content mb-2">Email changed</h1>
+            <p className="text-base-content/70 mb-6">{message}</p>
+            <Link to={user ? '/settings' : '/login'} className="btn btn-primary">
+              {user ? 'Back to settings' : 'Log in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <FiXCircle className="w-12 h-12 mx-auto mb-4 text-error" />
+            <h1 className="text-2xl font-bold text-base-content mb-2">Email not changed</h1>
+            <p className="text-base-content/70 mb-6">{message}</p>
+            <Link to={user ? '/settings' : '/login'} className="btn btn-primary">
+              {user ? 'Request a new link' : 'Log in to request a new link'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmEmail;
@@ -3,12 +3,19 @@ import Sidebar from '../components/dashboard/Sidebar';
 import TopBar from '../components/dashboard/TopBar';
 import Note from '../components/dashboard/Note';
 import Reminder from '../components/dashboard/Reminder';
+import CommandPalette from '../components/dashboard/CommandPalette';
+import GraphView from '../components/dashboard/GraphView';
+import UnsyncedChanges from '../components/dashboard/UnsyncedChanges';
 import authContext from '../context/AuthProvider';
 import { usePageCache } from '../hooks/usePageCache.js';
+import { useUnsyncedChanges } from '../hooks/useUnsyncedChanges';
 import toast from 'react-hot-toast';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { FiBell } from 'react-icons/fi';
 import { authAPI, pagesAPI } from '../utils/api';
+import { confirmLinkRewrite } from '../utils/wikiLinks';
+import { mergeThreeWay, applyMergeChoices } from '../utils/merge';
+import backgroundSyncManager from '../utils/backgroundSyncManager';
 
 // =============================================================================
 // DEVELOPER NOTES
@@ -19,6 +26,16 @@ import { authAPI, pagesAPI } from '../utils/api';
 // - Page caching with IndexedDB and localStorage fallback
 // - OAuth callback handling for social logins
 // - Real-time save status indicators
+// - Optimistic concurrency: saves send the revision they were based on and a
+//   409 from the server merges the edits three-way into the server version,
+//   opening the conflict dialog only for sections changed on both sides
+// - Offline saves go through the background sync queue; changes it can't
+//   deliver are listed as unsynced changes instead of being dropped
+// - Real-time collaboration: while the editor is connected to the collab socket
+//   the server persists edits itself, so auto-save and local drafts are paused
+// - Ctrl+K / Cmd+K opens the command palette for full-text search across pages
+// - Knowledge graph view of linked pages, opened from the sidebar
+// - Pages can be saved as templates (top bar) and created from them (sidebar)
 // - Responsive sidebar management
 // - Unsaved changes protection on page unload
 
@@ -31,25 +48,30 @@ import { authAPI, pagesAPI } from '../utils/api';
 // =============================================================================
 // TODO
 // =============================================================================
-// - [ ] Add collaborative editing features (real-time updates)
-// - [ ] Implement page versioning/history
 // - [ ] Add keyboard shortcuts for common actions
-// - [ ] Improve offline support and conflict resolution
-// - [ ] Add page templates and quick-start options
-// - [ ] Implement search within page content
+// - [ ] Improve offline support
 // - [ ] Add page export functionality (PDF, Markdown, etc.)
 // - [ ] Consider implementing page locking for concurrent edits
 
 const Dashboard = () => {
   const { user, setuser } = useContext(authContext);
-  const { getCachedPage, setCachedPage } = usePageCache();
+  const { getCachedPage, setCachedPage, savePage: queueSave } = usePageCache();
+  const unsynced = useUnsyncedChanges();
   const [activePage, setActivePage] = useState(null);
   const [pageContent, setPageContent] = useState('');
   const [lastSaved, setLastSaved] = useState(null);
-  const [saveStatus, setSaveStatus] = useState('synced'); // 'synced', 'cached', 'saving', 'error', 'unsaved'
+  const [saveStatus, setSaveStatus] = useState('synced'); // 'synced', 'cached', 'saving', 'error', 'unsaved', 'conflict', 'live'
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [isRemindersSidebarOpen, setIsRemindersSidebarOpen] = useState(false);
+  const [conflict, setConflict] = useState(null); // { localContent, serverContent, serverRevision, chunks }
+  const [contentKey, setContentKey] = useState(0); // Bumped when content is replaced from outside the editor
+  const [collab, setCollab] = useState({ connected: false, peers: 0 }); // Real-time editing session
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isGraphOpen, setIsGraphOpen] = useState(false);
+  const [pageRole, setPageRole] = useState('owner'); // 'owner', 'viewer', 'commenter', 'editor' or 'manager'
   const saveAbortControllerRef = useRef(null);
+  const pageRevisionRef = useRef(null); // Server revision the editor content is based on
+  const baseContentRef = useRef(null); // Content of that revision, null when unknown
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -103,6 +125,8 @@ const Dashboard = () => {
         // Check if page content is already cached
         const cachedPage = await getCachedPage(pageId);
         if (cachedPage) {
+          pageRevisionRef.current = cachedPage.revision ?? null;
+          baseContentRef.current = cachedPage.syncStatus === 'synced' ? cachedPage.content : null;
           setPageContent(cachedPage.content);
           setLastSaved(cachedPage.lastSaved);
           setSaveStatus('synced');
@@ -116,6 +140,8 @@ const Dashboard = () => {
             const parsed = JSON.parse(unsavedData);
             // Only restore if it's recent (within last 24 hours)
             if (Date.now() - parsed.timestamp < 24 * 60 * 60 * 1000) {
+              pageRevisionRef.current = parsed.revision ?? null;
+              baseContentRef.current = null;
               setPageContent(parsed.content);
               setLastSaved(new Date(parsed.timestamp).toISOString());
               setSaveStatus('cached');
@@ -137,13 +163,16 @@ const Dashboard = () => {
         if (response.data.Page) {
           const content = response.data.Page.pageData || '';
           const lastSavedTime = response.data.Page.updatedAt;
+          const revision = response.data.Page.revision ?? 0;
 
+          pageRevisionRef.current = revision;
+          baseContentRef.current = content;
           setPageContent(content);
           setLastSaved(lastSavedTime);
           setSaveStatus('synced');
 
           // Cache the loaded content
-          setCachedPage(pageId, content, lastSavedTime);
+          setCachedPage(pageId, content, lastSavedTime, 'synced', revision);
         }
       } catch (error) {
         if (error.response?.status === 401) {
@@ -175,6 +204,7 @@ const Dashboard = () => {
   }, [activePage?.id]);
 
   useEffect(() => {
+    setConflict(null);
     if (activePage?.id) {
       loadPageContent(activePage.id);
     } else {
@@ -182,6 +212,28 @@ const Dashboard = () => {
     }
   }, [activePage, loadPageContent]);
 
+  // Viewers and commenters get a read-only page; the content itself may come from the cache
+  useEffect(() => {
+    if (!activePage?.id) return;
+    let cancelled = false;
+    setPageRole(activePage.role || 'owner');
+
+    pagesAPI
+      .getPage(activePage.id)
+      .then((response) => {
+        if (!cancelled && response.data.role) {
+          setPageRole(response.data.role);
+        }
+      })
+      .catch((error) => console.warn('Failed to load page role:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activePage?.id, activePage?.role]);
+
+  const canEdit = ['owner', 'manager', 'editor'].includes(pageRole);
+
   // Handle beforeunload to save pending changes
   useEffect(() => {
     const handleBeforeUnload = (e) => {
@@ -199,17 +251,92 @@ const Dashboard = () => {
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
   }, [activePage?.id, saveStatus]);
 
+  // Open the conflict dialog when a queued background save is rejected as stale
+  useEffect(() => {
+    const handleSaveConflict = (event) => {
+      if (event.detail.pageId !== activePage?.id) return;
+      clearTimeout(window.autoSaveTimeout);
+      setConflict(event.detail);
+      setSaveStatus('conflict');
+    };
+
+    window.addEventListener('pageSaveConflict', handleSaveConflict);
+    return () => window.removeEventListener('pageSaveConflict', handleSaveConflict);
+  }, [activePage?.id]);
+
+  // Keep the editor on top of saves delivered by the background sync queue
+  useEffect(() => {
+    const handlePageSynced = (event) => {
+      const { pageId, content, revision, merged, localContent } = event.detail;
+      if (pageId !== activePage?.id) return;
+
+      if (!merged) {
+        pageRevisionRef.current = revision;
+        baseContentRef.current = content;
+        setLastSaved(new Date().toISOString());
+        if (pageContent === content) setSaveStatus('synced');
+        return;
+      }
+
+      // The saved merge holds changes from the server - show it unless there were edits since,
+      // which the next save merges the same way
+      if (pageContent !== localContent) return;
+      pageRevisionRef.current = revision;
+      baseContentRef.current = content;
+      setPageContent(content);
+      setContentKey((key) => key + 1);
+      setLastSaved(new Date().toISOString());
+      setSaveStatus('synced');
+      localStorage.removeItem(`unsaved_page_${pageId}`);
+      toast.success('Offline changes merged with the latest version');
+    };
+
+    window.addEventListener('pageSynced', handlePageSynced);
+    return () => window.removeEventListener('pageSynced', handlePageSynced);
+  }, [activePage?.id, pageContent]);
+
+  // Reopen the conflict dialog for a queued save that is waiting on the user
+  useEffect(() => {
+    if (!activePage?.id) return undefined;
+    let cancelled = false;
+
+    backgroundSyncManager
+      .getPageConflict(activePage.id)
+      .then((detail) => {
+        if (!cancelled && detail) {
+          setConflict(detail);
+          setSaveStatus('conflict');
+        }
+      })
+      .catch((error) => console.warn('Failed to load sync conflict:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activePage?.id]);
+
   const handleContentChange = (newContent) => {
     setPageContent(newContent);
+
+    // Live sessions are saved by the collaboration server
+    if (collab.connected) return;
+
     setSaveStatus('cached');
 
     // Immediately update cache with new content (optimistic update)
     if (activePage?.id) {
-      setCachedPage(activePage.id, newContent, new Date().toISOString());
+      setCachedPage(
+        activePage.id,
+        newContent,
+        new Date().toISOString(),
+        'cached',
+        pageRevisionRef.current
+      );
 
       // Save unsaved changes to localStorage for persistence across reloads
       const unsavedData = {
         content: newContent,
+        revision: pageRevisionRef.current,
         timestamp: Date.now(),
         pageId: activePage.id,
         pageName: activePage.name,
@@ -227,7 +354,7 @@ const Dashboard = () => {
   };
 
   const handleSave = async (content = pageContent) => {
-    if (!activePage?.id) return;
+    if (!activePage?.id || collab.connected || !canEdit) return;
 
     // Cancel any previous save request
     if (saveAbortControllerRef.current) {
@@ -237,6 +364,11 @@ const Dashboard = () => {
     // Don't save if already saving
     if (saveStatus === 'saving') return;
 
+    if (!navigator.onLine) {
+      await queueOfflineSave(content);
+      return;
+    }
+
     const saveStartTime = Date.now();
     setSaveStatus('saving');
 
@@ -245,15 +377,24 @@ const Dashboard = () => {
 
     try {
       // Direct server call for save
-      const response = await pagesAPI.savePage(activePage.id, content);
+      const response = await pagesAPI.savePage(
+        activePage.id,
+        content,
+        pageRevisionRef.current ?? undefined
+      );
 
       if (response.status === 200 || response.status === 201 || response.status === 202) {
         const serverTimestamp = new Date().toISOString();
+        const savedRevision = response.data?.['Updated Page']?.revision;
+        if (savedRevision !== undefined) {
+          pageRevisionRef.current = savedRevision;
+        }
+        baseContentRef.current = content;
         setLastSaved(serverTimestamp);
         setSaveStatus('synced');
 
         // Update cache with server timestamp
-        setCachedPage(activePage.id, content, serverTimestamp);
+        setCachedPage(activePage.id, content, serverTimestamp, 'synced', pageRevisionRef.current);
 
         // Remove unsaved changes from localStorage since they're now saved
         localStorage.removeItem(`unsaved_page_${activePage.id}`);
@@ -271,6 +412,44 @@ const Dashboard = () => {
         return;
       }
 
+      // Someone else saved first - merge their changes in, and let the user decide where both
+      // changed the same section instead of overwriting either
+      if (error.response?.status === 409) {
+        clearTimeout(window.autoSaveTimeout);
+        const serverContent = error.response.data?.pageData ?? '';
+        const serverRevision = error.response.data?.revision ?? null;
+        const merge =
+          baseContentRef.current !== null
+            ? mergeThreeWay(baseContentRef.current, content, serverContent)
+            : null;
+
+        if (merge && merge.conflicts === 0) {
+          const merged = applyMergeChoices(merge.chunks);
+          pageRevisionRef.current = serverRevision;
+          baseContentRef.current = serverContent;
+          setPageContent(merged);
+          setContentKey((key) => key + 1);
+          setSaveStatus('cached');
+          window.autoSaveTimeout = setTimeout(() => handleSave(merged), 0);
+          return;
+        }
+
+        setConflict({
+          localContent: content,
+          serverContent,
+          serverRevision,
+          chunks: merge?.chunks ?? null,
+        });
+        setSaveStatus('conflict');
+        return;
+      }
+
+      // No response means the connection dropped - leave the save to the sync queue
+      if (!error.response) {
+        await queueOfflineSave(content);
+        return;
+      }
+
       console.error('Error saving page:', error);
       setSaveStatus('error');
 
@@ -288,17 +467,99 @@ const Dashboard = () => {
     }
   };
 
+  // Saves made offline are queued with the server content they started from, so the sync can
+  // merge them into whatever was saved in the meantime once the connection is back
+  const queueOfflineSave = async (content) => {
+    await queueSave(activePage.id, content, pageRevisionRef.current, {
+      baseContent: baseContentRef.current,
+      pageName: activePage.name,
+    });
+    setSaveStatus('cached');
+  };
+
+  const handleCollabChange = useCallback(
+    ({ connected, peers }) => {
+      setCollab({ connected, peers });
+      if (connected) {
+        // Anything pending is now part of the shared document
+        clearTimeout(window.autoSaveTimeout);
+        setSaveStatus('live');
+        if (activePage?.id) {
+          localStorage.removeItem(`unsaved_page_${activePage.id}`);
+        }
+      } else {
+        setSaveStatus((status) => (status === 'live' ? 'synced' : status));
+      }
+    },
+    [activePage?.id]
+  );
+
+  const handleRemoteSaved = (revision) => {
+    if (!activePage?.id) return;
+
+    const serverTimestamp = new Date().toISOString();
+    pageRevisionRef.current = revision;
+    baseContentRef.current = pageContent;
+    setLastSaved(serverTimestamp);
+    setCachedPage(activePage.id, pageContent, serverTimestamp, 'synced', revision);
+  };
+
+  const handleRestoreVersion = (content, revision) => {
+    if (!activePage?.id) return;
+
+    // Cancel any pending auto-save so it can't overwrite the restored content
+    clearTimeout(window.autoSaveTimeout);
+
+    const serverTimestamp = new Date().toISOString();
+    pageRevisionRef.current = revision ?? pageRevisionRef.current;
+    baseContentRef.current = content;
+    setPageContent(content);
+    setContentKey((key) => key + 1);
+    setLastSaved(serverTimestamp);
+    setSaveStatus(collab.connected ? 'live' : 'synced');
+    setCachedPage(activePage.id, content, serverTimestamp, 'synced', pageRevisionRef.current);
+    localStorage.removeItem(`unsaved_page_${activePage.id}`);
+  };
+
+  const handleResolveConflict = (resolvedContent, { save = false, edited = false } = {}) => {
+    if (!activePage?.id || !conflict) return;
+
+    // Whatever the choice, the editor is now based on the server's latest revision
+    pageRevisionRef.current = conflict.serverRevision;
+    baseContentRef.current = conflict.serverContent;
+    setConflict(null);
+
+    // A queued save held back by the conflict is settled by this choice
+    if (conflict.syncItemId) {
+      backgroundSyncManager.discardChange(conflict.syncItemId);
+    }
+    setPageContent(resolvedContent);
+    setContentKey((key) => key + 1);
+
+    if (save) {
+      handleSave(resolvedContent);
+    } else if (edited) {
+      // Leave the merge draft unsaved until the user has cleaned up the conflict markers
+      setSaveStatus('cached');
+      setCachedPage(activePage.id, resolvedContent, Date.now(), 'cached', conflict.serverRevision);
+    } else {
+      setSaveStatus('synced');
+      setCachedPage(activePage.id, resolvedContent, Date.now(), 'synced', conflict.serverRevision);
+      localStorage.removeItem(`unsaved_page_${activePage.id}`);
+    }
+  };
+
   const handleDeletePage = async () => {
     if (!activePage?.id) return;
 
-    if (!confirm(`Are you sure you want to delete "${activePage.name}"?`)) return;
+    if (!confirm(`Move "${activePage.name}" to the trash?`)) return;
 
     try {
       // Direct server call for delete
       const response = await pagesAPI.deletePage(activePage.id);
 
       if (response.status === 200 || response.status === 204) {
-        toast.success('Page deleted successfully!');
+        toast.success('Page moved to trash');
         setActivePage(null);
         setPageContent('');
 
@@ -321,11 +582,18 @@ const Dashboard = () => {
     const newName = prompt(`Rename "${activePage.name}" to:`, activePage.name);
     if (newName && newName.trim() && newName !== activePage.name) {
       try {
+        const rewriteLinks = await confirmLinkRewrite(activePage.id, newName.trim());
+
         // Direct server call for rename
-        const response = await pagesAPI.renamePage(activePage.id, newName.trim());
+        const response = await pagesAPI.renamePage(activePage.id, newName.trim(), rewriteLinks);
 
         if (response.status === 200 || response.status === 201) {
-          toast.success('Page renamed successfully!');
+          const { links = 0 } = response.data.rewrittenLinks || {};
+          toast.success(
+            links > 0
+              ? `Page renamed and ${links} link${links === 1 ? '' : 's'} updated!`
+              : 'Page renamed successfully!'
+          );
           // Update the active page name in state
           setActivePage((prev) => (prev ? { ...prev, name: newName.trim() } : null));
         } else {
@@ -338,6 +606,18 @@ const Dashboard = () => {
     }
   };
 
+  // Ctrl+K / Cmd+K toggles the search palette from anywhere on the dashboard
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsSearchOpen((open) => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   return (
     <div className="flex min-h-screen bg-gradient-to-br from-base-100 via-base-100 to-base-200/20 pt-16 relative">
       {/* Mobile Overlay */}
@@ -357,6 +637,8 @@ const Dashboard = () => {
         selectedPageId={activePage?.id}
         isOpen={isSidebarOpen}
         onClose={() => setIsSidebarOpen(!isSidebarOpen)}
+        onOpenSearch={() => setIsSearchOpen(true)}
+        onOpenGraph={() => setIsGraphOpen(true)}
       />
 
       {/* Main Content Area */}
@@ -365,10 +647,14 @@ const Dashboard = () => {
         <TopBar
           activePage={activePage}
           onSave={() => handleSave()}
+          onRestoreVersion={handleRestoreVersion}
           onDelete={handleDeletePage}
           onRename={handleRenamePage}
           lastSaved={lastSaved}
           saveStatus={saveStatus}
+          collaborators={collab.peers}
+          role={pageRole}
+          onRoleChange={setPageRole}
         />
 
         {/* Enhanced Note Editor */}
@@ -377,6 +663,15 @@ const Dashboard = () => {
           content={pageContent}
           onContentChange={handleContentChange}
           onSave={handleSave}
+          contentKey={contentKey}
+          conflict={conflict}
+          onResolveConflict={handleResolveConflict}
+          baseRevision={pageRevisionRef.current}
+          onCollabChange={handleCollabChange}
+          onRemoteSaved={handleRemoteSaved}
+          onOpenPage={setActivePage}
+          readOnly={!canEdit}
+          role={pageRole}
         />
       </div>
 
@@ -392,8 +687,48 @@ const Dashboard = () => {
         </button>
       )}
 
+      {/* Offline changes the background sync has not delivered yet */}
+      <UnsyncedChanges
+        changes={unsynced.changes}
+        isOnline={unsynced.isOnline}
+        onRetry={unsynced.retryChange}
+        onDiscard={unsynced.discardChange}
+        onOpenPage={(change) => {
+          setActivePage({ id: change.pageId, name: change.pageName });
+          setIsSidebarOpen(false);
+        }}
+      />
+
+      {/* Full-text search palette */}
+      <CommandPalette
+        isOpen={isSearchOpen}
+        onClose={() => setIsSearchOpen(false)}
+        onPageSelect={(page) => {
+          setActivePage(page);
+          setIsSidebarOpen(false);
+        }}
+      />
+
+      {/* Knowledge graph of linked pages */}
+      <GraphView
+        isOpen={isGraphOpen}
+        onClose={() => setIsGraphOpen(false)}
+        activePageId={activePage?.id}
+        onPageSelect={(page) => {
+          setActivePage(page);
+          setIsSidebarOpen(false);
+        }}
+      />
+
       {/* Reminders Sidebar Component */}
-      <Reminder isOpen={isRemindersSidebarOpen} onClose={() => setIsRemindersSidebarOpen(false)} />
+      <Reminder
+        isOpen={isRemindersSidebarOpen}
+        onClose={() => setIsRemindersSidebarOpen(false)}
+        onOpenPage={(page) => {
+          setActivePage(page);
+          setIsSidebarOpen(false);
+        }}
+      />
     </div>
   );
 };
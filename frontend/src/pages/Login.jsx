@@ -14,6 +14,9 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set once the password is checked for an account with two-factor authentication
+  const [twoFactorToken, setTwoFactorToken] = useState('');
+  const [code, setCode] = useState('');
   const navigate = useNavigate();
   const location = useLocation();
   const { setuser } = useContext(authContext);
@@ -32,6 +35,48 @@ const Login = () => {
     }
   }, [location, navigate]);
 
+  const finishLogin = (data) => {
+    setuser(data.user);
+    localStorage.setItem('zetta_user', JSON.stringify(data.user));
+
+    navigate('/');
+    toast.success('Login successful!');
+    if (data.recoveryCodesLeft !== undefined && data.recoveryCodesLeft < 3) {
+      toast(
+        `You have ${data.recoveryCodesLeft} recovery codes left. Generate new ones from two-factor settings.`,
+        { icon: '⚠️', duration: 6000 }
+      );
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app or a recovery code');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await authAPI.loginTwoFactor(twoFactorToken, code.trim());
+      finishLogin(res.data);
+    } catch (err) {
+      console.error('Two-factor login error:', err);
+      const errorMessage = err.response?.data?.message || 'Verification failed';
+      setError(errorMessage);
+      setCode('');
+
+      // The sign-in expired; start over from the password
+      if (err.response?.data?.twoFactorExpired) {
+        setTwoFactorToken('');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -53,11 +98,11 @@ const Login = () => {
 
     try {
       const res = await authAPI.login(formdata);
-      setuser(res.data.user);
-      localStorage.setItem('zetta_user', JSON.stringify(res.data.user));
-
-      navigate('/');
-      toast.success('Login successful!');
+      if (res.data.twoFactorRequired) {
+        setTwoFactorToken(res.data.twoFactorToken);
+        return;
+      }
+      finishLogin(res.data);
     } catch (err) {
       console.error('Login error:', err);
 
@@ -194,9 +239,13 @@ const Login = () => {
         <div className="max-w-md mx-auto w-full">
           {/* Form Header */}
           <div className="text-center mb-8">
-            <h2 className="text-3xl font-bold text-base-content mb-2">Welcome Back</h2>
+            <h2 className="text-3xl font-bold text-base-content mb-2">
+              {twoFactorToken ? 'Two-Factor Authentication' : 'Welcome Back'}
+            </h2>
             <p className="text-base-content/70">
-              Sign in to access your notes and continue your journey.
+              {twoFactorToken
+                ? 'Enter the 6-digit code from your authenticator app, or one of your recovery codes.'
+                : 'Sign in to access your notes and continue your journey.'}
             </p>
           </div>
 
@@ -207,79 +256,126 @@ const Login = () => {
             </div>
           )}
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Email Field */}
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-base-content mb-2">
-                Email Address
-              </label>
-              <Input
-                type="email"
-                id="email"
-                name="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="Enter your email"
-              />
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-base-content mb-2"
-              >
-                Password
-              </label>
-              <div className="relative">
+          {twoFactorToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-base-content mb-2">
+                  Verification Code
+                </label>
                 <Input
-                  type={showPassword ? 'text' : 'password'}
-                  id="password"
-                  name="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Enter your password"
+                  type="text"
+                  id="code"
+                  name="code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="123456"
                 />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-primary text-primary-content py-3 px-4 rounded-lg font-medium hover:bg-primary/90 focus:ring-2 focus:ring-primary focus:ring-offset-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <div className="flex items-center justify-center gap-2">
+                    <div className="w-4 h-4 border-2 border-primary-content/20 border-t-primary-content rounded-full animate-spin"></div>
+                    Verifying...
+                  </div>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+
+              <div className="text-center">
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-3 top-1/2 -translate-y-1/2 text-base-content/50 hover:text-base-content transition-colors"
+                  onClick={() => {
+                    setTwoFactorToken('');
+                    setCode('');
+                    setError('');
+                  }}
+                  className="text-sm text-primary hover:text-primary/80 transition-colors"
                 >
-                  {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                  Use a different account
                 </button>
               </div>
-            </div>
-
-            {/* Forgot Password Link will add when api is ready */}
-            {/* <div className="text-right">
-              <Link
-                to="/forgot-password"
-                className="text-sm text-primary hover:text-primary/80 transition-colors"
-              >
-                Forgot your password?
-              </Link>
-            </div> */}
+            </form>
+          ) : (
+            /* Login Form */
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-base-content mb-2">
+                  Email Address
+                </label>
+                <Input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Enter your email"
+                />
+              </div>
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-primary text-primary-content py-3 px-4 rounded-lg font-medium hover:bg-primary/90 focus:ring-2 focus:ring-primary focus:ring-offset-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {loading ? (
-                <div className="flex items-center justify-center gap-2">
-                  <div className="w-4 h-4 border-2 border-primary-content/20 border-t-primary-content rounded-full animate-spin"></div>
-                  Signing In...
+              {/* Password Field */}
+              <div>
+                <label
+                  htmlFor="password"
+                  className="block text-sm font-medium text-base-content mb-2"
+                >
+                  Password
+                </label>
+                <div className="relative">
+                  <Input
+                    type={showPassword ? 'text' : 'password'}
+                    id="password"
+                    name="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-base-content/50 hover:text-base-content transition-colors"
+                  >
+                    {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                  </button>
                 </div>
-              ) : (
-                'Sign In'
-              )}
-            </button>
-          </form>
+              </div>
+
+              {/* Forgot Password Link */}
+              <div className="text-right">
+                <Link
+                  to="/reset-password"
+                  className="text-sm text-primary hover:text-primary/80 transition-colors"
+                >
+                  Forgot your password?
+                </Link>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-primary text-primary-content py-3 px-4 rounded-lg font-medium hover:bg-primary/90 focus:ring-2 focus:ring-primary focus:ring-offset-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <div className="flex items-center justify-center gap-2">
+                    <div className="w-4 h-4 border-2 border-primary-content/20 border-t-primary-content rounded-full animate-spin"></div>
+                    Signing In...
+                  </div>
+                ) : (
+                  'Sign In'
+                )}
+              </button>
+            </form>
+          )}
 
           {/* OAuth Buttons */}
-          <OAuthButtons />
+          {!twoFactorToken && <OAuthButtons />}
 
           {/* Signup Link */}
           <div className="text-center mt-8">
@@ -1,11 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { FiFile, FiHome, FiDownload, FiExternalLink, FiClock, FiEye } from 'react-icons/fi';
-import toast from 'react-hot-toast';
+import { FiFile, FiHome, FiDownload, FiExternalLink, FiClock, FiEye, FiLock } from 'react-icons/fi';
 import { pagesAPI } from '../utils/api';
-// Importing highlight.js for code syntax highlighting
-import hljs from 'highlight.js';
-import 'highlight.js/styles/atom-one-dark.css';
+import ExportMenu from '../components/dashboard/ExportMenu';
+import { renderMarkdown, toContentId } from '../utils/markdownRenderer';
 
 const PublicShare = () => {
   const { shareId } = useParams();
@@ -13,6 +11,12 @@ const PublicShare = () => {
   const [loading, setLoading] = useState(true);
   const [pageData, setPageData] = useState(null);
   const [error, setError] = useState(null);
+  const [errorStatus, setErrorStatus] = useState(null);
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped to refetch after unlocking
 
   useEffect(() => {
     const fetchSharedPage = async () => {
@@ -30,8 +34,13 @@ const PublicShare = () => {
           setError(response.data?.Error || response.data?.message || 'Failed to load shared page');
         }
       } catch (err) {
+        if (err.response?.data?.passwordRequired) {
+          setNeedsPassword(true);
+          return;
+        }
         console.error('Error fetching shared page:', err);
         if (err.response) {
+          setErrorStatus(err.response.status);
           // Server responded with error status
           setError(
             err.response.data?.Error || err.response.data?.message || 'Failed to load shared page'
@@ -49,111 +58,53 @@ const PublicShare = () => {
     };
 
     fetchSharedPage();
-  }, [shareId]);
-
-  const renderMarkdown = (text) => {
-    if (!text) return '';
-
-    // Enhanced markdown rendering for public view
-    return (
-      text
-        // Headers
-        .replace(
-          /^### (.*$)/gm,
-          '<h3 class="text-xl font-bold mt-6 mb-3 text-base-content">$1</h3>'
-        )
-        .replace(
-          /^## (.*$)/gm,
-          '<h2 class="text-2xl font-bold mt-8 mb-4 text-base-content">$1</h2>'
-        )
-        .replace(/^# (.*$)/gm, '<h1 class="text-3xl font-bold mt-8 mb-6 text-base-content">$1</h1>')
-
-        // Text formatting
-        .replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold text-primary">$1</strong>')
-        .replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '<em class="italic">$1</em>')
-        .replace(/~~(.*?)~~/g, '<del class="line-through opacity-75">$1</del>')
-        .replace(/==(.*?)==/g, '<mark class="bg-yellow-200 px-1 rounded">$1</mark>')
-        .replace(/<u>(.*?)<\/u>/g, '<u class="underline">$1</u>')
-
-        // Code
-        // Multiline code block with syntax highlighting
-        .replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-          const highlighted = lang
-            ? hljs.highlight(code, { language: lang, ignoreIllegals: true }).value
-            : hljs.highlightAuto(code).value;
-
-          return `<pre class="bg-base-200 p-4 rounded-lg overflow-auto my-4"><code class="text-sm font-mono language-${
-            lang || 'auto'
-          }">${highlighted}</code></pre>`;
-        })
-        // Single line code block with syntax highlighting
-        //tbh idk why adding highlighting just to multiline code block adds it to single line too, but i will add it again just to be safe.
-        .replace(/`([^`]+)`/g, (match, code) => {
-          const highlighted = hljs.highlightAuto(code).value;
-          return `<code class="bg-base-200 text-primary px-2 py-1 rounded text-sm font-mono">${highlighted}</code>`;
-        })
-
-        // Blockquotes
-        .replace(
-          /^> (.*$)/gm,
-          '<blockquote class="border-l-4 border-primary pl-4 italic my-4 text-base-content/80">$1</blockquote>'
-        )
+  }, [shareId, reloadKey]);
 
-        // Lists
-        .replace(
-          /^- \[x\] (.*$)/gm,
-          '<li class="flex items-center gap-2 my-1"><input type="checkbox" checked disabled class="checkbox checkbox-primary checkbox-sm"> <span class="line-through opacity-75">$1</span></li>'
-        )
-        .replace(
-          /^- \[ \] (.*$)/gm,
-          '<li class="flex items-center gap-2 my-1"><input type="checkbox" disabled class="checkbox checkbox-sm"> $1</li>'
-        )
-        .replace(
-          /^- (.*$)/gm,
-          '<li class="flex items-start gap-2 my-1"><span class="text-primary">•</span> $1</li>'
-        )
-        .replace(/^\d+\. (.*$)/gm, '<li class="flex items-start gap-2 my-1 ml-4">$1</li>')
-
-        // Links and images
-        .replace(
-          /\[([^\]]+)\]\(([^)]+)\)/g,
-          '<a href="$2" target="_blank" class="text-primary hover:underline font-medium">$1</a>'
-        )
-        .replace(
-          /!\[([^\]]*)\]\(([^)]+)\)/g,
-          '<img src="$2" alt="$1" class="max-w-full h-auto rounded-lg shadow-md my-4">'
-        )
-
-        // Horizontal rules
-        .replace(/^---$/gm, '<hr class="border-base-300 my-8">')
-
-        // Math (basic support)
-        .replace(
-          /\$\$(.*?)\$\$/g,
-          '<div class="bg-base-200 p-4 rounded-lg text-center font-mono my-4">$1</div>'
-        )
-        .replace(
-          /\$([^$]+)\$/g,
-          '<span class="bg-base-200 px-2 py-1 rounded font-mono text-sm">$1</span>'
-        )
-
-        // Line breaks
-        .replace(/\n\n/g, '</p><p class="mb-4">')
-        .replace(/\n/g, '<br>')
-    );
+  const unlockPage = async (event) => {
+    event.preventDefault();
+    setIsUnlocking(true);
+    setPasswordError('');
+    try {
+      await pagesAPI.unlockPublicPage(shareId, password);
+      setNeedsPassword(false);
+      setPassword('');
+      setLoading(true);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setPasswordError(err.response?.data?.message || 'Failed to unlock page');
+    } finally {
+      setIsUnlocking(false);
+    }
   };
 
-  const handleDownload = () => {
+  // Search engines and link previews get the server-rendered page, this keeps the tab in step
+  useEffect(() => {
     if (!pageData) return;
+    const previousTitle = document.title;
+    document.title = `${pageData.title || 'Shared Page'} · ZettaNote`;
+    const description = document.querySelector('meta[name="description"]');
+    const previousDescription = description?.getAttribute('content');
+    if (description && pageData.excerpt) {
+      description.setAttribute('content', pageData.excerpt);
+    }
+    return () => {
+      document.title = previousTitle;
+      if (description && previousDescription !== null) {
+        description.setAttribute('content', previousDescription);
+      }
+    };
+  }, [pageData]);
 
-    const element = document.createElement('a');
-    const file = new Blob([pageData.content || ''], { type: 'text/markdown' });
-    element.href = URL.createObjectURL(file);
-    element.download = `${pageData.title || 'shared-page'}.md`;
-    document.body.appendChild(element);
-    element.click();
-    document.body.removeChild(element);
-    toast.success('Page downloaded as Markdown file');
+  // Same renderer as the editor preview
+  const contentHtml = useMemo(() => renderMarkdown(pageData?.content), [pageData?.content]);
+  const toc = pageData?.toc || [];
+  const topLevel = toc.length ? Math.min(...toc.map((heading) => heading.level)) : 1;
+
+  // Wiki links point into the owner's workspace, which visitors can't open
+  const handleContentClick = (event) => {
+    if (event.target.closest('a[data-wikilink]')) {
+      event.preventDefault();
+    }
   };
 
   if (loading) {
@@ -187,6 +138,46 @@ const PublicShare = () => {
     );
   }
 
+  if (needsPassword) {
+    return (
+      <div className="min-h-screen bg-base-200 flex items-center justify-center p-6">
+        <form
+          onSubmit={unlockPage}
+          className="bg-base-100 rounded-3xl shadow-xl p-8 max-w-md w-full text-center border border-base-300"
+        >
+          <div className="w-16 h-16 bg-primary/10 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <FiLock className="w-8 h-8 text-primary" />
+          </div>
+          <h1 className="text-2xl font-bold text-base-content mb-3">Password Required</h1>
+          <p className="text-base-content/70 mb-6">
+            This page is password protected. Enter the password to view it.
+          </p>
+          <input
+            type="password"
+            className="input input-bordered w-full mb-3"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoFocus
+          />
+          {passwordError && <p className="text-sm text-error mb-3">{passwordError}</p>}
+          <button
+            type="submit"
+            className="btn btn-primary w-full gap-2"
+            disabled={!password || isUnlocking}
+          >
+            {isUnlocking ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              <FiLock className="w-4 h-4" />
+            )}
+            View Page
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="min-h-screen bg-base-200 flex items-center justify-center p-6">
@@ -194,7 +185,9 @@ const PublicShare = () => {
           <div className="w-16 h-16 bg-error/10 rounded-2xl flex items-center justify-center mx-auto mb-6">
             <FiFile className="w-8 h-8 text-error" />
           </div>
-          <h1 className="text-2xl font-bold text-base-content mb-3">Page Not Found</h1>
+          <h1 className="text-2xl font-bold text-base-content mb-3">
+            {errorStatus === 410 ? 'Link Unavailable' : 'Page Not Found'}
+          </h1>
           <p className="text-base-content/70 mb-6">{error}</p>
           <div className="space-y-3">
             <button onClick={() => navigate('/')} className="btn btn-primary w-full gap-2">
@@ -242,14 +235,13 @@ const PublicShare = () => {
             {/* Action Buttons */}
             <div className="flex items-center gap-3">
               {pageData?.allowDownload ? (
-                <button
-                  onClick={handleDownload}
-                  className="btn btn-outline btn-sm gap-2 hover:btn-secondary"
-                  title="Download as Markdown"
-                >
-                  <FiDownload className="w-4 h-4" />
-                  <span className="hidden sm:inline">Download</span>
-                </button>
+                <ExportMenu
+                  onExport={(format) => pagesAPI.exportPublicPage(shareId, format)}
+                  formats={['md', 'html', 'pdf', 'docx']}
+                  label="Download"
+                  fileName={pageData.title || 'shared-page'}
+                  buttonClassName="btn btn-outline btn-sm gap-2 hover:btn-secondary"
+                />
               ) : (
                 <button
                   disabled
@@ -295,12 +287,38 @@ const PublicShare = () => {
           {/* Main Content */}
           <div className="p-8 lg:p-12 min-h-[500px]">
             {pageData?.content ? (
-              <div
-                className="prose prose-lg max-w-none leading-relaxed"
-                dangerouslySetInnerHTML={{
-                  __html: `<p class="mb-4">${renderMarkdown(pageData.content)}</p>`,
-                }}
-              />
+              <div className="flex flex-col-reverse lg:flex-row gap-8 items-start">
+                <div
+                  className="flex-1 min-w-0 max-w-none leading-relaxed"
+                  onClick={handleContentClick}
+                  dangerouslySetInnerHTML={{ __html: contentHtml }}
+                />
+                {toc.length > 1 && (
+                  <nav
+                    className="w-full lg:w-56 flex-shrink-0 lg:sticky lg:top-32 text-sm"
+                    aria-label="Table of contents"
+                  >
+                    <p className="text-xs font-semibold uppercase tracking-wide text-base-content/60 mb-2">
+                      Contents
+                    </p>
+                    <ul className="space-y-1.5 border-l border-base-300">
+                      {toc.map((heading) => (
+                        <li key={heading.id}>
+                          <a
+                            href={`#${toContentId(heading.id)}`}
+                            className="block -ml-px border-l border-transparent pl-3 text-base-content/70 hover:text-primary hover:border-primary"
+                            style={{
+                              paddingLeft: `${0.75 + Math.min(heading.level - topLevel, 2) * 0.75}rem`,
+                            }}
+                          >
+                            {heading.text}
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  </nav>
+                )}
+              </div>
             ) : (
               <div className="text-center py-16">
                 <div className="w-16 h-16 bg-base-200 rounded-2xl flex items-center justify-center mx-auto mb-4">
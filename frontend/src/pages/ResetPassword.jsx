@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { FiEye, FiEyeOff, FiLock, FiMail } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { authAPI } from '../utils/api';
+import Input from '../components/ui/Input';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Without a token this page asks for an email and sends a reset link; the
+// emailed link brings the user back here with a token to choose a new password.
+// The server answers the email step the same way for unknown addresses.
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [emailSent, setEmailSent] = useState(false);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const requestLink = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      setLoading(true);
+      const res = await authAPI.forgotPassword(email.trim());
+      setEmailSent(true);
+      toast.success(res.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send the reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const res = await authAPI.resetPassword(token, password);
+      toast.success(res.data.message);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset your password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center px-4 py-16">
+      <div className="bg-base-100 rounded-2xl shadow-xl border border-base-300 w-full max-w-md p-8">
+        <div className="text-center mb-6">
+          {token ? (
+            <FiLock className="w-12 h-12 mx-auto mb-4 text-primary" />
+          ) : (
+            <FiMail className="w-12 h-12 mx-auto mb-4 text-primary" />
+          )}
+          <h1 className="text-2xl font-bold text-base-content mb-2">
+            {token ? 'Choose a new password' : 'Reset your password'}
+          </h1>
+          <p className="text-base-content/70">
+            {token
+              ? 'Use at least 12 characters, including a digit and a symbol.'
+              : 'Enter the email of your account and we will send you a link to reset it.'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {token ? (
+          <form onSubmit={resetPassword} className="space-y-4">
+            <div className="relative">
+              <Input
+                type={showPassword ? 'text' : 'password'}
+                id="password"
+                name="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="New password"
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-3 top-1/2 -translate-y-1/2 text-base-content/50 hover:text-base-content transition-colors"
+              >
+                {showPassword ? <FiEyeOff size={20} /> : <FiEye size={20} />}
+              </button>
+            </div>
+            <Input
+              type={showPassword ? 'text' : 'password'}
+              id="confirmPassword"
+              name="confirmPassword"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Confirm new password"
+            />
+            <button type="submit" className="btn btn-primary w-full" disabled={loading}>
+              {loading ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                'Reset password'
+              )}
+            </button>
+          </form>
+        ) : emailSent ? (
+          <p className="text-center text-base-content/70">
+            Check your inbox for a link to reset your password. It expires in 60 minutes.
+          </p>
+        ) : (
+          <form onSubmit={requestLink} className="space-y-4">
+            <Input
+              type="email"
+              id="email"
+              name="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+            />
+            <button type="submit" className="btn btn-primary w-full" disabled={loading}>
+              {loading ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                'Send reset link'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center mt-6">
+          <Link to="/login" className="text-sm text-primary hover:text-primary/80">
+            Back to log in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,640 @@
+import { useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import {
+  FiAlertTriangle,
+  FiArrowLeft,
+  FiCamera,
+  FiDownload,
+  FiPackage,
+  FiLock,
+  FiMail,
+  FiMonitor,
+  FiShield,
+  FiTrash2,
+  FiUser,
+} from 'react-icons/fi';
+import { FaGithub, FaGoogle } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import toast from 'react-hot-toast';
+import { authAPI, userAPI, apiUtils } from '../utils/api';
+import { saveDownload, getBlobErrorMessage } from '../utils/download';
+import authContext from '../context/AuthProvider';
+import AvatarCropModal from '../components/modals/AvatarCropModal';
+import SessionsModal from '../components/modals/SessionsModal';
+import TwoFactorModal from '../components/modals/TwoFactorModal';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Account settings. The page loads the full profile from /api/user/getuser and
+// copies name, email and avatar back into the auth context after each change.
+// - A new email only replaces the current one once the link sent to it is followed
+// - Accounts from Google or GitHub have no password here, and the provider owns
+//   their email; they confirm deleting the account by typing the email instead
+// - Deleting the account signs out everywhere right away, while the server
+//   removes pages, tasks and images in the background
+// - A data export is built in the background; the section polls until it is ready
+//   and the emailed link points back here at #your-data
+
+// Larger pictures are slow to decode; the cropped upload is small either way
+const MAX_AVATAR_SOURCE_BYTES = 10 * 1024 * 1024;
+
+// How often to check on a data export that is still being built
+const EXPORT_POLL_INTERVAL = 5000;
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const PROVIDERS = {
+  local: { label: 'Email and password', icon: FiMail },
+  google: { label: 'Google', icon: FaGoogle },
+  github: { label: 'GitHub', icon: FaGithub },
+};
+
+const sectionClass = 'bg-base-100 rounded-2xl border border-base-300 p-6';
+const inputClass =
+  'w-full px-4 py-2.5 border border-base-300 rounded-lg bg-base-100 text-base-content placeholder-base-content/50 focus:ring-2 focus:ring-primary focus:border-transparent focus:outline-none transition-all';
+
+const SectionTitle = ({ icon: Icon, children }) => (
+  <h2 className="text-lg font-semibold text-base-content flex items-center gap-2 mb-4">
+    <Icon className="w-5 h-5 text-primary" />
+    {children}
+  </h2>
+);
+
+SectionTitle.propTypes = {
+  icon: PropTypes.elementType.isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+const Settings = () => {
+  const { setuser } = useContext(authContext);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const fileInputRef = useRef(null);
+  const [profile, setProfile] = useState(null);
+  const [pending, setPending] = useState(null);
+  const [name, setName] = useState('');
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [emailForm, setEmailForm] = useState({ newEmail: '', password: '' });
+  const [emailSentTo, setEmailSentTo] = useState(null);
+  const [passwordForm, setPasswordForm] = useState({ current: '', next: '', confirm: '' });
+  const [deleteForm, setDeleteForm] = useState({ password: '', confirmEmail: '', code: '' });
+  const [showSessionsModal, setShowSessionsModal] = useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = useState(false);
+  const [dataExport, setDataExport] = useState(null);
+  const scrolledRef = useRef(false);
+
+  const signedOut = useCallback(() => {
+    setuser(null);
+    localStorage.removeItem('zetta_user');
+    navigate('/login');
+  }, [setuser, navigate]);
+
+  // Keep the page and the rest of the app showing the same profile
+  const applyProfile = useCallback(
+    (updated) => {
+      setProfile(updated);
+      setName(updated.name);
+      setuser((current) =>
+        current
+          ? {
+              ...current,
+              name: updated.name,
+              email: updated.email,
+              avatar: updated.avatar,
+              emailVerified: updated.emailVerified,
+              twoFactorEnabled: updated.twoFactorEnabled,
+            }
+          : current
+      );
+    },
+    [setuser]
+  );
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      const res = await userAPI.getUser();
+      applyProfile(res.data.user);
+    } catch (error) {
+      if (apiUtils.handleUnauthorized(error, signedOut)) return;
+      console.error('Error fetching profile:', error);
+      toast.error('Failed to load your account settings');
+    }
+  }, [applyProfile, signedOut]);
+
+  const fetchDataExport = useCallback(async () => {
+    try {
+      const res = await userAPI.getDataExport();
+      setDataExport(res.data.dataExport);
+    } catch (error) {
+      if (apiUtils.handleUnauthorized(error, signedOut)) return;
+      console.error('Error fetching data export:', error);
+    }
+  }, [signedOut]);
+
+  useEffect(() => {
+    fetchProfile();
+    fetchDataExport();
+  }, [fetchProfile, fetchDataExport]);
+
+  // Keep checking while the export is being built
+  useEffect(() => {
+    if (!['pending', 'processing'].includes(dataExport?.status)) return undefined;
+    const timer = setTimeout(fetchDataExport, EXPORT_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [dataExport, fetchDataExport]);
+
+  // The export email links to #your-data; the section only exists once the profile loaded
+  useEffect(() => {
+    if (!profile || scrolledRef.current || !location.hash) return;
+    scrolledRef.current = true;
+    document.getElementById(location.hash.slice(1))?.scrollIntoView({ behavior: 'smooth' });
+  }, [profile, location.hash]);
+
+  // Run one settings request at a time; resolves to the response data when it succeeded
+  const run = async (action, request) => {
+    try {
+      setPending(action);
+      const res = await request();
+      if (res.data.message) toast.success(res.data.message);
+      return res.data;
+    } catch (error) {
+      if (apiUtils.handleUnauthorized(error, signedOut)) return null;
+      console.error('Account settings error:', error);
+      toast.error(error.response?.data?.message || 'Something went wrong');
+      return null;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const closeCropper = useCallback(() => setAvatarFile(null), []);
+
+  if (!profile) {
+    return (
+      <div className="min-h-[70vh] flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg text-primary"></span>
+      </div>
+    );
+  }
+
+  const hasPassword = profile.authProvider === 'local';
+  const provider = PROVIDERS[profile.authProvider] || PROVIDERS.local;
+  const ProviderIcon = provider.icon;
+
+  const saveName = async (e) => {
+    e.preventDefault();
+    const data = await run('name', () => userAPI.updateUsername(name.trim()));
+    if (data) applyProfile(data.user);
+  };
+
+  const pickAvatar = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      toast.error('Choose an image file');
+      return;
+    }
+    if (file.size > MAX_AVATAR_SOURCE_BYTES) {
+      toast.error('Choose an image under 10 MB');
+      return;
+    }
+    setAvatarFile(file);
+  };
+
+  const saveAvatar = async (dataUrl) => {
+    const data = await run('avatar', () => userAPI.addAvatar(dataUrl));
+    if (data) {
+      applyProfile(data.user);
+      setAvatarFile(null);
+    }
+  };
+
+  const removeAvatar = async () => {
+    const data = await run('avatar', userAPI.removeAvatar);
+    if (data) applyProfile(data.user);
+  };
+
+  const resendVerification = () => run('verify', authAPI.resendVerification);
+
+  const changeEmail = async (e) => {
+    e.preventDefault();
+    const newEmail = emailForm.newEmail.trim();
+    const data = await run('email', () => userAPI.requestEmailChange(newEmail, emailForm.password));
+    if (data) {
+      setEmailSentTo(newEmail);
+      setEmailForm({ newEmail: '', password: '' });
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    if (passwordForm.next !== passwordForm.confirm) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    const data = await run('password', () =>
+      authAPI.changePassword(passwordForm.current, passwordForm.next)
+    );
+    if (data) setPasswordForm({ current: '', next: '', confirm: '' });
+  };
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account and all of its pages for good?')) return;
+    const data = await run('delete', () =>
+      userAPI.terminateAccount({
+        password: hasPassword ? deleteForm.password : undefined,
+        confirmEmail: hasPassword ? undefined : deleteForm.confirmEmail.trim(),
+        code: profile.twoFactorEnabled ? deleteForm.code.trim() : undefined,
+      })
+    );
+    if (data) {
+      setuser(null);
+      localStorage.removeItem('zetta_user');
+      navigate('/', { replace: true });
+    }
+  };
+
+  const requestDataExport = async () => {
+    const data = await run('export', userAPI.requestDataExport);
+    if (data) setDataExport(data.dataExport);
+  };
+
+  const downloadDataExport = async () => {
+    try {
+      setPending('download');
+      const response = await userAPI.downloadDataExport(dataExport.id);
+      saveDownload(response, 'zettanote-data.zip');
+    } catch (error) {
+      if (apiUtils.handleUnauthorized(error, signedOut)) return;
+      console.error('Data export download error:', error);
+      toast.error(await getBlobErrorMessage(error, 'Download failed'));
+      fetchDataExport();
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const exportBuilding = ['pending', 'processing'].includes(dataExport?.status);
+
+  const spinner = <span className="loading loading-spinner loading-sm"></span>;
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 py-10 space-y-6">
+      <div className="flex items-center gap-3">
+        <Link to="/dashboard" className="btn btn-ghost btn-sm btn-circle" title="Back to dashboard">
+          <FiArrowLeft className="w-4 h-4" />
+        </Link>
+        <h1 className="text-2xl font-bold text-base-content">Account settings</h1>
+      </div>
+
+      {/* Profile */}
+      <section className={sectionClass}>
+        <SectionTitle icon={FiUser}>Profile</SectionTitle>
+        <div className="flex flex-col sm:flex-row gap-6">
+          <div className="flex flex-col items-center gap-2">
+            {profile.avatar ? (
+              <img
+                src={profile.avatar}
+                alt="Your avatar"
+                className="w-24 h-24 rounded-full object-cover border border-base-300"
+              />
+            ) : (
+              <div className="w-24 h-24 bg-primary text-primary-content rounded-full flex items-center justify-center text-3xl font-bold">
+                {(profile.name || profile.email).charAt(0).toUpperCase()}
+              </div>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              onChange={pickAvatar}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              className="btn btn-ghost btn-xs gap-1"
+              disabled={pending === 'avatar'}
+            >
+              <FiCamera className="w-3 h-3" />
+              {profile.avatar ? 'Change' : 'Upload'}
+            </button>
+            {profile.avatar && (
+              <button
+                onClick={removeAvatar}
+                className="btn btn-ghost btn-xs text-error"
+                disabled={pending === 'avatar'}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+
+          <form onSubmit={saveName} className="flex-1 space-y-3">
+            <label htmlFor="name" className="block text-sm font-medium text-base-content/80">
+              Name
+            </label>
+            <input
+              id="name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={50}
+              required
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={pending === 'name' || !name.trim() || name.trim() === profile.name}
+            >
+              {pending === 'name' ? spinner : 'Save name'}
+            </button>
+          </form>
+        </div>
+      </section>
+
+      {/* Email */}
+      <section className={sectionClass}>
+        <SectionTitle icon={FiMail}>Email</SectionTitle>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <span className="text-base-content">{profile.email}</span>
+          {profile.emailVerified ? (
+            <span className="badge badge-success badge-sm">Verified</span>
+          ) : (
+            <>
+              <span className="badge badge-warning badge-sm">Not verified</span>
+              <button
+                onClick={resendVerification}
+                className="btn btn-ghost btn-xs"
+                disabled={pending === 'verify'}
+              >
+                Resend link
+              </button>
+            </>
+          )}
+        </div>
+
+        {!hasPassword ? (
+          <p className="text-sm text-base-content/70">
+            Your email comes from {provider.label}. Change it there.
+          </p>
+        ) : (
+          <form onSubmit={changeEmail} className="space-y-3">
+            {emailSentTo && (
+              <div className="p-3 bg-info/10 border border-info/30 rounded-lg text-sm text-base-content">
+                Follow the link sent to {emailSentTo} to finish the change. Until then you keep
+                signing in with {profile.email}.
+              </div>
+            )}
+            <div className="grid sm:grid-cols-2 gap-3">
+              <input
+                type="email"
+                value={emailForm.newEmail}
+                onChange={(e) => setEmailForm({ ...emailForm, newEmail: e.target.value })}
+                placeholder="New email"
+                required
+                className={inputClass}
+              />
+              <input
+                type="password"
+                value={emailForm.password}
+                onChange={(e) => setEmailForm({ ...emailForm, password: e.target.value })}
+                placeholder="Current password"
+                autoComplete="current-password"
+                required
+                className={inputClass}
+              />
+            </div>
+            <button type="submit" className="btn btn-primary btn-sm" disabled={pending === 'email'}>
+              {pending === 'email' ? spinner : 'Change email'}
+            </button>
+          </form>
+        )}
+      </section>
+
+      {/* Sign-in */}
+      <section className={sectionClass}>
+        <SectionTitle icon={FiLock}>Sign-in</SectionTitle>
+        <div className="flex items-center gap-3 p-3 rounded-xl border border-base-300 mb-4">
+          <ProviderIcon className="w-5 h-5 text-base-content/70" />
+          <div className="flex-1">
+            <p className="text-sm font-medium text-base-content">{provider.label}</p>
+            <p className="text-xs text-base-content/60">
+              {hasPassword
+                ? 'You sign in with your email and password.'
+                : `You sign in with ${provider.label}, which manages your password.`}
+            </p>
+          </div>
+          <span className="badge badge-ghost badge-sm">Linked</span>
+        </div>
+
+        {hasPassword && (
+          <form onSubmit={changePassword} className="space-y-3">
+            <input
+              type="password"
+              value={passwordForm.current}
+              onChange={(e) => setPasswordForm({ ...passwordForm, current: e.target.value })}
+              placeholder="Current password"
+              autoComplete="current-password"
+              required
+              className={inputClass}
+            />
+            <div className="grid sm:grid-cols-2 gap-3">
+              <input
+                type="password"
+                value={passwordForm.next}
+                onChange={(e) => setPasswordForm({ ...passwordForm, next: e.target.value })}
+                placeholder="New password"
+                autoComplete="new-password"
+                required
+                className={inputClass}
+              />
+              <input
+                type="password"
+                value={passwordForm.confirm}
+                onChange={(e) => setPasswordForm({ ...passwordForm, confirm: e.target.value })}
+                placeholder="Confirm new password"
+                autoComplete="new-password"
+                required
+                className={inputClass}
+              />
+            </div>
+            <p className="text-xs text-base-content/60">
+              Use at least 12 characters, including a digit and a symbol. Your other devices are
+              signed out.
+            </p>
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm"
+              disabled={pending === 'password'}
+            >
+              {pending === 'password' ? spinner : 'Change password'}
+            </button>
+          </form>
+        )}
+
+        <div className="flex flex-wrap gap-2 mt-4">
+          <button
+            onClick={() => setShowTwoFactorModal(true)}
+            className="btn btn-outline btn-sm gap-2"
+          >
+            <FiShield className="w-4 h-4" />
+            Two-factor authentication
+            {profile.twoFactorEnabled && <span className="badge badge-success badge-xs">On</span>}
+          </button>
+          <button
+            onClick={() => setShowSessionsModal(true)}
+            className="btn btn-outline btn-sm gap-2"
+          >
+            <FiMonitor className="w-4 h-4" />
+            Signed-in devices
+          </button>
+        </div>
+      </section>
+
+      {/* Your data */}
+      <section id="your-data" className={sectionClass}>
+        <SectionTitle icon={FiPackage}>Your data</SectionTitle>
+        <p className="text-sm text-base-content/70 mb-4">
+          Download a zip of everything ZettaNote keeps about you: your profile, pages, pages shared
+          with you, tasks, templates, comments, uploaded images and sign-in activity. We&apos;ll
+          email you when it&apos;s ready.
+        </p>
+
+        {dataExport && (
+          <div className="flex flex-wrap items-center gap-3 p-3 rounded-xl border border-base-300 mb-4 text-sm">
+            {exportBuilding && (
+              <>
+                {spinner}
+                <span className="flex-1 text-base-content">
+                  Preparing your data, requested {new Date(dataExport.createdAt).toLocaleString()}
+                </span>
+              </>
+            )}
+            {dataExport.status === 'ready' && (
+              <>
+                <span className="flex-1 text-base-content">
+                  Ready ({formatSize(dataExport.size)}), downloadable until{' '}
+                  {new Date(dataExport.expiresAt).toLocaleString()}
+                </span>
+                <button
+                  onClick={downloadDataExport}
+                  className="btn btn-primary btn-sm gap-2"
+                  disabled={pending === 'download'}
+                >
+                  {pending === 'download' ? (
+                    spinner
+                  ) : (
+                    <>
+                      <FiDownload className="w-4 h-4" />
+                      Download
+                    </>
+                  )}
+                </button>
+              </>
+            )}
+            {dataExport.status === 'failed' && (
+              <span className="text-error">Your last export failed. Please request a new one.</span>
+            )}
+            {dataExport.status === 'expired' && (
+              <span className="text-base-content/70">
+                Your last export expired. Request a new one to download your data.
+              </span>
+            )}
+          </div>
+        )}
+
+        <button
+          onClick={requestDataExport}
+          className="btn btn-outline btn-sm gap-2"
+          disabled={pending === 'export' || exportBuilding}
+        >
+          {pending === 'export' ? (
+            spinner
+          ) : (
+            <>
+              <FiPackage className="w-4 h-4" />
+              {dataExport ? 'Request a new export' : 'Request my data'}
+            </>
+          )}
+        </button>
+      </section>
+
+      {/* Danger zone */}
+      <section className={`${sectionClass} border-error/40`}>
+        <SectionTitle icon={FiAlertTriangle}>Delete account</SectionTitle>
+        <p className="text-sm text-base-content/70 mb-4">
+          Deletes your pages, tasks, templates and uploaded images, and removes you from pages
+          shared with you. This can&apos;t be undone.
+        </p>
+        <form onSubmit={deleteAccount} className="space-y-3">
+          <div className="grid sm:grid-cols-2 gap-3">
+            {hasPassword ? (
+              <input
+                type="password"
+                value={deleteForm.password}
+                onChange={(e) => setDeleteForm({ ...deleteForm, password: e.target.value })}
+                placeholder="Current password"
+                autoComplete="current-password"
+                required
+                className={inputClass}
+              />
+            ) : (
+              <input
+                type="email"
+                value={deleteForm.confirmEmail}
+                onChange={(e) => setDeleteForm({ ...deleteForm, confirmEmail: e.target.value })}
+                placeholder={`Type ${profile.email} to confirm`}
+                required
+                className={inputClass}
+              />
+            )}
+            {profile.twoFactorEnabled && (
+              <input
+                type="text"
+                value={deleteForm.code}
+                onChange={(e) => setDeleteForm({ ...deleteForm, code: e.target.value })}
+                placeholder="Authenticator or recovery code"
+                autoComplete="one-time-code"
+                required
+                className={inputClass}
+              />
+            )}
+          </div>
+          <button
+            type="submit"
+            className="btn btn-error btn-sm gap-2"
+            disabled={pending === 'delete'}
+          >
+            {pending === 'delete' ? (
+              spinner
+            ) : (
+              <>
+                <FiTrash2 className="w-4 h-4" />
+                Delete my account
+              </>
+            )}
+          </button>
+        </form>
+      </section>
+
+      <AvatarCropModal file={avatarFile} onClose={closeCropper} onSave={saveAvatar} />
+      <SessionsModal isOpen={showSessionsModal} onClose={() => setShowSessionsModal(false)} />
+      <TwoFactorModal
+        isOpen={showTwoFactorModal}
+        onClose={() => {
+          setShowTwoFactorModal(false);
+          fetchProfile();
+        }}
+      />
+    </div>
+  );
+};
+
+export default Settings;
@@ -11,7 +11,9 @@ import Input from '../components/ui/Input';
 const Signup = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [name, setname] = useState('');
-  const [email, setemail] = useState('');
+  const [email, setemail] = useState(
+    () => new URLSearchParams(window.location.search).get('email') || ''
+  );
   const [password, setpassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -67,7 +69,12 @@ const Signup = () => {
       return;
     }
 
+    // Invitation links carry a token so the pages shared with this email are added on signup
+    const inviteToken = new URLSearchParams(location.search).get('invite');
     const formdata = { name: name.trim(), email: email.trim(), password };
+    if (inviteToken) {
+      formdata.inviteToken = inviteToken;
+    }
 
     try {
       const res = await authAPI.register(formdata);
@@ -76,7 +83,11 @@ const Signup = () => {
       setuser(res.data.user);
       localStorage.setItem('zetta_user', JSON.stringify(res.data.user));
       navigate('/');
-      toast.success('Account created successfully!');
+      toast.success(
+        res.data.verificationSent
+          ? `Account created! Check ${res.data.user.email} for a link to verify your email.`
+          : 'Account created successfully!'
+      );
     } catch (err) {
       console.error('Signup error:', err);
 
@@ -0,0 +1,100 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FiCheckCircle, FiMail, FiXCircle } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { authAPI } from '../utils/api';
+import authContext from '../context/AuthProvider';
+
+// =============================================================================
+// DEVELOPER NOTES
+// =============================================================================
+// Landing page of the link emailed at signup. The token in the link works once,
+// so the page redeems it a single time even when effects run twice in
+// development, and offers signed-in users a new link when it fails.
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, setuser } = useContext(authContext);
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const [resending, setResending] = useState(false);
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    authAPI
+      .verifyEmail(token)
+      .then((res) => {
+        setStatus('verified');
+        setMessage(res.data.message);
+        setuser((current) => (current ? { ...current, emailVerified: true } : current));
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to verify your email. Please try again.');
+      });
+  }, [token, setuser]);
+
+  const resendLink = async () => {
+    try {
+      setResending(true);
+      await authAPI.resendVerification();
+      toast.success(`Verification link sent to ${user.email}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-[70vh] flex items-center justify-center px-4 py-16">
+      <div className="bg-base-100 rounded-2xl shadow-xl border border-base-300 w-full max-w-md p-8 text-center">
+        {status === 'verifying' && (
+          <>
+            <FiMail className="w-12 h-12 mx-auto mb-4 text-primary" />
+            <h1 className="text-2xl font-bold text-base-content mb-2">Verifying your email</h1>
+            <span className="loading loading-spinner loading-md text-primary"></span>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <FiCheckCircle className="w-12 h-12 mx-auto mb-4 text-success" />
+            <h1 className="text-2xl font-bold text-base-content mb-2">Email verified</h1>
+            <p className="text-base-content/70 mb-6">{message}</p>
+            <Link to={user ? '/dashboard' : '/login'} className="btn btn-primary">
+              {user ? 'Go to dashboard' : 'Log in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <FiXCircle className="w-12 h-12 mx-auto mb-4 text-error" />
+            <h1 className="text-2xl font-bold text-base-content mb-2">Verification failed</h1>
+            <p className="text-base-content/70 mb-6">{message}</p>
+            {user ? (
+              <button onClick={resendLink} className="btn btn-primary" disabled={resending}>
+                {resending ? (
+                  <span className="loading loading-spinner loading-sm"></span>
+                ) : (
+                  'Send a new link'
+                )}
+              </button>
+            ) : (
+              <Link to="/login" className="btn btn-primary">
+                Log in to get a new link
+              </Link>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -29,6 +29,9 @@ const api = axios.create({
   timeout: 10000,
 });
 
+// Exports and imports process whole workspaces on the server and can take a while
+const EXPORT_TIMEOUT = 120000;
+
 // Request interceptor for adding auth headers if needed
 api.interceptors.request.use(
   (config) => {
@@ -40,16 +43,50 @@ api.interceptors.request.use(
   }
 );
 
+// Requests that answer 401 for a wrong password or an ended session rather than an expired token
+const NO_REFRESH_PATHS = [
+  '/api/auth/login',
+  '/api/auth/login/twofactor',
+  '/api/auth/signup',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+];
+
+let refreshPromise = null;
+
+// Exchange the refresh token cookie for a new access token. Requests failing together share one
+// refresh, since the server treats a refresh token used twice as stolen.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/api/auth/refresh').finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for handling common errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    // Handle common errors here
-    if (error.response?.status === 401) {
-      // Handle unauthorized - could emit event or call callback
-      console.warn('Unauthorized request');
+  async (error) => {
+    const request = error.config;
+    // Access tokens are short-lived - refresh once and retry before treating the user as signed out
+    if (
+      error.response?.status === 401 &&
+      request &&
+      !request._retried &&
+      !NO_REFRESH_PATHS.includes(request.url)
+    ) {
+      request._retried = true;
+      try {
+        await refreshSession();
+      } catch {
+        console.warn('Unauthorized request');
+        return Promise.reject(error);
+      }
+      return api(request);
     }
     return Promise.reject(error);
   }
@@ -63,44 +100,200 @@ export const authAPI = {
 
   login: (credentials) => api.post('/api/auth/login', credentials),
 
+  // code is an authenticator code or a recovery code
+  loginTwoFactor: (twoFactorToken, code) =>
+    api.post('/api/auth/login/twofactor', { twoFactorToken, code }),
+
   register: (userData) => api.post('/api/auth/signup', userData),
 
-  logout: () => api.post('/api/auth/logout'),
+  logout: (allDevices = false) => api.post('/api/auth/logout', { allDevices }),
+
+  getSessions: () => api.get('/api/auth/sessions'),
+
+  endSession: (sessionId) => api.delete(`/api/auth/sessions/${sessionId}`),
+
+  setupTwoFactor: () => api.post('/api/auth/twofactor/setup'),
+
+  enableTwoFactor: (code) => api.post('/api/auth/twofactor/enable', { code }),
+
+  disableTwoFactor: (password, code) => api.post('/api/auth/twofactor/disable', { password, code }),
+
+  regenerateRecoveryCodes: (code) => api.post('/api/auth/twofactor/recoverycodes', { code }),
+
+  verifyEmail: (token) => api.post('/api/auth/verifyemail', { token }),
+
+  resendVerification: () => api.post('/api/auth/resendverification'),
+
+  forgotPassword: (email) => api.post('/api/auth/forgotpassword', { email }),
+
+  changePassword: (currentPassword, newPassword) =>
+    api.post('/api/auth/changepassword', { currentPassword, newPassword }),
+
+  resetPassword: (token, newPassword) =>
+    api.post('/api/auth/resetpassword', { token, newPassword }),
 
   googleAuth: () => api.get('/api/auth/google'),
 
   githubAuth: () => api.get('/api/auth/github'),
 };
 
+// User profile API
+export const userAPI = {
+  getUser: () => api.get('/api/user/getuser'),
+
+  updateUsername: (name) => api.post('/api/user/update-username', { name }),
+
+  // Image as a data: URL (PNG, JPEG or WebP, up to 2 MB)
+  addAvatar: (base64Avatar) => api.post('/api/user/add-avatar', { base64Avatar }),
+
+  removeAvatar: () => api.delete('/api/user/avatar'),
+
+  requestEmailChange: (newEmail, password) =>
+    api.post('/api/user/change-email', { newEmail, password }),
+
+  confirmEmailChange: (token) => api.post('/api/user/confirm-email', { token }),
+
+  // Confirmed with the password, or the typed email for accounts without one
+  terminateAccount: ({ password, confirmEmail, code }) =>
+    api.delete('/api/user/terminate-account', { data: { password, confirmEmail, code } }),
+
+  // Zip of everything kept about the account; built in the background, then emailed about
+  requestDataExport: () => api.post('/api/user/data-export'),
+
+  getDataExport: () => api.get('/api/user/data-export'),
+
+  downloadDataExport: (exportId) =>
+    api.get(`/api/user/data-export/${exportId}/download`, {
+      responseType: 'blob',
+      timeout: EXPORT_TIMEOUT,
+    }),
+};
+
 // Pages API
 export const pagesAPI = {
   getPage: (pageId) => api.post('/api/pages/getpage', { pageId }),
 
-  savePage: (pageId, content) =>
-    api.post('/api/v2/pages/savepage', { pageId, newPageData: content }),
+  savePage: (pageId, content, baseRevision) =>
+    api.post('/api/v2/pages/savepage', { pageId, newPageData: content, baseRevision }),
 
   createPage: (pageData) => api.post('/api/pages/createpage', pageData),
 
   deletePage: (pageId) => api.delete('/api/pages/deletepage', { data: { pageId } }),
 
-  renamePage: (pageId, newName) =>
-    api.post('/api/pages/renamepage', { pageId, newPageName: newName }),
+  renamePage: (pageId, newName, rewriteLinks = false) =>
+    api.post('/api/pages/renamepage', { pageId, newPageName: newName, rewriteLinks }),
 
   getAllPages: () => api.post('/api/pages/getpages'),
 
   // Sharing APIs
   publicShare: (data) => api.post('/api/pages/publicshare', data),
 
-  sharePage: (pageId, email) => api.post('/api/pages/sharepage', { pageId, email }),
+  sharePage: (pageId, email, role = 'editor') =>
+    api.post('/api/pages/sharepage', { pageId, email, role }),
 
   removeSharedUser: (email, pageId) =>
     api.post('/api/pages/sharepage/remove-user', { gmail: email, id: pageId }),
 
+  // role is one of viewer, commenter, editor or manager
+  updateShareRole: (pageId, email, role) =>
+    api.post('/api/pages/sharepage/role', { pageId, email, role }),
+
+  transferOwnership: (pageId, email) => api.post('/api/pages/transfer', { pageId, email }),
+
+  // Pending invitations for emails that don't have an account yet
+  getShareInvitations: (pageId) => api.post('/api/pages/sharepage/invitations', { pageId }),
+
+  cancelShareInvitation: (pageId, email) =>
+    api.post('/api/pages/sharepage/invitations/cancel', { pageId, email }),
+
   getPublicPage: (publicShareId) => api.get(`/api/pages/share/${publicShareId}`),
 
+  // Unlocks a password-protected share for this browser with a cookie
+  unlockPublicPage: (publicShareId, password) =>
+    api.post(`/api/pages/share/${publicShareId}/unlock`, { password }),
+
+  // Settings and view analytics of a page's current and past public links
+  getShareLinks: (pageId) => api.post('/api/pages/publicshare/links', { pageId }),
+
+  // Downloads a publicly shared page as md, html, pdf or docx
+  exportPublicPage: (publicShareId, format) =>
+    api.get(`/api/pages/share/${publicShareId}/export`, {
+      params: { format },
+      responseType: 'blob',
+      timeout: EXPORT_TIMEOUT,
+    }),
+
   // New method for image uploads
   uploadImage: (imageData, pageId) =>
     api.post('/api/pages/upload-image', { image: imageData, pageId }),
+
+  // Version history APIs
+  getVersions: (pageId) => api.post('/api/pages/versions', { pageId }),
+
+  getVersion: (pageId, versionId) => api.post('/api/pages/versions/get', { pageId, versionId }),
+
+  diffVersions: (pageId, fromVersionId, toVersionId) =>
+    api.post('/api/pages/versions/diff', { pageId, fromVersionId, toVersionId }),
+
+  restoreVersion: (pageId, versionId) =>
+    api.post('/api/pages/versions/restore', { pageId, versionId }),
+
+  // Trash APIs
+  getTrash: () => api.post('/api/pages/trash'),
+
+  restoreFromTrash: (pageId) => api.post('/api/pages/trash/restore', { pageId }),
+
+  deleteForever: (pageId) => api.post('/api/pages/trash/delete', { pageId }),
+
+  movePage: (pageId, parentId, position) =>
+    api.post('/api/pages/move', { pageId, parentId, position }),
+
+  reorderPages: (parentId, pageIds) => api.post('/api/pages/reorder', { parentId, pageIds }),
+
+  searchPages: (query, limit) => api.post('/api/pages/search', { query, limit }),
+
+  getBacklinks: (pageId) => api.post('/api/pages/backlinks', { pageId }),
+
+  // Comment threads; anchor is { kind: 'text', quote } or { kind: 'heading', headingId }
+  getComments: (pageId) => api.post('/api/pages/comments', { pageId }),
+
+  addComment: (pageId, body, { anchor = null, parentId = null } = {}) =>
+    api.post('/api/pages/comments/add', { pageId, body, anchor, parentId }),
+
+  updateComment: (commentId, body) => api.post('/api/pages/comments/update', { commentId, body }),
+
+  deleteComment: (commentId) => api.post('/api/pages/comments/delete', { commentId }),
+
+  resolveComment: (commentId, resolved) =>
+    api.post('/api/pages/comments/resolve', { commentId, resolved }),
+
+  getMentionableUsers: (pageId) => api.post('/api/pages/comments/mentionable', { pageId }),
+
+  getGraph: () => api.post('/api/pages/graph'),
+
+  addPageTags: (pageId, tags) => api.post('/api/pages/tags/add', { pageId, tags }),
+
+  removeTag: (tag, pageId) => api.post('/api/pages/tags/remove', { tag, pageId }),
+
+  renameTag: (oldTag, newTag) => api.post('/api/pages/tags/rename', { oldTag, newTag }),
+
+  // Exports a page (or, without pageId, the whole workspace) as md, html, pdf, docx or site
+  exportPages: (pageId, format) =>
+    api.post(
+      '/api/pages/export',
+      { pageId, format },
+      { responseType: 'blob', timeout: EXPORT_TIMEOUT }
+    ),
+
+  // Uploads a .zip of notes; answers with a jobId to poll, or the result when run directly
+  importPages: (file, { source, structure, parentId }) =>
+    api.post('/api/pages/import', file, {
+      params: { source, structure, parentId },
+      headers: { 'Content-Type': 'application/zip' },
+      timeout: EXPORT_TIMEOUT,
+    }),
+
+  getImportStatus: (jobId) => api.post('/api/pages/import/status', { jobId }),
 };
 
 // Tasks API
@@ -118,6 +311,24 @@ export const tasksAPI = {
   getTaskById: (taskId) => api.get('/api/task/getTaskById', { params: { taskId } }),
 };
 
+// Templates API
+export const templatesAPI = {
+  getTemplates: () => api.post('/api/template/list'),
+
+  browseTemplates: (query, page) => api.post('/api/template/public', { query, page }),
+
+  getTemplate: (templateId) => api.post('/api/template/get', { templateId }),
+
+  createTemplate: (templateData) => api.post('/api/template/create', templateData),
+
+  createFromPage: (pageId, details) => api.post('/api/template/frompage', { pageId, ...details }),
+
+  updateTemplate: (templateId, updates) =>
+    api.post('/api/template/update', { templateId, ...updates }),
+
+  deleteTemplate: (templateId) => api.post('/api/template/delete', { templateId }),
+};
+
 // Mailer API
 export const mailerAPI = {
   sendEmail: (emailData) => api.post('/api/mailer/send', emailData),
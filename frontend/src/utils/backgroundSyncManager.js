@@ -1,11 +1,16 @@
 // Background sync manager for handling offline operations
 import indexedDBCache from './indexedDBCache';
 import { pagesAPI } from './api';
+import { mergeThreeWay, applyMergeChoices } from './merge';
+
+// Returned by a sync handler to leave an item in the queue for the user to deal with
+const HELD = 'held';
 
 class BackgroundSyncManager {
   constructor() {
     this.isOnline = navigator.onLine;
     this.syncInProgress = false;
+    this.resyncRequested = false;
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
 
@@ -37,9 +42,32 @@ class BackgroundSyncManager {
     }
   }
 
-  async savePage(pageId, content) {
-    // Add to sync queue
-    await indexedDBCache.addToSyncQueue('save', pageId, { content });
+  async savePage(
+    pageId,
+    content,
+    baseRevision = null,
+    { baseContent = null, pageName = null } = {}
+  ) {
+    // Edits made before the queue is flushed add up to one save, based on the server content
+    // the first of them started from, so the merge sees everything done offline
+    const queue = await indexedDBCache.getSyncQueue();
+    const queued = queue.find((item) => item.type === 'save' && item.pageId === pageId);
+
+    if (queued) {
+      await indexedDBCache.updateSyncQueueItem(queued.id, {
+        data: { ...queued.data, content, pageName: pageName ?? queued.data.pageName },
+        status: 'pending',
+        retryCount: 0,
+      });
+    } else {
+      await indexedDBCache.addToSyncQueue('save', pageId, {
+        content,
+        baseRevision,
+        baseContent,
+        pageName,
+      });
+    }
+    this.notifyQueueChange();
 
     // Try to sync immediately if online
     if (this.isOnline) {
@@ -52,6 +80,7 @@ class BackgroundSyncManager {
   async renamePage(pageId, newName) {
     // Add to sync queue
     await indexedDBCache.addToSyncQueue('rename', pageId, { newName });
+    this.notifyQueueChange();
 
     // Try to sync immediately if online
     if (this.isOnline) {
@@ -64,6 +93,7 @@ class BackgroundSyncManager {
   async deletePage(pageId) {
     // Add to sync queue
     await indexedDBCache.addToSyncQueue('delete', pageId, {});
+    this.notifyQueueChange();
 
     // Try to sync immediately if online
     if (this.isOnline) {
@@ -74,7 +104,12 @@ class BackgroundSyncManager {
   }
 
   async processSyncQueue() {
-    if (this.syncInProgress || !this.isOnline) {
+    if (!this.isOnline) {
+      return;
+    }
+    if (this.syncInProgress) {
+      // Pick up items queued while this run was going once it is done
+      this.resyncRequested = true;
       return;
     }
 
@@ -83,14 +118,22 @@ class BackgroundSyncManager {
     try {
       const syncQueue = await indexedDBCache.getSyncQueue();
 
+      // Failed and conflicting items wait in the unsynced changes list until the user acts
       for (const item of syncQueue) {
-        await this.processSyncItem(item);
+        if (!item.status || item.status === 'pending') {
+          await this.processSyncItem(item);
+        }
       }
     } catch (error) {
       console.error('Error processing sync queue:', error);
     } finally {
       this.syncInProgress = false;
     }
+
+    if (this.resyncRequested) {
+      this.resyncRequested = false;
+      this.processSyncQueue();
+    }
   }
 
   async processSyncItem(item) {
@@ -109,6 +152,11 @@ class BackgroundSyncManager {
           break;
       }
 
+      if (success === HELD) {
+        this.notifyQueueChange();
+        return;
+      }
+
       if (success) {
         // Remove from sync queue
         await indexedDBCache.removeFromSyncQueue(item.id);
@@ -117,37 +165,141 @@ class BackgroundSyncManager {
         const newRetryCount = (item.retryCount || 0) + 1;
 
         if (newRetryCount >= this.maxRetries) {
-          // Mark as failed and remove from queue
+          // Keep the item so the change isn't lost - it shows in the unsynced changes list
           console.warn(`Sync item ${item.id} failed after ${this.maxRetries} retries`);
-          await indexedDBCache.removeFromSyncQueue(item.id);
+          await indexedDBCache.updateSyncQueueItem(item.id, {
+            retryCount: newRetryCount,
+            status: 'failed',
+          });
         } else {
           // Update retry count and schedule retry
           await indexedDBCache.updateSyncQueueItem(item.id, { retryCount: newRetryCount });
           setTimeout(() => this.processSyncQueue(), this.retryDelay * newRetryCount);
         }
       }
+      this.notifyQueueChange();
     } catch (error) {
       console.error(`Error processing sync item ${item.id}:`, error);
     }
   }
 
-  async syncSavePage(item) {
+  async syncSavePage(item, canMerge = true) {
+    const { content, baseRevision } = item.data;
+
     try {
-      const response = await pagesAPI.savePage(item.pageId, item.data.content);
+      const response = await pagesAPI.savePage(item.pageId, content, baseRevision ?? undefined);
 
       if (response.status === 200 || response.status === 201 || response.status === 202) {
         // Update cache with synced status (202 means queued for async processing)
-        await indexedDBCache.setPage(item.pageId, item.data.content, Date.now(), 'synced');
-        return true;
+        const revision = response.data?.['Updated Page']?.revision ?? baseRevision ?? null;
+        await indexedDBCache.setPage(item.pageId, content, Date.now(), 'synced', revision);
+        window.dispatchEvent(
+          new CustomEvent('pageSynced', {
+            detail: {
+              pageId: item.pageId,
+              content,
+              revision,
+              merged: !canMerge,
+              localContent: item.localContent ?? content,
+            },
+          })
+        );
+        return this.completeSave(item, revision);
       }
 
       return false;
     } catch (error) {
+      if (error.response?.status === 409 && canMerge) {
+        // Someone else saved first - merge our changes into their version instead of overwriting
+        return this.mergeSavePage(item, error.response.data ?? {});
+      }
+
       console.error('Error syncing save page:', error);
       return false;
     }
   }
 
+  async mergeSavePage(item, { pageData, revision }) {
+    const { content, baseContent } = item.data;
+    const serverContent = pageData ?? '';
+    const serverRevision = revision ?? null;
+
+    // Queue items from before base content was recorded can only be resolved as a whole
+    const merge =
+      typeof baseContent === 'string' ? mergeThreeWay(baseContent, content, serverContent) : null;
+
+    if (merge && merge.conflicts === 0) {
+      const data = {
+        ...item.data,
+        content: applyMergeChoices(merge.chunks),
+        baseRevision: serverRevision,
+      };
+      return this.syncSavePage({ ...item, data, localContent: content }, false);
+    }
+
+    await indexedDBCache.updateSyncQueueItem(item.id, {
+      status: 'conflict',
+      conflict: { serverContent, serverRevision },
+    });
+    await indexedDBCache.setPage(
+      item.pageId,
+      content,
+      Date.now(),
+      'conflict',
+      item.data.baseRevision
+    );
+    window.dispatchEvent(
+      new CustomEvent('pageSaveConflict', {
+        detail: this.getConflictDetail({
+          ...item,
+          conflict: { serverContent, serverRevision },
+        }),
+      })
+    );
+    return HELD;
+  }
+
+  // Edits queued while a save was on its way stay queued, based on the content that was sent
+  async completeSave(item, revision) {
+    const sentContent = item.localContent ?? item.data.content;
+    const queue = await indexedDBCache.getSyncQueue();
+    const current = queue.find((entry) => entry.id === item.id);
+    if (!current || current.data.content === sentContent) {
+      return true;
+    }
+
+    // After a merge the server holds more than was sent, so keep the stale revision: the next
+    // attempt is rejected and merges the new edits into the server's version
+    const merged = item.localContent !== undefined;
+    await indexedDBCache.updateSyncQueueItem(item.id, {
+      data: {
+        ...current.data,
+        baseContent: sentContent,
+        baseRevision: merged ? item.data.baseRevision : revision,
+      },
+    });
+    this.resyncRequested = true;
+    return HELD;
+  }
+
+  // Conflict dialog data for a save held back by a conflict
+  getConflictDetail(item) {
+    const { content, baseContent } = item.data;
+    const { serverContent, serverRevision } = item.conflict;
+
+    return {
+      pageId: item.pageId,
+      syncItemId: item.id,
+      localContent: content,
+      serverContent,
+      serverRevision,
+      chunks:
+        typeof baseContent === 'string'
+          ? mergeThreeWay(baseContent, content, serverContent).chunks
+          : null,
+    };
+  }
+
   async syncRenamePage(item) {
     try {
       const response = await pagesAPI.renamePage(item.pageId, item.data.newName);
@@ -184,6 +336,41 @@ class BackgroundSyncManager {
     await this.processSyncQueue();
   }
 
+  // Changes still waiting to reach the server, including failed and conflicting ones
+  async getUnsyncedChanges() {
+    const queue = await indexedDBCache.getSyncQueue();
+    return queue.map((item) => ({
+      id: item.id,
+      type: item.type,
+      pageId: item.pageId,
+      pageName: item.data?.pageName ?? null,
+      status: item.status ?? 'pending',
+      retryCount: item.retryCount || 0,
+      timestamp: item.timestamp,
+    }));
+  }
+
+  async getPageConflict(pageId) {
+    const queue = await indexedDBCache.getSyncQueue();
+    const item = queue.find((entry) => entry.pageId === pageId && entry.status === 'conflict');
+    return item ? this.getConflictDetail(item) : null;
+  }
+
+  async retryChange(id) {
+    await indexedDBCache.updateSyncQueueItem(id, { status: 'pending', retryCount: 0 });
+    this.notifyQueueChange();
+    await this.processSyncQueue();
+  }
+
+  async discardChange(id) {
+    await indexedDBCache.removeFromSyncQueue(id);
+    this.notifyQueueChange();
+  }
+
+  notifyQueueChange() {
+    window.dispatchEvent(new CustomEvent('syncQueueChange'));
+  }
+
   getSyncStatus() {
     return {
       isOnline: this.isOnline,
@@ -0,0 +1,30 @@
+// Helpers for checklist items (- [ ] ...), which can be ticked from the preview and turned into tasks
+
+// Same items as the server's checklist.utils.js
+const CHECKLIST_ITEM_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s+)(\S.*)$/;
+
+/**
+ * Get the checklist item on a line of a page
+ * @param {string} content - Page content
+ * @param {number} line - Line counted from 0, as in the preview's data-line attributes
+ * @returns {object|null} { text, checked }, null when the line isn't a checklist item
+ */
+export const getChecklistItem = (content, line) => {
+  const match = content.split('\n')[line]?.replace(/\r$/, '').match(CHECKLIST_ITEM_PATTERN);
+  return match ? { text: match[4].trim(), checked: match[2] !== ' ' } : null;
+};
+
+/**
+ * Tick or untick a checklist item
+ * @param {string} content - Page content
+ * @param {number} line - Line of the item, counted from 0
+ * @param {boolean} checked - Whether the box should be ticked
+ * @returns {string|null} Updated content, null when the line isn't a checklist item
+ */
+export const setChecklistItemChecked = (content, line, checked) => {
+  if (!getChecklistItem(content, line)) return null;
+  const lines = content.split('\n');
+  const box = lines[line].indexOf('[') + 1;
+  lines[line] = `${lines[line].slice(0, box)}${checked ? 'x' : ' '}${lines[line].slice(box + 1)}`;
+  return lines.join('\n');
+};
@@ -0,0 +1,167 @@
+import { fromContentId, toContentId } from './markdownRenderer';
+
+// Helpers for comment threads: @mentions, and the highlights marking commented text in the preview
+
+// Mentions are written into comment bodies as @[Name](userId), like on the server
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\(([a-f\d]{24})\)/gi;
+
+// Blocks a text comment can be anchored in; selections across blocks can't be found again
+const BLOCK_SELECTOR = 'p, li, td, th, pre, blockquote, dt, dd';
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+// Class lists are written out in full so Tailwind picks them up
+const MARK_CLASS = 'bg-warning/30 text-inherit rounded-sm cursor-pointer';
+const ACTIVE_MARK_CLASS = 'bg-warning/70 text-inherit rounded-sm cursor-pointer';
+const HEADING_CLASSES = ['underline', 'decoration-warning', 'decoration-2', 'cursor-pointer'];
+
+/**
+ * Split a comment into text and mentions for display
+ * @param {string} body - Comment text
+ * @returns {object[]} Parts as { type: 'text', text } or { type: 'mention', name, id }
+ */
+export const splitMentions = (body = '') => {
+  const parts = [];
+  let last = 0;
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    if (match.index > last) {
+      parts.push({ type: 'text', text: body.slice(last, match.index) });
+    }
+    parts.push({ type: 'mention', name: match[1], id: match[2] });
+    last = match.index + match[0].length;
+  }
+  if (last < body.length) {
+    parts.push({ type: 'text', text: body.slice(last) });
+  }
+  return parts;
+};
+
+/**
+ * Write a mention of a user into a comment
+ * @param {object} user - User with id and name
+ * @returns {string} Mention markup
+ */
+export const formatMention = (user) => `@[${user.name.replace(/[[\]\n]/g, '')}](${user.id})`;
+
+/**
+ * Get the comment anchor for the text selected in the preview
+ * @param {HTMLElement} container - Rendered preview
+ * @returns {object|null} { anchor, rect } or { error, rect }, null without a selection
+ */
+export const getSelectionAnchor = (container) => {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.commonAncestorContainer)) return null;
+
+  const quote = selection.toString().trim();
+  if (!quote) return null;
+
+  const rect = range.getBoundingClientRect();
+  const common = range.commonAncestorContainer;
+  const ancestor = common.nodeType === Node.ELEMENT_NODE ? common : common.parentElement;
+
+  const heading = ancestor.closest(HEADING_SELECTOR);
+  if (heading?.id && container.contains(heading)) {
+    return {
+      anchor: {
+        kind: 'heading',
+        headingId: fromContentId(heading.id),
+        quote: heading.textContent.trim(),
+      },
+      rect,
+    };
+  }
+
+  const block = ancestor.closest(BLOCK_SELECTOR);
+  if (!block || !container.contains(block)) {
+    return { error: 'Select text within a single paragraph to comment on it', rect };
+  }
+  return { anchor: { kind: 'text', quote }, rect };
+};
+
+/**
+ * Wrap the first occurrence of a quote in the preview with highlight marks
+ * @param {HTMLElement} container - Rendered preview
+ * @param {string} quote - Commented text
+ * @param {string} threadId - Thread the marks open when clicked
+ * @param {string} className - Classes of the marks
+ * @returns {boolean} True if the quote was found
+ */
+const markQuote = (container, quote, threadId, className) => {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, offset: text.length });
+    text += walker.currentNode.nodeValue;
+  }
+
+  const start = text.indexOf(quote);
+  if (start === -1) return false;
+  const end = start + quote.length;
+
+  // The quote may run across several text nodes, e.g. through a bold phrase
+  nodes.forEach(({ node, offset }) => {
+    const nodeEnd = offset + node.nodeValue.length;
+    if (nodeEnd <= start || offset >= end) return;
+
+    let target = node;
+    const to = Math.min(end, nodeEnd) - offset;
+    const from = Math.max(start, offset) - offset;
+    if (to < target.nodeValue.length) target.splitText(to);
+    if (from > 0) target = target.splitText(from);
+
+    const mark = document.createElement('mark');
+    mark.className = className;
+    mark.dataset.commentId = threadId;
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  });
+  return true;
+};
+
+/**
+ * Remove the highlights added by highlightCommentAnchors
+ * @param {HTMLElement} container - Rendered preview
+ */
+export const clearCommentHighlights = (container) => {
+  container.querySelectorAll('mark[data-comment-id]').forEach((mark) => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  container.querySelectorAll('[data-comment-id]').forEach((heading) => {
+    heading.classList.remove(...HEADING_CLASSES);
+    delete heading.dataset.commentId;
+  });
+  container.normalize();
+};
+
+/**
+ * Highlight the text and headings open threads are anchored to
+ * @param {HTMLElement} container - Rendered preview
+ * @param {object[]} threads - Comment threads
+ * @param {string|null} activeThreadId - Thread shown more prominently
+ */
+export const highlightCommentAnchors = (container, threads, activeThreadId = null) => {
+  threads
+    .filter((thread) => thread.anchor && !thread.resolvedAt)
+    .forEach((thread) => {
+      if (thread.anchor.kind === 'heading') {
+        const heading = container.querySelector(
+          `#${CSS.escape(toContentId(thread.anchor.headingId))}`
+        );
+        if (heading) {
+          heading.classList.add(...HEADING_CLASSES);
+          heading.dataset.commentId = thread.id;
+        }
+        return;
+      }
+
+      markQuote(
+        container,
+        thread.anchor.quote,
+        thread.id,
+        thread.id === activeThreadId ? ACTIVE_MARK_CLASS : MARK_CLASS
+      );
+    });
+};
@@ -0,0 +1,57 @@
+/**
+ * Read the file name from a download response's Content-Disposition header
+ * @param {Object} response - Axios response
+ * @param {string} fallback - Name to use if the header is missing
+ * @returns {string} File name
+ */
+export const getDownloadFileName = (response, fallback) => {
+  const header = response.headers?.['content-disposition'] || '';
+  const encoded = header.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch {
+      // Fall through to the plain file name
+    }
+  }
+  const plain = header.match(/filename="?([^";]+)"?/i);
+  return plain ? plain[1] : fallback;
+};
+
+/**
+ * Save a blob response as a file through a temporary link
+ * @param {Object} response - Axios response with responseType 'blob'
+ * @param {string} fallbackName - File name to use if the server does not send one
+ * @returns {string} Name of the saved file
+ */
+export const saveDownload = (response, fallbackName) => {
+  const fileName = getDownloadFileName(response, fallbackName);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return fileName;
+};
+
+/**
+ * Get the error message of a failed blob request; the JSON body arrives as a Blob
+ * @param {Object} error - Axios error
+ * @param {string} fallback - Message to use if the body has none
+ * @returns {Promise<string>} Error message
+ */
+export const getBlobErrorMessage = async (error, fallback) => {
+  const data = error.response?.data;
+  if (!(data instanceof Blob)) {
+    return data?.message || fallback;
+  }
+  try {
+    const body = JSON.parse(await data.text());
+    return body.message || body.Error || fallback;
+  } catch {
+    return fallback;
+  }
+};
@@ -0,0 +1,142 @@
+// Minimal force-directed layout for the knowledge graph
+// Nodes repel each other, links pull connected nodes together and a weak
+// gravity keeps everything near the centre. `alpha` cools the simulation
+// down over time so the layout settles.
+
+const REPULSION = 2400;
+const LINK_DISTANCE = 90;
+const LINK_STRENGTH = 0.04;
+const GRAVITY = 0.015;
+const DAMPING = 0.82;
+const MAX_SPEED = 30;
+
+/**
+ * Create positions for nodes that don't have one yet, keeping existing positions
+ * @param {Map} positions - Current positions by node ID
+ * @param {object[]} nodes - Graph nodes
+ * @param {number} width - Layout width
+ * @param {number} height - Layout height
+ * @returns {Map} Positions by node ID for exactly the given nodes
+ */
+export const seedPositions = (positions, nodes, width, height) => {
+  const next = new Map();
+  nodes.forEach((node, index) => {
+    const existing = positions.get(node.id);
+    if (existing) {
+      next.set(node.id, existing);
+      return;
+    }
+    // Spread new nodes on a spiral so they don't start on top of each other
+    const angle = index * 2.4;
+    const radius = 20 + 8 * Math.sqrt(index);
+    next.set(node.id, {
+      x: width / 2 + radius * Math.cos(angle),
+      y: height / 2 + radius * Math.sin(angle),
+      vx: 0,
+      vy: 0,
+      fixed: false,
+    });
+  });
+  return next;
+};
+
+/**
+ * Advance the simulation by one tick, updating positions in place
+ * @param {Map} positions - Positions by node ID
+ * @param {object[]} edges - Graph edges with source and target IDs
+ * @param {object} options - Layout options
+ * @param {number} options.width - Layout width
+ * @param {number} options.height - Layout height
+ * @param {number} options.alpha - Current simulation heat, from 1 down to 0
+ */
+export const stepLayout = (positions, edges, { width, height, alpha }) => {
+  const points = [...positions.values()];
+
+  // Repulsion between every pair of nodes
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const a = points[i];
+      const b = points[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      let distanceSq = dx * dx + dy * dy;
+      if (distanceSq < 0.01) {
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+        distanceSq = dx * dx + dy * dy;
+      }
+      const force = (REPULSION * alpha) / distanceSq;
+      const distance = Math.sqrt(distanceSq);
+      const fx = (dx / distance) * force;
+      const fy = (dy / distance) * force;
+      a.vx -= fx;
+      a.vy -= fy;
+      b.vx += fx;
+      b.vy += fy;
+    }
+  }
+
+  // Springs along links
+  edges.forEach(({ source, target }) => {
+    const a = positions.get(source);
+    const b = positions.get(target);
+    if (!a || !b) return;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = (distance - LINK_DISTANCE) * LINK_STRENGTH * alpha;
+    const fx = (dx / distance) * force;
+    const fy = (dy / distance) * force;
+    a.vx += fx;
+    a.vy += fy;
+    b.vx -= fx;
+    b.vy -= fy;
+  });
+
+  points.forEach((point) => {
+    if (point.fixed) {
+      point.vx = 0;
+      point.vy = 0;
+      return;
+    }
+    point.vx += (width / 2 - point.x) * GRAVITY * alpha;
+    point.vy += (height / 2 - point.y) * GRAVITY * alpha;
+    point.vx = Math.max(-MAX_SPEED, Math.min(MAX_SPEED, point.vx * DAMPING));
+    point.vy = Math.max(-MAX_SPEED, Math.min(MAX_SPEED, point.vy * DAMPING));
+    point.x += point.vx;
+    point.y += point.vy;
+  });
+};
+
+/**
+ * Get the IDs of the nodes within a number of links of a node, ignoring link direction
+ * @param {string} startId - Node to start from
+ * @param {object[]} edges - Graph edges
+ * @param {number} depth - Maximum number of links to follow
+ * @returns {Set<string>} Node IDs including the start node
+ */
+export const getNeighbourhood = (startId, edges, depth) => {
+  const adjacency = new Map();
+  edges.forEach(({ source, target }) => {
+    if (!adjacency.has(source)) adjacency.set(source, []);
+    if (!adjacency.has(target)) adjacency.set(target, []);
+    adjacency.get(source).push(target);
+    adjacency.get(target).push(source);
+  });
+
+  const visited = new Set([startId]);
+  let frontier = [startId];
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+    frontier.forEach((id) => {
+      (adjacency.get(id) || []).forEach((neighbour) => {
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          next.push(neighbour);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return visited;
+};
@@ -52,7 +52,7 @@ class IndexedDBCache {
   }
 
   // Page operations
-  async setPage(pageId, content, lastModified, syncStatus = 'cached') {
+  async setPage(pageId, content, lastModified, syncStatus = 'cached', revision = null) {
     await this.ensureDB();
 
     return new Promise((resolve, reject) => {
@@ -64,6 +64,7 @@ class IndexedDBCache {
         content,
         lastModified: lastModified || Date.now(),
         syncStatus,
+        revision, // Server revision the content is based on
         timestamp: Date.now(),
       };
 
@@ -127,6 +128,7 @@ class IndexedDBCache {
         data,
         timestamp: Date.now(),
         retryCount: 0,
+        status: 'pending', // 'pending', 'failed' or 'conflict'
       };
 
       const request = store.add(syncItem);
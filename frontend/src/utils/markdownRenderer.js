@@ -3,103 +3,39 @@ import markdownItTaskLists from 'markdown-it-task-lists';
 import markdownItDeflist from 'markdown-it-deflist';
 import hljs from 'highlight.js/lib/core';
 import katex from 'katex';
-import DOMPurify from 'dompurify';
+import createDOMPurify from 'dompurify';
 import 'highlight.js/styles/atom-one-dark.css';
 import 'katex/dist/katex.min.css';
+import {
+  createMarkdownIt,
+  filterStyle,
+  fromContentId,
+  toContentId,
+} from '../../../shared/markdown.js';
+
+// Rendered ids carry a prefix; use these to go between them and heading ids from the server
+export { fromContentId, toContentId };
 
 /**
- * Configure markdown-it instance with custom settings and extensions
+ * Editor preview side of the shared renderer (shared/markdown.js); exports and public share
+ * pages render with the same setup on the server (backend/src/utils/markdown.utils.js)
  * @type {MarkdownIt}
  */
-const md = new MarkdownIt({
-  html: true,
-  breaks: true,
-  linkify: true,
-  highlight: (code, lang) => {
-    try {
-      if (lang && hljs.getLanguage(lang)) {
-        return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
-      }
-      return hljs.highlightAuto(code).value;
-      // eslint-disable-next-line no-unused-vars
-    } catch (err) {
-      return code;
-    }
+const md = createMarkdownIt(
+  {
+    MarkdownIt,
+    taskLists: markdownItTaskLists,
+    deflist: markdownItDeflist,
+    hljs,
+    katex,
   },
-})
-  .use(markdownItTaskLists, {
-    enabled: true,
-    label: false,
-    labelAfter: false,
-    // Let the plugin handle its own classes
-    itemClass: 'task-list-item',
-    containerClass: 'contains-task-list',
-  })
-  .use(markdownItDeflist);
-
-/**
- * Custom rule for strikethrough text using ~~text~~
- * @param {Object} state - markdown-it state object
- * @returns {boolean} True if rule was applied
- */
-md.inline.ruler.push('strikethrough', (state) => {
-  const start = state.pos;
-  const marker = state.src.charCodeAt(start);
-
-  if (marker !== 0x7e) return false; // '~'
-  if (state.src.charCodeAt(start + 1) !== marker) return false;
-
-  let pos = start + 2;
-  while (pos < state.posMax) {
-    if (state.src.charCodeAt(pos) === marker) {
-      if (state.src.charCodeAt(pos + 1) === marker) {
-        const token = state.push('strikethrough_open', 'del', 1);
-        token.markup = '~~';
-
-        state.pos = start + 2;
-        const oldPos = state.pos;
-        state.pos = pos;
-
-        const content = state.src.slice(oldPos, pos);
-        state.push('text', content, 0);
-
-        const closeToken = state.push('strikethrough_close', 'del', -1);
-        closeToken.markup = '~~';
-
-        state.pos = pos + 2;
-        return true;
-      }
-    }
-    pos++;
-  }
-  return false;
-});
-
-/**
- * Custom rule for text highlighting using ==text==
- * @param {Object} state - markdown-it state object
- * @returns {boolean} True if rule was applied
- */
-md.inline.ruler.push('highlight', (state) => {
-  const start = state.pos;
-  if (state.src.slice(start, start + 2) !== '==') return false;
-
-  const match = state.src.slice(start).match(/^==([^=]+)==/);
-  if (!match) return false;
+  { taskListsEnabled: true }
+);
 
-  const content = match[1];
-  const token = state.push('highlight_open', 'mark', 1);
-  token.markup = '==';
-
-  state.pos = start + 2;
-  state.push('text', '', 0).content = content;
-
-  const closeToken = state.push('highlight_close', 'mark', -1);
-  closeToken.markup = '==';
-
-  state.pos = start + match[0].length;
-  return true;
-});
+md.renderer.rules.wikilink = (tokens, idx) => {
+  const { target, label } = tokens[idx].meta;
+  return `<a href="#" data-wikilink="${md.utils.escapeHtml(target)}" class="text-secondary font-medium border-b border-dashed border-secondary/60 hover:border-solid">${md.utils.escapeHtml(label)}</a>`;
+};
 
 // renderer rules for strikethrough and highlight
 md.renderer.rules.strikethrough_open = () => '<del class="line-through opacity-75">';
@@ -107,50 +43,21 @@ md.renderer.rules.strikethrough_close = () => '</del>';
 md.renderer.rules.highlight_open = () => '<mark class="bg-yellow-200 px-1 rounded">';
 md.renderer.rules.highlight_close = () => '</mark>';
 
-/**
- * Custom rule for inline math using $formula$
- * @param {Object} state - markdown-it state object
- * @returns {boolean} True if formula was rendered
- */
-md.inline.ruler.push('math_inline', (state) => {
-  const start = state.pos;
-  if (state.src[start] !== '$') return false;
-
-  let end = start + 1;
-  while (end < state.src.length && state.src[end] !== '$') {
-    if (state.src[end] === '\\' && end + 1 < state.src.length) {
-      end += 2; // Skip escaped characters
-      continue;
-    }
-    end++;
-  }
-
-  if (end >= state.src.length) return false;
-
-  const content = state.src.slice(start + 1, end);
-  if (!content.trim()) return false;
-
-  try {
-    const rendered = katex.renderToString(content, {
-      // Render the math content using KaTeX
-      displayMode: false,
-      throwOnError: false,
-    });
-
-    const token = state.push('math_inline', 'span', 0); // new token for the rendered math
-    token.content = rendered;
-
-    state.pos = end + 1;
-    return true;
-    // eslint-disable-next-line no-unused-vars
-  } catch (err) {
-    return false;
+// A separate DOMPurify instance, so its hooks only apply to page content
+const purify = createDOMPurify(window);
+
+// Same rules as the server: only KaTeX styles, and ids and in-page links carry the content prefix
+purify.addHook('uponSanitizeAttribute', (node, data) => {
+  if (data.attrName === 'style') {
+    data.attrValue = filterStyle(data.attrValue);
+    data.keepAttr = data.attrValue !== '';
+  } else if (data.attrName === 'id') {
+    data.attrValue = toContentId(data.attrValue);
+  } else if (data.attrName === 'href' && /^#./.test(data.attrValue)) {
+    data.attrValue = `#${toContentId(data.attrValue.slice(1))}`;
   }
 });
 
-// Render math inline using the pre-rendered KaTeX HTML
-md.renderer.rules.math_inline = (tokens, idx) => tokens[idx].content;
-
 /**
  * Add Tailwind CSS classes to HTML elements for styling
  * @param {string} html - Raw HTML string from markdown-it
@@ -160,12 +67,12 @@ const addTailwindClasses = (html) => {
   return (
     html
       // Headings
-      .replace(/<h1>/g, '<h1 class="text-3xl font-bold mt-8 mb-6">')
-      .replace(/<h2>/g, '<h2 class="text-2xl font-bold mt-8 mb-4">')
-      .replace(/<h3>/g, '<h3 class="text-xl font-bold mt-6 mb-3">')
-      .replace(/<h4>/g, '<h4 class="text-lg font-bold mt-4 mb-2">')
-      .replace(/<h5>/g, '<h5 class="font-bold mt-3 mb-2">')
-      .replace(/<h6>/g, '<h6 class="font-semibold mt-2 mb-2">')
+      .replace(/<h1( id="[^"]*")?>/g, '<h1$1 class="text-3xl font-bold mt-8 mb-6 scroll-mt-20">')
+      .replace(/<h2( id="[^"]*")?>/g, '<h2$1 class="text-2xl font-bold mt-8 mb-4 scroll-mt-20">')
+      .replace(/<h3( id="[^"]*")?>/g, '<h3$1 class="text-xl font-bold mt-6 mb-3 scroll-mt-20">')
+      .replace(/<h4( id="[^"]*")?>/g, '<h4$1 class="text-lg font-bold mt-4 mb-2 scroll-mt-20">')
+      .replace(/<h5( id="[^"]*")?>/g, '<h5$1 class="font-bold mt-3 mb-2 scroll-mt-20">')
+      .replace(/<h6( id="[^"]*")?>/g, '<h6$1 class="font-semibold mt-2 mb-2 scroll-mt-20">')
       // Text formatting
       .replace(/<strong>/g, '<strong class="font-bold text-primary">')
       .replace(/<em>/g, '<em class="italic">')
@@ -197,9 +104,9 @@ const addTailwindClasses = (html) => {
       .replace(/<td>/g, '<td class="border border-base-300 px-3 py-2">')
       // Paragraphs
       .replace(/<p>/g, '<p class="mb-4 leading-relaxed">')
-      // Links
+      // Links - wiki links stay in the app and are handled by the preview
       .replace(
-        /<a /g,
+        /<a (?!href="#" data-wikilink)/g,
         '<a target="_blank" rel="noopener noreferrer" class="text-primary hover:underline font-medium" '
       )
       // Images
@@ -230,6 +137,7 @@ const addTailwindClasses = (html) => {
  * - Task lists with checkboxes
  * - Definition lists
  * - Text highlighting
+ * - [[Wiki links]] to other pages, rendered as <a data-wikilink="Page Name">
  */
 export const renderMarkdown = (text) => {
   if (!text || typeof text !== 'string') return '';
@@ -240,7 +148,7 @@ export const renderMarkdown = (text) => {
   // console.log('Styled HTML before sanitization:', styledHtml);
 
   // Sanitize the HTML with DOMPurify - allow necessary attributes and tags
-  const sanitizedHtml = DOMPurify.sanitize(styledHtml, {
+  const sanitizedHtml = purify.sanitize(styledHtml, {
     USE_PROFILES: { html: true },
     ADD_ATTR: ['class', 'target', 'disabled', 'checked', 'type'],
     ADD_TAGS: ['input', 'mark'], // Allow input for checkboxes and mark for highlights
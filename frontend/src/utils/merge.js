@@ -0,0 +1,232 @@
+// Three-way merge of page content, used to replay offline edits on top of newer server versions
+
+// Keeps the LCS table bounded for very large, heavily rewritten pages (same limit as the server diff)
+const MAX_LCS_CELLS = 4000000;
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+
+/**
+ * Split text into lines, normalising Windows line endings
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines
+ */
+const splitLines = (text) => (text ? text.replace(/\r\n/g, '\n').split('\n') : []);
+
+/**
+ * Match up the lines two texts have in common, in order
+ * @param {string[]} a - Lines of the first text
+ * @param {string[]} b - Lines of the second text
+ * @returns {Int32Array} For each line of a, the index of the matching line of b or -1
+ */
+const matchLines = (a, b) => {
+  const matches = new Int32Array(a.length).fill(-1);
+
+  // The common prefix and suffix match as-is, so the LCS table only covers the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+    matches[--aEnd] = --bEnd;
+  }
+
+  const n = aEnd - start;
+  const m = bEnd - start;
+  if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) {
+    return matches;
+  }
+
+  // table[i][j] = LCS length of the middle of a from i and the middle of b from j
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] =
+        a[start + i] === b[start + j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+};
+
+/**
+ * Update the open code fence with a line
+ * @param {string|null} fence - Marker of the open fence, null outside code blocks
+ * @param {string} line - Next line
+ * @returns {string|null} Marker of the fence open after the line
+ */
+const nextFence = (fence, line) => {
+  const match = line.match(FENCE_PATTERN);
+  if (!match) {
+    return fence;
+  }
+  if (!fence) {
+    return match[1];
+  }
+  return match[1][0] === fence[0] && match[1].length >= fence.length ? null : fence;
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * Merge two edited versions of a text against the version both started from. Lines changed on
+ * one side only are taken from that side; lines changed differently on both sides become a
+ * conflict, widened to whole markdown blocks so either choice leaves valid markdown.
+ * @param {string} base - Content both versions started from
+ * @param {string} local - Content edited here
+ * @param {string} server - Content saved on the server since
+ * @returns {object} { chunks, conflicts }, chunks are { type: 'stable', lines } or
+ * { type: 'conflict', base, local, server }
+ */
+export const mergeThreeWay = (base, local, server) => {
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const serverLines = splitLines(server);
+  const toLocal = matchLines(baseLines, localLines);
+  const toServer = matchLines(baseLines, serverLines);
+
+  const chunks = [];
+  const pushStable = (lines) => {
+    lines.forEach((line) => chunks.push({ type: 'stable', lines: [line] }));
+  };
+
+  let b = 0;
+  let l = 0;
+  let s = 0;
+  const flush = (bEnd, lEnd, sEnd) => {
+    const baseChunk = baseLines.slice(b, bEnd);
+    const localChunk = localLines.slice(l, lEnd);
+    const serverChunk = serverLines.slice(s, sEnd);
+
+    if (sameLines(localChunk, baseChunk) || sameLines(localChunk, serverChunk)) {
+      pushStable(serverChunk);
+    } else if (sameLines(serverChunk, baseChunk)) {
+      pushStable(localChunk);
+    } else {
+      chunks.push({ type: 'conflict', base: baseChunk, local: localChunk, server: serverChunk });
+    }
+  };
+
+  // Lines of the base kept on both sides anchor the merge; whatever lies between is a chunk
+  for (let i = 0; i < baseLines.length; i++) {
+    if (toLocal[i] === -1 || toServer[i] === -1) {
+      continue;
+    }
+    flush(i, toLocal[i], toServer[i]);
+    pushStable([baseLines[i]]);
+    b = i + 1;
+    l = toLocal[i] + 1;
+    s = toServer[i] + 1;
+  }
+  flush(baseLines.length, localLines.length, serverLines.length);
+
+  // Blocks end at blank lines, except inside fenced code
+  let fence = null;
+  chunks.forEach((chunk) => {
+    if (chunk.type === 'stable') {
+      chunk.boundary = !fence && !chunk.lines[0].trim();
+    }
+    (chunk.type === 'stable' ? chunk.lines : chunk.local).forEach((line) => {
+      fence = nextFence(fence, line);
+    });
+  });
+
+  // Widen conflicts to the blocks they touch, joining conflicts that end up side by side
+  const widened = [];
+  chunks.forEach((chunk) => {
+    const previous = widened[widened.length - 1];
+    if (chunk.type === 'stable') {
+      if (previous?.type === 'conflict' && !chunk.boundary) {
+        ['base', 'local', 'server'].forEach((side) => previous[side].push(chunk.lines[0]));
+      } else {
+        widened.push(chunk);
+      }
+      return;
+    }
+
+    const conflict = { ...chunk };
+    while (
+      widened[widened.length - 1]?.type === 'stable' &&
+      !widened[widened.length - 1].boundary
+    ) {
+      const [line] = widened.pop().lines;
+      ['base', 'local', 'server'].forEach((side) => {
+        conflict[side] = [line, ...conflict[side]];
+      });
+    }
+
+    const last = widened[widened.length - 1];
+    if (last?.type === 'conflict') {
+      ['base', 'local', 'server'].forEach((side) => last[side].push(...conflict[side]));
+    } else {
+      widened.push(conflict);
+    }
+  });
+
+  const result = [];
+  widened.forEach((chunk) => {
+    const previous = result[result.length - 1];
+    if (chunk.type === 'conflict') {
+      result.push(chunk);
+    } else if (previous?.type === 'stable') {
+      previous.lines.push(...chunk.lines);
+    } else {
+      result.push({ type: 'stable', lines: [...chunk.lines] });
+    }
+  });
+
+  return { chunks: result, conflicts: result.filter((chunk) => chunk.type === 'conflict').length };
+};
+
+/**
+ * Put merged content back together, resolving each conflict with the version chosen for it
+ * @param {object[]} chunks - Chunks from mergeThreeWay
+ * @param {string[]} choices - 'local', 'server', 'both' or 'markers' (both, between git-style
+ * conflict markers) for each conflict, in order
+ * @returns {string} Merged content
+ */
+export const applyMergeChoices = (chunks, choices = []) => {
+  let conflictIndex = 0;
+  return chunks
+    .flatMap((chunk) => {
+      if (chunk.type === 'stable') {
+        return chunk.lines;
+      }
+      const choice = choices[conflictIndex++];
+      if (choice === 'server') {
+        return chunk.server;
+      }
+      if (choice === 'both') {
+        return [...chunk.local, ...chunk.server];
+      }
+      if (choice === 'markers') {
+        return [
+          '<<<<<<< Your changes',
+          ...chunk.local,
+          '=======',
+          ...chunk.server,
+          '>>>>>>> Server version',
+        ];
+      }
+      return chunk.local;
+    })
+    .join('\n');
+};
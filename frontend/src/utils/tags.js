@@ -0,0 +1,33 @@
+// Helpers for page tags and #hashtags
+
+/**
+ * Normalize a tag the same way the server stores it
+ * @param {string} tag - Tag with or without the leading #
+ * @returns {string} Lowercase tag without the #
+ */
+export const normalizeTag = (tag = '') => tag.trim().replace(/^#/, '').toLowerCase();
+
+/**
+ * Split user input such as "#work, ideas/books" into normalized tags
+ * @param {string} input - Comma or space separated tags
+ * @returns {string[]} Unique non-empty tags
+ */
+export const parseTagInput = (input = '') => [
+  ...new Set(
+    input
+      .split(/[,\s]+/)
+      .map(normalizeTag)
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Check whether a page has all of the selected tags; nested tags count for their parents
+ * @param {string[]} pageTags - Tags of the page
+ * @param {string[]} selectedTags - Tags to filter by
+ * @returns {boolean} True if every selected tag matches
+ */
+export const matchesTags = (pageTags = [], selectedTags = []) =>
+  selectedTags.every((selected) =>
+    pageTags.some((tag) => tag === selected || tag.startsWith(`${selected}/`))
+  );
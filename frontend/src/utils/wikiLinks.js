@@ -0,0 +1,42 @@
+// Helpers for [[wiki links]] between pages
+import { pagesAPI } from './api';
+
+/**
+ * Normalize a page name the same way the server matches link targets
+ * @param {string} name - Page name or link target
+ * @returns {string} Normalized name
+ */
+export const normalizeLinkTarget = (name = '') => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Find the page a [[wiki link]] points to, preferring the user's own pages
+ * @param {string} target - Link target
+ * @returns {Promise<object|null>} Page with id and name, or null if no page has that name
+ */
+export const findLinkedPage = async (target) => {
+  const response = await pagesAPI.getAllPages();
+  const normalized = normalizeLinkTarget(target);
+  const candidates = [...(response.data.OwnedPages || []), ...(response.data.SharedPages || [])];
+  const page = candidates.find((candidate) => normalizeLinkTarget(candidate.name) === normalized);
+  return page ? { id: page.id, name: page.name } : null;
+};
+
+/**
+ * Ask whether links pointing to a page should follow it when it's renamed
+ * @param {string} pageId - Page being renamed
+ * @param {string} newName - New page name
+ * @returns {Promise<boolean>} True if the links should be rewritten
+ */
+export const confirmLinkRewrite = async (pageId, newName) => {
+  try {
+    const response = await pagesAPI.getBacklinks(pageId);
+    const count = response.data.Backlinks?.length || 0;
+    if (count === 0) return false;
+    return confirm(
+      `${count} page${count === 1 ? ' links' : 's link'} to this page. Update those links to "${newName}"?`
+    );
+  } catch (error) {
+    console.error('Error loading backlinks:', error);
+    return false;
+  }
+};
@@ -8,5 +8,9 @@ export default defineConfig({
   server: {
     host: true, // allow other devices (like your phone) to access it
     port: 5173, // default Vite port
+    fs: {
+      // The markdown renderer is shared with the backend from ../shared
+      allow: ['.', '../shared'],
+    },
   },
 });
@@ -0,0 +1,304 @@
+/**
+ * Markdown setup shared by the editor preview (frontend/src/utils/markdownRenderer.js) and the
+ * server renderer behind exports and public shares (backend/src/utils/markdown.utils.js), so a
+ * page reads the same everywhere. The frontend and backend each install their own copies of
+ * markdown-it and friends, so the libraries are passed in instead of imported here.
+ */
+
+// Prefix for every id in rendered content, so pages can't clobber ids the app relies on
+export const CONTENT_ID_PREFIX = 'user-content-';
+
+/**
+ * Get the id an element of a page is rendered with
+ * @param {string} id - Id in the page, e.g. a heading anchor
+ * @returns {string} Rendered id
+ */
+export const toContentId = (id) => `${CONTENT_ID_PREFIX}${id}`;
+
+/**
+ * Get the id in the page back from a rendered id
+ * @param {string} id - Rendered id
+ * @returns {string} Id in the page
+ */
+export const fromContentId = (id) =>
+  id.startsWith(CONTENT_ID_PREFIX) ? id.slice(CONTENT_ID_PREFIX.length) : id;
+
+const LENGTH = /^-?(\d+(\.\d*)?|\.\d+)(em)?$/;
+const LENGTHS = /^-?(\d+(\.\d*)?|\.\d+)(em)?(\s+-?(\d+(\.\d*)?|\.\d+)(em)?){0,3}$/;
+const COLOR = [/^#[0-9a-f]{3,8}$/i, /^[a-z]+$/i, /^rgba?\([\d\s.,%]+\)$/i];
+const BORDER_STYLE = /^(solid|dashed|dotted)$/;
+
+/**
+ * Inline styles content may keep, as property names to allowed value patterns: the ones KaTeX
+ * positions glyphs with and table cell alignment. Anything else, such as position: fixed,
+ * would let a page draw over the app.
+ * @type {Object<string, RegExp[]>}
+ */
+export const ALLOWED_STYLES = {
+  color: COLOR,
+  'background-color': COLOR,
+  'border-color': COLOR,
+  'border-style': [BORDER_STYLE],
+  'border-right-style': [BORDER_STYLE],
+  'border-width': [LENGTH],
+  'border-top-width': [LENGTH],
+  'border-right-width': [LENGTH],
+  'border-bottom-width': [LENGTH],
+  height: [LENGTH],
+  width: [LENGTH],
+  'min-width': [LENGTH],
+  'vertical-align': [LENGTH],
+  top: [LENGTH],
+  bottom: [LENGTH],
+  left: [LENGTH],
+  margin: [LENGTHS],
+  'margin-left': [LENGTH],
+  'margin-right': [LENGTH],
+  'padding-left': [LENGTH],
+  position: [/^relative$/],
+  'text-align': [/^(left|right|center)$/],
+};
+
+/**
+ * Keep only the declarations of an inline style that ALLOWED_STYLES permits
+ * @param {string} style - Value of a style attribute
+ * @returns {string} Filtered style, empty if nothing is left
+ */
+export const filterStyle = (style) =>
+  style
+    .split(';')
+    .map((declaration) => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) {
+        return null;
+      }
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+      const allowed = Object.hasOwn(ALLOWED_STYLES, property) ? ALLOWED_STYLES[property] : [];
+      return allowed.some((pattern) => pattern.test(value)) ? `${property}:${value}` : null;
+    })
+    .filter(Boolean)
+    .join(';');
+
+/**
+ * Get the plain text of an inline token's children, leaving out images and math
+ * @param {object[]} children - Inline child tokens
+ * @returns {string} Text
+ */
+export const getInlineText = (children = []) =>
+  children
+    .map((child) => {
+      if (child.type === 'text' || child.type === 'code_inline') {
+        return child.content;
+      }
+      if (child.type === 'wikilink') {
+        return child.meta.label;
+      }
+      return child.type === 'softbreak' || child.type === 'hardbreak' ? ' ' : '';
+    })
+    .join('');
+
+/**
+ * Turn heading text into an anchor ID, e.g. "Getting Started" into "getting-started"
+ * @param {string} text - Heading text
+ * @returns {string} Anchor ID
+ */
+export const slugifyHeading = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-') || 'section';
+
+/**
+ * Create a markdown-it instance with ZettaNote's extensions: syntax highlighting, KaTeX inline
+ * math, task lists, definition lists, ==highlights==, ~~strikethrough~~ and [[wiki links]].
+ * Headings get anchor IDs and checklist items their source line as data-line.
+ *
+ * Wiki links become `wikilink` tokens with meta { target, label }; callers add the renderer
+ * rule. The render env may hold resolveLink and resolveImage to rewrite hrefs and image URLs,
+ * and a headings array that is filled with { level, text, id }.
+ * @param {object} libraries - Libraries installed by the caller
+ * @param {Function} libraries.MarkdownIt - markdown-it
+ * @param {Function} libraries.taskLists - markdown-it-task-lists
+ * @param {Function} libraries.deflist - markdown-it-deflist
+ * @param {object} libraries.hljs - highlight.js
+ * @param {object} libraries.katex - KaTeX
+ * @param {object} [options] - Options
+ * @param {boolean} [options.taskListsEnabled] - Render clickable checkboxes
+ * @returns {object} markdown-it instance
+ */
+export const createMarkdownIt = (
+  { MarkdownIt, taskLists, deflist, hljs, katex },
+  { taskListsEnabled = false } = {}
+) => {
+  const md = new MarkdownIt({
+    html: true,
+    breaks: true,
+    linkify: true,
+    highlight: (code, lang) => {
+      try {
+        if (lang && hljs.getLanguage(lang)) {
+          return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+        }
+        return hljs.highlightAuto(code).value;
+      } catch {
+        return md.utils.escapeHtml(code);
+      }
+    },
+  })
+    .use(taskLists, {
+      enabled: taskListsEnabled,
+      label: false,
+      labelAfter: false,
+      itemClass: 'task-list-item',
+      containerClass: 'contains-task-list',
+    })
+    .use(deflist);
+
+  // ~~strikethrough~~
+  md.inline.ruler.push('strikethrough', (state) => {
+    const start = state.pos;
+    const marker = state.src.charCodeAt(start);
+
+    if (marker !== 0x7e || state.src.charCodeAt(start + 1) !== marker) {
+      return false;
+    }
+
+    for (let pos = start + 2; pos < state.posMax; pos++) {
+      if (state.src.charCodeAt(pos) === marker && state.src.charCodeAt(pos + 1) === marker) {
+        state.push('strikethrough_open', 'del', 1).markup = '~~';
+        state.push('text', '', 0).content = state.src.slice(start + 2, pos);
+        state.push('strikethrough_close', 'del', -1).markup = '~~';
+        state.pos = pos + 2;
+        return true;
+      }
+    }
+    return false;
+  });
+
+  // ==highlight==
+  md.inline.ruler.push('highlight', (state) => {
+    const start = state.pos;
+    if (state.src.slice(start, start + 2) !== '==') {
+      return false;
+    }
+
+    const match = state.src.slice(start).match(/^==([^=]+)==/);
+    if (!match) {
+      return false;
+    }
+
+    state.push('highlight_open', 'mark', 1).markup = '==';
+    state.push('text', '', 0).content = match[1];
+    state.push('highlight_close', 'mark', -1).markup = '==';
+    state.pos = start + match[0].length;
+    return true;
+  });
+
+  // [[Page Name]] and [[Page Name|alias]]
+  md.inline.ruler.before('link', 'wikilink', (state, silent) => {
+    const start = state.pos;
+    if (state.src.slice(start, start + 2) !== '[[') {
+      return false;
+    }
+
+    const match = state.src.slice(start).match(/^\[\[([^[\]|\n]+?)(?:\|([^[\]\n]*))?\]\]/);
+    if (!match || !match[1].trim()) {
+      return false;
+    }
+
+    if (!silent) {
+      const token = state.push('wikilink', 'a', 0);
+      token.meta = { target: match[1].trim(), label: (match[2] ?? match[1]).trim() };
+    }
+
+    state.pos = start + match[0].length;
+    return true;
+  });
+
+  // $inline math$
+  md.inline.ruler.push('math_inline', (state) => {
+    const start = state.pos;
+    if (state.src[start] !== '$') {
+      return false;
+    }
+
+    let end = start + 1;
+    while (end < state.src.length && state.src[end] !== '$') {
+      end += state.src[end] === '\\' ? 2 : 1;
+    }
+    if (end >= state.src.length) {
+      return false;
+    }
+
+    const content = state.src.slice(start + 1, end);
+    if (!content.trim()) {
+      return false;
+    }
+
+    state.push('math_inline', 'span', 0).content = katex.renderToString(content, {
+      displayMode: false,
+      throwOnError: false,
+      output: 'html',
+    });
+    state.pos = end + 1;
+    return true;
+  });
+
+  md.renderer.rules.math_inline = (tokens, idx) => tokens[idx].content;
+
+  // Give headings anchor IDs, numbering repeated ones, and collect them into env.headings
+  md.core.ruler.push('heading_ids', (state) => {
+    const used = new Map();
+    state.tokens.forEach((token, idx) => {
+      if (token.type !== 'heading_open') {
+        return;
+      }
+
+      const text = getInlineText(state.tokens[idx + 1].children).trim();
+      const slug = slugifyHeading(text);
+      const count = used.get(slug) ?? 0;
+      used.set(slug, count + 1);
+      const id = count ? `${slug}-${count}` : slug;
+
+      token.attrSet('id', id);
+      state.env.headings?.push({ level: Number(token.tag.slice(1)), text, id });
+    });
+  });
+
+  // Number checklist items with their source line, so the preview can tick them in the markdown
+  md.core.ruler.push('task_list_lines', (state) => {
+    state.tokens.forEach((token) => {
+      if (token.type === 'list_item_open' && token.attrGet('class')?.includes('task-list-item')) {
+        token.attrSet('data-line', String(token.map[0]));
+      }
+    });
+  });
+
+  // Let callers point links and images elsewhere, e.g. at exported files
+  const defaultLinkOpen =
+    md.renderer.rules.link_open ||
+    ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+  md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const href = token.attrGet('href');
+    const resolved = href && env.resolveLink?.(href);
+    if (resolved) {
+      token.attrSet('href', resolved);
+    }
+    return defaultLinkOpen(tokens, idx, options, env, self);
+  };
+
+  const defaultImage = md.renderer.rules.image;
+  md.renderer.rules.image = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const resolved = env.resolveImage?.(token.attrGet('src'));
+    if (resolved) {
+      token.attrSet('src', resolved);
+    }
+    return defaultImage(tokens, idx, options, env, self);
+  };
+
+  return md;
+};